@@ -1,28 +1,9 @@
 // --- Globals & Utilities ---
-const MAX_SIZE = 1024 * 1024 * 1024; // 1 GB limit used in handlers
-const MAX_FEATURES = 1000000;// adjust to device expectations
-const MAX_VERTICES = 10000000; // total coordinate points across all features
+// Import limits (MAX_SIZE, MAX_FEATURES, MAX_VERTICES, ZIP caps) and the file readers are in import-core.js, loaded first.
 const MAX_REMOTE_IMPORT_BYTES = 512 * 1024 * 1024; // 512 MB cap for URL imports
 const REMOTE_IMPORT_TIMEOUT_MS = 300000; // 300s timeout for URL imports
 const SCALE_BAR_OFFSET_X_PX = 43;
 const SCALE_BAR_OFFSET_Y_PX = 7;
-const MAX_ZIP_ENTRIES = 50;
-const MAX_ZIP_UNCOMPRESSED_BYTES = 1024 * 1024 * 1024; // 1 GB expanded cap
-const MAX_ZIP_EXPANSION_RATIO = 100; // expanded/compressed ratio
-const ALLOWED_SHAPEFILE_ZIP_EXTENSIONS = new Set([
-  ".shp",
-  ".shx",
-  ".dbf",
-  ".prj",
-  ".cpg",
-  ".sbn",
-  ".sbx",
-  ".qix",
-  ".aih",
-  ".ain",
-  ".atx",
-  ".xml"
-]);
 const EXPORT_SIDE_CROP_RATIO = 0.06;
 const EXPORT_SIDE_CROP_EXTRA_PX = 10;
 const EDGE_EXPORT_SIDE_CROP_MAX_RATIO = 0.16;
@@ -40,6 +21,7 @@ const ALLOWED_IMPORT_HOSTS = new Set([
 const ALLOWED_PRIVATE_IMPORT_HOSTS = new Set([]);
 const WORLD_BOUNDARY_LOCAL_URL = null; // set a local file path if vendored
 const WORLD_COUNTRIES_LOCAL_URL = null; // set a local file path if vendored
+const AFRICA_BOUNDARY_LOCAL_URL = "./vendor/boundaries/africa_admin0.json"; // bundled simplified Africa admin-0 (offline)
 const UN_COUNTRIES_LOCAL_URL = "./UN_reference_countries_UNSD.json"; // local UN/M49-style reference table
 const UN_COUNTRIES_REMOTE_URL = "https://unstats.un.org/unsd/methodology/m49/overview"; // UN M49 overview
 const WORLD_BOUNDARY_REMOTE_URL = "https://cdn.jsdelivr.net/gh/johan/world.geo.json@master/countries.geo.json";
@@ -53,6 +35,7 @@ let geojsonLayer = null;
 let layerGroup = null;
 let numericUserColors = null;
 let categoricalUserColors = null;
+let bivariateUserColors = null;
 let currentAttribute = null;
 let layerOrder = [];
 let disclaimerUserPos = null;
@@ -60,6 +43,7 @@ let activeContinentField = null;
 let activeCountryField = null;
 let selectedContinentValues = new Set();
 let selectedCountryValues = new Set();
+let atlasPageFilter = null;
 let worldBoundaryIndex = null;
 let worldBoundaryIndexPromise = null;
 let worldCountriesByContinent = null;
@@ -144,13 +128,6 @@ function sanitizeId(str) {
   return String(str).replace(/[^\w\-]/g, "_");
 }
 
-function sanitizePlainText(value, fallback = "") {
-  const clean = String(value || "")
-    .replace(/[\r\n\t]+/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-  return clean || fallback;
-}
 
 function insertTextAtCaret(targetEl, text) {
   if (!targetEl) return;
@@ -171,9 +148,6 @@ function insertTextAtCaret(targetEl, text) {
   sel.addRange(range);
 }
 
-function stripKnownDataExtension(name) {
-  return String(name || "").replace(/\.(geojson|zip|csv)$/i, "");
-}
 
 function humanizeLabel(value) {
   return sanitizePlainText(String(value || "").replace(/[_-]+/g, " "));
@@ -191,47 +165,10 @@ function sanitizeName(name) {
   return safe || ("Layer " + Date.now());
 }
 
-function countVerticesInCoordinates(coords) {
-  let total = 0;
-  const walk = (node) => {
-    if (!Array.isArray(node)) return;
-    if (typeof node[0] === "number" && typeof node[1] === "number") {
-      total++;
-      return;
-    }
-    node.forEach(walk);
-  };
-  walk(coords);
-  return total;
-}
 
-function countVerticesInFeature(feature) {
-  const geom = feature && feature.geometry;
-  if (!geom || !geom.type) return 0;
-  if (geom.type === "Point") return 1;
-  return countVerticesInCoordinates(geom.coordinates);
-}
 
-function datasetBudgetStats(geojson) {
-  const features = Array.isArray(geojson?.features) ? geojson.features : [];
-  const featureCount = features.length;
-  let vertexCount = 0;
-  for (let i = 0; i < features.length; i++) {
-    vertexCount += countVerticesInFeature(features[i]);
-  }
-  return { featureCount, vertexCount };
-}
 
-function assertDatasetWithinLimits(geojson, sourceLabel = "dataset") {
-  const stats = datasetBudgetStats(geojson);
-  if (stats.featureCount > MAX_FEATURES) {
-    throw new Error(`${sourceLabel} has too many features (${stats.featureCount}).`);
-  }
-  if (stats.vertexCount > MAX_VERTICES) {
-    throw new Error(`${sourceLabel} is too complex (${stats.vertexCount} vertices).`);
-  }
-  return stats;
-}
+
 
 function isNearDatasetLimits(stats) {
   if (!stats) return false;
@@ -496,6 +433,7 @@ function moveLayerOrder(name, direction) {
   refreshLayerSelector();
   applyLayerStackOrder();
   reorderLegendBlocks();
+  scheduleSessionAutosave();
 }
 
 function getLayerNameFromLabel(labelEl) {
@@ -739,17 +677,6 @@ function isAfricaContinentValue(raw) {
   return nk === "af" || nk === "afr" || nk.includes("africa");
 }
 
-function getFeatureSampleCoord(feature) {
-  const g = feature?.geometry;
-  if (!g || !g.type || !g.coordinates) return null;
-  if (g.type === "Point") return g.coordinates;
-  if (g.type === "MultiPoint" && g.coordinates[0]) return g.coordinates[0];
-  if (g.type === "LineString" && g.coordinates[0]) return g.coordinates[0];
-  if (g.type === "MultiLineString" && g.coordinates[0] && g.coordinates[0][0]) return g.coordinates[0][0];
-  if (g.type === "Polygon" && g.coordinates[0] && g.coordinates[0][0]) return g.coordinates[0][0];
-  if (g.type === "MultiPolygon" && g.coordinates[0] && g.coordinates[0][0] && g.coordinates[0][0][0]) return g.coordinates[0][0][0];
-  return null;
-}
 
 function normalizeCountryName(value) {
   return String(value == null ? "" : value)
@@ -837,53 +764,10 @@ function isLikelyCsvPayload(text) {
   const hasDelimiter = /,|;|\t/.test(header);
   const hasLatField = /(latitude|lat)\b/.test(header);
   const hasLonField = /(longitude|lon|lng|long)\b/.test(header);
-  return hasDelimiter && hasLatField && hasLonField;
+  const hasGeometryField = /(^|[,;\t"])(wkt|geom|geometry|the_geom|wkt_geom|geojson)("|[,;\t]|$)/.test(header);
+  return hasDelimiter && ((hasLatField && hasLonField) || hasGeometryField);
 }
 
-function assertCsvPayloadLooksSafe(csvText, sourceLabel = "CSV") {
-  const raw = String(csvText || "").trim();
-  if (!raw) {
-    throw new Error(`${sourceLabel} payload is empty.`);
-  }
-
-  const lower = raw.toLowerCase();
-  if (lower.startsWith("{") || lower.startsWith("[") || lower.startsWith("<html") || lower.startsWith("<!doctype")) {
-    throw new Error(`${sourceLabel} payload does not look like CSV.`);
-  }
-
-  const firstLine = String(raw.split(/\r?\n/, 1)[0] || "");
-  if (!/,|;|\t/.test(firstLine)) {
-    throw new Error(`${sourceLabel} header must include a comma, semicolon, or tab delimiter.`);
-  }
-
-  // Use Papa preview for lightweight structural validation before full parse.
-  const preview = window.Papa.parse(raw, {
-    header: false,
-    skipEmptyLines: "greedy",
-    preview: 1
-  });
-  if (Array.isArray(preview.errors) && preview.errors.length) {
-    const firstErr = preview.errors[0];
-    throw new Error(`${sourceLabel} parse error near row ${firstErr.row ?? "?"}.`);
-  }
-
-  const headerRow = Array.isArray(preview.data) ? preview.data[0] : null;
-  const headerCells = Array.isArray(headerRow)
-    ? headerRow.map(v => String(v == null ? "" : v).trim())
-    : [];
-  if (headerCells.length < 2) {
-    throw new Error(`${sourceLabel} must contain at least 2 columns.`);
-  }
-  if (headerCells.length > 1000) {
-    throw new Error(`${sourceLabel} has too many columns (${headerCells.length}; max 1000).`);
-  }
-
-  const hasLatField = headerCells.some(v => /(latitude|lat)\b/i.test(v));
-  const hasLonField = headerCells.some(v => /(longitude|lon|lng|long)\b/i.test(v));
-  if (!hasLatField || !hasLonField) {
-    throw new Error(`${sourceLabel} must have latitude/longitude columns.`);
-  }
-}
 
 function resolveRemoteImportExtension(initialExt, finalUrl, contentType) {
   const firstChoice = String(initialExt || "").toLowerCase();
@@ -906,134 +790,10 @@ function resolveRemoteImportExtension(initialExt, finalUrl, contentType) {
   return "";
 }
 
-function getUint16LE(view, offset) {
-  if (offset + 2 > view.byteLength) return null;
-  return view.getUint16(offset, true);
-}
-
-function getUint32LE(view, offset) {
-  if (offset + 4 > view.byteLength) return null;
-  return view.getUint32(offset, true);
-}
-
-function decodeZipEntryName(view, startOffset, byteLen) {
-  if (!byteLen || startOffset + byteLen > view.byteLength) return "";
-  const bytes = new Uint8Array(view.buffer, view.byteOffset + startOffset, byteLen);
-  try {
-    return new TextDecoder("utf-8").decode(bytes);
-  } catch (e) {
-    let fallback = "";
-    for (let i = 0; i < bytes.length; i++) {
-      fallback += String.fromCharCode(bytes[i]);
-    }
-    return fallback;
-  }
-}
-
-function assertShapefileZipEntryAllowed(rawEntryName) {
-  const entryName = String(rawEntryName || "").replace(/\\/g, "/").trim();
-  if (!entryName || entryName.endsWith("/")) return;
-  if (entryName.startsWith("/") || entryName.includes("../") || entryName.includes("..\\")) {
-    throw new Error("ZIP contains an unsafe file path.");
-  }
-
-  const lowerName = entryName.toLowerCase();
-  const dotIndex = lowerName.lastIndexOf(".");
-  const ext = dotIndex >= 0 ? lowerName.slice(dotIndex) : "";
-  if (!ALLOWED_SHAPEFILE_ZIP_EXTENSIONS.has(ext)) {
-    throw new Error("ZIP uploads must contain only shapefile components.");
-  }
-}
-
-function inspectZipSafety(arrayBuffer, compressedSizeBytes) {
-  const view = new DataView(arrayBuffer);
-  const EOCD_SIGNATURE = 0x06054b50;
-  const CD_SIGNATURE = 0x02014b50;
-  const maxCommentLen = 0xffff;
-  const minEocd = 22;
-  if (view.byteLength < minEocd) {
-    throw new Error("ZIP file is too small or invalid.");
-  }
-
-  let eocdOffset = -1;
-  const start = Math.max(0, view.byteLength - minEocd - maxCommentLen);
-  for (let i = view.byteLength - minEocd; i >= start; i--) {
-    if (getUint32LE(view, i) === EOCD_SIGNATURE) {
-      eocdOffset = i;
-      break;
-    }
-  }
-  if (eocdOffset < 0) {
-    throw new Error("ZIP central directory not found.");
-  }
 
-  const totalEntries = getUint16LE(view, eocdOffset + 10);
-  const cdSize = getUint32LE(view, eocdOffset + 12);
-  const cdOffset = getUint32LE(view, eocdOffset + 16);
-  if (totalEntries === null || cdSize === null || cdOffset === null) {
-    throw new Error("ZIP metadata is incomplete.");
-  }
-  if (totalEntries === 0xffff || cdSize === 0xffffffff || cdOffset === 0xffffffff) {
-    throw new Error("ZIP64 archives are not supported for security reasons.");
-  }
-  if (totalEntries > MAX_ZIP_ENTRIES) {
-    throw new Error(`ZIP has too many entries (${totalEntries}; max ${MAX_ZIP_ENTRIES}).`);
-  }
-  if (cdOffset + cdSize > view.byteLength) {
-    throw new Error("ZIP central directory exceeds file bounds.");
-  }
 
-  let cursor = cdOffset;
-  let parsedEntries = 0;
-  let totalUncompressed = 0;
-  let hasShpFile = false;
-  while (parsedEntries < totalEntries) {
-    if (cursor + 46 > view.byteLength) {
-      throw new Error("ZIP central directory entry is truncated.");
-    }
-    const sig = getUint32LE(view, cursor);
-    if (sig !== CD_SIGNATURE) {
-      throw new Error("Invalid ZIP central directory entry signature.");
-    }
-    const uncompressedSize = getUint32LE(view, cursor + 24);
-    const fileNameLen = getUint16LE(view, cursor + 28);
-    const extraLen = getUint16LE(view, cursor + 30);
-    const commentLen = getUint16LE(view, cursor + 32);
-    const fileNameOffset = cursor + 46;
-    if (uncompressedSize === null || fileNameLen === null || extraLen === null || commentLen === null) {
-      throw new Error("ZIP entry metadata is incomplete.");
-    }
-    if (uncompressedSize === 0xffffffff) {
-      throw new Error("ZIP64 entry sizes are not supported for security reasons.");
-    }
-    totalUncompressed += uncompressedSize;
-    if (totalUncompressed > MAX_ZIP_UNCOMPRESSED_BYTES) {
-      const maxMb = Math.round(MAX_ZIP_UNCOMPRESSED_BYTES / (1024 * 1024));
-      throw new Error(`ZIP expands too large (max ${maxMb} MB).`);
-    }
-    const nextCursor = cursor + 46 + fileNameLen + extraLen + commentLen;
-    if (nextCursor > view.byteLength) {
-      throw new Error("ZIP central directory entry exceeds file bounds.");
-    }
-    const entryName = decodeZipEntryName(view, fileNameOffset, fileNameLen);
-    assertShapefileZipEntryAllowed(entryName);
-    if (/\.shp$/i.test(entryName)) {
-      hasShpFile = true;
-    }
-    cursor = nextCursor;
-    parsedEntries++;
-  }
 
-  if (!hasShpFile) {
-    throw new Error("ZIP must include a .shp file.");
-  }
 
-  const compressed = Math.max(1, Number(compressedSizeBytes) || 1);
-  const expansionRatio = totalUncompressed / compressed;
-  if (expansionRatio > MAX_ZIP_EXPANSION_RATIO) {
-    throw new Error(`ZIP expansion ratio is too high (${expansionRatio.toFixed(1)}x).`);
-  }
-}
 
 async function fetchTextWithFallback(localUrl, remoteUrl, label) {
   if (!localUrl && remoteUrl) {
@@ -1266,57 +1026,9 @@ async function loadCountryReferenceRows() {
   return fallback;
 }
 
-function bboxFromCoordinates(coords) {
-  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-  const walk = (c) => {
-    if (!Array.isArray(c)) return;
-    if (typeof c[0] === "number" && typeof c[1] === "number") {
-      const x = Number(c[0]);
-      const y = Number(c[1]);
-      if (x < minX) minX = x;
-      if (y < minY) minY = y;
-      if (x > maxX) maxX = x;
-      if (y > maxY) maxY = y;
-      return;
-    }
-    c.forEach(walk);
-  };
-  walk(coords);
-  if (!isFinite(minX) || !isFinite(minY) || !isFinite(maxX) || !isFinite(maxY)) return null;
-  return [minX, minY, maxX, maxY];
-}
 
-function pointInRing(point, ring) {
-  const x = point[0];
-  const y = point[1];
-  let inside = false;
-  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
-    const xi = ring[i][0], yi = ring[i][1];
-    const xj = ring[j][0], yj = ring[j][1];
-    const intersect = ((yi > y) !== (yj > y)) &&
-      (x < ((xj - xi) * (y - yi)) / ((yj - yi) || 1e-12) + xi);
-    if (intersect) inside = !inside;
-  }
-  return inside;
-}
 
-function pointInPolygonCoordinates(point, polygonCoords) {
-  if (!Array.isArray(polygonCoords) || !polygonCoords.length) return false;
-  if (!pointInRing(point, polygonCoords[0])) return false;
-  for (let i = 1; i < polygonCoords.length; i++) {
-    if (pointInRing(point, polygonCoords[i])) return false;
-  }
-  return true;
-}
 
-function pointInGeometry(point, geom) {
-  if (!geom || !geom.type || !geom.coordinates) return false;
-  if (geom.type === "Polygon") return pointInPolygonCoordinates(point, geom.coordinates);
-  if (geom.type === "MultiPolygon") {
-    return geom.coordinates.some(poly => pointInPolygonCoordinates(point, poly));
-  }
-  return false;
-}
 
 function guessContinentFromCountryName(countryName) {
   const n = normalizeCountryName(countryName);
@@ -1410,30 +1122,66 @@ async function ensureSpatialCountryContinentFields(data) {
   const boundaryIndex = await loadWorldBoundaryIndex();
   if (!Array.isArray(boundaryIndex) || !boundaryIndex.length) return false;
 
-  let tagged = 0;
-  feats.forEach(f => {
-    if (!f.properties) f.properties = {};
-    if (f.properties.__rma_country && f.properties.__rma_continent_spatial) return;
-    const coord = getFeatureSampleCoord(f);
-    if (!Array.isArray(coord) || coord.length < 2) return;
-    const x = Number(coord[0]);
-    const y = Number(coord[1]);
-    if (isNaN(x) || isNaN(y)) return;
+  // File imports arrive tagged by the import worker; only untagged features are tested here.
+  tagFeaturesWithCountries(feats, boundaryIndex, { mode: getCountryTagMode() });
+  return feats.some(f => f.properties?.__rma_country);
+}
 
-    const candidates = boundaryIndex.filter(b =>
-      x >= b.bbox[0] && x <= b.bbox[2] && y >= b.bbox[1] && y <= b.bbox[3]
-    );
-    const hit = candidates.find(c => pointInGeometry([x, y], c.geometry));
-    if (!hit) return;
+// How features are placed in a country: "vertex", "centroid" or "overlap" (see tagFeaturesWithCountries).
+const COUNTRY_TAG_MODE_KEY = "rma-country-tag-mode";
 
-    f.properties.__rma_country = hit.country;
-    if (hit.continent) f.properties.__rma_continent_spatial = hit.continent;
-    tagged++;
-  });
+function getCountryTagMode() {
+  try {
+    const saved = window.localStorage.getItem(COUNTRY_TAG_MODE_KEY);
+    return COUNTRY_TAG_MODES.has(saved) ? saved : "vertex";
+  } catch (_) {
+    return "vertex";
+  }
+}
+
+function setCountryTagMode(mode) {
+  try {
+    window.localStorage.setItem(COUNTRY_TAG_MODE_KEY, mode);
+  } catch (err) {
+    console.warn("Could not remember the country assignment mode:", err);
+  }
+}
 
-  return tagged > 0;
+// Removes spatial country tags so the features are tagged again, with the current mode, when next needed.
+function clearSpatialCountryTags(data) {
+  let cleared = false;
+  (Array.isArray(data?.features) ? data.features : []).forEach(f => {
+    if (!f?.properties || !("__rma_country" in f.properties || "__rma_continent_spatial" in f.properties)) return;
+    delete f.properties.__rma_country;
+    delete f.properties.__rma_continent_spatial;
+    cleared = true;
+  });
+  return cleared;
 }
 
+(function wireCountryTagMode() {
+  const sel = document.getElementById("country-tag-mode");
+  if (!sel) return;
+  sel.value = getCountryTagMode();
+  sel.addEventListener("change", async () => {
+    const mode = COUNTRY_TAG_MODES.has(sel.value) ? sel.value : "vertex";
+    setCountryTagMode(mode);
+    Object.keys(overlayData).forEach(name => {
+      if (clearSpatialCountryTags(overlayData[name].geojson)) markLayerDataChanged(name);
+    });
+    if (!geojsonData || geojsonData.type !== "FeatureCollection") return;
+    showLoading("Assigning features to countries...");
+    await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+    try {
+      await populateFilterControls(geojsonData);
+      if (currentAttribute) applyClassification();
+      else renderDefaultFilteredLayer();
+    } finally {
+      hideLoading();
+    }
+  });
+})();
+
 function inferContinentFromCoord(coord) {
   if (!Array.isArray(coord) || coord.length < 2) return null;
   const lon = Number(coord[0]);
@@ -1535,8 +1283,10 @@ function detectFilterFields(data) {
 
 function getFilteredFeatures(data) {
   const feats = Array.isArray(data?.features) ? data.features : [];
+  const matchesExpression = compileExpressionFilter(getExpressionFilterForData(data));
   return feats.filter(f => {
     const props = f?.properties || {};
+    if (matchesExpression && !matchesExpression(props)) return false;
     if (activeContinentField && selectedContinentValues.size > 0) {
       const continentNorm = norm(props[activeContinentField]);
       const ok = Array.from(selectedContinentValues).some(v => norm(v) === continentNorm);
@@ -1547,6 +1297,7 @@ function getFilteredFeatures(data) {
       const ok = Array.from(selectedCountryValues).some(v => norm(v) === countryNorm);
       if (!ok) return false;
     }
+    if (atlasPageFilter && norm(props[atlasPageFilter.field]) !== norm(atlasPageFilter.value)) return false;
     return true;
   });
 }
@@ -1554,4585 +1305,10939 @@ function getFilteredFeatures(data) {
 function getFilteredGeojson(data) {
   return { ...(data || {}), features: getFilteredFeatures(data) };
 }
-// Add a Secure Popup Binding
-function bindFeaturePopup(feature, layer) {
-  if (feature.properties) {
-    // Build safe popup content
-    const content = Object.keys(feature.properties)
-      .map(k => `${k}: ${feature.properties[k]}`)
-      .join("\n");
+//Attribute Expression Filter (per layer, combined with continent/country filters)
+const EXPRESSION_FILTER_OPS = [
+  ["=", "="],
+  ["!=", "≠"],
+  [">", ">"],
+  [">=", "≥"],
+  ["<", "<"],
+  ["<=", "≤"],
+  ["between", "between"],
+  ["in", "in list"],
+  ["not_in", "not in list"],
+  ["contains", "contains"],
+  ["not_contains", "does not contain"],
+  ["is_null", "is empty"],
+  ["not_null", "is not empty"]
+];
+const EXPRESSION_FILTER_OP_SET = new Set(EXPRESSION_FILTER_OPS.map(([op]) => op));
+const EXPRESSION_FILTER_MAX_CONDITIONS = 20;
+let expressionFilterDraft = { combine: "and", conditions: [] };
+
+function isEmptyFilterValue(v) {
+  return v == null || (typeof v === "string" && v.trim() === "");
+}
+
+// Numbers compare numerically, everything else as case-insensitive text.
+function compareFilterValues(a, b) {
+  const na = Number(a);
+  const nb = Number(b);
+  if (!isEmptyFilterValue(a) && !isEmptyFilterValue(b) && Number.isFinite(na) && Number.isFinite(nb)) return na - nb;
+  return norm(a).localeCompare(norm(b), undefined, { numeric: true });
+}
+
+function splitFilterList(value) {
+  return String(value || "").split(",").map(v => v.trim()).filter(Boolean);
+}
+
+// Keep only well-formed conditions; null when nothing is left to filter on.
+function normalizeExpressionFilter(filter) {
+  if (!filter || !Array.isArray(filter.conditions)) return null;
+  const conditions = filter.conditions
+    .filter(c => c && typeof c.field === "string" && c.field && EXPRESSION_FILTER_OP_SET.has(c.op))
+    .slice(0, EXPRESSION_FILTER_MAX_CONDITIONS)
+    .map(c => ({
+      field: c.field,
+      op: c.op,
+      value: String(c.value == null ? "" : c.value).slice(0, 500),
+      value2: String(c.value2 == null ? "" : c.value2).slice(0, 500)
+    }))
+    .filter(c => {
+      if (c.op === "is_null" || c.op === "not_null") return true;
+      if (c.op === "between") return c.value.trim() !== "" && c.value2.trim() !== "";
+      return c.value.trim() !== "";
+    });
+  if (!conditions.length) return null;
+  return { combine: filter.combine === "or" ? "or" : "and", conditions };
+}
+
+function testExpressionCondition(cond, props) {
+  const v = props?.[cond.field];
+  if (cond.op === "is_null") return isEmptyFilterValue(v);
+  if (cond.op === "not_null") return !isEmptyFilterValue(v);
+  // Empty values only pass the negative tests.
+  if (isEmptyFilterValue(v)) return cond.op === "!=" || cond.op === "not_in" || cond.op === "not_contains";
+  switch (cond.op) {
+    case "=": return compareFilterValues(v, cond.value) === 0;
+    case "!=": return compareFilterValues(v, cond.value) !== 0;
+    case ">": return compareFilterValues(v, cond.value) > 0;
+    case ">=": return compareFilterValues(v, cond.value) >= 0;
+    case "<": return compareFilterValues(v, cond.value) < 0;
+    case "<=": return compareFilterValues(v, cond.value) <= 0;
+    case "between": {
+      const [lo, hi] = compareFilterValues(cond.value, cond.value2) <= 0
+        ? [cond.value, cond.value2]
+        : [cond.value2, cond.value];
+      return compareFilterValues(v, lo) >= 0 && compareFilterValues(v, hi) <= 0;
+    }
+    case "in": return cond.list.some(x => compareFilterValues(v, x) === 0);
+    case "not_in": return !cond.list.some(x => compareFilterValues(v, x) === 0);
+    case "contains": return norm(v).includes(norm(cond.value));
+    case "not_contains": return !norm(v).includes(norm(cond.value));
+    default: return true;
+  }
+}
 
-    // Use textContent inside a <pre> for safety
-    const div = document.createElement("div");
-    div.className = "popup-prewrap";
-    div.textContent = content;
+// Build a props => boolean test once per filtering pass.
+function compileExpressionFilter(filter) {
+  const clean = normalizeExpressionFilter(filter);
+  if (!clean) return null;
+  const conditions = clean.conditions.map(c => ({ ...c, list: splitFilterList(c.value) }));
+  return clean.combine === "or"
+    ? (props) => conditions.some(c => testExpressionCondition(c, props))
+    : (props) => conditions.every(c => testExpressionCondition(c, props));
+}
 
-    layer.bindPopup(div);
-  }
+function getExpressionFilterForData(data) {
+  if (!data) return null;
+  const name = Object.keys(overlayData).find(n => overlayData[n]?.geojson === data);
+  return name ? overlayData[name].expressionFilter || null : null;
 }
 
-//TextDecoder Patch
-// --- Monkey-patch TextDecoder to sanitize encoding labels (kept once) ---
-(function() {
-  const OriginalTextDecoder = window.TextDecoder;
-  window.TextDecoder = function(label, options) {
-    let cleanLabel = "utf-8";
-    if (label && typeof label === "string") {
-      cleanLabel = label.split(/[, ]/)[0].trim().toLowerCase();
-      try {
-        return new OriginalTextDecoder(cleanLabel, options);
-      } catch (e) {
-        console.warn("Invalid encoding label:", label, "→ defaulting to UTF-8");
-        return new OriginalTextDecoder("utf-8", options);
-      }
-    }
-    return new OriginalTextDecoder(cleanLabel, options);
-  };
-})();
-//Map Initialization and Controls
-// Use explicit local marker icon URLs from vendor/images.
-// Prevent Leaflet from prefixing detected imagePath onto explicit icon URLs.
-delete L.Icon.Default.prototype._getIconUrl;
-const DEFAULT_MARKER_ICON_URLS = {
-  iconRetinaUrl: new URL("vendor/images/marker-icon-2x.png", window.location.href).href,
-  iconUrl: new URL("vendor/images/marker-icon.png", window.location.href).href,
-  shadowUrl: new URL("vendor/images/marker-shadow.png", window.location.href).href
-};
-L.Icon.Default.mergeOptions({
-  iconRetinaUrl: DEFAULT_MARKER_ICON_URLS.iconRetinaUrl,
-  iconUrl: DEFAULT_MARKER_ICON_URLS.iconUrl,
-  shadowUrl: DEFAULT_MARKER_ICON_URLS.shadowUrl
-});
+function describeExpressionFilter(filter) {
+  const clean = normalizeExpressionFilter(filter);
+  if (!clean) return "";
+  const opLabel = new Map(EXPRESSION_FILTER_OPS);
+  return clean.conditions.map(c => {
+    if (c.op === "is_null" || c.op === "not_null") return `${c.field} ${opLabel.get(c.op)}`;
+    if (c.op === "between") return `${c.field} between ${c.value} and ${c.value2}`;
+    if (c.op === "in" || c.op === "not_in") return `${c.field} ${opLabel.get(c.op)} (${splitFilterList(c.value).join(", ")})`;
+    return `${c.field} ${opLabel.get(c.op)} "${c.value}"`;
+  }).join(clean.combine === "or" ? " OR " : " AND ");
+}
 
-// --- Initialize Leaflet Map ---
-const mapRenderer = L.canvas({
-  padding: 0.5,
-  // Increase hit tolerance so feature popups remain clickable at lower zoom.
-  tolerance: 18
-});
+function renderExpressionFilterBuilder() {
+  const rowsEl = document.getElementById('expr-filter-rows');
+  const combineEl = document.getElementById('expr-filter-combine');
+  if (!rowsEl) return;
+  rowsEl.textContent = "";
+  if (combineEl) combineEl.value = expressionFilterDraft.combine === "or" ? "or" : "and";
 
-const map = L.map('map', {
-  preferCanvas: true,
-  renderer: mapRenderer,
-  attributionControl: true,
-  zoomAnimation: false,
-  fadeAnimation: false,
-  markerZoomAnimation: false,
-  zoomSnap: 0.1,
-  zoomDelta: 0.1
-});
+  const props = geojsonData?.features?.[0]?.properties || {};
+  const fields = Object.keys(props);
 
-// Deterministic startup/home view centered on Africa.
-// Keep north/south unchanged, while widening east/west default framing.
-const INITIAL_HOME_CENTER = [0, 17];
-const INITIAL_HOME_ZOOM = 3;
-const INITIAL_HOME_BOUNDS = L.latLngBounds([[-34.85, -25.5], [37.35, 58.5]]);
-const MAP_NAV_BOUNDS = L.latLngBounds([[-85, -180], [85, 180]]);
-const SIDEBAR_WIDTH_PX = 250;
-const MAP_OVERLAP_PX = 80;
-const MAP_SIDE_VISIBLE_INSET_PX = MAP_OVERLAP_PX;
-const DISCLAIMER_LEFT_VISIBLE_INSET_PX = 50;
-const HOME_VERTICAL_PADDING_PX = 10;
-const EDGE_HOME_VERTICAL_PADDING_EXTRA_PX = 8;
-const IMPORT_EXTENT_MAX_ZOOM = 7;
-const IMPORT_EXTENT_HOME_COVERAGE_RATIO = 0.9;
-// Keep horizontal trim disabled so east/west view is not tightened.
-const HORIZONTAL_TRIM_RATIO = 0;
-const MAX_HOME_VIEW_RETRIES = 6;
-const MAX_BOUNDS_RETRIES = 10;
-let homeViewRetryCount = 0;
-let maxBoundsRetryCount = 0;
-let maxBoundsDeferredHooked = false;
+  expressionFilterDraft.conditions.forEach((cond, idx) => {
+    const row = document.createElement('div');
+    row.className = 'expr-filter-row';
+
+    const fieldSel = document.createElement('select');
+    fieldSel.className = 'form-select form-select-sm';
+    fieldSel.setAttribute('aria-label', `Condition ${idx + 1} attribute`);
+    fields.forEach(k => {
+      const o = document.createElement('option');
+      o.value = String(k).replace(/[^\w\-]/g, "_");
+      o.textContent = k;
+      fieldSel.appendChild(o);
+    });
+    if (cond.field) fieldSel.value = String(cond.field).replace(/[^\w\-]/g, "_");
+    cond.field = resolveAttributeKey(fieldSel.value) || cond.field;
+    fieldSel.addEventListener('change', () => {
+      cond.field = resolveAttributeKey(fieldSel.value);
+    });
 
-function trimBoundsHorizontally(bounds, ratio = HORIZONTAL_TRIM_RATIO) {
-  if (!bounds || typeof bounds.getSouthWest !== "function" || typeof bounds.getNorthEast !== "function") {
-    return bounds;
+    const opSel = document.createElement('select');
+    opSel.className = 'form-select form-select-sm';
+    opSel.setAttribute('aria-label', `Condition ${idx + 1} operator`);
+    EXPRESSION_FILTER_OPS.forEach(([op, label]) => {
+      const o = document.createElement('option');
+      o.value = op;
+      o.textContent = label;
+      opSel.appendChild(o);
+    });
+    opSel.value = EXPRESSION_FILTER_OP_SET.has(cond.op) ? cond.op : "=";
+    cond.op = opSel.value;
+
+    const valueEl = document.createElement('input');
+    valueEl.type = 'text';
+    valueEl.className = 'form-control form-control-sm';
+    valueEl.setAttribute('aria-label', `Condition ${idx + 1} value`);
+    valueEl.value = cond.value || "";
+    valueEl.addEventListener('input', () => { cond.value = valueEl.value; });
+
+    const value2El = document.createElement('input');
+    value2El.type = 'text';
+    value2El.className = 'form-control form-control-sm';
+    value2El.placeholder = 'and';
+    value2El.setAttribute('aria-label', `Condition ${idx + 1} upper value`);
+    value2El.value = cond.value2 || "";
+    value2El.addEventListener('input', () => { cond.value2 = value2El.value; });
+
+    const syncInputs = () => {
+      const noValue = cond.op === "is_null" || cond.op === "not_null";
+      valueEl.placeholder = (cond.op === "in" || cond.op === "not_in") ? "a, b, c" : "value";
+      valueEl.hidden = noValue;
+      value2El.hidden = cond.op !== "between";
+    };
+    opSel.addEventListener('change', () => {
+      cond.op = opSel.value;
+      syncInputs();
+    });
+    syncInputs();
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'btn btn-outline-secondary btn-sm';
+    removeBtn.textContent = '×';
+    removeBtn.setAttribute('aria-label', `Remove condition ${idx + 1}`);
+    removeBtn.addEventListener('click', () => {
+      expressionFilterDraft.conditions.splice(idx, 1);
+      renderExpressionFilterBuilder();
+    });
+
+    row.append(fieldSel, opSel, valueEl, value2El, removeBtn);
+    rowsEl.appendChild(row);
+  });
+
+  const summary = document.getElementById('expr-filter-summary');
+  if (summary) {
+    const applied = overlayData[currentLayerName]?.expressionFilter;
+    summary.textContent = applied ? `Active: ${describeExpressionFilter(applied)}` : "";
   }
-  const sw = bounds.getSouthWest();
-  const ne = bounds.getNorthEast();
-  const spanLng = ne.lng - sw.lng;
-  if (!(spanLng > 0) || !(ratio > 0)) return bounds;
-  const maxTrim = Math.max(0, (spanLng / 2) - 1e-6);
-  const trim = Math.min(spanLng * ratio, maxTrim);
-  return L.latLngBounds([sw.lat, sw.lng + trim], [ne.lat, ne.lng - trim]);
 }
 
-function hasUsableMapViewport() {
-  if (!map || typeof map.getSize !== "function" || typeof map.getContainer !== "function") return false;
-  try {
-    const sz = map.getSize();
-    const container = map.getContainer();
-    const w = Number(sz && sz.x);
-    const h = Number(sz && sz.y);
-    const cw = Number(container && container.clientWidth);
-    const ch = Number(container && container.clientHeight);
-    return Number.isFinite(w) && Number.isFinite(h) && w > 0 && h > 0 &&
-      Number.isFinite(cw) && Number.isFinite(ch) && cw > 0 && ch > 0;
-  } catch (e) {
-    return false;
+// Load the active layer's filter into the builder.
+function loadExpressionFilterBuilder() {
+  const wrap = 'expr-filter-col';
+  if (!geojsonData || !Array.isArray(geojsonData.features) || !geojsonData.features.length) {
+    expressionFilterDraft = { combine: "and", conditions: [] };
+    return hideRow(wrap);
   }
+  const applied = normalizeExpressionFilter(overlayData[currentLayerName]?.expressionFilter);
+  expressionFilterDraft = applied
+    ? { combine: applied.combine, conditions: applied.conditions.map(c => ({ ...c })) }
+    : { combine: "and", conditions: [] };
+  renderExpressionFilterBuilder();
+  showRow(wrap);
 }
 
-function safePanInsideBounds(bounds, options) {
-  if (!map || typeof map.panInsideBounds !== "function" || !bounds) return;
-  try {
-    const c = map.getCenter();
-    if (!c || !Number.isFinite(c.lat) || !Number.isFinite(c.lng)) return;
-    map.panInsideBounds(bounds, options || { animate: false });
-  } catch (e) {
-    console.warn("panInsideBounds skipped due to unstable map center", e);
-  }
+function setLayerExpressionFilter(filter) {
+  if (!currentLayerName || !overlayData[currentLayerName]) return;
+  overlayData[currentLayerName].expressionFilter = normalizeExpressionFilter(filter);
+  renderExpressionFilterBuilder();
+  if (currentAttribute) applyClassification();
+  else renderDefaultFilteredLayer();
 }
 
-function applyMaxBoundsSafely() {
-  if (!map || typeof map.setMaxBounds !== "function") return;
-  if (!hasUsableMapViewport()) {
-    if (maxBoundsRetryCount < MAX_BOUNDS_RETRIES) {
-      maxBoundsRetryCount += 1;
-      setTimeout(() => {
-        try { map.invalidateSize({ pan: false }); } catch (e) {}
-        applyMaxBoundsSafely();
-      }, 50);
-    }
-    return;
+(function wireExpressionFilter() {
+  const addBtn = document.getElementById('btnExprFilterAdd');
+  if (addBtn) {
+    addBtn.addEventListener('click', () => {
+      if (!geojsonData) return;
+      if (expressionFilterDraft.conditions.length >= EXPRESSION_FILTER_MAX_CONDITIONS) {
+        showPopup(`A filter can have at most ${EXPRESSION_FILTER_MAX_CONDITIONS} conditions.`, "error");
+        return;
+      }
+      expressionFilterDraft.conditions.push({ field: currentAttribute || "", op: "=", value: "", value2: "" });
+      renderExpressionFilterBuilder();
+    });
   }
-  try {
-    const c = map.getCenter();
-    if (!c || !Number.isFinite(c.lat) || !Number.isFinite(c.lng)) {
-      throw new Error("Map center is not finite");
-    }
-    map.setMaxBounds(MAP_NAV_BOUNDS);
-    map.options.maxBoundsViscosity = 1.0;
-    maxBoundsRetryCount = 0;
-  } catch (e) {
-    if (maxBoundsRetryCount < MAX_BOUNDS_RETRIES) {
-      maxBoundsRetryCount += 1;
-      setTimeout(() => {
-        try { map.invalidateSize({ pan: false }); } catch (err) {}
-        applyMaxBoundsSafely();
-      }, 50);
-    } else {
-      if (!maxBoundsDeferredHooked) {
-        maxBoundsDeferredHooked = true;
-        try { map.once("load", applyMaxBoundsSafely); } catch (err) {}
-        try { map.once("resize", applyMaxBoundsSafely); } catch (err) {}
-        setTimeout(() => {
-          maxBoundsRetryCount = 0;
-          applyMaxBoundsSafely();
-        }, 300);
-      }
-    }
+
+  const combineEl = document.getElementById('expr-filter-combine');
+  if (combineEl) {
+    combineEl.addEventListener('change', () => {
+      expressionFilterDraft.combine = combineEl.value === "or" ? "or" : "and";
+    });
   }
-}
 
-function applyHomeView() {
-  const homePadY = HOME_VERTICAL_PADDING_PX + (isEdgeBrowser() ? EDGE_HOME_VERTICAL_PADDING_EXTRA_PX : 0);
-  if (!hasUsableMapViewport()) {
-    map.setView(INITIAL_HOME_CENTER, INITIAL_HOME_ZOOM, { animate: false });
-    if (homeViewRetryCount < MAX_HOME_VIEW_RETRIES) {
-      homeViewRetryCount += 1;
-      setTimeout(() => {
-        try { map.invalidateSize({ pan: false }); } catch (e) {}
-        applyHomeView();
-      }, 40);
-    }
-    return;
+  const applyBtn = document.getElementById('btnExprFilterApply');
+  if (applyBtn) {
+    applyBtn.addEventListener('click', () => {
+      const clean = normalizeExpressionFilter(expressionFilterDraft);
+      if (expressionFilterDraft.conditions.length && (!clean || clean.conditions.length !== expressionFilterDraft.conditions.length)) {
+        showPopup("Complete or remove the conditions that are missing a value.", "error");
+        return;
+      }
+      setLayerExpressionFilter(clean);
+      const count = geojsonData ? getFilteredFeatures(geojsonData).length : 0;
+      if (clean) showPopup(`Filter applied: ${count.toLocaleString()} feature(s) match.`, "success");
+    });
   }
-  homeViewRetryCount = 0;
-  if (INITIAL_HOME_BOUNDS && typeof map.fitBounds === "function") {
-    map.fitBounds(trimBoundsHorizontally(INITIAL_HOME_BOUNDS), {
-      animate: false,
-      // Keep north/south stable, align east/west to visible map area.
-      paddingTopLeft: [MAP_SIDE_VISIBLE_INSET_PX, homePadY],
-      paddingBottomRight: [MAP_SIDE_VISIBLE_INSET_PX, homePadY]
+
+  const clearBtn = document.getElementById('btnExprFilterClear');
+  if (clearBtn) {
+    clearBtn.addEventListener('click', () => {
+      expressionFilterDraft = { combine: "and", conditions: [] };
+      setLayerExpressionFilter(null);
     });
-  } else {
-    map.setView(INITIAL_HOME_CENTER, INITIAL_HOME_ZOOM, { animate: false });
   }
-  map.panBy([0, 10], { animate: false });
-  safePanInsideBounds(MAP_NAV_BOUNDS, { animate: false });
+})();
+
+//Field Calculator (safe expression parser, no eval)
+const FIELD_CALC_MAX_EXPRESSION = 1000;
+const FIELD_CALC_MAX_NAME = 64;
+
+function toCalcNumber(v) {
+  if (v == null || v === "" || typeof v === "boolean") return typeof v === "boolean" ? Number(v) : null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
 }
 
-function syncLayoutWithHeaderHeight() {
-  const header = document.querySelector('header.fixed-top');
-  if (!header || !document.documentElement) return;
-  const headerHeight = Math.max(0, Math.ceil(header.getBoundingClientRect().height));
-  if (!headerHeight) return;
-  setDynamicStyle(document.documentElement, { "--app-header-height": `${headerHeight}px` });
-  applyMapHorizontalLayout();
-  if (map && typeof map.invalidateSize === "function") {
-    setTimeout(() => map.invalidateSize({ pan: false }), 0);
-  }
+function toCalcText(v) {
+  return v == null ? "" : String(v);
 }
 
-function applyMapHorizontalLayout() {
-  const mapContainer = document.getElementById('map-container');
-  const mapEl = document.getElementById('map');
-  if (mapContainer) {
-    const sideMargin = Math.max(0, SIDEBAR_WIDTH_PX - MAP_OVERLAP_PX);
-    setDynamicStyle(mapContainer, {
-      "margin-left": `${sideMargin}px`,
-      "margin-right": `${sideMargin}px`
-    });
+function calcNumeric(fn) {
+  return (...args) => {
+    const nums = args.map(toCalcNumber);
+    if (nums.some(n => n == null)) return null;
+    const out = fn(...nums);
+    return Number.isFinite(out) ? out : null;
+  };
+}
+
+// name: [minArgs, maxArgs, fn]; "if" is evaluated lazily in evaluateCalcNode.
+const FIELD_CALC_FUNCTIONS = {
+  abs: [1, 1, calcNumeric(Math.abs)],
+  round: [1, 2, calcNumeric((x, d = 0) => {
+    const f = Math.pow(10, Math.max(0, Math.min(10, Math.trunc(d))));
+    return Math.round(x * f) / f;
+  })],
+  floor: [1, 1, calcNumeric(Math.floor)],
+  ceil: [1, 1, calcNumeric(Math.ceil)],
+  sqrt: [1, 1, calcNumeric(Math.sqrt)],
+  log: [1, 1, calcNumeric(Math.log10)],
+  ln: [1, 1, calcNumeric(Math.log)],
+  pow: [2, 2, calcNumeric(Math.pow)],
+  min: [1, 20, calcNumeric(Math.min)],
+  max: [1, 20, calcNumeric(Math.max)],
+  number: [1, 1, (v) => toCalcNumber(v)],
+  text: [1, 1, (v) => (v == null ? null : String(v))],
+  upper: [1, 1, (v) => toCalcText(v).toUpperCase()],
+  lower: [1, 1, (v) => toCalcText(v).toLowerCase()],
+  trim: [1, 1, (v) => toCalcText(v).trim()],
+  len: [1, 1, (v) => toCalcText(v).length],
+  substr: [2, 3, (v, start, count) => {
+    const text = toCalcText(v);
+    const from = Math.max(0, (toCalcNumber(start) || 1) - 1);
+    return count == null ? text.slice(from) : text.slice(from, from + Math.max(0, toCalcNumber(count) || 0));
+  }],
+  replace: [3, 3, (v, find, rep) => toCalcText(v).split(toCalcText(find)).join(toCalcText(rep))],
+  concat: [1, 20, (...args) => args.map(toCalcText).join("")],
+  coalesce: [1, 20, (...args) => args.find(a => !isEmptyFilterValue(a)) ?? null],
+  isnull: [1, 1, (v) => isEmptyFilterValue(v)]
+};
+
+function tokenizeCalcExpression(src) {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    const numMatch = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(src.slice(i));
+    if (numMatch) {
+      tokens.push({ type: "num", value: Number(numMatch[0]), pos: i });
+      i += numMatch[0].length;
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      let j = i + 1;
+      let text = "";
+      while (j < src.length) {
+        if (src[j] === "\\" && j + 1 < src.length) { text += src[j + 1]; j += 2; continue; }
+        if (src[j] === ch) {
+          if (src[j + 1] === ch) { text += ch; j += 2; continue; }
+          break;
+        }
+        text += src[j++];
+      }
+      if (j >= src.length) throw new Error(`Unclosed text starting at position ${i + 1}.`);
+      tokens.push({ type: "str", value: text, pos: i });
+      i = j + 1;
+      continue;
+    }
+    if (ch === "[") {
+      const end = src.indexOf("]", i + 1);
+      if (end < 0) throw new Error(`Unclosed [field] starting at position ${i + 1}.`);
+      tokens.push({ type: "field", value: src.slice(i + 1, end), pos: i });
+      i = end + 1;
+      continue;
+    }
+    const identMatch = /^[A-Za-z_][\w]*/.exec(src.slice(i));
+    if (identMatch) {
+      tokens.push({ type: "ident", value: identMatch[0], pos: i });
+      i += identMatch[0].length;
+      continue;
+    }
+    const two = src.slice(i, i + 2);
+    if (["<=", ">=", "!=", "<>", "==", "&&", "||"].includes(two)) {
+      tokens.push({ type: "op", value: two, pos: i });
+      i += 2;
+      continue;
+    }
+    if ("+-*/%^&()<>=!,".includes(ch)) {
+      tokens.push({ type: "op", value: ch, pos: i });
+      i++;
+      continue;
+    }
+    throw new Error(`Unexpected character "${ch}" at position ${i + 1}.`);
+  }
+  return tokens;
+}
+
+// Recursive-descent parser: or > and > not > comparison > & > + - > * / % > unary > ^.
+function parseCalcExpression(src) {
+  const text = String(src || "");
+  if (!text.trim()) throw new Error("Enter an expression.");
+  if (text.length > FIELD_CALC_MAX_EXPRESSION) throw new Error(`Expression is longer than ${FIELD_CALC_MAX_EXPRESSION} characters.`);
+  const tokens = tokenizeCalcExpression(text);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (...ops) => peek()?.type === "op" && ops.includes(peek().value);
+  const isWord = (...words) => peek()?.type === "ident" && words.includes(peek().value.toLowerCase());
+  const expectOp = (op) => {
+    if (!isOp(op)) {
+      const t = peek();
+      throw new Error(t ? `Expected "${op}" at position ${t.pos + 1}.` : `Expected "${op}" at end of expression.`);
+    }
+    pos++;
+  };
+
+  function parseOr() {
+    let left = parseAnd();
+    while (isOp("||") || isWord("or")) {
+      pos++;
+      left = { type: "binary", op: "or", left, right: parseAnd() };
+    }
+    return left;
   }
-  if (mapEl) {
-    const leftCtl = mapEl.querySelector('.leaflet-left');
-    const rightCtl = mapEl.querySelector('.leaflet-right');
-    if (leftCtl) setDynamicStyle(leftCtl, { left: `${MAP_SIDE_VISIBLE_INSET_PX}px` });
-    if (rightCtl) setDynamicStyle(rightCtl, { right: `${MAP_SIDE_VISIBLE_INSET_PX}px` });
+  function parseAnd() {
+    let left = parseNot();
+    while (isOp("&&") || isWord("and")) {
+      pos++;
+      left = { type: "binary", op: "and", left, right: parseNot() };
+    }
+    return left;
+  }
+  function parseNot() {
+    if (isOp("!") || isWord("not")) {
+      pos++;
+      return { type: "unary", op: "not", arg: parseNot() };
+    }
+    return parseComparison();
+  }
+  function parseComparison() {
+    let left = parseConcat();
+    while (isOp("=", "==", "!=", "<>", "<", "<=", ">", ">=")) {
+      let op = tokens[pos++].value;
+      if (op === "==") op = "=";
+      if (op === "<>") op = "!=";
+      left = { type: "binary", op, left, right: parseConcat() };
+    }
+    return left;
+  }
+  function parseConcat() {
+    let left = parseAdditive();
+    while (isOp("&")) {
+      pos++;
+      left = { type: "binary", op: "&", left, right: parseAdditive() };
+    }
+    return left;
+  }
+  function parseAdditive() {
+    let left = parseMultiplicative();
+    while (isOp("+", "-")) {
+      const op = tokens[pos++].value;
+      left = { type: "binary", op, left, right: parseMultiplicative() };
+    }
+    return left;
+  }
+  function parseMultiplicative() {
+    let left = parseUnary();
+    while (isOp("*", "/", "%")) {
+      const op = tokens[pos++].value;
+      left = { type: "binary", op, left, right: parseUnary() };
+    }
+    return left;
+  }
+  function parseUnary() {
+    if (isOp("-", "+")) {
+      const op = tokens[pos++].value;
+      const arg = parseUnary();
+      return op === "-" ? { type: "unary", op: "neg", arg } : arg;
+    }
+    return parsePower();
+  }
+  function parsePower() {
+    const base = parsePrimary();
+    if (isOp("^")) {
+      pos++;
+      return { type: "binary", op: "^", left: base, right: parseUnary() };
+    }
+    return base;
+  }
+  function parsePrimary() {
+    const t = peek();
+    if (!t) throw new Error("Expression ends unexpectedly.");
+    if (t.type === "num" || t.type === "str") {
+      pos++;
+      return { type: "lit", value: t.value };
+    }
+    if (t.type === "field") {
+      pos++;
+      return { type: "field", name: t.value };
+    }
+    if (t.type === "ident") {
+      pos++;
+      const word = t.value.toLowerCase();
+      if (isOp("(")) {
+        pos++;
+        const args = [];
+        if (!isOp(")")) {
+          args.push(parseOr());
+          while (isOp(",")) {
+            pos++;
+            args.push(parseOr());
+          }
+        }
+        expectOp(")");
+        if (word === "if") {
+          if (args.length < 2 || args.length > 3) throw new Error("if() takes a condition, a value and an optional else value.");
+          return { type: "if", args };
+        }
+        const def = Object.prototype.hasOwnProperty.call(FIELD_CALC_FUNCTIONS, word) ? FIELD_CALC_FUNCTIONS[word] : null;
+        if (!def) throw new Error(`Unknown function "${t.value}".`);
+        if (args.length < def[0] || args.length > def[1]) throw new Error(`Wrong number of arguments for ${word}().`);
+        return { type: "call", name: word, args };
+      }
+      if (word === "true" || word === "false") return { type: "lit", value: word === "true" };
+      if (word === "null") return { type: "lit", value: null };
+      return { type: "field", name: t.value };
+    }
+    if (isOp("(")) {
+      pos++;
+      const inner = parseOr();
+      expectOp(")");
+      return inner;
+    }
+    throw new Error(`Unexpected "${t.value}" at position ${t.pos + 1}.`);
   }
-}
 
-applyHomeView();
-applyMaxBoundsSafely();
+  const ast = parseOr();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].value}" at position ${tokens[pos].pos + 1}.`);
+  return ast;
+}
 
-function goHomeView() {
-  applyHomeView();
-  resetAllMapUiPositions();
+function collectCalcFields(node, out = new Set()) {
+  if (!node) return out;
+  if (node.type === "field") out.add(node.name);
+  if (node.left) collectCalcFields(node.left, out);
+  if (node.right) collectCalcFields(node.right, out);
+  if (node.arg) collectCalcFields(node.arg, out);
+  (node.args || []).forEach(a => collectCalcFields(a, out));
+  return out;
 }
 
-function isAfricaLikeLayerExtent(bounds) {
-  if (!bounds || typeof bounds.isValid !== "function" || !bounds.isValid()) return false;
-  if (!INITIAL_HOME_BOUNDS || typeof INITIAL_HOME_BOUNDS.isValid !== "function" || !INITIAL_HOME_BOUNDS.isValid()) return false;
-  const bSw = bounds.getSouthWest();
-  const bNe = bounds.getNorthEast();
-  const hSw = INITIAL_HOME_BOUNDS.getSouthWest();
-  const hNe = INITIAL_HOME_BOUNDS.getNorthEast();
-  const bLatSpan = Math.max(0, bNe.lat - bSw.lat);
-  const bLngSpan = Math.max(0, bNe.lng - bSw.lng);
-  const hLatSpan = Math.max(0.0001, hNe.lat - hSw.lat);
-  const hLngSpan = Math.max(0.0001, hNe.lng - hSw.lng);
-  const latCoverage = bLatSpan / hLatSpan;
-  const lngCoverage = bLngSpan / hLngSpan;
-  const padded = bounds.pad(0.03);
-  const containsHome = padded.contains(hSw) && padded.contains(hNe);
-  return containsHome || (latCoverage >= IMPORT_EXTENT_HOME_COVERAGE_RATIO && lngCoverage >= IMPORT_EXTENT_HOME_COVERAGE_RATIO);
+function isCalcTruthy(v) {
+  if (typeof v === "string") return v.trim() !== "" && v.trim().toLowerCase() !== "false";
+  return !!v;
 }
 
-function fitToLayerExtent(layer, options = {}) {
-  if (!layer || typeof layer.getBounds !== "function") return false;
-  const bounds = layer.getBounds();
-  if (!bounds || typeof bounds.isValid !== "function" || !bounds.isValid()) return false;
-  const maxZoom = Number.isFinite(options.maxZoom) ? options.maxZoom : undefined;
-  const shouldKeepHome = options.keepHomeWhenAfricaLike !== false;
-  if (shouldKeepHome && isAfricaLikeLayerExtent(bounds)) {
-    applyHomeView();
-    return true;
+function evaluateCalcNode(node, props) {
+  switch (node.type) {
+    case "lit": return node.value;
+    case "field": return props?.[node.name] ?? null;
+    case "if": {
+      const [cond, yes, no] = node.args;
+      if (isCalcTruthy(evaluateCalcNode(cond, props))) return evaluateCalcNode(yes, props);
+      return no ? evaluateCalcNode(no, props) : null;
+    }
+    case "call": return FIELD_CALC_FUNCTIONS[node.name][2](...node.args.map(a => evaluateCalcNode(a, props)));
+    case "unary": {
+      const v = evaluateCalcNode(node.arg, props);
+      if (node.op === "not") return !isCalcTruthy(v);
+      const n = toCalcNumber(v);
+      return n == null ? null : -n;
+    }
+    case "binary": {
+      if (node.op === "and") return isCalcTruthy(evaluateCalcNode(node.left, props)) && isCalcTruthy(evaluateCalcNode(node.right, props));
+      if (node.op === "or") return isCalcTruthy(evaluateCalcNode(node.left, props)) || isCalcTruthy(evaluateCalcNode(node.right, props));
+      const a = evaluateCalcNode(node.left, props);
+      const b = evaluateCalcNode(node.right, props);
+      if (node.op === "&") return toCalcText(a) + toCalcText(b);
+      if (["=", "!=", "<", "<=", ">", ">="].includes(node.op)) {
+        if (isEmptyFilterValue(a) || isEmptyFilterValue(b)) {
+          const bothEmpty = isEmptyFilterValue(a) && isEmptyFilterValue(b);
+          return node.op === "=" ? bothEmpty : node.op === "!=" ? !bothEmpty : false;
+        }
+        const c = compareFilterValues(a, b);
+        return node.op === "=" ? c === 0
+          : node.op === "!=" ? c !== 0
+          : node.op === "<" ? c < 0
+          : node.op === "<=" ? c <= 0
+          : node.op === ">" ? c > 0
+          : c >= 0;
+      }
+      const x = toCalcNumber(a);
+      const y = toCalcNumber(b);
+      // "+" joins text when either side is not a number.
+      if (node.op === "+" && (x == null || y == null) && (typeof a === "string" || typeof b === "string")) {
+        return (a == null || b == null) ? null : toCalcText(a) + toCalcText(b);
+      }
+      if (x == null || y == null) return null;
+      let out;
+      if (node.op === "+") out = x + y;
+      else if (node.op === "-") out = x - y;
+      else if (node.op === "*") out = x * y;
+      else if (node.op === "/") out = y === 0 ? null : x / y;
+      else if (node.op === "%") out = y === 0 ? null : x % y;
+      else out = Math.pow(x, y);
+      return Number.isFinite(out) ? out : null;
+    }
+    default:
+      return null;
   }
-
-  const fitOptions = {
-    animate: false,
-    paddingTopLeft: [MAP_SIDE_VISIBLE_INSET_PX, 16],
-    paddingBottomRight: [MAP_SIDE_VISIBLE_INSET_PX, 35]
-  };
-  if (Number.isFinite(maxZoom)) fitOptions.maxZoom = maxZoom;
-
-  map.fitBounds(trimBoundsHorizontally(bounds), {
-    ...fitOptions
-  });
-  map.panBy([0, 10], { animate: false });
-  safePanInsideBounds(MAP_NAV_BOUNDS, { animate: false });
-  return true;
 }
 
-const HomeControl = L.Control.extend({
-  options: { position: 'topleft' },
-  onAdd: function() {
-    const container = L.DomUtil.create('div', 'leaflet-bar leaflet-control leaflet-control-home');
-    const link = L.DomUtil.create('a', 'leaflet-control-home-btn', container);
-    link.href = '#';
-    link.title = 'Home view';
-    link.setAttribute('aria-label', 'Home view');
-    link.textContent = '⌂';
-    // styles moved to CSS (CSP-safe)
-    L.DomEvent.on(link, 'click', L.DomEvent.stop)
-      .on(link, 'click', () => goHomeView());
-    return container;
+// Parse once, check field names, then add the result to every feature of the active layer.
+function runFieldCalculator(fieldName, expression) {
+  if (!currentLayerName || !geojsonData || !Array.isArray(geojsonData.features) || !geojsonData.features.length) {
+    throw new Error("Load a layer first.");
   }
-});
-const homeControl = new HomeControl();
-map.addControl(homeControl);
-// Force the Home control below zoom buttons.
-setTimeout(() => {
-  const zoomControl = map.zoomControl && map.zoomControl.getContainer ? map.zoomControl.getContainer() : null;
-  const homeContainer = homeControl && homeControl.getContainer ? homeControl.getContainer() : null;
-  if (!zoomControl || !homeContainer || !zoomControl.parentNode) return;
-  setDynamicStyle(homeContainer, { "margin-top": "8px" });
-  zoomControl.parentNode.insertBefore(homeContainer, zoomControl.nextSibling);
-}, 0);
+  const name = sanitizePlainText(fieldName).slice(0, FIELD_CALC_MAX_NAME);
+  if (!name) throw new Error("Enter a name for the new field.");
+  if (/^__rma_/i.test(name)) throw new Error("Field names starting with __rma_ are reserved.");
+  if (name === "__proto__") throw new Error("__proto__ cannot be used as a field name.");
 
-const draggableMapControls = new Set();
-const draggableControlInitialResolvers = new WeakMap();
+  const ast = parseCalcExpression(expression);
+  const known = new Set();
+  geojsonData.features.slice(0, ATTRIBUTE_TABLE_COLUMN_SCAN).forEach(f => Object.keys(f?.properties || {}).forEach(k => known.add(k)));
+  const missing = Array.from(collectCalcFields(ast)).filter(f => !known.has(f));
+  if (missing.length) throw new Error(`Unknown field(s): ${missing.join(", ")}.`);
 
-function clampDraggableControl(el, mapEl) {
-  const rect = mapEl.getBoundingClientRect();
-  const maxLeft = Math.max(0, rect.width - el.offsetWidth);
-  const maxTop = Math.max(0, rect.height - el.offsetHeight);
-  const left = Math.max(0, Math.min(maxLeft, parseFloat(el.dataset.leftPx) || 0));
-  const top = Math.max(0, Math.min(maxTop, parseFloat(el.dataset.topPx) || 0));
-  el.dataset.leftPx = String(left);
-  el.dataset.topPx = String(top);
-  setDynamicStyle(el, { left: `${left}px`, top: `${top}px` });
-  return { left, top, maxLeft, maxTop };
+  const exists = known.has(name);
+  if (exists && !window.confirm(`Field "${name}" already exists. Overwrite its values?`)) return null;
+
+  let filled = 0;
+  geojsonData.features.forEach(f => {
+    if (!f.properties || typeof f.properties !== "object") f.properties = {};
+    let value;
+    try {
+      value = evaluateCalcNode(ast, f.properties);
+    } catch (e) {
+      value = null;
+    }
+    if (typeof value === "number" && !Number.isFinite(value)) value = null;
+    f.properties[name] = value;
+    if (value != null) filled++;
+  });
+  return { name, filled, total: geojsonData.features.length };
 }
 
-function updateDraggableControlNorm(el, mapEl) {
-  const rect = mapEl.getBoundingClientRect();
-  const maxLeft = Math.max(0, rect.width - el.offsetWidth);
-  const maxTop = Math.max(0, rect.height - el.offsetHeight);
-  const left = Math.max(0, Math.min(maxLeft, parseFloat(el.dataset.leftPx) || 0));
-  const top = Math.max(0, Math.min(maxTop, parseFloat(el.dataset.topPx) || 0));
-  el.dataset.normX = maxLeft > 0 ? String(left / maxLeft) : "0";
-  el.dataset.normY = maxTop > 0 ? String(top / maxTop) : "0";
+// After fields were added to the active layer: store it, list the new fields and redraw.
+function refreshActiveLayerFields() {
+  markLayerDataChanged(currentLayerName);
+  const keepAttribute = currentAttribute;
+  populateAttributeList(geojsonData);
+  const attrSel = document.getElementById('attribute-select');
+  if (attrSel && keepAttribute) attrSel.value = String(keepAttribute).replace(/[^\w\-]/g, "_");
+  renderExpressionFilterBuilder();
+  updateClassMethodControls();
+  if (currentAttribute) applyClassification();
+  else renderDefaultFilteredLayer();
 }
 
-function applyDraggableControlNorm(el, mapEl) {
-  const rect = mapEl.getBoundingClientRect();
-  const maxLeft = Math.max(0, rect.width - el.offsetWidth);
-  const maxTop = Math.max(0, rect.height - el.offsetHeight);
-  const nx = Number(el.dataset.normX);
-  const ny = Number(el.dataset.normY);
-  const left = isFinite(nx) ? Math.max(0, Math.min(maxLeft, Math.round(nx * maxLeft))) : 0;
-  const top = isFinite(ny) ? Math.max(0, Math.min(maxTop, Math.round(ny * maxTop))) : 0;
-  el.dataset.leftPx = String(left);
-  el.dataset.topPx = String(top);
-  setDynamicStyle(el, { left: `${left}px`, top: `${top}px` });
+function updateFieldCalcControl() {
+  const wrap = 'field-calc-col';
+  const hasData = !!(geojsonData && Array.isArray(geojsonData.features) && geojsonData.features.length);
+  hasData ? showRow(wrap) : hideRow(wrap);
 }
 
-function repositionDraggableControls() {
-  const mapEl = map && typeof map.getContainer === "function" ? map.getContainer() : null;
-  if (!mapEl) return;
-  draggableMapControls.forEach((el) => {
-    if (!el || !el.isConnected) return;
-    const userMoved = el.dataset && el.dataset.userMoved === "1";
-    if (!userMoved && draggableControlInitialResolvers.has(el)) {
-      applyDraggableControlInitialPosition(el, mapEl, false);
-      clampDraggableControl(el, mapEl);
+(function wireFieldCalculator() {
+  const btn = document.getElementById('btnFieldCalcRun');
+  if (!btn) return;
+  btn.addEventListener('click', () => {
+    const nameEl = document.getElementById('field-calc-name');
+    const exprEl = document.getElementById('field-calc-expression');
+    let result;
+    try {
+      result = runFieldCalculator(nameEl?.value, exprEl?.value);
+    } catch (err) {
+      showPopup(String(err?.message || err), "error");
       return;
     }
-    if (el.dataset && (el.dataset.normX || el.dataset.normY)) {
-      applyDraggableControlNorm(el, mapEl);
-      clampDraggableControl(el, mapEl);
-    } else {
-      clampDraggableControl(el, mapEl);
-      updateDraggableControlNorm(el, mapEl);
+    if (!result) return;
+
+    refreshActiveLayerFields();
+    showPopup(`Field "${result.name}" added: ${result.filled.toLocaleString()} of ${result.total.toLocaleString()} feature(s) have a value.`, "success");
+  });
+})();
+
+//Geometry Simplification (Visvalingam on shared arcs, output as a new layer)
+const SIMPLIFY_SLIDER_MAX = 1000;
+const SIMPLIFY_OVERLAY_STYLE = { color: "#d62728", weight: 1.5, opacity: 0.9, dashArray: "4 3", fill: false };
+// { layerName, source, topo, original } for the active layer, built on first use of the slider.
+let simplifyState = null;
+let simplifyBuildPromise = null;
+let simplifyOverlay = null;
+
+// Binary min-heap over vertex indices with position tracking, so updated areas can be re-sorted.
+function visvalingamAreas(xs, ys) {
+  const n = xs.length;
+  const areas = new Float64Array(n);
+  areas[0] = Infinity;
+  areas[n - 1] = Infinity;
+  if (n < 3) return areas;
+  const prev = new Int32Array(n);
+  const next = new Int32Array(n);
+  const current = new Float64Array(n);
+  const heap = [];
+  const pos = new Int32Array(n).fill(-1);
+  const tri = i => Math.abs(
+    (xs[prev[i]] - xs[i]) * (ys[next[i]] - ys[i]) - (xs[next[i]] - xs[i]) * (ys[prev[i]] - ys[i])
+  ) / 2;
+  const swap = (a, b) => {
+    const t = heap[a];
+    heap[a] = heap[b];
+    heap[b] = t;
+    pos[heap[a]] = a;
+    pos[heap[b]] = b;
+  };
+  const up = k => {
+    while (k > 0) {
+      const parent = (k - 1) >> 1;
+      if (current[heap[parent]] <= current[heap[k]]) break;
+      swap(k, parent);
+      k = parent;
+    }
+  };
+  const down = k => {
+    for (;;) {
+      const l = 2 * k + 1;
+      const r = l + 1;
+      let m = k;
+      if (l < heap.length && current[heap[l]] < current[heap[m]]) m = l;
+      if (r < heap.length && current[heap[r]] < current[heap[m]]) m = r;
+      if (m === k) break;
+      swap(k, m);
+      k = m;
+    }
+  };
+  for (let i = 0; i < n; i++) {
+    prev[i] = i - 1;
+    next[i] = i + 1;
+  }
+  for (let i = 1; i < n - 1; i++) {
+    current[i] = tri(i);
+    pos[i] = heap.length;
+    heap.push(i);
+    up(heap.length - 1);
+  }
+  const refresh = i => {
+    current[i] = tri(i);
+    up(pos[i]);
+    down(pos[i]);
+  };
+  let maxArea = 0;
+  while (heap.length) {
+    const i = heap[0];
+    const last = heap.pop();
+    if (heap.length) {
+      heap[0] = last;
+      pos[last] = 0;
+      down(0);
+    }
+    pos[i] = -1;
+    // Effective areas never decrease, so one threshold gives a consistent cut.
+    maxArea = Math.max(maxArea, current[i]);
+    areas[i] = maxArea;
+    const p = prev[i];
+    const q = next[i];
+    next[p] = q;
+    prev[q] = p;
+    if (pos[p] >= 0) refresh(p);
+    if (pos[q] >= 0) refresh(q);
+  }
+  return areas;
+}
+
+// Replaces every ring/line with fn(coords, closed); points pass through.
+function mapGeometryPaths(geometry, fn) {
+  if (!geometry) return null;
+  const c = geometry.coordinates;
+  switch (geometry.type) {
+    case "LineString":
+      return { type: geometry.type, coordinates: fn(c, false) };
+    case "MultiLineString":
+      return { type: geometry.type, coordinates: c.map(l => fn(l, false)) };
+    case "Polygon":
+      return { type: geometry.type, coordinates: c.map(r => fn(r, true)) };
+    case "MultiPolygon":
+      return { type: geometry.type, coordinates: c.map(p => p.map(r => fn(r, true))) };
+    case "GeometryCollection":
+      return { type: geometry.type, geometries: (geometry.geometries || []).map(g => mapGeometryPaths(g, fn)) };
+    default:
+      return geometry;
+  }
+}
+
+// Cuts every ring and line at junctions (vertices where neighbouring shapes part ways) into arcs.
+// A border shared by two polygons becomes one arc, simplified once, so both sides stay identical.
+function buildSimplifyTopology(features) {
+  const idByKey = new Map();
+  const coords = [];
+  const paths = [];
+  const idOf = p => {
+    const key = p[0] + "," + p[1];
+    let id = idByKey.get(key);
+    if (id === undefined) {
+      id = coords.length;
+      idByKey.set(key, id);
+      coords.push([p[0], p[1]]);
+    }
+    return id;
+  };
+  const templates = features.map(f => mapGeometryPaths(f?.geometry, (positions, closed) => {
+    const ids = [];
+    (positions || []).forEach(p => {
+      const id = idOf(p);
+      if (ids[ids.length - 1] !== id) ids.push(id);
+    });
+    if (closed && ids.length > 1 && ids[0] === ids[ids.length - 1]) ids.pop();
+    const usable = closed ? ids.length >= 3 : ids.length >= 2;
+    paths.push({ closed, ids: usable ? ids : null, original: positions, parts: [] });
+    return paths.length - 1;
+  }));
+
+  const nbA = new Int32Array(coords.length).fill(-1);
+  const nbB = new Int32Array(coords.length).fill(-1);
+  const junction = new Uint8Array(coords.length);
+  const visit = (id, p, q) => {
+    const lo = Math.min(p, q);
+    const hi = Math.max(p, q);
+    if (nbA[id] === -1) {
+      nbA[id] = lo;
+      nbB[id] = hi;
+    } else if (nbA[id] !== lo || nbB[id] !== hi) {
+      junction[id] = 1;
+    }
+  };
+  paths.forEach(path => {
+    const ids = path.ids;
+    if (!ids) return;
+    const n = ids.length;
+    if (path.closed) {
+      for (let i = 0; i < n; i++) visit(ids[i], ids[(i - 1 + n) % n], ids[(i + 1) % n]);
+    } else {
+      junction[ids[0]] = 1;
+      junction[ids[n - 1]] = 1;
+      for (let i = 1; i < n - 1; i++) visit(ids[i], ids[i - 1], ids[i + 1]);
     }
   });
-}
 
-function applyDraggableControlInitialPosition(el, mapEl, refreshInit = true) {
-  const resolver = draggableControlInitialResolvers.get(el);
-  if (!resolver) return false;
-  const pos = resolver(el, mapEl) || {};
-  const initLeft = Math.max(0, Math.round(Number(pos.left) || 0));
-  const initTop = Math.max(0, Math.round(Number(pos.top) || 0));
-  el.dataset.leftPx = String(initLeft);
-  el.dataset.topPx = String(initTop);
-  setDynamicStyle(el, {
-    left: `${initLeft}px`,
-    top: `${initTop}px`,
-    right: "auto",
-    bottom: "auto"
+  const arcs = [];
+  const arcByKey = new Map();
+  const addArc = (path, ids) => {
+    const L = ids.length;
+    const reversed = ids[0] > ids[L - 1] || (ids[0] === ids[L - 1] && L > 2 && ids[1] > ids[L - 2]);
+    const canon = reversed ? ids.slice().reverse() : ids;
+    const key = `${canon[0]},${canon[1]},${canon[L - 2]},${canon[L - 1]},${L}`;
+    let arc = arcByKey.get(key);
+    if (arc === undefined) {
+      const xs = new Float64Array(L);
+      const ys = new Float64Array(L);
+      canon.forEach((id, i) => {
+        const [lon, lat] = coords[id];
+        // Local metres, so areas mean the same everywhere on the continent.
+        xs[i] = lon * 111320 * Math.cos(lat * Math.PI / 180);
+        ys[i] = lat * 110574;
+      });
+      arc = arcs.length;
+      arcs.push({ ids: Int32Array.from(canon), areas: visvalingamAreas(xs, ys), minInterior: 0 });
+      arcByKey.set(key, arc);
+    }
+    path.parts.push({ arc, reversed });
+  };
+  paths.forEach(path => {
+    const ids = path.ids;
+    if (!ids) return;
+    const n = ids.length;
+    if (!path.closed) {
+      let cur = [ids[0]];
+      for (let i = 1; i < n; i++) {
+        cur.push(ids[i]);
+        if (junction[ids[i]] && i < n - 1) {
+          addArc(path, cur);
+          cur = [ids[i]];
+        }
+      }
+      addArc(path, cur);
+      return;
+    }
+    let start = ids.findIndex(id => junction[id]);
+    if (start < 0) {
+      // Free-standing ring (island, or an island and the hole it fills): start at its lowest vertex id.
+      start = 0;
+      for (let i = 1; i < n; i++) if (ids[i] < ids[start]) start = i;
+      const ring = [];
+      for (let k = 0; k <= n; k++) ring.push(ids[(start + k) % n]);
+      addArc(path, ring);
+    } else {
+      let cur = [ids[start]];
+      for (let k = 1; k <= n; k++) {
+        const id = ids[(start + k) % n];
+        cur.push(id);
+        if (junction[id]) {
+          addArc(path, cur);
+          cur = [id];
+        }
+      }
+    }
+    // Keep rings drawable: a ring needs three distinct vertices whatever the tolerance.
+    const need = path.parts.length === 1 ? 2 : (path.parts.length === 2 ? 1 : 0);
+    path.parts.forEach(part => {
+      arcs[part.arc].minInterior = Math.max(arcs[part.arc].minInterior, need);
+    });
   });
-  if (refreshInit) {
-    el.dataset.initLeft = String(initLeft);
-    el.dataset.initTop = String(initTop);
-  }
-  updateDraggableControlNorm(el, mapEl);
-  return true;
+
+  let interior = 0;
+  arcs.forEach(arc => { interior += Math.max(0, arc.ids.length - 2); });
+  const sortedAreas = new Float64Array(interior);
+  let k = 0;
+  arcs.forEach(arc => {
+    for (let i = 1; i < arc.ids.length - 1; i++) sortedAreas[k++] = arc.areas[i];
+    // Interior indices ranked by area, for the vertices a ring must keep.
+    arc.top = [];
+    for (let i = 1; i < arc.ids.length - 1 && arc.minInterior; i++) {
+      arc.top.push(i);
+      arc.top.sort((a, b) => arc.areas[b] - arc.areas[a]);
+      if (arc.top.length > arc.minInterior) arc.top.pop();
+    }
+  });
+  sortedAreas.sort();
+  return { coords, arcs, paths, templates, sortedAreas };
 }
 
-function makeControlDraggable(control, initial) {
-  if (!control || typeof control.getContainer !== "function") return;
-  const el = control.getContainer();
-  const mapEl = map.getContainer();
-  if (!el || !mapEl) return;
+function simplifyThresholdForAmount(topo, amount) {
+  const removeCount = Math.round((amount / SIMPLIFY_SLIDER_MAX) * topo.sortedAreas.length);
+  return removeCount > 0 ? topo.sortedAreas[removeCount - 1] : -1;
+}
 
-  // Move to map root so the control can be freely positioned.
-  mapEl.appendChild(el);
-  el.classList.add("draggable-map-control");
-  el.setAttribute("contenteditable", "false");
-  el.setAttribute("draggable", "false");
-  const initialResolver = typeof initial === "function"
-    ? initial
-    : () => (initial || { left: 0, top: 0 });
-  draggableControlInitialResolvers.set(el, initialResolver);
-  applyDraggableControlInitialPosition(el, mapEl, true);
-  draggableMapControls.add(el);
+function keptArcIndices(arc, threshold) {
+  const L = arc.ids.length;
+  const keep = [0];
+  let interiorKept = 0;
+  for (let i = 1; i < L - 1; i++) {
+    if (arc.areas[i] > threshold) {
+      keep.push(i);
+      interiorKept++;
+    }
+  }
+  if (interiorKept < arc.minInterior) {
+    arc.top.forEach(i => {
+      if (!keep.includes(i)) keep.push(i);
+    });
+    keep.sort((a, b) => a - b);
+  }
+  if (L > 1) keep.push(L - 1);
+  return keep;
+}
 
-  let dragging = false;
-  let startX = 0;
-  let startY = 0;
-  let baseLeft = 0;
-  let baseTop = 0;
+function countSimplifiedVertices(topo, threshold) {
+  const kept = topo.arcs.map(arc => {
+    const L = arc.ids.length;
+    let above = 0;
+    for (let i = 1; i < L - 1; i++) if (arc.areas[i] > threshold) above++;
+    return Math.min(L, 2 + Math.max(above, Math.min(arc.minInterior, L - 2)));
+  });
+  let total = 0;
+  topo.paths.forEach(path => {
+    if (!path.ids) {
+      total += (path.original || []).length;
+      return;
+    }
+    total += 1 + path.parts.reduce((sum, part) => sum + kept[part.arc] - 1, 0);
+  });
+  topo.templates.forEach(t => {
+    if (t?.type === "Point") total += 1;
+    else if (t?.type === "MultiPoint") total += t.coordinates.length;
+  });
+  return total;
+}
 
-  const onPointerMove = (evt) => {
-    if (!dragging) return;
-    const rect = mapEl.getBoundingClientRect();
-    const dx = evt.clientX - startX;
-    const dy = evt.clientY - startY;
-    const maxLeft = Math.max(0, rect.width - el.offsetWidth);
-    const maxTop = Math.max(0, rect.height - el.offsetHeight);
-    const nextLeft = Math.max(0, Math.min(maxLeft, baseLeft + dx));
-    const nextTop = Math.max(0, Math.min(maxTop, baseTop + dy));
-    el.dataset.leftPx = String(nextLeft);
-    el.dataset.topPx = String(nextTop);
-    setDynamicStyle(el, { left: `${nextLeft}px`, top: `${nextTop}px` });
-  };
+function simplifiedPathCoordinates(topo, path, keptByArc) {
+  if (!path.ids) return path.original;
+  const out = [];
+  path.parts.forEach((part, n) => {
+    const arc = topo.arcs[part.arc];
+    const idx = keptByArc[part.arc];
+    const order = part.reversed ? idx.slice().reverse() : idx;
+    order.forEach((i, k) => {
+      if (n > 0 && k === 0) return;
+      out.push(topo.coords[arc.ids[i]].slice());
+    });
+  });
+  if (path.closed && out.length < 4) return null;
+  return out;
+}
 
-  const stopDrag = () => {
-    if (!dragging) return;
-    dragging = false;
-    el.classList.remove("is-dragging");
-    el.dataset.userMoved = "1";
-    clampDraggableControl(el, mapEl);
-    updateDraggableControlNorm(el, mapEl);
-    if (map.dragging && map.dragging.enabled && !map.dragging.enabled()) {
-      map.dragging.enable();
+function rebuildSimplifiedGeometry(template, pathCoords) {
+  if (!template) return null;
+  const c = template.coordinates;
+  switch (template.type) {
+    case "LineString":
+      return { type: "LineString", coordinates: pathCoords[c] };
+    case "MultiLineString":
+      return { type: "MultiLineString", coordinates: c.map(i => pathCoords[i]) };
+    case "Polygon": {
+      const rings = c.map(i => pathCoords[i]);
+      return rings[0] ? { type: "Polygon", coordinates: rings.filter(Boolean) } : null;
     }
-    window.removeEventListener("pointermove", onPointerMove);
-    window.removeEventListener("pointerup", stopDrag);
-    window.removeEventListener("pointercancel", stopDrag);
-  };
-
-  el.addEventListener("pointerdown", (evt) => {
-    if (!evt.isPrimary) return;
-    if (evt.pointerType === "mouse" && evt.button !== 0) return;
-    evt.preventDefault();
-    dragging = true;
-    el.classList.add("is-dragging");
-    startX = evt.clientX;
-    startY = evt.clientY;
-    baseLeft = parseFloat(el.dataset.leftPx) || 0;
-    baseTop = parseFloat(el.dataset.topPx) || 0;
-    if (el.setPointerCapture) {
-      try { el.setPointerCapture(evt.pointerId); } catch (err) {}
+    case "MultiPolygon": {
+      const polys = c.map(p => p.map(i => pathCoords[i])).filter(rings => rings[0]).map(rings => rings.filter(Boolean));
+      return polys.length ? { type: "MultiPolygon", coordinates: polys } : null;
     }
-    if (map.dragging && map.dragging.enabled && map.dragging.enabled()) {
-      map.dragging.disable();
+    case "GeometryCollection": {
+      const members = template.geometries.map(g => rebuildSimplifiedGeometry(g, pathCoords)).filter(Boolean);
+      return members.length ? { type: "GeometryCollection", geometries: members } : null;
     }
-    window.addEventListener("pointermove", onPointerMove);
-    window.addEventListener("pointerup", stopDrag);
-    window.addEventListener("pointercancel", stopDrag);
-  });
+    default:
+      return JSON.parse(JSON.stringify(template));
+  }
 }
 
-function getBottomCenterPosition(el, mapEl, bottomPx = 14, offsetXPx = 0) {
-  const mapW = mapEl.clientWidth || 0;
-  const mapH = mapEl.clientHeight || 0;
-  const left = Math.max(0, Math.round((mapW - el.offsetWidth) / 2) + offsetXPx);
-  const top = Math.max(0, Math.round(mapH - bottomPx - el.offsetHeight));
-  return { left, top };
+function simplifyFeatures(features, topo, threshold) {
+  const keptByArc = topo.arcs.map(arc => keptArcIndices(arc, threshold));
+  const pathCoords = topo.paths.map(path => simplifiedPathCoordinates(topo, path, keptByArc));
+  return features.map((f, i) => ({
+    type: "Feature",
+    properties: { ...(f?.properties || {}) },
+    // Shapes that shrink below a valid ring keep their original geometry rather than vanish.
+    geometry: rebuildSimplifiedGeometry(topo.templates[i], pathCoords) || (f?.geometry ? JSON.parse(JSON.stringify(f.geometry)) : null)
+  }));
 }
 
-function getTopRightPosition(el, mapEl, marginPx = 12) {
-  const mapW = mapEl.clientWidth || 0;
-  const left = Math.max(
-    MAP_SIDE_VISIBLE_INSET_PX,
-    Math.round(mapW - MAP_SIDE_VISIBLE_INSET_PX - el.offsetWidth - marginPx)
-  );
-  const top = Math.max(0, marginPx);
-  return { left, top };
+function formatSimplifyDetail(area) {
+  const size = Math.sqrt(Math.max(0, area));
+  return size >= 1000 ? `${formatNumber(size / 1000, 1)} km` : `${Math.round(size)} m`;
 }
 
-function formatScaleDistance(meters) {
-  if (!isFinite(meters) || meters <= 0) return "--";
-  if (meters >= 1000) {
-    const km = meters / 1000;
-    if (km >= 1000) return `${Math.round(km)} kilometer`;
-    if (km >= 100) return `${km.toFixed(1)} kilometer`;
-    if (km >= 10) return `${km.toFixed(2)} kilometer`;
-    return `${km.toFixed(3)} kilometer`;
+function clearSimplifyOverlay() {
+  if (simplifyOverlay && map.hasLayer(simplifyOverlay)) map.removeLayer(simplifyOverlay);
+  simplifyOverlay = null;
+}
+
+function layerHasLinework(data) {
+  return !!(data?.features || []).some(f => /LineString|Polygon|GeometryCollection/.test(f?.geometry?.type || ""));
+}
+
+function updateSimplifyControl() {
+  const wrap = 'simplify-col';
+  const slider = document.getElementById('simplify-amount');
+  const summary = document.getElementById('simplify-summary');
+  if (simplifyState && (simplifyState.layerName !== currentLayerName || simplifyState.source !== geojsonData)) {
+    simplifyState = null;
+    clearSimplifyOverlay();
+    if (slider) slider.value = "0";
+    if (summary) summary.textContent = "";
   }
-  return `${Math.round(meters)} meter`;
+  layerHasLinework(geojsonData) ? showRow(wrap) : hideRow(wrap);
 }
 
-const ExactScaleControl = L.Control.extend({
-  options: { position: "bottomleft", widthPx: 160 },
-  onAdd: function(controlMap) {
-    this._map = controlMap;
-    const container = L.DomUtil.create("div", "leaflet-control leaflet-control-exact-scale");
-    const label = L.DomUtil.create("div", "exact-scale-label", container);
-    const prefix = L.DomUtil.create("span", "exact-scale-prefix", label);
-    const value = L.DomUtil.create("span", "exact-scale-value", label);
-    prefix.textContent = "Scale: ";
-    value.textContent = "--";
-    this._value = value;
-    L.DomEvent.disableClickPropagation(container);
-    L.DomEvent.disableScrollPropagation(container);
-    this._map.on("zoom move resize", this._update, this);
-    setTimeout(() => this._update(), 0);
-    return container;
-  },
-  onRemove: function(controlMap) {
-    controlMap.off("zoom move resize", this._update, this);
-  },
-  _update: function() {
-    if (!this._map || !this._value) return;
-    const size = this._map.getSize();
-    const sx = Number(size && size.x);
-    const sy = Number(size && size.y);
-    if (!Number.isFinite(sx) || !Number.isFinite(sy) || sx <= 0 || sy <= 0) {
-      this._value.textContent = "--";
+function ensureSimplifyTopology() {
+  if (simplifyState) return Promise.resolve(simplifyState.topo);
+  if (!currentLayerName || !layerHasLinework(geojsonData)) {
+    return Promise.reject(new Error("Select a line or polygon layer first."));
+  }
+  if (!simplifyBuildPromise) {
+    simplifyBuildPromise = (async () => {
+      showLoading("Finding shared borders...");
+      await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+      const source = geojsonData;
+      const layerName = currentLayerName;
+      const topo = buildSimplifyTopology(source.features);
+      simplifyState = { layerName, source, topo, original: datasetBudgetStats(source).vertexCount };
+      return topo;
+    })().finally(() => {
+      simplifyBuildPromise = null;
+      hideLoading();
+    });
+  }
+  return simplifyBuildPromise;
+}
+
+function updateSimplifyPreview({ overlay = false } = {}) {
+  if (!simplifyState) return;
+  const slider = document.getElementById('simplify-amount');
+  const summary = document.getElementById('simplify-summary');
+  const showOverlay = document.getElementById('simplify-overlay')?.checked;
+  const amount = Number(slider?.value) || 0;
+  const { topo, original } = simplifyState;
+  const threshold = simplifyThresholdForAmount(topo, amount);
+  const after = countSimplifiedVertices(topo, threshold);
+  if (summary) {
+    const pct = original ? Math.round((after / original) * 100) : 100;
+    const detail = threshold > 0 ? `, details under about ${formatSimplifyDetail(threshold)} removed` : "";
+    summary.textContent = `Vertices: ${original.toLocaleString()} → ${after.toLocaleString()} (${pct}%)${detail}`;
+  }
+  if (!overlay) return;
+  clearSimplifyOverlay();
+  if (!showOverlay || threshold < 0) return;
+  const features = simplifyFeatures(geojsonData.features, topo, threshold)
+    .filter(f => f.geometry && !/Point/.test(f.geometry.type));
+  simplifyOverlay = L.geoJSON({ type: "FeatureCollection", features }, {
+    interactive: false,
+    style: () => SIMPLIFY_OVERLAY_STYLE
+  }).addTo(map);
+}
+
+async function runSimplification() {
+  const topo = await ensureSimplifyTopology();
+  const amount = Number(document.getElementById('simplify-amount')?.value) || 0;
+  if (amount <= 0) throw new Error("Move the slider to choose how much to simplify.");
+  const threshold = simplifyThresholdForAmount(topo, amount);
+  const sourceName = currentLayerName;
+  const geojson = { type: "FeatureCollection", features: simplifyFeatures(geojsonData.features, topo, threshold) };
+  clearSimplifyOverlay();
+  const name = await addImportedLayer(geojson, `${sourceName} simplified`, "Simplified layer");
+  return { name, sourceName, vertices: datasetBudgetStats(geojson).vertexCount };
+}
+
+(function wireSimplification() {
+  const slider = document.getElementById('simplify-amount');
+  const overlayBox = document.getElementById('simplify-overlay');
+  const btn = document.getElementById('btnSimplifyRun');
+  if (!slider || !btn) return;
+  let frame = 0;
+  slider.addEventListener('input', async () => {
+    try {
+      await ensureSimplifyTopology();
+    } catch (err) {
+      showPopup(String(err?.message || err), "error");
       return;
     }
-    const y = Math.max(0, size.y - 24);
-    const x = Math.max(0, Math.round((size.x - this.options.widthPx) / 2));
-    const p1 = L.point(x, y);
-    const p2 = L.point(x + this.options.widthPx, y);
+    cancelAnimationFrame(frame);
+    frame = requestAnimationFrame(() => updateSimplifyPreview());
+  });
+  // The overlay is rebuilt when the slider is released; the vertex count follows every move.
+  slider.addEventListener('change', () => updateSimplifyPreview({ overlay: true }));
+  if (overlayBox) overlayBox.addEventListener('change', () => updateSimplifyPreview({ overlay: true }));
+  btn.addEventListener('click', async () => {
     try {
-      const ll1 = this._map.containerPointToLatLng(p1);
-      const ll2 = this._map.containerPointToLatLng(p2);
-      const meters = this._map.distance(ll1, ll2);
-      this._value.textContent = formatScaleDistance(meters);
-    } catch (e) {
-      this._value.textContent = "--";
-      logEdgeExportDebug("scaleControl.updateSkipped", {
-        reason: "invalid-map-geometry",
-        sizeX: sx,
-        sizeY: sy
-      });
+      const result = await runSimplification();
+      showPopup(`Layer "${result.name}" created from "${result.sourceName}" with ${result.vertices.toLocaleString()} vertices.`, "success");
+    } catch (err) {
+      showPopup(String(err?.message || err), "error");
     }
-  }
-});
-const scaleControl = new ExactScaleControl({ widthPx: 160 });
-map.addControl(scaleControl);
+  });
+})();
 
-function placeScaleBarOnMapBottom(control) {
-  if (!control || typeof control.getContainer !== "function") return;
-  const el = control.getContainer();
-  const mapEl = map && typeof map.getContainer === "function" ? map.getContainer() : null;
-  if (!el || !mapEl) return;
-  if (mapEl && el.parentElement !== mapEl) {
-    mapEl.appendChild(el);
+//Tabular Join (CSV attributes onto polygon layers)
+const JOIN_MODES = new Set(["exact", "case", "country"]);
+const JOIN_REPORT_LIST_LIMIT = 200;
+let pendingJoinTable = null;
+let countryCodeIndexPromise = null;
+
+function normalizeM49(value) {
+  const raw = sanitizePlainText(value);
+  return /^\d{1,3}$/.test(raw) ? raw.padStart(3, "0") : "";
+}
+
+// ISO alpha-2/alpha-3 codes, M49 numbers and country names/aliases -> one ISO3 id per country.
+function loadCountryCodeIndex() {
+  if (!countryCodeIndexPromise) {
+    countryCodeIndexPromise = loadCountryReferenceRows().then(rows => {
+      const index = new Map();
+      (Array.isArray(rows) ? rows : []).forEach(r => {
+        const id = sanitizePlainText(r.iso3 || r.m49 || r.country).toUpperCase();
+        if (!id) return;
+        [r.iso2, r.iso3].forEach(code => {
+          const c = sanitizePlainText(code).toUpperCase();
+          if (c) index.set(`code:${c}`, id);
+        });
+        const m49 = normalizeM49(r.m49);
+        if (m49) index.set(`m49:${m49}`, id);
+        [r.country, r.officialName, ...(Array.isArray(r.aliases) ? r.aliases : [])].forEach(nm => {
+          const k = normalizeCountryName(nm);
+          if (k && !index.has(`name:${k}`)) index.set(`name:${k}`, id);
+        });
+      });
+      return index;
+    }).catch(err => {
+      countryCodeIndexPromise = null;
+      throw err;
+    });
   }
-  el.classList.remove("fixed-page-scale-control");
-  el.classList.add("map-bottom-scale-control");
-  const userMoved = el.dataset && el.dataset.userMoved === "1";
-  if (userMoved) {
-    clampDraggableControl(el, mapEl);
-    updateDraggableControlNorm(el, mapEl);
-    return;
+  return countryCodeIndexPromise;
+}
+
+function resolveCountryId(index, value) {
+  const raw = sanitizePlainText(value);
+  if (!raw || !index) return null;
+  if (/^\d{1,3}$/.test(raw)) return index.get(`m49:${normalizeM49(raw)}`) || null;
+  if (/^[A-Za-z]{2,3}$/.test(raw)) {
+    const hit = index.get(`code:${raw.toUpperCase()}`);
+    if (hit) return hit;
   }
-  applyDraggableControlInitialPosition(el, mapEl, true);
-  clampDraggableControl(el, mapEl);
-  updateDraggableControlNorm(el, mapEl);
+  return index.get(`name:${normalizeCountryName(raw)}`) || null;
 }
 
-function ensureScaleBarPinnedToMapBottom() {
-  if (!scaleControl || typeof scaleControl.getContainer !== "function") return;
-  const el = scaleControl.getContainer();
-  const mapEl = map && typeof map.getContainer === "function" ? map.getContainer() : null;
-  if (!el || !mapEl) return;
-  if (mapEl && el.parentElement !== mapEl) {
-    mapEl.appendChild(el);
+function parseJoinCsv(csvText, sourceLabel) {
+  if (!window.Papa || typeof window.Papa.parse !== "function") {
+    throw new Error("CSV parser is unavailable.");
   }
-  el.classList.remove("fixed-page-scale-control");
-  el.classList.add("map-bottom-scale-control");
-  const userMoved = el.dataset && el.dataset.userMoved === "1";
-  if (userMoved) {
-    clampDraggableControl(el, mapEl);
-    updateDraggableControlNorm(el, mapEl);
-    return;
+  assertCsvPayloadLooksSafe(csvText, sourceLabel, { requireCoordinates: false });
+  const parsed = window.Papa.parse(csvText, {
+    header: true,
+    skipEmptyLines: "greedy"
+  });
+  if (Array.isArray(parsed.errors) && parsed.errors.length) {
+    const firstErr = parsed.errors[0];
+    throw new Error(`${sourceLabel} parse error near row ${firstErr.row ?? "?"}.`);
   }
-  applyDraggableControlInitialPosition(el, mapEl, true);
-  clampDraggableControl(el, mapEl);
-  updateDraggableControlNorm(el, mapEl);
+  const rows = Array.isArray(parsed.data) ? parsed.data : [];
+  if (!rows.length) throw new Error(`${sourceLabel} has no data rows.`);
+  if (rows.length > MAX_FEATURES) throw new Error(`${sourceLabel} has more than ${MAX_FEATURES.toLocaleString()} rows.`);
+  const columns = (parsed.meta?.fields || Object.keys(rows[0] || {})).filter(c => sanitizePlainText(c));
+  if (columns.length < 2) throw new Error(`${sourceLabel} needs a key column and at least one value column.`);
+  return { columns, rows };
 }
 
-// North arrow
-const NorthArrowControl = L.Control.extend({
-  options: { position: 'topright' },
-  onAdd: function() {
-    const container = L.DomUtil.create('div', 'leaflet-control leaflet-control-north-arrow');
-    const label = L.DomUtil.create('div', 'north-arrow-symbol', container);
-    label.textContent = 'N';
-    label.setAttribute('aria-label', 'North arrow');
-    label.setAttribute('title', 'North');
-    L.DomEvent.disableClickPropagation(container);
-    L.DomEvent.disableScrollPropagation(container);
-    return container;
-  }
-});
-const northArrowControl = new NorthArrowControl();
-map.addControl(northArrowControl);
-
-// Make both controls draggable.
-makeControlDraggable(scaleControl, (el, mapEl) => {
-  const pos = getBottomCenterPosition(el, mapEl, SCALE_BAR_OFFSET_Y_PX, SCALE_BAR_OFFSET_X_PX);
-  return { left: pos.left, top: pos.top };
-});
-placeScaleBarOnMapBottom(scaleControl);
-makeControlDraggable(northArrowControl, (el, mapEl) => {
-  const pos = getTopRightPosition(el, mapEl, 12);
-  return { left: pos.left, top: pos.top + 30 };
-});
+function fillJoinSelect(sel, names, preferred) {
+  if (!sel) return;
+  sel.textContent = "";
+  names.forEach(k => {
+    const o = document.createElement('option');
+    o.value = String(k).replace(/[^\w\-]/g, "_");
+    o.textContent = k;
+    sel.appendChild(o);
+  });
+  if (preferred != null) sel.value = String(preferred).replace(/[^\w\-]/g, "_");
+}
+
+function guessJoinKey(names) {
+  return names.find(k => /^iso_?(a3|alpha3|3)?$|iso3|adm0_a3/i.test(k)) ||
+    names.find(k => /iso|m49|code/i.test(k)) ||
+    names.find(k => /country|name/i.test(k)) ||
+    names[0];
+}
+
+function populateJoinOptions() {
+  if (!pendingJoinTable) return hideRow('join-options');
+  const layerFields = Object.keys(geojsonData?.features?.[0]?.properties || {});
+  const csvKey = guessJoinKey(pendingJoinTable.columns);
+  const layerKey = layerFields.find(k => norm(k) === norm(csvKey)) || guessJoinKey(layerFields);
+  fillJoinSelect(document.getElementById('join-csv-key'), pendingJoinTable.columns, csvKey);
+  fillJoinSelect(document.getElementById('join-layer-key'), layerFields, layerKey);
+  const modeEl = document.getElementById('join-mode');
+  if (modeEl && /iso|m49|code|country/i.test(`${csvKey} ${layerKey}`)) modeEl.value = "country";
+  showRow('join-options');
+}
+
+// Attach CSV columns to every feature; unmatched features get empty values so the fields are listed.
+function joinTableToFeatures(features, table, { csvKey, layerKey, mode, countryIndex }) {
+  const keyOf = (value) => {
+    if (value == null || String(value).trim() === "") return null;
+    if (mode === "country") return resolveCountryId(countryIndex, value);
+    if (mode === "case") return norm(value);
+    return String(value).trim();
+  };
 
-// Base layer
-const baseLayer = L.tileLayer(
-  'https://geoservices.un.org/arcgis/rest/services/ClearMap_WebTopo/MapServer/tile/{z}/{y}/{x}',
-  {
-    attribution: '© United Nations',
-    crossOrigin: 'anonymous',
-    maxZoom: 18,
-    tileSize: 256
-  }
-).addTo(map);
+  const layerFields = new Set();
+  features.slice(0, ATTRIBUTE_TABLE_COLUMN_SCAN).forEach(f => Object.keys(f?.properties || {}).forEach(k => layerFields.add(k)));
+  const fieldMap = table.columns.filter(c => c !== csvKey).map(col => {
+    let name = sanitizePlainText(col).slice(0, FIELD_CALC_MAX_NAME) || "field";
+    if (/^__rma_/i.test(name)) name = name.replace(/^__rma_/i, "");
+    let candidate = name;
+    for (let i = 2; layerFields.has(candidate); i++) candidate = `${name}_csv${i > 2 ? i - 1 : ""}`;
+    layerFields.add(candidate);
+    return { col, name: candidate };
+  });
 
-function ensureBaseLayerAtBack() {
-  if (!baseLayer || !map || !map.hasLayer(baseLayer)) return;
-  try {
-    if (typeof baseLayer.bringToBack === 'function') baseLayer.bringToBack();
-    if (typeof baseLayer.setZIndex === 'function') baseLayer.setZIndex(1);
-  } catch (e) {
-    console.warn("Failed to keep UN Topo at back:", e);
-  }
-}
+  const rowsByKey = new Map();
+  const unmatchedRows = [];
+  table.rows.forEach((row, idx) => {
+    const key = keyOf(row?.[csvKey]);
+    if (key == null) {
+      unmatchedRows.push({ row: idx + 2, key: sanitizePlainText(row?.[csvKey]), reason: mode === "country" ? "key not recognized" : "empty key" });
+      return;
+    }
+    if (rowsByKey.has(key)) {
+      unmatchedRows.push({ row: idx + 2, key: sanitizePlainText(row?.[csvKey]), reason: "duplicate key (first row used)" });
+      return;
+    }
+    rowsByKey.set(key, { row, idx });
+  });
 
-ensureBaseLayerAtBack();
-map.on('layeradd', (e) => {
-  if (e && e.layer === baseLayer) ensureBaseLayerAtBack();
-});
+  const usedKeys = new Set();
+  const unmatchedFeatures = [];
+  let matched = 0;
+  features.forEach((f, idx) => {
+    if (!f.properties || typeof f.properties !== "object") f.properties = {};
+    const key = keyOf(f.properties[layerKey]);
+    const hit = key != null ? rowsByKey.get(key) : null;
+    fieldMap.forEach(({ col, name }) => {
+      const v = hit ? hit.row[col] : null;
+      f.properties[name] = v == null || String(v).trim() === "" ? null : String(v).trim();
+    });
+    if (hit) {
+      usedKeys.add(key);
+      matched++;
+    } else {
+      unmatchedFeatures.push({ feature: idx + 1, key: sanitizePlainText(f.properties[layerKey]) });
+    }
+  });
+  rowsByKey.forEach((entry, key) => {
+    if (!usedKeys.has(key)) unmatchedRows.push({ row: entry.idx + 2, key: sanitizePlainText(entry.row?.[csvKey]), reason: "no matching feature" });
+  });
+  unmatchedRows.sort((a, b) => a.row - b.row);
 
-// --- Draw control ---
-const drawnItems = new L.FeatureGroup();
-map.addLayer(drawnItems);
+  return {
+    fields: fieldMap.map(m => m.name),
+    matched,
+    totalFeatures: features.length,
+    totalRows: table.rows.length,
+    unmatchedFeatures,
+    unmatchedRows
+  };
+}
 
-const drawControl = new L.Control.Draw({
-  position: 'bottomright',
-  edit: { featureGroup: drawnItems },
-  draw: {
-    polygon: true,
-    polyline: true,
-    rectangle: true,
-    circle: true,
-    marker: {
-      icon: new L.Icon.Default(DEFAULT_MARKER_ICON_URLS)
+function renderJoinReport(report) {
+  const el = document.getElementById('join-report');
+  if (!el) return;
+  el.textContent = "";
+  if (!report) return hideRow('join-report');
+
+  const summary = document.createElement('div');
+  summary.textContent =
+    `Matched ${report.matched.toLocaleString()} of ${report.totalFeatures.toLocaleString()} feature(s); ` +
+    `${report.unmatchedRows.length.toLocaleString()} of ${report.totalRows.toLocaleString()} row(s) not joined. ` +
+    `Added: ${report.fields.join(", ")}.`;
+  el.appendChild(summary);
+
+  const addList = (title, items, fmt) => {
+    if (!items.length) return;
+    const details = document.createElement('details');
+    const sum = document.createElement('summary');
+    sum.textContent = `${title} (${items.length.toLocaleString()})`;
+    const list = document.createElement('ul');
+    list.className = 'join-report-list';
+    items.slice(0, JOIN_REPORT_LIST_LIMIT).forEach(item => {
+      const li = document.createElement('li');
+      li.textContent = fmt(item);
+      list.appendChild(li);
+    });
+    if (items.length > JOIN_REPORT_LIST_LIMIT) {
+      const li = document.createElement('li');
+      li.textContent = `… ${(items.length - JOIN_REPORT_LIST_LIMIT).toLocaleString()} more (download the report)`;
+      list.appendChild(li);
     }
-  }
-});
-map.addControl(drawControl);
+    details.append(sum, list);
+    el.appendChild(details);
+  };
+  addList("Unmatched CSV rows", report.unmatchedRows, r => `Row ${r.row}: ${r.key || "(empty)"} – ${r.reason}`);
+  addList("Unmatched features", report.unmatchedFeatures, f => `Feature ${f.feature}: ${f.key || "(empty)"}`);
+
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'btn btn-outline-secondary btn-sm mt-1';
+  btn.textContent = 'Download report (CSV)';
+  btn.addEventListener('click', () => downloadJoinReport(report));
+  el.appendChild(btn);
+  showRow('join-report');
+}
+
+function downloadJoinReport(report) {
+  if (!report || !window.Papa) return;
+  const rows = report.unmatchedRows.map(r => ({ type: "csv row", position: r.row, key: r.key, reason: r.reason }))
+    .concat(report.unmatchedFeatures.map(f => ({ type: "feature", position: f.feature, key: f.key, reason: "no matching row" })));
+  const csv = window.Papa.unparse(rows, { columns: ["type", "position", "key", "reason"] });
+  const blob = new Blob([csv], { type: "text/csv" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `${sanitizeName(currentLayerName || "layer")}-join-report.csv`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function runTableJoin() {
+  if (!pendingJoinTable) throw new Error("Choose a CSV table to join first.");
+  if (!currentLayerName || !geojsonData || !Array.isArray(geojsonData.features)) throw new Error("Load a polygon layer first.");
+  if (!geojsonData.features.some(f => /Polygon/.test(f?.geometry?.type || ""))) {
+    throw new Error("Joins attach to polygon layers; the active layer has no polygons.");
+  }
+  const csvKey = pendingJoinTable.columns.find(c => String(c).replace(/[^\w\-]/g, "_") === document.getElementById('join-csv-key')?.value);
+  const layerKey = resolveAttributeKey(document.getElementById('join-layer-key')?.value);
+  const modeValue = document.getElementById('join-mode')?.value;
+  const mode = JOIN_MODES.has(modeValue) ? modeValue : "exact";
+  if (!csvKey || !layerKey) throw new Error("Choose the key column in the table and in the layer.");
+
+  const countryIndex = mode === "country" ? await loadCountryCodeIndex() : null;
+  const report = joinTableToFeatures(geojsonData.features, pendingJoinTable, { csvKey, layerKey, mode, countryIndex });
+  refreshActiveLayerFields();
+  renderJoinReport(report);
+  return report;
+}
+
+function updateJoinControl() {
+  const wrap = 'join-col';
+  const hasPolygons = !!(geojsonData?.features || []).some(f => /Polygon/.test(f?.geometry?.type || ""));
+  if (!hasPolygons) return hideRow(wrap);
+  showRow(wrap);
+  if (pendingJoinTable) populateJoinOptions();
+}
 
-map.on(L.Draw.Event.CREATED, (e) => {
-  const layer = e.layer;
-  if (layer && typeof layer.addTo === 'function') {
-    drawnItems.addLayer(layer);
-  } else {
-    console.warn("Invalid layer object received from draw event");
+(function wireTableJoin() {
+  const input = document.getElementById('join-upload');
+  if (input) {
+    input.addEventListener('change', async (evt) => {
+      const file = evt?.target?.files?.[0];
+      if (!file) return;
+      try {
+        if (!/\.(csv|txt)$/i.test(file.name || "")) throw new Error(`Unsupported table file: ${file.name || "unknown file"}`);
+        if (file.size > MAX_SIZE) {
+          const maxMb = Math.round(MAX_SIZE / (1024 * 1024));
+          throw new Error(`Table "${file.name}" too large (max ${maxMb} MB).`);
+        }
+        const label = sanitizePlainText(file.name, "CSV");
+        pendingJoinTable = { name: label, ...parseJoinCsv(await readFileAsText(file), label) };
+        const nameEl = document.getElementById('join-file-name');
+        if (nameEl) nameEl.textContent = `${label}: ${pendingJoinTable.rows.length.toLocaleString()} row(s)`;
+        renderJoinReport(null);
+        populateJoinOptions();
+      } catch (err) {
+        console.error("Join table error:", err);
+        pendingJoinTable = null;
+        populateJoinOptions();
+        showPopup(String(err?.message || "Error reading table"), "error");
+      }
+      evt.target.value = "";
+    });
   }
-});
-
-// Position the disclaimer at the bottom-left of the map container
-function positionDisclaimer() {
-  try {
-    const disc = document.getElementById('disclaimer');
-    if (!disc) return;
-    const mapEl = map.getContainer();
-    const mapRect = mapEl ? mapEl.getBoundingClientRect() : null;
 
-  const left = 12 + DISCLAIMER_LEFT_VISIBLE_INSET_PX;
-  const bottom = 30;
-    const preferredFixedWidth = 252;
-    const margin = 12;
-    const maxAvailableWidth = mapRect
-      ? Math.max(120, Math.round(mapRect.width - left - margin))
-      : preferredFixedWidth;
-    const getStableDisclaimerWidthPx = () => {
-      const fixedWidth = Number(disc.dataset.fixedWidthPx);
-      const renderedWidth = Math.round(disc.getBoundingClientRect().width || disc.offsetWidth || preferredFixedWidth);
-      const fallbackWidth = Math.min(maxAvailableWidth, preferredFixedWidth);
-      const candidate = Number.isFinite(fixedWidth) && fixedWidth > 0 ? fixedWidth : (renderedWidth || fallbackWidth);
-      return Math.max(120, Math.min(maxAvailableWidth, Math.round(candidate)));
-    };
-
-    const desiredWidth = Math.min(maxAvailableWidth, preferredFixedWidth);
-    const userMoved = !!disclaimerUserPos;
-    const widthPx = userMoved ? getStableDisclaimerWidthPx() : desiredWidth;
-    disc.dataset.fixedWidthPx = String(widthPx);
+  const btn = document.getElementById('btnJoinRun');
+  if (btn) {
+    btn.addEventListener('click', async () => {
+      showLoading("Joining table...");
+      await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+      try {
+        const report = await runTableJoin();
+        showPopup(`Joined ${report.matched.toLocaleString()} of ${report.totalFeatures.toLocaleString()} feature(s).`, report.matched ? "success" : "error");
+      } catch (err) {
+        console.error("Join error:", err);
+        showPopup(String(err?.message || "Error joining table"), "error");
+      } finally {
+        hideLoading();
+      }
+    });
+  }
+})();
 
-    disc.classList.add('clamp-5-lines');
-    disc.style.setProperty('top', 'auto');
-    disc.style.setProperty('left', left + 'px');
-    disc.style.setProperty('right', 'auto');
-    disc.style.setProperty('bottom', bottom + 'px');
-    disc.style.setProperty('width', widthPx + 'px');
-    disc.style.setProperty('max-width', widthPx + 'px');
+// --- Map a table by country (bundled Africa boundaries) ---
+let africaBoundaryPromise = null;
+let pendingCountryTable = null;
 
-    // Keep user-dragged position across resize/move while clamping to map bounds.
-    if (disclaimerUserPos) {
-      const mW = mapEl ? mapEl.clientWidth : 0;
-      const mH = mapEl ? mapEl.clientHeight : 0;
-      const dW = disc.offsetWidth || desiredWidth;
-      const dH = disc.offsetHeight || 0;
-      const marginClamp = 6;
-      const minLeft = Math.max(marginClamp, DISCLAIMER_LEFT_VISIBLE_INSET_PX + marginClamp);
-      const maxLeft = Math.max(minLeft, mW - MAP_SIDE_VISIBLE_INSET_PX - dW - marginClamp);
-      const maxTop = Math.max(marginClamp, mH - dH - marginClamp);
-      const leftPx = Math.min(maxLeft, Math.max(minLeft, disclaimerUserPos.left));
-      const topPx = Math.min(maxTop, Math.max(marginClamp, disclaimerUserPos.top));
-      disc.style.setProperty('top', topPx + 'px');
-      disc.style.setProperty('left', leftPx + 'px');
-      disc.style.setProperty('bottom', 'auto');
-      disc.style.setProperty('width', widthPx + 'px');
-      disc.style.setProperty('max-width', widthPx + 'px');
-      disclaimerUserPos = { left: leftPx, top: topPx };
-    }
-  } catch (e) {
-    console.warn('positionDisclaimer failed', e);
+function loadAfricaBoundaries() {
+  if (!africaBoundaryPromise) {
+    africaBoundaryPromise = fetchJsonWithFallback(AFRICA_BOUNDARY_LOCAL_URL, null, "Africa boundaries").then(data => {
+      if (!data || !Array.isArray(data.features) || !data.features.length) {
+        throw new Error("Bundled Africa boundaries are invalid.");
+      }
+      return data;
+    }).catch(err => {
+      africaBoundaryPromise = null;
+      throw err;
+    });
   }
+  return africaBoundaryPromise;
 }
 
-function resetDisclaimerPosition() {
-  disclaimerUserPos = null;
-  positionDisclaimer();
-}
+// Join the pending table to a fresh copy of the bundled boundaries and add it as a layer.
+async function mapTableByCountry() {
+  if (!pendingCountryTable) throw new Error("Choose a CSV table first.");
+  const csvKey = pendingCountryTable.columns.find(c => String(c).replace(/[^\w\-]/g, "_") === document.getElementById('country-table-key')?.value);
+  if (!csvKey) throw new Error("Choose the column with country names or ISO codes.");
 
-function resetDraggableControlsToInitial() {
-  const mapEl = map && typeof map.getContainer === "function" ? map.getContainer() : null;
-  if (!mapEl) return;
-  draggableMapControls.forEach((el) => {
-    if (!el || !el.isConnected) return;
-    const applied = applyDraggableControlInitialPosition(el, mapEl, true);
-    if (!applied) {
-      const initLeft = Number(el.dataset.initLeft);
-      const initTop = Number(el.dataset.initTop);
-      if (isFinite(initLeft) && isFinite(initTop)) {
-        el.dataset.leftPx = String(initLeft);
-        el.dataset.topPx = String(initTop);
-        setDynamicStyle(el, { left: `${initLeft}px`, top: `${initTop}px` });
-      } else {
-        clampDraggableControl(el, mapEl);
-      }
-      updateDraggableControlNorm(el, mapEl);
-    } else {
-      clampDraggableControl(el, mapEl);
-    }
-    el.dataset.userMoved = "";
-    el.dataset.normX = "";
-    el.dataset.normY = "";
-    updateDraggableControlNorm(el, mapEl);
+  const [boundaries, countryIndex] = await Promise.all([loadAfricaBoundaries(), loadCountryCodeIndex()]);
+  const geojson = {
+    type: "FeatureCollection",
+    features: boundaries.features.map(f => ({
+      type: "Feature",
+      properties: { ...(f.properties || {}) },
+      geometry: JSON.parse(JSON.stringify(f.geometry))
+    }))
+  };
+  const report = joinTableToFeatures(geojson.features, pendingCountryTable, {
+    csvKey,
+    layerKey: "iso_a3",
+    mode: "country",
+    countryIndex
   });
+  if (!report.matched) {
+    throw new Error(`No rows of "${pendingCountryTable.name}" matched an African country by name or ISO/M49 code.`);
+  }
+  await addImportedLayer(geojson, pendingCountryTable.name, "Country table");
+  renderJoinReport(report);
+  return report;
 }
 
-function resetAllMapUiPositions() {
-  resetDisclaimerPosition();
-  resetDraggableControlsToInitial();
-}
+(function wireCountryTable() {
+  const input = document.getElementById('country-table-upload');
+  if (input) {
+    input.addEventListener('change', async (evt) => {
+      const file = evt?.target?.files?.[0];
+      if (!file) return;
+      try {
+        if (!/\.(csv|txt)$/i.test(file.name || "")) throw new Error(`Unsupported table file: ${file.name || "unknown file"}`);
+        if (file.size > MAX_SIZE) {
+          const maxMb = Math.round(MAX_SIZE / (1024 * 1024));
+          throw new Error(`Table "${file.name}" too large (max ${maxMb} MB).`);
+        }
+        const label = sanitizePlainText(file.name, "CSV");
+        pendingCountryTable = { name: label, ...parseJoinCsv(await readFileAsText(file), label) };
+        const nameEl = document.getElementById('country-table-file-name');
+        if (nameEl) nameEl.textContent = `${label}: ${pendingCountryTable.rows.length.toLocaleString()} row(s)`;
+        const keySel = document.getElementById('country-table-key');
+        const guess = pendingCountryTable.columns.find(c => /country|iso|m49|code|name/i.test(c)) || pendingCountryTable.columns[0];
+        fillJoinSelect(keySel, pendingCountryTable.columns, guess);
+        showRow('country-table-options');
+      } catch (err) {
+        console.error("Country table error:", err);
+        pendingCountryTable = null;
+        hideRow('country-table-options');
+        showPopup(String(err?.message || "Error reading table"), "error");
+      }
+      evt.target.value = "";
+    });
+  }
 
-function initDisclaimerDrag() {
-  const disc = document.getElementById('disclaimer');
-  const mapEl = map && typeof map.getContainer === 'function' ? map.getContainer() : null;
-  if (!disc || !mapEl || disc.dataset.dragInit === '1') return;
+  const btn = document.getElementById('btnCountryTableMap');
+  if (btn) {
+    btn.addEventListener('click', async () => {
+      showLoading("Mapping table by country...");
+      await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+      try {
+        const report = await mapTableByCountry();
+        showPopup(`Mapped ${report.matched.toLocaleString()} of ${report.totalFeatures.toLocaleString()} African countries; see the join report for unmatched rows.`, "success");
+      } catch (err) {
+        console.error("Country table mapping error:", err);
+        showPopup(String(err?.message || "Error mapping table"), "error");
+      } finally {
+        hideLoading();
+      }
+    });
+  }
+})();
 
-  const resolveDisclaimerWidthPx = () => {
-    const mapRect = mapEl.getBoundingClientRect();
-    const leftInset = 12 + DISCLAIMER_LEFT_VISIBLE_INSET_PX;
-    const margin = 12;
-    const maxAvailableWidth = mapRect
-      ? Math.max(120, Math.round(mapRect.width - leftInset - margin))
-      : 252;
-    const fixedWidth = Number(disc.dataset.fixedWidthPx);
-    const renderedWidth = Math.round(disc.getBoundingClientRect().width || disc.offsetWidth || 252);
-    const candidate = Number.isFinite(fixedWidth) && fixedWidth > 0 ? fixedWidth : renderedWidth;
-    return Math.max(120, Math.min(maxAvailableWidth, Math.round(candidate || 252)));
-  };
+// Add a Secure Popup Binding
+function bindFeaturePopup(feature, layer) {
+  if (feature.properties) {
+    // Build safe popup content
+    const content = Object.keys(feature.properties)
+      .map(k => `${k}: ${feature.properties[k]}`)
+      .join("\n");
 
-  disc.dataset.dragInit = '1';
-  disc.setAttribute('contenteditable', 'false');
-  disc.setAttribute('draggable', 'false');
-  disc.style.pointerEvents = 'auto';
-
-  let dragging = false;
-  let startX = 0;
-  let startY = 0;
-  let baseLeft = 0;
-  let baseTop = 0;
-
-  const clampAndApply = (left, top) => {
-    const mW = mapEl.clientWidth || 0;
-    const mH = mapEl.clientHeight || 0;
-    const dW = disc.offsetWidth || 0;
-    const dH = disc.offsetHeight || 0;
-    const marginClamp = 6;
-    const minLeft = Math.max(marginClamp, DISCLAIMER_LEFT_VISIBLE_INSET_PX + marginClamp);
-    const maxLeft = Math.max(minLeft, mW - MAP_SIDE_VISIBLE_INSET_PX - dW - marginClamp);
-    const maxTop = Math.max(marginClamp, mH - dH - marginClamp);
-    const clampedLeft = Math.min(maxLeft, Math.max(minLeft, left));
-    const clampedTop = Math.min(maxTop, Math.max(marginClamp, top));
-    const fixedWidthPx = resolveDisclaimerWidthPx();
-
-    disc.style.setProperty('top', clampedTop + 'px');
-    disc.style.setProperty('left', clampedLeft + 'px');
-    disc.style.setProperty('bottom', 'auto');
-    disc.style.setProperty('width', fixedWidthPx + 'px');
-    disc.style.setProperty('max-width', fixedWidthPx + 'px');
-    disc.dataset.fixedWidthPx = String(fixedWidthPx);
-    disclaimerUserPos = { left: clampedLeft, top: clampedTop };
-  };
-
-  const beginDrag = (clientX, clientY) => {
-    const mapRect = mapEl.getBoundingClientRect();
-    const discRect = disc.getBoundingClientRect();
-    dragging = true;
-    startX = clientX;
-    startY = clientY;
-    baseLeft = discRect.left - mapRect.left;
-    baseTop = discRect.top - mapRect.top;
-    disc.dataset.fixedWidthPx = String(resolveDisclaimerWidthPx());
-    disc.classList.add('is-dragging');
-    if (map.dragging && map.dragging.enabled && map.dragging.enabled()) map.dragging.disable();
-    clampAndApply(baseLeft, baseTop);
-  };
-
-  const endDrag = () => {
-    if (!dragging) return false;
-    dragging = false;
-    disc.classList.remove('is-dragging');
-    if (map.dragging && map.dragging.enabled && !map.dragging.enabled()) map.dragging.enable();
-    return true;
-  };
-
-  const onPointerMove = (e) => {
-    if (!dragging) return;
-    const nextLeft = baseLeft + (e.clientX - startX);
-    const nextTop = baseTop + (e.clientY - startY);
-    clampAndApply(nextLeft, nextTop);
-    e.preventDefault();
-  };
+    // Use textContent inside a <pre> for safety
+    const div = document.createElement("div");
+    div.className = "popup-prewrap";
+    div.textContent = content;
 
-  const onPointerUp = (e) => {
-    if (!endDrag()) return;
-    if (disc.releasePointerCapture) {
-      try { disc.releasePointerCapture(e.pointerId); } catch (err) {}
-    }
-  };
+    layer.bindPopup(div);
+  }
+  // Clicking a feature selects its row in the attribute table.
+  layer.on('click', () => selectAttributeTableFeature(feature));
+}
 
-  const onPointerDown = (e) => {
-    if (dragging) return;
-    if (e.pointerType === 'mouse' && e.button !== 0) return;
-    beginDrag(e.clientX, e.clientY);
-    if (disc.setPointerCapture) {
-      try { disc.setPointerCapture(e.pointerId); } catch (err) {}
+//TextDecoder Patch
+// --- Monkey-patch TextDecoder to sanitize encoding labels (kept once) ---
+(function() {
+  const OriginalTextDecoder = window.TextDecoder;
+  window.TextDecoder = function(label, options) {
+    let cleanLabel = "utf-8";
+    if (label && typeof label === "string") {
+      cleanLabel = label.split(/[, ]/)[0].trim().toLowerCase();
+      try {
+        return new OriginalTextDecoder(cleanLabel, options);
+      } catch (e) {
+        console.warn("Invalid encoding label:", label, "→ defaulting to UTF-8");
+        return new OriginalTextDecoder("utf-8", options);
+      }
     }
-    e.preventDefault();
-    e.stopPropagation();
-  };
-
-  const onMouseMove = (e) => {
-    if (!dragging) return;
-    const nextLeft = baseLeft + (e.clientX - startX);
-    const nextTop = baseTop + (e.clientY - startY);
-    clampAndApply(nextLeft, nextTop);
-    e.preventDefault();
-  };
-
-  const onMouseUp = () => {
-    endDrag();
-  };
-
-  const onMouseDown = (e) => {
-    if (dragging) return;
-    if (e.button !== 0) return;
-    beginDrag(e.clientX, e.clientY);
-    e.preventDefault();
-    e.stopPropagation();
-  };
-
-  const onTouchMove = (e) => {
-    if (!dragging) return;
-    const touch = e.touches && e.touches[0];
-    if (!touch) return;
-    const nextLeft = baseLeft + (touch.clientX - startX);
-    const nextTop = baseTop + (touch.clientY - startY);
-    clampAndApply(nextLeft, nextTop);
-    e.preventDefault();
-  };
-
-  const onTouchEnd = () => {
-    endDrag();
-  };
-
-  const onTouchStart = (e) => {
-    if (dragging) return;
-    const touch = e.touches && e.touches[0];
-    if (!touch) return;
-    beginDrag(touch.clientX, touch.clientY);
-    e.preventDefault();
-    e.stopPropagation();
+    return new OriginalTextDecoder(cleanLabel, options);
   };
+})();
+//Map Initialization and Controls
+// Use explicit local marker icon URLs from vendor/images.
+// Prevent Leaflet from prefixing detected imagePath onto explicit icon URLs.
+delete L.Icon.Default.prototype._getIconUrl;
+const DEFAULT_MARKER_ICON_URLS = {
+  iconRetinaUrl: new URL("vendor/images/marker-icon-2x.png", window.location.href).href,
+  iconUrl: new URL("vendor/images/marker-icon.png", window.location.href).href,
+  shadowUrl: new URL("vendor/images/marker-shadow.png", window.location.href).href
+};
+L.Icon.Default.mergeOptions({
+  iconRetinaUrl: DEFAULT_MARKER_ICON_URLS.iconRetinaUrl,
+  iconUrl: DEFAULT_MARKER_ICON_URLS.iconUrl,
+  shadowUrl: DEFAULT_MARKER_ICON_URLS.shadowUrl
+});
 
-  disc.addEventListener('pointerdown', onPointerDown);
-  disc.addEventListener('mousedown', onMouseDown);
-  disc.addEventListener('touchstart', onTouchStart, false);
-
-  // Hard fallback channel: direct handlers are more resilient on locked-down browsers.
-  disc.onmousedown = onMouseDown;
-  disc.ontouchstart = onTouchStart;
+// --- Initialize Leaflet Map ---
+const mapRenderer = L.canvas({
+  padding: 0.5,
+  // Increase hit tolerance so feature popups remain clickable at lower zoom.
+  tolerance: 18
+});
 
-  // Keep listeners attached once to avoid race conditions when drag starts.
-  window.addEventListener('pointermove', onPointerMove, false);
-  window.addEventListener('pointerup', onPointerUp);
-  window.addEventListener('pointercancel', onPointerUp);
-  window.addEventListener('mousemove', onMouseMove);
-  window.addEventListener('mouseup', onMouseUp);
-  window.addEventListener('touchmove', onTouchMove, false);
-  window.addEventListener('touchend', onTouchEnd);
-  window.addEventListener('touchcancel', onTouchEnd);
+const map = L.map('map', {
+  preferCanvas: true,
+  renderer: mapRenderer,
+  attributionControl: true,
+  zoomAnimation: false,
+  fadeAnimation: false,
+  markerZoomAnimation: false,
+  zoomSnap: 0.1,
+  zoomDelta: 0.1
+});
 
-  // Capture-phase document listeners as final fallback if window listeners miss events.
-  document.addEventListener('mousemove', onMouseMove, true);
-  document.addEventListener('mouseup', onMouseUp, true);
-  document.addEventListener('touchmove', onTouchMove, true);
-  document.addEventListener('touchend', onTouchEnd, true);
-  document.addEventListener('touchcancel', onTouchEnd, true);
+// Deterministic startup/home view centered on Africa.
+// Keep north/south unchanged, while widening east/west default framing.
+const INITIAL_HOME_CENTER = [0, 17];
+const INITIAL_HOME_ZOOM = 3;
+const INITIAL_HOME_BOUNDS = L.latLngBounds([[-34.85, -25.5], [37.35, 58.5]]);
+const MAP_NAV_BOUNDS = L.latLngBounds([[-85, -180], [85, 180]]);
+const SIDEBAR_WIDTH_PX = 250;
+const MAP_OVERLAP_PX = 80;
+const MAP_SIDE_VISIBLE_INSET_PX = MAP_OVERLAP_PX;
+const DISCLAIMER_LEFT_VISIBLE_INSET_PX = 50;
+const HOME_VERTICAL_PADDING_PX = 10;
+const EDGE_HOME_VERTICAL_PADDING_EXTRA_PX = 8;
+const IMPORT_EXTENT_MAX_ZOOM = 7;
+const IMPORT_EXTENT_HOME_COVERAGE_RATIO = 0.9;
+// Keep horizontal trim disabled so east/west view is not tightened.
+const HORIZONTAL_TRIM_RATIO = 0;
+const MAX_HOME_VIEW_RETRIES = 6;
+const MAX_BOUNDS_RETRIES = 10;
+let homeViewRetryCount = 0;
+let maxBoundsRetryCount = 0;
+let maxBoundsDeferredHooked = false;
 
-  // Ensure map drag state recovers if pointer events are interrupted.
-  window.addEventListener('blur', () => {
-    if (!dragging) return;
-    endDrag();
-  });
+function trimBoundsHorizontally(bounds, ratio = HORIZONTAL_TRIM_RATIO) {
+  if (!bounds || typeof bounds.getSouthWest !== "function" || typeof bounds.getNorthEast !== "function") {
+    return bounds;
+  }
+  const sw = bounds.getSouthWest();
+  const ne = bounds.getNorthEast();
+  const spanLng = ne.lng - sw.lng;
+  if (!(spanLng > 0) || !(ratio > 0)) return bounds;
+  const maxTrim = Math.max(0, (spanLng / 2) - 1e-6);
+  const trim = Math.min(spanLng * ratio, maxTrim);
+  return L.latLngBounds([sw.lat, sw.lng + trim], [ne.lat, ne.lng - trim]);
+}
 
-  document.addEventListener('visibilitychange', () => {
-    if (document.visibilityState === 'hidden' && dragging) {
-      endDrag();
-    }
-  });
+function hasUsableMapViewport() {
+  if (!map || typeof map.getSize !== "function" || typeof map.getContainer !== "function") return false;
+  try {
+    const sz = map.getSize();
+    const container = map.getContainer();
+    const w = Number(sz && sz.x);
+    const h = Number(sz && sz.y);
+    const cw = Number(container && container.clientWidth);
+    const ch = Number(container && container.clientHeight);
+    return Number.isFinite(w) && Number.isFinite(h) && w > 0 && h > 0 &&
+      Number.isFinite(cw) && Number.isFinite(ch) && cw > 0 && ch > 0;
+  } catch (e) {
+    return false;
+  }
 }
 
-function scheduleDisclaimerDragInit(maxAttempts = 10, delayMs = 180) {
-  let attempts = 0;
-  const tick = () => {
-    attempts += 1;
-    initDisclaimerDrag();
-    const disc = document.getElementById('disclaimer');
-    if (disc && disc.dataset.dragInit === '1') return;
-    if (attempts < maxAttempts) {
-      setTimeout(tick, delayMs);
+function safePanInsideBounds(bounds, options) {
+  if (!map || typeof map.panInsideBounds !== "function" || !bounds) return;
+  try {
+    const c = map.getCenter();
+    if (!c || !Number.isFinite(c.lat) || !Number.isFinite(c.lng)) return;
+    map.panInsideBounds(bounds, options || { animate: false });
+  } catch (e) {
+    console.warn("panInsideBounds skipped due to unstable map center", e);
+  }
+}
+
+function applyMaxBoundsSafely() {
+  if (!map || typeof map.setMaxBounds !== "function") return;
+  if (!hasUsableMapViewport()) {
+    if (maxBoundsRetryCount < MAX_BOUNDS_RETRIES) {
+      maxBoundsRetryCount += 1;
+      setTimeout(() => {
+        try { map.invalidateSize({ pan: false }); } catch (e) {}
+        applyMaxBoundsSafely();
+      }, 50);
     }
-  };
-  tick();
+    return;
+  }
+  try {
+    const c = map.getCenter();
+    if (!c || !Number.isFinite(c.lat) || !Number.isFinite(c.lng)) {
+      throw new Error("Map center is not finite");
+    }
+    map.setMaxBounds(MAP_NAV_BOUNDS);
+    map.options.maxBoundsViscosity = 1.0;
+    maxBoundsRetryCount = 0;
+  } catch (e) {
+    if (maxBoundsRetryCount < MAX_BOUNDS_RETRIES) {
+      maxBoundsRetryCount += 1;
+      setTimeout(() => {
+        try { map.invalidateSize({ pan: false }); } catch (err) {}
+        applyMaxBoundsSafely();
+      }, 50);
+    } else {
+      if (!maxBoundsDeferredHooked) {
+        maxBoundsDeferredHooked = true;
+        try { map.once("load", applyMaxBoundsSafely); } catch (err) {}
+        try { map.once("resize", applyMaxBoundsSafely); } catch (err) {}
+        setTimeout(() => {
+          maxBoundsRetryCount = 0;
+          applyMaxBoundsSafely();
+        }, 300);
+      }
+    }
+  }
 }
 
-function runMapUiReflowPasses() {
-  // Browser zoom updates element metrics asynchronously; run multiple passes.
-  [20, 110, 240].forEach((delayMs) => {
-    setTimeout(() => {
-      syncLayoutWithHeaderHeight();
-      // Reflow after Leaflet has processed the new container size.
+function applyHomeView() {
+  const homePadY = HOME_VERTICAL_PADDING_PX + (isEdgeBrowser() ? EDGE_HOME_VERTICAL_PADDING_EXTRA_PX : 0);
+  if (!hasUsableMapViewport()) {
+    map.setView(INITIAL_HOME_CENTER, INITIAL_HOME_ZOOM, { animate: false });
+    if (homeViewRetryCount < MAX_HOME_VIEW_RETRIES) {
+      homeViewRetryCount += 1;
       setTimeout(() => {
-        if (map && typeof map.invalidateSize === "function") {
-          map.invalidateSize({ pan: false });
-        }
-        if (scaleControl && typeof scaleControl._update === "function") {
-          scaleControl._update();
-        }
-        ensureScaleBarPinnedToMapBottom();
-        positionDisclaimer();
-        repositionDraggableControls();
+        try { map.invalidateSize({ pan: false }); } catch (e) {}
+        applyHomeView();
       }, 40);
-    }, delayMs);
-  });
+    }
+    return;
+  }
+  homeViewRetryCount = 0;
+  if (INITIAL_HOME_BOUNDS && typeof map.fitBounds === "function") {
+    map.fitBounds(trimBoundsHorizontally(INITIAL_HOME_BOUNDS), {
+      animate: false,
+      // Keep north/south stable, align east/west to visible map area.
+      paddingTopLeft: [MAP_SIDE_VISIBLE_INSET_PX, homePadY],
+      paddingBottomRight: [MAP_SIDE_VISIBLE_INSET_PX, homePadY]
+    });
+  } else {
+    map.setView(INITIAL_HOME_CENTER, INITIAL_HOME_ZOOM, { animate: false });
+  }
+  map.panBy([0, 10], { animate: false });
+  safePanInsideBounds(MAP_NAV_BOUNDS, { animate: false });
 }
 
-let mapUiReflowRaf = 0;
-function queueMapUiReflow() {
-  if (mapUiReflowRaf) cancelAnimationFrame(mapUiReflowRaf);
-  mapUiReflowRaf = requestAnimationFrame(() => {
-    mapUiReflowRaf = 0;
-    runMapUiReflowPasses();
-  });
+function syncLayoutWithHeaderHeight() {
+  const header = document.querySelector('header.fixed-top');
+  if (!header || !document.documentElement) return;
+  const headerHeight = Math.max(0, Math.ceil(header.getBoundingClientRect().height));
+  if (!headerHeight) return;
+  setDynamicStyle(document.documentElement, { "--app-header-height": `${headerHeight}px` });
+  applyMapHorizontalLayout();
+  if (map && typeof map.invalidateSize === "function") {
+    setTimeout(() => map.invalidateSize({ pan: false }), 0);
+  }
 }
 
-// run initially and on relevant events
-window.addEventListener('load', () => {
-  syncLayoutWithHeaderHeight();
-  // Re-apply initial home once layout settles to avoid late layout shifts.
-  setTimeout(applyHomeView, 50);
-  setTimeout(syncLayoutWithHeaderHeight, 80);
-  setTimeout(resetAllMapUiPositions, 300);
-  setTimeout(scheduleDisclaimerDragInit, 350);
-  setTimeout(repositionDraggableControls, 360);
-  setTimeout(ensureScaleBarPinnedToMapBottom, 380);
-  queueMapUiReflow();
-});
-window.addEventListener('resize', queueMapUiReflow);
-window.addEventListener('orientationchange', queueMapUiReflow);
-if (window.visualViewport) {
-  window.visualViewport.addEventListener('resize', queueMapUiReflow);
-  window.visualViewport.addEventListener('scroll', queueMapUiReflow);
+function applyMapHorizontalLayout() {
+  const mapContainer = document.getElementById('map-container');
+  const mapEl = document.getElementById('map');
+  if (mapContainer) {
+    const sideMargin = Math.max(0, SIDEBAR_WIDTH_PX - MAP_OVERLAP_PX);
+    setDynamicStyle(mapContainer, {
+      "margin-left": `${sideMargin}px`,
+      "margin-right": `${sideMargin}px`
+    });
+  }
+  if (mapEl) {
+    const leftCtl = mapEl.querySelector('.leaflet-left');
+    const rightCtl = mapEl.querySelector('.leaflet-right');
+    if (leftCtl) setDynamicStyle(leftCtl, { left: `${MAP_SIDE_VISIBLE_INSET_PX}px` });
+    if (rightCtl) setDynamicStyle(rightCtl, { right: `${MAP_SIDE_VISIBLE_INSET_PX}px` });
+  }
 }
-map.on && map.on('resize', queueMapUiReflow);
-map.on && map.on('zoomend', queueMapUiReflow);
-map.on && map.on('moveend', () => setTimeout(positionDisclaimer, 50));
 
-// --- Layers control (moved into sidebar if present) ---
-const layersControl = L.control.layers(
-  { 'UN Topo': baseLayer },
-  {},
-  { collapsed: false }
-).addTo(map);
+applyHomeView();
+applyMaxBoundsSafely();
 
-const layersContainer = document.getElementById('layers-container');
-if (layersContainer) {
-  const controlContainer = layersControl.getContainer();
-  if (controlContainer) {
-      layersContainer.appendChild(controlContainer);
-      controlContainer.classList.add('layers-control-container');
-      ensureBaseLayerListedLastInControl();
-  }
-}
-//Legend Update
-// --- Legend update ---
-function getLegendSymbolKindFromGeometryType(geometryType) {
-  const t = String(geometryType || "").toLowerCase();
-  if (!t) return "polygon";
-  if (t.includes("line")) return "line";
-  if (t.includes("point")) return "point";
-  if (t.includes("polygon")) return "polygon";
-  if (t.includes("curve")) return "line";
-  return "polygon";
+function goHomeView() {
+  applyHomeView();
+  resetAllMapUiPositions();
 }
 
-function updateLegend(layerName, vals, cols, isNumeric, geojson) {
-  const leg = document.getElementById('legend-items');
-  if (!leg) return;
+function isAfricaLikeLayerExtent(bounds) {
+  if (!bounds || typeof bounds.isValid !== "function" || !bounds.isValid()) return false;
+  if (!INITIAL_HOME_BOUNDS || typeof INITIAL_HOME_BOUNDS.isValid !== "function" || !INITIAL_HOME_BOUNDS.isValid()) return false;
+  const bSw = bounds.getSouthWest();
+  const bNe = bounds.getNorthEast();
+  const hSw = INITIAL_HOME_BOUNDS.getSouthWest();
+  const hNe = INITIAL_HOME_BOUNDS.getNorthEast();
+  const bLatSpan = Math.max(0, bNe.lat - bSw.lat);
+  const bLngSpan = Math.max(0, bNe.lng - bSw.lng);
+  const hLatSpan = Math.max(0.0001, hNe.lat - hSw.lat);
+  const hLngSpan = Math.max(0.0001, hNe.lng - hSw.lng);
+  const latCoverage = bLatSpan / hLatSpan;
+  const lngCoverage = bLngSpan / hLngSpan;
+  const padded = bounds.pad(0.03);
+  const containsHome = padded.contains(hSw) && padded.contains(hNe);
+  return containsHome || (latCoverage >= IMPORT_EXTENT_HOME_COVERAGE_RATIO && lngCoverage >= IMPORT_EXTENT_HOME_COVERAGE_RATIO);
+}
 
-  const safeId = 'legend-' + String(layerName).replace(/[^\w\-]/g, "_");
-  let block = document.getElementById(safeId);
-  if (!block) {
-    block = document.createElement('div');
-    block.id = safeId;
-    block.className = 'legend-block';
-    leg.appendChild(block);
+function fitToLayerExtent(layer, options = {}) {
+  if (!layer || typeof layer.getBounds !== "function") return false;
+  const bounds = layer.getBounds();
+  if (!bounds || typeof bounds.isValid !== "function" || !bounds.isValid()) return false;
+  const maxZoom = Number.isFinite(options.maxZoom) ? options.maxZoom : undefined;
+  const shouldKeepHome = options.keepHomeWhenAfricaLike !== false;
+  if (shouldKeepHome && isAfricaLikeLayerExtent(bounds)) {
+    applyHomeView();
+    return true;
   }
 
-  block.textContent = "";
-
-  const defaultLegendTitle = sanitizePlainText(
-    `${humanizeLabel(layerName)}: ${humanizeLabel(currentAttribute || "")}`,
-    humanizeLabel(layerName)
-  );
-  if (overlayData[layerName]) {
-    overlayData[layerName].legendTitle = sanitizePlainText(overlayData[layerName].legendTitle, defaultLegendTitle);
-  }
+  const fitOptions = {
+    animate: false,
+    paddingTopLeft: [MAP_SIDE_VISIBLE_INSET_PX, 16],
+    paddingBottomRight: [MAP_SIDE_VISIBLE_INSET_PX, 35]
+  };
+  if (Number.isFinite(maxZoom)) fitOptions.maxZoom = maxZoom;
 
-  const header = document.createElement('div');
-  header.className = 'legend-header';
-  header.contentEditable = 'true';
-  header.setAttribute('role', 'textbox');
-  header.setAttribute('aria-label', `Legend title for ${layerName}`);
-  header.spellcheck = false;
-  header.textContent = overlayData[layerName]?.legendTitle || defaultLegendTitle;
-  header.addEventListener('paste', (e) => {
-    e.preventDefault();
-    const text = (e.clipboardData || window.clipboardData)?.getData('text') || '';
-    insertTextAtCaret(header, text);
-  });
-  header.addEventListener('blur', () => {
-    const next = sanitizePlainText(header.textContent, defaultLegendTitle);
-    header.textContent = next;
-    if (overlayData[layerName]) overlayData[layerName].legendTitle = next;
+  map.fitBounds(trimBoundsHorizontally(bounds), {
+    ...fitOptions
   });
-  block.appendChild(header);
+  map.panBy([0, 10], { animate: false });
+  safePanInsideBounds(MAP_NAV_BOUNDS, { animate: false });
+  return true;
+}
 
-  const detectLegendGeomType = () => {
-    const features = Array.isArray(geojson?.features) ? geojson.features : [];
-    for (let i = 0; i < features.length; i++) {
-      const type = features[i]?.geometry?.type;
-      if (typeof type === 'string' && type.trim()) return type;
-    }
-    const savedType = overlayData[layerName]?.legendGeomType;
-    if (typeof savedType === 'string' && savedType.trim()) return savedType;
-    return 'Polygon';
-  };
-  const geom = detectLegendGeomType();
-  const symbolKind = getLegendSymbolKindFromGeometryType(geom);
-
-  const makeRow = (label, color) => {
-    const row = document.createElement('div');
-    row.className = 'legend-row';
-
-    const sym = document.createElement('div');
-    sym.className = 'legend-sym';
-    if (symbolKind === 'line') sym.classList.add('legend-sym-line');
-    else if (symbolKind === 'point') sym.classList.add('legend-sym-point');
-    else sym.classList.add('legend-sym-polygon');
-
-    if (/^#[0-9A-Fa-f]{3,6}$/.test(color) || /^[a-zA-Z]+$/.test(color)) {
-      if (symbolKind === 'line') {
-        setDynamicStyle(sym, { "color": color, "background-color": "transparent" });
-      } else {
-        setDynamicStyle(sym, { "background-color": color, "color": "inherit" });
-      }
-    } else {
-      setDynamicStyle(sym, { "background-color": "#ccc" });
-      console.warn("Invalid color blocked:", color);
-    }
-
-    const lbl = document.createElement('span');
-    lbl.textContent = label;
-
-    row.append(sym, lbl);
-    return row;
-  };
-
-  if (isNumeric) {
-    for (let i = 0; i < vals.length - 1; i++) {
-      block.appendChild(makeRow(`${formatLegendClassValue(vals[i])} – ${formatLegendClassValue(vals[i + 1])}`, cols[i]));
-    }
-  } else {
-    const labels = Array.isArray(overlayData[layerName]?.legendLabels)
-      ? overlayData[layerName].legendLabels
-      : null;
-    vals.forEach((v, i) => {
-      const shown = sanitizePlainText(labels && labels[i] != null ? labels[i] : v, String(v));
-      block.appendChild(makeRow(shown, cols[i]));
-    });
+const HomeControl = L.Control.extend({
+  options: { position: 'topleft' },
+  onAdd: function() {
+    const container = L.DomUtil.create('div', 'leaflet-bar leaflet-control leaflet-control-home');
+    const link = L.DomUtil.create('a', 'leaflet-control-home-btn', container);
+    link.href = '#';
+    link.title = 'Home view';
+    link.setAttribute('aria-label', 'Home view');
+    link.textContent = '⌂';
+    // styles moved to CSS (CSP-safe)
+    L.DomEvent.on(link, 'click', L.DomEvent.stop)
+      .on(link, 'click', () => goHomeView());
+    return container;
   }
-
-  reorderLegendBlocks();
-}
-//Overlay Add/Remove Wiring
-// --- Overlay add/remove legend wiring ---
-map.on('overlayadd', (e) => {
-  const name = Object.keys(overlayData).find(
-    key => overlayData[key].layerGroup === e.layer
-  );
-  if (!name) return;
-
-  const data = overlayData[name];
-  if (!data || !data.vals || !data.cols) return;
-
-  updateLegend(name, data.vals, data.cols, data.isNumeric, data.geojson);
-  applyLayerStackOrder();
-  reorderLegendBlocks();
 });
+const homeControl = new HomeControl();
+map.addControl(homeControl);
+// Force the Home control below zoom buttons.
+setTimeout(() => {
+  const zoomControl = map.zoomControl && map.zoomControl.getContainer ? map.zoomControl.getContainer() : null;
+  const homeContainer = homeControl && homeControl.getContainer ? homeControl.getContainer() : null;
+  if (!zoomControl || !homeContainer || !zoomControl.parentNode) return;
+  setDynamicStyle(homeContainer, { "margin-top": "8px" });
+  zoomControl.parentNode.insertBefore(homeContainer, zoomControl.nextSibling);
+}, 0);
 
-map.on('overlayremove', (e) => {
-  const name = Object.keys(overlayData).find(
-    key => overlayData[key].layerGroup === e.layer
-  );
-  if (!name) return;
+const draggableMapControls = new Set();
+const draggableControlInitialResolvers = new WeakMap();
 
-  const block = document.getElementById('legend-' + sanitizeId(name));
-  if (block) block.remove();
-  reorderLegendBlocks();
-});
-//Styling, Defaults, and Live Refresh Helpers
-// --- Default styles (use getLineWidth/getPointRadius) ---
-function getPointRadius() {
-  const el = document.getElementById('point-size');
-  return el ? (+el.value || 4) : 4;
-}
-function getLineWidth() {
-  const el = document.getElementById('line-width');
-  return el ? (+el.value || 3) : 3;
+function clampDraggableControl(el, mapEl) {
+  const rect = mapEl.getBoundingClientRect();
+  const maxLeft = Math.max(0, rect.width - el.offsetWidth);
+  const maxTop = Math.max(0, rect.height - el.offsetHeight);
+  const left = Math.max(0, Math.min(maxLeft, parseFloat(el.dataset.leftPx) || 0));
+  const top = Math.max(0, Math.min(maxTop, parseFloat(el.dataset.topPx) || 0));
+  el.dataset.leftPx = String(left);
+  el.dataset.topPx = String(top);
+  setDynamicStyle(el, { left: `${left}px`, top: `${top}px` });
+  return { left, top, maxLeft, maxTop };
 }
 
-function defaultStyle(feature) {
-  const t = feature?.geometry?.type || "";
-  const activeLayerState = currentLayerName ? overlayData[currentLayerName] : null;
-  const defaultColor = /^#[0-9A-Fa-f]{6}$/.test(activeLayerState?.defaultSymbolColor || "")
-    ? activeLayerState.defaultSymbolColor
-    : (/LineString/.test(t) ? '#007aff' : '#ccc');
-  if (/Polygon/.test(t)) return { weight: 0, fillColor: defaultColor, fillOpacity: 0.6 };
-  if (/LineString/.test(t)) return { color: defaultColor, weight: getLineWidth() };
-  return { color: '#000', weight: 1, fillColor: defaultColor, fillOpacity: 0.6 };
+function updateDraggableControlNorm(el, mapEl) {
+  const rect = mapEl.getBoundingClientRect();
+  const maxLeft = Math.max(0, rect.width - el.offsetWidth);
+  const maxTop = Math.max(0, rect.height - el.offsetHeight);
+  const left = Math.max(0, Math.min(maxLeft, parseFloat(el.dataset.leftPx) || 0));
+  const top = Math.max(0, Math.min(maxTop, parseFloat(el.dataset.topPx) || 0));
+  el.dataset.normX = maxLeft > 0 ? String(left / maxLeft) : "0";
+  el.dataset.normY = maxTop > 0 ? String(top / maxTop) : "0";
 }
 
-function defaultPoint(feature, latlng) {
-  const size = getPointRadius();
-  const activeLayerState = currentLayerName ? overlayData[currentLayerName] : null;
-  const defaultColor = /^#[0-9A-Fa-f]{6}$/.test(activeLayerState?.defaultSymbolColor || "")
-    ? activeLayerState.defaultSymbolColor
-    : '#ccc';
-  return L.circleMarker(latlng, {
-    radius: size,
-    fillColor: defaultColor,
-    color: '#000',
-    weight: 1,
-    fillOpacity: 0.6,
-    interactive: true,
-    bubblingMouseEvents: false
-  });
+function applyDraggableControlNorm(el, mapEl) {
+  const rect = mapEl.getBoundingClientRect();
+  const maxLeft = Math.max(0, rect.width - el.offsetWidth);
+  const maxTop = Math.max(0, rect.height - el.offsetHeight);
+  const nx = Number(el.dataset.normX);
+  const ny = Number(el.dataset.normY);
+  const left = isFinite(nx) ? Math.max(0, Math.min(maxLeft, Math.round(nx * maxLeft))) : 0;
+  const top = isFinite(ny) ? Math.max(0, Math.min(maxTop, Math.round(ny * maxTop))) : 0;
+  el.dataset.leftPx = String(left);
+  el.dataset.topPx = String(top);
+  setDynamicStyle(el, { left: `${left}px`, top: `${top}px` });
 }
 
-// Refresh styles for existing layers (works before and after classification)
-function refreshStyles() {
-  if (!layerGroup) return;
-
-  layerGroup.eachLayer(layer => {
-    // GeoJSON vector layers and path layers support setStyle
-    if (typeof layer.setStyle === 'function') {
-      try {
-        const feat = layer.feature || {};
-        layer.setStyle(defaultStyle(feat));
-      } catch (e) {
-        console.warn("Failed to set style on layer:", e);
-      }
-    }
-
-    // CircleMarker and similar support setRadius
-    if (typeof layer.setRadius === 'function') {
-      try {
-        layer.setRadius(getPointRadius());
-      } catch (e) {
-        console.warn("Failed to set radius on marker:", e);
-      }
+function repositionDraggableControls() {
+  const mapEl = map && typeof map.getContainer === "function" ? map.getContainer() : null;
+  if (!mapEl) return;
+  draggableMapControls.forEach((el) => {
+    if (!el || !el.isConnected) return;
+    const userMoved = el.dataset && el.dataset.userMoved === "1";
+    if (!userMoved && draggableControlInitialResolvers.has(el)) {
+      applyDraggableControlInitialPosition(el, mapEl, false);
+      clampDraggableControl(el, mapEl);
+      return;
     }
-
-    // Some feature groups may contain nested layers
-    if (typeof layer.eachLayer === 'function') {
-      layer.eachLayer(sub => {
-        if (typeof sub.setStyle === 'function') {
-          try { sub.setStyle(defaultStyle(sub.feature || {})); } catch (e) {}
-        }
-        if (typeof sub.setRadius === 'function') {
-          try { sub.setRadius(getPointRadius()); } catch (e) {}
-        }
-      });
+    if (el.dataset && (el.dataset.normX || el.dataset.normY)) {
+      applyDraggableControlNorm(el, mapEl);
+      clampDraggableControl(el, mapEl);
+    } else {
+      clampDraggableControl(el, mapEl);
+      updateDraggableControlNorm(el, mapEl);
     }
   });
-
-  // Also update the raw geojsonLayer if present
-  if (geojsonLayer && typeof geojsonLayer.setStyle === 'function') {
-    try { geojsonLayer.setStyle(defaultStyle); } catch (e) {}
-  }
-}
-//File Upload and URL Add Handlers
-function getDataExtension(nameOrPath) {
-  const raw = String(nameOrPath || "").split(/[?#]/)[0];
-  const lastSlash = raw.lastIndexOf("/");
-  const segment = lastSlash >= 0 ? raw.slice(lastSlash + 1) : raw;
-  const dot = segment.lastIndexOf(".");
-  if (dot <= 0 || dot === segment.length - 1) return "";
-  return segment.slice(dot).toLowerCase();
 }
 
-function parseCsvToGeojson(csvText, sourceLabel = "CSV") {
-  if (!window.Papa || typeof window.Papa.parse !== "function") {
-    throw new Error("CSV parser is unavailable.");
-  }
-  assertCsvPayloadLooksSafe(csvText, sourceLabel);
-  const parsed = window.Papa.parse(csvText, {
-    header: true,
-    skipEmptyLines: "greedy"
+function applyDraggableControlInitialPosition(el, mapEl, refreshInit = true) {
+  const resolver = draggableControlInitialResolvers.get(el);
+  if (!resolver) return false;
+  const pos = resolver(el, mapEl) || {};
+  const initLeft = Math.max(0, Math.round(Number(pos.left) || 0));
+  const initTop = Math.max(0, Math.round(Number(pos.top) || 0));
+  el.dataset.leftPx = String(initLeft);
+  el.dataset.topPx = String(initTop);
+  setDynamicStyle(el, {
+    left: `${initLeft}px`,
+    top: `${initTop}px`,
+    right: "auto",
+    bottom: "auto"
   });
-  if (Array.isArray(parsed.errors) && parsed.errors.length) {
-    const firstErr = parsed.errors[0];
-    throw new Error(`${sourceLabel} parse error near row ${firstErr.row ?? "?"}.`);
-  }
-  const rows = Array.isArray(parsed.data) ? parsed.data : [];
-  if (!rows.length) {
-    throw new Error(`${sourceLabel} payload is empty.`);
-  }
-
-  const keys = Object.keys(rows[0] || {});
-  const latKey = keys.find(k => /lat/i.test(String(k)));
-  const lonKey = keys.find(k => /lon|lng|long/i.test(String(k)));
-  if (!latKey || !lonKey) {
-    throw new Error("CSV must have latitude/longitude columns.");
-  }
-
-  const features = rows.map((r, rowIdx) => {
-    const lat = Number.parseFloat(r?.[latKey]);
-    const lon = Number.parseFloat(r?.[lonKey]);
-    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
-    if (Math.abs(lat) > 90 || Math.abs(lon) > 180) {
-      console.warn("Skipping out-of-range coordinates on CSV row:", rowIdx + 2);
-      return null;
-    }
-    return {
-      type: "Feature",
-      geometry: { type: "Point", coordinates: [lon, lat] },
-      properties: { ...(r || {}) }
-    };
-  }).filter(f => f !== null);
-
-  return { type: "FeatureCollection", features };
-}
-
-function parseImportedData(ext, bodyText, contentType = "") {
-  if (ext === ".csv") {
-    return parseCsvToGeojson(bodyText, "CSV");
-  }
-  if (!contentType.includes("json")) {
-    console.warn("Non-standard content type for JSON-like import:", contentType);
-  }
-  const geojson = JSON.parse(bodyText);
-  if (!geojson || geojson.type !== "FeatureCollection") {
-    throw new Error("Invalid GeoJSON structure");
+  if (refreshInit) {
+    el.dataset.initLeft = String(initLeft);
+    el.dataset.initTop = String(initTop);
   }
-  return geojson;
+  updateDraggableControlNorm(el, mapEl);
+  return true;
 }
 
-async function addImportedLayer(geojson, rawName, sourceLabel) {
-  if (!geojson || !Array.isArray(geojson.features)) {
-    throw new Error("Invalid data structure");
-  }
+function makeControlDraggable(control, initial) {
+  if (!control || typeof control.getContainer !== "function") return;
+  const el = control.getContainer();
+  const mapEl = map.getContainer();
+  if (!el || !mapEl) return;
 
-  const stats = assertDatasetWithinLimits(geojson, sourceLabel);
-  const proceed = await confirmLargeDatasetLoad(stats, sourceLabel);
-  if (!proceed) {
-    throw new Error("Import canceled by user.");
-  }
+  // Move to map root so the control can be freely positioned.
+  mapEl.appendChild(el);
+  el.classList.add("draggable-map-control");
+  el.setAttribute("contenteditable", "false");
+  el.setAttribute("draggable", "false");
+  const initialResolver = typeof initial === "function"
+    ? initial
+    : () => (initial || { left: 0, top: 0 });
+  draggableControlInitialResolvers.set(el, initialResolver);
+  applyDraggableControlInitialPosition(el, mapEl, true);
+  draggableMapControls.add(el);
 
-  const safeName = sanitizeName(rawName);
-  const fg = L.featureGroup().addTo(map);
-  geojsonLayer = L.geoJSON(geojson, {
-    interactive: true,
-    bubblingMouseEvents: false,
-    style: defaultStyle,
-    pointToLayer: defaultPoint,
-    onEachFeature: bindFeaturePopup
-  }).addTo(fg);
-  layerGroup = fg;
-  // Smart import viewport: fit to new layer with safe padding unless extent is Africa-wide.
-  setTimeout(() => {
-    fitToLayerExtent(fg, {
-      maxZoom: IMPORT_EXTENT_MAX_ZOOM,
-      keepHomeWhenAfricaLike: true
-    });
-  }, 0);
+  let dragging = false;
+  let startX = 0;
+  let startY = 0;
+  let baseLeft = 0;
+  let baseTop = 0;
 
-  overlayData[safeName] = { layerGroup: fg, geojson: geojson };
-  layersControl.addOverlay(fg, safeName);
-  trackLayerOrder(safeName);
-  reorderLayersControlUI();
-  applyLayerStackOrder();
-  refreshLayerSelector();
-  await setActiveLayer(safeName);
-  initializeMapTitleFromLayer(safeName);
+  const onPointerMove = (evt) => {
+    if (!dragging) return;
+    const rect = mapEl.getBoundingClientRect();
+    const dx = evt.clientX - startX;
+    const dy = evt.clientY - startY;
+    const maxLeft = Math.max(0, rect.width - el.offsetWidth);
+    const maxTop = Math.max(0, rect.height - el.offsetHeight);
+    const nextLeft = Math.max(0, Math.min(maxLeft, baseLeft + dx));
+    const nextTop = Math.max(0, Math.min(maxTop, baseTop + dy));
+    el.dataset.leftPx = String(nextLeft);
+    el.dataset.topPx = String(nextTop);
+    setDynamicStyle(el, { left: `${nextLeft}px`, top: `${nextTop}px` });
+  };
 
-  return safeName;
-}
+  const stopDrag = () => {
+    if (!dragging) return;
+    dragging = false;
+    el.classList.remove("is-dragging");
+    el.dataset.userMoved = "1";
+    clampDraggableControl(el, mapEl);
+    updateDraggableControlNorm(el, mapEl);
+    scheduleSessionAutosave();
+    if (map.dragging && map.dragging.enabled && !map.dragging.enabled()) {
+      map.dragging.enable();
+    }
+    window.removeEventListener("pointermove", onPointerMove);
+    window.removeEventListener("pointerup", stopDrag);
+    window.removeEventListener("pointercancel", stopDrag);
+  };
 
-function readFileAsText(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = e => resolve(String(e?.target?.result || ""));
-    reader.onerror = () => reject(new Error("Failed to read file as text."));
-    reader.readAsText(file);
+  el.addEventListener("pointerdown", (evt) => {
+    if (!evt.isPrimary) return;
+    if (evt.pointerType === "mouse" && evt.button !== 0) return;
+    evt.preventDefault();
+    dragging = true;
+    el.classList.add("is-dragging");
+    startX = evt.clientX;
+    startY = evt.clientY;
+    baseLeft = parseFloat(el.dataset.leftPx) || 0;
+    baseTop = parseFloat(el.dataset.topPx) || 0;
+    if (el.setPointerCapture) {
+      try { el.setPointerCapture(evt.pointerId); } catch (err) {}
+    }
+    if (map.dragging && map.dragging.enabled && map.dragging.enabled()) {
+      map.dragging.disable();
+    }
+    window.addEventListener("pointermove", onPointerMove);
+    window.addEventListener("pointerup", stopDrag);
+    window.addEventListener("pointercancel", stopDrag);
   });
 }
 
-function readFileAsArrayBuffer(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = e => resolve(e?.target?.result);
-    reader.onerror = () => reject(new Error("Failed to read file."));
-    reader.readAsArrayBuffer(file);
-  });
+function getBottomCenterPosition(el, mapEl, bottomPx = 14, offsetXPx = 0) {
+  const mapW = mapEl.clientWidth || 0;
+  const mapH = mapEl.clientHeight || 0;
+  const left = Math.max(0, Math.round((mapW - el.offsetWidth) / 2) + offsetXPx);
+  const top = Math.max(0, Math.round(mapH - bottomPx - el.offsetHeight));
+  return { left, top };
 }
 
-async function importFile(file) {
-  const fileNameEl = document.getElementById("file-name");
-  const ext = getDataExtension(file?.name || "");
-  const allowedExtensions = new Set([".zip", ".csv", ".geojson"]);
-  if (!allowedExtensions.has(ext)) {
-    throw new Error(`Unsupported file type: ${file?.name || "unknown file"}`);
-  }
-  if (file.size > MAX_SIZE) {
-    const maxMb = Math.round(MAX_SIZE / (1024 * 1024));
-    throw new Error(`File "${file.name}" too large (max ${maxMb} MB).`);
+function getTopRightPosition(el, mapEl, marginPx = 12) {
+  const mapW = mapEl.clientWidth || 0;
+  const left = Math.max(
+    MAP_SIDE_VISIBLE_INSET_PX,
+    Math.round(mapW - MAP_SIDE_VISIBLE_INSET_PX - el.offsetWidth - marginPx)
+  );
+  const top = Math.max(0, marginPx);
+  return { left, top };
+}
+
+function formatScaleDistance(meters) {
+  if (!isFinite(meters) || meters <= 0) return "--";
+  if (meters >= 1000) {
+    const km = meters / 1000;
+    if (km >= 1000) return `${Math.round(km)} kilometer`;
+    if (km >= 100) return `${km.toFixed(1)} kilometer`;
+    if (km >= 10) return `${km.toFixed(2)} kilometer`;
+    return `${km.toFixed(3)} kilometer`;
   }
+  return `${Math.round(meters)} meter`;
+}
 
-  showLoading("Loading data from file...");
-  await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
-  try {
-    let geojson;
-    if (ext === ".zip") {
-      const bytes = await readFileAsArrayBuffer(file);
-      inspectZipSafety(bytes, file.size);
-      geojson = await shp(bytes);
-    } else {
-      const text = await readFileAsText(file);
-      geojson = parseImportedData(ext, text, ext === ".geojson" ? "application/json" : "text/csv");
+const ExactScaleControl = L.Control.extend({
+  options: { position: "bottomleft", widthPx: 160 },
+  onAdd: function(controlMap) {
+    this._map = controlMap;
+    const container = L.DomUtil.create("div", "leaflet-control leaflet-control-exact-scale");
+    const label = L.DomUtil.create("div", "exact-scale-label", container);
+    const prefix = L.DomUtil.create("span", "exact-scale-prefix", label);
+    const value = L.DomUtil.create("span", "exact-scale-value", label);
+    prefix.textContent = "Scale: ";
+    value.textContent = "--";
+    this._value = value;
+    L.DomEvent.disableClickPropagation(container);
+    L.DomEvent.disableScrollPropagation(container);
+    this._map.on("zoom move resize", this._update, this);
+    setTimeout(() => this._update(), 0);
+    return container;
+  },
+  onRemove: function(controlMap) {
+    controlMap.off("zoom move resize", this._update, this);
+  },
+  _update: function() {
+    if (!this._map || !this._value) return;
+    const size = this._map.getSize();
+    const sx = Number(size && size.x);
+    const sy = Number(size && size.y);
+    if (!Number.isFinite(sx) || !Number.isFinite(sy) || sx <= 0 || sy <= 0) {
+      this._value.textContent = "--";
+      return;
+    }
+    const y = Math.max(0, size.y - 24);
+    const x = Math.max(0, Math.round((size.x - this.options.widthPx) / 2));
+    const p1 = L.point(x, y);
+    const p2 = L.point(x + this.options.widthPx, y);
+    try {
+      const ll1 = this._map.containerPointToLatLng(p1);
+      const ll2 = this._map.containerPointToLatLng(p2);
+      const meters = this._map.distance(ll1, ll2);
+      this._value.textContent = formatScaleDistance(meters);
+    } catch (e) {
+      this._value.textContent = "--";
+      logEdgeExportDebug("scaleControl.updateSkipped", {
+        reason: "invalid-map-geometry",
+        sizeX: sx,
+        sizeY: sy
+      });
     }
+  }
+});
+const scaleControl = new ExactScaleControl({ widthPx: 160 });
+map.addControl(scaleControl);
 
-    const safeName = await addImportedLayer(geojson, file.name, "Imported file");
-    if (fileNameEl) fileNameEl.textContent = safeName;
-    showPopup(`File "${safeName}" uploaded successfully`, "success");
-  } finally {
-    hideLoading();
+function placeScaleBarOnMapBottom(control) {
+  if (!control || typeof control.getContainer !== "function") return;
+  const el = control.getContainer();
+  const mapEl = map && typeof map.getContainer === "function" ? map.getContainer() : null;
+  if (!el || !mapEl) return;
+  if (mapEl && el.parentElement !== mapEl) {
+    mapEl.appendChild(el);
+  }
+  el.classList.remove("fixed-page-scale-control");
+  el.classList.add("map-bottom-scale-control");
+  const userMoved = el.dataset && el.dataset.userMoved === "1";
+  if (userMoved) {
+    clampDraggableControl(el, mapEl);
+    updateDraggableControlNorm(el, mapEl);
+    return;
   }
+  applyDraggableControlInitialPosition(el, mapEl, true);
+  clampDraggableControl(el, mapEl);
+  updateDraggableControlNorm(el, mapEl);
 }
 
-async function importUrl(rawUrl) {
-  const fileNameEl = document.getElementById("file-name");
-  const urlInput = document.getElementById("geojson-url");
-  if (!rawUrl) throw new Error("Enter a valid URL");
-
-  showLoading("Loading data from URL...");
-  await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
-  try {
-    const { parsed, ext: requestedExt } = validateImportUrl(rawUrl);
-    const fetched = await fetchWithLimits(parsed.href);
-    const finalParsed = assertFinalImportUrlAllowed(fetched.finalUrl);
-    const ext = resolveRemoteImportExtension(requestedExt, finalParsed?.pathname || fetched.finalUrl || "", fetched.contentType);
-    if (!ext) {
-      throw new Error("Could not determine URL import type. Use a .csv/.geojson URL or a correct JSON/CSV content type.");
-    }
-    const hasAllowedContentType = isAllowedRemoteContentType(ext, fetched.contentType);
-    const csvPayloadFallbackAllowed = ext === ".csv" && isLikelyCsvPayload(fetched.text || "");
-    if (!hasAllowedContentType && !csvPayloadFallbackAllowed) {
-      throw new Error(`Remote content type is not allowed for ${ext} import.`);
-    }
-    const geojson = parseImportedData(ext, fetched.text || "", fetched.contentType || "");
-    const fallbackName = parsed.pathname.split("/").pop() || ("Layer_" + Date.now());
-    const safeName = await addImportedLayer(geojson, fallbackName, "Imported URL data");
-    if (urlInput) urlInput.value = "";
-    if (fileNameEl) fileNameEl.textContent = safeName;
-    showPopup(`Layer "${safeName}" added successfully`, "success");
-  } finally {
-    hideLoading();
+function ensureScaleBarPinnedToMapBottom() {
+  if (!scaleControl || typeof scaleControl.getContainer !== "function") return;
+  const el = scaleControl.getContainer();
+  const mapEl = map && typeof map.getContainer === "function" ? map.getContainer() : null;
+  if (!el || !mapEl) return;
+  if (mapEl && el.parentElement !== mapEl) {
+    mapEl.appendChild(el);
+  }
+  el.classList.remove("fixed-page-scale-control");
+  el.classList.add("map-bottom-scale-control");
+  const userMoved = el.dataset && el.dataset.userMoved === "1";
+  if (userMoved) {
+    clampDraggableControl(el, mapEl);
+    updateDraggableControlNorm(el, mapEl);
+    return;
   }
+  applyDraggableControlInitialPosition(el, mapEl, true);
+  clampDraggableControl(el, mapEl);
+  updateDraggableControlNorm(el, mapEl);
 }
 
-// --- File Upload Handler (secure) ---
-const fileUploadEl = document.getElementById("file-upload");
-if (fileUploadEl) {
-  fileUploadEl.addEventListener("change", async function(evt) {
-    const files = Array.from(evt?.target?.files || []);
-    for (const file of files) {
-      try {
-        await importFile(file);
-      } catch (err) {
-        console.error("File import error:", err);
-        showPopup(String(err?.message || "Error loading file"), "error");
-        const fileNameEl = document.getElementById("file-name");
-        if (fileNameEl) fileNameEl.textContent = "Error: " + String(err?.message || "Error loading file");
-      }
-    }
-    evt.target.value = "";
-  });
-}
+// North arrow
+const NorthArrowControl = L.Control.extend({
+  options: { position: 'topright' },
+  onAdd: function() {
+    const container = L.DomUtil.create('div', 'leaflet-control leaflet-control-north-arrow');
+    const label = L.DomUtil.create('div', 'north-arrow-symbol', container);
+    label.textContent = 'N';
+    label.setAttribute('aria-label', 'North arrow');
+    label.setAttribute('title', 'North');
+    L.DomEvent.disableClickPropagation(container);
+    L.DomEvent.disableScrollPropagation(container);
+    return container;
+  }
+});
+const northArrowControl = new NorthArrowControl();
+map.addControl(northArrowControl);
 
-const addGeojsonUrlEl = document.getElementById("add-geojson-url");
-if (addGeojsonUrlEl) {
-  addGeojsonUrlEl.addEventListener("click", async function() {
-    const rawUrl = document.getElementById("geojson-url")?.value.trim() || "";
-    try {
-      await importUrl(rawUrl);
-    } catch (err) {
-      console.error("Data load error:", err);
-      showPopup("Error loading data: " + String(err?.message || err), "error");
-      const fileNameEl = document.getElementById("file-name");
-      if (fileNameEl) fileNameEl.textContent = "Error: " + String(err?.message || err);
-    }
-  });
+// Make both controls draggable.
+makeControlDraggable(scaleControl, (el, mapEl) => {
+  const pos = getBottomCenterPosition(el, mapEl, SCALE_BAR_OFFSET_Y_PX, SCALE_BAR_OFFSET_X_PX);
+  return { left: pos.left, top: pos.top };
+});
+placeScaleBarOnMapBottom(scaleControl);
+makeControlDraggable(northArrowControl, (el, mapEl) => {
+  const pos = getTopRightPosition(el, mapEl, 12);
+  return { left: pos.left, top: pos.top + 30 };
+});
+
+// Base layer
+const BASE_LAYER_URL = 'https://geoservices.un.org/arcgis/rest/services/ClearMap_WebTopo/MapServer/tile/{z}/{y}/{x}';
+const baseLayer = L.tileLayer(
+  BASE_LAYER_URL,
+  {
+    attribution: '© United Nations',
+    crossOrigin: 'anonymous',
+    maxZoom: 18,
+    tileSize: 256
+  }
+).addTo(map);
+
+function ensureBaseLayerAtBack() {
+  if (!baseLayer || !map || !map.hasLayer(baseLayer)) return;
+  try {
+    if (typeof baseLayer.bringToBack === 'function') baseLayer.bringToBack();
+    if (typeof baseLayer.setZIndex === 'function') baseLayer.setZIndex(1);
+  } catch (e) {
+    console.warn("Failed to keep UN Topo at back:", e);
+  }
 }
 
-//Layer Selector, Activation, and Refresh
-// --- Refresh the Layer dropdown securely ---
-function refreshLayerSelector() {
-  const wrap = 'layer-select-col';
-  const sel = document.getElementById('layer-select');
-  if (!sel) return;
+ensureBaseLayerAtBack();
+map.on('layeradd', (e) => {
+  if (e && e.layer === baseLayer) ensureBaseLayerAtBack();
+});
 
-  sel.textContent = "";
-  const orderedNames = getOrderedLayerNames();
+// --- Draw control ---
+const drawnItems = new L.FeatureGroup();
+map.addLayer(drawnItems);
 
-  const defaultOpt = document.createElement('option');
-  defaultOpt.disabled = true;
-  defaultOpt.selected = orderedNames.length === 0;
-  defaultOpt.textContent = "Select layer…";
-  sel.appendChild(defaultOpt);
+const drawControl = new L.Control.Draw({
+  position: 'bottomright',
+  edit: { featureGroup: drawnItems },
+  draw: {
+    polygon: true,
+    polyline: true,
+    rectangle: true,
+    circle: true,
+    marker: {
+      icon: new L.Icon.Default(DEFAULT_MARKER_ICON_URLS)
+    }
+  }
+});
+map.addControl(drawControl);
 
-  orderedNames.forEach(name => {
-    const o = document.createElement('option');
-    o.value = name;
-    o.textContent = name;
-    sel.appendChild(o);
-  });
+map.on(L.Draw.Event.CREATED, (e) => {
+  const layer = e.layer;
+  if (layer && typeof layer.addTo === 'function') {
+    drawnItems.addLayer(layer);
+  } else {
+    console.warn("Invalid layer object received from draw event");
+  }
+});
 
-  if (orderedNames.length > 0) sel.value = orderedNames[0];
-  Object.keys(overlayData).length ? showRow(wrap) : hideRow(wrap);
-}
+// Position the disclaimer at the bottom-left of the map container
+function positionDisclaimer() {
+  try {
+    const disc = document.getElementById('disclaimer');
+    if (!disc) return;
+    const mapEl = map.getContainer();
+    const mapRect = mapEl ? mapEl.getBoundingClientRect() : null;
 
-function updateContinentFilterButtonLabel() {
-  const btn = document.getElementById('continent-filter-btn');
-  if (!btn) return;
-  const n = selectedContinentValues.size;
-  btn.textContent = n === 0 ? "Select continent(s)" : (n === 1 ? Array.from(selectedContinentValues)[0] : `${n} continents selected`);
-}
+  const left = 12 + DISCLAIMER_LEFT_VISIBLE_INSET_PX;
+  const bottom = 30;
+    const preferredFixedWidth = 252;
+    const margin = 12;
+    const maxAvailableWidth = mapRect
+      ? Math.max(120, Math.round(mapRect.width - left - margin))
+      : preferredFixedWidth;
+    const getStableDisclaimerWidthPx = () => {
+      const fixedWidth = Number(disc.dataset.fixedWidthPx);
+      const renderedWidth = Math.round(disc.getBoundingClientRect().width || disc.offsetWidth || preferredFixedWidth);
+      const fallbackWidth = Math.min(maxAvailableWidth, preferredFixedWidth);
+      const candidate = Number.isFinite(fixedWidth) && fixedWidth > 0 ? fixedWidth : (renderedWidth || fallbackWidth);
+      return Math.max(120, Math.min(maxAvailableWidth, Math.round(candidate)));
+    };
 
-function updateCountryFilterButtonLabel() {
-  const btn = document.getElementById('country-filter-btn');
-  if (!btn) return;
-  const n = selectedCountryValues.size;
-  btn.textContent = n === 0 ? "Select country(ies)" : (n === 1 ? Array.from(selectedCountryValues)[0] : `${n} countries selected`);
-}
+    const desiredWidth = Math.min(maxAvailableWidth, preferredFixedWidth);
+    const userMoved = !!disclaimerUserPos;
+    const widthPx = userMoved ? getStableDisclaimerWidthPx() : desiredWidth;
+    disc.dataset.fixedWidthPx = String(widthPx);
 
-function uncheckActiveLayerInControl() {
-  const name = sanitizePlainText(currentLayerName || "");
-  if (!name || !overlayData[name]) return;
+    disc.classList.add('clamp-5-lines');
+    disc.style.setProperty('top', 'auto');
+    disc.style.setProperty('left', left + 'px');
+    disc.style.setProperty('right', 'auto');
+    disc.style.setProperty('bottom', bottom + 'px');
+    disc.style.setProperty('width', widthPx + 'px');
+    disc.style.setProperty('max-width', widthPx + 'px');
 
-  const group = overlayData[name].layerGroup;
-  if (group && map && map.hasLayer(group)) {
-    try { map.removeLayer(group); } catch (e) {}
+    // Keep user-dragged position across resize/move while clamping to map bounds.
+    if (disclaimerUserPos) {
+      const mW = mapEl ? mapEl.clientWidth : 0;
+      const mH = mapEl ? mapEl.clientHeight : 0;
+      const dW = disc.offsetWidth || desiredWidth;
+      const dH = disc.offsetHeight || 0;
+      const marginClamp = 6;
+      const minLeft = Math.max(marginClamp, DISCLAIMER_LEFT_VISIBLE_INSET_PX + marginClamp);
+      const maxLeft = Math.max(minLeft, mW - MAP_SIDE_VISIBLE_INSET_PX - dW - marginClamp);
+      const maxTop = Math.max(marginClamp, mH - dH - marginClamp);
+      const leftPx = Math.min(maxLeft, Math.max(minLeft, disclaimerUserPos.left));
+      const topPx = Math.min(maxTop, Math.max(marginClamp, disclaimerUserPos.top));
+      disc.style.setProperty('top', topPx + 'px');
+      disc.style.setProperty('left', leftPx + 'px');
+      disc.style.setProperty('bottom', 'auto');
+      disc.style.setProperty('width', widthPx + 'px');
+      disc.style.setProperty('max-width', widthPx + 'px');
+      disclaimerUserPos = { left: leftPx, top: topPx };
+    }
+  } catch (e) {
+    console.warn('positionDisclaimer failed', e);
   }
-
-  const controlContainer = layersControl && layersControl.getContainer ? layersControl.getContainer() : null;
-  if (!controlContainer) return;
-  const labels = Array.from(controlContainer.querySelectorAll('label'));
-  const label = labels.find(lbl => getLayerNameFromLabel(lbl) === name);
-  if (!label) return;
-  const cb = label.querySelector('input.leaflet-control-layers-selector');
-  if (cb) cb.checked = false;
 }
 
-function checkActiveLayerInControl() {
-  const name = sanitizePlainText(currentLayerName || "");
-  if (!name || !overlayData[name]) return;
+function resetDisclaimerPosition() {
+  disclaimerUserPos = null;
+  positionDisclaimer();
+}
 
-  const group = overlayData[name].layerGroup;
-  if (group && map && !map.hasLayer(group)) {
-    try { map.addLayer(group); } catch (e) {}
-  }
+function resetDraggableControlsToInitial() {
+  const mapEl = map && typeof map.getContainer === "function" ? map.getContainer() : null;
+  if (!mapEl) return;
+  draggableMapControls.forEach((el) => {
+    if (!el || !el.isConnected) return;
+    const applied = applyDraggableControlInitialPosition(el, mapEl, true);
+    if (!applied) {
+      const initLeft = Number(el.dataset.initLeft);
+      const initTop = Number(el.dataset.initTop);
+      if (isFinite(initLeft) && isFinite(initTop)) {
+        el.dataset.leftPx = String(initLeft);
+        el.dataset.topPx = String(initTop);
+        setDynamicStyle(el, { left: `${initLeft}px`, top: `${initTop}px` });
+      } else {
+        clampDraggableControl(el, mapEl);
+      }
+      updateDraggableControlNorm(el, mapEl);
+    } else {
+      clampDraggableControl(el, mapEl);
+    }
+    el.dataset.userMoved = "";
+    el.dataset.normX = "";
+    el.dataset.normY = "";
+    updateDraggableControlNorm(el, mapEl);
+  });
+}
 
-  const controlContainer = layersControl && layersControl.getContainer ? layersControl.getContainer() : null;
-  if (!controlContainer) return;
-  const labels = Array.from(controlContainer.querySelectorAll('label'));
-  const label = labels.find(lbl => getLayerNameFromLabel(lbl) === name);
-  if (!label) return;
-  const cb = label.querySelector('input.leaflet-control-layers-selector');
-  if (cb) cb.checked = true;
+function resetAllMapUiPositions() {
+  resetDisclaimerPosition();
+  resetDraggableControlsToInitial();
 }
 
-function populateCountryFilterOptions(data) {
-  const col = 'country-filter-col';
-  const list = document.getElementById('country-filter-list');
-  const btnAll = document.getElementById('btnCountryAll');
-  const btnClear = document.getElementById('btnCountryClear');
-  if (!list || !activeCountryField) return hideRow(col);
+function initDisclaimerDrag() {
+  const disc = document.getElementById('disclaimer');
+  const mapEl = map && typeof map.getContainer === 'function' ? map.getContainer() : null;
+  if (!disc || !mapEl || disc.dataset.dragInit === '1') return;
 
-  // Cascaded behavior: no country list until at least one continent is selected.
-  if (!activeContinentField || selectedContinentValues.size === 0) {
-    list.textContent = "";
-    selectedCountryValues = new Set();
-    updateCountryFilterButtonLabel();
-    if (btnAll) btnAll.disabled = true;
-    if (btnClear) btnClear.disabled = true;
-    return hideRow(col);
-  }
+  const resolveDisclaimerWidthPx = () => {
+    const mapRect = mapEl.getBoundingClientRect();
+    const leftInset = 12 + DISCLAIMER_LEFT_VISIBLE_INSET_PX;
+    const margin = 12;
+    const maxAvailableWidth = mapRect
+      ? Math.max(120, Math.round(mapRect.width - leftInset - margin))
+      : 252;
+    const fixedWidth = Number(disc.dataset.fixedWidthPx);
+    const renderedWidth = Math.round(disc.getBoundingClientRect().width || disc.offsetWidth || 252);
+    const candidate = Number.isFinite(fixedWidth) && fixedWidth > 0 ? fixedWidth : renderedWidth;
+    return Math.max(120, Math.min(maxAvailableWidth, Math.round(candidate || 252)));
+  };
 
-  let vals = [];
-  if (activeCountryField === "__rma_country" && worldCountriesByContinent) {
-    const set = new Set();
-    Array.from(selectedContinentValues).forEach(cont => {
-      const matches = Array.from(worldCountriesByContinent.keys()).find(k => norm(k) === norm(cont));
-      if (!matches) return;
-      worldCountriesByContinent.get(matches).forEach(cn => set.add(cn));
-    });
-    vals = Array.from(set).sort((a, b) => a.localeCompare(b));
-  } else {
-    const byContinent = (Array.isArray(data?.features) ? data.features : []).filter(f =>
-      Array.from(selectedContinentValues).some(v =>
-        norm(v) === norm(f?.properties?.[activeContinentField])
-      )
-    );
-    vals = uniqueValuesForKey(byContinent, activeCountryField);
-  }
-  // keep only selections still visible under current continent
-  selectedCountryValues = new Set(
-    Array.from(selectedCountryValues).filter(v => vals.some(x => norm(x) === norm(v)))
-  );
+  disc.dataset.dragInit = '1';
+  disc.setAttribute('contenteditable', 'false');
+  disc.setAttribute('draggable', 'false');
+  disc.style.pointerEvents = 'auto';
 
-  list.textContent = "";
-  vals.forEach((v, i) => {
-    const row = document.createElement('label');
-    row.className = 'country-filter-item';
-    const cb = document.createElement('input');
-    cb.type = 'checkbox';
-    cb.className = 'country-filter-check';
-    cb.value = v;
-    cb.id = `country-filter-${i}`;
-    cb.checked = Array.from(selectedCountryValues).some(x => norm(x) === norm(v));
-    const txt = document.createElement('span');
-    txt.textContent = v;
-    row.append(cb, txt);
-    list.appendChild(row);
-  });
+  let dragging = false;
+  let startX = 0;
+  let startY = 0;
+  let baseLeft = 0;
+  let baseTop = 0;
 
-  if (btnAll) btnAll.disabled = vals.length === 0;
-  if (btnClear) btnClear.disabled = vals.length === 0;
-  updateCountryFilterButtonLabel();
-  showRow(col);
-}
+  const clampAndApply = (left, top) => {
+    const mW = mapEl.clientWidth || 0;
+    const mH = mapEl.clientHeight || 0;
+    const dW = disc.offsetWidth || 0;
+    const dH = disc.offsetHeight || 0;
+    const marginClamp = 6;
+    const minLeft = Math.max(marginClamp, DISCLAIMER_LEFT_VISIBLE_INSET_PX + marginClamp);
+    const maxLeft = Math.max(minLeft, mW - MAP_SIDE_VISIBLE_INSET_PX - dW - marginClamp);
+    const maxTop = Math.max(marginClamp, mH - dH - marginClamp);
+    const clampedLeft = Math.min(maxLeft, Math.max(minLeft, left));
+    const clampedTop = Math.min(maxTop, Math.max(marginClamp, top));
+    const fixedWidthPx = resolveDisclaimerWidthPx();
 
-async function populateFilterControls(data) {
-  const contCol = 'continent-filter-col';
-  const contSel = document.getElementById('continent-filter');
-  const africaBtn = document.getElementById('btnAfricaOnly');
-  const contBtnAll = document.getElementById('btnContinentAll');
-  const contBtnClear = document.getElementById('btnContinentClear');
-  if (!contSel) return;
+    disc.style.setProperty('top', clampedTop + 'px');
+    disc.style.setProperty('left', clampedLeft + 'px');
+    disc.style.setProperty('bottom', 'auto');
+    disc.style.setProperty('width', fixedWidthPx + 'px');
+    disc.style.setProperty('max-width', fixedWidthPx + 'px');
+    disc.dataset.fixedWidthPx = String(fixedWidthPx);
+    disclaimerUserPos = { left: clampedLeft, top: clampedTop };
+  };
 
-  let fields = detectFilterFields(data);
-  activeContinentField = fields.continentKey || ensureSyntheticContinentField(data);
-  activeCountryField = fields.countryKey;
-  try {
-    const hasSpatial = await ensureSpatialCountryContinentFields(data);
-    if (hasSpatial) {
-      // Prefer schema-independent spatial fields when available so continent/country
-      // options are consistent across CSV/GeoJSON/SHP and not limited by source schema.
-      activeContinentField = "__rma_continent_spatial";
-      activeCountryField = "__rma_country";
-    } else if (!activeContinentField || !activeCountryField) {
-      fields = detectFilterFields(data);
-      activeContinentField = fields.continentKey || ensureSyntheticContinentField(data);
-      activeCountryField = fields.countryKey;
-    }
-  } catch (e) {
-    console.warn("Spatial country/continent inference unavailable:", e);
-  }
-  selectedContinentValues = new Set();
-  selectedCountryValues = new Set();
+  const beginDrag = (clientX, clientY) => {
+    const mapRect = mapEl.getBoundingClientRect();
+    const discRect = disc.getBoundingClientRect();
+    dragging = true;
+    startX = clientX;
+    startY = clientY;
+    baseLeft = discRect.left - mapRect.left;
+    baseTop = discRect.top - mapRect.top;
+    disc.dataset.fixedWidthPx = String(resolveDisclaimerWidthPx());
+    disc.classList.add('is-dragging');
+    if (map.dragging && map.dragging.enabled && map.dragging.enabled()) map.dragging.disable();
+    clampAndApply(baseLeft, baseTop);
+  };
 
-  contSel.textContent = "";
-  if (activeContinentField) {
-    const vals = (activeContinentField === "__rma_continent_spatial" && worldCountriesByContinent)
-      ? Array.from(worldCountriesByContinent.keys()).sort((a, b) => a.localeCompare(b))
-      : uniqueValuesForKey(data?.features || [], activeContinentField);
-    vals.forEach(v => {
-      const row = document.createElement('label');
-      row.className = 'country-filter-item';
-      const cb = document.createElement('input');
-      cb.type = 'checkbox';
-      cb.className = 'country-filter-check';
-      cb.value = v;
-      cb.checked = false;
-      const txt = document.createElement('span');
-      txt.textContent = continentLabel(v) || v;
-      row.append(cb, txt);
-      contSel.appendChild(row);
-    });
-    // Start with no continent selected so country options appear only
-    // after an explicit continent selection.
-    selectedContinentValues = new Set();
-    updateContinentFilterButtonLabel();
-    showRow(contCol);
-    if (africaBtn) setDynamicStyle(africaBtn, { display: "" });
-    if (contBtnAll) setDynamicStyle(contBtnAll, { display: "" });
-    if (contBtnClear) setDynamicStyle(contBtnClear, { display: "" });
-  } else {
-    updateContinentFilterButtonLabel();
-    hideRow(contCol);
-    if (africaBtn) setDynamicStyle(africaBtn, { display: "none" });
-    if (contBtnAll) setDynamicStyle(contBtnAll, { display: "none" });
-    if (contBtnClear) setDynamicStyle(contBtnClear, { display: "none" });
-  }
+  const endDrag = () => {
+    if (!dragging) return false;
+    dragging = false;
+    disc.classList.remove('is-dragging');
+    if (map.dragging && map.dragging.enabled && !map.dragging.enabled()) map.dragging.enable();
+    scheduleSessionAutosave();
+    return true;
+  };
 
-  populateCountryFilterOptions(data);
-}
+  const onPointerMove = (e) => {
+    if (!dragging) return;
+    const nextLeft = baseLeft + (e.clientX - startX);
+    const nextTop = baseTop + (e.clientY - startY);
+    clampAndApply(nextLeft, nextTop);
+    e.preventDefault();
+  };
 
-function renderDefaultFilteredLayer() {
-  if (!currentLayerName || !geojsonData) return;
-  const filtered = getFilteredGeojson(geojsonData);
+  const onPointerUp = (e) => {
+    if (!endDrag()) return;
+    if (disc.releasePointerCapture) {
+      try { disc.releasePointerCapture(e.pointerId); } catch (err) {}
+    }
+  };
 
-  if (layerGroup && typeof layerGroup.clearLayers === 'function') {
-    layerGroup.clearLayers();
-  } else {
-    layerGroup = L.featureGroup().addTo(map);
-  }
+  const onPointerDown = (e) => {
+    if (dragging) return;
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    beginDrag(e.clientX, e.clientY);
+    if (disc.setPointerCapture) {
+      try { disc.setPointerCapture(e.pointerId); } catch (err) {}
+    }
+    e.preventDefault();
+    e.stopPropagation();
+  };
 
-  geojsonLayer = L.geoJSON(filtered, {
-    interactive: true,
-    bubblingMouseEvents: false,
-    style: defaultStyle,
-    pointToLayer: defaultPoint,
-    onEachFeature: bindFeaturePopup
-  }).addTo(layerGroup);
+  const onMouseMove = (e) => {
+    if (!dragging) return;
+    const nextLeft = baseLeft + (e.clientX - startX);
+    const nextTop = baseTop + (e.clientY - startY);
+    clampAndApply(nextLeft, nextTop);
+    e.preventDefault();
+  };
 
-  const geomType = filtered?.features?.[0]?.geometry?.type || geojsonData?.features?.[0]?.geometry?.type || "Polygon";
-  const state = overlayData[currentLayerName] || null;
-  const defaultLegendColor = /^#[0-9A-Fa-f]{6}$/.test(state?.defaultSymbolColor || "")
-    ? state.defaultSymbolColor
-    : (/LineString/.test(geomType) ? "#007aff" : "#ccc");
-  const defaultLegendLabel = sanitizePlainText(state?.defaultSymbolLabel || "Features", "Features");
+  const onMouseUp = () => {
+    endDrag();
+  };
 
-  if (overlayData[currentLayerName]) {
-    overlayData[currentLayerName].vals = [defaultLegendLabel];
-    overlayData[currentLayerName].cols = [defaultLegendColor];
-    overlayData[currentLayerName].isNumeric = false;
-    overlayData[currentLayerName].legendLabels = [defaultLegendLabel];
-    overlayData[currentLayerName].legendGeomType = geomType;
-    overlayData[currentLayerName].defaultSymbolColor = defaultLegendColor;
-    overlayData[currentLayerName].defaultSymbolLabel = defaultLegendLabel;
-  }
+  const onMouseDown = (e) => {
+    if (dragging) return;
+    if (e.button !== 0) return;
+    beginDrag(e.clientX, e.clientY);
+    e.preventDefault();
+    e.stopPropagation();
+  };
 
-  updateLegend(currentLayerName, [defaultLegendLabel], [defaultLegendColor], false, filtered);
-  updateClassificationTableDefaultSymbol(defaultLegendLabel, defaultLegendColor);
-}
+  const onTouchMove = (e) => {
+    if (!dragging) return;
+    const touch = e.touches && e.touches[0];
+    if (!touch) return;
+    const nextLeft = baseLeft + (touch.clientX - startX);
+    const nextTop = baseTop + (touch.clientY - startY);
+    clampAndApply(nextLeft, nextTop);
+    e.preventDefault();
+  };
 
-// --- Activate a layer securely ---
-async function setActiveLayer(name) {
-  currentLayerName = name;
-  const targetLayerName = name;
-  const obj = overlayData[name];
-  if (!obj) {
-    console.warn("Invalid layer activation:", name);
-    return;
-  }
-
-  geojsonData = obj.geojson;
-  layerGroup  = obj.layerGroup;
-  currentAttribute = null;
+  const onTouchEnd = () => {
+    endDrag();
+  };
 
-  try {
-    if (geojsonData && geojsonData.type === "FeatureCollection") {
-      await populateFilterControls(geojsonData);
-      if (currentLayerName !== targetLayerName) return;
-      populateAttributeList(geojsonData);
-      updatePointSizeControl();
-      updateLineWidthControl();
-      updateClassificationOptions();
-      // Do not force classification; apply only if attribute already selected
-      if (currentAttribute) applyClassification();
-      else renderDefaultFilteredLayer();
-    }
-  } catch (e) {
-    console.error("Layer activation UI failed; applying safe fallback.", e);
-    try {
-      populateAttributeList(geojsonData || { type: "FeatureCollection", features: [] });
-      updatePointSizeControl();
-      updateLineWidthControl();
-      updateClassificationOptions();
-      renderDefaultFilteredLayer();
-    } catch (inner) {
-      console.error("Layer activation fallback also failed.", inner);
-    }
-  }
+  const onTouchStart = (e) => {
+    if (dragging) return;
+    const touch = e.touches && e.touches[0];
+    if (!touch) return;
+    beginDrag(touch.clientX, touch.clientY);
+    e.preventDefault();
+    e.stopPropagation();
+  };
 
-  const sel = document.getElementById('layer-select');
-  if (sel) {
-    sel.value = name;
-    showRow('layer-select-col');
-  }
-}
-//Attribute Population, Controls, and Classification Options
-// --- Populate attribute dropdown ---
-function populateAttributeList(data) {
-  const wrap = 'attribute-select-col';
-  const sel = document.getElementById('attribute-select');
-  if (!sel) return;
+  disc.addEventListener('pointerdown', onPointerDown);
+  disc.addEventListener('mousedown', onMouseDown);
+  disc.addEventListener('touchstart', onTouchStart, false);
 
-  sel.textContent = "";
+  // Hard fallback channel: direct handlers are more resilient on locked-down browsers.
+  disc.onmousedown = onMouseDown;
+  disc.ontouchstart = onTouchStart;
 
-  const defaultOpt = document.createElement('option');
-  defaultOpt.disabled = true;
-  defaultOpt.selected = true;
-  defaultOpt.textContent = "Select attribute";
-  sel.appendChild(defaultOpt);
+  // Keep listeners attached once to avoid race conditions when drag starts.
+  window.addEventListener('pointermove', onPointerMove, false);
+  window.addEventListener('pointerup', onPointerUp);
+  window.addEventListener('pointercancel', onPointerUp);
+  window.addEventListener('mousemove', onMouseMove);
+  window.addEventListener('mouseup', onMouseUp);
+  window.addEventListener('touchmove', onTouchMove, false);
+  window.addEventListener('touchend', onTouchEnd);
+  window.addEventListener('touchcancel', onTouchEnd);
 
-  if (!data || !Array.isArray(data.features) || !data.features.length) {
-    return hideRow(wrap);
-  }
+  // Capture-phase document listeners as final fallback if window listeners miss events.
+  document.addEventListener('mousemove', onMouseMove, true);
+  document.addEventListener('mouseup', onMouseUp, true);
+  document.addEventListener('touchmove', onTouchMove, true);
+  document.addEventListener('touchend', onTouchEnd, true);
+  document.addEventListener('touchcancel', onTouchEnd, true);
 
-  const props = data.features[0].properties || {};
-  Object.keys(props).forEach(k => {
-    const o = document.createElement('option');
-    o.value = String(k).replace(/[^\w\-]/g, "_");
-    o.textContent = k;
-    sel.appendChild(o);
+  // Ensure map drag state recovers if pointer events are interrupted.
+  window.addEventListener('blur', () => {
+    if (!dragging) return;
+    endDrag();
   });
 
-  showRow(wrap);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden' && dragging) {
+      endDrag();
+    }
+  });
 }
 
-// --- Point & Line size controls visibility ---
-function updatePointSizeControl() {
-  const wrap = 'point-size-col';
-  if (!geojsonData || !Array.isArray(geojsonData.features)) return hideRow(wrap);
+function scheduleDisclaimerDragInit(maxAttempts = 10, delayMs = 180) {
+  let attempts = 0;
+  const tick = () => {
+    attempts += 1;
+    initDisclaimerDrag();
+    const disc = document.getElementById('disclaimer');
+    if (disc && disc.dataset.dragInit === '1') return;
+    if (attempts < maxAttempts) {
+      setTimeout(tick, delayMs);
+    }
+  };
+  tick();
+}
 
-  const hasPoint = geojsonData.features.some(f => f.geometry && /Point/.test(f.geometry.type));
-  hasPoint ? showRow(wrap) : hideRow(wrap);
+function runMapUiReflowPasses() {
+  // Browser zoom updates element metrics asynchronously; run multiple passes.
+  [20, 110, 240].forEach((delayMs) => {
+    setTimeout(() => {
+      syncLayoutWithHeaderHeight();
+      // Reflow after Leaflet has processed the new container size.
+      setTimeout(() => {
+        if (map && typeof map.invalidateSize === "function") {
+          map.invalidateSize({ pan: false });
+        }
+        if (scaleControl && typeof scaleControl._update === "function") {
+          scaleControl._update();
+        }
+        ensureScaleBarPinnedToMapBottom();
+        positionDisclaimer();
+        repositionDraggableControls();
+      }, 40);
+    }, delayMs);
+  });
 }
 
-function updateLineWidthControl() {
-  const wrap = 'line-width-col';
-  if (!geojsonData || !Array.isArray(geojsonData.features)) return hideRow(wrap);
+let mapUiReflowRaf = 0;
+function queueMapUiReflow() {
+  if (mapUiReflowRaf) cancelAnimationFrame(mapUiReflowRaf);
+  mapUiReflowRaf = requestAnimationFrame(() => {
+    mapUiReflowRaf = 0;
+    runMapUiReflowPasses();
+  });
+}
 
-  const hasLine = geojsonData.features.some(f => f.geometry && /LineString/.test(f.geometry.type));
-  hasLine ? showRow(wrap) : hideRow(wrap);
+// run initially and on relevant events
+window.addEventListener('load', () => {
+  syncLayoutWithHeaderHeight();
+  // Re-apply initial home once layout settles to avoid late layout shifts.
+  setTimeout(applyHomeView, 50);
+  setTimeout(syncLayoutWithHeaderHeight, 80);
+  setTimeout(resetAllMapUiPositions, 300);
+  setTimeout(scheduleDisclaimerDragInit, 350);
+  setTimeout(repositionDraggableControls, 360);
+  setTimeout(ensureScaleBarPinnedToMapBottom, 380);
+  queueMapUiReflow();
+});
+window.addEventListener('resize', queueMapUiReflow);
+window.addEventListener('orientationchange', queueMapUiReflow);
+if (window.visualViewport) {
+  window.visualViewport.addEventListener('resize', queueMapUiReflow);
+  window.visualViewport.addEventListener('scroll', queueMapUiReflow);
 }
+map.on && map.on('resize', queueMapUiReflow);
+map.on && map.on('zoomend', queueMapUiReflow);
+map.on && map.on('moveend', () => setTimeout(positionDisclaimer, 50));
 
-// --- Classification options ---
-function updateClassificationOptions() {
-  const typeWrap = 'classification-type-col';
-  const numWrap = 'num-classes-col';
-  const sel = document.getElementById('classification-type');
-  if (!sel) return;
+// --- Layers control (moved into sidebar if present) ---
+const layersControl = L.control.layers(
+  { 'UN Topo': baseLayer },
+  {},
+  { collapsed: false }
+).addTo(map);
 
-  if (!geojsonData || !Array.isArray(geojsonData.features) || !geojsonData.features.length) {
-    hideRow(typeWrap);
-    hideRow(numWrap);
-    return;
+const layersContainer = document.getElementById('layers-container');
+if (layersContainer) {
+  const controlContainer = layersControl.getContainer();
+  if (controlContainer) {
+      layersContainer.appendChild(controlContainer);
+      controlContainer.classList.add('layers-control-container');
+      ensureBaseLayerListedLastInControl();
   }
+}
+//Legend Update
+// --- Legend update ---
+function getLegendSymbolKindFromGeometryType(geometryType) {
+  const t = String(geometryType || "").toLowerCase();
+  if (!t) return "polygon";
+  if (t.includes("line")) return "line";
+  if (t.includes("point")) return "point";
+  if (t.includes("polygon")) return "polygon";
+  if (t.includes("curve")) return "line";
+  return "polygon";
+}
 
-  const sample = geojsonData.features[0].properties?.[currentAttribute];
-  showRow(typeWrap);
+// Nested-circle size key for proportional point symbols.
+function buildProportionalSymbolKey(state) {
+  const maxValue = Number(state?.symbolMaxValue);
+  if (!(maxValue > 0)) return null;
+  const refs = [maxValue, maxValue / 3, maxValue / 10]
+    .map((v, i) => i === 0 ? v : roundToSignificant(v))
+    .filter((v, i, arr) => v > 0 && arr.indexOf(v) === i);
+  const maxR = pointRadiusForValue(state, refs[0]);
+  const diameter = Math.round(maxR * 2);
+
+  const key = document.createElement('div');
+  key.className = 'legend-prop-key';
+  setDynamicStyle(key, { "height": `${diameter + 2}px`, "width": `${diameter + 70}px` });
+
+  refs.forEach((v) => {
+    const r = pointRadiusForValue(state, v);
+    const d = Math.round(r * 2);
+    const circle = document.createElement('div');
+    circle.className = 'legend-prop-circle';
+    setDynamicStyle(circle, {
+      "width": `${d}px`,
+      "height": `${d}px`,
+      "left": `${Math.round(maxR - r)}px`,
+      "top": `${diameter - d}px`
+    });
 
-  sel.textContent = "";
+    const tick = document.createElement('div');
+    tick.className = 'legend-prop-tick';
+    setDynamicStyle(tick, {
+      "left": `${Math.round(maxR)}px`,
+      "top": `${diameter - d}px`,
+      "width": `${Math.round(maxR) + 6}px`
+    });
 
-  if (!isNaN(Number(sample))) {
-    ["equal", "jenks", "quantile"].forEach(type => {
-      const opt = document.createElement('option');
-      opt.value = type;
-      opt.textContent = type === "equal" ? "Equal Interval"
-                      : type === "jenks" ? "Natural Breaks"
-                      : "Quantile";
-      sel.appendChild(opt);
+    const lbl = document.createElement('span');
+    lbl.className = 'legend-prop-label';
+    lbl.textContent = formatLegendClassValue(v);
+    setDynamicStyle(lbl, {
+      "left": `${diameter + 8}px`,
+      "top": `${Math.max(0, diameter - d - 6)}px`
     });
-    showRow(numWrap);
-  } else {
-    const opt = document.createElement('option');
-    opt.value = "unique";
-    opt.textContent = "Unique";
-    sel.appendChild(opt);
-    hideRow(numWrap);
-  }
-}
-//Classification Application (fixed to respect line-width before/after classification)
-function applyClassification() {
-  if (!currentLayerName || !geojsonData || !Array.isArray(geojsonData.features)) return;
 
-  // Ensure geojsonLayer default style is set
-  if (geojsonLayer && typeof geojsonLayer.setStyle === 'function') {
-    try { geojsonLayer.setStyle(defaultStyle); } catch (e) {}
-  }
+    key.append(circle, tick, lbl);
+  });
+  return key;
+}
 
-  const sel = document.getElementById('classification-type');
-  if (!sel) return;
-  const method = sel.value;
+function updateLegend(layerName, vals, cols, isNumeric, geojson) {
+  const leg = document.getElementById('legend-items');
+  if (!leg) return;
 
-  if (!currentAttribute) {
-    console.warn("No attribute selected for classification");
-    // Even if no attribute, still refresh styles so line-width changes apply
-    refreshStyles();
-    return;
+  const safeId = 'legend-' + String(layerName).replace(/[^\w\-]/g, "_");
+  let block = document.getElementById(safeId);
+  if (!block) {
+    block = document.createElement('div');
+    block.id = safeId;
+    block.className = 'legend-block';
+    leg.appendChild(block);
   }
 
-  const filteredGeojson = getFilteredGeojson(geojsonData);
-  const vals = filteredGeojson.features
-    .map(f => f.properties?.[currentAttribute])
-    .filter(v => v != null);
-
-  if (!vals.length) {
-    console.warn("No valid values found for classification");
-    refreshStyles();
-    return;
-  }
+  block.textContent = "";
 
-  // Clear previous rendered layers in the layerGroup
-  if (layerGroup && typeof layerGroup.clearLayers === 'function') {
-    layerGroup.clearLayers();
-  } else {
-    layerGroup = L.featureGroup().addTo(map);
+  const normUnit = getNormalizationUnit(overlayData[layerName]?.normalization);
+  const defaultLegendTitle = sanitizePlainText(
+    `${humanizeLabel(layerName)}: ${humanizeLabel(currentAttribute || "")}${normUnit ? ` (${normUnit})` : ""}`,
+    humanizeLabel(layerName)
+  );
+  if (overlayData[layerName]) {
+    const st = overlayData[layerName];
+    // An unedited title follows the default, so a new unit shows up in the legend.
+    if (st.legendTitle && st.legendTitle === st.legendTitleDefault) st.legendTitle = defaultLegendTitle;
+    st.legendTitle = sanitizePlainText(st.legendTitle, defaultLegendTitle);
+    st.legendTitleDefault = defaultLegendTitle;
   }
 
-  // --- Categorical classification ---
-  if (method === 'unique') {
-    const sourceUniques = [...new Set(vals)];
-    const state = overlayData[currentLayerName] || null;
-    const priorVals = Array.isArray(state?.vals) ? state.vals.slice() : null;
-    const priorCols = Array.isArray(state?.cols) ? state.cols.slice() : null;
-    const sourceKeys = new Set(sourceUniques.map(categoryKey));
-    const priorKeys = priorVals ? new Set(priorVals.map(categoryKey)) : null;
-    const canReusePriorOrder = !!(
-      priorVals &&
-      priorVals.length === sourceUniques.length &&
-      priorKeys &&
-      priorKeys.size === sourceKeys.size &&
-      Array.from(sourceKeys).every((k) => priorKeys.has(k))
-    );
-    const uniques = canReusePriorOrder ? priorVals.slice() : sourceUniques.slice();
-    let cols;
-    if (priorVals && priorCols && priorVals.length === priorCols.length) {
-      const colorByKey = new Map();
-      priorVals.forEach((v, idx) => {
-        const col = priorCols[idx];
-        if (/^#[0-9A-Fa-f]{6}$/.test(col)) colorByKey.set(categoryKey(v), col);
-      });
-      const fallback = generateColorPalette(uniques.length);
-      cols = uniques.map((u, i) => {
-        const mapped = colorByKey.get(categoryKey(u));
-        if (mapped) return mapped;
-        if (categoricalUserColors && /^#[0-9A-Fa-f]{6}$/.test(categoricalUserColors[i])) return categoricalUserColors[i];
-        return fallback[i] || '#ccc';
-      });
-    } else {
-      cols = (categoricalUserColors && categoricalUserColors.length === uniques.length)
-        ? categoricalUserColors.slice()
-        : generateColorPalette(uniques.length);
-    }
-    categoricalUserColors = cols.slice();
-
-    L.geoJSON(filteredGeojson, {
-      interactive: true,
-      bubblingMouseEvents: false,
-      style: f => {
-        const idx = uniques.indexOf(f.properties?.[currentAttribute]);
-        const col = cols[idx] || '#ccc';
-        const t = f.geometry?.type || "";
-        if (/LineString/.test(t)) return { color: col, weight: getLineWidth() };
-        if (/Polygon/.test(t)) return { weight: 0, fillColor: col, fillOpacity: 0.6 };
-        return { color: '#000', weight: 1, fillColor: col, fillOpacity: 0.6 };
-      },
-      pointToLayer: (f, latlng) => {
-        const idx = uniques.indexOf(f.properties?.[currentAttribute]);
-        const col = cols[idx] || '#ccc';
-        return L.circleMarker(latlng, {
-          radius: getPointRadius(),
-          fillColor: col,
-          color: '#000',
-          weight: 1,
-          fillOpacity: 0.6,
-          interactive: true,
-          bubblingMouseEvents: false
-        });
-      },
-      onEachFeature: bindFeaturePopup
-        }).addTo(layerGroup);
-
-    if (overlayData[currentLayerName]) {
-      overlayData[currentLayerName].vals = uniques;
-      overlayData[currentLayerName].cols = cols;
-      overlayData[currentLayerName].isNumeric = false;
-      overlayData[currentLayerName].legendGeomType = filteredGeojson?.features?.[0]?.geometry?.type || overlayData[currentLayerName].legendGeomType || 'Polygon';
-      if (
-        !Array.isArray(overlayData[currentLayerName].legendLabels) ||
-        overlayData[currentLayerName].legendLabels.length !== uniques.length
-      ) {
-        overlayData[currentLayerName].legendLabels = uniques.map((u) => sanitizePlainText(u, "Category"));
-      }
-    }
+  const header = document.createElement('div');
+  header.className = 'legend-header';
+  header.contentEditable = 'true';
+  header.setAttribute('role', 'textbox');
+  header.setAttribute('aria-label', `Legend title for ${layerName}`);
+  header.spellcheck = false;
+  header.textContent = overlayData[layerName]?.legendTitle || defaultLegendTitle;
+  header.addEventListener('paste', (e) => {
+    e.preventDefault();
+    const text = (e.clipboardData || window.clipboardData)?.getData('text') || '';
+    insertTextAtCaret(header, text);
+  });
+  header.addEventListener('blur', () => {
+    const next = sanitizePlainText(header.textContent, defaultLegendTitle);
+    header.textContent = next;
+    if (overlayData[layerName]) overlayData[layerName].legendTitle = next;
+    scheduleSessionAutosave();
+  });
+  block.appendChild(header);
 
-    updateLegend(currentLayerName, uniques, cols, false, filteredGeojson);
-    updateClassificationTableCategorical(uniques, cols);
+  const bivariateState = overlayData[layerName]?.method === 'bivariate' && overlayData[layerName]?.attribute
+    ? overlayData[layerName].bivariate
+    : null;
+  if (bivariateState) {
+    block.appendChild(buildBivariateLegendGrid(bivariateState, overlayData[layerName].attribute));
+    reorderLegendBlocks();
+    return;
   }
 
-  // --- Numeric classification ---
-  else {
-    const numEl = document.getElementById('num-classes');
-    const requestedN = numEl ? (+numEl.value || 5) : 5;
-    const n = Math.min(10, Math.max(2, requestedN));
-    if (numEl && Number(numEl.value) !== n) numEl.value = String(n);
-    const numericVals = vals.map(v => Number(v)).filter(v => Number.isFinite(v));
-    const sourceIsIntegerOnly = numericVals.length > 0 && numericVals.every(v => Math.abs(v - Math.round(v)) < 1e-9);
-
-    let breaks;
-    try {
-      const gs = new geostats(vals);
-      breaks = method === 'equal' ? gs.getClassEqInterval(n)
-        : method === 'jenks' ? gs.getClassJenks(n)
-        : gs.getClassQuantile(n);
-    } catch (err) {
-      console.error("Geostats error:", err);
-      return;
+  const detectLegendGeomType = () => {
+    const features = Array.isArray(geojson?.features) ? geojson.features : [];
+    for (let i = 0; i < features.length; i++) {
+      const type = features[i]?.geometry?.type;
+      if (typeof type === 'string' && type.trim()) return type;
     }
+    const savedType = overlayData[layerName]?.legendGeomType;
+    if (typeof savedType === 'string' && savedType.trim()) return savedType;
+    return 'Polygon';
+  };
+  const geom = detectLegendGeomType();
+  const symbolKind = getLegendSymbolKindFromGeometryType(geom);
 
-    breaks = breaks.map((b) => {
-      const num = Number(b);
-      if (!Number.isFinite(num)) return num;
-      return sourceIsIntegerOnly ? Math.round(num) : roundToOneDecimal(num);
-    });
+  const makeRow = (label, color, radius) => {
+    const row = document.createElement('div');
+    row.className = 'legend-row';
 
-    const classCount = Math.max(1, breaks.length - 1);
-    // 10-step sequential palette for numeric classes
-    const defaultCols = [
-      "#fff5f0", "#fee0d2", "#fcbba1", "#fc9272", "#fb6a4a",
-      "#ef3b2c", "#cb181d", "#a50f15", "#7f0000", "#4d0000"
-    ];
-    const baseCols = defaultCols.length >= classCount
-      ? defaultCols.slice(0, classCount)
-      : generateColorPalette(classCount);
-    const userCols = Array.isArray(numericUserColors)
-      ? numericUserColors.slice(0, classCount)
-      : [];
-    const cols = Array.from({ length: classCount }, (_, i) => userCols[i] || baseCols[i] || '#ccc');
-    numericUserColors = cols.slice();
+    const sym = document.createElement('div');
+    sym.className = 'legend-sym';
+    if (symbolKind === 'line') sym.classList.add('legend-sym-line');
+    else if (symbolKind === 'point') sym.classList.add('legend-sym-point');
+    else sym.classList.add('legend-sym-polygon');
 
-    function colorForVal(val) {
-      for (let i = 0; i < breaks.length - 1; i++) {
-        if (val >= breaks[i] && val <= breaks[i + 1]) return cols[i];
+    if (/^#[0-9A-Fa-f]{3,6}$/.test(color) || /^[a-zA-Z]+$/.test(color)) {
+      if (symbolKind === 'line') {
+        setDynamicStyle(sym, { "color": color, "background-color": "transparent" });
+      } else if (radius) {
+        // Graduated symbols: stacked circles drawn at the class radius.
+        const size = `${Math.round(radius * 2)}px`;
+        row.classList.add('legend-row-graduated');
+        sym.classList.add('legend-sym-graduated');
+        setDynamicStyle(sym, {
+          "background-color": color,
+          "color": "inherit",
+          "width": size,
+          "height": size,
+          "flex": `0 0 ${size}`
+        });
+      } else {
+        setDynamicStyle(sym, { "background-color": color, "color": "inherit" });
       }
-      return '#ccc';
+    } else {
+      setDynamicStyle(sym, { "background-color": "#ccc" });
+      console.warn("Invalid color blocked:", color);
     }
 
-    L.geoJSON(filteredGeojson, {
-      interactive: true,
-      bubblingMouseEvents: false,
-      style: f => {
-        const col = colorForVal(f.properties?.[currentAttribute]);
-        const t = f.geometry?.type || "";
-        if (/LineString/.test(t)) return { color: col, weight: getLineWidth() };
-        if (/Polygon/.test(t)) return { weight: 0, fillColor: col, fillOpacity: 0.6 };
-        return { color: '#000', weight: 1, fillColor: col, fillOpacity: 0.6 };
-      },
-      pointToLayer: (f, latlng) => {
-        const col = colorForVal(f.properties?.[currentAttribute]);
-        return L.circleMarker(latlng, {
-          radius: getPointRadius(),
-          fillColor: col,
-          color: '#000',
-          weight: 1,
-          fillOpacity: 0.6,
-          interactive: true,
-          bubblingMouseEvents: false
-        });
-      },
-    onEachFeature: bindFeaturePopup
-    }).addTo(layerGroup);
+    const lbl = document.createElement('span');
+    lbl.textContent = label;
 
-    if (overlayData[currentLayerName]) {
-      overlayData[currentLayerName].vals = breaks;
-      overlayData[currentLayerName].cols = cols;
-      overlayData[currentLayerName].isNumeric = true;
-      overlayData[currentLayerName].legendGeomType = filteredGeojson?.features?.[0]?.geometry?.type || overlayData[currentLayerName].legendGeomType || 'Polygon';
-    }
+    row.append(sym, lbl);
+    return row;
+  };
 
-    updateLegend(currentLayerName, breaks, cols, true, filteredGeojson);
-    updateClassificationTableNumeric(breaks, cols);
+  const layerState = overlayData[layerName] || null;
+  const sizeMode = symbolKind === 'point' && isNumeric ? layerState?.symbolSizeMode : null;
+  if (isNumeric) {
+    for (let i = 0; i < vals.length - 1; i++) {
+      const radius = sizeMode === 'graduated'
+        ? pointRadiusForValue(layerState, (Number(vals[i]) + Number(vals[i + 1])) / 2)
+        : null;
+      block.appendChild(makeRow(formatNumericClassLabel(layerState, vals, i), cols[i], radius));
+    }
+    if (sizeMode === 'proportional') {
+      const key = buildProportionalSymbolKey(layerState);
+      if (key) block.appendChild(key);
+    }
+  } else {
+    const labels = Array.isArray(overlayData[layerName]?.legendLabels)
+      ? overlayData[layerName].legendLabels
+      : null;
+    vals.forEach((v, i) => {
+      const shown = sanitizePlainText(labels && labels[i] != null ? labels[i] : v, String(v));
+      block.appendChild(makeRow(shown, cols[i]));
+    });
   }
 
-  const tbl = document.getElementById('table-container');
-  if (tbl) setDynamicStyle(tbl, { display: "block" });
-  applyLayerStackOrder();
+  reorderLegendBlocks();
 }
-//Classification Tables and Helpers
-function updateClassificationTableNumeric(brks, cols) {
-  const thead = document.querySelector('#table-container thead');
-  const tbody = document.getElementById('classification-table');
-  if (!thead || !tbody) return;
-
-  thead.textContent = "";
-  tbody.textContent = "";
-
-  const headerRow = document.createElement('tr');
-  ["Class", "Range", "Color"].forEach(label => {
-    const th = document.createElement('th');
-    th.textContent = label;
-    headerRow.appendChild(th);
-  });
-  thead.appendChild(headerRow);
+//Overlay Add/Remove Wiring
+// --- Overlay add/remove legend wiring ---
+map.on('overlayadd', (e) => {
+  scheduleSessionAutosave();
+  const name = Object.keys(overlayData).find(
+    key => overlayData[key].layerGroup === e.layer
+  );
+  if (!name) return;
 
-  brks.slice(0, -1).forEach((_, i) => {
-    const tr = document.createElement('tr');
+  const data = overlayData[name];
+  if (!data || !data.vals || !data.cols) return;
 
-    const tdC = document.createElement('td');
-    tdC.textContent = 'Class ' + (i + 1);
+  updateLegend(name, data.vals, data.cols, data.isNumeric, data.geojson);
+  applyLayerStackOrder();
+  reorderLegendBlocks();
+});
 
-    const tdR = document.createElement('td');
-    // Numeric class ranges are read-only to prevent accidental/unsafe edits.
-    tdR.contentEditable = 'false';
-    tdR.textContent = `${formatLegendClassValue(brks[i])} - ${formatLegendClassValue(brks[i + 1])}`;
+map.on('overlayremove', (e) => {
+  scheduleSessionAutosave();
+  const name = Object.keys(overlayData).find(
+    key => overlayData[key].layerGroup === e.layer
+  );
+  if (!name) return;
 
-    const tdCol = document.createElement('td');
-    const inputCol = document.createElement('input');
-    inputCol.type = 'color';
-    inputCol.value = /^#[0-9A-Fa-f]{6}$/.test(cols[i]) ? cols[i] : "#ccc";
-    inputCol.setAttribute("aria-label", `Color for class ${i+1}`);
-    inputCol.addEventListener('change', () => {
-      cols[i] = inputCol.value;
-      numericUserColors = cols.slice();
-      applyClassification();
+  const block = document.getElementById('legend-' + sanitizeId(name));
+  if (block) block.remove();
+  reorderLegendBlocks();
+});
+//Vector Tile Rendering (large layers drawn from an in-browser geojson-vt tile index)
+const RENDER_MODES = new Set(["auto", "vector", "tiles"]);
+// Automatic mode draws a layer as tiles from this many features or vertices.
+const VECTOR_TILE_AUTO_FEATURES = 50000;
+const VECTOR_TILE_AUTO_VERTICES = 1000000;
+const VECTOR_TILE_EXTENT = 4096;
+const VECTOR_TILE_MAX_ZOOM = 18;
+const VECTOR_TILE_CLICK_TOLERANCE = 6; // screen px around points and lines
+// Tile indexes hold geometry only, so attribute edits and restyling reuse them.
+const vectorTileIndexCache = new WeakMap(); // layer geojson -> { features, index }
+
+map.createPane("vectorTilePane");
+
+function getVectorTileIndex(source, features) {
+  const cached = vectorTileIndexCache.get(source);
+  if (cached && cached.features.length === features.length && cached.features.every((f, i) => f === features[i])) {
+    return cached.index;
+  }
+  const hasPoints = features.some(f => /Point/.test(f?.geometry?.type || ""));
+  const index = geojsonvt({ type: "FeatureCollection", features }, {
+    maxZoom: VECTOR_TILE_MAX_ZOOM,
+    extent: VECTOR_TILE_EXTENT,
+    // Point symbols near a tile edge need their neighbours' points to be drawn whole.
+    buffer: hasPoints ? VECTOR_TILE_EXTENT / 4 : 128,
+    generateId: true
+  });
+  vectorTileIndexCache.set(source, { features, index });
+  return index;
+}
+
+function squaredDistanceToSegment(x, y, ax, ay, bx, by) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const len = dx * dx + dy * dy;
+  const t = len ? Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / len)) : 0;
+  const px = ax + t * dx - x;
+  const py = ay + t * dy - y;
+  return px * px + py * py;
+}
+
+// Draws one layer's features as canvas tiles. Styles come from the same style/pointToLayer
+// options as L.geoJSON, and clicks are hit-tested against the tile data (see the map click below).
+const VectorTileLayer = L.GridLayer.extend({
+  options: {
+    pane: "vectorTilePane",
+    maxNativeZoom: VECTOR_TILE_MAX_ZOOM,
+    updateWhenZooming: false,
+    style: null,
+    pointToLayer: null,
+    onEachFeature: null
+  },
+  initialize: function(source, geojson, options) {
+    L.GridLayer.prototype.initialize.call(this, options);
+    this._features = geojson.features;
+    this._index = getVectorTileIndex(source, this._features);
+    this._restyle = null;
+    this._radius = null;
+    this._tileScales = new WeakMap();
+    this._resetStyles();
+  },
+  onAdd: function(targetMap) {
+    if (this._stylesStale) this._resetStyles();
+    L.GridLayer.prototype.onAdd.call(this, targetMap);
+    targetMap.on("zoomend", this._rescaleTiles, this);
+  },
+  onRemove: function(targetMap) {
+    targetMap.off("zoomend", this._rescaleTiles, this);
+    if (this._redrawFrame) cancelAnimationFrame(this._redrawFrame);
+    this._redrawFrame = null;
+    L.GridLayer.prototype.onRemove.call(this, targetMap);
+  },
+  createTile: function(coords) {
+    const tile = document.createElement("canvas");
+    const size = this.getTileSize();
+    const ratio = window.devicePixelRatio || 1;
+    tile.width = Math.round(size.x * ratio);
+    tile.height = Math.round(size.y * ratio);
+    this._drawTile(tile, coords);
+    return tile;
+  },
+  // Same contract as L.GeoJSON/L.Path setStyle and CircleMarker setRadius, used by refreshStyles.
+  setStyle: function(style) {
+    this._restyle = typeof style === "function" ? style : () => style;
+    this._restyleTiles();
+    return this;
+  },
+  setRadius: function(radius) {
+    this._radius = Number(radius) || null;
+    this._restyleTiles();
+    return this;
+  },
+  getBounds: function() {
+    if (!this._bounds) {
+      const bounds = L.latLngBounds([]);
+      this._features.forEach(f => {
+        const g = f?.geometry;
+        const box = bboxFromCoordinates(g?.type === "GeometryCollection"
+          ? (g.geometries || []).map(part => part?.coordinates)
+          : g?.coordinates);
+        if (box) bounds.extend([[box[1], box[0]], [box[3], box[2]]]);
+      });
+      this._bounds = bounds;
+    }
+    return this._bounds;
+  },
+  // Full-resolution vectors with the current styles, for exports.
+  toGeoJSONLayer: function() {
+    const ids = new Map(this._features.map((f, i) => [f, i]));
+    return L.geoJSON({ type: "FeatureCollection", features: this._features }, {
+      interactive: false,
+      style: f => this._styleAt(ids.get(f)),
+      pointToLayer: (f, latlng) => L.circleMarker(latlng, { ...this._styleAt(ids.get(f)), interactive: false })
     });
-    tdCol.append(inputCol);
+  },
+  featureAt: function(latlng) {
+    if (!this._map) return null;
+    const z = Math.max(0, Math.min(VECTOR_TILE_MAX_ZOOM, Math.round(this._map.getZoom())));
+    const size = this.getTileSize().x;
+    const p = this._map.project(latlng, z);
+    const tx = Math.floor(p.x / size);
+    const ty = Math.floor(p.y / size);
+    const data = this._index.getTile(z, tx, ty);
+    if (!data) return null;
+    const k = VECTOR_TILE_EXTENT / size;
+    const x = (p.x - tx * size) * k;
+    const y = (p.y - ty * size) * k;
+    const unit = k / this._zoomScale(z); // tile units per screen px
+    const tol = VECTOR_TILE_CLICK_TOLERANCE * unit;
+    // Last drawn is on top.
+    for (let i = data.features.length - 1; i >= 0; i--) {
+      const tf = data.features[i];
+      const feature = this._features[tf.id];
+      if (!feature) continue;
+      const style = this._styleAt(tf.id);
+      if (tf.type === 1) {
+        const r = (Number(style.radius) || getPointRadius()) * unit + tol;
+        if (tf.geometry.some(([px, py]) => (px - x) * (px - x) + (py - y) * (py - y) <= r * r)) return feature;
+        continue;
+      }
+      if (tf.type === 3 && style.fill && tf.geometry.reduce((inside, ring) => inside !== pointInRing([x, y], ring), false)) {
+        return feature;
+      }
+      const reach = (style.stroke && style.weight > 0 ? style.weight / 2 : 0) * unit + tol;
+      const reach2 = reach * reach;
+      const nearLine = tf.geometry.some(ring => {
+        for (let j = 1; j < ring.length; j++) {
+          if (squaredDistanceToSegment(x, y, ring[j - 1][0], ring[j - 1][1], ring[j][0], ring[j][1]) <= reach2) return true;
+        }
+        return false;
+      });
+      if (nearLine) return feature;
+    }
+    return null;
+  },
+  // Opens the feature's popup through onEachFeature (bindFeaturePopup) on a stand-in layer.
+  openFeatureAt: function(latlng) {
+    const feature = this.featureAt(latlng);
+    if (!feature) return false;
+    const proxy = new L.Layer();
+    if (this.options.onEachFeature) this.options.onEachFeature(feature, proxy);
+    const popup = proxy.getPopup();
+    if (popup) popup.setLatLng(latlng).openOn(this._map);
+    proxy.fire("click", { latlng });
+    return true;
+  },
+  // Styles are resolved up front: the style callbacks read the active layer and attribute,
+  // which may have changed by the time a tile is drawn. Equal styles share one object.
+  _resetStyles: function() {
+    const shared = new Map();
+    const radius = getPointRadius();
+    this._styles = this._features.map(feature => {
+      const r = this._resolveStyle(feature || {}, radius);
+      const key = `${r.stroke}|${r.color}|${r.weight}|${r.opacity}|${r.fill}|${r.fillColor}|${r.fillOpacity}|${r.radius}`;
+      if (!shared.has(key)) shared.set(key, r);
+      return shared.get(key);
+    });
+  },
+  _resolveStyle: function(feature, radius) {
+    const type = feature.geometry?.type || "";
+    const isPoint = /Point/.test(type);
+    let base = {};
+    if (isPoint && this.options.pointToLayer) {
+      const c = getFeatureSampleCoord(feature);
+      base = this.options.pointToLayer(feature, L.latLng(c ? c[1] : 0, c ? c[0] : 0))?.options || {};
+    } else if (!isPoint && this.options.style) {
+      base = this.options.style(feature) || {};
+    }
+    const over = this._restyle ? this._restyle(feature) || {} : {};
+    const pick = (key, fallback) => over[key] !== undefined ? over[key] : base[key] !== undefined ? base[key] : fallback;
+    const defaults = L.Path.prototype.options;
+    const color = pick("color", defaults.color);
+    return {
+      stroke: pick("stroke", defaults.stroke),
+      color,
+      weight: pick("weight", defaults.weight),
+      opacity: pick("opacity", defaults.opacity),
+      fill: pick("fill", !/LineString/.test(type)),
+      fillColor: pick("fillColor", null) || color,
+      fillOpacity: pick("fillOpacity", defaults.fillOpacity),
+      radius: isPoint && this._radius ? this._radius : pick("radius", radius)
+    };
+  },
+  _styleAt: function(id) {
+    return this._styles[id];
+  },
+  // Screen px per tile px; tiles are stretched between whole zoom levels.
+  _zoomScale: function(z) {
+    return this._map ? this._map.getZoomScale(this._map.getZoom(), z) : 1;
+  },
+  _drawTile: function(canvas, coords) {
+    const ctx = canvas.getContext("2d");
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    const zoomScale = this._zoomScale(coords.z);
+    this._tileScales.set(canvas, zoomScale);
+    const data = this._index.getTile(coords.z, coords.x, coords.y);
+    if (!data) return;
+    const k = canvas.width / VECTOR_TILE_EXTENT;
+    // Canvas px per screen px, so symbol sizes and line widths match the vector layers.
+    const px = canvas.width / this.getTileSize().x / zoomScale;
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    data.features.forEach(tf => {
+      if (!this._features[tf.id]) return;
+      const style = this._styleAt(tf.id);
+      ctx.beginPath();
+      if (tf.type === 1) {
+        const r = (Number(style.radius) || getPointRadius()) * px;
+        tf.geometry.forEach(([x, y]) => {
+          ctx.moveTo(x * k + r, y * k);
+          ctx.arc(x * k, y * k, r, 0, Math.PI * 2);
+        });
+      } else {
+        tf.geometry.forEach(ring => {
+          ring.forEach(([x, y], i) => (i ? ctx.lineTo(x * k, y * k) : ctx.moveTo(x * k, y * k)));
+          if (tf.type === 3) ctx.closePath();
+        });
+      }
+      if (style.fill && tf.type !== 2) {
+        ctx.globalAlpha = style.fillOpacity;
+        ctx.fillStyle = style.fillColor;
+        ctx.fill("evenodd");
+      }
+      if (style.stroke && style.weight > 0) {
+        ctx.globalAlpha = style.opacity;
+        ctx.strokeStyle = style.color;
+        ctx.lineWidth = style.weight * px;
+        ctx.stroke();
+      }
+    });
+    ctx.globalAlpha = 1;
+  },
+  _redrawTiles: function(onlyRescaled) {
+    const z = Math.max(0, Math.min(VECTOR_TILE_MAX_ZOOM, Math.round(this._map.getZoom())));
+    Object.values(this._tiles || {}).forEach(tile => {
+      if (onlyRescaled && (tile.coords.z !== z || this._tileScales.get(tile.el) === this._zoomScale(z))) return;
+      this._drawTile(tile.el, tile.coords);
+    });
+  },
+  _rescaleTiles: function() {
+    if (this._map) this._redrawTiles(true);
+  },
+  // Layers already cleared from the map (e.g. the previous render) skip the work until re-added.
+  _restyleTiles: function() {
+    this._stylesStale = !this._map;
+    if (this._stylesStale) return;
+    this._resetStyles();
+    if (this._redrawFrame) return;
+    this._redrawFrame = requestAnimationFrame(() => {
+      this._redrawFrame = null;
+      if (this._map) this._redrawTiles(false);
+    });
+  }
+});
 
-    tr.append(tdC, tdR, tdCol);
-    tbody.append(tr);
-  });
+// Tiled features have no Leaflet layer of their own, so map clicks are matched against the
+// visible tiled layers, topmost first. Clicks on vector features never reach the map.
+map.on("click", e => {
+  for (const name of getOrderedLayerNames()) {
+    const group = overlayData[name]?.layerGroup;
+    if (!group || !map.hasLayer(group)) continue;
+    if (group.getLayers().some(layer => layer instanceof VectorTileLayer && layer.openFeatureAt(e.latlng))) return;
+  }
+});
+
+function getLayerRenderMode(name) {
+  const mode = overlayData[name]?.renderMode;
+  return RENDER_MODES.has(mode) ? mode : "auto";
 }
 
-function updateClassificationTableDefaultSymbol(label, color) {
-  const thead = document.querySelector('#table-container thead');
-  const tbody = document.getElementById('classification-table');
-  const tbl = document.getElementById('table-container');
-  if (!thead || !tbody || !currentLayerName) return;
+function layerUsesVectorTiles(name, geojson) {
+  if (typeof geojsonvt !== "function") return false;
+  const mode = getLayerRenderMode(name);
+  if (mode !== "auto") return mode === "tiles";
+  const st = overlayData[name];
+  if (st && !st.budgetStats) st.budgetStats = datasetBudgetStats(st.geojson);
+  const stats = st?.budgetStats || datasetBudgetStats(geojson);
+  return stats.featureCount >= VECTOR_TILE_AUTO_FEATURES || stats.vertexCount >= VECTOR_TILE_AUTO_VERTICES;
+}
 
-  thead.textContent = "";
-  tbody.textContent = "";
+// All layer drawing goes through here: L.geoJSON, or tiles for large layers (same options).
+function createDataLayer(name, geojson, options) {
+  if (!layerUsesVectorTiles(name, geojson)) return L.geoJSON(geojson, options);
+  return new VectorTileLayer(overlayData[name]?.geojson || geojson, geojson, options);
+}
 
-  const headerRow = document.createElement('tr');
-  ["Symbol", "Label", "Color"].forEach((title) => {
-    const th = document.createElement('th');
-    th.textContent = title;
-    headerRow.appendChild(th);
+// leaflet-image only captures the vector canvas, so tiled layers are swapped for
+// full-resolution vectors while the map image is taken.
+function captureMapImage(callback) {
+  const standIns = [];
+  Object.keys(overlayData).forEach(name => {
+    const group = overlayData[name]?.layerGroup;
+    if (!group || !map.hasLayer(group)) return;
+    group.eachLayer(layer => {
+      if (layer instanceof VectorTileLayer) standIns.push({ group, layer: layer.toGeoJSONLayer() });
+    });
   });
-  thead.appendChild(headerRow);
-
-  const row = document.createElement('tr');
-
-  const tdSym = document.createElement('td');
-  const sym = document.createElement('div');
-  sym.className = 'legend-sym';
-  const geomType = overlayData[currentLayerName]?.legendGeomType || geojsonData?.features?.[0]?.geometry?.type || 'Polygon';
-  const symbolKind = getLegendSymbolKindFromGeometryType(geomType);
-  if (symbolKind === 'line') sym.classList.add('legend-sym-line');
-  else if (symbolKind === 'point') sym.classList.add('legend-sym-point');
-  else sym.classList.add('legend-sym-polygon');
-  if (symbolKind === 'line') {
-    setDynamicStyle(sym, {
-      "color": /^#[0-9A-Fa-f]{6}$/.test(color) ? color : '#ccc',
-      "background-color": "transparent"
+  if (!standIns.length) return leafletImage(map, callback);
+  standIns.forEach(({ group, layer }) => group.addLayer(layer));
+  applyLayerStackOrder();
+  requestAnimationFrame(() => requestAnimationFrame(() => {
+    leafletImage(map, (err, mapCanvas) => {
+      standIns.forEach(({ group, layer }) => group.removeLayer(layer));
+      callback(err, mapCanvas);
     });
-  } else {
-    setDynamicStyle(sym, { "background-color": /^#[0-9A-Fa-f]{6}$/.test(color) ? color : '#ccc' });
-  }
-  tdSym.appendChild(sym);
+  }));
+}
 
-  const tdLabel = document.createElement('td');
-  tdLabel.contentEditable = 'true';
-  tdLabel.setAttribute('role', 'textbox');
-  tdLabel.setAttribute('aria-label', 'Legend label');
-  tdLabel.spellcheck = false;
-  tdLabel.textContent = sanitizePlainText(label, 'Features');
-  tdLabel.addEventListener('paste', (e) => {
-    e.preventDefault();
-    const text = (e.clipboardData || window.clipboardData)?.getData('text') || '';
-    insertTextAtCaret(tdLabel, text);
-  });
-  tdLabel.addEventListener('blur', () => {
-    const next = sanitizePlainText(tdLabel.textContent, 'Features');
-    tdLabel.textContent = next;
-    const state = overlayData[currentLayerName];
-    if (!state) return;
-    state.defaultSymbolLabel = next;
-    state.legendLabels = [next];
-    state.vals = [next];
-    updateLegend(currentLayerName, state.vals, state.cols || [color], false, state.geojson);
-  });
+function updateRenderModeControl() {
+  const wrap = 'render-mode-col';
+  const sel = document.getElementById('render-mode');
+  const hint = document.getElementById('render-mode-hint');
+  if (!sel || !currentLayerName || !overlayData[currentLayerName]) return hideRow(wrap);
+  sel.value = getLayerRenderMode(currentLayerName);
+  if (hint) {
+    hint.textContent = layerUsesVectorTiles(currentLayerName, geojsonData)
+      ? "Drawn as tiles. Exports still use full-resolution features."
+      : "Drawn as vector features.";
+  }
+  showRow(wrap);
+}
 
-  const tdColor = document.createElement('td');
-  const inputCol = document.createElement('input');
-  inputCol.type = 'color';
-  inputCol.value = /^#[0-9A-Fa-f]{6}$/.test(color) ? color : '#cccccc';
-  inputCol.setAttribute('aria-label', 'Legend color');
-  inputCol.addEventListener('change', () => {
-    const nextColor = inputCol.value;
-    const state = overlayData[currentLayerName];
-    if (!state) return;
-    state.defaultSymbolColor = nextColor;
-    state.cols = [nextColor];
-    renderDefaultFilteredLayer();
+(function wireRenderMode() {
+  const sel = document.getElementById('render-mode');
+  if (!sel) return;
+  sel.addEventListener('change', async () => {
+    const st = currentLayerName ? overlayData[currentLayerName] : null;
+    if (!st) return;
+    st.renderMode = RENDER_MODES.has(sel.value) ? sel.value : "auto";
+    showLoading("Redrawing layer...");
+    await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+    try {
+      if (currentAttribute) applyClassification();
+      else renderDefaultFilteredLayer();
+      applyLayerStackOrder();
+    } finally {
+      hideLoading();
+      updateRenderModeControl();
+    }
   });
-  tdColor.appendChild(inputCol);
-
-  row.append(tdSym, tdLabel, tdColor);
-  tbody.appendChild(row);
-  if (tbl) setDynamicStyle(tbl, { display: "block" });
+})();
+//Styling, Defaults, and Live Refresh Helpers
+// --- Default styles (use getLineWidth/getPointRadius) ---
+function getPointRadius() {
+  const el = document.getElementById('point-size');
+  return el ? (+el.value || 4) : 4;
+}
+function getLineWidth() {
+  const el = document.getElementById('line-width');
+  return el ? (+el.value || 3) : 3;
 }
 
-function updateClassificationTableCategorical(uniques, cols) {
-  const thead = document.querySelector('#table-container thead');
-  const tbody = document.getElementById('classification-table');
-  if (!thead || !tbody) return;
-
-  thead.textContent = "";
-  tbody.textContent = "";
-
-  const headerRow = document.createElement('tr');
-  ["Category", "Color", "Order"].forEach(label => {
-    const th = document.createElement('th');
-    th.textContent = label;
-    headerRow.appendChild(th);
-  });
-  thead.appendChild(headerRow);
+// --- Graduated / proportional point symbols ---
+const SYMBOL_SIZE_MODES = new Set(["fixed", "graduated", "proportional"]);
 
-  uniques.forEach((u, i) => {
-    const tr = document.createElement('tr');
+function getSymbolSizeMode() {
+  const el = document.getElementById('symbol-size-mode');
+  return el && SYMBOL_SIZE_MODES.has(el.value) ? el.value : "fixed";
+}
 
-    const tdC = document.createElement('td');
-    // Categorical labels are editable, but sanitized to plain text.
-    const layerState = overlayData[currentLayerName] || null;
-    const existingLabel = Array.isArray(layerState?.legendLabels) ? layerState.legendLabels[i] : null;
-    const defaultLabel = sanitizePlainText(existingLabel != null ? existingLabel : u, "Category");
-    tdC.contentEditable = 'true';
-    tdC.setAttribute('role', 'textbox');
-    tdC.setAttribute('aria-label', `Category label ${i + 1}`);
-    tdC.spellcheck = false;
-    tdC.textContent = defaultLabel;
-    tdC.addEventListener('paste', (e) => {
-      e.preventDefault();
-      const text = (e.clipboardData || window.clipboardData)?.getData('text') || '';
-      insertTextAtCaret(tdC, text);
-    });
-    tdC.addEventListener('blur', () => {
-      const next = sanitizePlainText(tdC.textContent, defaultLabel);
-      tdC.textContent = next;
-      if (layerState) {
-        if (!Array.isArray(layerState.legendLabels)) {
-          layerState.legendLabels = uniques.map((val) => sanitizePlainText(val, "Category"));
-        }
-        layerState.legendLabels[i] = next;
-        updateLegend(currentLayerName, layerState.vals || uniques, layerState.cols || cols, false, layerState.geojson);
-      }
-    });
+function getMaxSymbolRadius() {
+  const el = document.getElementById('max-symbol-size');
+  const val = el ? (+el.value || 20) : 20;
+  return Math.min(100, Math.max(getPointRadius() + 1, val));
+}
 
-    const tdCol = document.createElement('td');
-    const inputCol = document.createElement('input');
-    inputCol.type = 'color';
-    inputCol.value = /^#[0-9A-Fa-f]{6}$/.test(cols[i]) ? cols[i] : "#ccc";
-    inputCol.setAttribute("aria-label", `Color for category ${u}`);
-    inputCol.addEventListener('change', () => {
-      cols[i] = inputCol.value;
-      categoricalUserColors = cols.slice();
-      applyClassification();
-    });
-    tdCol.append(inputCol);
+function getClassIndexForValue(breaks, val) {
+  const num = Number(val);
+  if (!Array.isArray(breaks) || !Number.isFinite(num)) return -1;
+  for (let i = 0; i < breaks.length - 1; i++) {
+    if (num >= breaks[i] && num <= breaks[i + 1]) return i;
+  }
+  return -1;
+}
 
-    const tdAct = document.createElement('td');
-    const btnUp = document.createElement('button');
-    btnUp.type = 'button';
-    btnUp.className = 'layer-reorder-btn';
-    btnUp.textContent = '↑';
-    btnUp.setAttribute('aria-label', `Move category ${i + 1} up`);
-    btnUp.disabled = i === 0;
-    btnUp.addEventListener('click', () => {
-      reorderCategoricalClasses(i, i - 1);
-    });
+// Radius for a point value under the layer's symbol size settings (fixed size otherwise).
+function pointRadiusForValue(state, val) {
+  const mode = state?.symbolSizeMode;
+  if (!state || !state.isNumeric || (mode !== "graduated" && mode !== "proportional")) {
+    return getPointRadius();
+  }
+  const minR = Number(state.symbolMinRadius) || getPointRadius();
+  const maxR = Number(state.symbolMaxRadius) || getMaxSymbolRadius();
+  if (mode === "graduated") {
+    const idx = getClassIndexForValue(state.vals, val);
+    const classCount = Array.isArray(state.vals) ? state.vals.length - 1 : 0;
+    if (idx < 0) return minR;
+    return classCount > 1 ? minR + ((maxR - minR) * idx) / (classCount - 1) : maxR;
+  }
+  // Proportional: circle area scales with the value (square-root radius).
+  const v = Math.abs(Number(val));
+  const maxValue = Number(state.symbolMaxValue);
+  if (!Number.isFinite(v) || !(maxValue > 0)) return 1;
+  return Math.max(1, maxR * Math.sqrt(v / maxValue));
+}
 
-    const btnDown = document.createElement('button');
-    btnDown.type = 'button';
-    btnDown.className = 'layer-reorder-btn';
-    btnDown.textContent = '↓';
-    btnDown.setAttribute('aria-label', `Move category ${i + 1} down`);
-    btnDown.disabled = i === uniques.length - 1;
-    btnDown.addEventListener('click', () => {
-      reorderCategoricalClasses(i, i + 1);
-    });
+// Round a legend reference value to two significant digits.
+function roundToSignificant(val, digits = 2) {
+  const num = Number(val);
+  if (!Number.isFinite(num) || num === 0) return 0;
+  const mag = Math.pow(10, Math.floor(Math.log10(Math.abs(num))) - (digits - 1));
+  return Math.round(num / mag) * mag;
+}
 
-    tdAct.append(btnUp, btnDown);
+function updateSymbolSizeControl() {
+  const wrap = 'symbol-size-col';
+  const typeSel = document.getElementById('classification-type');
+  const hasPoint = !!geojsonData?.features?.some(f => f.geometry && /Point/.test(f.geometry.type));
+  const numericMethod = !!(typeSel && typeSel.value && typeSel.value !== "unique" && typeSel.value !== "bivariate");
+  if (!hasPoint || !currentAttribute || !numericMethod) return hideRow(wrap);
+  showRow(wrap);
+}
 
-    tr.append(tdC, tdCol, tdAct);
-    tbody.append(tr);
-  });
+function defaultStyle(feature) {
+  const t = feature?.geometry?.type || "";
+  const activeLayerState = currentLayerName ? overlayData[currentLayerName] : null;
+  const defaultColor = /^#[0-9A-Fa-f]{6}$/.test(activeLayerState?.defaultSymbolColor || "")
+    ? activeLayerState.defaultSymbolColor
+    : (/LineString/.test(t) ? '#007aff' : '#ccc');
+  if (/Polygon/.test(t)) return { weight: 0, fillColor: defaultColor, fillOpacity: 0.6 };
+  if (/LineString/.test(t)) return { color: defaultColor, weight: getLineWidth() };
+  return { color: '#000', weight: 1, fillColor: defaultColor, fillOpacity: 0.6 };
 }
 
-function reorderCategoricalClasses(fromIdx, toIdx) {
-  const state = overlayData[currentLayerName] || null;
-  if (!state || !Array.isArray(state.vals) || !Array.isArray(state.cols)) return;
-  const len = state.vals.length;
-  if (!Number.isInteger(fromIdx) || !Number.isInteger(toIdx)) return;
-  if (fromIdx < 0 || toIdx < 0 || fromIdx >= len || toIdx >= len || fromIdx === toIdx) return;
+function defaultPoint(feature, latlng) {
+  const size = getPointRadius();
+  const activeLayerState = currentLayerName ? overlayData[currentLayerName] : null;
+  const defaultColor = /^#[0-9A-Fa-f]{6}$/.test(activeLayerState?.defaultSymbolColor || "")
+    ? activeLayerState.defaultSymbolColor
+    : '#ccc';
+  return L.circleMarker(latlng, {
+    radius: size,
+    fillColor: defaultColor,
+    color: '#000',
+    weight: 1,
+    fillOpacity: 0.6,
+    interactive: true,
+    bubblingMouseEvents: false
+  });
+}
 
-  const move = (arr) => {
-    if (!Array.isArray(arr) || arr.length !== len) return arr;
-    const copy = arr.slice();
-    const [item] = copy.splice(fromIdx, 1);
-    copy.splice(toIdx, 0, item);
-    return copy;
-  };
+// Refresh styles for existing layers (works before and after classification)
+function refreshStyles() {
+  if (!layerGroup) return;
 
-  state.vals = move(state.vals);
-  state.cols = move(state.cols);
-  if (Array.isArray(state.legendLabels) && state.legendLabels.length === len) {
-    state.legendLabels = move(state.legendLabels);
+  layerGroup.eachLayer(layer => {
+    // Tiled layers restyle every feature at once
+    if (layer instanceof VectorTileLayer) {
+      layer.setStyle(defaultStyle);
+      layer.setRadius(getPointRadius());
+      return;
+    }
+
+    // GeoJSON vector layers and path layers support setStyle
+    if (typeof layer.setStyle === 'function') {
+      try {
+        const feat = layer.feature || {};
+        layer.setStyle(defaultStyle(feat));
+      } catch (e) {
+        console.warn("Failed to set style on layer:", e);
+      }
+    }
+
+    // CircleMarker and similar support setRadius
+    if (typeof layer.setRadius === 'function') {
+      try {
+        layer.setRadius(getPointRadius());
+      } catch (e) {
+        console.warn("Failed to set radius on marker:", e);
+      }
+    }
+
+    // Some feature groups may contain nested layers
+    if (typeof layer.eachLayer === 'function') {
+      layer.eachLayer(sub => {
+        if (typeof sub.setStyle === 'function') {
+          try { sub.setStyle(defaultStyle(sub.feature || {})); } catch (e) {}
+        }
+        if (typeof sub.setRadius === 'function') {
+          try { sub.setRadius(getPointRadius()); } catch (e) {}
+        }
+      });
+    }
+  });
+
+  // Also update the raw geojsonLayer if present
+  if (geojsonLayer && typeof geojsonLayer.setStyle === 'function') {
+    try { geojsonLayer.setStyle(defaultStyle); } catch (e) {}
   }
-  categoricalUserColors = Array.isArray(state.cols) ? state.cols.slice() : null;
-  applyClassification();
 }
+//File Upload and URL Add Handlers
 
-function updateCustomBreaks() {
-  const rows = document.querySelectorAll('#classification-table tr');
-  const newBreaks = [];
-  const newColors = [];
+//Coordinate System Picker (catalogue and reprojection are in import-core.js)
+function populateCrsSelect(sel, selectedCode = WGS84_CRS_CODE) {
+  if (!sel) return;
+  sel.textContent = "";
+  Object.keys(CRS_GROUP_LABELS).forEach(group => {
+    const og = document.createElement("optgroup");
+    og.label = CRS_GROUP_LABELS[group];
+    AFRICAN_CRS_CATALOGUE.filter(c => c.group === group).forEach(c => {
+      const opt = document.createElement("option");
+      opt.value = c.code;
+      opt.textContent = `${c.name} (${c.code})`;
+      og.appendChild(opt);
+    });
+    sel.appendChild(og);
+  });
+  sel.value = findCatalogueCrs(selectedCode) ? selectedCode : WGS84_CRS_CODE;
+}
 
-  rows.forEach((row, i) => {
-    if (!row.cells[1]) return;
-    const rangeText = row.cells[1].textContent.replace(/[–—]/g, '-').trim();
-    const parts = rangeText.split('-').map(p => parseFloat(p.trim()));
-    if (parts.length !== 2 || isNaN(parts[0]) || isNaN(parts[1])) return;
-    newBreaks.push(roundToOneDecimal(parts[0]));
-    const colorInput = row.querySelector('input[type="color"]');
-    newColors.push(colorInput ? colorInput.value : '#ccc');
+// Resolves with a CRS from the catalogue or a custom definition, or null when canceled.
+let lastPickedCrsCode = "";
+
+function openCrsPickerDialog({ sourceLabel = "Dataset", message = "", defaultCode = lastPickedCrsCode } = {}) {
+  const modalEl = document.getElementById("crsPickerModal");
+  const ModalCtor = window.bootstrap?.Modal;
+  if (!modalEl || !ModalCtor) {
+    return Promise.reject(new Error(`${sourceLabel} is not in WGS 84 longitude/latitude. Reproject it to EPSG:4326 before import.`));
+  }
+  const sel = document.getElementById("crs-picker-select");
+  const custom = document.getElementById("crs-picker-custom");
+  const messageEl = document.getElementById("crs-picker-message");
+  const applyBtn = document.getElementById("btnCrsPickerApply");
+  populateCrsSelect(sel, defaultCode);
+  if (custom) custom.value = "";
+  if (messageEl) {
+    messageEl.textContent = message || `${sanitizePlainText(sourceLabel, "Dataset")} does not use WGS 84 longitude/latitude. Choose its coordinate system.`;
+  }
+
+  return new Promise(resolve => {
+    let result = null;
+    const modal = ModalCtor.getOrCreateInstance(modalEl);
+    const onApply = () => {
+      let crs;
+      try {
+        crs = resolveCrsDefinition(custom?.value.trim() || sel.value);
+      } catch (err) {
+        showPopup(String(err?.message || err), "error");
+        return;
+      }
+      if (isWgs84Crs(crs)) {
+        showPopup("These coordinates are not longitude/latitude. Choose the projected coordinate system.", "error");
+        return;
+      }
+      if (crs.code) lastPickedCrsCode = crs.code;
+      result = crs;
+      modal.hide();
+    };
+    const onHidden = () => {
+      applyBtn.removeEventListener("click", onApply);
+      modalEl.removeEventListener("hidden.bs.modal", onHidden);
+      resolve(result);
+    };
+    applyBtn.addEventListener("click", onApply);
+    modalEl.addEventListener("hidden.bs.modal", onHidden);
+    modal.show();
   });
+}
 
-  const lastCell = document.querySelector('#classification-table tr:last-child td:nth-child(2)');
-  if (lastCell) {
-    const lastRange = lastCell.textContent.replace(/[–—]/g, '-').trim();
-    const parts = lastRange.split('-').map(p => parseFloat(p.trim()));
-    if (parts.length === 2 && !isNaN(parts[1])) newBreaks.push(roundToOneDecimal(parts[1]));
+//CSV Import (column mapping, WKT/GeoJSON geometry, delimiter, decimal and encoding)
+const CSV_IMPORT_SETTINGS_KEY = "rma-csv-import-settings";
+const CSV_IMPORT_SETTINGS_MAX = 50;
+const CSV_IMPORT_DELIMITERS = { auto: "", comma: ",", semicolon: ";", tab: "\t", pipe: "|" };
+// The dialog reads and decodes only the start of the file; the import worker decodes the rest.
+const CSV_IMPORT_PREVIEW_BYTES = 256 * 1024;
+// --- Remembered settings ---
+// Signature = hash of the raw header line, so re-exports of the same table reuse settings.
+function getCsvFileSignature(bytes) {
+  const view = new Uint8Array(bytes || new ArrayBuffer(0), 0, Math.min(bytes?.byteLength || 0, 4096));
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < view.length && view[i] !== 0x0A; i++) {
+    hash ^= view[i];
+    hash = Math.imul(hash, 0x01000193) >>> 0;
   }
+  return "h" + hash.toString(16);
+}
 
-  if (newBreaks.length >= 2) {
-    if (overlayData[currentLayerName]) {
-      overlayData[currentLayerName].vals = newBreaks;
-      overlayData[currentLayerName].cols = newColors;
-      overlayData[currentLayerName].isNumeric = true;
-    }
-    applyClassification();
+function readCsvImportSettingsStore() {
+  try {
+    const store = JSON.parse(window.localStorage.getItem(CSV_IMPORT_SETTINGS_KEY) || "{}");
+    return store && typeof store === "object" && !Array.isArray(store) ? store : {};
+  } catch (_) {
+    return {};
   }
 }
-//UI Event Wiring (live updates before/after classification)
-// Wire up control inputs so changes apply before and after classification
-(function wireControls() {
-  const pointEl = document.getElementById('point-size');
-  if (pointEl) {
-    pointEl.addEventListener('input', () => {
-      if (currentAttribute) applyClassification();
-      else renderDefaultFilteredLayer();
-    });
+
+function loadCsvImportSettings(signature) {
+  const saved = readCsvImportSettingsStore()[signature];
+  return saved && typeof saved === "object" ? saved : null;
+}
+
+function saveCsvImportSettings(signature, settings) {
+  const store = readCsvImportSettingsStore();
+  store[signature] = { ...settings, savedAt: Date.now() };
+  const keys = Object.keys(store).sort((a, b) => (store[b]?.savedAt || 0) - (store[a]?.savedAt || 0));
+  keys.slice(CSV_IMPORT_SETTINGS_MAX).forEach(k => delete store[k]);
+  try {
+    window.localStorage.setItem(CSV_IMPORT_SETTINGS_KEY, JSON.stringify(store));
+  } catch (err) {
+    console.warn("Could not remember CSV import settings:", err);
   }
+}
 
-  const lineEl = document.getElementById('line-width');
-  if (lineEl) {
-    lineEl.addEventListener('input', () => {
-      if (currentAttribute) applyClassification();
-      else renderDefaultFilteredLayer();
+// --- Import dialog ---
+function previewCsvText(text, delimiter) {
+  const parsed = window.Papa.parse(text, {
+    header: true,
+    skipEmptyLines: "greedy",
+    delimiter,
+    preview: CSV_IMPORT_PREVIEW_ROWS
+  });
+  return {
+    fields: (parsed.meta?.fields || []).filter(f => sanitizePlainText(f)),
+    rows: Array.isArray(parsed.data) ? parsed.data : [],
+    delimiter: parsed.meta?.delimiter || delimiter
+  };
+}
+
+function fillCsvColumnSelect(sel, fields, preferred) {
+  if (!sel) return;
+  sel.textContent = "";
+  fields.forEach((f, i) => {
+    const opt = document.createElement("option");
+    opt.value = String(i);
+    opt.textContent = f;
+    sel.appendChild(opt);
+  });
+  const idx = fields.indexOf(preferred);
+  if (idx >= 0) sel.value = String(idx);
+}
+
+function renderCsvImportPreview(table, preview) {
+  if (!table) return;
+  const thead = table.querySelector("thead");
+  const tbody = table.querySelector("tbody");
+  thead.textContent = "";
+  tbody.textContent = "";
+  const headRow = document.createElement("tr");
+  preview.fields.forEach(f => {
+    const th = document.createElement("th");
+    th.textContent = f;
+    headRow.appendChild(th);
+  });
+  thead.appendChild(headRow);
+  preview.rows.forEach(r => {
+    const tr = document.createElement("tr");
+    preview.fields.forEach(f => {
+      const td = document.createElement("td");
+      const value = String(r?.[f] ?? "");
+      td.textContent = value.length > 80 ? value.slice(0, 77) + "..." : value;
+      tr.appendChild(td);
     });
-  }
+    tbody.appendChild(tr);
+  });
+}
 
-  // When user selects an attribute, update state and classification options
-  const attrSel = document.getElementById('attribute-select');
-  if (attrSel) {
-    attrSel.addEventListener('change', () => {
-      const selected = attrSel.value;
-      if (geojsonData && geojsonData.features && geojsonData.features.length) {
-        const props = geojsonData.features[0].properties || {};
-        const originalKey = Object.keys(props).find(k => String(k).replace(/[^\w\-]/g, "_") === selected);
-        currentAttribute = originalKey || selected;
-      } else {
-        currentAttribute = selected;
-      }
-      updateClassificationOptions();
-      applyClassification();
+// `bytes` is the start of the file. Resolves with parse options, or null when the user cancels.
+function openCsvImportDialog(file, bytes) {
+  const signature = getCsvFileSignature(bytes);
+  const saved = loadCsvImportSettings(signature) || {};
+  const modalEl = document.getElementById("csvImportModal");
+  const ModalCtor = window.bootstrap?.Modal;
+
+  // Without the dialog, fall back to remembered or guessed settings.
+  if (!modalEl || !ModalCtor) {
+    const encoding = CSV_IMPORT_ENCODINGS.has(saved.encoding) ? saved.encoding : "auto";
+    return Promise.resolve({
+      encoding,
+      delimiter: saved.delimiter || "",
+      decimal: saved.decimal || ".",
+      mode: saved.mode || "",
+      xKey: saved.xKey,
+      yKey: saved.yKey,
+      geomKey: saved.geomKey,
+      crs: findCatalogueCrs(saved.crs) ? saved.crs : WGS84_CRS_CODE
     });
   }
 
-  // Classification type or number of classes changes
-  const classType = document.getElementById('classification-type');
-  if (classType) {
-    classType.addEventListener('change', () => {
-      applyClassification();
+  const el = id => document.getElementById(id);
+  const delimiterSel = el("csv-delimiter");
+  const decimalSel = el("csv-decimal");
+  const encodingSel = el("csv-encoding");
+  const modeSel = el("csv-geom-mode");
+  const crsSel = el("csv-crs");
+  const xSel = el("csv-x-col");
+  const ySel = el("csv-y-col");
+  const geomSel = el("csv-geom-col");
+  const note = el("csv-import-note");
+  const fileLabel = el("csv-import-file");
+  const importBtn = el("btnCsvImportRun");
+
+  const delimiterKey = Object.keys(CSV_IMPORT_DELIMITERS).find(k => CSV_IMPORT_DELIMITERS[k] === saved.delimiter);
+  delimiterSel.value = delimiterKey || "auto";
+  decimalSel.value = saved.decimal === "," ? "," : ".";
+  encodingSel.value = CSV_IMPORT_ENCODINGS.has(saved.encoding) ? saved.encoding : "auto";
+  populateCrsSelect(crsSel, saved.crs || WGS84_CRS_CODE);
+  if (fileLabel) fileLabel.textContent = sanitizePlainText(file?.name, "CSV file");
+
+  const partial = bytes.byteLength < file.size;
+  let text = "";
+  let preview = { fields: [], rows: [], delimiter: "" };
+  let firstRender = true;
+
+  const refresh = ({ decode = false } = {}) => {
+    if (decode || firstRender) {
+      text = decodeCsvBytes(bytes, encodingSel.value, partial);
+      // Drop the last line of a slice, which is likely cut short.
+      if (partial) text = text.slice(0, text.lastIndexOf("\n") + 1) || text;
+    }
+    const prevFields = preview.fields;
+    const keep = sel => (sel && sel.value !== "" ? prevFields[Number(sel.value)] : undefined);
+    const current = firstRender
+      ? { x: saved.xKey, y: saved.yKey, geom: saved.geomKey }
+      : { x: keep(xSel), y: keep(ySel), geom: keep(geomSel) };
+    preview = previewCsvText(text, CSV_IMPORT_DELIMITERS[delimiterSel.value] || "");
+    const guess = guessCsvCoordinateColumns(preview.fields);
+    const guessGeom = guessCsvGeometryColumn(preview.fields, preview.rows);
+    fillCsvColumnSelect(xSel, preview.fields, preview.fields.includes(current.x) ? current.x : guess.lonKey);
+    fillCsvColumnSelect(ySel, preview.fields, preview.fields.includes(current.y) ? current.y : guess.latKey);
+    fillCsvColumnSelect(geomSel, preview.fields, preview.fields.includes(current.geom) ? current.geom : guessGeom);
+    if (firstRender) {
+      modeSel.value = saved.mode || ((guess.latKey && guess.lonKey) || !guessGeom ? "xy" : "geometry");
+      firstRender = false;
+    }
+    renderCsvImportPreview(el("csv-import-preview"), preview);
+    const shownDelimiter = preview.delimiter === "\t" ? "tab" : `"${preview.delimiter}"`;
+    if (note) {
+      note.textContent = preview.fields.length
+        ? `${preview.fields.length} columns, delimiter ${shownDelimiter}. Showing the first ${preview.rows.length} rows.`
+        : "No columns found. Check the delimiter and encoding.";
+    }
+    updateMode();
+  };
+  const updateMode = () => {
+    const xy = modeSel.value !== "geometry";
+    (xy ? showRow : hideRow)("csv-x-wrap");
+    (xy ? showRow : hideRow)("csv-y-wrap");
+    (xy ? hideRow : showRow)("csv-geom-wrap");
+    importBtn.disabled = preview.fields.length < (xy ? 2 : 1);
+  };
+
+  return new Promise(resolve => {
+    let result = null;
+    const modal = ModalCtor.getOrCreateInstance(modalEl);
+    const onDecode = () => refresh({ decode: true });
+    const onReparse = () => refresh();
+    const onImport = () => {
+      const xy = modeSel.value !== "geometry";
+      const pickField = sel => preview.fields[Number(sel.value)];
+      const options = {
+        delimiter: CSV_IMPORT_DELIMITERS[delimiterSel.value] || "",
+        decimal: decimalSel.value === "," ? "," : ".",
+        mode: xy ? "xy" : "geometry",
+        xKey: xy ? pickField(xSel) : undefined,
+        yKey: xy ? pickField(ySel) : undefined,
+        geomKey: xy ? undefined : pickField(geomSel),
+        crs: crsSel?.value || WGS84_CRS_CODE
+      };
+      if (xy && (!options.xKey || !options.yKey || options.xKey === options.yKey)) {
+        showPopup("Choose two different columns for longitude (X) and latitude (Y).", "error");
+        return;
+      }
+      if (!xy && !options.geomKey) {
+        showPopup("Choose the WKT/GeoJSON geometry column.", "error");
+        return;
+      }
+      saveCsvImportSettings(signature, { ...options, encoding: encodingSel.value });
+      result = { ...options, encoding: encodingSel.value };
+      modal.hide();
+    };
+    const onHidden = () => {
+      encodingSel.removeEventListener("change", onDecode);
+      delimiterSel.removeEventListener("change", onReparse);
+      modeSel.removeEventListener("change", updateMode);
+      importBtn.removeEventListener("click", onImport);
+      modalEl.removeEventListener("hidden.bs.modal", onHidden);
+      resolve(result);
+    };
+    encodingSel.addEventListener("change", onDecode);
+    delimiterSel.addEventListener("change", onReparse);
+    modeSel.addEventListener("change", updateMode);
+    importBtn.addEventListener("click", onImport);
+    modalEl.addEventListener("hidden.bs.modal", onHidden);
+    refresh({ decode: true });
+    modal.show();
+  });
+}
+
+//Geometry Check Report (checks and repairs are in import-core.js)
+function formatGeometryReportText(report, sourceLabel) {
+  const lines = Object.keys(GEOMETRY_ISSUES).filter(k => report.issues[k]).map(k => {
+    return `- ${GEOMETRY_ISSUES[k].label}: ${report.issues[k].count.toLocaleString()}`;
+  });
+  return `${sourceLabel} has geometry problems (${report.featureCount.toLocaleString()} features checked):\n` + lines.join("\n");
+}
+
+function renderGeometryReport(table, report) {
+  const tbody = table?.querySelector("tbody");
+  if (!tbody) return;
+  tbody.textContent = "";
+  Object.keys(GEOMETRY_ISSUES).filter(k => report.issues[k]).forEach(k => {
+    const { count, samples } = report.issues[k];
+    const tr = document.createElement("tr");
+    const cells = [
+      GEOMETRY_ISSUES[k].label,
+      count.toLocaleString(),
+      k === "mixedTypes"
+        ? Object.keys(report.families).map(fam => `${report.families[fam].toLocaleString()} ${GEOMETRY_FAMILY_LABELS[fam]}`).join(", ")
+        : samples.map(n => "#" + n).join(", ") + (count > samples.length ? ", ..." : ""),
+      GEOMETRY_ISSUES[k].fix || "Reported only (repair in a desktop GIS)"
+    ];
+    cells.forEach(text => {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
     });
+    tbody.appendChild(tr);
+  });
+}
+
+// Resolves with { fix } when the user proceeds, or null when the import is canceled.
+function openGeometryReportDialog(report, sourceLabel) {
+  const modalEl = document.getElementById("geometryReportModal");
+  const ModalCtor = window.bootstrap?.Modal;
+  if (!modalEl || !ModalCtor) {
+    const ok = window.confirm(formatGeometryReportText(report, sourceLabel) + "\n\nApply the automatic fixes and continue importing?");
+    return Promise.resolve(ok ? { fix: true } : null);
+  }
+  const summary = document.getElementById("geometry-report-summary");
+  const fixBox = document.getElementById("geometry-report-fix");
+  const importBtn = document.getElementById("btnGeometryReportImport");
+  if (summary) {
+    const unchecked = report.selfIntersectionUnchecked ? " The dataset is too large to check every polygon for self-intersections." : "";
+    summary.textContent = `${sanitizePlainText(sourceLabel, "Dataset")}: ${report.featureCount.toLocaleString()} features checked. Example feature numbers count from 1 in file order.${unchecked}`;
+  }
+  renderGeometryReport(document.getElementById("geometry-report-table"), report);
+  if (fixBox) fixBox.checked = true;
+
+  return new Promise(resolve => {
+    let result = null;
+    const modal = ModalCtor.getOrCreateInstance(modalEl);
+    const onImport = () => {
+      result = { fix: !fixBox || fixBox.checked };
+      modal.hide();
+    };
+    const onHidden = () => {
+      importBtn.removeEventListener("click", onImport);
+      modalEl.removeEventListener("hidden.bs.modal", onHidden);
+      resolve(result);
+    };
+    importBtn.addEventListener("click", onImport);
+    modalEl.addEventListener("hidden.bs.modal", onHidden);
+    modal.show();
+  });
+}
+
+// Shows the report; resolves true when fixes should be applied and throws when the import is canceled.
+async function confirmGeometryRepair(report, sourceLabel) {
+  const choice = await openGeometryReportDialog(report, sourceLabel);
+  if (!choice) {
+    throw new Error("Import canceled by user.");
   }
-  const numClasses = document.getElementById('num-classes');
-  if (numClasses) {
-    numClasses.addEventListener('input', () => {
-      applyClassification();
-    });
+  return !!choice.fix && Object.keys(report.issues).some(k => GEOMETRY_ISSUES[k].fix);
+}
+
+function importPartName(rawName, family) {
+  return family ? `${stripKnownDataExtension(rawName)} ${GEOMETRY_FAMILY_LABELS[family]}` : rawName;
+}
+
+// Pass stats when the import worker has already checked the limits and the user confirmed the load.
+async function addImportedLayer(geojson, rawName, sourceLabel, { stats = null, renderMode = "auto" } = {}) {
+  if (!geojson || !Array.isArray(geojson.features)) {
+    throw new Error("Invalid data structure");
   }
 
-  // Layer selector change
-  const layerSel = document.getElementById('layer-select');
-  if (layerSel) {
-    layerSel.addEventListener('change', () => {
-      setActiveLayer(layerSel.value);
-    });
+  if (!stats) {
+    stats = assertDatasetWithinLimits(geojson, sourceLabel);
+    const proceed = await confirmLargeDatasetLoad(stats, sourceLabel);
+    if (!proceed) {
+      throw new Error("Import canceled by user.");
+    }
   }
 
-  const contSel = document.getElementById('continent-filter');
-  const btnContinentAll = document.getElementById('btnContinentAll');
-  const btnContinentClear = document.getElementById('btnContinentClear');
-  const countryList = document.getElementById('country-filter-list');
-  const btnCountryAll = document.getElementById('btnCountryAll');
-  const btnCountryClear = document.getElementById('btnCountryClear');
-  const africaBtn = document.getElementById('btnAfricaOnly');
-  if (contSel) {
-    contSel.addEventListener('change', () => {
-      selectedContinentValues = new Set(
-        Array.from(contSel.querySelectorAll('input[type="checkbox"]:checked')).map(o => o.value).filter(Boolean)
-      );
-      updateContinentFilterButtonLabel();
-      selectedCountryValues = new Set();
-      populateCountryFilterOptions(geojsonData);
-      if (currentAttribute) applyClassification();
-      else renderDefaultFilteredLayer();
+  const safeName = sanitizeName(rawName);
+  const fg = L.featureGroup().addTo(map);
+  overlayData[safeName] = { layerGroup: fg, geojson: geojson, budgetStats: stats, renderMode };
+  geojsonLayer = createDataLayer(safeName, geojson, {
+    interactive: true,
+    bubblingMouseEvents: false,
+    style: defaultStyle,
+    pointToLayer: defaultPoint,
+    onEachFeature: bindFeaturePopup
+  }).addTo(fg);
+  layerGroup = fg;
+  // Smart import viewport: fit to new layer with safe padding unless extent is Africa-wide.
+  setTimeout(() => {
+    fitToLayerExtent(fg, {
+      maxZoom: IMPORT_EXTENT_MAX_ZOOM,
+      keepHomeWhenAfricaLike: true
     });
-  }
-  if (btnContinentAll) {
-    btnContinentAll.addEventListener('click', () => {
-      if (!contSel) return;
-      const checks = Array.from(contSel.querySelectorAll('input[type="checkbox"]'));
-      checks.forEach(o => { o.checked = true; });
-      selectedContinentValues = new Set(checks.map(o => o.value));
-      updateContinentFilterButtonLabel();
-      selectedCountryValues = new Set();
-      populateCountryFilterOptions(geojsonData);
-      checkActiveLayerInControl();
-      if (currentAttribute) applyClassification();
-      else renderDefaultFilteredLayer();
-    });
-  }
-  if (btnContinentClear) {
-    btnContinentClear.addEventListener('click', () => {
-      if (!contSel) return;
-      Array.from(contSel.querySelectorAll('input[type="checkbox"]')).forEach(o => { o.checked = false; });
-      selectedContinentValues = new Set();
-      updateContinentFilterButtonLabel();
-      selectedCountryValues = new Set();
-      populateCountryFilterOptions(geojsonData);
-      uncheckActiveLayerInControl();
-      if (currentAttribute) applyClassification();
-      else renderDefaultFilteredLayer();
-    });
-  }
-  if (countryList) {
-    countryList.addEventListener('change', (e) => {
-      const t = e.target;
-      if (!t || t.tagName !== 'INPUT' || t.type !== 'checkbox') return;
-      if (t.checked) selectedCountryValues.add(t.value);
-      else selectedCountryValues.delete(t.value);
-      updateCountryFilterButtonLabel();
-      if (currentAttribute) applyClassification();
-      else renderDefaultFilteredLayer();
-    });
-  }
-  if (btnCountryAll) {
-    btnCountryAll.addEventListener('click', () => {
-      const checks = Array.from(document.querySelectorAll('#country-filter-list input[type="checkbox"]'));
-      selectedCountryValues = new Set(checks.map(c => c.value));
-      checks.forEach(c => { c.checked = true; });
-      updateCountryFilterButtonLabel();
-      checkActiveLayerInControl();
-      if (currentAttribute) applyClassification();
-      else renderDefaultFilteredLayer();
-    });
-  }
-  if (btnCountryClear) {
-    btnCountryClear.addEventListener('click', () => {
-      const checks = Array.from(document.querySelectorAll('#country-filter-list input[type="checkbox"]'));
-      checks.forEach(c => { c.checked = false; });
-      selectedCountryValues = new Set();
-      updateCountryFilterButtonLabel();
-      uncheckActiveLayerInControl();
-      if (currentAttribute) applyClassification();
-      else renderDefaultFilteredLayer();
+  }, 0);
+
+  layersControl.addOverlay(fg, safeName);
+  trackLayerOrder(safeName);
+  reorderLayersControlUI();
+  applyLayerStackOrder();
+  refreshLayerSelector();
+  await setActiveLayer(safeName);
+  initializeMapTitleFromLayer(safeName);
+
+  return safeName;
+}
+
+function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = e => resolve(String(e?.target?.result || ""));
+    reader.onerror = () => reject(new Error("Failed to read file as text."));
+    reader.readAsText(file);
+  });
+}
+
+function readFileAsArrayBuffer(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = e => resolve(e?.target?.result);
+    reader.onerror = () => reject(new Error("Failed to read file."));
+    reader.readAsArrayBuffer(file);
+  });
+}
+
+
+//Import Runner (parsing and checks in import-worker.js, dialogs and layers in the page)
+const IMPORT_WORKER_URL = `import-worker.js${document.currentScript?.src.match(/\?v=[^&#]*/)?.[0] || ""}`;
+// DOMParser is not available in workers, so XML formats are read in the page.
+const IMPORT_PAGE_ONLY_EXTENSIONS = new Set([".kml", ".kmz", ".gpx"]);
+let importProgressCancel = null;
+
+// Runs IMPORT_JOB_STEPS one at a time in a worker, or in the page when the worker cannot start.
+function createImportRunner(ext, onProgress) {
+  let worker = null;
+  let pageJob = null;
+  let pending = null;
+  let answered = false;
+  let canceled = false;
+  let nextId = 0;
+
+  const runInPage = async (step, payload) => {
+    if (!pageJob) pageJob = { layers: [] };
+    await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+    return IMPORT_JOB_STEPS[step](pageJob, payload, progress => {
+      if (canceled) throw new Error("Import canceled by user.");
+      onProgress(progress);
     });
+  };
+
+  if (typeof Worker === "function" && !IMPORT_PAGE_ONLY_EXTENSIONS.has(ext)) {
+    try {
+      worker = new Worker(IMPORT_WORKER_URL);
+    } catch (err) {
+      console.warn("Import worker unavailable, parsing in the page:", err);
+    }
   }
-  if (africaBtn) {
-    africaBtn.addEventListener('click', () => {
-      const cont = document.getElementById('continent-filter');
-      if (!cont || !activeContinentField) {
-        showPopup("Continent field not found in this layer.", "error");
+  if (worker) {
+    worker.onmessage = event => {
+      const msg = event.data || {};
+      if (!pending || msg.id !== pending.id) return;
+      answered = true;
+      if (msg.progress) {
+        onProgress(msg.progress);
         return;
       }
-      const africaOpt = Array.from(cont.querySelectorAll('input[type="checkbox"]')).find(o => isAfricaContinentValue(o.value));
-      if (!africaOpt) {
-        showPopup("No 'Africa' value found in continent field.", "error");
-        return;
+      const { resolve, reject } = pending;
+      pending = null;
+      if ("error" in msg) reject(new Error(msg.error));
+      else resolve(msg.result);
+    };
+    worker.onerror = event => {
+      event.preventDefault();
+      const failed = pending;
+      pending = null;
+      worker.terminate();
+      worker = null;
+      if (!failed) return;
+      // A worker that never answered (blocked script, old browser) holds no job yet, so the page takes over.
+      if (!answered) {
+        console.warn("Import worker failed to start, parsing in the page:", event.message);
+        runInPage(failed.step, failed.payload).then(failed.resolve, failed.reject);
+      } else {
+        failed.reject(new Error(`Import stopped unexpectedly${event.message ? `: ${event.message}` : "."}`));
       }
-      Array.from(cont.querySelectorAll('input[type="checkbox"]')).forEach(o => {
-        o.checked = norm(o.value) === norm(africaOpt.value);
+    };
+  }
+
+  return {
+    run(step, payload) {
+      if (canceled) return Promise.reject(new Error("Import canceled by user."));
+      if (!worker) return runInPage(step, payload);
+      return new Promise((resolve, reject) => {
+        pending = { id: ++nextId, step, payload, resolve, reject };
+        worker.postMessage({ id: pending.id, step, payload });
       });
-      selectedContinentValues = new Set([africaOpt.value]);
-      updateContinentFilterButtonLabel();
-      selectedCountryValues = new Set();
-      populateCountryFilterOptions(geojsonData);
-      checkActiveLayerInControl();
-      if (currentAttribute) applyClassification();
-      else renderDefaultFilteredLayer();
-      applyHomeView();
+    },
+    cancel() {
+      canceled = true;
+      if (!worker) return;
+      worker.terminate();
+      worker = null;
+      if (pending) pending.reject(new Error("Import canceled by user."));
+      pending = null;
+    },
+    terminate() {
+      if (worker) worker.terminate();
+      worker = null;
+      pageJob = null;
+    }
+  };
+}
+
+function formatImportProgress(progress) {
+  const count = (done, total) => `${Number(done).toLocaleString()} of ${Number(total).toLocaleString()}`;
+  const fraction = (done, total) => (total > 0 ? Math.min(1, done / total) : null);
+  switch (progress?.phase) {
+    case "read": {
+      const mb = bytes => (bytes / (1024 * 1024)).toFixed(1);
+      return {
+        text: `Reading file... ${mb(progress.bytesRead)} of ${mb(progress.totalBytes)} MB`,
+        fraction: fraction(progress.bytesRead, progress.totalBytes)
+      };
+    }
+    case "rows":
+      return { text: `Reading rows... ${count(progress.features, progress.totalFeatures)}`, fraction: fraction(progress.features, progress.totalFeatures) };
+    case "check":
+      return { text: `Checking geometries... ${count(progress.features, progress.totalFeatures)}`, fraction: fraction(progress.features, progress.totalFeatures) };
+    case "tag":
+      return { text: `Matching countries... ${count(progress.features, progress.totalFeatures)}`, fraction: fraction(progress.features, progress.totalFeatures) };
+    default:
+      return { text: "Parsing data...", fraction: null };
+  }
+}
+
+// Loader with a progress bar (striped when the amount is unknown) and a Cancel button.
+function showImportProgress(text, fraction = null, onCancel = null) {
+  showLoading(text);
+  const loader = document.getElementById("export-loader");
+  if (!loader) return;
+  let wrap = document.getElementById("import-progress");
+  if (!wrap) {
+    wrap = document.createElement("div");
+    wrap.id = "import-progress";
+    wrap.className = "import-progress";
+    const track = document.createElement("div");
+    track.className = "progress";
+    const bar = document.createElement("div");
+    bar.className = "progress-bar";
+    bar.setAttribute("role", "progressbar");
+    track.appendChild(bar);
+    const cancelBtn = document.createElement("button");
+    cancelBtn.type = "button";
+    cancelBtn.className = "btn btn-sm btn-outline-light";
+    cancelBtn.textContent = "Cancel";
+    cancelBtn.addEventListener("click", () => {
+      if (importProgressCancel) importProgressCancel();
     });
+    wrap.appendChild(track);
+    wrap.appendChild(cancelBtn);
+    loader.appendChild(wrap);
   }
-})();
-//Popup Helper, Sidebar Toggles, and Page Load UI
-// --- Popup helper ---
-function showPopup(msg, type = "error") {
-  let popup = document.getElementById("popup-message");
-  if (!popup) {
-    popup = document.createElement("div");
-    popup.id = "popup-message";
-    popup.className = "popup-message";
-    document.body.appendChild(popup);
+  importProgressCancel = onCancel;
+  const bar = wrap.querySelector(".progress-bar");
+  const known = typeof fraction === "number";
+  bar.classList.toggle("progress-bar-striped", !known);
+  bar.classList.toggle("progress-bar-animated", !known);
+  setDynamicStyle(bar, { width: known ? `${Math.round(fraction * 100)}%` : "100%" });
+  const cancelBtn = wrap.querySelector("button");
+  if (cancelBtn) cancelBtn.disabled = !onCancel;
+  showRow("import-progress");
+}
+
+async function importFile(file) {
+  const fileNameEl = document.getElementById("file-name");
+  const ext = getDataExtension(file?.name || "");
+  const allowedExtensions = new Set([".zip", ".csv", ".geojson", ".kml", ".kmz", ".gpx", ".gpkg"]);
+  if (!allowedExtensions.has(ext)) {
+    throw new Error(`Unsupported file type: ${file?.name || "unknown file"}`);
+  }
+  if (file.size > MAX_SIZE) {
+    const maxMb = Math.round(MAX_SIZE / (1024 * 1024));
+    throw new Error(`File "${file.name}" too large (max ${maxMb} MB).`);
+  }
+  if (ext === ".gpkg" && file.size > MAX_GEOPACKAGE_BYTES) {
+    const maxMb = Math.round(MAX_GEOPACKAGE_BYTES / (1024 * 1024));
+    throw new Error(`GeoPackage "${file.name}" too large (max ${maxMb} MB).`);
   }
 
-  popup.classList.remove('popup-error', 'popup-success');
-  popup.classList.add(type === 'error' ? 'popup-error' : 'popup-success');
-  popup.textContent = msg;
-  setDynamicStyle(popup, { display: "block" });
+  const parsePayload = { file, ext };
+  if (ext === ".csv") {
+    showLoading("Loading data from file...");
+    const bytes = await readFileAsArrayBuffer(file.slice(0, CSV_IMPORT_PREVIEW_BYTES));
+    hideLoading();
+    const options = await openCsvImportDialog(file, bytes);
+    if (!options) {
+      throw new Error("Import canceled by user.");
+    }
+    parsePayload.csvOptions = options;
+  }
 
-  setTimeout(() => { setDynamicStyle(popup, { display: "none" }); }, 6000);
+  const runner = createImportRunner(ext, progress => {
+    const { text, fraction } = formatImportProgress(progress);
+    showImportProgress(text, fraction, () => runner.cancel());
+  });
+  showImportProgress("Loading data from file...", null, () => runner.cancel());
+  try {
+    const { added, skippedRows, reprojectedFrom, notImported } = await runImportLayers(runner, parsePayload, "Imported file");
+    if (fileNameEl) fileNameEl.textContent = added.join(", ");
+    const skippedNote = skippedRows ? ` (${skippedRows.toLocaleString()} rows without valid geometry skipped)` : "";
+    const label = added.length > 1 ? `${added.length} layers from "${sanitizePlainText(file.name)}" uploaded` : `File "${added[0]}" uploaded`;
+    const crsNote = reprojectedFrom.size ? `, reprojected from ${Array.from(reprojectedFrom).join(", ")}` : "";
+    const partialNote = notImported.length ? `. Not imported: ${notImported.join(" ")}` : "";
+    showPopup(`${label} successfully${crsNote}${skippedNote}${partialNote}`, "success");
+  } finally {
+    runner.terminate();
+    importProgressCancel = null;
+    hideLoading();
+  }
 }
 
-// --- Sidebar toggle helpers (buttons cached) ---
-const btnClassTable = document.getElementById('btnToggleClassTable');
-function toggleClassTable() {
-  const wrap = document.getElementById('classification-wrapper');
-  if (!wrap || !btnClassTable) return;
-  const hidden = window.getComputedStyle(wrap).display === 'none';
-  setDynamicStyle(wrap, { display: hidden ? "block" : "none" });
-  btnClassTable.classList.toggle('active', hidden);
-}
+// Parse, check, repair and tag in the runner, asking the user between steps; adds every layer to the map.
+async function runImportLayers(runner, parsePayload, sourceLabel) {
+  // Each layer becomes one or more map layers; GeoPackages can hold several feature tables.
+  // The lookup grid is built once in the page and handed to the worker with the boundaries.
+  const boundariesPromise = loadWorldBoundaryIndex()
+    .then(boundaryIndex => ({ boundaryIndex, boundaryGrid: getCountryGrid(boundaryIndex) }))
+    .catch(() => ({}));
+  const { layers, notImported } = await runner.run("parse", parsePayload);
+
+  const added = [];
+  let skippedRows = 0;
+  let repaired = false;
+  let crsPicked = false;
+  const reprojectedFrom = new Set();
+  for (let index = 0; index < layers.length; index++) {
+    const layer = layers[index];
+    if (layer.projected) {
+      hideLoading();
+      const crs = await openCrsPickerDialog({ sourceLabel: layer.name });
+      if (!crs) {
+        throw new Error("Import canceled by user.");
+      }
+      showImportProgress("Reprojecting data...", null, () => runner.cancel());
+      layer.crsLabel = (await runner.run("reproject", { index, crs: crs.code || crs.def })).crsLabel;
+      crsPicked = true;
+    }
 
-// Keep initial viewport consistent on full reloads.
-if ('scrollRestoration' in window.history) {
-  window.history.scrollRestoration = 'manual';
+    const { stats, report } = await runner.run("check", { index });
+    hideLoading();
+    if (!(await confirmLargeDatasetLoad(stats, sourceLabel))) {
+      throw new Error("Import canceled by user.");
+    }
+    const fix = Object.keys(report.issues).length ? await confirmGeometryRepair(report, sourceLabel) : false;
+
+    showImportProgress(fix ? "Repairing geometries..." : "Preparing layer...", null, () => runner.cancel());
+    const { parts } = await runner.run("finish", {
+      index,
+      fix,
+      countryTagMode: getCountryTagMode(),
+      ...(await boundariesPromise)
+    });
+    showLoading("Adding layer to the map...");
+    for (const part of parts) {
+      added.push(await addImportedLayer(part.geojson, importPartName(layer.name, part.family), sourceLabel, { stats: part.stats }));
+    }
+    skippedRows += layer.skipped;
+    repaired = repaired || fix;
+    if (layer.crsLabel) reprojectedFrom.add(layer.crsLabel);
+  }
+  return { added, skippedRows, reprojectedFrom, notImported, repaired, crsPicked };
 }
 
-function resetInitialScrollPositions() {
-  window.scrollTo(0, 0);
-  document.documentElement.scrollTop = 0;
-  document.body.scrollTop = 0;
-  ['sidebar', 'right-sidebar', 'classification-wrapper'].forEach((id) => {
-    const el = document.getElementById(id);
-    if (el) el.scrollTop = 0;
-  });
+// Fetch a remote CSV/GeoJSON as text; parsing is left to the import runner.
+async function fetchRemoteImport(rawUrl) {
+  const { parsed, ext: requestedExt } = validateImportUrl(rawUrl);
+  const fetched = await fetchWithLimits(parsed.href);
+  const finalParsed = assertFinalImportUrlAllowed(fetched.finalUrl);
+  const ext = resolveRemoteImportExtension(requestedExt, finalParsed?.pathname || fetched.finalUrl || "", fetched.contentType);
+  if (!ext) {
+    throw new Error("Could not determine URL import type. Use a .csv/.geojson URL or a correct JSON/CSV content type.");
+  }
+  const hasAllowedContentType = isAllowedRemoteContentType(ext, fetched.contentType);
+  const csvPayloadFallbackAllowed = ext === ".csv" && isLikelyCsvPayload(fetched.text || "");
+  if (!hasAllowedContentType && !csvPayloadFallbackAllowed) {
+    throw new Error(`Remote content type is not allowed for ${ext} import.`);
+  }
+  const fallbackName = parsed.pathname.split("/").pop() || ("Layer_" + Date.now());
+  return {
+    ext,
+    href: parsed.href,
+    parsePayload: { ext, text: fetched.text || "", contentType: fetched.contentType || "", name: fallbackName }
+  };
 }
 
-// On page load show panels
-window.addEventListener('DOMContentLoaded', () => {
-  const tbl  = document.getElementById('table-container');
-  const wrap = document.getElementById('classification-wrapper');
-
-  if (wrap && btnClassTable) {
-    setDynamicStyle(wrap, { display: "block" });
-    btnClassTable.classList.add('active');
+// Fetch and parse a remote CSV/GeoJSON without adding it to the map.
+async function fetchRemoteGeojson(rawUrl) {
+  const remote = await fetchRemoteImport(rawUrl);
+  const runner = createImportRunner(remote.ext, () => {});
+  try {
+    await runner.run("parse", remote.parsePayload);
+    const { parts } = await runner.run("finish", { index: 0, fix: false });
+    return { geojson: parts[0].geojson, fallbackName: remote.parsePayload.name, href: remote.href };
+  } finally {
+    runner.terminate();
   }
+}
 
-  resetInitialScrollPositions();
-});
-
-window.addEventListener('load', resetInitialScrollPositions);
+async function importUrl(rawUrl) {
+  const fileNameEl = document.getElementById("file-name");
+  const urlInput = document.getElementById("geojson-url");
+  if (!rawUrl) throw new Error("Enter a valid URL");
 
-        // --- Secure Export Helper ---
-    function isFirefoxBrowser() {
-    try {
-      return /firefox/i.test(navigator.userAgent || "");
-    } catch (e) {
-      return false;
-    }
+  showLoading("Loading data from URL...");
+  await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+  let runner = null;
+  try {
+    const { ext, href, parsePayload } = await fetchRemoteImport(rawUrl);
+    runner = createImportRunner(ext, progress => {
+      const { text, fraction } = formatImportProgress(progress);
+      showImportProgress(text, fraction, () => runner.cancel());
+    });
+    showImportProgress("Parsing data...", null, () => runner.cancel());
+    const { added: names, repaired, crsPicked } = await runImportLayers(runner, parsePayload, "Imported URL data");
+    // Repaired or hand-reprojected layers are saved with their data; refetching the URL would bring the problems back.
+    if (!repaired && !crsPicked) {
+      names.forEach(n => {
+        if (overlayData[n]) overlayData[n].sourceUrl = href;
+      });
     }
+    if (urlInput) urlInput.value = "";
+    if (fileNameEl) fileNameEl.textContent = names.join(", ");
+    const label = names.length > 1 ? `Layers "${names.join('", "')}"` : `Layer "${names[0]}"`;
+    showPopup(`${label} added successfully`, "success");
+  } finally {
+    if (runner) runner.terminate();
+    importProgressCancel = null;
+    hideLoading();
+  }
+}
 
-    function isEdgeBrowser() {
-    try {
-      return /edg\//i.test(navigator.userAgent || "");
-    } catch (e) {
-      return false;
-    }
+// --- File Upload Handler (secure) ---
+const fileUploadEl = document.getElementById("file-upload");
+if (fileUploadEl) {
+  fileUploadEl.addEventListener("change", async function(evt) {
+    const files = Array.from(evt?.target?.files || []);
+    for (const file of files) {
+      try {
+        await importFile(file);
+      } catch (err) {
+        console.error("File import error:", err);
+        showPopup(String(err?.message || "Error loading file"), "error");
+        const fileNameEl = document.getElementById("file-name");
+        if (fileNameEl) fileNameEl.textContent = "Error: " + String(err?.message || "Error loading file");
+      }
     }
+    evt.target.value = "";
+  });
+}
 
-    function isChromeBrowser() {
-    try {
-      const ua = navigator.userAgent || "";
-      return /(chrome|crios)\//i.test(ua) && !/edg\//i.test(ua) && !/opr\//i.test(ua);
-    } catch (e) {
-      return false;
-    }
+const addGeojsonUrlEl = document.getElementById("add-geojson-url");
+if (addGeojsonUrlEl) {
+  addGeojsonUrlEl.addEventListener("click", async function() {
+    const rawUrl = document.getElementById("geojson-url")?.value.trim() || "";
+    try {
+      await importUrl(rawUrl);
+    } catch (err) {
+      console.error("Data load error:", err);
+      showPopup("Error loading data: " + String(err?.message || err), "error");
+      const fileNameEl = document.getElementById("file-name");
+      if (fileNameEl) fileNameEl.textContent = "Error: " + String(err?.message || err);
     }
+  });
+}
 
-    function logEdgeExportDebug(stage, payload) {
-    // Execution-tracking debug logging removed intentionally.
-    void stage;
-    void payload;
-    }
+//Project Files (save/open .rma.json)
+const RMA_PROJECT_FORMAT = "rma-project";
+const RMA_PROJECT_VERSION = 1;
 
-    function alignMapCanvasForEdge(mapCanvas, mapEl) {
-    if (!mapCanvas || !mapEl || !isEdgeBrowser()) return mapCanvas;
-    const paneEl = mapEl.querySelector('.leaflet-map-pane');
-    if (!paneEl) return mapCanvas;
-    const mapRect = mapEl.getBoundingClientRect();
-    const paneRect = paneEl.getBoundingClientRect();
-    const offsetX = Math.round(paneRect.left - mapRect.left);
-    const offsetY = Math.round(paneRect.top - mapRect.top);
-    const absMax = Math.max(Math.abs(offsetX), Math.abs(offsetY));
-    logEdgeExportDebug("alignMapCanvasForEdge.offset", {
-      offsetX,
-      offsetY,
-      absMax,
-      maxAllowed: EDGE_EXPORT_MAX_PANE_OFFSET_PX
-    });
-    if (Math.abs(offsetX) <= 1 && Math.abs(offsetY) <= 1) return mapCanvas;
-    if (absMax > EDGE_EXPORT_MAX_PANE_OFFSET_PX) {
-      // Large pane offsets can be normal Leaflet map state, not export drift.
-      logEdgeExportDebug("alignMapCanvasForEdge.skipLargeOffset", { offsetX, offsetY });
-      return mapCanvas;
-    }
+function getProjectControlElements() {
+  return {
+    scale: scaleControl && scaleControl.getContainer ? scaleControl.getContainer() : null,
+    northArrow: northArrowControl && northArrowControl.getContainer ? northArrowControl.getContainer() : null
+  };
+}
 
-    const aligned = document.createElement('canvas');
-    aligned.width = mapCanvas.width;
-    aligned.height = mapCanvas.height;
-    const actx = aligned.getContext('2d');
-    if (!actx) return mapCanvas;
-    // Apply pane offset in the same direction as on-screen map pane translation.
-    actx.drawImage(mapCanvas, offsetX, offsetY);
-    return aligned;
-    }
+function collectProjectControlPositions() {
+  const out = {};
+  Object.entries(getProjectControlElements()).forEach(([key, el]) => {
+    if (!el || !el.dataset || el.dataset.userMoved !== "1") return;
+    const nx = Number(el.dataset.normX);
+    const ny = Number(el.dataset.normY);
+    if (isFinite(nx) && isFinite(ny)) out[key] = { normX: nx, normY: ny };
+  });
+  return out;
+}
 
-    function alignMapCanvasForFractionalTileZoom(mapCanvas) {
-    if (!mapCanvas || !map || typeof map.getZoom !== 'function' || typeof map.getZoomScale !== 'function') {
-      return mapCanvas;
+function restoreProjectControlPositions(controls, disclaimer) {
+  resetAllMapUiPositions();
+  const mapEl = map.getContainer();
+  Object.entries(getProjectControlElements()).forEach(([key, el]) => {
+    const pos = controls && controls[key];
+    if (!el || !pos) return;
+    const nx = Number(pos.normX);
+    const ny = Number(pos.normY);
+    if (!isFinite(nx) || !isFinite(ny)) return;
+    el.dataset.userMoved = "1";
+    el.dataset.normX = String(Math.max(0, Math.min(1, nx)));
+    el.dataset.normY = String(Math.max(0, Math.min(1, ny)));
+    applyDraggableControlNorm(el, mapEl);
+    clampDraggableControl(el, mapEl);
+  });
+  const left = Number(disclaimer?.left);
+  const top = Number(disclaimer?.top);
+  if (isFinite(left) && isFinite(top)) {
+    disclaimerUserPos = { left, top };
+    positionDisclaimer();
+  }
+}
+
+function buildProjectSnapshot(options = {}) {
+  const referenceUrlLayers = !!options.referenceUrlLayers;
+  const omitData = !!options.omitData;
+  const ordered = getOrderedLayerNames();
+  const layers = ordered.map(name => {
+    const st = overlayData[name] || {};
+    const entry = {
+      name,
+      visible: !!(st.layerGroup && map.hasLayer(st.layerGroup)),
+      attribute: st.attribute || null,
+      method: st.method || null,
+      numClasses: Number.isFinite(st.numClasses) ? st.numClasses : null,
+      classWidth: Number.isFinite(st.classWidth) ? st.classWidth : null,
+      expressionFilter: normalizeExpressionFilter(st.expressionFilter),
+      normalization: st.normalization
+        ? { byArea: !!st.normalization.byArea, denominator: st.normalization.denominator || null, multiplier: st.normalization.multiplier }
+        : null,
+      paletteId: st.paletteId || null,
+      paletteReversed: !!st.paletteReversed,
+      vals: Array.isArray(st.vals) ? st.vals.slice() : null,
+      cols: Array.isArray(st.cols) ? st.cols.slice() : null,
+      isNumeric: !!st.isNumeric,
+      legendTitle: st.legendTitle || null,
+      legendLabels: Array.isArray(st.legendLabels) ? st.legendLabels.slice() : null,
+      legendGeomType: st.legendGeomType || null,
+      defaultSymbolColor: st.defaultSymbolColor || null,
+      defaultSymbolLabel: st.defaultSymbolLabel || null,
+      symbolSizeMode: st.symbolSizeMode || "fixed",
+      symbolMaxRadius: Number.isFinite(st.symbolMaxRadius) ? st.symbolMaxRadius : null,
+      renderMode: getLayerRenderMode(name),
+      bivariate: st.bivariate
+        ? { attribute2: st.bivariate.attribute2, method: st.bivariate.method, size: st.bivariate.size }
+        : null
+    };
+    if (st.sourceUrl) entry.sourceUrl = st.sourceUrl;
+    // URL layers can be stored as links only; everything else embeds its GeoJSON.
+    if (!omitData && !(referenceUrlLayers && st.sourceUrl)) entry.geojson = st.geojson;
+    return entry;
+  });
+  const center = map.getCenter();
+  return {
+    format: RMA_PROJECT_FORMAT,
+    version: RMA_PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    title: sanitizePlainText(document.getElementById("map-title")?.textContent, "Custom Map Title"),
+    activeLayer: currentLayerName,
+    layerOrder: ordered,
+    filters: {
+      continentField: activeContinentField,
+      countryField: activeCountryField,
+      continents: Array.from(selectedContinentValues),
+      countries: Array.from(selectedCountryValues)
+    },
+    style: { pointSize: getPointRadius(), lineWidth: getLineWidth() },
+    view: { center: [center.lat, center.lng], zoom: map.getZoom() },
+    controls: collectProjectControlPositions(),
+    disclaimer: disclaimerUserPos ? { left: disclaimerUserPos.left, top: disclaimerUserPos.top } : null
+  };
+}
+
+function saveProject() {
+  if (!Object.keys(overlayData).length) {
+    throw new Error("Add at least one layer before saving a project.");
+  }
+  const referenceUrlLayers = !!document.getElementById("project-reference-urls")?.checked;
+  let text;
+  try {
+    text = JSON.stringify(buildProjectSnapshot({ referenceUrlLayers }));
+  } catch (e) {
+    // Very large layers can exceed the browser's maximum string length.
+    throw new Error("Project is too large to save. Remove or simplify large layers and try again.");
+  }
+  const blob = new Blob([text], { type: "application/json;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+  const title = sanitizeName(document.getElementById("map-title")?.textContent || "map");
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = title.replace(/\s+/g, "_") + ".rma.json";
+  a.rel = "noopener";
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function validateProjectPayload(project) {
+  if (!project || typeof project !== "object" || project.format !== RMA_PROJECT_FORMAT) {
+    throw new Error("Not a Rapid Mapping project file.");
+  }
+  const version = Number(project.version);
+  if (!Number.isInteger(version) || version < 1 || version > RMA_PROJECT_VERSION) {
+    throw new Error(`Unsupported project version: ${sanitizePlainText(project.version, "unknown")}.`);
+  }
+  if (!Array.isArray(project.layers) || !project.layers.length) {
+    throw new Error("Project contains no layers.");
+  }
+  project.layers.forEach((entry, i) => {
+    const hasData = entry?.geojson && Array.isArray(entry.geojson.features);
+    const hasUrl = typeof entry?.sourceUrl === "string" && entry.sourceUrl;
+    if (typeof entry?.name !== "string" || (!hasData && !hasUrl)) {
+      throw new Error(`Project layer ${i + 1} is missing its data or source URL.`);
     }
-    let tileZoom = null;
-    try {
-      map.eachLayer((l) => {
-        if (tileZoom != null) return;
-        if (l instanceof L.TileLayer && typeof l._tileZoom === 'number') tileZoom = l._tileZoom;
+  });
+  return project;
+}
+
+function removeAllLayers() {
+  Object.keys(overlayData).forEach(name => {
+    const group = overlayData[name]?.layerGroup;
+    if (!group) return;
+    try { layersControl.removeLayer(group); } catch (e) {}
+    if (map.hasLayer(group)) map.removeLayer(group);
+  });
+  overlayData = {};
+  layerOrder = [];
+  currentLayerName = null;
+  geojsonData = null;
+  geojsonLayer = null;
+  layerGroup = null;
+  numericUserColors = null;
+  categoricalUserColors = null;
+  bivariateUserColors = null;
+  currentAttribute = null;
+  const leg = document.getElementById('legend-items');
+  if (leg) leg.textContent = "";
+  refreshLayerSelector();
+  loadExpressionFilterBuilder();
+  updateFieldCalcControl();
+  updateJoinControl();
+  updateSimplifyControl();
+  updateRenderModeControl();
+  refreshAttributeTable();
+}
+
+// Re-apply a saved layer style on the active layer through the normal classification path.
+function applyProjectLayerStyle(name, entry) {
+  const st = overlayData[name];
+  if (!st || currentLayerName !== name) return;
+  const isHex = c => /^#[0-9A-Fa-f]{6}$/.test(c);
+  const cols = Array.isArray(entry.cols) ? entry.cols.map(c => isHex(c) ? c : "#cccccc") : null;
+
+  if (entry.legendTitle) st.legendTitle = sanitizePlainText(entry.legendTitle);
+  if (isHex(entry.defaultSymbolColor)) st.defaultSymbolColor = entry.defaultSymbolColor;
+  if (entry.defaultSymbolLabel) st.defaultSymbolLabel = sanitizePlainText(entry.defaultSymbolLabel, "Features");
+  st.expressionFilter = normalizeExpressionFilter(entry.expressionFilter);
+  loadExpressionFilterBuilder();
+
+  const props = geojsonData?.features?.[0]?.properties || {};
+  const attr = entry.attribute;
+  if (!attr || !Object.prototype.hasOwnProperty.call(props, attr)) {
+    currentAttribute = null;
+    renderDefaultFilteredLayer();
+    return;
+  }
+
+  currentAttribute = attr;
+  const attrSel = document.getElementById('attribute-select');
+  if (attrSel) attrSel.value = String(attr).replace(/[^\w\-]/g, "_");
+  updateClassificationOptions();
+  const typeSel = document.getElementById('classification-type');
+  if (typeSel && Array.from(typeSel.options).some(o => o.value === entry.method)) {
+    typeSel.value = entry.method;
+  }
+  const numEl = document.getElementById('num-classes');
+  if (numEl && Number.isFinite(entry.numClasses)) numEl.value = String(entry.numClasses);
+  const widthEl = document.getElementById('class-width');
+  if (widthEl) widthEl.value = Number.isFinite(entry.classWidth) ? String(entry.classWidth) : "";
+  if (typeSel) typeSel.dataset.prevMethod = typeSel.value;
+  const paletteSel = document.getElementById('palette-select');
+  if (paletteSel) {
+    if (entry.paletteId && !Array.from(paletteSel.options).some(o => o.value === entry.paletteId)) {
+      // Saved palette hidden by the colorblind/print filters: show all palettes again.
+      ['palette-colorblind', 'palette-print'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.checked = false;
       });
-    } catch (e) {
-      return mapCanvas;
+      populatePaletteSelect();
     }
-    if (tileZoom == null) return mapCanvas;
-    const currentZoom = Number(map.getZoom());
-    if (!Number.isFinite(currentZoom) || !Number.isFinite(tileZoom)) return mapCanvas;
-    const dz = currentZoom - tileZoom;
-    if (Math.abs(dz) < 1e-4) return mapCanvas;
+    paletteSel.value = getPaletteById(entry.paletteId) ? entry.paletteId : "";
+  }
+  const reverseEl = document.getElementById('palette-reverse');
+  if (reverseEl) reverseEl.checked = !!entry.paletteReversed;
+  updatePalettePreview();
+  updateClassMethodControls();
+  const sizeModeEl = document.getElementById('symbol-size-mode');
+  if (sizeModeEl) sizeModeEl.value = SYMBOL_SIZE_MODES.has(entry.symbolSizeMode) ? entry.symbolSizeMode : "fixed";
+  const maxSizeEl = document.getElementById('max-symbol-size');
+  if (maxSizeEl && Number.isFinite(entry.symbolMaxRadius)) maxSizeEl.value = String(entry.symbolMaxRadius);
+  updateSymbolSizeControl();
+  const normSel = document.getElementById('normalize-select');
+  const norm = entry.normalization;
+  if (normSel) {
+    const normValue = !norm ? ""
+      : norm.byArea ? NORMALIZE_BY_AREA
+      : String(norm.denominator || "").replace(/[^\w\-]/g, "_");
+    normSel.value = Array.from(normSel.options).some(o => o.value === normValue) ? normValue : "";
+  }
+  const multEl = document.getElementById('normalize-multiplier');
+  if (multEl) multEl.value = String(NORMALIZE_MULTIPLIERS.includes(Number(norm?.multiplier)) ? norm.multiplier : 1);
+  if (entry.method === 'bivariate' && entry.bivariate) {
+    const bivMethodEl = document.getElementById('bivariate-method');
+    const bivSizeEl = document.getElementById('bivariate-size');
+    if (bivMethodEl && BIVARIATE_METHODS.has(entry.bivariate.method)) bivMethodEl.value = entry.bivariate.method;
+    if (bivSizeEl && BIVARIATE_SIZES.has(Number(entry.bivariate.size))) bivSizeEl.value = String(entry.bivariate.size);
+    updateBivariateControls();
+    const attr2El = document.getElementById('attribute2-select');
+    const attr2 = String(entry.bivariate.attribute2 || "").replace(/[^\w\-]/g, "_");
+    if (attr2El && Array.from(attr2El.options).some(o => o.value === attr2)) attr2El.value = attr2;
+  }
+
+  // Prior vals/cols/labels let applyClassification keep category order, colors and labels.
+  st.vals = Array.isArray(entry.vals) ? entry.vals.slice() : null;
+  st.cols = cols;
+  st.legendLabels = Array.isArray(entry.legendLabels)
+    ? entry.legendLabels.map(l => sanitizePlainText(l, "Category"))
+    : null;
+  numericUserColors = entry.isNumeric ? cols : null;
+  categoricalUserColors = entry.isNumeric ? null : cols;
+  bivariateUserColors = entry.method === 'bivariate' ? cols : null;
+  applyClassification();
+}
 
-    const scale = map.getZoomScale(currentZoom, tileZoom);
-    if (!Number.isFinite(scale) || scale <= 0 || Math.abs(scale - 1) < 1e-4) return mapCanvas;
+function applyProjectFilters(filters) {
+  if (!filters || !geojsonData) return;
+  const continents = Array.isArray(filters.continents) ? filters.continents.map(String) : [];
+  const countries = Array.isArray(filters.countries) ? filters.countries.map(String) : [];
+  const contSel = document.getElementById('continent-filter');
+  if (contSel && activeContinentField && activeContinentField === filters.continentField && continents.length) {
+    const wanted = new Set(continents.map(norm));
+    const checks = Array.from(contSel.querySelectorAll('input[type="checkbox"]'));
+    checks.forEach(o => { o.checked = wanted.has(norm(o.value)); });
+    selectedContinentValues = new Set(checks.filter(o => o.checked).map(o => o.value));
+    updateContinentFilterButtonLabel();
+  }
+  selectedCountryValues = (activeCountryField && activeCountryField === filters.countryField)
+    ? new Set(countries)
+    : new Set();
+  populateCountryFilterOptions(geojsonData);
+}
 
-    const w = Math.max(1, mapCanvas.width | 0);
-    const h = Math.max(1, mapCanvas.height | 0);
-    const corrected = document.createElement('canvas');
-    corrected.width = w;
-    corrected.height = h;
-    const cctx = corrected.getContext('2d');
-    if (!cctx) return mapCanvas;
-    const dstW = w * scale;
-    const dstH = h * scale;
-    const dstX = (w - dstW) / 2;
-    const dstY = (h - dstH) / 2;
-    cctx.clearRect(0, 0, w, h);
-    cctx.drawImage(mapCanvas, 0, 0, w, h, dstX, dstY, dstW, dstH);
-    return corrected;
-    }
+async function openProject(project) {
+  validateProjectPayload(project);
 
-    function parse2DTransformMatrix(el) {
-    if (!el) return { a: 1, d: 1, e: 0, f: 0 };
-    let t = "";
-    try {
-      const cs = window.getComputedStyle(el);
-      t = (cs && cs.transform) ? cs.transform : "";
-    } catch (e) {}
-    if (!t || t === "none") return { a: 1, d: 1, e: 0, f: 0 };
+  const pointEl = document.getElementById('point-size');
+  const lineEl = document.getElementById('line-width');
+  if (pointEl && Number.isFinite(Number(project.style?.pointSize))) pointEl.value = String(project.style.pointSize);
+  if (lineEl && Number.isFinite(Number(project.style?.lineWidth))) lineEl.value = String(project.style.lineWidth);
+
+  removeAllLayers();
+
+  // Add the active layer last so it ends up selected with its filters applied.
+  const entries = project.layers.slice().reverse();
+  const activeIdx = entries.findIndex(e => e.name === project.activeLayer);
+  if (activeIdx >= 0) entries.push(entries.splice(activeIdx, 1)[0]);
+
+  const nameMap = new Map();
+  const failed = [];
+  for (const entry of entries) {
     try {
-      if (typeof DOMMatrixReadOnly !== "undefined") {
-        const m = new DOMMatrixReadOnly(t);
-        return { a: m.a, d: m.d, e: m.e, f: m.f };
+      let geojson = entry.geojson;
+      if (!geojson || !Array.isArray(geojson.features)) {
+        geojson = (await fetchRemoteGeojson(entry.sourceUrl)).geojson;
       }
-    } catch (e) {}
-    const m2 = t.match(/^matrix\(([^)]+)\)$/i);
-    if (m2) {
-      const p = m2[1].split(",").map(v => parseFloat(v.trim()));
-      if (p.length === 6 && p.every(Number.isFinite)) return { a: p[0], d: p[3], e: p[4], f: p[5] };
+      const safeName = await addImportedLayer(geojson, entry.name, `Project layer "${sanitizePlainText(entry.name)}"`, {
+        renderMode: RENDER_MODES.has(entry.renderMode) ? entry.renderMode : "auto"
+      });
+      if (entry.sourceUrl) overlayData[safeName].sourceUrl = entry.sourceUrl;
+      nameMap.set(entry.name, safeName);
+      applyProjectLayerStyle(safeName, entry);
+    } catch (err) {
+      console.error("Project layer restore failed:", err);
+      failed.push(sanitizePlainText(entry.name, "Unnamed layer"));
     }
-    const m3 = t.match(/^matrix3d\(([^)]+)\)$/i);
-    if (m3) {
-      const p = m3[1].split(",").map(v => parseFloat(v.trim()));
-      if (p.length === 16 && p.every(Number.isFinite)) return { a: p[0], d: p[5], e: p[12], f: p[13] };
+  }
+
+  const activeEntry = project.layers.find(e => e.name === project.activeLayer);
+  if (activeEntry && nameMap.get(activeEntry.name) === currentLayerName) {
+    applyProjectFilters(project.filters);
+    applyProjectLayerStyle(currentLayerName, activeEntry);
+  }
+
+  project.layers.forEach(entry => {
+    const group = overlayData[nameMap.get(entry.name)]?.layerGroup;
+    if (entry.visible === false && group && map.hasLayer(group)) map.removeLayer(group);
+  });
+
+  const savedOrder = Array.isArray(project.layerOrder) ? project.layerOrder : project.layers.map(e => e.name);
+  layerOrder = savedOrder.map(n => nameMap.get(n)).filter(Boolean);
+  reorderLayersControlUI();
+  refreshLayerSelector();
+  applyLayerStackOrder();
+  reorderLegendBlocks();
+  const layerSel = document.getElementById('layer-select');
+  if (layerSel && currentLayerName) layerSel.value = currentLayerName;
+
+  const titleEl = document.getElementById("map-title");
+  if (titleEl) titleEl.textContent = sanitizePlainText(project.title, "Custom Map Title");
+
+  // Let the import fit-to-extent timers run before restoring the saved view.
+  await new Promise(resolve => setTimeout(resolve, 0));
+  const center = project.view?.center;
+  const zoom = Number(project.view?.zoom);
+  if (Array.isArray(center) && isFinite(center[0]) && isFinite(center[1]) && isFinite(zoom)) {
+    map.setView([Number(center[0]), Number(center[1])], zoom, { animate: false });
+  }
+  restoreProjectControlPositions(project.controls, project.disclaimer);
+
+  return failed;
+}
+
+async function openProjectFile(file) {
+  const name = String(file?.name || "");
+  if (!/\.json$/i.test(name)) {
+    throw new Error(`Unsupported project file: ${name || "unknown file"}`);
+  }
+  if (file.size > MAX_SIZE) {
+    const maxMb = Math.round(MAX_SIZE / (1024 * 1024));
+    throw new Error(`Project "${name}" too large (max ${maxMb} MB).`);
+  }
+  if (Object.keys(overlayData).length &&
+      !window.confirm("Opening a project replaces all layers currently on the map. Continue?")) {
+    return;
+  }
+
+  showLoading("Opening project...");
+  await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+  try {
+    let project;
+    try {
+      project = JSON.parse(await readFileAsText(file));
+    } catch (e) {
+      throw new Error("Project file is not valid JSON.");
     }
-    return { a: 1, d: 1, e: 0, f: 0 };
+    const failed = await openProject(project);
+    if (failed.length) {
+      showPopup(`Project opened, but these layers could not be restored: ${failed.join(", ")}`, "error");
+    } else {
+      showPopup(`Project "${sanitizePlainText(project.title, name)}" opened successfully`, "success");
     }
+  } finally {
+    hideLoading();
+  }
+}
 
-    function compose2DTransform(parent, child) {
-    const pa = Number.isFinite(parent?.a) ? parent.a : 1;
-    const pd = Number.isFinite(parent?.d) ? parent.d : 1;
-    const pe = Number.isFinite(parent?.e) ? parent.e : 0;
-    const pf = Number.isFinite(parent?.f) ? parent.f : 0;
-    const ca = Number.isFinite(child?.a) ? child.a : 1;
-    const cd = Number.isFinite(child?.d) ? child.d : 1;
-    const ce = Number.isFinite(child?.e) ? child.e : 0;
-    const cf = Number.isFinite(child?.f) ? child.f : 0;
-    return {
-      a: pa * ca,
-      d: pd * cd,
-      e: pe + (pa * ce),
-      f: pf + (pd * cf)
-    };
+const btnSaveProjectEl = document.getElementById("btnSaveProject");
+if (btnSaveProjectEl) {
+  btnSaveProjectEl.addEventListener("click", () => {
+    try {
+      saveProject();
+    } catch (err) {
+      console.error("Project save error:", err);
+      showPopup(String(err?.message || "Error saving project"), "error");
     }
+  });
+}
 
-    function alignMapCanvasToDisplayedTileTransform(mapCanvas, mapEl, options = {}) {
-    if (!mapCanvas || !mapEl) return mapCanvas;
-    const tilePane = mapEl.querySelector('.leaflet-tile-pane');
-    if (!tilePane) return mapCanvas;
-    let level = tilePane.querySelector('.leaflet-tile-container');
-    if (!level) {
-      const levels = Array.from(tilePane.querySelectorAll('.leaflet-tile-container'));
-      level = levels.find((el) => (el.offsetWidth > 0 && el.offsetHeight > 0)) || levels[0] || null;
+const projectUploadEl = document.getElementById("project-upload");
+if (projectUploadEl) {
+  projectUploadEl.addEventListener("change", async function(evt) {
+    const file = evt?.target?.files?.[0];
+    if (!file) return;
+    try {
+      await openProjectFile(file);
+    } catch (err) {
+      console.error("Project open error:", err);
+      showPopup(String(err?.message || "Error opening project"), "error");
     }
+    evt.target.value = "";
+  });
+}
 
-    const paneM = parse2DTransformMatrix(tilePane);
-    const levelM = parse2DTransformMatrix(level);
-    const combined = compose2DTransform(paneM, levelM);
-    const sx = Number.isFinite(combined.a) ? combined.a : 1;
-    const sy = Number.isFinite(combined.d) ? combined.d : 1;
-    const allowTranslation = options && options.allowTranslation !== false;
-    const tx = allowTranslation && Number.isFinite(combined.e) ? combined.e : 0;
-    const ty = allowTranslation && Number.isFinite(combined.f) ? combined.f : 0;
+//Session Autosave (IndexedDB crash recovery)
+const SESSION_DB_NAME = "rma-session";
+const SESSION_DB_VERSION = 1;
+const SESSION_STATE_STORE = "state";
+const SESSION_LAYER_STORE = "layers";
+const SESSION_STATE_KEY = "current";
+const SESSION_AUTOSAVE_DELAY_MS = 1500;
+let sessionDbPromise = null;
+let sessionAutosaveTimer = null;
+let sessionAutosaveEnabled = false;
+let sessionAutosaveRunning = false;
+let sessionAutosavePending = false;
+let sessionAutosaveWarned = false;
+let sessionLayerSeq = 0;
+const persistedSessionLayerIds = new Set();
+
+function openSessionDb() {
+  if (sessionDbPromise) return sessionDbPromise;
+  sessionDbPromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error("IndexedDB is not available in this browser."));
+      return;
+    }
+    const req = window.indexedDB.open(SESSION_DB_NAME, SESSION_DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(SESSION_STATE_STORE)) db.createObjectStore(SESSION_STATE_STORE);
+      if (!db.objectStoreNames.contains(SESSION_LAYER_STORE)) db.createObjectStore(SESSION_LAYER_STORE);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error || new Error("Failed to open session storage."));
+  });
+  sessionDbPromise.catch(() => { sessionDbPromise = null; });
+  return sessionDbPromise;
+}
+
+// Run one request in its own transaction and resolve once the transaction commits.
+function sessionRequest(storeName, mode, fn) {
+  return openSessionDb().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    let result;
+    if (req) req.onsuccess = () => { result = req.result; };
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error || new Error("Session storage request failed."));
+    tx.onabort = () => reject(tx.error || new Error("Session storage request aborted."));
+  }));
+}
+
+// Call after editing a layer's GeoJSON in place so autosave writes the new data.
+function markLayerDataChanged(name) {
+  const st = overlayData[name];
+  if (!st) return;
+  delete st.sessionId;
+  delete st.budgetStats;
+  scheduleSessionAutosave();
+}
+
+async function clearStoredSession() {
+  persistedSessionLayerIds.clear();
+  await sessionRequest(SESSION_STATE_STORE, "readwrite", store => store.clear());
+  await sessionRequest(SESSION_LAYER_STORE, "readwrite", store => store.clear());
+}
+
+async function saveSessionNow() {
+  const names = getOrderedLayerNames();
+  if (!names.length) {
+    await clearStoredSession();
+    return;
+  }
 
-    if (Math.abs(sx - 1) < 1e-4 && Math.abs(sy - 1) < 1e-4 && Math.abs(tx) < 0.5 && Math.abs(ty) < 0.5) {
-      return mapCanvas;
+  const snapshot = buildProjectSnapshot({ omitData: true });
+  const layers = [];
+  const keepIds = new Set();
+  let featureTotal = 0;
+  let vertexTotal = 0;
+  for (let i = 0; i < names.length; i++) {
+    const st = overlayData[names[i]];
+    const entry = snapshot.layers[i];
+    if (!st || !entry) continue;
+    if (!st.budgetStats) st.budgetStats = datasetBudgetStats(st.geojson);
+    // The stored session stays within the same budget as a single import.
+    const overBudget =
+      featureTotal + st.budgetStats.featureCount > MAX_FEATURES ||
+      vertexTotal + st.budgetStats.vertexCount > MAX_VERTICES;
+    if (overBudget) {
+      if (st.sourceUrl) layers.push(entry);
+      else console.warn("Session autosave skipped layer over the dataset budget:", names[i]);
+      continue;
     }
+    featureTotal += st.budgetStats.featureCount;
+    vertexTotal += st.budgetStats.vertexCount;
+
+    if (!st.sessionId) st.sessionId = `${Date.now().toString(36)}-${++sessionLayerSeq}`;
+    entry.sessionId = st.sessionId;
+    keepIds.add(st.sessionId);
+    if (!persistedSessionLayerIds.has(st.sessionId)) {
+      await sessionRequest(SESSION_LAYER_STORE, "readwrite", store => store.put(st.geojson, st.sessionId));
+      persistedSessionLayerIds.add(st.sessionId);
+    }
+    layers.push(entry);
+  }
+  snapshot.layers = layers;
+  await sessionRequest(SESSION_STATE_STORE, "readwrite", store => store.put(snapshot, SESSION_STATE_KEY));
 
-    logEdgeExportDebug("alignMapCanvasToDisplayedTileTransform.matrix", {
-      sx, sy, tx, ty, allowTranslation
+  const storedIds = await sessionRequest(SESSION_LAYER_STORE, "readonly", store => store.getAllKeys());
+  const staleIds = (storedIds || []).filter(id => !keepIds.has(id));
+  if (staleIds.length) {
+    await sessionRequest(SESSION_LAYER_STORE, "readwrite", store => {
+      staleIds.forEach(id => store.delete(id));
+      return null;
     });
+    staleIds.forEach(id => persistedSessionLayerIds.delete(id));
+  }
+}
 
-    const out = document.createElement('canvas');
-    out.width = mapCanvas.width;
-    out.height = mapCanvas.height;
-    const octx = out.getContext('2d');
-    if (!octx) return mapCanvas;
-    octx.clearRect(0, 0, out.width, out.height);
-    octx.setTransform(sx, 0, 0, sy, tx, ty);
-    octx.drawImage(mapCanvas, 0, 0);
-    octx.setTransform(1, 0, 0, 1, 0, 0);
-    return out;
-    }
-
-    function alignMapCanvasForEdgeDisplayedState(mapCanvas, mapEl) {
-    if (!mapCanvas || !mapEl || !isEdgeBrowser()) return mapCanvas;
-    // Edge can need both tile-level transform and a small map-pane translation.
-    const tileAligned = alignMapCanvasToDisplayedTileTransform(mapCanvas, mapEl, { allowTranslation: true });
-    const paneAligned = alignMapCanvasForEdge(tileAligned, mapEl);
-    logEdgeExportDebug("alignMapCanvasForEdgeDisplayedState", {
-      tileAlignedChanged: tileAligned !== mapCanvas,
-      paneAlignedChanged: paneAligned !== tileAligned
-    });
-    return paneAligned;
+async function runSessionAutosave() {
+  sessionAutosaveTimer = null;
+  if (sessionAutosaveRunning) {
+    sessionAutosavePending = true;
+    return;
+  }
+  sessionAutosaveRunning = true;
+  try {
+    await saveSessionNow();
+  } catch (err) {
+    console.warn("Session autosave failed:", err);
+    if (!sessionAutosaveWarned) {
+      sessionAutosaveWarned = true;
+      const quota = err && err.name === "QuotaExceededError";
+      showPopup(quota
+        ? "Session autosave stopped: browser storage is full."
+        : "Session autosave is unavailable in this browser.", "error");
     }
-
-    function getExportCorrectionDebug(mapCanvas, mapEl) {
-    const info = {
-      edge: isEdgeBrowser(),
-      paneOffsetX: 0,
-      paneOffsetY: 0,
-      zoom: null,
-      tileZoom: null,
-      zoomScale: 1
-    };
-    try {
-      if (mapEl) {
-        const paneEl = mapEl.querySelector('.leaflet-map-pane');
-        if (paneEl) {
-          const mapRect = mapEl.getBoundingClientRect();
-          const paneRect = paneEl.getBoundingClientRect();
-          info.paneOffsetX = Math.round(paneRect.left - mapRect.left);
-          info.paneOffsetY = Math.round(paneRect.top - mapRect.top);
-        }
-      }
-      if (map && typeof map.getZoom === 'function') info.zoom = Number(map.getZoom());
-      if (map && typeof map.eachLayer === 'function') {
-        map.eachLayer((l) => {
-          if (info.tileZoom != null) return;
-          if (l instanceof L.TileLayer && typeof l._tileZoom === 'number') info.tileZoom = l._tileZoom;
-        });
-      }
-      if (map && typeof map.getZoomScale === 'function' && Number.isFinite(info.zoom) && Number.isFinite(info.tileZoom)) {
-        info.zoomScale = map.getZoomScale(info.zoom, info.tileZoom);
-      }
-    } catch (e) {}
-    info.canvasW = mapCanvas ? mapCanvas.width : null;
-    info.canvasH = mapCanvas ? mapCanvas.height : null;
-    return info;
+  } finally {
+    sessionAutosaveRunning = false;
+    if (sessionAutosavePending) {
+      sessionAutosavePending = false;
+      scheduleSessionAutosave();
     }
+  }
+}
 
-    function showExportCorrectionDebugMessage(debugInfo) {
-    if (!debugInfo) return;
-    try {
-      logEdgeExportDebug("correction.debugInfo", debugInfo);
-    } catch (e) {}
-    }
+function scheduleSessionAutosave() {
+  if (!sessionAutosaveEnabled) return;
+  clearTimeout(sessionAutosaveTimer);
+  sessionAutosaveTimer = setTimeout(runSessionAutosave, SESSION_AUTOSAVE_DELAY_MS);
+}
 
-    function buildHtml2CanvasOptions(wrapper) {
-    const rect = wrapper.getBoundingClientRect();
-    const exportWidth = Math.max(1, Math.ceil(rect.width || wrapper.scrollWidth || wrapper.offsetWidth));
-    const exportHeight = Math.max(1, Math.ceil(rect.height || wrapper.scrollHeight || wrapper.offsetHeight));
-    const isFirefox = isFirefoxBrowser();
-    return {
-      scale: isFirefox ? Math.min(1.25, Math.max(1, window.devicePixelRatio || 1)) : Math.min(1.5, Math.max(1, window.devicePixelRatio || 1)),
-      useCORS: true,
-      foreignObjectRendering: false,
-      logging: false,
-      backgroundColor: "#ffffff",
-      width: exportWidth,
-      height: exportHeight,
-      windowWidth: exportWidth,
-      windowHeight: exportHeight,
-      scrollX: 0,
-      scrollY: 0
-    };
+async function offerSessionRestore() {
+  try {
+    const state = await sessionRequest(SESSION_STATE_STORE, "readonly", store => store.get(SESSION_STATE_KEY));
+    const count = Array.isArray(state?.layers) ? state.layers.length : 0;
+    if (!count || Object.keys(overlayData).length) return;
+
+    const savedAt = state.savedAt ? new Date(state.savedAt) : null;
+    const when = savedAt && !isNaN(savedAt.getTime()) ? savedAt.toLocaleString() : "an earlier visit";
+    const restore = window.confirm(
+      `A previous session from ${when} with ${count} layer(s) was found.\n\n` +
+      `Restore it now?`
+    );
+    if (!restore) {
+      await clearStoredSession();
+      return;
     }
 
-    function getSymmetricWhitespaceSideCropPx(sourceCanvas, scanW, scanH, maxTrimRatio = 0.16) {
-    if (!sourceCanvas || typeof sourceCanvas.getContext !== "function") return 0;
-    const w = Math.max(1, Math.min(sourceCanvas.width | 0, scanW | 0));
-    const h = Math.max(1, Math.min(sourceCanvas.height | 0, scanH | 0));
-    if (w <= 2 || h <= 2) return 0;
-    const maxTrimPx = Math.max(0, Math.floor(w * Math.max(0, Math.min(0.4, maxTrimRatio))));
-    if (maxTrimPx <= 0) return 0;
-
-    const ctx = sourceCanvas.getContext("2d", { willReadFrequently: true });
-    if (!ctx) return 0;
-    let imgData;
+    showLoading("Restoring previous session...");
+    await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
     try {
-      imgData = ctx.getImageData(0, 0, w, h);
-    } catch (e) {
-      return 0;
-    }
-    const px = imgData.data;
-    const nonBlankThreshold = Math.max(2, Math.floor(h * 0.003));
-
-    function isMostlyBlankColumn(x) {
-      let nonBlank = 0;
-      for (let y = 0; y < h; y++) {
-        const idx = ((y * w) + x) * 4;
-        const r = px[idx];
-        const g = px[idx + 1];
-        const b = px[idx + 2];
-        const a = px[idx + 3];
-        // Transparent or near-white pixels count as blank export margin.
-        const blank = (a <= 8) || (a >= 248 && r >= 248 && g >= 248 && b >= 248);
-        if (!blank) {
-          nonBlank++;
-          if (nonBlank > nonBlankThreshold) return false;
+      for (const entry of state.layers) {
+        if (!entry.sessionId) continue;
+        const id = entry.sessionId;
+        entry.geojson = await sessionRequest(SESSION_LAYER_STORE, "readonly", store => store.get(id));
+      }
+      state.layers = state.layers.filter(e => (e.geojson && Array.isArray(e.geojson.features)) || e.sourceUrl);
+      const failed = await openProject(state);
+      // Restored layers keep their stored ids so their data is not written again.
+      Object.values(overlayData).forEach(st => {
+        const entry = state.layers.find(e => e.geojson === st.geojson);
+        if (entry && entry.sessionId) {
+          st.sessionId = entry.sessionId;
+          persistedSessionLayerIds.add(entry.sessionId);
         }
+      });
+      if (failed.length) {
+        showPopup(`Session restored, but these layers could not be loaded: ${failed.join(", ")}`, "error");
+      } else {
+        showPopup("Previous session restored", "success");
       }
-      return true;
+    } finally {
+      hideLoading();
     }
-
-    let leftBlank = 0;
-    while (leftBlank < maxTrimPx && isMostlyBlankColumn(leftBlank)) leftBlank++;
-    let rightBlank = 0;
-    while (rightBlank < maxTrimPx && isMostlyBlankColumn(w - 1 - rightBlank)) rightBlank++;
-    return Math.max(0, Math.min(leftBlank, rightBlank));
+  } catch (err) {
+    console.warn("Session restore failed:", err);
+    if (err && err.message && Object.keys(overlayData).length === 0) {
+      showPopup("Previous session could not be restored: " + String(err.message), "error");
     }
+  } finally {
+    sessionAutosaveEnabled = true;
+    scheduleSessionAutosave();
+  }
+}
 
-    function getExportSideCropPxForBrowser(sourceCanvas, baseCropW, cropH) {
-    if (isFirefoxBrowser()) {
-      return Math.max(
-        0,
-        Math.min(
-          Math.floor(baseCropW * 0.2),
-          Math.round(baseCropW * EXPORT_SIDE_CROP_RATIO) + EXPORT_SIDE_CROP_EXTRA_PX
-        )
-      );
-    }
-    if (isEdgeBrowser()) {
-      const maxAllowedPerSide = Math.max(0, Math.floor((Math.max(1, baseCropW) - 1) / 2));
-      return Math.min(EDGE_EXPORT_FIXED_SIDE_CROP_PX, maxAllowedPerSide);
-    }
-    if (isChromeBrowser()) {
-      const maxAllowedPerSide = Math.max(0, Math.floor((Math.max(1, baseCropW) - 1) / 2));
-      return Math.min(CHROME_EXPORT_FIXED_SIDE_CROP_PX, maxAllowedPerSide);
-    }
-    return 0;
-    }
+map.on("moveend", () => scheduleSessionAutosave());
+document.addEventListener("visibilitychange", () => {
+  // Flush a pending save when the tab is hidden; it may never become visible again.
+  if (document.visibilityState === "hidden" && sessionAutosaveTimer) {
+    clearTimeout(sessionAutosaveTimer);
+    runSessionAutosave();
+  }
+});
 
-    function reportEdgeExportSpaceReduction(formatLabel, sideCropPx, baseCropW, cropW) {
-    if (!isEdgeBrowser()) return;
-    const fmt = String(formatLabel || "export").toUpperCase();
-    const reducedBy = Math.max(0, (baseCropW | 0) - (cropW | 0));
-    logEdgeExportDebug("space-reduction", {
-      format: fmt,
-      sideCropPx,
-      baseCropW,
-      cropW,
-      reducedBy
-    });
-    }
+//Layer Selector, Activation, and Refresh
+// --- Refresh the Layer dropdown securely ---
+function refreshLayerSelector() {
+  const wrap = 'layer-select-col';
+  const sel = document.getElementById('layer-select');
+  if (!sel) return;
 
-    function compositeExportElement(cb) {
-    leafletImage(map, (err, mapCanvas) => {
-      if (err) {
-        console.error("Leaflet image export failed:", err);
-        return;
-      }
-      if (!mapCanvas) {
-        console.warn("No map canvas returned");
-        return;
-      }
+  sel.textContent = "";
+  const orderedNames = getOrderedLayerNames();
 
-      const mapEl = document.getElementById('map');
-      const debugInfo = getExportCorrectionDebug(mapCanvas, mapEl);
-      const isEdge = isEdgeBrowser();
-      const adjustedMapCanvas = isEdge
-        // Edge: combine tile transform with map-pane drift correction.
-        ? alignMapCanvasForEdgeDisplayedState(mapCanvas, mapEl)
-        : alignMapCanvasToDisplayedTileTransform(
-            alignMapCanvasForFractionalTileZoom(alignMapCanvasForEdge(mapCanvas, mapEl)),
-            mapEl,
-            { allowTranslation: true }
-          );
-      logEdgeExportDebug("pipeline.mode", {
-        mode: isEdge ? "edge-tile-plus-pane" : "full"
-      });
-      showExportCorrectionDebugMessage(debugInfo);
-      const mapSize = (map && typeof map.getSize === 'function') ? map.getSize() : null;
-      const cssW = (mapSize && mapSize.x > 0) ? mapSize.x : (mapEl ? mapEl.clientWidth : adjustedMapCanvas.width);
-      const cssH = (mapSize && mapSize.y > 0) ? mapSize.y : (mapEl ? mapEl.clientHeight : adjustedMapCanvas.height);
-      const rawScaleX = cssW > 0 ? (adjustedMapCanvas.width / cssW) : 1;
-      const rawScaleY = cssH > 0 ? (adjustedMapCanvas.height / cssH) : rawScaleX;
-      const expectedW = Math.round(cssW * rawScaleX);
-      const expectedH = Math.round(cssH * rawScaleY);
-      const baseCropW = Math.max(1, Math.min(expectedW, adjustedMapCanvas.width));
-      const cropH = Math.max(1, Math.min(expectedH, adjustedMapCanvas.height));
-      const sideCropPx = getExportSideCropPxForBrowser(adjustedMapCanvas, baseCropW, cropH);
-      const cropX = Math.max(0, sideCropPx);
-      const cropW = Math.max(1, baseCropW - (2 * sideCropPx));
-      if (isEdge) reportEdgeExportSpaceReduction("png/pdf", sideCropPx, baseCropW, cropW);
+  const defaultOpt = document.createElement('option');
+  defaultOpt.disabled = true;
+  defaultOpt.selected = orderedNames.length === 0;
+  defaultOpt.textContent = "Select layer…";
+  sel.appendChild(defaultOpt);
 
-      const cropped = document.createElement('canvas');
-      cropped.width = cropW;
-      cropped.height = cropH;
-      const cctx = cropped.getContext('2d');
-      cctx.drawImage(adjustedMapCanvas, cropX, 0, cropW, cropH, 0, 0, cropW, cropH);
+  orderedNames.forEach(name => {
+    const o = document.createElement('option');
+    o.value = name;
+    o.textContent = name;
+    sel.appendChild(o);
+  });
 
-      const W = cropW;
-      const H = cropH;
+  if (orderedNames.length > 0) sel.value = orderedNames[0];
+  Object.keys(overlayData).length ? showRow(wrap) : hideRow(wrap);
+}
 
-      const wrapper = document.createElement('div');
-      wrapper.className = 'export-wrapper';
-      wrapper.style.width = W + 'px';
-      if (isFirefoxBrowser()) {
-        // Firefox: keep export node on-screen for reliable html2canvas capture.
-        wrapper.style.transform = 'none';
-        wrapper.style.position = 'fixed';
-        wrapper.style.left = '0';
-        wrapper.style.top = '0';
-        wrapper.style.zIndex = '-1';
-        wrapper.style.pointerEvents = 'none';
-      }
-      document.body.appendChild(wrapper);
+function updateContinentFilterButtonLabel() {
+  const btn = document.getElementById('continent-filter-btn');
+  if (!btn) return;
+  const n = selectedContinentValues.size;
+  btn.textContent = n === 0 ? "Select continent(s)" : (n === 1 ? Array.from(selectedContinentValues)[0] : `${n} continents selected`);
+}
 
-      const titleEl = document.getElementById('map-title');
-      if (titleEl) {
-        const t = document.createElement('h1');
-        t.className = 'export-title';
-        t.textContent = titleEl.textContent || "Map Export";
-        t.style.fontSize = '20px';
-        t.style.fontWeight = '600';
-        t.style.margin = '0 0 8px 0';
-        t.style.textAlign = 'center';
-        t.style.width = '100%';
-        t.style.display = 'block';
-        wrapper.appendChild(t);
-      }
+function updateCountryFilterButtonLabel() {
+  const btn = document.getElementById('country-filter-btn');
+  if (!btn) return;
+  const n = selectedCountryValues.size;
+  btn.textContent = n === 0 ? "Select country(ies)" : (n === 1 ? Array.from(selectedCountryValues)[0] : `${n} countries selected`);
+}
 
-      const mapWrapper = document.createElement('div');
-      mapWrapper.className = 'export-map-wrapper';
-      mapWrapper.style.width = W + 'px';
-      mapWrapper.style.height = H + 'px';
-      mapWrapper.style.position = 'relative';
-      mapWrapper.style.overflow = 'hidden';
-      wrapper.appendChild(mapWrapper);
+function uncheckActiveLayerInControl() {
+  const name = sanitizePlainText(currentLayerName || "");
+  if (!name || !overlayData[name]) return;
 
-      const styleEl = document.createElement('style');
-      styleEl.type = 'text/css';
-      styleEl.textContent = `
-        .export-title{font-size:20px !important;font-weight:600;margin:0 0 8px 0;line-height:1;text-align:center !important;display:block !important;width:100% !important}
-        .export-map-wrapper .export-disclaimer-clone{font-size:10px !important;background:rgba(255,255,255,0.95) !important;padding:6px !important;word-break:break-word !important;display:inline-block !important;width:auto !important;text-align:left !important;max-height:calc(1.25em * 6) !important;overflow:hidden !important;white-space:normal !important;line-height:1.25 !important}
-        .export-map-wrapper .export-north-arrow-clone{display:flex !important;align-items:center !important;justify-content:center !important;flex-direction:column !important}
-        .export-map-wrapper .export-north-arrow-clone .north-arrow-symbol{display:block !important;width:100% !important;text-align:center !important;padding-top:0 !important;line-height:1 !important}
-        .export-img{width:100%;height:auto;display:block}
-      `;
-      wrapper.appendChild(styleEl);
+  const group = overlayData[name].layerGroup;
+  if (group && map && map.hasLayer(group)) {
+    try { map.removeLayer(group); } catch (e) {}
+  }
 
-      const img = document.createElement('img');
-      img.className = 'export-img';
-      img.src = cropped.toDataURL("image/png");
-      img.alt = "Exported map image";
-      mapWrapper.appendChild(img);
+  const controlContainer = layersControl && layersControl.getContainer ? layersControl.getContainer() : null;
+  if (!controlContainer) return;
+  const labels = Array.from(controlContainer.querySelectorAll('label'));
+  const label = labels.find(lbl => getLayerNameFromLabel(lbl) === name);
+  if (!label) return;
+  const cb = label.querySelector('input.leaflet-control-layers-selector');
+  if (cb) cb.checked = false;
+}
 
-      function copyVisualStyles(sourceNode, targetNode) {
-        if (!sourceNode || !targetNode) return;
-        const cs = window.getComputedStyle(sourceNode);
-        const props = [
-          'display', 'visibility', 'opacity',
-          'background', 'backgroundColor', 'backgroundImage', 'backgroundSize', 'backgroundPosition', 'backgroundRepeat',
-          'border', 'borderTop', 'borderRight', 'borderBottom', 'borderLeft', 'borderColor', 'borderStyle', 'borderWidth', 'borderRadius',
-          'boxShadow', 'outline',
-          'color', 'font', 'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'lineHeight', 'letterSpacing', 'textAlign',
-          'padding', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft'
-        ];
-        props.forEach((prop) => {
-          try { targetNode.style[prop] = cs[prop]; } catch (e) {}
-        });
-      }
+function checkActiveLayerInControl() {
+  const name = sanitizePlainText(currentLayerName || "");
+  if (!name || !overlayData[name]) return;
 
-      function copyVisualStylesRecursive(sourceNode, targetNode) {
-        copyVisualStyles(sourceNode, targetNode);
-        const sourceChildren = Array.from(sourceNode.children || []);
-        const targetChildren = Array.from(targetNode.children || []);
-        const len = Math.min(sourceChildren.length, targetChildren.length);
-        for (let i = 0; i < len; i++) {
-          copyVisualStylesRecursive(sourceChildren[i], targetChildren[i]);
-        }
-      }
+  const group = overlayData[name].layerGroup;
+  if (group && map && !map.hasLayer(group)) {
+    try { map.addLayer(group); } catch (e) {}
+  }
 
-      function cloneMapOverlayToExport(selector, className) {
-        const source = document.querySelector(selector);
-        if (!source || !mapEl) return;
-        const mapRect = mapEl.getBoundingClientRect();
-        const srcRect = source.getBoundingClientRect();
-        if (!srcRect || srcRect.width <= 0 || srcRect.height <= 0) return;
+  const controlContainer = layersControl && layersControl.getContainer ? layersControl.getContainer() : null;
+  if (!controlContainer) return;
+  const labels = Array.from(controlContainer.querySelectorAll('label'));
+  const label = labels.find(lbl => getLayerNameFromLabel(lbl) === name);
+  if (!label) return;
+  const cb = label.querySelector('input.leaflet-control-layers-selector');
+  if (cb) cb.checked = true;
+}
 
-        const clone = source.cloneNode(true);
-        if (className) clone.classList.add(className);
-        copyVisualStylesRecursive(source, clone);
+function populateCountryFilterOptions(data) {
+  const col = 'country-filter-col';
+  const list = document.getElementById('country-filter-list');
+  const btnAll = document.getElementById('btnCountryAll');
+  const btnClear = document.getElementById('btnCountryClear');
+  if (!list || !activeCountryField) return hideRow(col);
 
-        const relLeftCss = srcRect.left - mapRect.left;
-        const relTopCss = srcRect.top - mapRect.top;
-        const exportLeft = Math.max(0, Math.round(relLeftCss * rawScaleX) - cropX);
-        const exportTop = Math.max(0, Math.round(relTopCss * rawScaleY));
-        const exportWidth = Math.max(1, Math.round(srcRect.width * rawScaleX));
-        const exportHeight = Math.max(1, Math.round(srcRect.height * rawScaleY));
+  // Cascaded behavior: no country list until at least one continent is selected.
+  if (!activeContinentField || selectedContinentValues.size === 0) {
+    list.textContent = "";
+    selectedCountryValues = new Set();
+    updateCountryFilterButtonLabel();
+    if (btnAll) btnAll.disabled = true;
+    if (btnClear) btnClear.disabled = true;
+    return hideRow(col);
+  }
 
-        clone.style.position = 'absolute';
-        clone.style.left = exportLeft + 'px';
-        clone.style.top = exportTop + 'px';
-        clone.style.right = 'auto';
-        clone.style.bottom = 'auto';
-        clone.style.width = exportWidth + 'px';
-        clone.style.height = exportHeight + 'px';
-        clone.style.margin = '0';
-        clone.style.transform = 'none';
-        clone.style.cursor = 'default';
-        clone.style.pointerEvents = 'none';
-        if (
-          source.classList &&
-          (source.classList.contains('leaflet-control-exact-scale') || source.classList.contains('map-bottom-scale-control'))
-        ) {
-          const bottomCss = Math.max(0, mapRect.bottom - srcRect.bottom);
-          const exportBottomRaw = Math.max(0, Math.round(bottomCss * rawScaleY));
-          const exportBottom = Math.max(6, Math.min(exportBottomRaw, Math.max(6, H - exportHeight)));
-          clone.style.top = 'auto';
-          clone.style.bottom = exportBottom + 'px';
-          clone.style.zIndex = '5';
-        }
-        if (
-          source.classList &&
-          source.classList.contains('leaflet-control-north-arrow')
-        ) {
-          // Inline centering guards against Firefox/html2canvas dropping selector-based alignment.
-          clone.style.display = 'flex';
-          clone.style.flexDirection = 'column';
-          clone.style.alignItems = 'center';
-          clone.style.justifyContent = 'center';
-          const symbol = clone.querySelector('.north-arrow-symbol');
-          if (symbol) {
-            symbol.style.display = 'block';
-            symbol.style.width = '100%';
-            symbol.style.textAlign = 'center';
-            symbol.style.paddingTop = '0';
-            symbol.style.margin = '0';
-            symbol.style.lineHeight = '1';
-            symbol.style.position = 'relative';
-            symbol.style.left = '0';
-            symbol.style.right = '0';
-          }
-        }
-        mapWrapper.appendChild(clone);
-        // Final hard clamp inside map frame to prevent spill into legend section.
-        if (source.classList && (source.classList.contains('leaflet-control-exact-scale') || source.classList.contains('map-bottom-scale-control'))) {
-          const maxBottom = Math.max(0, H - (clone.offsetHeight || exportHeight));
-          const currentBottom = Math.max(0, parseFloat(clone.style.bottom || "0") || 0);
-          clone.style.bottom = Math.max(0, Math.min(maxBottom, currentBottom)) + 'px';
-        }
-      }
+  let vals = [];
+  if (activeCountryField === "__rma_country" && worldCountriesByContinent) {
+    const set = new Set();
+    Array.from(selectedContinentValues).forEach(cont => {
+      const matches = Array.from(worldCountriesByContinent.keys()).find(k => norm(k) === norm(cont));
+      if (!matches) return;
+      worldCountriesByContinent.get(matches).forEach(cn => set.add(cn));
+    });
+    vals = Array.from(set).sort((a, b) => a.localeCompare(b));
+  } else {
+    const byContinent = (Array.isArray(data?.features) ? data.features : []).filter(f =>
+      Array.from(selectedContinentValues).some(v =>
+        norm(v) === norm(f?.properties?.[activeContinentField])
+      )
+    );
+    vals = uniqueValuesForKey(byContinent, activeCountryField);
+  }
+  // keep only selections still visible under current continent
+  selectedCountryValues = new Set(
+    Array.from(selectedCountryValues).filter(v => vals.some(x => norm(x) === norm(v)))
+  );
 
-      // Export disclaimer exactly as currently displayed on map.
-      cloneMapOverlayToExport('#disclaimer', 'export-disclaimer-clone');
+  list.textContent = "";
+  vals.forEach((v, i) => {
+    const row = document.createElement('label');
+    row.className = 'country-filter-item';
+    const cb = document.createElement('input');
+    cb.type = 'checkbox';
+    cb.className = 'country-filter-check';
+    cb.value = v;
+    cb.id = `country-filter-${i}`;
+    cb.checked = Array.from(selectedCountryValues).some(x => norm(x) === norm(v));
+    const txt = document.createElement('span');
+    txt.textContent = v;
+    row.append(cb, txt);
+    list.appendChild(row);
+  });
 
-      // Keep clone attempt for Chrome/Edge fidelity.
-      cloneMapOverlayToExport('.leaflet-control-north-arrow', 'export-north-arrow-clone');
-      cloneMapOverlayToExport('.leaflet-control-exact-scale, .map-bottom-scale-control', 'export-scale-clone');
+  if (btnAll) btnAll.disabled = vals.length === 0;
+  if (btnClear) btnClear.disabled = vals.length === 0;
+  updateCountryFilterButtonLabel();
+  showRow(col);
+}
 
-      function findMapControlElement(selector) {
-        const nodes = Array.from(document.querySelectorAll(selector));
-        if (!nodes.length || !mapEl) return null;
-        const mapRect = mapEl.getBoundingClientRect();
-        return nodes.find((el) => {
-          const r = el.getBoundingClientRect();
-          return r && r.width > 0 && r.height > 0 &&
-            r.right > mapRect.left && r.left < mapRect.right &&
-            r.bottom > mapRect.top && r.top < mapRect.bottom;
-        }) || nodes[0] || null;
-      }
+async function populateFilterControls(data) {
+  const contCol = 'continent-filter-col';
+  const contSel = document.getElementById('continent-filter');
+  const africaBtn = document.getElementById('btnAfricaOnly');
+  const contBtnAll = document.getElementById('btnContinentAll');
+  const contBtnClear = document.getElementById('btnContinentClear');
+  if (!contSel) return;
 
-      function ensureNorthArrowFallback() {
-        const src = findMapControlElement('.leaflet-control-north-arrow');
-        if (!src || !mapEl) return;
-        const existing = mapWrapper.querySelector('.export-north-arrow-clone');
-        if (existing) return;
-        const mapRect = mapEl.getBoundingClientRect();
-        const srcRect = src.getBoundingClientRect();
-        const left = Math.max(0, Math.round((srcRect.left - mapRect.left) * rawScaleX) - cropX);
-        const top = Math.max(0, Math.round((srcRect.top - mapRect.top) * rawScaleY));
-        const w = Math.max(20, Math.round(srcRect.width * rawScaleX));
-        const h = Math.max(24, Math.round(srcRect.height * rawScaleY));
+  let fields = detectFilterFields(data);
+  activeContinentField = fields.continentKey || ensureSyntheticContinentField(data);
+  activeCountryField = fields.countryKey;
+  try {
+    const hasSpatial = await ensureSpatialCountryContinentFields(data);
+    if (hasSpatial) {
+      // Prefer schema-independent spatial fields when available so continent/country
+      // options are consistent across CSV/GeoJSON/SHP and not limited by source schema.
+      activeContinentField = "__rma_continent_spatial";
+      activeCountryField = "__rma_country";
+    } else if (!activeContinentField || !activeCountryField) {
+      fields = detectFilterFields(data);
+      activeContinentField = fields.continentKey || ensureSyntheticContinentField(data);
+      activeCountryField = fields.countryKey;
+    }
+  } catch (e) {
+    console.warn("Spatial country/continent inference unavailable:", e);
+  }
+  selectedContinentValues = new Set();
+  selectedCountryValues = new Set();
 
-        const fallback = document.createElement('div');
-        fallback.className = 'export-north-arrow-clone';
-        fallback.style.position = 'absolute';
-        fallback.style.left = left + 'px';
-        fallback.style.top = top + 'px';
-        fallback.style.width = w + 'px';
-        fallback.style.height = h + 'px';
-        fallback.style.background = '#ffffff';
-        fallback.style.border = '1px solid #cfd6e4';
-        fallback.style.borderRadius = '4px';
-        fallback.style.display = 'flex';
-        fallback.style.flexDirection = 'column';
-        fallback.style.alignItems = 'center';
-        fallback.style.justifyContent = 'center';
-        fallback.style.boxSizing = 'border-box';
-        fallback.style.pointerEvents = 'none';
-
-        const letter = document.createElement('div');
-        letter.textContent = 'N';
-        letter.style.fontSize = Math.max(9, Math.round(h * 0.28)) + 'px';
-        letter.style.fontWeight = '700';
-        letter.style.lineHeight = '1';
-        letter.style.color = '#1e3a8a';
-        fallback.appendChild(letter);
+  contSel.textContent = "";
+  if (activeContinentField) {
+    const vals = (activeContinentField === "__rma_continent_spatial" && worldCountriesByContinent)
+      ? Array.from(worldCountriesByContinent.keys()).sort((a, b) => a.localeCompare(b))
+      : uniqueValuesForKey(data?.features || [], activeContinentField);
+    vals.forEach(v => {
+      const row = document.createElement('label');
+      row.className = 'country-filter-item';
+      const cb = document.createElement('input');
+      cb.type = 'checkbox';
+      cb.className = 'country-filter-check';
+      cb.value = v;
+      cb.checked = false;
+      const txt = document.createElement('span');
+      txt.textContent = continentLabel(v) || v;
+      row.append(cb, txt);
+      contSel.appendChild(row);
+    });
+    // Start with no continent selected so country options appear only
+    // after an explicit continent selection.
+    selectedContinentValues = new Set();
+    updateContinentFilterButtonLabel();
+    showRow(contCol);
+    if (africaBtn) setDynamicStyle(africaBtn, { display: "" });
+    if (contBtnAll) setDynamicStyle(contBtnAll, { display: "" });
+    if (contBtnClear) setDynamicStyle(contBtnClear, { display: "" });
+  } else {
+    updateContinentFilterButtonLabel();
+    hideRow(contCol);
+    if (africaBtn) setDynamicStyle(africaBtn, { display: "none" });
+    if (contBtnAll) setDynamicStyle(contBtnAll, { display: "none" });
+    if (contBtnClear) setDynamicStyle(contBtnClear, { display: "none" });
+  }
 
-        const tri = document.createElement('div');
-        tri.style.width = '0';
-        tri.style.height = '0';
-        tri.style.borderLeft = Math.max(4, Math.round(w * 0.17)) + 'px solid transparent';
-        tri.style.borderRight = Math.max(4, Math.round(w * 0.17)) + 'px solid transparent';
-        tri.style.borderBottom = Math.max(8, Math.round(h * 0.28)) + 'px solid #1e3a8a';
-        tri.style.marginTop = Math.max(1, Math.round(h * 0.05)) + 'px';
-        fallback.appendChild(tri);
-        mapWrapper.appendChild(fallback);
-      }
+  populateCountryFilterOptions(data);
+}
 
-      function ensureScaleBarFallback() {
-        const src = findMapControlElement('.leaflet-control-exact-scale, .map-bottom-scale-control')
-          || (scaleControl && typeof scaleControl.getContainer === "function" ? scaleControl.getContainer() : null);
-        if (!mapEl) return;
-        const existing = mapWrapper.querySelector('.export-scale-clone');
-        if (existing) return;
-        const mapRect = mapEl.getBoundingClientRect();
-        const srcRect = src ? src.getBoundingClientRect() : null;
-        const srcWidthCss = (srcRect && srcRect.width > 0) ? srcRect.width : (src ? (src.offsetWidth || 120) : 120);
-        const srcHeightCss = (srcRect && srcRect.height > 0) ? srcRect.height : (src ? (src.offsetHeight || 24) : 24);
-        let leftCss;
-        let topCss;
-        let bottomCss = null;
-        if (src && src.dataset && src.dataset.leftPx && src.dataset.topPx) {
-          leftCss = parseFloat(src.dataset.leftPx) || 0;
-          topCss = parseFloat(src.dataset.topPx) || Math.max(0, mapRect.height - srcHeightCss - 8);
-          bottomCss = Math.max(0, mapRect.height - (topCss + srcHeightCss));
-        } else if (srcRect && srcRect.width > 0 && srcRect.height > 0) {
-          leftCss = srcRect.left - mapRect.left;
-          topCss = srcRect.top - mapRect.top;
-          bottomCss = Math.max(0, mapRect.bottom - srcRect.bottom);
-        } else {
-          leftCss = Math.max(0, (mapRect.width - srcWidthCss) / 2);
-          topCss = Math.max(0, mapRect.height - srcHeightCss - 8);
-          bottomCss = Math.max(0, mapRect.height - (topCss + srcHeightCss));
-        }
-        const left = Math.max(0, Math.round(leftCss * rawScaleX) - cropX);
-        const top = Math.max(0, Math.round(topCss * rawScaleY));
-        const w = Math.max(70, Math.round(srcWidthCss * rawScaleX));
-        const h = Math.max(20, Math.round(srcHeightCss * rawScaleY));
-        const bottomRaw = Math.max(0, Math.round((bottomCss == null ? 8 : bottomCss) * rawScaleY));
-        const bottom = Math.max(6, Math.min(bottomRaw, Math.max(6, H - h)));
-        const labelText = src
-          ? (src.querySelector('.exact-scale-label')?.textContent || src.textContent || 'Scale: --').trim()
-          : 'Scale: --';
+function renderDefaultFilteredLayer() {
+  if (!currentLayerName || !geojsonData) return;
+  const filtered = getFilteredGeojson(geojsonData);
 
-        const fallback = document.createElement('div');
-        fallback.className = 'export-scale-clone';
-        fallback.style.position = 'absolute';
-        fallback.style.left = left + 'px';
-        fallback.style.top = 'auto';
-        fallback.style.bottom = bottom + 'px';
-        fallback.style.width = w + 'px';
-        fallback.style.minHeight = h + 'px';
-        fallback.style.background = '#ffffff';
-        fallback.style.border = '1px solid #cfd6e4';
-        fallback.style.borderRadius = '4px';
-        fallback.style.padding = '3px 6px';
-        fallback.style.boxSizing = 'border-box';
-        fallback.style.fontSize = Math.max(8, Math.round(h * 0.32)) + 'px';
-        fallback.style.lineHeight = '1.2';
-        fallback.style.fontWeight = '400';
-        fallback.style.color = '#102a43';
-        fallback.style.textAlign = 'center';
-        fallback.style.pointerEvents = 'none';
-        fallback.textContent = labelText;
-        mapWrapper.appendChild(fallback);
-      }
+  if (layerGroup && typeof layerGroup.clearLayers === 'function') {
+    layerGroup.clearLayers();
+  } else {
+    layerGroup = L.featureGroup().addTo(map);
+  }
 
-      ensureNorthArrowFallback();
-      ensureScaleBarFallback();
+  geojsonLayer = createDataLayer(currentLayerName, filtered, {
+    interactive: true,
+    bubblingMouseEvents: false,
+    style: defaultStyle,
+    pointToLayer: defaultPoint,
+    onEachFeature: bindFeaturePopup
+  }).addTo(layerGroup);
 
-      function ensureFirefoxGuaranteedOverlays() {
-        // Keep Firefox behavior aligned with Chrome by relying on exact clones.
-        if (!isFirefoxBrowser()) return;
-        return;
+  const geomType = filtered?.features?.[0]?.geometry?.type || geojsonData?.features?.[0]?.geometry?.type || "Polygon";
+  const state = overlayData[currentLayerName] || null;
+  const defaultLegendColor = /^#[0-9A-Fa-f]{6}$/.test(state?.defaultSymbolColor || "")
+    ? state.defaultSymbolColor
+    : (/LineString/.test(geomType) ? "#007aff" : "#ccc");
+  const defaultLegendLabel = sanitizePlainText(state?.defaultSymbolLabel || "Features", "Features");
 
-        const existingDisc = mapWrapper.querySelector('.export-disclaimer-clone');
-        if (!existingDisc) {
-          const srcDisc = document.getElementById('disclaimer');
-          const fallbackDisc = document.createElement('div');
-          fallbackDisc.className = 'export-disclaimer-clone';
-          fallbackDisc.style.position = 'absolute';
-          fallbackDisc.style.left = '8px';
-          fallbackDisc.style.bottom = '-2px';
-          fallbackDisc.style.maxWidth = Math.max(140, Math.round(W * 0.45)) + 'px';
-          fallbackDisc.style.background = 'rgba(255,255,255,0.95)';
-          fallbackDisc.style.padding = '6px';
-          fallbackDisc.style.fontSize = '10px';
-          fallbackDisc.style.lineHeight = '1.25';
-          fallbackDisc.style.color = '#000';
-          fallbackDisc.style.textAlign = 'left';
-          fallbackDisc.style.zIndex = '6';
-          fallbackDisc.textContent = (srcDisc && srcDisc.textContent ? String(srcDisc.textContent).trim() : 'Disclaimer');
-          mapWrapper.appendChild(fallbackDisc);
-        }
+  if (overlayData[currentLayerName]) {
+    overlayData[currentLayerName].vals = [defaultLegendLabel];
+    overlayData[currentLayerName].cols = [defaultLegendColor];
+    overlayData[currentLayerName].isNumeric = false;
+    overlayData[currentLayerName].legendLabels = [defaultLegendLabel];
+    overlayData[currentLayerName].legendGeomType = geomType;
+    overlayData[currentLayerName].defaultSymbolColor = defaultLegendColor;
+    overlayData[currentLayerName].defaultSymbolLabel = defaultLegendLabel;
+    overlayData[currentLayerName].attribute = null;
+    overlayData[currentLayerName].method = null;
+    overlayData[currentLayerName].symbolSizeMode = "fixed";
+  }
 
-        const existingNorth = mapWrapper.querySelector('.export-north-arrow-clone');
-        if (!existingNorth) {
-          const na = document.createElement('div');
-          na.className = 'export-north-arrow-clone';
-          na.style.position = 'absolute';
-          na.style.right = '12px';
-          na.style.top = '12px';
-          na.style.width = '34px';
-          na.style.height = '44px';
-          na.style.background = '#fff';
-          na.style.border = '1px solid #cfd6e4';
-          na.style.borderRadius = '4px';
-          na.style.display = 'flex';
-          na.style.flexDirection = 'column';
-          na.style.alignItems = 'center';
-          na.style.justifyContent = 'center';
-          na.style.boxSizing = 'border-box';
-          na.style.zIndex = '6';
-          const nText = document.createElement('div');
-          nText.textContent = 'N';
-          nText.style.fontSize = '12px';
-          nText.style.fontWeight = '700';
-          nText.style.color = '#1e3a8a';
-          nText.style.lineHeight = '1';
-          const tri = document.createElement('div');
-          tri.style.width = '0';
-          tri.style.height = '0';
-          tri.style.borderLeft = '6px solid transparent';
-          tri.style.borderRight = '6px solid transparent';
-          tri.style.borderBottom = '12px solid #1e3a8a';
-          tri.style.marginTop = '3px';
-          na.appendChild(nText);
-          na.appendChild(tri);
-          mapWrapper.appendChild(na);
-        }
+  updateLegend(currentLayerName, [defaultLegendLabel], [defaultLegendColor], false, filtered);
+  updateClassificationTableDefaultSymbol(defaultLegendLabel, defaultLegendColor);
+  refreshAttributeTable();
+  scheduleSessionAutosave();
+}
 
-        const existingScale = mapWrapper.querySelector('.export-scale-clone');
-        if (!existingScale) {
-          const srcScale = (scaleControl && typeof scaleControl.getContainer === "function")
-            ? scaleControl.getContainer()
-            : null;
-          const scaleTxt = srcScale
-            ? (srcScale.querySelector('.exact-scale-label')?.textContent || srcScale.textContent || 'Scale: --')
-            : 'Scale: --';
-          const sb = document.createElement('div');
-          sb.className = 'export-scale-clone';
-          sb.style.position = 'absolute';
-          sb.style.left = Math.max(8, Math.round((W - 140) / 2)) + 'px';
-          sb.style.bottom = '-2px';
-          sb.style.width = '140px';
-          sb.style.minHeight = '22px';
-          sb.style.background = '#fff';
-          sb.style.border = '1px solid #cfd6e4';
-          sb.style.borderRadius = '4px';
-          sb.style.padding = '3px 6px';
-          sb.style.boxSizing = 'border-box';
-          sb.style.fontSize = '8px';
-          sb.style.lineHeight = '1.2';
-          sb.style.fontWeight = '400';
-          sb.style.color = '#102a43';
-          sb.style.textAlign = 'center';
-          sb.style.zIndex = '6';
-          sb.textContent = String(scaleTxt || 'Scale: --').trim();
-          mapWrapper.appendChild(sb);
-        }
-      }
+// --- Activate a layer securely ---
+async function setActiveLayer(name) {
+  currentLayerName = name;
+  const targetLayerName = name;
+  const obj = overlayData[name];
+  if (!obj) {
+    console.warn("Invalid layer activation:", name);
+    return;
+  }
 
-      ensureFirefoxGuaranteedOverlays();
+  geojsonData = obj.geojson;
+  layerGroup  = obj.layerGroup;
+  currentAttribute = null;
 
-      const legend = document.querySelector('#legend-items');
-      if (legend) {
-        const clone = legend.cloneNode(true);
-        clone.className = 'export-legend-clone';
-        copyVisualStylesRecursive(legend, clone);
-        clone.style.position = 'relative';
-        clone.style.display = 'block';
-        clone.style.clear = 'both';
-        clone.style.zIndex = '4';
-        clone.style.background = 'transparent';
-        clone.style.border = '0';
-        clone.style.boxShadow = 'none';
-        clone.style.outline = 'none';
-        clone.style.padding = '0';
-        clone.style.marginTop = '10px';
-        clone.style.borderRadius = '0';
-        clone.style.overflow = 'visible';
-        Array.from(clone.querySelectorAll('.legend-block')).forEach((block) => {
-          block.style.borderTop = '0';
-          block.style.border = '0';
-          block.style.boxShadow = 'none';
-          block.style.outline = 'none';
-          block.style.background = 'transparent';
-        });
-        Array.from(clone.querySelectorAll('.legend-row')).forEach((row) => {
-          row.style.display = 'flex';
-          row.style.alignItems = 'center';
-          row.style.minHeight = '18px';
-        });
-        const sourceSyms = Array.from(legend.querySelectorAll('.legend-sym'));
-        const cloneSyms = Array.from(clone.querySelectorAll('.legend-sym'));
-        cloneSyms.forEach((sym, idx) => {
-          const src = sourceSyms[idx];
-          if (!src) return;
-          const cs = window.getComputedStyle(src);
-          const fillColor = (cs && cs.backgroundColor && cs.backgroundColor !== 'rgba(0, 0, 0, 0)')
-            ? cs.backgroundColor
-            : '#ccc';
-          const borderValue = (cs && cs.border && cs.border !== '0px none rgb(0, 0, 0)')
-            ? cs.border
-            : '1px solid #333';
-          sym.style.display = 'inline-block';
-          sym.style.boxSizing = 'border-box';
-          sym.style.width = '16px';
-          sym.style.minWidth = '16px';
-          sym.style.maxWidth = '16px';
-          sym.style.height = '16px';
-          sym.style.minHeight = '16px';
-          sym.style.maxHeight = '16px';
-          sym.style.marginRight = '8px';
-          sym.style.flex = '0 0 16px';
-          sym.style.backgroundColor = fillColor;
-          sym.style.border = borderValue;
-          if (sym.classList.contains('legend-sym-line')) {
-            const lineColor = (cs && cs.borderTopColor && cs.borderTopColor !== 'rgba(0, 0, 0, 0)')
-              ? cs.borderTopColor
-              : fillColor;
-            sym.style.border = '0';
-            sym.style.background = 'transparent';
-            sym.style.marginTop = '0';
-            sym.style.height = '16px';
-            sym.style.minHeight = '16px';
-            sym.style.maxHeight = '16px';
-            sym.style.display = 'inline-flex';
-            sym.style.alignItems = 'center';
-            sym.style.justifyContent = 'center';
-            sym.style.transform = 'none';
-            sym.style.color = lineColor;
-            sym.style.borderTop = '0';
-            sym.textContent = '';
-            const lineStroke = document.createElement('span');
-            lineStroke.style.display = 'block';
-            lineStroke.style.width = '100%';
-            lineStroke.style.borderTop = `3px solid ${lineColor}`;
-            lineStroke.style.boxSizing = 'border-box';
-            sym.appendChild(lineStroke);
-          } else if (sym.classList.contains('legend-sym-point')) {
-            sym.style.borderRadius = '50%';
-            sym.style.transform = 'none';
-            sym.style.borderTop = '0';
-          } else {
-            sym.style.transform = 'none';
-            sym.style.borderTop = '0';
-          }
-        });
-        wrapper.appendChild(clone);
-      }
-
-      const runCb = () => {
-        try {
-          cb(wrapper);
-        } catch (err) {
-          console.error("Export callback failed:", err);
-        }
-      };
-
-      if (img.decode) {
-        img.decode().then(runCb).catch(runCb);
-      } else if (img.complete) {
-        runCb();
-      } else {
-        img.onload = runCb;
-        img.onerror = runCb;
-      }
-    });
+  try {
+    if (geojsonData && geojsonData.type === "FeatureCollection") {
+      await populateFilterControls(geojsonData);
+      if (currentLayerName !== targetLayerName) return;
+      populateAttributeList(geojsonData);
+      loadExpressionFilterBuilder();
+      updateFieldCalcControl();
+      updateJoinControl();
+      updateSimplifyControl();
+      updateRenderModeControl();
+      updatePointSizeControl();
+      updateLineWidthControl();
+      updateClassificationOptions();
+      // Do not force classification; apply only if attribute already selected
+      if (currentAttribute) applyClassification();
+      else renderDefaultFilteredLayer();
+    }
+  } catch (e) {
+    console.error("Layer activation UI failed; applying safe fallback.", e);
+    try {
+      populateAttributeList(geojsonData || { type: "FeatureCollection", features: [] });
+      updatePointSizeControl();
+      updateLineWidthControl();
+      updateClassificationOptions();
+      renderDefaultFilteredLayer();
+    } catch (inner) {
+      console.error("Layer activation fallback also failed.", inner);
     }
+  }
 
-    // --- Helper: show/hide loading message with spinner ---
-    function showLoading(msg = "Exporting, please wait...") {
-    let loader = document.getElementById("export-loader");
-    if (!loader) {
-    loader = document.createElement('div');
-    loader.id = 'export-loader';
-    loader.className = 'export-loader';
+  const sel = document.getElementById('layer-select');
+  if (sel) {
+    sel.value = name;
+    showRow('layer-select-col');
+  }
+}
+//Attribute Population, Controls, and Classification Options
+// --- Populate attribute dropdown ---
+function populateAttributeList(data) {
+  const wrap = 'attribute-select-col';
+  const sel = document.getElementById('attribute-select');
+  if (!sel) return;
 
-    const spinner = document.createElement('div');
-    spinner.className = 'export-spinner';
+  sel.textContent = "";
 
-    const text = document.createElement('div');
-    text.textContent = msg;
+  const defaultOpt = document.createElement('option');
+  defaultOpt.disabled = true;
+  defaultOpt.selected = true;
+  defaultOpt.textContent = "Select attribute";
+  sel.appendChild(defaultOpt);
 
-    loader.appendChild(spinner);
-    loader.appendChild(text);
-    document.body.appendChild(loader);
-    }
-    const label = loader.querySelector("div:last-child");
-    if (label) label.textContent = msg;
-    setDynamicStyle(loader, { display: "flex" });
-    }
+  if (!data || !Array.isArray(data.features) || !data.features.length) {
+    return hideRow(wrap);
+  }
 
-    function hideLoading() {
-    const loader = document.getElementById("export-loader");
-    if (loader) setDynamicStyle(loader, { display: "none" });
-    }
+  const props = data.features[0].properties || {};
+  Object.keys(props).forEach(k => {
+    const o = document.createElement('option');
+    o.value = String(k).replace(/[^\w\-]/g, "_");
+    o.textContent = k;
+    sel.appendChild(o);
+  });
 
-    function wrapCanvasText(ctx, text, maxWidth) {
-      const words = String(text || "").split(/\s+/).filter(Boolean);
-      const lines = [];
-      let line = "";
-      for (let i = 0; i < words.length; i++) {
-        const candidate = line ? (line + " " + words[i]) : words[i];
-        if (ctx.measureText(candidate).width <= maxWidth || !line) {
-          line = candidate;
-        } else {
-          lines.push(line);
-          line = words[i];
-        }
-      }
-      if (line) lines.push(line);
-      return lines;
-    }
+  showRow(wrap);
+}
 
-    function getExportLegendBlocks() {
-      const legendRoot = document.getElementById('legend-items');
-      if (!legendRoot) return [];
+// --- Point & Line size controls visibility ---
+function updatePointSizeControl() {
+  const wrap = 'point-size-col';
+  if (!geojsonData || !Array.isArray(geojsonData.features)) return hideRow(wrap);
 
-      const isVisible = (el) => {
-        if (!el) return false;
-        const cs = window.getComputedStyle(el);
-        return cs.display !== 'none' && cs.visibility !== 'hidden' && parseFloat(cs.opacity || '1') > 0;
-      };
+  const hasPoint = geojsonData.features.some(f => f.geometry && /Point/.test(f.geometry.type));
+  hasPoint ? showRow(wrap) : hideRow(wrap);
+}
 
-      const blocks = Array.from(legendRoot.querySelectorAll('.legend-block'))
-        .filter((block) => isVisible(block));
+function updateLineWidthControl() {
+  const wrap = 'line-width-col';
+  if (!geojsonData || !Array.isArray(geojsonData.features)) return hideRow(wrap);
 
-      return blocks.map((block) => {
-        const headerEl = block.querySelector('.legend-header');
-        const title = (headerEl?.textContent || '').trim() || 'Legend';
-        const rows = Array.from(block.querySelectorAll('.legend-row')).map((row) => {
-          const symEl = row.querySelector('.legend-sym');
-          const labelEl = row.querySelector('span');
-          const cs = symEl ? window.getComputedStyle(symEl) : null;
-          const isLine = !!(symEl && symEl.classList.contains('legend-sym-line'));
-          const isPoint = !!(symEl && symEl.classList.contains('legend-sym-point'));
-          const color = isLine
-            ? (cs?.borderTopColor || cs?.borderColor || '#cccccc')
-            : (cs?.backgroundColor || '#cccccc');
-          return {
-            color,
-            label: (labelEl?.textContent || '').trim(),
-            symbolType: isLine ? 'line' : (isPoint ? 'point' : 'polygon')
-          };
-        }).filter((row) => row.label);
+  const hasLine = geojsonData.features.some(f => f.geometry && /LineString/.test(f.geometry.type));
+  hasLine ? showRow(wrap) : hideRow(wrap);
+}
 
-        return { title, rows };
-      }).filter((block) => block.rows.length > 0);
-    }
+// --- Classification options ---
+function updateClassificationOptions() {
+  const typeWrap = 'classification-type-col';
+  const numWrap = 'num-classes-col';
+  const sel = document.getElementById('classification-type');
+  if (!sel) return;
 
-    function buildEdgeDirectExportCanvas(formatLabel, cb, onError) {
-      leafletImage(map, (err, mapCanvas) => {
-        if (err || !mapCanvas) {
-          if (typeof onError === "function") onError(err || new Error("Map canvas unavailable"));
-          return;
-        }
+  if (!geojsonData || !Array.isArray(geojsonData.features) || !geojsonData.features.length) {
+    hideRow(typeWrap);
+    hideRow(numWrap);
+    hideRow('normalize-col');
+    hideRow('palette-col');
+    return;
+  }
 
-        const mapEl = document.getElementById('map');
-        const debugInfo = getExportCorrectionDebug(mapCanvas, mapEl);
-        const adjustedMapCanvas = alignMapCanvasForEdgeDisplayedState(mapCanvas, mapEl);
-        logEdgeExportDebug("pipeline.mode", { mode: "edge-direct-canvas-tile-plus-pane" });
-        showExportCorrectionDebugMessage(debugInfo);
+  const sample = geojsonData.features[0].properties?.[currentAttribute];
+  showRow(typeWrap);
 
-        const mapSize = (map && typeof map.getSize === 'function') ? map.getSize() : null;
-        const cssW = (mapSize && mapSize.x > 0) ? mapSize.x : (mapEl ? mapEl.clientWidth : adjustedMapCanvas.width);
-        const cssH = (mapSize && mapSize.y > 0) ? mapSize.y : (mapEl ? mapEl.clientHeight : adjustedMapCanvas.height);
-        const rawScaleX = cssW > 0 ? (adjustedMapCanvas.width / cssW) : 1;
-        const rawScaleY = cssH > 0 ? (adjustedMapCanvas.height / cssH) : rawScaleX;
-        const expectedW = Math.round(cssW * rawScaleX);
-        const expectedH = Math.round(cssH * rawScaleY);
-        const baseCropW = Math.max(1, Math.min(expectedW, adjustedMapCanvas.width));
-        const cropH = Math.max(1, Math.min(expectedH, adjustedMapCanvas.height));
-        const sideCropPx = getExportSideCropPxForBrowser(adjustedMapCanvas, baseCropW, cropH);
-        const cropX = Math.max(0, sideCropPx);
-        const cropW = Math.max(1, baseCropW - (2 * sideCropPx));
-        reportEdgeExportSpaceReduction(formatLabel || "png/pdf", sideCropPx, baseCropW, cropW);
+  sel.textContent = "";
 
-        const cropped = document.createElement('canvas');
-        cropped.width = cropW;
-        cropped.height = cropH;
-        const cctx = cropped.getContext('2d');
-        if (!cctx) {
-          if (typeof onError === "function") onError(new Error("Crop canvas context unavailable"));
-          return;
-        }
-        cctx.drawImage(adjustedMapCanvas, cropX, 0, cropW, cropH, 0, 0, cropW, cropH);
+  if (!isNaN(Number(sample))) {
+    NUMERIC_CLASS_METHODS.concat([["bivariate", "Bivariate (two attributes)"]]).forEach(([type, label]) => {
+      const opt = document.createElement('option');
+      opt.value = type;
+      opt.textContent = label;
+      sel.appendChild(opt);
+    });
+    if (sel.dataset.prevMethod === 'stddev') numericUserColors = null;
+    sel.dataset.prevMethod = sel.value;
+    showRow(numWrap);
+  } else {
+    const opt = document.createElement('option');
+    opt.value = "unique";
+    opt.textContent = "Unique";
+    sel.appendChild(opt);
+    hideRow(numWrap);
+  }
+  updateClassMethodControls();
+}
 
-        const titleText = (document.getElementById('map-title')?.textContent || 'Map Export').trim();
-        const disclaimerText = (document.getElementById('disclaimer')?.textContent || '').trim();
-        const disclaimerEl = document.getElementById('disclaimer');
-        const scaleControlEl = document.querySelector('.leaflet-control-exact-scale, .map-bottom-scale-control');
-        const northArrowEl = document.querySelector('.leaflet-control-north-arrow');
-        const mapRect = mapEl ? mapEl.getBoundingClientRect() : null;
-        const scaleText = (document.querySelector('.leaflet-control-exact-scale .exact-scale-label')?.textContent
-          || document.querySelector('.map-bottom-scale-control .exact-scale-label')?.textContent
-          || '').trim();
-        const legendBlocks = getExportLegendBlocks();
+// Show the inputs that apply to the selected classification method.
+function updateClassMethodControls() {
+  const typeSel = document.getElementById('classification-type');
+  const method = typeSel ? typeSel.value : "";
+  if (!method || method === 'unique' || method === 'bivariate' || method === 'interval') hideRow('num-classes-col');
+  else showRow('num-classes-col');
+  method === 'interval' ? showRow('class-width-col') : hideRow('class-width-col');
+  updateSymbolSizeControl();
+  updateBivariateControls();
+  updateNormalizeControls();
+  updatePaletteControl();
+}
 
-        const titleH = 36;
-        const legendHeaderH = 24;
-        const legendRowH = 20;
-        const legendBlockGap = 10;
-        const legendTopPad = 8;
-        const legendBottomPad = 8;
-        const legendH = legendBlocks.length
-          ? (legendTopPad + legendBottomPad + legendBlocks.reduce((sum, block, idx) => {
-              const blockH = legendHeaderH + (block.rows.length * legendRowH);
-              return sum + blockH + (idx > 0 ? legendBlockGap : 0);
-            }, 0))
-          : 0;
-        const outW = cropW;
-        const outH = titleH + cropH + legendH;
+// --- Bivariate controls: second attribute list and visibility ---
+function populateSecondAttributeList() {
+  const sel = document.getElementById('attribute2-select');
+  if (!sel) return;
+  const previous = sel.value;
+  sel.textContent = "";
+  const props = geojsonData?.features?.[0]?.properties || {};
+  const keys = Object.keys(props).filter(k => {
+    const v = props[k];
+    return v != null && v !== "" && !isNaN(Number(v));
+  });
+  keys.forEach(k => {
+    const o = document.createElement('option');
+    o.value = String(k).replace(/[^\w\-]/g, "_");
+    o.textContent = k;
+    sel.appendChild(o);
+  });
+  const values = Array.from(sel.options).map(o => o.value);
+  const firstOther = keys.find(k => k !== currentAttribute);
+  if (values.includes(previous)) sel.value = previous;
+  else if (firstOther) sel.value = String(firstOther).replace(/[^\w\-]/g, "_");
+}
 
-        const out = document.createElement('canvas');
-        out.width = outW;
-        out.height = outH;
-        const octx = out.getContext('2d');
-        if (!octx) {
-          if (typeof onError === "function") onError(new Error("Export canvas context unavailable"));
-          return;
-        }
+function updateBivariateControls() {
+  const wrap = 'bivariate-col';
+  const typeSel = document.getElementById('classification-type');
+  if (!typeSel || typeSel.value !== 'bivariate') return hideRow(wrap);
+  populateSecondAttributeList();
+  showRow(wrap);
+}
+// --- Color palettes (ColorBrewer / viridis-like) ---
+// Flags follow ColorBrewer guidance; ramps are interpolated to any class count.
+const COLOR_PALETTES = [
+  { id: "Reds", label: "Reds", type: "sequential", colorblindSafe: true, printFriendly: true,
+    colors: ["#fff5f0", "#fee0d2", "#fcbba1", "#fc9272", "#fb6a4a", "#ef3b2c", "#cb181d", "#a50f15", "#67000d"] },
+  { id: "Blues", label: "Blues", type: "sequential", colorblindSafe: true, printFriendly: true,
+    colors: ["#f7fbff", "#deebf7", "#c6dbef", "#9ecae1", "#6baed6", "#4292c6", "#2171b5", "#08519c", "#08306b"] },
+  { id: "Greens", label: "Greens", type: "sequential", colorblindSafe: true, printFriendly: true,
+    colors: ["#f7fcf5", "#e5f5e0", "#c7e9c0", "#a1d99b", "#74c476", "#41ab5d", "#238b45", "#006d2c", "#00441b"] },
+  { id: "Oranges", label: "Oranges", type: "sequential", colorblindSafe: true, printFriendly: true,
+    colors: ["#fff5eb", "#fee6ce", "#fdd0a2", "#fdae6b", "#fd8d3c", "#f16913", "#d94801", "#a63603", "#7f2704"] },
+  { id: "Purples", label: "Purples", type: "sequential", colorblindSafe: true, printFriendly: true,
+    colors: ["#fcfbfd", "#efedf5", "#dadaeb", "#bcbddc", "#9e9ac8", "#807dba", "#6a51a3", "#54278f", "#3f007d"] },
+  { id: "YlOrRd", label: "Yellow-Orange-Red", type: "sequential", colorblindSafe: true, printFriendly: true,
+    colors: ["#ffffcc", "#ffeda0", "#fed976", "#feb24c", "#fd8d3c", "#fc4e2a", "#e31a1c", "#bd0026", "#800026"] },
+  { id: "YlGnBu", label: "Yellow-Green-Blue", type: "sequential", colorblindSafe: true, printFriendly: true,
+    colors: ["#ffffd9", "#edf8b1", "#c7e9b4", "#7fcdbb", "#41b6c4", "#1d91c0", "#225ea8", "#253494", "#081d58"] },
+  { id: "YlGn", label: "Yellow-Green", type: "sequential", colorblindSafe: true, printFriendly: true,
+    colors: ["#ffffe5", "#f7fcb9", "#d9f0a3", "#addd8e", "#78c679", "#41ab5d", "#238443", "#006837", "#004529"] },
+  { id: "viridis", label: "Viridis", type: "sequential", colorblindSafe: true, printFriendly: true,
+    colors: ["#440154", "#472d7b", "#3b528b", "#2c728e", "#21918c", "#28ae80", "#5ec962", "#addc30", "#fde725"] },
+  { id: "magma", label: "Magma", type: "sequential", colorblindSafe: true, printFriendly: false,
+    colors: ["#000004", "#180f3d", "#440f76", "#721f81", "#9e2f7f", "#cd4071", "#f1605d", "#fd9668", "#fcfdbf"] },
+  { id: "cividis", label: "Cividis", type: "sequential", colorblindSafe: true, printFriendly: true,
+    colors: ["#00224e", "#123570", "#3b496c", "#575d6d", "#707173", "#8a8779", "#a69d75", "#c4b56c", "#fee838"] },
+  { id: "RdBu", label: "Red-Blue", type: "diverging", colorblindSafe: true, printFriendly: false,
+    colors: ["#67001f", "#b2182b", "#d6604d", "#f4a582", "#fddbc7", "#f7f7f7", "#d1e5f0", "#92c5de", "#4393c3", "#2166ac", "#053061"] },
+  { id: "BrBG", label: "Brown-Teal", type: "diverging", colorblindSafe: true, printFriendly: false,
+    colors: ["#543005", "#8c510a", "#bf812d", "#dfc27d", "#f6e8c3", "#f5f5f5", "#c7eae5", "#80cdc1", "#35978f", "#01665e", "#003c30"] },
+  { id: "PiYG", label: "Pink-Green", type: "diverging", colorblindSafe: true, printFriendly: false,
+    colors: ["#8e0152", "#c51b7d", "#de77ae", "#f1b6da", "#fde0ef", "#f7f7f7", "#e6f5d0", "#b8e186", "#7fbc41", "#4d9221", "#276419"] },
+  { id: "PuOr", label: "Orange-Purple", type: "diverging", colorblindSafe: true, printFriendly: true,
+    colors: ["#7f3b08", "#b35806", "#e08214", "#fdb863", "#fee0b6", "#f7f7f7", "#d8daeb", "#b2abd2", "#8073ac", "#542788", "#2d004b"] },
+  { id: "RdYlBu", label: "Red-Yellow-Blue", type: "diverging", colorblindSafe: true, printFriendly: false,
+    colors: ["#a50026", "#d73027", "#f46d43", "#fdae61", "#fee090", "#ffffbf", "#e0f3f8", "#abd9e9", "#74add1", "#4575b4", "#313695"] },
+  { id: "Spectral", label: "Spectral", type: "diverging", colorblindSafe: false, printFriendly: false,
+    colors: ["#9e0142", "#d53e4f", "#f46d43", "#fdae61", "#fee08b", "#ffffbf", "#e6f598", "#abdda4", "#66c2a5", "#3288bd", "#5e4fa2"] },
+  { id: "OkabeIto", label: "Okabe-Ito", type: "qualitative", colorblindSafe: true, printFriendly: true,
+    colors: ["#e69f00", "#56b4e9", "#009e73", "#f0e442", "#0072b2", "#d55e00", "#cc79a7", "#000000"] },
+  { id: "Dark2", label: "Dark", type: "qualitative", colorblindSafe: false, printFriendly: true,
+    colors: ["#1b9e77", "#d95f02", "#7570b3", "#e7298a", "#66a61e", "#e6ab02", "#a6761d", "#666666"] },
+  { id: "Set1", label: "Bold", type: "qualitative", colorblindSafe: false, printFriendly: true,
+    colors: ["#e41a1c", "#377eb8", "#4daf4a", "#984ea3", "#ff7f00", "#ffff33", "#a65628", "#f781bf", "#999999"] },
+  { id: "Set2", label: "Soft", type: "qualitative", colorblindSafe: false, printFriendly: false,
+    colors: ["#66c2a5", "#fc8d62", "#8da0cb", "#e78ac3", "#a6d854", "#ffd92f", "#e5c494", "#b3b3b3"] },
+  { id: "Paired", label: "Paired", type: "qualitative", colorblindSafe: false, printFriendly: true,
+    colors: ["#a6cee3", "#1f78b4", "#b2df8a", "#33a02c", "#fb9a99", "#e31a1c", "#fdbf6f", "#ff7f00", "#cab2d6", "#6a3d9a", "#ffff99", "#b15928"] }
+];
+const PALETTE_TYPE_LABELS = { sequential: "Sequential", diverging: "Diverging", qualitative: "Qualitative" };
+
+function getPaletteById(id) {
+  return COLOR_PALETTES.find(p => p.id === id) || null;
+}
+
+function getSelectedPalette() {
+  const sel = document.getElementById('palette-select');
+  return sel ? getPaletteById(sel.value) : null;
+}
+
+function isPaletteReversed() {
+  return !!document.getElementById('palette-reverse')?.checked;
+}
+
+function hslToHex(h, s, l) {
+  const a = s * Math.min(l, 1 - l);
+  const f = (n) => {
+    const k = (n + h / 30) % 12;
+    return 255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+  };
+  return rgbToHex([f(0), f(8), f(4)]);
+}
+
+// Extend a base list with golden-angle hues so every category gets its own color.
+function extendDistinctColors(base, n) {
+  const out = base.slice(0, n);
+  const seen = new Set(out.map(c => c.toLowerCase()));
+  const lightness = [0.45, 0.62, 0.32, 0.72];
+  for (let i = 0; out.length < n; i++) {
+    const hue = (i * 137.508) % 360;
+    const l = lightness[Math.floor(i / 7) % lightness.length];
+    const sat = 0.55 + (0.3 * ((i % 3) / 2));
+    let col = hslToHex(hue, sat, l);
+    for (let nudge = 1; seen.has(col); nudge++) col = hslToHex((hue + nudge) % 360, sat, l);
+    seen.add(col);
+    out.push(col);
+  }
+  return out;
+}
 
-        octx.fillStyle = '#ffffff';
-        octx.fillRect(0, 0, outW, outH);
-        octx.fillStyle = '#222222';
-        octx.font = '600 20px Segoe UI, sans-serif';
-        octx.textAlign = 'center';
-        octx.textBaseline = 'middle';
-        octx.fillText(titleText, Math.round(outW / 2), Math.round(titleH / 2));
+// Sample a palette as a continuous ramp at t in [0, 1].
+function samplePaletteRamp(palette, t, reversed = false) {
+  const stops = reversed ? palette.colors.slice().reverse() : palette.colors;
+  const pos = Math.max(0, Math.min(1, t)) * (stops.length - 1);
+  const i = Math.min(stops.length - 2, Math.floor(pos));
+  const a = hexToRgb(stops[i]);
+  const b = hexToRgb(stops[i + 1]);
+  const f = pos - i;
+  return rgbToHex([0, 1, 2].map(k => a[k] + (b[k] - a[k]) * f));
+}
 
-        octx.drawImage(cropped, 0, titleH);
+function getPaletteColors(palette, n, reversed = false) {
+  if (!palette || n < 1) return [];
+  if (palette.type === 'qualitative') {
+    const base = reversed ? palette.colors.slice().reverse() : palette.colors;
+    return extendDistinctColors(base, n);
+  }
+  if (n === 1) return [samplePaletteRamp(palette, 1, reversed)];
+  return Array.from({ length: n }, (_, i) => samplePaletteRamp(palette, i / (n - 1), reversed));
+}
 
-        // Draw north arrow where it is currently placed on the live map.
-        {
-          const naRect = northArrowEl ? northArrowEl.getBoundingClientRect() : null;
-          const naW = (naRect && naRect.width > 0) ? Math.max(22, Math.round(naRect.width * rawScaleX)) : 34;
-          const naH = (naRect && naRect.height > 0) ? Math.max(28, Math.round(naRect.height * rawScaleY)) : 44;
-          const naLeftCss = (naRect && mapRect) ? (naRect.left - mapRect.left) : (cssW - (naW / rawScaleX) - 12);
-          const naTopCss = (naRect && mapRect) ? (naRect.top - mapRect.top) : 12;
-          let naX = Math.round(naLeftCss * rawScaleX) - cropX;
-          let naY = titleH + Math.round(naTopCss * rawScaleY);
-          naX = Math.max(0, Math.min(outW - naW, naX));
-          naY = Math.max(titleH, Math.min((titleH + cropH) - naH, naY));
-          octx.fillStyle = '#ffffff';
-          octx.strokeStyle = '#cfd6e4';
-          octx.lineWidth = 1;
-          octx.beginPath();
-          octx.rect(naX, naY, naW, naH);
-          octx.fill();
-          octx.stroke();
+// Colors for n categories from the selected palette, or the default categorical colors.
+function getCategoricalColors(n) {
+  const palette = getSelectedPalette();
+  return palette ? getPaletteColors(palette, n, isPaletteReversed()) : generateColorPalette(n);
+}
 
-          octx.fillStyle = '#1e3a8a';
-          octx.font = '700 12px Segoe UI, sans-serif';
-          octx.textAlign = 'center';
-          octx.textBaseline = 'top';
-          octx.fillText('N', naX + Math.round(naW / 2), naY + 4);
+function populatePaletteSelect() {
+  const sel = document.getElementById('palette-select');
+  if (!sel) return;
+  const previous = sel.value;
+  const cbOnly = !!document.getElementById('palette-colorblind')?.checked;
+  const printOnly = !!document.getElementById('palette-print')?.checked;
+  sel.textContent = "";
 
-          const triTop = naY + 20;
-          const triW = 12;
-          const triH = 12;
-          const triCX = naX + Math.round(naW / 2);
-          octx.beginPath();
-          octx.moveTo(triCX, triTop);
-          octx.lineTo(triCX - Math.round(triW / 2), triTop + triH);
-          octx.lineTo(triCX + Math.round(triW / 2), triTop + triH);
-          octx.closePath();
-          octx.fill();
-        }
+  const defaultOpt = document.createElement('option');
+  defaultOpt.value = "";
+  defaultOpt.textContent = "Default";
+  sel.appendChild(defaultOpt);
 
-        if (disclaimerText) {
-          const pad = 6;
-          const lineH = 13;
-          const maxLines = 5;
-          const edgeDiscExpandLeftPx = 8;
-          const edgeDiscExpandWidthPx = 28;
-          const discRect = disclaimerEl ? disclaimerEl.getBoundingClientRect() : null;
-          const sourceDiscW = (discRect && discRect.width > 0) ? Math.round(discRect.width * rawScaleX) : Math.round(outW * 0.46);
-          const sourceDiscH = (discRect && discRect.height > 0) ? Math.round(discRect.height * rawScaleY) : Math.round(cropH * 0.15);
-          const maxW = Math.max(130, Math.min(Math.round(outW * 0.56), sourceDiscW + edgeDiscExpandWidthPx));
-          octx.font = 'italic 11px Segoe UI, sans-serif';
-          octx.textAlign = 'left';
-          octx.textBaseline = 'top';
-          const wrapped = wrapCanvasText(octx, disclaimerText, maxW - (pad * 2));
-          const truncated = wrapped.length > maxLines;
-          const lines = wrapped.slice(0, maxLines);
-          if (truncated && lines.length) {
-            lines[lines.length - 1] = lines[lines.length - 1].replace(/[\s.,;:!?-]*$/, '') + '...';
-          }
-          let boxH = (maxLines * lineH) + (pad * 2);
-          if (sourceDiscH > 0) {
-            boxH = Math.max(boxH, Math.min(Math.round(cropH * 0.32), sourceDiscH));
-          }
-          const discLeftCss = (discRect && mapRect) ? (discRect.left - mapRect.left) : 8;
-          const discTopCss = (discRect && mapRect) ? (discRect.top - mapRect.top) : (cssH - (boxH / rawScaleY) - 28);
-          let x = Math.round(discLeftCss * rawScaleX) - cropX - edgeDiscExpandLeftPx;
-          let y = titleH + Math.round(discTopCss * rawScaleY);
-          x = Math.max(0, Math.min(outW - maxW, x));
-          y = Math.max(titleH, Math.min((titleH + cropH) - boxH, y));
-          octx.fillStyle = 'rgba(255,255,255,0.93)';
-          octx.fillRect(x, y, maxW, boxH);
-          octx.fillStyle = '#333333';
-          const drawJustifiedLine = (ctx, line, startX, baselineY, maxTextW, isLast) => {
-            const words = String(line || '').trim().split(/\s+/).filter(Boolean);
-            if (isLast || words.length <= 1 || /\.\.\.$/.test(line)) {
-              ctx.fillText(line, startX, baselineY);
-              return;
-            }
-            const wordsWidth = words.reduce((sum, w) => sum + ctx.measureText(w).width, 0);
-            const gaps = words.length - 1;
-            const baseSpace = ctx.measureText(' ').width;
-            const minNaturalWidth = wordsWidth + (baseSpace * gaps);
-            if (minNaturalWidth >= maxTextW) {
-              ctx.fillText(line, startX, baselineY);
-              return;
-            }
-            const extraSpace = (maxTextW - minNaturalWidth) / gaps;
-            let cursor = startX;
-            for (let j = 0; j < words.length; j++) {
-              const w = words[j];
-              ctx.fillText(w, cursor, baselineY);
-              cursor += ctx.measureText(w).width;
-              if (j < gaps) cursor += baseSpace + extraSpace;
-            }
-          };
-          for (let i = 0; i < lines.length; i++) {
-            drawJustifiedLine(
-              octx,
-              lines[i],
-              x + pad,
-              y + pad + (i * lineH),
-              maxW - (pad * 2),
-              i === lines.length - 1
-            );
-          }
-        }
+  Object.keys(PALETTE_TYPE_LABELS).forEach(type => {
+    const group = document.createElement('optgroup');
+    group.label = PALETTE_TYPE_LABELS[type];
+    COLOR_PALETTES
+      .filter(p => p.type === type && (!cbOnly || p.colorblindSafe) && (!printOnly || p.printFriendly))
+      .forEach(p => {
+        const o = document.createElement('option');
+        o.value = p.id;
+        o.textContent = p.label;
+        group.appendChild(o);
+      });
+    if (group.children.length) sel.appendChild(group);
+  });
 
-        if (scaleText) {
-          const sbRect = scaleControlEl ? scaleControlEl.getBoundingClientRect() : null;
-          const sourceBoxW = (sbRect && sbRect.width > 0) ? Math.max(90, Math.round(sbRect.width * rawScaleX)) : 108;
-          const boxH = (sbRect && sbRect.height > 0) ? Math.max(18, Math.round(sbRect.height * rawScaleY)) : 20;
-          const scaleFontPx = Math.max(8, Math.round(8 * rawScaleY));
-          octx.font = `${scaleFontPx}px Segoe UI, sans-serif`;
-          const measuredW = Math.ceil(octx.measureText(scaleText).width) + 14;
-          const boxW = Math.max(sourceBoxW, measuredW);
-          const sbLeftCss = (sbRect && mapRect) ? (sbRect.left - mapRect.left) : ((cssW - (boxW / rawScaleX)) / 2);
-          const sbTopCss = (sbRect && mapRect) ? (sbRect.top - mapRect.top) : (cssH - (boxH / rawScaleY) - 8);
-          let x = Math.round(sbLeftCss * rawScaleX) - cropX;
-          let y = titleH + Math.round(sbTopCss * rawScaleY) - 8;
-          x = Math.max(0, Math.min(outW - boxW, x));
-          y = Math.max(titleH, Math.min((titleH + cropH) - boxH, y));
-          octx.fillStyle = 'rgba(255,255,255,0.95)';
-          octx.fillRect(x, y, boxW, boxH);
-          octx.strokeStyle = '#cfd6e4';
-          octx.lineWidth = 1;
-          octx.strokeRect(x, y, boxW, boxH);
-          octx.fillStyle = '#102a43';
-          octx.font = `${scaleFontPx}px Segoe UI, sans-serif`;
-          octx.textAlign = 'center';
-          octx.textBaseline = 'middle';
-          octx.fillText(scaleText, x + Math.round(boxW / 2), y + Math.round(boxH / 2));
-        }
+  sel.value = Array.from(sel.options).some(o => o.value === previous) ? previous : "";
+  updatePalettePreview();
+}
+
+function updatePalettePreview() {
+  const preview = document.getElementById('palette-preview');
+  if (!preview) return;
+  preview.textContent = "";
+  const palette = getSelectedPalette();
+  if (!palette) return;
+  getPaletteColors(palette, palette.type === 'qualitative' ? palette.colors.length : 9, isPaletteReversed())
+    .forEach(col => {
+      const sw = document.createElement('span');
+      sw.className = 'palette-swatch';
+      setDynamicStyle(sw, { "background-color": col });
+      preview.appendChild(sw);
+    });
+}
 
-        if (legendBlocks.length) {
-          let y = titleH + cropH + legendTopPad;
-          octx.textAlign = 'left';
-          octx.textBaseline = 'top';
+function updatePaletteControl() {
+  const wrap = 'palette-col';
+  const typeSel = document.getElementById('classification-type');
+  if (!currentAttribute || !typeSel || !typeSel.value || typeSel.value === 'bivariate') return hideRow(wrap);
+  showRow(wrap);
+}
 
-          legendBlocks.forEach((block, blockIdx) => {
-            if (blockIdx > 0) y += legendBlockGap;
+// --- Normalization (rates and densities) ---
+const NORMALIZE_BY_AREA = "__area__";
+const NORMALIZE_MULTIPLIERS = [1, 100, 1000, 10000, 100000, 1000000];
+const EARTH_RADIUS_KM = 6378.137;
+const featureAreaCache = new WeakMap();
+
+// Read the "normalize by" controls; null when values are classified as-is.
+function getNormalization() {
+  const sel = document.getElementById('normalize-select');
+  const typeSel = document.getElementById('classification-type');
+  const method = typeSel ? typeSel.value : "";
+  if (!sel || !sel.value || !method || method === 'unique' || method === 'bivariate') return null;
+  const byArea = sel.value === NORMALIZE_BY_AREA;
+  const denominator = byArea ? null : resolveAttributeKey(sel.value);
+  if (!byArea && !denominator) return null;
+  const multiplier = Number(document.getElementById('normalize-multiplier')?.value);
+  return {
+    byArea,
+    denominator,
+    multiplier: NORMALIZE_MULTIPLIERS.includes(multiplier) ? multiplier : 1
+  };
+}
 
-            octx.fillStyle = '#222222';
-            octx.font = '600 20px Segoe UI, sans-serif';
-            octx.fillText(String(block.title || 'Legend'), 6, y);
-            y += legendHeaderH;
+function getNormalizationUnit(norm) {
+  if (!norm) return "";
+  const denom = norm.byArea ? "km²" : humanizeLabel(norm.denominator);
+  if (norm.multiplier === 100 && !norm.byArea) return `% of ${denom}`;
+  if (norm.multiplier === 1) return `per ${denom}`;
+  return `per ${norm.multiplier.toLocaleString("en-US")} ${denom}`;
+}
 
-            octx.font = '400 15px Segoe UI, sans-serif';
-            block.rows.forEach((entry) => {
-              const color = entry.color || '#cccccc';
+// Spherical ring area (km²), as used by Leaflet.draw's geodesicArea.
+function geodesicRingAreaKm2(ring) {
+  if (!Array.isArray(ring) || ring.length < 3) return 0;
+  const rad = Math.PI / 180;
+  let total = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const p1 = ring[i];
+    const p2 = ring[(i + 1) % ring.length];
+    total += (p2[0] - p1[0]) * rad * (2 + Math.sin(p1[1] * rad) + Math.sin(p2[1] * rad));
+  }
+  return Math.abs((total * EARTH_RADIUS_KM * EARTH_RADIUS_KM) / 2);
+}
+
+function getFeatureAreaKm2(feature) {
+  if (!feature || !feature.geometry) return null;
+  if (featureAreaCache.has(feature)) return featureAreaCache.get(feature);
+  const geom = feature.geometry;
+  const polys = geom.type === "Polygon" ? [geom.coordinates]
+    : geom.type === "MultiPolygon" ? geom.coordinates
+    : null;
+  const area = polys
+    ? polys.reduce((sum, rings) => {
+        if (!Array.isArray(rings) || !rings.length) return sum;
+        const holes = rings.slice(1).reduce((h, ring) => h + geodesicRingAreaKm2(ring), 0);
+        return sum + Math.max(0, geodesicRingAreaKm2(rings[0]) - holes);
+      }, 0)
+    : null;
+  featureAreaCache.set(feature, area);
+  return area;
+}
+
+// Value a feature is classified by: the attribute, or attribute ÷ denominator × multiplier.
+function getClassValue(feature, attribute, norm) {
+  const raw = feature?.properties?.[attribute];
+  if (!norm) return raw;
+  if (raw == null || raw === "") return null;
+  const num = Number(raw);
+  const denom = norm.byArea ? getFeatureAreaKm2(feature) : Number(feature?.properties?.[norm.denominator]);
+  if (norm.byArea ? denom == null : feature?.properties?.[norm.denominator] == null) return null;
+  if (!Number.isFinite(num) || !Number.isFinite(denom) || denom === 0) return null;
+  return (num / denom) * norm.multiplier;
+}
+
+function populateNormalizeList() {
+  const sel = document.getElementById('normalize-select');
+  if (!sel) return;
+  const previous = sel.value;
+  sel.textContent = "";
+
+  const none = document.createElement('option');
+  none.value = "";
+  none.textContent = "None";
+  sel.appendChild(none);
+
+  const features = geojsonData?.features || [];
+  if (features.some(f => /Polygon/.test(f.geometry?.type || ""))) {
+    const area = document.createElement('option');
+    area.value = NORMALIZE_BY_AREA;
+    area.textContent = "Area (km²)";
+    sel.appendChild(area);
+  }
+
+  const props = features[0]?.properties || {};
+  Object.keys(props).filter(k => {
+    const v = props[k];
+    return k !== currentAttribute && v != null && v !== "" && !isNaN(Number(v));
+  }).forEach(k => {
+    const o = document.createElement('option');
+    o.value = String(k).replace(/[^\w\-]/g, "_");
+    o.textContent = k;
+    sel.appendChild(o);
+  });
+
+  sel.value = Array.from(sel.options).some(o => o.value === previous) ? previous : "";
+}
+
+function updateNormalizeControls() {
+  const wrap = 'normalize-col';
+  const typeSel = document.getElementById('classification-type');
+  const method = typeSel ? typeSel.value : "";
+  if (!currentAttribute || !method || method === 'unique' || method === 'bivariate') return hideRow(wrap);
+  populateNormalizeList();
+  showRow(wrap);
+}
+
+// --- Class breaks ---
+const NUMERIC_CLASS_METHODS = [
+  ["equal", "Equal Interval"],
+  ["jenks", "Natural Breaks"],
+  ["quantile", "Quantile"],
+  ["stddev", "Standard Deviation"],
+  ["geometric", "Geometric Progression"],
+  ["arithmetic", "Arithmetic Progression"],
+  ["interval", "Defined Interval"],
+  ["pretty", "Pretty Breaks"]
+];
+const MAX_INTERVAL_CLASSES = 20;
+const MAX_BREAK_DECIMALS = 12;
+
+// Strip floating point noise such as 0.30000000000000004.
+function cleanBreakValue(val) {
+  const num = Number(val);
+  return Number.isFinite(num) ? Number(num.toPrecision(12)) : num;
+}
+
+// Round a rough class width to 1, 2, 2.5 or 5 times a power of ten.
+function niceStep(rough) {
+  if (!(rough > 0) || !Number.isFinite(rough)) return 1;
+  const mag = Math.pow(10, Math.floor(Math.log10(rough)));
+  const norm = rough / mag;
+  const nice = norm <= 1 ? 1 : norm <= 2 ? 2 : norm <= 2.5 ? 2.5 : norm <= 5 ? 5 : 10;
+  return cleanBreakValue(nice * mag);
+}
+
+function buildStepBreaks(min, max, step) {
+  const start = Math.floor(min / step) * step;
+  let end = Math.ceil(max / step) * step;
+  if (end <= start) end = start + step;
+  const count = Math.round((end - start) / step);
+  if (count > MAX_INTERVAL_CLASSES) {
+    throw new Error(`A class width of ${cleanBreakValue(step)} gives ${count} classes (max ${MAX_INTERVAL_CLASSES}). Use a larger width.`);
+  }
+  return Array.from({ length: count + 1 }, (_, i) => cleanBreakValue(start + (i * step)));
+}
+
+function getClassWidth() {
+  const el = document.getElementById('class-width');
+  const val = el ? Number(el.value) : NaN;
+  return Number.isFinite(val) && val > 0 ? val : null;
+}
+
+// Std deviation classes from geostats, clamped to the data range and strictly increasing.
+function computeStdDevBreaks(gs, n, min, max) {
+  const raw = gs.getClassStdDeviation(n, true).map(Number);
+  const inner = raw.slice(1, -1).filter(b => Number.isFinite(b) && b > min && b < max);
+  return [min, ...inner, max];
+}
+
+// Throws with a user-facing message when the method cannot classify the values.
+function computeClassBreaks(values, method, n, options = {}) {
+  const numericVals = values.map(v => Number(v)).filter(v => Number.isFinite(v));
+  if (!numericVals.length) throw new Error("No numeric values to classify.");
+  const sourceIsIntegerOnly = numericVals.every(v => Math.abs(v - Math.round(v)) < 1e-9);
+  const min = numericVals.reduce((m, v) => Math.min(m, v), Infinity);
+  const max = numericVals.reduce((m, v) => Math.max(m, v), -Infinity);
+
+  // Step-based methods already produce human-friendly values; keep them as is.
+  if (method === 'interval') {
+    const width = Number(options.classWidth) > 0 ? Number(options.classWidth) : niceStep((max - min) / 5);
+    return buildStepBreaks(min, max, width);
+  }
+  if (method === 'pretty') {
+    return buildStepBreaks(min, max, niceStep((max - min) / n));
+  }
+  if (method === 'geometric' && min <= 0) {
+    throw new Error("Geometric progression needs values greater than zero.");
+  }
+
+  let breaks;
+  try {
+    const gs = new geostats(numericVals);
+    breaks = method === 'equal' ? gs.getClassEqInterval(n)
+      : method === 'jenks' ? gs.getClassJenks(n)
+      : method === 'stddev' ? computeStdDevBreaks(gs, n, min, max)
+      : method === 'geometric' ? gs.getClassGeometricProgression(n)
+      : method === 'arithmetic' ? gs.getClassArithmeticProgression(n)
+      : gs.getClassQuantile(n);
+  } catch (err) {
+    console.error("Geostats error:", err);
+    throw new Error("Could not compute class breaks for this attribute.");
+  }
+
+  // Std deviation bounds sit between data values; integer rounding would shift them.
+  const roundToInteger = sourceIsIntegerOnly && method !== 'stddev';
+  const decimals = getBreakRoundingDecimals(breaks);
+  const last = breaks.length - 1;
+  return breaks.map((b, i) => {
+    const num = Number(b);
+    if (!Number.isFinite(num)) return num;
+    if (roundToInteger) return Math.round(num);
+    // Outer bounds round outwards so the smallest and largest values stay in a class.
+    return roundBreakValue(num, decimals, i === 0 ? Math.floor : i === last ? Math.ceil : Math.round);
+  });
+}
+
+// Decimals that keep neighbouring breaks apart: one more than the smallest gap needs
+// (at least one, as before), so rates such as 0.00012 are not rounded to 0.
+function getBreakRoundingDecimals(breaks) {
+  const nums = (breaks || []).map(Number).filter(Number.isFinite);
+  let scale = Infinity;
+  for (let i = 1; i < nums.length; i++) {
+    const gap = Math.abs(nums[i] - nums[i - 1]);
+    if (gap > 0) scale = Math.min(scale, gap);
+  }
+  if (!Number.isFinite(scale)) scale = nums.reduce((m, v) => Math.max(m, Math.abs(v)), 0) || 1;
+  return Math.max(1, Math.min(MAX_BREAK_DECIMALS, Math.ceil(-Math.log10(scale)) + 1));
+}
+
+function roundBreakValue(val, decimals, mode = Math.round) {
+  const factor = Math.pow(10, decimals);
+  const rounded = cleanBreakValue(mode(cleanBreakValue(val * factor)) / factor);
+  return Object.is(rounded, -0) ? 0 : rounded;
+}
+
+// Decimals needed to show every break exactly (at least the usual one decimal).
+function getBreakDecimals(breaks) {
+  let decimals = 0;
+  (breaks || []).forEach((b) => {
+    const num = cleanBreakValue(b);
+    if (!Number.isFinite(num)) return;
+    let d = 0;
+    while (d < MAX_BREAK_DECIMALS && roundBreakValue(num, d) !== num) d++;
+    decimals = Math.max(decimals, d);
+  });
+  return decimals;
+}
+
+function formatClassBreak(val, decimals) {
+  const num = Number(val);
+  if (!Number.isFinite(num) || !(decimals > 1)) return formatLegendClassValue(val);
+  return num.toFixed(decimals);
+}
+
+// Legend/table label for class i, with standard deviation positions when relevant.
+function formatNumericClassLabel(state, breaks, i, separator = " – ") {
+  const decimals = getBreakDecimals(breaks);
+  let label = `${formatClassBreak(breaks[i], decimals)}${separator}${formatClassBreak(breaks[i + 1], decimals)}`;
+  const stats = state?.method === 'stddev' ? state.stdDevStats : null;
+  if (stats && stats.sd > 0) {
+    const z = (v) => {
+      const val = roundToOneDecimal((Number(v) - stats.mean) / stats.sd);
+      return (val > 0 ? "+" : "") + formatLegendClassValue(val);
+    };
+    label += ` (${z(breaks[i])} to ${z(breaks[i + 1])} SD)`;
+  }
+  return label;
+}
+
+// Diverging colors for std deviation classes, centered on the mean
+// (blue-white-red unless a palette is given).
+function buildDivergingClassColors(breaks, stats, palette = null, reversed = false) {
+  const neg = hexToRgb("#2166ac");
+  const mid = hexToRgb("#f7f7f7");
+  const pos = hexToRgb("#b2182b");
+  const zs = [];
+  for (let i = 0; i < breaks.length - 1; i++) {
+    const center = (Number(breaks[i]) + Number(breaks[i + 1])) / 2;
+    zs.push(stats.sd > 0 ? (center - stats.mean) / stats.sd : 0);
+  }
+  const maxAbs = zs.reduce((m, z) => Math.max(m, Math.abs(z)), 0) || 1;
+  if (palette) return zs.map(z => samplePaletteRamp(palette, 0.5 + (0.5 * z / maxAbs), reversed));
+  return zs.map((z) => {
+    const t = Math.min(1, Math.abs(z) / maxAbs);
+    const end = z < 0 ? neg : pos;
+    return rgbToHex([0, 1, 2].map(k => mid[k] + (end[k] - mid[k]) * t));
+  });
+}
+
+// --- Bivariate helpers ---
+const BIVARIATE_SIZES = new Set([3, 4]);
+const BIVARIATE_METHODS = new Set(["equal", "jenks", "quantile"]);
+// Corner colors: low/low, high first attribute, high second attribute, high/high.
+const BIVARIATE_CORNERS = ["#e8e8e8", "#c85a5a", "#64acbe", "#3b4994"];
+
+function resolveAttributeKey(sanitizedValue) {
+  const props = geojsonData?.features?.[0]?.properties || {};
+  return Object.keys(props).find(k => String(k).replace(/[^\w\-]/g, "_") === sanitizedValue) || null;
+}
+
+function getSecondAttribute() {
+  const sel = document.getElementById('attribute2-select');
+  return sel && sel.value ? resolveAttributeKey(sel.value) : null;
+}
+
+function getBivariateConfig(data) {
+  const attribute2 = getSecondAttribute();
+  if (!currentAttribute || !attribute2) return null;
+  const sizeEl = document.getElementById('bivariate-size');
+  const methodEl = document.getElementById('bivariate-method');
+  const size = BIVARIATE_SIZES.has(Number(sizeEl?.value)) ? Number(sizeEl.value) : 3;
+  const method = BIVARIATE_METHODS.has(methodEl?.value) ? methodEl.value : "quantile";
+
+  const xs = [];
+  const ys = [];
+  (data?.features || []).forEach(f => {
+    const x = Number(f.properties?.[currentAttribute]);
+    const y = Number(f.properties?.[attribute2]);
+    if (f.properties?.[currentAttribute] == null || f.properties?.[attribute2] == null) return;
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return;
+    xs.push(x);
+    ys.push(y);
+  });
+  if (!xs.length) return null;
+
+  try {
+    const breaksX = computeClassBreaks(xs, method, size);
+    const breaksY = computeClassBreaks(ys, method, size);
+    return { attribute2, size, method, breaksX, breaksY };
+  } catch (err) {
+    console.warn("Bivariate classification failed:", err);
+    return null;
+  }
+}
+
+function hexToRgb(hex) {
+  const m = /^#?([0-9A-Fa-f]{2})([0-9A-Fa-f]{2})([0-9A-Fa-f]{2})$/.exec(String(hex || ""));
+  return m ? [parseInt(m[1], 16), parseInt(m[2], 16), parseInt(m[3], 16)] : [204, 204, 204];
+}
+
+function rgbToHex(rgb) {
+  return "#" + rgb.map(c => Math.max(0, Math.min(255, Math.round(c))).toString(16).padStart(2, "0")).join("");
+}
+
+// Bilinear blend of the corner colors; index = row (second attribute) * size + column.
+function buildBivariatePalette(size) {
+  const [c00, c10, c01, c11] = BIVARIATE_CORNERS.map(hexToRgb);
+  const out = [];
+  for (let row = 0; row < size; row++) {
+    const ty = size > 1 ? row / (size - 1) : 0;
+    for (let col = 0; col < size; col++) {
+      const tx = size > 1 ? col / (size - 1) : 0;
+      out.push(rgbToHex([0, 1, 2].map(k =>
+        c00[k] * (1 - tx) * (1 - ty) + c10[k] * tx * (1 - ty) + c01[k] * (1 - tx) * ty + c11[k] * tx * ty
+      )));
+    }
+  }
+  return out;
+}
+
+function bivariateColorForProps(state, attribute, props) {
+  if (!state || !props || props[attribute] == null || props[state.attribute2] == null) return '#ccc';
+  const ix = getClassIndexForValue(state.breaksX, props[attribute]);
+  const iy = getClassIndexForValue(state.breaksY, props[state.attribute2]);
+  if (ix < 0 || iy < 0) return '#ccc';
+  return state.cols[iy * state.size + ix] || '#ccc';
+}
+
+function buildBivariateLegendGrid(state, attribute) {
+  const wrap = document.createElement('div');
+  wrap.className = 'legend-bivariate';
+
+  const yLabel = document.createElement('div');
+  yLabel.className = 'legend-bivariate-axis legend-bivariate-axis-y';
+  yLabel.textContent = `${humanizeLabel(state.attribute2)} →`;
+
+  const grid = document.createElement('div');
+  grid.className = 'legend-bivariate-grid';
+  setDynamicStyle(grid, { "grid-template-columns": `repeat(${state.size}, 16px)` });
+  const decimalsX = getBreakDecimals(state.breaksX);
+  const decimalsY = getBreakDecimals(state.breaksY);
+  // Highest class of the second attribute on top.
+  for (let row = state.size - 1; row >= 0; row--) {
+    for (let col = 0; col < state.size; col++) {
+      const cell = document.createElement('div');
+      cell.className = 'legend-bivariate-cell';
+      const color = state.cols[row * state.size + col];
+      setDynamicStyle(cell, { "background-color": /^#[0-9A-Fa-f]{6}$/.test(color) ? color : '#ccc' });
+      cell.title = `${humanizeLabel(attribute)} ${formatClassBreak(state.breaksX[col], decimalsX)} – ${formatClassBreak(state.breaksX[col + 1], decimalsX)}; ` +
+        `${humanizeLabel(state.attribute2)} ${formatClassBreak(state.breaksY[row], decimalsY)} – ${formatClassBreak(state.breaksY[row + 1], decimalsY)}`;
+      grid.appendChild(cell);
+    }
+  }
+
+  const xLabel = document.createElement('div');
+  xLabel.className = 'legend-bivariate-axis legend-bivariate-axis-x';
+  xLabel.textContent = `${humanizeLabel(attribute)} →`;
+
+  const body = document.createElement('div');
+  body.className = 'legend-bivariate-body';
+  body.append(grid, xLabel);
+  wrap.append(yLabel, body);
+  return wrap;
+}
+
+//Classification Application (fixed to respect line-width before/after classification)
+function applyClassification() {
+  if (!currentLayerName || !geojsonData || !Array.isArray(geojsonData.features)) return;
+
+  // Ensure geojsonLayer default style is set
+  if (geojsonLayer && typeof geojsonLayer.setStyle === 'function') {
+    try { geojsonLayer.setStyle(defaultStyle); } catch (e) {}
+  }
+
+  const sel = document.getElementById('classification-type');
+  if (!sel) return;
+  const method = sel.value;
+
+  if (!currentAttribute) {
+    console.warn("No attribute selected for classification");
+    // Even if no attribute, still refresh styles so line-width changes apply
+    refreshStyles();
+    return;
+  }
+
+  const filteredGeojson = getFilteredGeojson(geojsonData);
+  const normalization = getNormalization();
+  const valueOf = (f) => getClassValue(f, currentAttribute, normalization);
+  const vals = filteredGeojson.features
+    .map(valueOf)
+    .filter(v => v != null);
+
+  if (!vals.length) {
+    console.warn("No valid values found for classification");
+    if (normalization) showPopup("No features have a usable value and non-zero denominator to normalize by.", "error");
+    refreshStyles();
+    return;
+  }
+
+  const bivariateConfig = method === 'bivariate' ? getBivariateConfig(filteredGeojson) : null;
+  if (method === 'bivariate' && !bivariateConfig) {
+    showPopup("Bivariate mode needs a second numeric attribute with values.", "error");
+    refreshStyles();
+    return;
+  }
+
+  let n = 0;
+  let breaks = null;
+  if (method !== 'unique' && method !== 'bivariate') {
+    const numEl = document.getElementById('num-classes');
+    const requestedN = numEl ? (+numEl.value || 5) : 5;
+    n = Math.min(10, Math.max(2, requestedN));
+    if (numEl && Number(numEl.value) !== n) numEl.value = String(n);
+    try {
+      breaks = computeClassBreaks(vals, method, n, { classWidth: getClassWidth() });
+    } catch (err) {
+      showPopup(String(err?.message || err), "error");
+      refreshStyles();
+      return;
+    }
+  }
+
+  // Remember the classification settings per layer so projects can rebuild them.
+  if (overlayData[currentLayerName]) {
+    overlayData[currentLayerName].attribute = currentAttribute;
+    overlayData[currentLayerName].method = method;
+    overlayData[currentLayerName].normalization = normalization;
+    overlayData[currentLayerName].paletteId = getSelectedPalette()?.id || null;
+    overlayData[currentLayerName].paletteReversed = isPaletteReversed();
+  }
+
+  // Clear previous rendered layers in the layerGroup
+  if (layerGroup && typeof layerGroup.clearLayers === 'function') {
+    layerGroup.clearLayers();
+  } else {
+    layerGroup = L.featureGroup().addTo(map);
+  }
+
+  // --- Categorical classification ---
+  if (method === 'unique') {
+    const sourceUniques = [...new Set(vals)];
+    const state = overlayData[currentLayerName] || null;
+    const priorVals = Array.isArray(state?.vals) ? state.vals.slice() : null;
+    const priorCols = Array.isArray(state?.cols) ? state.cols.slice() : null;
+    const sourceKeys = new Set(sourceUniques.map(categoryKey));
+    const priorKeys = priorVals ? new Set(priorVals.map(categoryKey)) : null;
+    const canReusePriorOrder = !!(
+      priorVals &&
+      priorVals.length === sourceUniques.length &&
+      priorKeys &&
+      priorKeys.size === sourceKeys.size &&
+      Array.from(sourceKeys).every((k) => priorKeys.has(k))
+    );
+    const uniques = canReusePriorOrder ? priorVals.slice() : sourceUniques.slice();
+    let cols;
+    if (priorVals && priorCols && priorVals.length === priorCols.length) {
+      const colorByKey = new Map();
+      priorVals.forEach((v, idx) => {
+        const col = priorCols[idx];
+        if (/^#[0-9A-Fa-f]{6}$/.test(col)) colorByKey.set(categoryKey(v), col);
+      });
+      const fallback = getCategoricalColors(uniques.length);
+      cols = uniques.map((u, i) => {
+        const mapped = colorByKey.get(categoryKey(u));
+        if (mapped) return mapped;
+        if (categoricalUserColors && /^#[0-9A-Fa-f]{6}$/.test(categoricalUserColors[i])) return categoricalUserColors[i];
+        return fallback[i] || '#ccc';
+      });
+    } else {
+      cols = (categoricalUserColors && categoricalUserColors.length === uniques.length)
+        ? categoricalUserColors.slice()
+        : getCategoricalColors(uniques.length);
+    }
+    categoricalUserColors = cols.slice();
+
+    createDataLayer(currentLayerName, filteredGeojson, {
+      interactive: true,
+      bubblingMouseEvents: false,
+      style: f => {
+        const idx = uniques.indexOf(f.properties?.[currentAttribute]);
+        const col = cols[idx] || '#ccc';
+        const t = f.geometry?.type || "";
+        if (/LineString/.test(t)) return { color: col, weight: getLineWidth() };
+        if (/Polygon/.test(t)) return { weight: 0, fillColor: col, fillOpacity: 0.6 };
+        return { color: '#000', weight: 1, fillColor: col, fillOpacity: 0.6 };
+      },
+      pointToLayer: (f, latlng) => {
+        const idx = uniques.indexOf(f.properties?.[currentAttribute]);
+        const col = cols[idx] || '#ccc';
+        return L.circleMarker(latlng, {
+          radius: getPointRadius(),
+          fillColor: col,
+          color: '#000',
+          weight: 1,
+          fillOpacity: 0.6,
+          interactive: true,
+          bubblingMouseEvents: false
+        });
+      },
+      onEachFeature: bindFeaturePopup
+        }).addTo(layerGroup);
+
+    if (overlayData[currentLayerName]) {
+      overlayData[currentLayerName].vals = uniques;
+      overlayData[currentLayerName].cols = cols;
+      overlayData[currentLayerName].isNumeric = false;
+      overlayData[currentLayerName].symbolSizeMode = "fixed";
+      overlayData[currentLayerName].legendGeomType = filteredGeojson?.features?.[0]?.geometry?.type || overlayData[currentLayerName].legendGeomType || 'Polygon';
+      if (
+        !Array.isArray(overlayData[currentLayerName].legendLabels) ||
+        overlayData[currentLayerName].legendLabels.length !== uniques.length
+      ) {
+        overlayData[currentLayerName].legendLabels = uniques.map((u) => sanitizePlainText(u, "Category"));
+      }
+    }
+
+    updateLegend(currentLayerName, uniques, cols, false, filteredGeojson);
+    updateClassificationTableCategorical(uniques, cols);
+  }
+
+  // --- Bivariate classification ---
+  else if (method === 'bivariate') {
+    const { size } = bivariateConfig;
+    const basePalette = buildBivariatePalette(size);
+    const userCols = Array.isArray(bivariateUserColors) && bivariateUserColors.length === size * size
+      ? bivariateUserColors
+      : [];
+    const cols = basePalette.map((c, i) => /^#[0-9A-Fa-f]{6}$/.test(userCols[i]) ? userCols[i] : c);
+    bivariateUserColors = cols.slice();
+    const bivariateState = { ...bivariateConfig, cols };
+
+    createDataLayer(currentLayerName, filteredGeojson, {
+      interactive: true,
+      bubblingMouseEvents: false,
+      style: f => {
+        const col = bivariateColorForProps(bivariateState, currentAttribute, f.properties);
+        const t = f.geometry?.type || "";
+        if (/LineString/.test(t)) return { color: col, weight: getLineWidth() };
+        if (/Polygon/.test(t)) return { weight: 0, fillColor: col, fillOpacity: 0.8 };
+        return { color: '#000', weight: 1, fillColor: col, fillOpacity: 0.8 };
+      },
+      pointToLayer: (f, latlng) => L.circleMarker(latlng, {
+        radius: getPointRadius(),
+        fillColor: bivariateColorForProps(bivariateState, currentAttribute, f.properties),
+        color: '#000',
+        weight: 1,
+        fillOpacity: 0.8,
+        interactive: true,
+        bubblingMouseEvents: false
+      }),
+      onEachFeature: bindFeaturePopup
+    }).addTo(layerGroup);
+
+    if (overlayData[currentLayerName]) {
+      overlayData[currentLayerName].vals = bivariateConfig.breaksX;
+      overlayData[currentLayerName].cols = cols;
+      overlayData[currentLayerName].isNumeric = false;
+      overlayData[currentLayerName].bivariate = bivariateState;
+      overlayData[currentLayerName].symbolSizeMode = "fixed";
+      overlayData[currentLayerName].legendGeomType = filteredGeojson?.features?.[0]?.geometry?.type || overlayData[currentLayerName].legendGeomType || 'Polygon';
+    }
+
+    updateLegend(currentLayerName, bivariateConfig.breaksX, cols, false, filteredGeojson);
+    updateClassificationTableBivariate(bivariateState);
+  }
+
+  // --- Numeric classification ---
+  else {
+    const numericVals = vals.map(v => Number(v)).filter(v => Number.isFinite(v));
+    const mean = numericVals.reduce((a, v) => a + v, 0) / numericVals.length;
+    const sd = Math.sqrt(numericVals.reduce((a, v) => a + ((v - mean) * (v - mean)), 0) / numericVals.length);
+    const stdDevStats = method === 'stddev' ? { mean, sd } : null;
+
+    const classCount = Math.max(1, breaks.length - 1);
+    // 10-step sequential palette for numeric classes
+    const defaultCols = [
+      "#fff5f0", "#fee0d2", "#fcbba1", "#fc9272", "#fb6a4a",
+      "#ef3b2c", "#cb181d", "#a50f15", "#7f0000", "#4d0000"
+    ];
+    const palette = getSelectedPalette();
+    const baseCols = stdDevStats
+      ? buildDivergingClassColors(breaks, stdDevStats, palette, isPaletteReversed())
+      : palette
+        ? getPaletteColors(palette, classCount, isPaletteReversed())
+        : defaultCols.length >= classCount
+          ? defaultCols.slice(0, classCount)
+          : generateColorPalette(classCount);
+    const userCols = Array.isArray(numericUserColors)
+      ? numericUserColors.slice(0, classCount)
+      : [];
+    const cols = Array.from({ length: classCount }, (_, i) => userCols[i] || baseCols[i] || '#ccc');
+    numericUserColors = cols.slice();
+
+    const hasPoints = filteredGeojson.features.some(f => /Point/.test(f.geometry?.type || ""));
+    const sizeState = {
+      isNumeric: true,
+      vals: breaks,
+      symbolSizeMode: hasPoints ? getSymbolSizeMode() : "fixed",
+      symbolMinRadius: getPointRadius(),
+      symbolMaxRadius: getMaxSymbolRadius(),
+      symbolMaxValue: numericVals.reduce((m, v) => Math.max(m, Math.abs(v)), 0)
+    };
+    // Draw large symbols first so small ones stay clickable on top.
+    const renderGeojson = sizeState.symbolSizeMode === "fixed"
+      ? filteredGeojson
+      : {
+          ...filteredGeojson,
+          features: filteredGeojson.features.slice().sort((a, b) =>
+            (Math.abs(Number(valueOf(b))) || 0) -
+            (Math.abs(Number(valueOf(a))) || 0))
+        };
+
+    function colorForVal(val) {
+      if (val == null || val === "") return '#ccc';
+      for (let i = 0; i < breaks.length - 1; i++) {
+        if (val >= breaks[i] && val <= breaks[i + 1]) return cols[i];
+      }
+      return '#ccc';
+    }
+
+    createDataLayer(currentLayerName, renderGeojson, {
+      interactive: true,
+      bubblingMouseEvents: false,
+      style: f => {
+        const col = colorForVal(valueOf(f));
+        const t = f.geometry?.type || "";
+        if (/LineString/.test(t)) return { color: col, weight: getLineWidth() };
+        if (/Polygon/.test(t)) return { weight: 0, fillColor: col, fillOpacity: 0.6 };
+        return { color: '#000', weight: 1, fillColor: col, fillOpacity: 0.6 };
+      },
+      pointToLayer: (f, latlng) => {
+        const col = colorForVal(valueOf(f));
+        return L.circleMarker(latlng, {
+          radius: pointRadiusForValue(sizeState, valueOf(f)),
+          fillColor: col,
+          color: '#000',
+          weight: 1,
+          fillOpacity: 0.6,
+          interactive: true,
+          bubblingMouseEvents: false
+        });
+      },
+    onEachFeature: bindFeaturePopup
+    }).addTo(layerGroup);
+
+    if (overlayData[currentLayerName]) {
+      overlayData[currentLayerName].vals = breaks;
+      overlayData[currentLayerName].cols = cols;
+      overlayData[currentLayerName].isNumeric = true;
+      overlayData[currentLayerName].numClasses = n;
+      overlayData[currentLayerName].classWidth = method === 'interval' ? getClassWidth() : null;
+      overlayData[currentLayerName].stdDevStats = stdDevStats;
+      overlayData[currentLayerName].symbolSizeMode = sizeState.symbolSizeMode;
+      overlayData[currentLayerName].symbolMinRadius = sizeState.symbolMinRadius;
+      overlayData[currentLayerName].symbolMaxRadius = sizeState.symbolMaxRadius;
+      overlayData[currentLayerName].symbolMaxValue = sizeState.symbolMaxValue;
+      overlayData[currentLayerName].legendGeomType = filteredGeojson?.features?.[0]?.geometry?.type || overlayData[currentLayerName].legendGeomType || 'Polygon';
+    }
+
+    updateLegend(currentLayerName, breaks, cols, true, filteredGeojson);
+    updateClassificationTableNumeric(breaks, cols);
+  }
+
+  const tbl = document.getElementById('table-container');
+  if (tbl) setDynamicStyle(tbl, { display: "block" });
+  applyLayerStackOrder();
+  refreshAttributeTable();
+  scheduleSessionAutosave();
+}
+//Classification Tables and Helpers
+function updateClassificationTableNumeric(brks, cols) {
+  const thead = document.querySelector('#table-container thead');
+  const tbody = document.getElementById('classification-table');
+  if (!thead || !tbody) return;
+
+  thead.textContent = "";
+  tbody.textContent = "";
+
+  const headerRow = document.createElement('tr');
+  const unit = getNormalizationUnit(overlayData[currentLayerName]?.normalization);
+  ["Class", unit ? `Range (${unit})` : "Range", "Color"].forEach(label => {
+    const th = document.createElement('th');
+    th.textContent = label;
+    headerRow.appendChild(th);
+  });
+  thead.appendChild(headerRow);
+
+  brks.slice(0, -1).forEach((_, i) => {
+    const tr = document.createElement('tr');
+
+    const tdC = document.createElement('td');
+    tdC.textContent = 'Class ' + (i + 1);
+
+    const tdR = document.createElement('td');
+    // Numeric class ranges are read-only to prevent accidental/unsafe edits.
+    tdR.contentEditable = 'false';
+    tdR.textContent = formatNumericClassLabel(overlayData[currentLayerName], brks, i, " - ");
+
+    const tdCol = document.createElement('td');
+    const inputCol = document.createElement('input');
+    inputCol.type = 'color';
+    inputCol.value = /^#[0-9A-Fa-f]{6}$/.test(cols[i]) ? cols[i] : "#ccc";
+    inputCol.setAttribute("aria-label", `Color for class ${i+1}`);
+    inputCol.addEventListener('change', () => {
+      cols[i] = inputCol.value;
+      numericUserColors = cols.slice();
+      applyClassification();
+    });
+    tdCol.append(inputCol);
+
+    tr.append(tdC, tdR, tdCol);
+    tbody.append(tr);
+  });
+}
+
+function updateClassificationTableBivariate(state) {
+  const thead = document.querySelector('#table-container thead');
+  const tbody = document.getElementById('classification-table');
+  if (!thead || !tbody || !state) return;
+
+  thead.textContent = "";
+  tbody.textContent = "";
+  const decimalsX = getBreakDecimals(state.breaksX);
+  const decimalsY = getBreakDecimals(state.breaksY);
+
+  const headerRow = document.createElement('tr');
+  const corner = document.createElement('th');
+  corner.textContent = `${humanizeLabel(state.attribute2)} / ${humanizeLabel(currentAttribute)}`;
+  headerRow.appendChild(corner);
+  for (let col = 0; col < state.size; col++) {
+    const th = document.createElement('th');
+    th.textContent = `${formatClassBreak(state.breaksX[col], decimalsX)} - ${formatClassBreak(state.breaksX[col + 1], decimalsX)}`;
+    headerRow.appendChild(th);
+  }
+  thead.appendChild(headerRow);
+
+  for (let row = state.size - 1; row >= 0; row--) {
+    const tr = document.createElement('tr');
+    const th = document.createElement('th');
+    th.textContent = `${formatClassBreak(state.breaksY[row], decimalsY)} - ${formatClassBreak(state.breaksY[row + 1], decimalsY)}`;
+    tr.appendChild(th);
+    for (let col = 0; col < state.size; col++) {
+      const idx = row * state.size + col;
+      const td = document.createElement('td');
+      const inputCol = document.createElement('input');
+      inputCol.type = 'color';
+      inputCol.value = /^#[0-9A-Fa-f]{6}$/.test(state.cols[idx]) ? state.cols[idx] : "#cccccc";
+      inputCol.setAttribute("aria-label", `Color for class ${col + 1} of ${humanizeLabel(currentAttribute)} and class ${row + 1} of ${humanizeLabel(state.attribute2)}`);
+      inputCol.addEventListener('change', () => {
+        const next = state.cols.slice();
+        next[idx] = inputCol.value;
+        bivariateUserColors = next;
+        applyClassification();
+      });
+      td.appendChild(inputCol);
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
+}
+
+function updateClassificationTableDefaultSymbol(label, color) {
+  const thead = document.querySelector('#table-container thead');
+  const tbody = document.getElementById('classification-table');
+  const tbl = document.getElementById('table-container');
+  if (!thead || !tbody || !currentLayerName) return;
+
+  thead.textContent = "";
+  tbody.textContent = "";
+
+  const headerRow = document.createElement('tr');
+  ["Symbol", "Label", "Color"].forEach((title) => {
+    const th = document.createElement('th');
+    th.textContent = title;
+    headerRow.appendChild(th);
+  });
+  thead.appendChild(headerRow);
+
+  const row = document.createElement('tr');
+
+  const tdSym = document.createElement('td');
+  const sym = document.createElement('div');
+  sym.className = 'legend-sym';
+  const geomType = overlayData[currentLayerName]?.legendGeomType || geojsonData?.features?.[0]?.geometry?.type || 'Polygon';
+  const symbolKind = getLegendSymbolKindFromGeometryType(geomType);
+  if (symbolKind === 'line') sym.classList.add('legend-sym-line');
+  else if (symbolKind === 'point') sym.classList.add('legend-sym-point');
+  else sym.classList.add('legend-sym-polygon');
+  if (symbolKind === 'line') {
+    setDynamicStyle(sym, {
+      "color": /^#[0-9A-Fa-f]{6}$/.test(color) ? color : '#ccc',
+      "background-color": "transparent"
+    });
+  } else {
+    setDynamicStyle(sym, { "background-color": /^#[0-9A-Fa-f]{6}$/.test(color) ? color : '#ccc' });
+  }
+  tdSym.appendChild(sym);
+
+  const tdLabel = document.createElement('td');
+  tdLabel.contentEditable = 'true';
+  tdLabel.setAttribute('role', 'textbox');
+  tdLabel.setAttribute('aria-label', 'Legend label');
+  tdLabel.spellcheck = false;
+  tdLabel.textContent = sanitizePlainText(label, 'Features');
+  tdLabel.addEventListener('paste', (e) => {
+    e.preventDefault();
+    const text = (e.clipboardData || window.clipboardData)?.getData('text') || '';
+    insertTextAtCaret(tdLabel, text);
+  });
+  tdLabel.addEventListener('blur', () => {
+    const next = sanitizePlainText(tdLabel.textContent, 'Features');
+    tdLabel.textContent = next;
+    const state = overlayData[currentLayerName];
+    if (!state) return;
+    state.defaultSymbolLabel = next;
+    state.legendLabels = [next];
+    state.vals = [next];
+    updateLegend(currentLayerName, state.vals, state.cols || [color], false, state.geojson);
+  });
+
+  const tdColor = document.createElement('td');
+  const inputCol = document.createElement('input');
+  inputCol.type = 'color';
+  inputCol.value = /^#[0-9A-Fa-f]{6}$/.test(color) ? color : '#cccccc';
+  inputCol.setAttribute('aria-label', 'Legend color');
+  inputCol.addEventListener('change', () => {
+    const nextColor = inputCol.value;
+    const state = overlayData[currentLayerName];
+    if (!state) return;
+    state.defaultSymbolColor = nextColor;
+    state.cols = [nextColor];
+    renderDefaultFilteredLayer();
+  });
+  tdColor.appendChild(inputCol);
+
+  row.append(tdSym, tdLabel, tdColor);
+  tbody.appendChild(row);
+  if (tbl) setDynamicStyle(tbl, { display: "block" });
+}
+
+function updateClassificationTableCategorical(uniques, cols) {
+  const thead = document.querySelector('#table-container thead');
+  const tbody = document.getElementById('classification-table');
+  if (!thead || !tbody) return;
+
+  thead.textContent = "";
+  tbody.textContent = "";
+
+  const headerRow = document.createElement('tr');
+  ["Category", "Color", "Order"].forEach(label => {
+    const th = document.createElement('th');
+    th.textContent = label;
+    headerRow.appendChild(th);
+  });
+  thead.appendChild(headerRow);
+
+  uniques.forEach((u, i) => {
+    const tr = document.createElement('tr');
+
+    const tdC = document.createElement('td');
+    // Categorical labels are editable, but sanitized to plain text.
+    const layerState = overlayData[currentLayerName] || null;
+    const existingLabel = Array.isArray(layerState?.legendLabels) ? layerState.legendLabels[i] : null;
+    const defaultLabel = sanitizePlainText(existingLabel != null ? existingLabel : u, "Category");
+    tdC.contentEditable = 'true';
+    tdC.setAttribute('role', 'textbox');
+    tdC.setAttribute('aria-label', `Category label ${i + 1}`);
+    tdC.spellcheck = false;
+    tdC.textContent = defaultLabel;
+    tdC.addEventListener('paste', (e) => {
+      e.preventDefault();
+      const text = (e.clipboardData || window.clipboardData)?.getData('text') || '';
+      insertTextAtCaret(tdC, text);
+    });
+    tdC.addEventListener('blur', () => {
+      const next = sanitizePlainText(tdC.textContent, defaultLabel);
+      tdC.textContent = next;
+      if (layerState) {
+        if (!Array.isArray(layerState.legendLabels)) {
+          layerState.legendLabels = uniques.map((val) => sanitizePlainText(val, "Category"));
+        }
+        layerState.legendLabels[i] = next;
+        updateLegend(currentLayerName, layerState.vals || uniques, layerState.cols || cols, false, layerState.geojson);
+      }
+    });
+
+    const tdCol = document.createElement('td');
+    const inputCol = document.createElement('input');
+    inputCol.type = 'color';
+    inputCol.value = /^#[0-9A-Fa-f]{6}$/.test(cols[i]) ? cols[i] : "#ccc";
+    inputCol.setAttribute("aria-label", `Color for category ${u}`);
+    inputCol.addEventListener('change', () => {
+      cols[i] = inputCol.value;
+      categoricalUserColors = cols.slice();
+      applyClassification();
+    });
+    tdCol.append(inputCol);
+
+    const tdAct = document.createElement('td');
+    const btnUp = document.createElement('button');
+    btnUp.type = 'button';
+    btnUp.className = 'layer-reorder-btn';
+    btnUp.textContent = '↑';
+    btnUp.setAttribute('aria-label', `Move category ${i + 1} up`);
+    btnUp.disabled = i === 0;
+    btnUp.addEventListener('click', () => {
+      reorderCategoricalClasses(i, i - 1);
+    });
+
+    const btnDown = document.createElement('button');
+    btnDown.type = 'button';
+    btnDown.className = 'layer-reorder-btn';
+    btnDown.textContent = '↓';
+    btnDown.setAttribute('aria-label', `Move category ${i + 1} down`);
+    btnDown.disabled = i === uniques.length - 1;
+    btnDown.addEventListener('click', () => {
+      reorderCategoricalClasses(i, i + 1);
+    });
+
+    tdAct.append(btnUp, btnDown);
+
+    tr.append(tdC, tdCol, tdAct);
+    tbody.append(tr);
+  });
+}
+
+function reorderCategoricalClasses(fromIdx, toIdx) {
+  const state = overlayData[currentLayerName] || null;
+  if (!state || !Array.isArray(state.vals) || !Array.isArray(state.cols)) return;
+  const len = state.vals.length;
+  if (!Number.isInteger(fromIdx) || !Number.isInteger(toIdx)) return;
+  if (fromIdx < 0 || toIdx < 0 || fromIdx >= len || toIdx >= len || fromIdx === toIdx) return;
+
+  const move = (arr) => {
+    if (!Array.isArray(arr) || arr.length !== len) return arr;
+    const copy = arr.slice();
+    const [item] = copy.splice(fromIdx, 1);
+    copy.splice(toIdx, 0, item);
+    return copy;
+  };
+
+  state.vals = move(state.vals);
+  state.cols = move(state.cols);
+  if (Array.isArray(state.legendLabels) && state.legendLabels.length === len) {
+    state.legendLabels = move(state.legendLabels);
+  }
+  categoricalUserColors = Array.isArray(state.cols) ? state.cols.slice() : null;
+  applyClassification();
+}
+
+function updateCustomBreaks() {
+  const rows = document.querySelectorAll('#classification-table tr');
+  const newBreaks = [];
+  const newColors = [];
+
+  rows.forEach((row, i) => {
+    if (!row.cells[1]) return;
+    const rangeText = row.cells[1].textContent.replace(/[–—]/g, '-').trim();
+    const parts = rangeText.split('-').map(p => parseFloat(p.trim()));
+    if (parts.length !== 2 || isNaN(parts[0]) || isNaN(parts[1])) return;
+    newBreaks.push(cleanBreakValue(parts[0]));
+    const colorInput = row.querySelector('input[type="color"]');
+    newColors.push(colorInput ? colorInput.value : '#ccc');
+  });
+
+  const lastCell = document.querySelector('#classification-table tr:last-child td:nth-child(2)');
+  if (lastCell) {
+    const lastRange = lastCell.textContent.replace(/[–—]/g, '-').trim();
+    const parts = lastRange.split('-').map(p => parseFloat(p.trim()));
+    if (parts.length === 2 && !isNaN(parts[1])) newBreaks.push(cleanBreakValue(parts[1]));
+  }
+
+  if (newBreaks.length >= 2) {
+    if (overlayData[currentLayerName]) {
+      overlayData[currentLayerName].vals = newBreaks;
+      overlayData[currentLayerName].cols = newColors;
+      overlayData[currentLayerName].isNumeric = true;
+    }
+    applyClassification();
+  }
+}
+//UI Event Wiring (live updates before/after classification)
+// Wire up control inputs so changes apply before and after classification
+(function wireControls() {
+  const pointEl = document.getElementById('point-size');
+  if (pointEl) {
+    pointEl.addEventListener('input', () => {
+      if (currentAttribute) applyClassification();
+      else renderDefaultFilteredLayer();
+    });
+  }
+
+  const lineEl = document.getElementById('line-width');
+  if (lineEl) {
+    lineEl.addEventListener('input', () => {
+      if (currentAttribute) applyClassification();
+      else renderDefaultFilteredLayer();
+    });
+  }
+
+  // When user selects an attribute, update state and classification options
+  const attrSel = document.getElementById('attribute-select');
+  if (attrSel) {
+    attrSel.addEventListener('change', () => {
+      const selected = attrSel.value;
+      if (geojsonData && geojsonData.features && geojsonData.features.length) {
+        const props = geojsonData.features[0].properties || {};
+        const originalKey = Object.keys(props).find(k => String(k).replace(/[^\w\-]/g, "_") === selected);
+        currentAttribute = originalKey || selected;
+      } else {
+        currentAttribute = selected;
+      }
+      updateClassificationOptions();
+      applyClassification();
+    });
+  }
+
+  // Classification type or number of classes changes
+  const classType = document.getElementById('classification-type');
+  if (classType) {
+    classType.addEventListener('change', () => {
+      // Sequential class colors do not carry over to the diverging std deviation ramp (and back).
+      if ((classType.dataset.prevMethod === 'stddev') !== (classType.value === 'stddev')) numericUserColors = null;
+      classType.dataset.prevMethod = classType.value;
+      updateClassMethodControls();
+      applyClassification();
+    });
+  }
+
+  ['normalize-select', 'normalize-multiplier'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener('change', () => {
+      // Class colors stay, but breaks are recomputed for the derived values.
+      if (currentAttribute) applyClassification();
+    });
+  });
+
+  // Palette picker: a new palette replaces custom class colors.
+  populatePaletteSelect();
+  const onPaletteChange = () => {
+    updatePalettePreview();
+    numericUserColors = null;
+    categoricalUserColors = null;
+    if (currentLayerName && overlayData[currentLayerName]) overlayData[currentLayerName].cols = null;
+    if (currentAttribute) applyClassification();
+  };
+  ['palette-select', 'palette-reverse'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener('change', onPaletteChange);
+  });
+  ['palette-colorblind', 'palette-print'].forEach(id => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    el.addEventListener('change', () => {
+      const sel = document.getElementById('palette-select');
+      const before = sel ? sel.value : "";
+      populatePaletteSelect();
+      if (sel && sel.value !== before) onPaletteChange();
+    });
+  });
+
+  const classWidth = document.getElementById('class-width');
+  if (classWidth) {
+    classWidth.addEventListener('change', () => {
+      if (currentAttribute) applyClassification();
+    });
+  }
+
+  ['attribute2-select', 'bivariate-method', 'bivariate-size'].forEach(id => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    el.addEventListener('change', () => {
+      if (id === 'bivariate-size') bivariateUserColors = null;
+      if (currentAttribute) applyClassification();
+    });
+  });
+  const numClasses = document.getElementById('num-classes');
+  if (numClasses) {
+    numClasses.addEventListener('input', () => {
+      applyClassification();
+    });
+  }
+
+  // Point symbol sizing (fixed / graduated / proportional)
+  const symbolSizeMode = document.getElementById('symbol-size-mode');
+  if (symbolSizeMode) {
+    symbolSizeMode.addEventListener('change', () => {
+      if (currentAttribute) applyClassification();
+    });
+  }
+  const maxSymbolSize = document.getElementById('max-symbol-size');
+  if (maxSymbolSize) {
+    maxSymbolSize.addEventListener('input', () => {
+      if (currentAttribute) applyClassification();
+    });
+  }
+
+  // Layer selector change
+  const layerSel = document.getElementById('layer-select');
+  if (layerSel) {
+    layerSel.addEventListener('change', () => {
+      setActiveLayer(layerSel.value);
+    });
+  }
+
+  const contSel = document.getElementById('continent-filter');
+  const btnContinentAll = document.getElementById('btnContinentAll');
+  const btnContinentClear = document.getElementById('btnContinentClear');
+  const countryList = document.getElementById('country-filter-list');
+  const btnCountryAll = document.getElementById('btnCountryAll');
+  const btnCountryClear = document.getElementById('btnCountryClear');
+  const africaBtn = document.getElementById('btnAfricaOnly');
+  if (contSel) {
+    contSel.addEventListener('change', () => {
+      selectedContinentValues = new Set(
+        Array.from(contSel.querySelectorAll('input[type="checkbox"]:checked')).map(o => o.value).filter(Boolean)
+      );
+      updateContinentFilterButtonLabel();
+      selectedCountryValues = new Set();
+      populateCountryFilterOptions(geojsonData);
+      if (currentAttribute) applyClassification();
+      else renderDefaultFilteredLayer();
+    });
+  }
+  if (btnContinentAll) {
+    btnContinentAll.addEventListener('click', () => {
+      if (!contSel) return;
+      const checks = Array.from(contSel.querySelectorAll('input[type="checkbox"]'));
+      checks.forEach(o => { o.checked = true; });
+      selectedContinentValues = new Set(checks.map(o => o.value));
+      updateContinentFilterButtonLabel();
+      selectedCountryValues = new Set();
+      populateCountryFilterOptions(geojsonData);
+      checkActiveLayerInControl();
+      if (currentAttribute) applyClassification();
+      else renderDefaultFilteredLayer();
+    });
+  }
+  if (btnContinentClear) {
+    btnContinentClear.addEventListener('click', () => {
+      if (!contSel) return;
+      Array.from(contSel.querySelectorAll('input[type="checkbox"]')).forEach(o => { o.checked = false; });
+      selectedContinentValues = new Set();
+      updateContinentFilterButtonLabel();
+      selectedCountryValues = new Set();
+      populateCountryFilterOptions(geojsonData);
+      uncheckActiveLayerInControl();
+      if (currentAttribute) applyClassification();
+      else renderDefaultFilteredLayer();
+    });
+  }
+  if (countryList) {
+    countryList.addEventListener('change', (e) => {
+      const t = e.target;
+      if (!t || t.tagName !== 'INPUT' || t.type !== 'checkbox') return;
+      if (t.checked) selectedCountryValues.add(t.value);
+      else selectedCountryValues.delete(t.value);
+      updateCountryFilterButtonLabel();
+      if (currentAttribute) applyClassification();
+      else renderDefaultFilteredLayer();
+    });
+  }
+  if (btnCountryAll) {
+    btnCountryAll.addEventListener('click', () => {
+      const checks = Array.from(document.querySelectorAll('#country-filter-list input[type="checkbox"]'));
+      selectedCountryValues = new Set(checks.map(c => c.value));
+      checks.forEach(c => { c.checked = true; });
+      updateCountryFilterButtonLabel();
+      checkActiveLayerInControl();
+      if (currentAttribute) applyClassification();
+      else renderDefaultFilteredLayer();
+    });
+  }
+  if (btnCountryClear) {
+    btnCountryClear.addEventListener('click', () => {
+      const checks = Array.from(document.querySelectorAll('#country-filter-list input[type="checkbox"]'));
+      checks.forEach(c => { c.checked = false; });
+      selectedCountryValues = new Set();
+      updateCountryFilterButtonLabel();
+      uncheckActiveLayerInControl();
+      if (currentAttribute) applyClassification();
+      else renderDefaultFilteredLayer();
+    });
+  }
+  if (africaBtn) {
+    africaBtn.addEventListener('click', () => {
+      const cont = document.getElementById('continent-filter');
+      if (!cont || !activeContinentField) {
+        showPopup("Continent field not found in this layer.", "error");
+        return;
+      }
+      const africaOpt = Array.from(cont.querySelectorAll('input[type="checkbox"]')).find(o => isAfricaContinentValue(o.value));
+      if (!africaOpt) {
+        showPopup("No 'Africa' value found in continent field.", "error");
+        return;
+      }
+      Array.from(cont.querySelectorAll('input[type="checkbox"]')).forEach(o => {
+        o.checked = norm(o.value) === norm(africaOpt.value);
+      });
+      selectedContinentValues = new Set([africaOpt.value]);
+      updateContinentFilterButtonLabel();
+      selectedCountryValues = new Set();
+      populateCountryFilterOptions(geojsonData);
+      checkActiveLayerInControl();
+      if (currentAttribute) applyClassification();
+      else renderDefaultFilteredLayer();
+      applyHomeView();
+    });
+  }
+})();
+//Attribute Table (active layer, filtered features)
+const ATTRIBUTE_TABLE_PAGE_SIZES = [25, 50, 100, 250];
+const ATTRIBUTE_TABLE_COLUMN_SCAN = 1000;
+let attributeTableState = {
+  search: "",
+  sortKey: null,
+  sortDir: 1,
+  page: 0,
+  pageSize: 50,
+  selected: null
+};
+let attributeTableRows = null;
+let attributeTableColumns = [];
+let attributeTableHighlight = null;
+
+function isAttributeTableOpen() {
+  const wrap = document.getElementById('attribute-table-wrapper');
+  return !!(wrap && window.getComputedStyle(wrap).display !== 'none');
+}
+
+// Columns from the first features (large layers are not scanned in full).
+function getAttributeTableColumns(features) {
+  const keys = new Set();
+  features.slice(0, ATTRIBUTE_TABLE_COLUMN_SCAN).forEach(f => {
+    Object.keys(f?.properties || {}).forEach(k => keys.add(k));
+  });
+  return Array.from(keys);
+}
+
+function compareAttributeValues(a, b) {
+  if (a == null || a === "") return (b == null || b === "") ? 0 : 1;
+  if (b == null || b === "") return -1;
+  const na = Number(a);
+  const nb = Number(b);
+  if (Number.isFinite(na) && Number.isFinite(nb)) return na - nb;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: "base" });
+}
+
+// Filtered, searched and sorted features; cached until the data, search or sort changes.
+function getAttributeTableRows() {
+  if (attributeTableRows) return attributeTableRows;
+  const features = geojsonData ? getFilteredFeatures(geojsonData) : [];
+  attributeTableColumns = getAttributeTableColumns(features);
+  if (attributeTableState.sortKey && !attributeTableColumns.includes(attributeTableState.sortKey)) {
+    attributeTableState.sortKey = null;
+  }
+
+  const term = norm(attributeTableState.search);
+  let rows = term
+    ? features.filter(f => Object.values(f?.properties || {}).some(v => v != null && norm(v).includes(term)))
+    : features.slice();
+
+  const key = attributeTableState.sortKey;
+  if (key) {
+    const dir = attributeTableState.sortDir;
+    rows = rows.sort((a, b) => dir * compareAttributeValues(a?.properties?.[key], b?.properties?.[key]));
+  }
+  attributeTableRows = rows;
+  return rows;
+}
+
+function formatAttributeCell(val) {
+  if (val == null) return "";
+  if (typeof val === "object") {
+    try { return JSON.stringify(val); } catch (e) { return String(val); }
+  }
+  return String(val);
+}
+
+function renderAttributeTable() {
+  const table = document.getElementById('attribute-table');
+  const info = document.getElementById('attr-table-info');
+  if (!table) return;
+  const thead = table.querySelector('thead');
+  const tbody = table.querySelector('tbody');
+  if (!thead || !tbody) return;
+  thead.textContent = "";
+  tbody.textContent = "";
+
+  if (!currentLayerName || !geojsonData) {
+    if (info) info.textContent = "No active layer.";
+    return;
+  }
+
+  const rows = getAttributeTableRows();
+  const pageSize = attributeTableState.pageSize;
+  const pageCount = Math.max(1, Math.ceil(rows.length / pageSize));
+  attributeTableState.page = Math.min(Math.max(0, attributeTableState.page), pageCount - 1);
+  const start = attributeTableState.page * pageSize;
+  const pageRows = rows.slice(start, start + pageSize);
+
+  const headerRow = document.createElement('tr');
+  attributeTableColumns.forEach(key => {
+    const th = document.createElement('th');
+    th.scope = 'col';
+    th.tabIndex = 0;
+    th.className = 'attr-table-sortable';
+    const active = attributeTableState.sortKey === key;
+    th.textContent = key + (active ? (attributeTableState.sortDir > 0 ? " ▲" : " ▼") : "");
+    th.setAttribute('aria-sort', active ? (attributeTableState.sortDir > 0 ? 'ascending' : 'descending') : 'none');
+    const sortBy = () => {
+      if (attributeTableState.sortKey === key) attributeTableState.sortDir *= -1;
+      else {
+        attributeTableState.sortKey = key;
+        attributeTableState.sortDir = 1;
+      }
+      attributeTableRows = null;
+      attributeTableState.page = 0;
+      renderAttributeTable();
+    };
+    th.addEventListener('click', sortBy);
+    th.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        sortBy();
+      }
+    });
+    headerRow.appendChild(th);
+  });
+  thead.appendChild(headerRow);
+
+  pageRows.forEach(feature => {
+    const tr = document.createElement('tr');
+    tr.tabIndex = 0;
+    if (feature === attributeTableState.selected) tr.classList.add('attr-table-selected');
+    attributeTableColumns.forEach(key => {
+      const td = document.createElement('td');
+      td.textContent = formatAttributeCell(feature?.properties?.[key]);
+      tr.appendChild(td);
+    });
+    const select = () => selectAttributeTableFeature(feature, { zoom: true });
+    tr.addEventListener('click', select);
+    tr.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') select();
+    });
+    tbody.appendChild(tr);
+  });
+
+  if (info) {
+    const total = geojsonData ? getFilteredFeatures(geojsonData).length : 0;
+    info.textContent = rows.length
+      ? `Rows ${start + 1}–${start + pageRows.length} of ${rows.length}` +
+        (rows.length !== total ? ` (search matches of ${total})` : "") +
+        ` · Page ${attributeTableState.page + 1}/${pageCount}`
+      : "No matching features.";
+  }
+  const prev = document.getElementById('attr-table-prev');
+  const next = document.getElementById('attr-table-next');
+  if (prev) prev.disabled = attributeTableState.page <= 0;
+  if (next) next.disabled = attributeTableState.page >= pageCount - 1;
+}
+
+// Rebuild after the active layer, its filters or its data changed.
+function refreshAttributeTable() {
+  attributeTableRows = null;
+  if (attributeTableState.selected && !(geojsonData?.features || []).includes(attributeTableState.selected)) {
+    clearAttributeTableSelection();
+  }
+  if (isAttributeTableOpen()) renderAttributeTable();
+}
+
+function clearAttributeTableSelection() {
+  attributeTableState.selected = null;
+  if (attributeTableHighlight && map.hasLayer(attributeTableHighlight)) map.removeLayer(attributeTableHighlight);
+  attributeTableHighlight = null;
+}
+
+// Highlight a feature on the map, optionally zooming to it, and show its row.
+function selectAttributeTableFeature(feature, { zoom = false } = {}) {
+  if (!feature) return;
+  clearAttributeTableSelection();
+  attributeTableState.selected = feature;
+
+  if (feature.geometry) {
+    attributeTableHighlight = L.geoJSON(feature, {
+      interactive: false,
+      style: () => ({ color: '#00b4d8', weight: 4, fill: false }),
+      pointToLayer: (f, latlng) => L.circleMarker(latlng, {
+        radius: getPointRadius() + 4,
+        color: '#00b4d8',
+        weight: 3,
+        fill: false,
+        interactive: false
+      })
+    }).addTo(map);
+    if (zoom) {
+      const bounds = attributeTableHighlight.getBounds();
+      if (bounds.isValid()) {
+        const sw = bounds.getSouthWest();
+        const ne = bounds.getNorthEast();
+        if (sw.equals(ne)) map.setView(sw, Math.max(map.getZoom(), 8));
+        else map.fitBounds(bounds, { padding: [30, 30], maxZoom: 12 });
+      }
+    }
+  }
+
+  if (!isAttributeTableOpen()) return;
+  const rows = getAttributeTableRows();
+  const idx = rows.indexOf(feature);
+  if (idx >= 0) attributeTableState.page = Math.floor(idx / attributeTableState.pageSize);
+  renderAttributeTable();
+  const selectedRow = document.querySelector('#attribute-table tbody tr.attr-table-selected');
+  if (selectedRow) selectedRow.scrollIntoView({ block: 'nearest' });
+}
+
+const btnAttrTable = document.getElementById('btnToggleAttrTable');
+function toggleAttributeTable() {
+  const wrap = document.getElementById('attribute-table-wrapper');
+  if (!wrap || !btnAttrTable) return;
+  const hidden = window.getComputedStyle(wrap).display === 'none';
+  hidden ? showRow('attribute-table-wrapper') : hideRow('attribute-table-wrapper');
+  btnAttrTable.classList.toggle('active', hidden);
+  if (hidden) {
+    attributeTableRows = null;
+    renderAttributeTable();
+  }
+}
+
+// Dock the table below the map or over the bottom of the map.
+function setAttributeTableDock(position) {
+  const panel = document.getElementById('attribute-table-container');
+  const mapContainer = document.getElementById('map-container');
+  const anchor = document.getElementById('table-container');
+  if (!panel || !mapContainer || !anchor) return;
+  const overMap = position === 'map';
+  if (overMap) mapContainer.appendChild(panel);
+  else anchor.after(panel);
+  panel.classList.toggle('attr-table-docked-map', overMap);
+  panel.classList.toggle('container', !overMap);
+  panel.classList.toggle('my-4', !overMap);
+}
+
+(function wireAttributeTable() {
+  if (btnAttrTable) btnAttrTable.addEventListener('click', () => { try { toggleAttributeTable(); } catch (e) { console.error(e); } });
+
+  const search = document.getElementById('attr-table-search');
+  let searchTimer = null;
+  if (search) {
+    search.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => {
+        attributeTableState.search = String(search.value || "").slice(0, 200);
+        attributeTableState.page = 0;
+        attributeTableRows = null;
+        renderAttributeTable();
+      }, 250);
+    });
+  }
+
+  const pageSizeEl = document.getElementById('attr-table-page-size');
+  if (pageSizeEl) {
+    pageSizeEl.addEventListener('change', () => {
+      const size = Number(pageSizeEl.value);
+      attributeTableState.pageSize = ATTRIBUTE_TABLE_PAGE_SIZES.includes(size) ? size : 50;
+      attributeTableState.page = 0;
+      renderAttributeTable();
+    });
+  }
+
+  const prev = document.getElementById('attr-table-prev');
+  if (prev) prev.addEventListener('click', () => { attributeTableState.page -= 1; renderAttributeTable(); });
+  const next = document.getElementById('attr-table-next');
+  if (next) next.addEventListener('click', () => { attributeTableState.page += 1; renderAttributeTable(); });
+
+  const clear = document.getElementById('attr-table-clear');
+  if (clear) clear.addEventListener('click', () => { clearAttributeTableSelection(); renderAttributeTable(); });
+
+  const dock = document.getElementById('attr-table-dock');
+  if (dock) dock.addEventListener('change', () => setAttributeTableDock(dock.value));
+})();
+
+//Popup Helper, Sidebar Toggles, and Page Load UI
+// --- Popup helper ---
+function showPopup(msg, type = "error") {
+  let popup = document.getElementById("popup-message");
+  if (!popup) {
+    popup = document.createElement("div");
+    popup.id = "popup-message";
+    popup.className = "popup-message";
+    document.body.appendChild(popup);
+  }
+
+  popup.classList.remove('popup-error', 'popup-success');
+  popup.classList.add(type === 'error' ? 'popup-error' : 'popup-success');
+  popup.textContent = msg;
+  setDynamicStyle(popup, { display: "block" });
+
+  setTimeout(() => { setDynamicStyle(popup, { display: "none" }); }, 6000);
+}
+
+// --- Sidebar toggle helpers (buttons cached) ---
+const btnClassTable = document.getElementById('btnToggleClassTable');
+function toggleClassTable() {
+  const wrap = document.getElementById('classification-wrapper');
+  if (!wrap || !btnClassTable) return;
+  const hidden = window.getComputedStyle(wrap).display === 'none';
+  setDynamicStyle(wrap, { display: hidden ? "block" : "none" });
+  btnClassTable.classList.toggle('active', hidden);
+}
+
+// Keep initial viewport consistent on full reloads.
+if ('scrollRestoration' in window.history) {
+  window.history.scrollRestoration = 'manual';
+}
+
+function resetInitialScrollPositions() {
+  window.scrollTo(0, 0);
+  document.documentElement.scrollTop = 0;
+  document.body.scrollTop = 0;
+  ['sidebar', 'right-sidebar', 'classification-wrapper'].forEach((id) => {
+    const el = document.getElementById(id);
+    if (el) el.scrollTop = 0;
+  });
+}
+
+// On page load show panels
+window.addEventListener('DOMContentLoaded', () => {
+  const tbl  = document.getElementById('table-container');
+  const wrap = document.getElementById('classification-wrapper');
+
+  if (wrap && btnClassTable) {
+    setDynamicStyle(wrap, { display: "block" });
+    btnClassTable.classList.add('active');
+  }
+
+  resetInitialScrollPositions();
+});
+
+window.addEventListener('load', resetInitialScrollPositions);
+
+        // --- Secure Export Helper ---
+    function isFirefoxBrowser() {
+    try {
+      return /firefox/i.test(navigator.userAgent || "");
+    } catch (e) {
+      return false;
+    }
+    }
+
+    function isEdgeBrowser() {
+    try {
+      return /edg\//i.test(navigator.userAgent || "");
+    } catch (e) {
+      return false;
+    }
+    }
+
+    function isChromeBrowser() {
+    try {
+      const ua = navigator.userAgent || "";
+      return /(chrome|crios)\//i.test(ua) && !/edg\//i.test(ua) && !/opr\//i.test(ua);
+    } catch (e) {
+      return false;
+    }
+    }
+
+    function logEdgeExportDebug(stage, payload) {
+    // Execution-tracking debug logging removed intentionally.
+    void stage;
+    void payload;
+    }
+
+    function alignMapCanvasForEdge(mapCanvas, mapEl) {
+    if (!mapCanvas || !mapEl || !isEdgeBrowser()) return mapCanvas;
+    const paneEl = mapEl.querySelector('.leaflet-map-pane');
+    if (!paneEl) return mapCanvas;
+    const mapRect = mapEl.getBoundingClientRect();
+    const paneRect = paneEl.getBoundingClientRect();
+    const offsetX = Math.round(paneRect.left - mapRect.left);
+    const offsetY = Math.round(paneRect.top - mapRect.top);
+    const absMax = Math.max(Math.abs(offsetX), Math.abs(offsetY));
+    logEdgeExportDebug("alignMapCanvasForEdge.offset", {
+      offsetX,
+      offsetY,
+      absMax,
+      maxAllowed: EDGE_EXPORT_MAX_PANE_OFFSET_PX
+    });
+    if (Math.abs(offsetX) <= 1 && Math.abs(offsetY) <= 1) return mapCanvas;
+    if (absMax > EDGE_EXPORT_MAX_PANE_OFFSET_PX) {
+      // Large pane offsets can be normal Leaflet map state, not export drift.
+      logEdgeExportDebug("alignMapCanvasForEdge.skipLargeOffset", { offsetX, offsetY });
+      return mapCanvas;
+    }
+
+    const aligned = document.createElement('canvas');
+    aligned.width = mapCanvas.width;
+    aligned.height = mapCanvas.height;
+    const actx = aligned.getContext('2d');
+    if (!actx) return mapCanvas;
+    // Apply pane offset in the same direction as on-screen map pane translation.
+    actx.drawImage(mapCanvas, offsetX, offsetY);
+    return aligned;
+    }
+
+    function alignMapCanvasForFractionalTileZoom(mapCanvas) {
+    if (!mapCanvas || !map || typeof map.getZoom !== 'function' || typeof map.getZoomScale !== 'function') {
+      return mapCanvas;
+    }
+    let tileZoom = null;
+    try {
+      map.eachLayer((l) => {
+        if (tileZoom != null) return;
+        if (l instanceof L.TileLayer && typeof l._tileZoom === 'number') tileZoom = l._tileZoom;
+      });
+    } catch (e) {
+      return mapCanvas;
+    }
+    if (tileZoom == null) return mapCanvas;
+    const currentZoom = Number(map.getZoom());
+    if (!Number.isFinite(currentZoom) || !Number.isFinite(tileZoom)) return mapCanvas;
+    const dz = currentZoom - tileZoom;
+    if (Math.abs(dz) < 1e-4) return mapCanvas;
+
+    const scale = map.getZoomScale(currentZoom, tileZoom);
+    if (!Number.isFinite(scale) || scale <= 0 || Math.abs(scale - 1) < 1e-4) return mapCanvas;
+
+    const w = Math.max(1, mapCanvas.width | 0);
+    const h = Math.max(1, mapCanvas.height | 0);
+    const corrected = document.createElement('canvas');
+    corrected.width = w;
+    corrected.height = h;
+    const cctx = corrected.getContext('2d');
+    if (!cctx) return mapCanvas;
+    const dstW = w * scale;
+    const dstH = h * scale;
+    const dstX = (w - dstW) / 2;
+    const dstY = (h - dstH) / 2;
+    cctx.clearRect(0, 0, w, h);
+    cctx.drawImage(mapCanvas, 0, 0, w, h, dstX, dstY, dstW, dstH);
+    return corrected;
+    }
+
+    function parse2DTransformMatrix(el) {
+    if (!el) return { a: 1, d: 1, e: 0, f: 0 };
+    let t = "";
+    try {
+      const cs = window.getComputedStyle(el);
+      t = (cs && cs.transform) ? cs.transform : "";
+    } catch (e) {}
+    if (!t || t === "none") return { a: 1, d: 1, e: 0, f: 0 };
+    try {
+      if (typeof DOMMatrixReadOnly !== "undefined") {
+        const m = new DOMMatrixReadOnly(t);
+        return { a: m.a, d: m.d, e: m.e, f: m.f };
+      }
+    } catch (e) {}
+    const m2 = t.match(/^matrix\(([^)]+)\)$/i);
+    if (m2) {
+      const p = m2[1].split(",").map(v => parseFloat(v.trim()));
+      if (p.length === 6 && p.every(Number.isFinite)) return { a: p[0], d: p[3], e: p[4], f: p[5] };
+    }
+    const m3 = t.match(/^matrix3d\(([^)]+)\)$/i);
+    if (m3) {
+      const p = m3[1].split(",").map(v => parseFloat(v.trim()));
+      if (p.length === 16 && p.every(Number.isFinite)) return { a: p[0], d: p[5], e: p[12], f: p[13] };
+    }
+    return { a: 1, d: 1, e: 0, f: 0 };
+    }
+
+    function compose2DTransform(parent, child) {
+    const pa = Number.isFinite(parent?.a) ? parent.a : 1;
+    const pd = Number.isFinite(parent?.d) ? parent.d : 1;
+    const pe = Number.isFinite(parent?.e) ? parent.e : 0;
+    const pf = Number.isFinite(parent?.f) ? parent.f : 0;
+    const ca = Number.isFinite(child?.a) ? child.a : 1;
+    const cd = Number.isFinite(child?.d) ? child.d : 1;
+    const ce = Number.isFinite(child?.e) ? child.e : 0;
+    const cf = Number.isFinite(child?.f) ? child.f : 0;
+    return {
+      a: pa * ca,
+      d: pd * cd,
+      e: pe + (pa * ce),
+      f: pf + (pd * cf)
+    };
+    }
+
+    function alignMapCanvasToDisplayedTileTransform(mapCanvas, mapEl, options = {}) {
+    if (!mapCanvas || !mapEl) return mapCanvas;
+    const tilePane = mapEl.querySelector('.leaflet-tile-pane');
+    if (!tilePane) return mapCanvas;
+    let level = tilePane.querySelector('.leaflet-tile-container');
+    if (!level) {
+      const levels = Array.from(tilePane.querySelectorAll('.leaflet-tile-container'));
+      level = levels.find((el) => (el.offsetWidth > 0 && el.offsetHeight > 0)) || levels[0] || null;
+    }
+
+    const paneM = parse2DTransformMatrix(tilePane);
+    const levelM = parse2DTransformMatrix(level);
+    const combined = compose2DTransform(paneM, levelM);
+    const sx = Number.isFinite(combined.a) ? combined.a : 1;
+    const sy = Number.isFinite(combined.d) ? combined.d : 1;
+    const allowTranslation = options && options.allowTranslation !== false;
+    const tx = allowTranslation && Number.isFinite(combined.e) ? combined.e : 0;
+    const ty = allowTranslation && Number.isFinite(combined.f) ? combined.f : 0;
+
+    if (Math.abs(sx - 1) < 1e-4 && Math.abs(sy - 1) < 1e-4 && Math.abs(tx) < 0.5 && Math.abs(ty) < 0.5) {
+      return mapCanvas;
+    }
+
+    logEdgeExportDebug("alignMapCanvasToDisplayedTileTransform.matrix", {
+      sx, sy, tx, ty, allowTranslation
+    });
+
+    const out = document.createElement('canvas');
+    out.width = mapCanvas.width;
+    out.height = mapCanvas.height;
+    const octx = out.getContext('2d');
+    if (!octx) return mapCanvas;
+    octx.clearRect(0, 0, out.width, out.height);
+    octx.setTransform(sx, 0, 0, sy, tx, ty);
+    octx.drawImage(mapCanvas, 0, 0);
+    octx.setTransform(1, 0, 0, 1, 0, 0);
+    return out;
+    }
+
+    function alignMapCanvasForEdgeDisplayedState(mapCanvas, mapEl) {
+    if (!mapCanvas || !mapEl || !isEdgeBrowser()) return mapCanvas;
+    // Edge can need both tile-level transform and a small map-pane translation.
+    const tileAligned = alignMapCanvasToDisplayedTileTransform(mapCanvas, mapEl, { allowTranslation: true });
+    const paneAligned = alignMapCanvasForEdge(tileAligned, mapEl);
+    logEdgeExportDebug("alignMapCanvasForEdgeDisplayedState", {
+      tileAlignedChanged: tileAligned !== mapCanvas,
+      paneAlignedChanged: paneAligned !== tileAligned
+    });
+    return paneAligned;
+    }
+
+    // The leaflet-image canvas as the map is displayed (fractional zoom, tile and pane transforms).
+    function alignCapturedMapCanvas(mapCanvas, mapEl) {
+    return isEdgeBrowser()
+      // Edge: combine tile transform with map-pane drift correction.
+      ? alignMapCanvasForEdgeDisplayedState(mapCanvas, mapEl)
+      : alignMapCanvasToDisplayedTileTransform(
+          alignMapCanvasForFractionalTileZoom(alignMapCanvasForEdge(mapCanvas, mapEl)),
+          mapEl,
+          { allowTranslation: true }
+        );
+    }
+
+    function getExportCorrectionDebug(mapCanvas, mapEl) {
+    const info = {
+      edge: isEdgeBrowser(),
+      paneOffsetX: 0,
+      paneOffsetY: 0,
+      zoom: null,
+      tileZoom: null,
+      zoomScale: 1
+    };
+    try {
+      if (mapEl) {
+        const paneEl = mapEl.querySelector('.leaflet-map-pane');
+        if (paneEl) {
+          const mapRect = mapEl.getBoundingClientRect();
+          const paneRect = paneEl.getBoundingClientRect();
+          info.paneOffsetX = Math.round(paneRect.left - mapRect.left);
+          info.paneOffsetY = Math.round(paneRect.top - mapRect.top);
+        }
+      }
+      if (map && typeof map.getZoom === 'function') info.zoom = Number(map.getZoom());
+      if (map && typeof map.eachLayer === 'function') {
+        map.eachLayer((l) => {
+          if (info.tileZoom != null) return;
+          if (l instanceof L.TileLayer && typeof l._tileZoom === 'number') info.tileZoom = l._tileZoom;
+        });
+      }
+      if (map && typeof map.getZoomScale === 'function' && Number.isFinite(info.zoom) && Number.isFinite(info.tileZoom)) {
+        info.zoomScale = map.getZoomScale(info.zoom, info.tileZoom);
+      }
+    } catch (e) {}
+    info.canvasW = mapCanvas ? mapCanvas.width : null;
+    info.canvasH = mapCanvas ? mapCanvas.height : null;
+    return info;
+    }
+
+    function showExportCorrectionDebugMessage(debugInfo) {
+    if (!debugInfo) return;
+    try {
+      logEdgeExportDebug("correction.debugInfo", debugInfo);
+    } catch (e) {}
+    }
+
+    function buildHtml2CanvasOptions(wrapper) {
+    const rect = wrapper.getBoundingClientRect();
+    const exportWidth = Math.max(1, Math.ceil(rect.width || wrapper.scrollWidth || wrapper.offsetWidth));
+    const exportHeight = Math.max(1, Math.ceil(rect.height || wrapper.scrollHeight || wrapper.offsetHeight));
+    const isFirefox = isFirefoxBrowser();
+    return {
+      scale: isFirefox ? Math.min(1.25, Math.max(1, window.devicePixelRatio || 1)) : Math.min(1.5, Math.max(1, window.devicePixelRatio || 1)),
+      useCORS: true,
+      foreignObjectRendering: false,
+      logging: false,
+      backgroundColor: "#ffffff",
+      width: exportWidth,
+      height: exportHeight,
+      windowWidth: exportWidth,
+      windowHeight: exportHeight,
+      scrollX: 0,
+      scrollY: 0
+    };
+    }
+
+    function getSymmetricWhitespaceSideCropPx(sourceCanvas, scanW, scanH, maxTrimRatio = 0.16) {
+    if (!sourceCanvas || typeof sourceCanvas.getContext !== "function") return 0;
+    const w = Math.max(1, Math.min(sourceCanvas.width | 0, scanW | 0));
+    const h = Math.max(1, Math.min(sourceCanvas.height | 0, scanH | 0));
+    if (w <= 2 || h <= 2) return 0;
+    const maxTrimPx = Math.max(0, Math.floor(w * Math.max(0, Math.min(0.4, maxTrimRatio))));
+    if (maxTrimPx <= 0) return 0;
+
+    const ctx = sourceCanvas.getContext("2d", { willReadFrequently: true });
+    if (!ctx) return 0;
+    let imgData;
+    try {
+      imgData = ctx.getImageData(0, 0, w, h);
+    } catch (e) {
+      return 0;
+    }
+    const px = imgData.data;
+    const nonBlankThreshold = Math.max(2, Math.floor(h * 0.003));
+
+    function isMostlyBlankColumn(x) {
+      let nonBlank = 0;
+      for (let y = 0; y < h; y++) {
+        const idx = ((y * w) + x) * 4;
+        const r = px[idx];
+        const g = px[idx + 1];
+        const b = px[idx + 2];
+        const a = px[idx + 3];
+        // Transparent or near-white pixels count as blank export margin.
+        const blank = (a <= 8) || (a >= 248 && r >= 248 && g >= 248 && b >= 248);
+        if (!blank) {
+          nonBlank++;
+          if (nonBlank > nonBlankThreshold) return false;
+        }
+      }
+      return true;
+    }
+
+    let leftBlank = 0;
+    while (leftBlank < maxTrimPx && isMostlyBlankColumn(leftBlank)) leftBlank++;
+    let rightBlank = 0;
+    while (rightBlank < maxTrimPx && isMostlyBlankColumn(w - 1 - rightBlank)) rightBlank++;
+    return Math.max(0, Math.min(leftBlank, rightBlank));
+    }
+
+    function getExportSideCropPxForBrowser(sourceCanvas, baseCropW, cropH) {
+    if (isFirefoxBrowser()) {
+      return Math.max(
+        0,
+        Math.min(
+          Math.floor(baseCropW * 0.2),
+          Math.round(baseCropW * EXPORT_SIDE_CROP_RATIO) + EXPORT_SIDE_CROP_EXTRA_PX
+        )
+      );
+    }
+    if (isEdgeBrowser()) {
+      const maxAllowedPerSide = Math.max(0, Math.floor((Math.max(1, baseCropW) - 1) / 2));
+      return Math.min(EDGE_EXPORT_FIXED_SIDE_CROP_PX, maxAllowedPerSide);
+    }
+    if (isChromeBrowser()) {
+      const maxAllowedPerSide = Math.max(0, Math.floor((Math.max(1, baseCropW) - 1) / 2));
+      return Math.min(CHROME_EXPORT_FIXED_SIDE_CROP_PX, maxAllowedPerSide);
+    }
+    return 0;
+    }
+
+    function reportEdgeExportSpaceReduction(formatLabel, sideCropPx, baseCropW, cropW) {
+    if (!isEdgeBrowser()) return;
+    const fmt = String(formatLabel || "export").toUpperCase();
+    const reducedBy = Math.max(0, (baseCropW | 0) - (cropW | 0));
+    logEdgeExportDebug("space-reduction", {
+      format: fmt,
+      sideCropPx,
+      baseCropW,
+      cropW,
+      reducedBy
+    });
+    }
+
+    function compositeExportElement(cb, onError) {
+    captureMapImage((err, mapCanvas) => {
+      if (err) {
+        console.error("Leaflet image export failed:", err);
+        if (typeof onError === "function") onError(err);
+        return;
+      }
+      if (!mapCanvas) {
+        console.warn("No map canvas returned");
+        if (typeof onError === "function") onError(new Error("Map canvas unavailable"));
+        return;
+      }
+
+      const mapEl = document.getElementById('map');
+      const debugInfo = getExportCorrectionDebug(mapCanvas, mapEl);
+      const isEdge = isEdgeBrowser();
+      const adjustedMapCanvas = alignCapturedMapCanvas(mapCanvas, mapEl);
+      logEdgeExportDebug("pipeline.mode", {
+        mode: isEdge ? "edge-tile-plus-pane" : "full"
+      });
+      showExportCorrectionDebugMessage(debugInfo);
+      const mapSize = (map && typeof map.getSize === 'function') ? map.getSize() : null;
+      const cssW = (mapSize && mapSize.x > 0) ? mapSize.x : (mapEl ? mapEl.clientWidth : adjustedMapCanvas.width);
+      const cssH = (mapSize && mapSize.y > 0) ? mapSize.y : (mapEl ? mapEl.clientHeight : adjustedMapCanvas.height);
+      const rawScaleX = cssW > 0 ? (adjustedMapCanvas.width / cssW) : 1;
+      const rawScaleY = cssH > 0 ? (adjustedMapCanvas.height / cssH) : rawScaleX;
+      const expectedW = Math.round(cssW * rawScaleX);
+      const expectedH = Math.round(cssH * rawScaleY);
+      const baseCropW = Math.max(1, Math.min(expectedW, adjustedMapCanvas.width));
+      const cropH = Math.max(1, Math.min(expectedH, adjustedMapCanvas.height));
+      const sideCropPx = getExportSideCropPxForBrowser(adjustedMapCanvas, baseCropW, cropH);
+      const cropX = Math.max(0, sideCropPx);
+      const cropW = Math.max(1, baseCropW - (2 * sideCropPx));
+      if (isEdge) reportEdgeExportSpaceReduction("png/pdf", sideCropPx, baseCropW, cropW);
+
+      const cropped = document.createElement('canvas');
+      cropped.width = cropW;
+      cropped.height = cropH;
+      const cctx = cropped.getContext('2d');
+      cctx.drawImage(adjustedMapCanvas, cropX, 0, cropW, cropH, 0, 0, cropW, cropH);
+
+      const W = cropW;
+      const H = cropH;
+
+      const wrapper = document.createElement('div');
+      wrapper.className = 'export-wrapper';
+      wrapper.style.width = W + 'px';
+      if (isFirefoxBrowser()) {
+        // Firefox: keep export node on-screen for reliable html2canvas capture.
+        wrapper.style.transform = 'none';
+        wrapper.style.position = 'fixed';
+        wrapper.style.left = '0';
+        wrapper.style.top = '0';
+        wrapper.style.zIndex = '-1';
+        wrapper.style.pointerEvents = 'none';
+      }
+      document.body.appendChild(wrapper);
+
+      const titleEl = document.getElementById('map-title');
+      if (titleEl) {
+        const t = document.createElement('h1');
+        t.className = 'export-title';
+        t.textContent = titleEl.textContent || "Map Export";
+        t.style.fontSize = '20px';
+        t.style.fontWeight = '600';
+        t.style.margin = '0 0 8px 0';
+        t.style.textAlign = 'center';
+        t.style.width = '100%';
+        t.style.display = 'block';
+        wrapper.appendChild(t);
+      }
+
+      const mapWrapper = document.createElement('div');
+      mapWrapper.className = 'export-map-wrapper';
+      mapWrapper.style.width = W + 'px';
+      mapWrapper.style.height = H + 'px';
+      mapWrapper.style.position = 'relative';
+      mapWrapper.style.overflow = 'hidden';
+      wrapper.appendChild(mapWrapper);
+
+      const styleEl = document.createElement('style');
+      styleEl.type = 'text/css';
+      styleEl.textContent = `
+        .export-title{font-size:20px !important;font-weight:600;margin:0 0 8px 0;line-height:1;text-align:center !important;display:block !important;width:100% !important}
+        .export-map-wrapper .export-disclaimer-clone{font-size:10px !important;background:rgba(255,255,255,0.95) !important;padding:6px !important;word-break:break-word !important;display:inline-block !important;width:auto !important;text-align:left !important;max-height:calc(1.25em * 6) !important;overflow:hidden !important;white-space:normal !important;line-height:1.25 !important}
+        .export-map-wrapper .export-north-arrow-clone{display:flex !important;align-items:center !important;justify-content:center !important;flex-direction:column !important}
+        .export-map-wrapper .export-north-arrow-clone .north-arrow-symbol{display:block !important;width:100% !important;text-align:center !important;padding-top:0 !important;line-height:1 !important}
+        .export-img{width:100%;height:auto;display:block}
+      `;
+      wrapper.appendChild(styleEl);
+
+      const img = document.createElement('img');
+      img.className = 'export-img';
+      img.src = cropped.toDataURL("image/png");
+      img.alt = "Exported map image";
+      mapWrapper.appendChild(img);
+
+      function copyVisualStyles(sourceNode, targetNode) {
+        if (!sourceNode || !targetNode) return;
+        const cs = window.getComputedStyle(sourceNode);
+        const props = [
+          'display', 'visibility', 'opacity',
+          'background', 'backgroundColor', 'backgroundImage', 'backgroundSize', 'backgroundPosition', 'backgroundRepeat',
+          'border', 'borderTop', 'borderRight', 'borderBottom', 'borderLeft', 'borderColor', 'borderStyle', 'borderWidth', 'borderRadius',
+          'boxShadow', 'outline',
+          'color', 'font', 'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'lineHeight', 'letterSpacing', 'textAlign',
+          'padding', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft'
+        ];
+        props.forEach((prop) => {
+          try { targetNode.style[prop] = cs[prop]; } catch (e) {}
+        });
+      }
+
+      function copyVisualStylesRecursive(sourceNode, targetNode) {
+        copyVisualStyles(sourceNode, targetNode);
+        const sourceChildren = Array.from(sourceNode.children || []);
+        const targetChildren = Array.from(targetNode.children || []);
+        const len = Math.min(sourceChildren.length, targetChildren.length);
+        for (let i = 0; i < len; i++) {
+          copyVisualStylesRecursive(sourceChildren[i], targetChildren[i]);
+        }
+      }
+
+      function cloneMapOverlayToExport(selector, className) {
+        const source = document.querySelector(selector);
+        if (!source || !mapEl) return;
+        const mapRect = mapEl.getBoundingClientRect();
+        const srcRect = source.getBoundingClientRect();
+        if (!srcRect || srcRect.width <= 0 || srcRect.height <= 0) return;
+
+        const clone = source.cloneNode(true);
+        if (className) clone.classList.add(className);
+        copyVisualStylesRecursive(source, clone);
+
+        const relLeftCss = srcRect.left - mapRect.left;
+        const relTopCss = srcRect.top - mapRect.top;
+        const exportLeft = Math.max(0, Math.round(relLeftCss * rawScaleX) - cropX);
+        const exportTop = Math.max(0, Math.round(relTopCss * rawScaleY));
+        const exportWidth = Math.max(1, Math.round(srcRect.width * rawScaleX));
+        const exportHeight = Math.max(1, Math.round(srcRect.height * rawScaleY));
+
+        clone.style.position = 'absolute';
+        clone.style.left = exportLeft + 'px';
+        clone.style.top = exportTop + 'px';
+        clone.style.right = 'auto';
+        clone.style.bottom = 'auto';
+        clone.style.width = exportWidth + 'px';
+        clone.style.height = exportHeight + 'px';
+        clone.style.margin = '0';
+        clone.style.transform = 'none';
+        clone.style.cursor = 'default';
+        clone.style.pointerEvents = 'none';
+        if (
+          source.classList &&
+          (source.classList.contains('leaflet-control-exact-scale') || source.classList.contains('map-bottom-scale-control'))
+        ) {
+          const bottomCss = Math.max(0, mapRect.bottom - srcRect.bottom);
+          const exportBottomRaw = Math.max(0, Math.round(bottomCss * rawScaleY));
+          const exportBottom = Math.max(6, Math.min(exportBottomRaw, Math.max(6, H - exportHeight)));
+          clone.style.top = 'auto';
+          clone.style.bottom = exportBottom + 'px';
+          clone.style.zIndex = '5';
+        }
+        if (
+          source.classList &&
+          source.classList.contains('leaflet-control-north-arrow')
+        ) {
+          // Inline centering guards against Firefox/html2canvas dropping selector-based alignment.
+          clone.style.display = 'flex';
+          clone.style.flexDirection = 'column';
+          clone.style.alignItems = 'center';
+          clone.style.justifyContent = 'center';
+          const symbol = clone.querySelector('.north-arrow-symbol');
+          if (symbol) {
+            symbol.style.display = 'block';
+            symbol.style.width = '100%';
+            symbol.style.textAlign = 'center';
+            symbol.style.paddingTop = '0';
+            symbol.style.margin = '0';
+            symbol.style.lineHeight = '1';
+            symbol.style.position = 'relative';
+            symbol.style.left = '0';
+            symbol.style.right = '0';
+          }
+        }
+        mapWrapper.appendChild(clone);
+        // Final hard clamp inside map frame to prevent spill into legend section.
+        if (source.classList && (source.classList.contains('leaflet-control-exact-scale') || source.classList.contains('map-bottom-scale-control'))) {
+          const maxBottom = Math.max(0, H - (clone.offsetHeight || exportHeight));
+          const currentBottom = Math.max(0, parseFloat(clone.style.bottom || "0") || 0);
+          clone.style.bottom = Math.max(0, Math.min(maxBottom, currentBottom)) + 'px';
+        }
+      }
+
+      // Export disclaimer exactly as currently displayed on map.
+      cloneMapOverlayToExport('#disclaimer', 'export-disclaimer-clone');
+
+      // Keep clone attempt for Chrome/Edge fidelity.
+      cloneMapOverlayToExport('.leaflet-control-north-arrow', 'export-north-arrow-clone');
+      cloneMapOverlayToExport('.leaflet-control-exact-scale, .map-bottom-scale-control', 'export-scale-clone');
+
+      function findMapControlElement(selector) {
+        const nodes = Array.from(document.querySelectorAll(selector));
+        if (!nodes.length || !mapEl) return null;
+        const mapRect = mapEl.getBoundingClientRect();
+        return nodes.find((el) => {
+          const r = el.getBoundingClientRect();
+          return r && r.width > 0 && r.height > 0 &&
+            r.right > mapRect.left && r.left < mapRect.right &&
+            r.bottom > mapRect.top && r.top < mapRect.bottom;
+        }) || nodes[0] || null;
+      }
+
+      function ensureNorthArrowFallback() {
+        const src = findMapControlElement('.leaflet-control-north-arrow');
+        if (!src || !mapEl) return;
+        const existing = mapWrapper.querySelector('.export-north-arrow-clone');
+        if (existing) return;
+        const mapRect = mapEl.getBoundingClientRect();
+        const srcRect = src.getBoundingClientRect();
+        const left = Math.max(0, Math.round((srcRect.left - mapRect.left) * rawScaleX) - cropX);
+        const top = Math.max(0, Math.round((srcRect.top - mapRect.top) * rawScaleY));
+        const w = Math.max(20, Math.round(srcRect.width * rawScaleX));
+        const h = Math.max(24, Math.round(srcRect.height * rawScaleY));
+
+        const fallback = document.createElement('div');
+        fallback.className = 'export-north-arrow-clone';
+        fallback.style.position = 'absolute';
+        fallback.style.left = left + 'px';
+        fallback.style.top = top + 'px';
+        fallback.style.width = w + 'px';
+        fallback.style.height = h + 'px';
+        fallback.style.background = '#ffffff';
+        fallback.style.border = '1px solid #cfd6e4';
+        fallback.style.borderRadius = '4px';
+        fallback.style.display = 'flex';
+        fallback.style.flexDirection = 'column';
+        fallback.style.alignItems = 'center';
+        fallback.style.justifyContent = 'center';
+        fallback.style.boxSizing = 'border-box';
+        fallback.style.pointerEvents = 'none';
+
+        const letter = document.createElement('div');
+        letter.textContent = 'N';
+        letter.style.fontSize = Math.max(9, Math.round(h * 0.28)) + 'px';
+        letter.style.fontWeight = '700';
+        letter.style.lineHeight = '1';
+        letter.style.color = '#1e3a8a';
+        fallback.appendChild(letter);
+
+        const tri = document.createElement('div');
+        tri.style.width = '0';
+        tri.style.height = '0';
+        tri.style.borderLeft = Math.max(4, Math.round(w * 0.17)) + 'px solid transparent';
+        tri.style.borderRight = Math.max(4, Math.round(w * 0.17)) + 'px solid transparent';
+        tri.style.borderBottom = Math.max(8, Math.round(h * 0.28)) + 'px solid #1e3a8a';
+        tri.style.marginTop = Math.max(1, Math.round(h * 0.05)) + 'px';
+        fallback.appendChild(tri);
+        mapWrapper.appendChild(fallback);
+      }
+
+      function ensureScaleBarFallback() {
+        const src = findMapControlElement('.leaflet-control-exact-scale, .map-bottom-scale-control')
+          || (scaleControl && typeof scaleControl.getContainer === "function" ? scaleControl.getContainer() : null);
+        if (!mapEl) return;
+        const existing = mapWrapper.querySelector('.export-scale-clone');
+        if (existing) return;
+        const mapRect = mapEl.getBoundingClientRect();
+        const srcRect = src ? src.getBoundingClientRect() : null;
+        const srcWidthCss = (srcRect && srcRect.width > 0) ? srcRect.width : (src ? (src.offsetWidth || 120) : 120);
+        const srcHeightCss = (srcRect && srcRect.height > 0) ? srcRect.height : (src ? (src.offsetHeight || 24) : 24);
+        let leftCss;
+        let topCss;
+        let bottomCss = null;
+        if (src && src.dataset && src.dataset.leftPx && src.dataset.topPx) {
+          leftCss = parseFloat(src.dataset.leftPx) || 0;
+          topCss = parseFloat(src.dataset.topPx) || Math.max(0, mapRect.height - srcHeightCss - 8);
+          bottomCss = Math.max(0, mapRect.height - (topCss + srcHeightCss));
+        } else if (srcRect && srcRect.width > 0 && srcRect.height > 0) {
+          leftCss = srcRect.left - mapRect.left;
+          topCss = srcRect.top - mapRect.top;
+          bottomCss = Math.max(0, mapRect.bottom - srcRect.bottom);
+        } else {
+          leftCss = Math.max(0, (mapRect.width - srcWidthCss) / 2);
+          topCss = Math.max(0, mapRect.height - srcHeightCss - 8);
+          bottomCss = Math.max(0, mapRect.height - (topCss + srcHeightCss));
+        }
+        const left = Math.max(0, Math.round(leftCss * rawScaleX) - cropX);
+        const top = Math.max(0, Math.round(topCss * rawScaleY));
+        const w = Math.max(70, Math.round(srcWidthCss * rawScaleX));
+        const h = Math.max(20, Math.round(srcHeightCss * rawScaleY));
+        const bottomRaw = Math.max(0, Math.round((bottomCss == null ? 8 : bottomCss) * rawScaleY));
+        const bottom = Math.max(6, Math.min(bottomRaw, Math.max(6, H - h)));
+        const labelText = src
+          ? (src.querySelector('.exact-scale-label')?.textContent || src.textContent || 'Scale: --').trim()
+          : 'Scale: --';
+
+        const fallback = document.createElement('div');
+        fallback.className = 'export-scale-clone';
+        fallback.style.position = 'absolute';
+        fallback.style.left = left + 'px';
+        fallback.style.top = 'auto';
+        fallback.style.bottom = bottom + 'px';
+        fallback.style.width = w + 'px';
+        fallback.style.minHeight = h + 'px';
+        fallback.style.background = '#ffffff';
+        fallback.style.border = '1px solid #cfd6e4';
+        fallback.style.borderRadius = '4px';
+        fallback.style.padding = '3px 6px';
+        fallback.style.boxSizing = 'border-box';
+        fallback.style.fontSize = Math.max(8, Math.round(h * 0.32)) + 'px';
+        fallback.style.lineHeight = '1.2';
+        fallback.style.fontWeight = '400';
+        fallback.style.color = '#102a43';
+        fallback.style.textAlign = 'center';
+        fallback.style.pointerEvents = 'none';
+        fallback.textContent = labelText;
+        mapWrapper.appendChild(fallback);
+      }
+
+      ensureNorthArrowFallback();
+      ensureScaleBarFallback();
+
+      function ensureFirefoxGuaranteedOverlays() {
+        // Keep Firefox behavior aligned with Chrome by relying on exact clones.
+        if (!isFirefoxBrowser()) return;
+        return;
+
+        const existingDisc = mapWrapper.querySelector('.export-disclaimer-clone');
+        if (!existingDisc) {
+          const srcDisc = document.getElementById('disclaimer');
+          const fallbackDisc = document.createElement('div');
+          fallbackDisc.className = 'export-disclaimer-clone';
+          fallbackDisc.style.position = 'absolute';
+          fallbackDisc.style.left = '8px';
+          fallbackDisc.style.bottom = '-2px';
+          fallbackDisc.style.maxWidth = Math.max(140, Math.round(W * 0.45)) + 'px';
+          fallbackDisc.style.background = 'rgba(255,255,255,0.95)';
+          fallbackDisc.style.padding = '6px';
+          fallbackDisc.style.fontSize = '10px';
+          fallbackDisc.style.lineHeight = '1.25';
+          fallbackDisc.style.color = '#000';
+          fallbackDisc.style.textAlign = 'left';
+          fallbackDisc.style.zIndex = '6';
+          fallbackDisc.textContent = (srcDisc && srcDisc.textContent ? String(srcDisc.textContent).trim() : 'Disclaimer');
+          mapWrapper.appendChild(fallbackDisc);
+        }
+
+        const existingNorth = mapWrapper.querySelector('.export-north-arrow-clone');
+        if (!existingNorth) {
+          const na = document.createElement('div');
+          na.className = 'export-north-arrow-clone';
+          na.style.position = 'absolute';
+          na.style.right = '12px';
+          na.style.top = '12px';
+          na.style.width = '34px';
+          na.style.height = '44px';
+          na.style.background = '#fff';
+          na.style.border = '1px solid #cfd6e4';
+          na.style.borderRadius = '4px';
+          na.style.display = 'flex';
+          na.style.flexDirection = 'column';
+          na.style.alignItems = 'center';
+          na.style.justifyContent = 'center';
+          na.style.boxSizing = 'border-box';
+          na.style.zIndex = '6';
+          const nText = document.createElement('div');
+          nText.textContent = 'N';
+          nText.style.fontSize = '12px';
+          nText.style.fontWeight = '700';
+          nText.style.color = '#1e3a8a';
+          nText.style.lineHeight = '1';
+          const tri = document.createElement('div');
+          tri.style.width = '0';
+          tri.style.height = '0';
+          tri.style.borderLeft = '6px solid transparent';
+          tri.style.borderRight = '6px solid transparent';
+          tri.style.borderBottom = '12px solid #1e3a8a';
+          tri.style.marginTop = '3px';
+          na.appendChild(nText);
+          na.appendChild(tri);
+          mapWrapper.appendChild(na);
+        }
+
+        const existingScale = mapWrapper.querySelector('.export-scale-clone');
+        if (!existingScale) {
+          const srcScale = (scaleControl && typeof scaleControl.getContainer === "function")
+            ? scaleControl.getContainer()
+            : null;
+          const scaleTxt = srcScale
+            ? (srcScale.querySelector('.exact-scale-label')?.textContent || srcScale.textContent || 'Scale: --')
+            : 'Scale: --';
+          const sb = document.createElement('div');
+          sb.className = 'export-scale-clone';
+          sb.style.position = 'absolute';
+          sb.style.left = Math.max(8, Math.round((W - 140) / 2)) + 'px';
+          sb.style.bottom = '-2px';
+          sb.style.width = '140px';
+          sb.style.minHeight = '22px';
+          sb.style.background = '#fff';
+          sb.style.border = '1px solid #cfd6e4';
+          sb.style.borderRadius = '4px';
+          sb.style.padding = '3px 6px';
+          sb.style.boxSizing = 'border-box';
+          sb.style.fontSize = '8px';
+          sb.style.lineHeight = '1.2';
+          sb.style.fontWeight = '400';
+          sb.style.color = '#102a43';
+          sb.style.textAlign = 'center';
+          sb.style.zIndex = '6';
+          sb.textContent = String(scaleTxt || 'Scale: --').trim();
+          mapWrapper.appendChild(sb);
+        }
+      }
+
+      ensureFirefoxGuaranteedOverlays();
+
+      const legend = document.querySelector('#legend-items');
+      if (legend) {
+        const clone = legend.cloneNode(true);
+        clone.className = 'export-legend-clone';
+        copyVisualStylesRecursive(legend, clone);
+        clone.style.position = 'relative';
+        clone.style.display = 'block';
+        clone.style.clear = 'both';
+        clone.style.zIndex = '4';
+        clone.style.background = 'transparent';
+        clone.style.border = '0';
+        clone.style.boxShadow = 'none';
+        clone.style.outline = 'none';
+        clone.style.padding = '0';
+        clone.style.marginTop = '10px';
+        clone.style.borderRadius = '0';
+        clone.style.overflow = 'visible';
+        Array.from(clone.querySelectorAll('.legend-block')).forEach((block) => {
+          block.style.borderTop = '0';
+          block.style.border = '0';
+          block.style.boxShadow = 'none';
+          block.style.outline = 'none';
+          block.style.background = 'transparent';
+        });
+        Array.from(clone.querySelectorAll('.legend-row')).forEach((row) => {
+          row.style.display = 'flex';
+          row.style.alignItems = 'center';
+          row.style.minHeight = '18px';
+        });
+        const sourceSyms = Array.from(legend.querySelectorAll('.legend-sym'));
+        const cloneSyms = Array.from(clone.querySelectorAll('.legend-sym'));
+        cloneSyms.forEach((sym, idx) => {
+          const src = sourceSyms[idx];
+          if (!src) return;
+          const cs = window.getComputedStyle(src);
+          const fillColor = (cs && cs.backgroundColor && cs.backgroundColor !== 'rgba(0, 0, 0, 0)')
+            ? cs.backgroundColor
+            : '#ccc';
+          const borderValue = (cs && cs.border && cs.border !== '0px none rgb(0, 0, 0)')
+            ? cs.border
+            : '1px solid #333';
+          sym.style.display = 'inline-block';
+          sym.style.boxSizing = 'border-box';
+          sym.style.width = '16px';
+          sym.style.minWidth = '16px';
+          sym.style.maxWidth = '16px';
+          sym.style.height = '16px';
+          sym.style.minHeight = '16px';
+          sym.style.maxHeight = '16px';
+          sym.style.marginRight = '8px';
+          sym.style.flex = '0 0 16px';
+          sym.style.backgroundColor = fillColor;
+          sym.style.border = borderValue;
+          if (sym.classList.contains('legend-sym-line')) {
+            const lineColor = (cs && cs.borderTopColor && cs.borderTopColor !== 'rgba(0, 0, 0, 0)')
+              ? cs.borderTopColor
+              : fillColor;
+            sym.style.border = '0';
+            sym.style.background = 'transparent';
+            sym.style.marginTop = '0';
+            sym.style.height = '16px';
+            sym.style.minHeight = '16px';
+            sym.style.maxHeight = '16px';
+            sym.style.display = 'inline-flex';
+            sym.style.alignItems = 'center';
+            sym.style.justifyContent = 'center';
+            sym.style.transform = 'none';
+            sym.style.color = lineColor;
+            sym.style.borderTop = '0';
+            sym.textContent = '';
+            const lineStroke = document.createElement('span');
+            lineStroke.style.display = 'block';
+            lineStroke.style.width = '100%';
+            lineStroke.style.borderTop = `3px solid ${lineColor}`;
+            lineStroke.style.boxSizing = 'border-box';
+            sym.appendChild(lineStroke);
+          } else if (sym.classList.contains('legend-sym-point')) {
+            sym.style.borderRadius = '50%';
+            sym.style.transform = 'none';
+            sym.style.borderTop = '0';
+          } else {
+            sym.style.transform = 'none';
+            sym.style.borderTop = '0';
+          }
+        });
+        wrapper.appendChild(clone);
+      }
+
+      const runCb = () => {
+        try {
+          cb(wrapper);
+        } catch (err) {
+          console.error("Export callback failed:", err);
+          if (typeof onError === "function") onError(err);
+        }
+      };
+
+      if (img.decode) {
+        img.decode().then(runCb).catch(runCb);
+      } else if (img.complete) {
+        runCb();
+      } else {
+        img.onload = runCb;
+        img.onerror = runCb;
+      }
+    });
+    }
+
+    // --- Helper: show/hide loading message with spinner ---
+    // Batch runs (atlas export) put their progress in front of each export's own message.
+    let loadingContext = "";
+
+    function showLoading(msg = "Exporting, please wait...") {
+    if (loadingContext) msg = `${loadingContext} · ${msg}`;
+    let loader = document.getElementById("export-loader");
+    if (!loader) {
+    loader = document.createElement('div');
+    loader.id = 'export-loader';
+    loader.className = 'export-loader';
+
+    const spinner = document.createElement('div');
+    spinner.className = 'export-spinner';
+
+    const text = document.createElement('div');
+    text.className = 'export-loader-text';
+    text.textContent = msg;
+
+    loader.appendChild(spinner);
+    loader.appendChild(text);
+    document.body.appendChild(loader);
+    }
+    const label = loader.querySelector(".export-loader-text");
+    if (label) label.textContent = msg;
+    hideRow("import-progress");
+    setDynamicStyle(loader, { display: "flex" });
+    }
+
+    function hideLoading() {
+    const loader = document.getElementById("export-loader");
+    if (loader) setDynamicStyle(loader, { display: "none" });
+    }
+
+    function wrapCanvasText(ctx, text, maxWidth) {
+      const words = String(text || "").split(/\s+/).filter(Boolean);
+      const lines = [];
+      let line = "";
+      for (let i = 0; i < words.length; i++) {
+        const candidate = line ? (line + " " + words[i]) : words[i];
+        if (ctx.measureText(candidate).width <= maxWidth || !line) {
+          line = candidate;
+        } else {
+          lines.push(line);
+          line = words[i];
+        }
+      }
+      if (line) lines.push(line);
+      return lines;
+    }
+
+    function getExportLegendBlocks() {
+      const legendRoot = document.getElementById('legend-items');
+      if (!legendRoot) return [];
+
+      const isVisible = (el) => {
+        if (!el) return false;
+        const cs = window.getComputedStyle(el);
+        return cs.display !== 'none' && cs.visibility !== 'hidden' && parseFloat(cs.opacity || '1') > 0;
+      };
+
+      const blocks = Array.from(legendRoot.querySelectorAll('.legend-block'))
+        .filter((block) => isVisible(block));
+
+      return blocks.map((block) => {
+        const headerEl = block.querySelector('.legend-header');
+        const title = (headerEl?.textContent || '').trim() || 'Legend';
+        const rows = Array.from(block.querySelectorAll('.legend-row')).map((row) => {
+          const symEl = row.querySelector('.legend-sym');
+          const labelEl = row.querySelector('span');
+          const cs = symEl ? window.getComputedStyle(symEl) : null;
+          const isLine = !!(symEl && symEl.classList.contains('legend-sym-line'));
+          const isPoint = !!(symEl && symEl.classList.contains('legend-sym-point'));
+          const color = isLine
+            ? (cs?.borderTopColor || cs?.borderColor || '#cccccc')
+            : (cs?.backgroundColor || '#cccccc');
+          return {
+            color,
+            label: (labelEl?.textContent || '').trim(),
+            symbolType: isLine ? 'line' : (isPoint ? 'point' : 'polygon')
+          };
+        }).filter((row) => row.label);
+
+        return { title, rows };
+      }).filter((block) => block.rows.length > 0);
+    }
+
+    function buildEdgeDirectExportCanvas(formatLabel, cb, onError) {
+      captureMapImage((err, mapCanvas) => {
+        if (err || !mapCanvas) {
+          if (typeof onError === "function") onError(err || new Error("Map canvas unavailable"));
+          return;
+        }
+
+        const mapEl = document.getElementById('map');
+        const debugInfo = getExportCorrectionDebug(mapCanvas, mapEl);
+        const adjustedMapCanvas = alignMapCanvasForEdgeDisplayedState(mapCanvas, mapEl);
+        logEdgeExportDebug("pipeline.mode", { mode: "edge-direct-canvas-tile-plus-pane" });
+        showExportCorrectionDebugMessage(debugInfo);
+
+        const mapSize = (map && typeof map.getSize === 'function') ? map.getSize() : null;
+        const cssW = (mapSize && mapSize.x > 0) ? mapSize.x : (mapEl ? mapEl.clientWidth : adjustedMapCanvas.width);
+        const cssH = (mapSize && mapSize.y > 0) ? mapSize.y : (mapEl ? mapEl.clientHeight : adjustedMapCanvas.height);
+        const rawScaleX = cssW > 0 ? (adjustedMapCanvas.width / cssW) : 1;
+        const rawScaleY = cssH > 0 ? (adjustedMapCanvas.height / cssH) : rawScaleX;
+        const expectedW = Math.round(cssW * rawScaleX);
+        const expectedH = Math.round(cssH * rawScaleY);
+        const baseCropW = Math.max(1, Math.min(expectedW, adjustedMapCanvas.width));
+        const cropH = Math.max(1, Math.min(expectedH, adjustedMapCanvas.height));
+        const sideCropPx = getExportSideCropPxForBrowser(adjustedMapCanvas, baseCropW, cropH);
+        const cropX = Math.max(0, sideCropPx);
+        const cropW = Math.max(1, baseCropW - (2 * sideCropPx));
+        reportEdgeExportSpaceReduction(formatLabel || "png/pdf", sideCropPx, baseCropW, cropW);
+
+        const cropped = document.createElement('canvas');
+        cropped.width = cropW;
+        cropped.height = cropH;
+        const cctx = cropped.getContext('2d');
+        if (!cctx) {
+          if (typeof onError === "function") onError(new Error("Crop canvas context unavailable"));
+          return;
+        }
+        cctx.drawImage(adjustedMapCanvas, cropX, 0, cropW, cropH, 0, 0, cropW, cropH);
+
+        const titleText = (document.getElementById('map-title')?.textContent || 'Map Export').trim();
+        const disclaimerText = (document.getElementById('disclaimer')?.textContent || '').trim();
+        const disclaimerEl = document.getElementById('disclaimer');
+        const scaleControlEl = document.querySelector('.leaflet-control-exact-scale, .map-bottom-scale-control');
+        const northArrowEl = document.querySelector('.leaflet-control-north-arrow');
+        const mapRect = mapEl ? mapEl.getBoundingClientRect() : null;
+        const scaleText = (document.querySelector('.leaflet-control-exact-scale .exact-scale-label')?.textContent
+          || document.querySelector('.map-bottom-scale-control .exact-scale-label')?.textContent
+          || '').trim();
+        const legendBlocks = getExportLegendBlocks();
+
+        const titleH = 36;
+        const legendHeaderH = 24;
+        const legendRowH = 20;
+        const legendBlockGap = 10;
+        const legendTopPad = 8;
+        const legendBottomPad = 8;
+        const legendH = legendBlocks.length
+          ? (legendTopPad + legendBottomPad + legendBlocks.reduce((sum, block, idx) => {
+              const blockH = legendHeaderH + (block.rows.length * legendRowH);
+              return sum + blockH + (idx > 0 ? legendBlockGap : 0);
+            }, 0))
+          : 0;
+        const outW = cropW;
+        const outH = titleH + cropH + legendH;
+
+        const out = document.createElement('canvas');
+        out.width = outW;
+        out.height = outH;
+        const octx = out.getContext('2d');
+        if (!octx) {
+          if (typeof onError === "function") onError(new Error("Export canvas context unavailable"));
+          return;
+        }
+
+        octx.fillStyle = '#ffffff';
+        octx.fillRect(0, 0, outW, outH);
+        octx.fillStyle = '#222222';
+        octx.font = '600 20px Segoe UI, sans-serif';
+        octx.textAlign = 'center';
+        octx.textBaseline = 'middle';
+        octx.fillText(titleText, Math.round(outW / 2), Math.round(titleH / 2));
+
+        octx.drawImage(cropped, 0, titleH);
+
+        // Draw north arrow where it is currently placed on the live map.
+        {
+          const naRect = northArrowEl ? northArrowEl.getBoundingClientRect() : null;
+          const naW = (naRect && naRect.width > 0) ? Math.max(22, Math.round(naRect.width * rawScaleX)) : 34;
+          const naH = (naRect && naRect.height > 0) ? Math.max(28, Math.round(naRect.height * rawScaleY)) : 44;
+          const naLeftCss = (naRect && mapRect) ? (naRect.left - mapRect.left) : (cssW - (naW / rawScaleX) - 12);
+          const naTopCss = (naRect && mapRect) ? (naRect.top - mapRect.top) : 12;
+          let naX = Math.round(naLeftCss * rawScaleX) - cropX;
+          let naY = titleH + Math.round(naTopCss * rawScaleY);
+          naX = Math.max(0, Math.min(outW - naW, naX));
+          naY = Math.max(titleH, Math.min((titleH + cropH) - naH, naY));
+          octx.fillStyle = '#ffffff';
+          octx.strokeStyle = '#cfd6e4';
+          octx.lineWidth = 1;
+          octx.beginPath();
+          octx.rect(naX, naY, naW, naH);
+          octx.fill();
+          octx.stroke();
+
+          octx.fillStyle = '#1e3a8a';
+          octx.font = '700 12px Segoe UI, sans-serif';
+          octx.textAlign = 'center';
+          octx.textBaseline = 'top';
+          octx.fillText('N', naX + Math.round(naW / 2), naY + 4);
+
+          const triTop = naY + 20;
+          const triW = 12;
+          const triH = 12;
+          const triCX = naX + Math.round(naW / 2);
+          octx.beginPath();
+          octx.moveTo(triCX, triTop);
+          octx.lineTo(triCX - Math.round(triW / 2), triTop + triH);
+          octx.lineTo(triCX + Math.round(triW / 2), triTop + triH);
+          octx.closePath();
+          octx.fill();
+        }
+
+        if (disclaimerText) {
+          const pad = 6;
+          const lineH = 13;
+          const maxLines = 5;
+          const edgeDiscExpandLeftPx = 8;
+          const edgeDiscExpandWidthPx = 28;
+          const discRect = disclaimerEl ? disclaimerEl.getBoundingClientRect() : null;
+          const sourceDiscW = (discRect && discRect.width > 0) ? Math.round(discRect.width * rawScaleX) : Math.round(outW * 0.46);
+          const sourceDiscH = (discRect && discRect.height > 0) ? Math.round(discRect.height * rawScaleY) : Math.round(cropH * 0.15);
+          const maxW = Math.max(130, Math.min(Math.round(outW * 0.56), sourceDiscW + edgeDiscExpandWidthPx));
+          octx.font = 'italic 11px Segoe UI, sans-serif';
+          octx.textAlign = 'left';
+          octx.textBaseline = 'top';
+          const wrapped = wrapCanvasText(octx, disclaimerText, maxW - (pad * 2));
+          const truncated = wrapped.length > maxLines;
+          const lines = wrapped.slice(0, maxLines);
+          if (truncated && lines.length) {
+            lines[lines.length - 1] = lines[lines.length - 1].replace(/[\s.,;:!?-]*$/, '') + '...';
+          }
+          let boxH = (maxLines * lineH) + (pad * 2);
+          if (sourceDiscH > 0) {
+            boxH = Math.max(boxH, Math.min(Math.round(cropH * 0.32), sourceDiscH));
+          }
+          const discLeftCss = (discRect && mapRect) ? (discRect.left - mapRect.left) : 8;
+          const discTopCss = (discRect && mapRect) ? (discRect.top - mapRect.top) : (cssH - (boxH / rawScaleY) - 28);
+          let x = Math.round(discLeftCss * rawScaleX) - cropX - edgeDiscExpandLeftPx;
+          let y = titleH + Math.round(discTopCss * rawScaleY);
+          x = Math.max(0, Math.min(outW - maxW, x));
+          y = Math.max(titleH, Math.min((titleH + cropH) - boxH, y));
+          octx.fillStyle = 'rgba(255,255,255,0.93)';
+          octx.fillRect(x, y, maxW, boxH);
+          octx.fillStyle = '#333333';
+          const drawJustifiedLine = (ctx, line, startX, baselineY, maxTextW, isLast) => {
+            const words = String(line || '').trim().split(/\s+/).filter(Boolean);
+            if (isLast || words.length <= 1 || /\.\.\.$/.test(line)) {
+              ctx.fillText(line, startX, baselineY);
+              return;
+            }
+            const wordsWidth = words.reduce((sum, w) => sum + ctx.measureText(w).width, 0);
+            const gaps = words.length - 1;
+            const baseSpace = ctx.measureText(' ').width;
+            const minNaturalWidth = wordsWidth + (baseSpace * gaps);
+            if (minNaturalWidth >= maxTextW) {
+              ctx.fillText(line, startX, baselineY);
+              return;
+            }
+            const extraSpace = (maxTextW - minNaturalWidth) / gaps;
+            let cursor = startX;
+            for (let j = 0; j < words.length; j++) {
+              const w = words[j];
+              ctx.fillText(w, cursor, baselineY);
+              cursor += ctx.measureText(w).width;
+              if (j < gaps) cursor += baseSpace + extraSpace;
+            }
+          };
+          for (let i = 0; i < lines.length; i++) {
+            drawJustifiedLine(
+              octx,
+              lines[i],
+              x + pad,
+              y + pad + (i * lineH),
+              maxW - (pad * 2),
+              i === lines.length - 1
+            );
+          }
+        }
+
+        if (scaleText) {
+          const sbRect = scaleControlEl ? scaleControlEl.getBoundingClientRect() : null;
+          const sourceBoxW = (sbRect && sbRect.width > 0) ? Math.max(90, Math.round(sbRect.width * rawScaleX)) : 108;
+          const boxH = (sbRect && sbRect.height > 0) ? Math.max(18, Math.round(sbRect.height * rawScaleY)) : 20;
+          const scaleFontPx = Math.max(8, Math.round(8 * rawScaleY));
+          octx.font = `${scaleFontPx}px Segoe UI, sans-serif`;
+          const measuredW = Math.ceil(octx.measureText(scaleText).width) + 14;
+          const boxW = Math.max(sourceBoxW, measuredW);
+          const sbLeftCss = (sbRect && mapRect) ? (sbRect.left - mapRect.left) : ((cssW - (boxW / rawScaleX)) / 2);
+          const sbTopCss = (sbRect && mapRect) ? (sbRect.top - mapRect.top) : (cssH - (boxH / rawScaleY) - 8);
+          let x = Math.round(sbLeftCss * rawScaleX) - cropX;
+          let y = titleH + Math.round(sbTopCss * rawScaleY) - 8;
+          x = Math.max(0, Math.min(outW - boxW, x));
+          y = Math.max(titleH, Math.min((titleH + cropH) - boxH, y));
+          octx.fillStyle = 'rgba(255,255,255,0.95)';
+          octx.fillRect(x, y, boxW, boxH);
+          octx.strokeStyle = '#cfd6e4';
+          octx.lineWidth = 1;
+          octx.strokeRect(x, y, boxW, boxH);
+          octx.fillStyle = '#102a43';
+          octx.font = `${scaleFontPx}px Segoe UI, sans-serif`;
+          octx.textAlign = 'center';
+          octx.textBaseline = 'middle';
+          octx.fillText(scaleText, x + Math.round(boxW / 2), y + Math.round(boxH / 2));
+        }
+
+        if (legendBlocks.length) {
+          let y = titleH + cropH + legendTopPad;
+          octx.textAlign = 'left';
+          octx.textBaseline = 'top';
+
+          legendBlocks.forEach((block, blockIdx) => {
+            if (blockIdx > 0) y += legendBlockGap;
+
+            octx.fillStyle = '#222222';
+            octx.font = '600 20px Segoe UI, sans-serif';
+            octx.fillText(String(block.title || 'Legend'), 6, y);
+            y += legendHeaderH;
+
+            octx.font = '400 15px Segoe UI, sans-serif';
+            block.rows.forEach((entry) => {
+              const color = entry.color || '#cccccc';
               const symbolType = entry.symbolType || 'polygon';
               const symbolX = 6;
               const symbolY = y;
               const symbolSize = 16;
 
-              if (symbolType === 'line') {
-                octx.strokeStyle = color;
-                octx.lineWidth = 3;
-                octx.beginPath();
-                octx.moveTo(symbolX, symbolY + 8);
-                octx.lineTo(symbolX + symbolSize, symbolY + 8);
-                octx.stroke();
-              } else if (symbolType === 'point') {
-                octx.fillStyle = color;
-                octx.beginPath();
-                octx.arc(symbolX + 8, symbolY + 8, 7, 0, Math.PI * 2);
-                octx.fill();
-              } else {
-                octx.fillStyle = color;
-                octx.fillRect(symbolX, symbolY, symbolSize, symbolSize);
-                octx.strokeStyle = '#333333';
-                octx.lineWidth = 1;
-                octx.strokeRect(symbolX, symbolY, symbolSize, symbolSize);
-              }
+              if (symbolType === 'line') {
+                octx.strokeStyle = color;
+                octx.lineWidth = 3;
+                octx.beginPath();
+                octx.moveTo(symbolX, symbolY + 8);
+                octx.lineTo(symbolX + symbolSize, symbolY + 8);
+                octx.stroke();
+              } else if (symbolType === 'point') {
+                octx.fillStyle = color;
+                octx.beginPath();
+                octx.arc(symbolX + 8, symbolY + 8, 7, 0, Math.PI * 2);
+                octx.fill();
+              } else {
+                octx.fillStyle = color;
+                octx.fillRect(symbolX, symbolY, symbolSize, symbolSize);
+                octx.strokeStyle = '#333333';
+                octx.lineWidth = 1;
+                octx.strokeRect(symbolX, symbolY, symbolSize, symbolSize);
+              }
+
+              octx.fillStyle = '#333333';
+              octx.fillText(String(entry.label || ''), 30, y - 2);
+              y += legendRowH;
+            });
+          });
+        }
+
+        cb(out);
+      });
+    }
+
+    // The composed export (title, map, legend and disclaimer) as one canvas.
+    function renderExportCanvas(formatLabel) {
+      return new Promise((resolve, reject) => {
+        if (isEdgeBrowser()) {
+          buildEdgeDirectExportCanvas(formatLabel, resolve, reject);
+          return;
+        }
+        compositeExportElement(wrapper => {
+          html2canvas(wrapper, buildHtml2CanvasOptions(wrapper))
+            .then(resolve, reject)
+            .finally(() => document.body.removeChild(wrapper));
+        }, reject);
+      });
+    }
+
+    function canvasToBlob(canvas, type, quality) {
+      return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("Canvas could not be encoded")), type, quality);
+      });
+    }
+
+    // Exports hand their file to save(blob, filename), a download by default, and resolve to
+    // whether a file was saved.
+    function exportMap(save = downloadBlob) {
+      showLoading("Exporting map as PNG...");
+      return renderExportCanvas("png")
+        .then(canvas => canvasToBlob(canvas, "image/png"))
+        .then(blob => {
+          save(blob, 'map.png');
+          return true;
+        })
+        .catch(err => {
+          console.error("PNG export failed:", err);
+          return false;
+        })
+        .finally(hideLoading);
+    }
+
+      // Image-only PDF of the composed export; exportPDF falls back to it when the vector export fails.
+      function exportRasterPDF(save = downloadBlob) {
+        showLoading("Exporting map as PDF...");
+        return renderExportCanvas("pdf")
+          .then(canvas => {
+            const imgData = canvas.toDataURL('image/png');
+            const orientation = canvas.width >= canvas.height ? 'landscape' : 'portrait';
+            const pdf = new jspdf.jsPDF({
+              orientation,
+              unit: 'px',
+              format: [canvas.width, canvas.height]
+            });
+            pdf.addImage(imgData, 'PNG', 0, 0, canvas.width, canvas.height);
+            save(pdf.output('blob'), 'map.pdf');
+            return true;
+          })
+          .catch(err => {
+            console.error("PDF export failed:", err);
+            return false;
+          })
+          .finally(hideLoading);
+      }
+
+  //Start of Export SVG
+  // Security / limits (tune as needed)
+//const MAX_FEATURES = 5000;
+//const MAX_VERTICES = 100000;
+const MAX_TEXT_LENGTH = 2000;
+
+// Helper: safe text extraction and truncation
+function safeText(node) {
+  if (!node) return "";
+  return String(node.textContent || "").slice(0, MAX_TEXT_LENGTH);
+}
+
+// Helper: test whether canvas is exportable (toDataURL won't throw)
+function tryCanvasToDataURL(canvas) {
+  try {
+    return canvas.toDataURL("image/png");
+  } catch (e) {
+    console.warn("Canvas toDataURL failed (tainted?):", e);
+    return null;
+  }
+}
+
+function trimHorizontalWhitespaceWithOffset(sourceCanvas, maxTrimRatio = 0.25) {
+  if (!sourceCanvas || typeof sourceCanvas.getContext !== "function") {
+    return { canvas: sourceCanvas, leftTrim: 0 };
+  }
+  const w = Math.max(1, sourceCanvas.width | 0);
+  const h = Math.max(1, sourceCanvas.height | 0);
+  const ctx = sourceCanvas.getContext("2d", { willReadFrequently: true });
+  if (!ctx) return { canvas: sourceCanvas, leftTrim: 0 };
+
+  let imgData;
+  try {
+    imgData = ctx.getImageData(0, 0, w, h);
+  } catch (e) {
+    return { canvas: sourceCanvas, leftTrim: 0 };
+  }
+  const px = imgData.data;
+  const maxTrimPx = Math.max(0, Math.floor(w * Math.max(0, Math.min(0.45, maxTrimRatio))));
+  const nonBlankThreshold = Math.max(2, Math.floor(h * 0.002));
+
+  function isMostlyBlankColumn(x) {
+    let nonBlank = 0;
+    for (let y = 0; y < h; y++) {
+      const idx = ((y * w) + x) * 4;
+      const r = px[idx];
+      const g = px[idx + 1];
+      const b = px[idx + 2];
+      const a = px[idx + 3];
+      // Count transparent and near-white pixels as blank export margin.
+      const blank = (a <= 8) || (a >= 248 && r >= 248 && g >= 248 && b >= 248);
+      if (!blank) {
+        nonBlank++;
+        if (nonBlank > nonBlankThreshold) return false;
+      }
+    }
+    return true;
+  }
+
+  let left = 0;
+  while (left < maxTrimPx && isMostlyBlankColumn(left)) left++;
+  let right = w - 1;
+  while (right >= (w - maxTrimPx) && isMostlyBlankColumn(right)) right--;
+  const trimmedW = Math.max(1, right - left + 1);
+  if (left === 0 && trimmedW === w) return { canvas: sourceCanvas, leftTrim: 0 };
+
+  const trimmed = document.createElement("canvas");
+  trimmed.width = trimmedW;
+  trimmed.height = h;
+  const tctx = trimmed.getContext("2d");
+  if (!tctx) return { canvas: sourceCanvas, leftTrim: 0 };
+  tctx.drawImage(sourceCanvas, left, 0, trimmedW, h, 0, 0, trimmedW, h);
+  return { canvas: trimmed, leftTrim: left };
+}
+
+function getHorizontalInkCenterShift(sourceCanvas) {
+  if (!sourceCanvas || typeof sourceCanvas.getContext !== "function") return 0;
+  const w = Math.max(1, sourceCanvas.width | 0);
+  const h = Math.max(1, sourceCanvas.height | 0);
+  const ctx = sourceCanvas.getContext("2d", { willReadFrequently: true });
+  if (!ctx) return 0;
+
+  let imgData;
+  try {
+    imgData = ctx.getImageData(0, 0, w, h);
+  } catch (e) {
+    return 0;
+  }
+  const px = imgData.data;
+  const nonBlankThreshold = Math.max(2, Math.floor(h * 0.002));
+
+  function isMostlyBlankColumn(x) {
+    let nonBlank = 0;
+    for (let y = 0; y < h; y++) {
+      const idx = ((y * w) + x) * 4;
+      const r = px[idx];
+      const g = px[idx + 1];
+      const b = px[idx + 2];
+      const a = px[idx + 3];
+      const blank = (a <= 8) || (a >= 248 && r >= 248 && g >= 248 && b >= 248);
+      if (!blank) {
+        nonBlank++;
+        if (nonBlank > nonBlankThreshold) return false;
+      }
+    }
+    return true;
+  }
+
+  let left = 0;
+  while (left < w && isMostlyBlankColumn(left)) left++;
+  let right = w - 1;
+  while (right >= 0 && isMostlyBlankColumn(right)) right--;
+  if (left >= w || right < 0 || right <= left) return 0;
+
+  const inkWidth = right - left + 1;
+  const desiredLeft = (w - inkWidth) / 2;
+  return Math.round(desiredLeft - left);
+}
+
+function exportSVG(save = downloadBlob) {
+  return new Promise(resolve => renderSvgExport(save, resolve));
+}
+
+// Assumes MAX_FEATURES, MAX_VERTICES, MAX_TEXT_LENGTH, safeText, tryCanvasToDataURL, getPointRadius, getLineWidth, defaultStyle, sanitizeName, showLoading, hideLoading, showPopup, exportMap, overlayData, geojsonData, currentLayerName, map are defined elsewhere.
+// done(result) settles exportSVG: true once the SVG or its PNG fallback is saved.
+function renderSvgExport(save, done) {
+  showLoading("Exporting map as SVG...");
+
+  const sourceData = geojsonData || (overlayData[currentLayerName] && overlayData[currentLayerName].geojson);
+  const data = getFilteredGeojson(sourceData);
+  if (!data || !Array.isArray(data.features) || !data.features.length) {
+    showPopup("No vector data available for SVG export. Falling back to PNG.", "error");
+    hideLoading();
+    return done(exportMap(save));
+  }
+  if (data.features.length > MAX_FEATURES) {
+    showPopup("Dataset too large for client export", "error");
+    hideLoading();
+    return done(false);
+  }
+
+  // Vertex guard
+  let totalVertices = 0;
+  (function countVertices(features) {
+    features.forEach(f => {
+      const g = f.geometry;
+      if (!g) return;
+      const walk = coords => {
+        if (!coords) return;
+        if (typeof coords[0] === "number") totalVertices++;
+        else coords.forEach(c => walk(c));
+      };
+      if (g.type === "Point") totalVertices++;
+      else walk(g.coordinates);
+    });
+  })(data.features);
+  if (totalVertices > MAX_VERTICES) {
+    showPopup("Dataset too complex for client export. Use Simplify Geometry to create a lighter layer first.", "error");
+    hideLoading();
+    return done(false);
+  }
+
+  const titleEl = document.getElementById('map-title');
+  const legendEl = document.getElementById('legend-items');
+  const disclaimerEl = document.getElementById('disclaimer');
+  const northArrowEl = document.querySelector('.leaflet-control-north-arrow');
+  const scaleBarEl = document.querySelector('.leaflet-control-exact-scale');
+  const mapEl = document.getElementById('map');
+  if (!mapEl) {
+    console.error("Map element not found");
+    hideLoading();
+    return done(false);
+  }
+
+  captureMapImage((err, mapCanvas) => {
+    if (err || !mapCanvas) {
+      showPopup("Raster capture failed (possible CORS). Exporting PNG instead.", "error");
+      hideLoading();
+      return done(exportMap(save));
+    }
+
+    // detect tainted canvas
+    const canvasDataUrlCheck = tryCanvasToDataURL(mapCanvas);
+    if (!canvasDataUrlCheck) {
+      showPopup("Export blocked by cross-origin tiles. Enable CORS or use PNG fallback.", "error");
+      hideLoading();
+      return done(exportMap(save));
+    }
+
+    try {
+      const svgNS = "http://www.w3.org/2000/svg";
+      const XLINK = "http://www.w3.org/1999/xlink";
+
+      // authoritative canvas pixels from leafletImage
+      const debugInfo = getExportCorrectionDebug(mapCanvas, mapEl);
+      const isEdge = isEdgeBrowser();
+      const adjustedMapCanvas = alignCapturedMapCanvas(mapCanvas, mapEl);
+      logEdgeExportDebug("pipeline.mode", {
+        mode: isEdge ? "edge-tile-plus-pane" : "full"
+      });
+      showExportCorrectionDebugMessage(debugInfo);
+      const canvasPixelWidth  = adjustedMapCanvas.width;
+      const canvasPixelHeight = adjustedMapCanvas.height;
+
+      // container CSS size and scale factor
+      const mapSize = (map && typeof map.getSize === 'function') ? map.getSize() : null;
+      const containerWidth  = (mapSize && mapSize.x > 0) ? mapSize.x : (mapEl.clientWidth || canvasPixelWidth);
+      const containerHeight = (mapSize && mapSize.y > 0) ? mapSize.y : (mapEl.clientHeight || canvasPixelHeight);
+      // clamp scale to avoid excessively large exported font sizes when
+      // device or canvas ratios are large. Keep within [1,2] for stability.
+      const rawScaleX = containerWidth > 0 ? (canvasPixelWidth / containerWidth) : 1;
+      const rawScaleY = containerHeight > 0 ? (canvasPixelHeight / containerHeight) : rawScaleX;
+      const uiScale = Math.min(Math.max(rawScaleX, 1), 2);
+
+      // title/legend heights (CSS -> canvas px)
+      const marginCss = 10;
+      const titleHeightCss = titleEl ? (titleEl.getBoundingClientRect().height + marginCss) : 0;
+      const legendHeightCss = legendEl ? (legendEl.getBoundingClientRect().height + marginCss) : 0;
+      const titleHeightPx  = Math.round(titleHeightCss * uiScale);
+      const marginPx = Math.round(marginCss * uiScale);
+
+      const overlay = overlayData[currentLayerName] || {};
+      const legendRows = (overlay.vals && overlay.cols)
+        ? (overlay.isNumeric ? Math.max(0, overlay.vals.length - 1) : overlay.vals.length)
+        : 0;
+      const legendBoxSize = Math.max(8, Math.round(12 * uiScale));
+      const legendRowGap = Math.round(6 * uiScale);
+      const legendHeaderGap = Math.round(18 * uiScale);
+      const computedLegendHeightPx = legendRows
+        ? (marginPx + legendHeaderGap + (legendRows * (legendBoxSize + legendRowGap)))
+        : 0;
+      const legendHeightPx = Math.max(Math.round(legendHeightCss * uiScale), computedLegendHeightPx);
+
+      // expected canvas pixels for visible map area
+      const expectedCanvasW = Math.round(containerWidth * rawScaleX);
+      const expectedCanvasH = Math.round(containerHeight * rawScaleY);
+
+      // LEFT-ALIGNED CROP: use cropX = 0 to avoid centered empty right area
+      const baseCropW = Math.min(expectedCanvasW, canvasPixelWidth);
+      const cropH = Math.min(expectedCanvasH, canvasPixelHeight);
+      const sideCropPx = getExportSideCropPxForBrowser(adjustedMapCanvas, baseCropW, cropH);
+      const cropW = Math.max(1, baseCropW - (2 * sideCropPx));
+      const cropX = sideCropPx;
+      const cropY = 0; // top-align crop
+      if (isEdge) reportEdgeExportSpaceReduction("svg", sideCropPx, baseCropW, cropW);
+
+      // Debug logging to help tune if needed
+      console.info("SVG export debug:",
+        { canvasPixelWidth, canvasPixelHeight, containerWidth, containerHeight, uiScale,
+          expectedCanvasW, expectedCanvasH, cropW, cropH, cropX, cropY, titleHeightPx, legendHeightPx });
+
+      // draw cropped region to offscreen canvas
+      const cropped = document.createElement('canvas');
+      cropped.width = cropW;
+      cropped.height = cropH;
+      const cctx = cropped.getContext('2d');
+      cctx.drawImage(adjustedMapCanvas, cropX, cropY, cropW, cropH, 0, 0, cropW, cropH);
+      const trimInfo = isFirefoxBrowser()
+        ? trimHorizontalWhitespaceWithOffset(cropped, 0.4)
+        : { canvas: cropped, leftTrim: 0 };
+      const exportCanvas = trimInfo.canvas || cropped;
+      const extraTrimX = Math.max(0, trimInfo.leftTrim || 0);
+
+      const usedCanvasWidth  = Math.max(1, exportCanvas.width);
+      const usedCanvasHeight = Math.max(1, exportCanvas.height);
+
+      // Firefox can trim asymmetric side whitespace; center trimmed map content
+      // in the original crop frame to match Chrome/Edge visual alignment.
+      const totalWidthPx  = isFirefoxBrowser() ? Math.max(usedCanvasWidth, cropW) : usedCanvasWidth;
+      const totalHeightPx = titleHeightPx + usedCanvasHeight + legendHeightPx + (marginPx * 2);
+      const contentOffsetX = Math.max(0, Math.round((totalWidthPx - usedCanvasWidth) / 2));
+      const firefoxInkCenterShiftX = isFirefoxBrowser() ? getHorizontalInkCenterShift(exportCanvas) : 0;
+      const minContentOffsetX = 0;
+      const maxContentOffsetX = Math.max(0, totalWidthPx - usedCanvasWidth);
+      const alignedContentOffsetX = Math.max(
+        minContentOffsetX,
+        Math.min(maxContentOffsetX, contentOffsetX + firefoxInkCenterShiftX)
+      );
+
+      const svg = document.createElementNS(svgNS, "svg");
+      svg.setAttribute("xmlns", svgNS);
+      svg.setAttribute("xmlns:xlink", XLINK);
+      const isFirefoxExport = isFirefoxBrowser();
+      svg.setAttribute("width", isFirefoxExport ? "100%" : String(totalWidthPx));
+      svg.setAttribute("height", isFirefoxExport ? "100%" : String(totalHeightPx));
+      if (isFirefoxExport) {
+        // Preserve authored dimensions for tools while letting Firefox center in viewport.
+        svg.setAttribute("data-export-width", String(totalWidthPx));
+        svg.setAttribute("data-export-height", String(totalHeightPx));
+      }
+      svg.setAttribute("style", "display:block;margin:0 auto;");
+      svg.setAttribute("viewBox", `0 0 ${totalWidthPx} ${totalHeightPx}`);
+      svg.setAttribute("preserveAspectRatio", "xMidYMid meet");
+
+      // background
+      const bg = document.createElementNS(svgNS, "rect");
+      bg.setAttribute("x", "0");
+      bg.setAttribute("y", "0");
+      bg.setAttribute("width", String(totalWidthPx));
+      bg.setAttribute("height", String(totalHeightPx));
+      bg.setAttribute("fill", "#ffffff");
+      svg.appendChild(bg);
+
+      // title (clamped font size for consistency)
+      const safeTitle = safeText(titleEl);
+      if (safeTitle) {
+        const title = document.createElementNS(svgNS, "text");
+        title.setAttribute("x", String(totalWidthPx / 2));
+        title.setAttribute("y", String(Math.max(Math.round(18 * uiScale), titleHeightPx - Math.round(marginPx / 2))));
+        title.setAttribute("text-anchor", "middle");
+        title.setAttribute("font-family", "Segoe UI, sans-serif");
+        // clamp font size between 12px and 24px to avoid oversized headings
+        const fs = Math.round(Math.max(12, Math.min(24, 18 * uiScale)));
+        title.setAttribute("font-size", String(fs));
+        title.setAttribute("font-weight", "600");
+        title.textContent = safeTitle;
+        svg.appendChild(title);
+      }
+
+      // embed cropped image
+      const imgDataUrl = exportCanvas.toDataURL("image/png");
+      const img = document.createElementNS(svgNS, "image");
+      img.setAttributeNS(XLINK, "xlink:href", imgDataUrl);
+      img.setAttribute("href", imgDataUrl);
+      img.setAttribute("x", String(alignedContentOffsetX));
+      img.setAttribute("y", String(titleHeightPx));
+      img.setAttribute("width", String(usedCanvasWidth));
+      img.setAttribute("height", String(usedCanvasHeight));
+      svg.appendChild(img);
+
+      // project coords into cropped canvas pixel space (subtract crop offsets)
+      function projectCoordToCanvas(coord) {
+        const latlng = L.latLng(coord[1], coord[0]);
+        const layerPoint = map.latLngToLayerPoint(latlng);
+        const containerPoint = map.layerPointToContainerPoint(layerPoint); // CSS px
+        const x = (containerPoint.x * rawScaleX) - cropX - extraTrimX + alignedContentOffsetX;
+        const y = (containerPoint.y * rawScaleY) - cropY + titleHeightPx;
+        return [x, y];
+      }
+
+      // style helper
+      function styleForFeature(f) {
+        const ds = defaultStyle(f);
+        const style = {
+          fill: ds.fillColor || "none",
+          stroke: ds.color || "#000",
+          strokeWidth: ds.weight != null ? ds.weight : getLineWidth(),
+          fillOpacity: ds.fillOpacity != null ? ds.fillOpacity : 0.6
+        };
+        if (overlay.method === 'bivariate' && overlay.bivariate && currentAttribute) {
+          style.fill = bivariateColorForProps(overlay.bivariate, currentAttribute, f.properties);
+        } else if (overlay.vals && overlay.cols && currentAttribute) {
+          if (overlay.isNumeric && Array.isArray(overlay.vals) && overlay.vals.length > 1) {
+            const raw = getClassValue(f, currentAttribute, overlay.normalization);
+            const v = raw == null || raw === "" ? NaN : Number(raw);
+            for (let i = 0; i < overlay.vals.length - 1; i++) {
+              if (v >= overlay.vals[i] && v <= overlay.vals[i + 1]) {
+                style.fill = overlay.cols[i] || style.fill;
+                break;
+              }
+            }
+          } else if (!overlay.isNumeric) {
+            const idx = (overlay.vals || []).indexOf(f.properties?.[currentAttribute]);
+            if (idx >= 0) style.fill = overlay.cols[idx] || style.fill;
+          }
+        }
+        return style;
+      }
+
+      const visibleOrderedNames = getOrderedLayerNames().filter(name => {
+        const group = overlayData[name] && overlayData[name].layerGroup;
+        return !!(group && map && map.hasLayer(group));
+      });
+      const topVisibleName = visibleOrderedNames.length ? visibleOrderedNames[0] : null;
+      // Keep SVG stacking aligned with layer list: only redraw current vectors when current is topmost.
+      const shouldDrawCurrentVectors = !topVisibleName || topVisibleName === currentLayerName;
+
+      // draw features
+      if (shouldDrawCurrentVectors) {
+        // Sized point symbols: draw large circles first, as on the map.
+        const drawFeatures = (currentAttribute && overlay.symbolSizeMode && overlay.symbolSizeMode !== "fixed")
+          ? data.features.slice().sort((a, b) =>
+              (Math.abs(Number(getClassValue(b, currentAttribute, overlay.normalization))) || 0) -
+              (Math.abs(Number(getClassValue(a, currentAttribute, overlay.normalization))) || 0))
+          : data.features;
+        drawFeatures.forEach(feature => {
+          const geom = feature.geometry;
+          if (!geom) return;
+          const style = styleForFeature(feature);
+
+          if (geom.type === "Polygon" || geom.type === "MultiPolygon") {
+            const polys = geom.type === "Polygon" ? [geom.coordinates] : geom.coordinates;
+            polys.forEach(polygon => {
+              polygon.forEach((ring, rIdx) => {
+                const path = document.createElementNS(svgNS, "path");
+                const d = ring.map((coord, i) => {
+                  const [x, y] = projectCoordToCanvas(coord);
+                  return (i === 0 ? "M" : "L") + x + " " + y;
+                }).join(" ") + " Z";
+                path.setAttribute("d", d);
+                path.setAttribute("fill", rIdx === 0 ? (style.fill || "none") : "#ffffff");
+                path.setAttribute("stroke", style.stroke || "#000");
+                path.setAttribute("stroke-width", String(Math.max(0.5, style.strokeWidth * rawScaleX)));
+                path.setAttribute("fill-opacity", String(style.fillOpacity));
+                svg.appendChild(path);
+              });
+            });
+          } else if (geom.type === "LineString" || geom.type === "MultiLineString") {
+            const lines = geom.type === "LineString" ? [geom.coordinates] : geom.coordinates;
+            lines.forEach(line => {
+              const path = document.createElementNS(svgNS, "path");
+              const d = line.map((coord, i) => {
+                const [x, y] = projectCoordToCanvas(coord);
+                return (i === 0 ? "M" : "L") + x + " " + y;
+              }).join(" ");
+              path.setAttribute("d", d);
+              path.setAttribute("fill", "none");
+              path.setAttribute("stroke", style.stroke || "#000");
+              path.setAttribute("stroke-width", String(Math.max(0.5, style.strokeWidth * rawScaleX)));
+              svg.appendChild(path);
+            });
+          } else if (geom.type === "Point" || geom.type === "MultiPoint") {
+            const pts = geom.type === "Point" ? [geom.coordinates] : geom.coordinates;
+            pts.forEach(coord => {
+              const [x, y] = projectCoordToCanvas(coord);
+              const circle = document.createElementNS(svgNS, "circle");
+              const r = Math.max(1, Math.round(pointRadiusForValue(overlay, getClassValue(feature, currentAttribute, overlay.normalization)) * rawScaleX));
+              circle.setAttribute("cx", String(x));
+              circle.setAttribute("cy", String(y));
+              circle.setAttribute("r", String(r));
+              circle.setAttribute("fill", style.fill || "#ccc");
+              circle.setAttribute("stroke", style.stroke || "#000");
+              circle.setAttribute("stroke-width", String(Math.max(0.5, style.strokeWidth * rawScaleX)));
+              svg.appendChild(circle);
+            });
+          }
+        });
+      }
+
+      // disclaimer rendered as pure SVG to avoid foreignObject inconsistencies
+      const safeDisclaimer = safeText(disclaimerEl);
+      if (safeDisclaimer) {
+        const discRect = disclaimerEl ? disclaimerEl.getBoundingClientRect() : null;
+        const mapRect = mapEl ? mapEl.getBoundingClientRect() : null;
+        const discX = alignedContentOffsetX + Math.max(6, Math.round(8 * rawScaleX));
+        const desiredWidth = discRect ? Math.round(discRect.width * rawScaleX * 1.18) : Math.round(230 * uiScale);
+        let discWidth = Math.max(
+          Math.round(120 * uiScale),
+          Math.min(desiredWidth, Math.max(120, usedCanvasWidth - discX - marginPx))
+        );
+        const fontSizeDisc = Math.max(8, Math.round(10 * uiScale));
+        const lineHeightDisc = Math.round(fontSizeDisc * 1.25);
+        const padding = Math.max(4, Math.round(5 * uiScale));
+        const maxLines = 5;
+        const avgCharWidth = Math.max(5, Math.round(fontSizeDisc * 0.5));
+        const maxCharsPerLine = Math.max(16, Math.floor((discWidth - (padding * 2)) / avgCharWidth));
+
+        const words = safeDisclaimer.split(/\s+/).filter(Boolean);
+        const lines = [];
+        let line = "";
+        for (let i = 0; i < words.length; i++) {
+          const candidate = line ? (line + " " + words[i]) : words[i];
+          if (candidate.length > maxCharsPerLine && line) {
+            lines.push(line);
+            line = words[i];
+            if (lines.length >= maxLines) break;
+          } else {
+            line = candidate;
+          }
+        }
+        if (lines.length < maxLines && line) lines.push(line);
+        const truncated = lines.length >= maxLines && words.join(" ").length > lines.join(" ").length;
+        if (truncated && lines.length) {
+          lines[lines.length - 1] = lines[lines.length - 1].replace(/[.,;:!? ]+$/, "") + "...";
+        }
+
+        // Tighten SVG disclaimer box width using measured rendered text width.
+        const mCanvas = document.createElement('canvas');
+        const mCtx = mCanvas.getContext('2d');
+        if (mCtx) mCtx.font = `${fontSizeDisc}px Segoe UI, sans-serif`;
+        const measuredTextWidth = lines.reduce((m, ln) => {
+          const w = mCtx ? Math.ceil(mCtx.measureText(ln).width) : Math.round(ln.length * avgCharWidth);
+          return Math.max(m, w);
+        }, 0);
+        const tightWidth = Math.max(Math.round(120 * uiScale), measuredTextWidth + (padding * 2));
+        discWidth = Math.min(discWidth, tightWidth);
+
+        const discHeight = (padding * 2) + (lines.length * lineHeightDisc);
+        let discY = discRect && mapRect
+          ? (() => {
+              const bottomCss = Math.max(0, mapRect.bottom - discRect.bottom);
+              const bottomPx = Math.max(0, Math.round(bottomCss * rawScaleY));
+              return Math.max(
+                titleHeightPx,
+                titleHeightPx + usedCanvasHeight - discHeight - bottomPx
+              );
+            })()
+          : (titleHeightPx + usedCanvasHeight - discHeight - marginPx);
+        const discYMin = titleHeightPx + 2;
+        const discYMax = Math.max(discYMin, (titleHeightPx + usedCanvasHeight - discHeight - 2));
+        discY = Math.max(discYMin, Math.min(discYMax, discY));
+
+        const discBg = document.createElementNS(svgNS, "rect");
+        discBg.setAttribute("x", String(discX));
+        discBg.setAttribute("y", String(discY));
+        discBg.setAttribute("width", String(discWidth));
+        discBg.setAttribute("height", String(discHeight));
+        discBg.setAttribute("fill", "#ffffff");
+        discBg.setAttribute("fill-opacity", "0.95");
+        svg.appendChild(discBg);
+
+        const discText = document.createElementNS(svgNS, "text");
+        discText.setAttribute("x", String(discX + padding));
+        discText.setAttribute("y", String(discY + padding + fontSizeDisc));
+        discText.setAttribute("font-size", String(fontSizeDisc));
+        discText.setAttribute("font-family", "Segoe UI, sans-serif");
+        discText.setAttribute("fill", "#000");
+        discText.setAttribute("text-anchor", "start");
+
+        lines.forEach((ln, idx) => {
+          const tspan = document.createElementNS(svgNS, "tspan");
+          tspan.setAttribute("x", String(discX + padding));
+          tspan.setAttribute("dy", idx === 0 ? "0" : String(lineHeightDisc));
+          const isLastLine = idx === lines.length - 1;
+          const shouldJustify = !isLastLine && !/\.\.\.$/.test(ln) && /\s/.test(ln);
+          if (shouldJustify) {
+            tspan.setAttribute("textLength", String(Math.max(1, discWidth - (padding * 2))));
+            tspan.setAttribute("lengthAdjust", "spacing");
+          }
+          tspan.textContent = ln;
+          discText.appendChild(tspan);
+        });
+
+        svg.appendChild(discText);
+      }
+
+      // north arrow (render from live control position)
+      if (northArrowEl && mapEl) {
+        const naRect = northArrowEl.getBoundingClientRect();
+        const mapRect = mapEl.getBoundingClientRect();
+        const naW = Math.max(1, Math.round(naRect.width * rawScaleX));
+        const naH = Math.max(1, Math.round(naRect.height * rawScaleY));
+        const naX = Math.max(0, Math.round((naRect.left - mapRect.left) * rawScaleX) - cropX - extraTrimX + alignedContentOffsetX);
+        let naY = titleHeightPx + Math.max(0, Math.round((naRect.top - mapRect.top) * rawScaleY) - cropY);
+        const naYMin = titleHeightPx + 2;
+        const naYMax = Math.max(naYMin, (titleHeightPx + usedCanvasHeight - naH - 2));
+        naY = Math.max(naYMin, Math.min(naYMax, naY));
+
+        const naBg = document.createElementNS(svgNS, "rect");
+        naBg.setAttribute("x", String(naX));
+        naBg.setAttribute("y", String(naY));
+        naBg.setAttribute("width", String(naW));
+        naBg.setAttribute("height", String(naH));
+        naBg.setAttribute("rx", String(Math.max(2, Math.round(3 * uiScale))));
+        naBg.setAttribute("fill", "#ffffff");
+        naBg.setAttribute("stroke", "#cfd6e4");
+        svg.appendChild(naBg);
+
+        const naText = document.createElementNS(svgNS, "text");
+        naText.setAttribute("x", String(naX + Math.round(naW / 2)));
+        naText.setAttribute("y", String(naY + Math.max(10, Math.round(12 * uiScale))));
+        naText.setAttribute("text-anchor", "middle");
+        naText.setAttribute("font-size", String(Math.max(9, Math.round(12 * uiScale))));
+        naText.setAttribute("font-family", "Segoe UI, sans-serif");
+        naText.setAttribute("font-weight", "700");
+        naText.setAttribute("fill", "#1e3a8a");
+        naText.textContent = "N";
+        svg.appendChild(naText);
+
+        const triW = Math.max(8, Math.round(12 * uiScale));
+        const triH = Math.max(8, Math.round(12 * uiScale));
+        const triCX = naX + Math.round(naW / 2);
+        const triTop = naY + Math.max(14, Math.round(18 * uiScale));
+        const tri = document.createElementNS(svgNS, "path");
+        tri.setAttribute(
+          "d",
+          `M ${triCX} ${triTop} L ${triCX - Math.round(triW / 2)} ${triTop + triH} L ${triCX + Math.round(triW / 2)} ${triTop + triH} Z`
+        );
+        tri.setAttribute("fill", "#1e3a8a");
+        svg.appendChild(tri);
+      }
+
+      // scale bar label (render from live control position/text)
+      if (scaleBarEl && mapEl) {
+        const sbRect = scaleBarEl.getBoundingClientRect();
+        const mapRect = mapEl.getBoundingClientRect();
+        const sbW = Math.max(1, Math.round(sbRect.width * rawScaleX));
+        const sbH = Math.max(1, Math.round(sbRect.height * rawScaleY));
+        let sbX = Math.max(0, Math.round((sbRect.left - mapRect.left) * rawScaleX) - cropX - extraTrimX + alignedContentOffsetX);
+        let sbY = titleHeightPx + Math.max(0, Math.round((sbRect.top - mapRect.top) * rawScaleY) - cropY);
+        sbY -= Math.max(2, Math.round(4 * uiScale));
+        const sbTextRaw = scaleBarEl.querySelector('.exact-scale-label')?.textContent || "Scale: --";
+        const sbText = String(sbTextRaw).slice(0, MAX_TEXT_LENGTH);
+        const sbXMin = alignedContentOffsetX;
+        const sbXMax = Math.max(sbXMin, alignedContentOffsetX + usedCanvasWidth - sbW - 2);
+        sbX = Math.max(sbXMin, Math.min(sbXMax, sbX));
+        const sbYMin = titleHeightPx + 2;
+        const sbYMax = Math.max(sbYMin, (titleHeightPx + usedCanvasHeight - sbH - 2));
+        sbY = Math.max(sbYMin, Math.min(sbYMax, sbY));
+
+        const sbBg = document.createElementNS(svgNS, "rect");
+        sbBg.setAttribute("x", String(sbX));
+        sbBg.setAttribute("y", String(sbY));
+        sbBg.setAttribute("width", String(sbW));
+        sbBg.setAttribute("height", String(sbH));
+        sbBg.setAttribute("rx", String(Math.max(2, Math.round(3 * uiScale))));
+        sbBg.setAttribute("fill", "#ffffff");
+        sbBg.setAttribute("stroke", "#cfd6e4");
+        svg.appendChild(sbBg);
+
+        const sbTextEl = document.createElementNS(svgNS, "text");
+        sbTextEl.setAttribute("x", String(sbX + Math.round(sbW / 2)));
+        sbTextEl.setAttribute("y", String(sbY + Math.round(sbH / 2) + Math.round(3 * uiScale)));
+        sbTextEl.setAttribute("text-anchor", "middle");
+        sbTextEl.setAttribute("font-size", String(Math.max(8, Math.round(8 * uiScale))));
+        sbTextEl.setAttribute("font-family", "Segoe UI, sans-serif");
+        sbTextEl.setAttribute("font-weight", "400");
+        sbTextEl.setAttribute("fill", "#102a43");
+        sbTextEl.textContent = sbText;
+        svg.appendChild(sbTextEl);
+      }
+
+      // legend below map (follow visible layer-list order exactly; first item stays on top)
+      if (legendEl && legendEl.children && legendEl.children.length) {
+        reorderLegendBlocks();
+        const legendGroup = document.createElementNS(svgNS, "g");
+        const legendX = alignedContentOffsetX + marginPx;
+        let yOff = titleHeightPx + usedCanvasHeight + marginPx;
+        const symSize = Math.max(8, Math.round(12 * uiScale));
+        const fontSize = Math.max(10, Math.round(12 * uiScale));
+        const rowGap = Math.max(3, Math.round(5 * uiScale));
+        const blockGap = Math.max(6, Math.round(8 * uiScale));
+
+        const orderedVisibleLegendNames = getOrderedLayerNames().filter(name => {
+          const block = document.getElementById('legend-' + sanitizeId(name));
+          if (!block) return false;
+          const group = overlayData[name] && overlayData[name].layerGroup;
+          return !!(group && map && map.hasLayer(group));
+        });
+        const orderedBlocks = orderedVisibleLegendNames
+          .map(name => document.getElementById('legend-' + sanitizeId(name)))
+          .filter(Boolean);
+        const seen = new Set(orderedBlocks.map(b => b.id));
+        const remainingBlocks = Array.from(legendEl.querySelectorAll('.legend-block')).filter(b => !seen.has(b.id));
+        const blocks = orderedBlocks.concat(remainingBlocks);
+        blocks.forEach(block => {
+          const blockHeader = block.querySelector('.legend-header');
+          if (blockHeader) {
+            const h = document.createElementNS(svgNS, "text");
+            h.setAttribute("x", String(legendX));
+            h.setAttribute("y", String(yOff + fontSize));
+            h.setAttribute("font-size", String(fontSize));
+            h.setAttribute("font-weight", "600");
+            h.textContent = safeText(blockHeader) || "Legend";
+            legendGroup.appendChild(h);
+            yOff += Math.round(fontSize + rowGap + 2);
+          }
+
+          const rows = Array.from(block.querySelectorAll('.legend-row'));
+          rows.forEach(row => {
+            const symEl = row.querySelector('.legend-sym');
+            const lblEl = row.querySelector('span');
+            const symCs = symEl ? window.getComputedStyle(symEl) : null;
+            const fillColor = (symCs && symCs.backgroundColor && symCs.backgroundColor !== 'rgba(0, 0, 0, 0)')
+              ? symCs.backgroundColor
+              : ((symEl && symEl.style && symEl.style.backgroundColor) || '#ccc');
+            const lineColor = (symCs && symCs.borderTopColor && symCs.borderTopColor !== 'rgba(0, 0, 0, 0)')
+              ? symCs.borderTopColor
+              : fillColor;
+
+            if (symEl && symEl.classList.contains('legend-sym-line')) {
+              const line = document.createElementNS(svgNS, "line");
+              line.setAttribute("x1", String(legendX));
+              line.setAttribute("y1", String(yOff + Math.round(symSize / 2)));
+              line.setAttribute("x2", String(legendX + symSize));
+              line.setAttribute("y2", String(yOff + Math.round(symSize / 2)));
+              line.setAttribute("stroke", lineColor);
+              line.setAttribute("stroke-width", String(Math.max(2, Math.round(2 * uiScale))));
+              legendGroup.appendChild(line);
+            } else if (symEl && symEl.classList.contains('legend-sym-point')) {
+              const c = document.createElementNS(svgNS, "circle");
+              c.setAttribute("cx", String(legendX + Math.round(symSize / 2)));
+              c.setAttribute("cy", String(yOff + Math.round(symSize / 2)));
+              c.setAttribute("r", String(Math.max(3, Math.round(symSize / 3))));
+              c.setAttribute("fill", fillColor);
+              c.setAttribute("stroke", "#333");
+              c.setAttribute("stroke-width", "1");
+              legendGroup.appendChild(c);
+            } else {
+              const rect = document.createElementNS(svgNS, "rect");
+              rect.setAttribute("x", String(legendX));
+              rect.setAttribute("y", String(yOff));
+              rect.setAttribute("width", String(symSize));
+              rect.setAttribute("height", String(symSize));
+              rect.setAttribute("fill", fillColor);
+              rect.setAttribute("stroke", "#333");
+              legendGroup.appendChild(rect);
+            }
+
+            const t = document.createElementNS(svgNS, "text");
+            t.setAttribute("x", String(legendX + symSize + Math.round(6 * uiScale)));
+            t.setAttribute("y", String(yOff + symSize - Math.round(2 * uiScale)));
+            t.setAttribute("font-size", String(fontSize));
+            t.textContent = safeText(lblEl);
+            legendGroup.appendChild(t);
 
-              octx.fillStyle = '#333333';
-              octx.fillText(String(entry.label || ''), 30, y - 2);
-              y += legendRowH;
-            });
+            yOff += symSize + rowGap;
           });
-        }
 
-        cb(out);
-      });
-    }
+          yOff += blockGap;
+        });
 
-    function exportMap() {
-      if (isEdgeBrowser()) {
-        showLoading("Exporting map as PNG...");
-        buildEdgeDirectExportCanvas(
-          "png",
-          (canvas) => {
-            const a = document.createElement('a');
-            a.href = canvas.toDataURL('image/png');
-            a.download = 'map.png';
-            a.rel = 'noopener';
-            a.click();
-            hideLoading();
-          },
-          (err) => {
-            console.error("Edge PNG export failed:", err);
-            hideLoading();
-          }
-        );
-        return;
+        svg.appendChild(legendGroup);
       }
-      showLoading("Exporting map as PNG...");
-      compositeExportElement(wrapper => {
-        html2canvas(wrapper, buildHtml2CanvasOptions(wrapper))
-          .then(canvas => {
-            const a = document.createElement('a');
-            a.href = canvas.toDataURL('image/png');
-            a.download = 'map.png';
-            a.rel = 'noopener';
-            a.click();
-            document.body.removeChild(wrapper);
-            hideLoading();
-          })
-          .catch(err => {
-            console.error("PNG export failed:", err);
-            document.body.removeChild(wrapper);
-            hideLoading();
-          });
-      });
+// serialize and save
+      const serializer = new XMLSerializer();
+      const svgString = serializer.serializeToString(svg);
+      const blob = new Blob([svgString], { type: "image/svg+xml;charset=utf-8" });
+      save(blob, (currentLayerName ? sanitizeName(currentLayerName) : "map") + ".svg");
+      hideLoading();
+      done(true);
+    } catch (ex) {
+      console.error("SVG export failed:", ex);
+      showPopup("SVG export failed. Falling back to PNG.", "error");
+      hideLoading();
+      done(exportMap(save));
     }
+  });
+}
 
-      function exportPDF() {
-        if (isEdgeBrowser()) {
-          showLoading("Exporting map as PDF...");
-          buildEdgeDirectExportCanvas(
-            "pdf",
-            (canvas) => {
-              const imgData = canvas.toDataURL('image/png');
-              const orientation = canvas.width >= canvas.height ? 'landscape' : 'portrait';
-              const pdf = new jspdf.jsPDF({
-                orientation,
-                unit: 'px',
-                format: [canvas.width, canvas.height]
-              });
-              pdf.addImage(imgData, 'PNG', 0, 0, canvas.width, canvas.height);
-              pdf.save('map.pdf');
-              hideLoading();
-            },
-            (err) => {
-              console.error("Edge PDF export failed:", err);
-              hideLoading();
-            }
-          );
-          return;
-        }
-        showLoading("Exporting map as PDF...");
-        compositeExportElement(wrapper => {
-            html2canvas(wrapper, buildHtml2CanvasOptions(wrapper))
-            .then(canvas => {
-              const imgData = canvas.toDataURL('image/png');
-              const orientation = canvas.width >= canvas.height ? 'landscape' : 'portrait';
-              const pdf = new jspdf.jsPDF({
-                orientation,
-                unit: 'px',
-                format: [canvas.width, canvas.height]
-              });
-              pdf.addImage(imgData, 'PNG', 0, 0, canvas.width, canvas.height);
-              pdf.save('map.pdf');
-              document.body.removeChild(wrapper);
-              hideLoading();
-            })
-            .catch(err => {
-              console.error("PDF export failed:", err);
-              document.body.removeChild(wrapper);
-              hideLoading();
-            });
-        });
-      }
 
-  //Start of Export SVG
-  // Security / limits (tune as needed)
-//const MAX_FEATURES = 5000;
-//const MAX_VERTICES = 100000;
-const MAX_TEXT_LENGTH = 2000;
+//end of export SVG
 
-// Helper: safe text extraction and truncation
-function safeText(node) {
-  if (!node) return "";
-  return String(node.textContent || "").slice(0, MAX_TEXT_LENGTH);
+//Print Layout Composer
+// The page, its margins and a 1:N scale fix the ground extent of the map frame; the DPI only
+// sets how many pixels the map image gets. Page lengths are millimetres, portrait.
+const LAYOUT_PAPER_SIZES = {
+  a4: { label: "A4", w: 210, h: 297 },
+  a3: { label: "A3", w: 297, h: 420 },
+  a2: { label: "A2", w: 420, h: 594 },
+  a1: { label: "A1", w: 594, h: 841 },
+  a0: { label: "A0", w: 841, h: 1189 },
+  letter: { label: "Letter", w: 215.9, h: 279.4 },
+  legal: { label: "Legal", w: 215.9, h: 355.6 }
+};
+const LAYOUT_DPI_OPTIONS = [96, 150, 200, 300];
+// Drawing order; later frames sit on top.
+const LAYOUT_FRAMES = ["title", "subtitle", "legend", "north", "scalebar", "disclaimer", "source", "logo"];
+const LAYOUT_SETTINGS_KEY = "rma-print-layout";
+const LAYOUT_MIN_SCALE = 100;
+const LAYOUT_MAX_SCALE = 500000000;
+// Map image budget; higher DPIs are lowered to fit large pages.
+const LAYOUT_MAX_PIXELS = 40000000;
+const LAYOUT_TILE_CONCURRENCY = 6;
+const LAYOUT_DEFAULT_LOGO = "ECA-Banner.png";
+const LAYOUT_MAX_LOGO_BYTES = 5 * 1024 * 1024;
+const MM_PER_INCH = 25.4;
+const PT_TO_MM = MM_PER_INCH / 72;
+// On-screen symbols are sized in CSS pixels (96 per inch); printed symbols keep that physical size.
+const SCREEN_DPI = 96;
+
+const layoutState = {
+  settings: null,
+  center: null,
+  scale: 0,
+  items: [],
+  legendBlocks: [],
+  texts: { title: "", subtitle: "", source: "", disclaimer: "" },
+  logo: null,
+  previewImage: null,
+  previewKey: "",
+  previewToken: 0,
+  previewTimer: null,
+  previewPxPerMm: 1,
+  redrawFrame: null,
+  boxes: [],
+  drag: null
+};
+
+function defaultLayoutSettings() {
+  return {
+    paper: "a4",
+    orientation: "landscape",
+    margin: 10,
+    dpi: 150,
+    vector: true,
+    frames: Object.fromEntries(LAYOUT_FRAMES.map(key => [key, true])),
+    positions: {},
+    subtitle: "",
+    source: "Base map: © United Nations"
+  };
 }
 
-// Helper: test whether canvas is exportable (toDataURL won't throw)
-function tryCanvasToDataURL(canvas) {
+function loadLayoutSettings() {
+  const settings = defaultLayoutSettings();
   try {
-    return canvas.toDataURL("image/png");
-  } catch (e) {
-    console.warn("Canvas toDataURL failed (tainted?):", e);
-    return null;
-  }
+    const saved = JSON.parse(window.localStorage.getItem(LAYOUT_SETTINGS_KEY) || "{}") || {};
+    if (LAYOUT_PAPER_SIZES[saved.paper]) settings.paper = saved.paper;
+    if (saved.orientation === "portrait" || saved.orientation === "landscape") settings.orientation = saved.orientation;
+    if (Number(saved.margin) >= 0 && Number(saved.margin) <= 50) settings.margin = Number(saved.margin);
+    if (LAYOUT_DPI_OPTIONS.includes(Number(saved.dpi))) settings.dpi = Number(saved.dpi);
+    if (typeof saved.vector === "boolean") settings.vector = saved.vector;
+    LAYOUT_FRAMES.forEach(key => {
+      if (typeof saved.frames?.[key] === "boolean") settings.frames[key] = saved.frames[key];
+      const pos = saved.positions?.[key];
+      if (pos && Number.isFinite(pos.fx) && Number.isFinite(pos.fy)) settings.positions[key] = { fx: pos.fx, fy: pos.fy };
+    });
+    if (typeof saved.subtitle === "string") settings.subtitle = sanitizePlainText(saved.subtitle);
+    if (typeof saved.source === "string") settings.source = sanitizePlainText(saved.source);
+  } catch (_) {}
+  return settings;
 }
 
-function trimHorizontalWhitespaceWithOffset(sourceCanvas, maxTrimRatio = 0.25) {
-  if (!sourceCanvas || typeof sourceCanvas.getContext !== "function") {
-    return { canvas: sourceCanvas, leftTrim: 0 };
-  }
-  const w = Math.max(1, sourceCanvas.width | 0);
-  const h = Math.max(1, sourceCanvas.height | 0);
-  const ctx = sourceCanvas.getContext("2d", { willReadFrequently: true });
-  if (!ctx) return { canvas: sourceCanvas, leftTrim: 0 };
-
-  let imgData;
+function saveLayoutSettings(settings) {
   try {
-    imgData = ctx.getImageData(0, 0, w, h);
-  } catch (e) {
-    return { canvas: sourceCanvas, leftTrim: 0 };
-  }
-  const px = imgData.data;
-  const maxTrimPx = Math.max(0, Math.floor(w * Math.max(0, Math.min(0.45, maxTrimRatio))));
-  const nonBlankThreshold = Math.max(2, Math.floor(h * 0.002));
-
-  function isMostlyBlankColumn(x) {
-    let nonBlank = 0;
-    for (let y = 0; y < h; y++) {
-      const idx = ((y * w) + x) * 4;
-      const r = px[idx];
-      const g = px[idx + 1];
-      const b = px[idx + 2];
-      const a = px[idx + 3];
-      // Count transparent and near-white pixels as blank export margin.
-      const blank = (a <= 8) || (a >= 248 && r >= 248 && g >= 248 && b >= 248);
-      if (!blank) {
-        nonBlank++;
-        if (nonBlank > nonBlankThreshold) return false;
-      }
-    }
-    return true;
+    window.localStorage.setItem(LAYOUT_SETTINGS_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn("Could not remember the print layout:", err);
   }
+}
 
-  let left = 0;
-  while (left < maxTrimPx && isMostlyBlankColumn(left)) left++;
-  let right = w - 1;
-  while (right >= (w - maxTrimPx) && isMostlyBlankColumn(right)) right--;
-  const trimmedW = Math.max(1, right - left + 1);
-  if (left === 0 && trimmedW === w) return { canvas: sourceCanvas, leftTrim: 0 };
+function getLayoutPage(settings) {
+  const paper = LAYOUT_PAPER_SIZES[settings.paper] || LAYOUT_PAPER_SIZES.a4;
+  const long = Math.max(paper.w, paper.h);
+  const short = Math.min(paper.w, paper.h);
+  const landscape = settings.orientation === "landscape";
+  const w = landscape ? long : short;
+  const h = landscape ? short : long;
+  const margin = Math.min(settings.margin, short / 4);
+  return { w, h, margin, map: { x: margin, y: margin, w: w - margin * 2, h: h - margin * 2 } };
+}
 
-  const trimmed = document.createElement("canvas");
-  trimmed.width = trimmedW;
-  trimmed.height = h;
-  const tctx = trimmed.getContext("2d");
-  if (!tctx) return { canvas: sourceCanvas, leftTrim: 0 };
-  tctx.drawImage(sourceCanvas, left, 0, trimmedW, h, 0, 0, trimmedW, h);
-  return { canvas: trimmed, leftTrim: left };
+// Ground metres per pixel at zoom 0 around a point (Web Mercator stretches away from the equator).
+function metersPerPixelAtZoom0(latlng) {
+  const p = map.project(latlng, 0);
+  return map.distance(map.unproject(p.subtract([0.5, 0]), 0), map.unproject(p.add([0.5, 0]), 0));
 }
 
-function getHorizontalInkCenterShift(sourceCanvas) {
-  if (!sourceCanvas || typeof sourceCanvas.getContext !== "function") return 0;
-  const w = Math.max(1, sourceCanvas.width | 0);
-  const h = Math.max(1, sourceCanvas.height | 0);
-  const ctx = sourceCanvas.getContext("2d", { willReadFrequently: true });
-  if (!ctx) return 0;
+// Rounded 1:N at which the current view about fills the page's map frame.
+function fitLayoutScaleToView(page) {
+  const size = map.getSize();
+  const mpp = metersPerPixelAtZoom0(map.getCenter()) / Math.pow(2, map.getZoom());
+  const scale = Math.max(size.x * mpp / page.map.w, size.y * mpp / page.map.h) * 1000;
+  return Math.min(LAYOUT_MAX_SCALE, Math.max(LAYOUT_MIN_SCALE, roundToSignificant(scale, 2)));
+}
 
-  let imgData;
-  try {
-    imgData = ctx.getImageData(0, 0, w, h);
-  } catch (e) {
-    return 0;
-  }
-  const px = imgData.data;
-  const nonBlankThreshold = Math.max(2, Math.floor(h * 0.002));
+// Highest DPI up to the chosen one whose map image stays within LAYOUT_MAX_PIXELS.
+function getLayoutExportDpi(page, dpi) {
+  const pixels = (page.map.w / MM_PER_INCH * dpi) * (page.map.h / MM_PER_INCH * dpi);
+  return pixels <= LAYOUT_MAX_PIXELS ? dpi : Math.floor(dpi * Math.sqrt(LAYOUT_MAX_PIXELS / pixels));
+}
 
-  function isMostlyBlankColumn(x) {
-    let nonBlank = 0;
-    for (let y = 0; y < h; y++) {
-      const idx = ((y * w) + x) * 4;
-      const r = px[idx];
-      const g = px[idx + 1];
-      const b = px[idx + 2];
-      const a = px[idx + 3];
-      const blank = (a <= 8) || (a >= 248 && r >= 248 && g >= 248 && b >= 248);
-      if (!blank) {
-        nonBlank++;
-        if (nonBlank > nonBlankThreshold) return false;
-      }
+// Pixel projection for a map image of width x height centred on center, true to scale at the centre.
+function getPrintProjection(center, scale, dpi, width, height) {
+  const metersPerPx = scale * MM_PER_INCH / 1000 / dpi;
+  const zoom = Math.log2(metersPerPixelAtZoom0(center) / metersPerPx);
+  const c = map.project(center, zoom);
+  const origin = L.point(c.x - width / 2, c.y - height / 2);
+  return {
+    zoom,
+    origin,
+    project: (lng, lat) => {
+      const p = map.project([lat, lng], zoom);
+      return [p.x - origin.x, p.y - origin.y];
     }
-    return true;
-  }
+  };
+}
 
-  let left = 0;
-  while (left < w && isMostlyBlankColumn(left)) left++;
-  let right = w - 1;
-  while (right >= 0 && isMostlyBlankColumn(right)) right--;
-  if (left >= w || right < 0 || right <= left) return 0;
+// Same fallbacks as Leaflet: options inherit the path defaults through their prototype.
+function resolvePrintStyle(options, type) {
+  const defaults = L.Path.prototype.options;
+  const pick = (key, fallback) => options[key] !== undefined ? options[key] : fallback;
+  const color = pick("color", defaults.color);
+  return {
+    stroke: pick("stroke", defaults.stroke),
+    color,
+    weight: pick("weight", defaults.weight),
+    opacity: pick("opacity", defaults.opacity),
+    fill: pick("fill", !/LineString/.test(type)),
+    fillColor: pick("fillColor", null) || color,
+    fillOpacity: pick("fillOpacity", defaults.fillOpacity),
+    radius: pick("radius", getPointRadius())
+  };
+}
 
-  const inkWidth = right - left + 1;
-  const desiredLeft = (w - inkWidth) / 2;
-  return Math.round(desiredLeft - left);
+// Visible data layers and drawn shapes as { geometry, style }, bottom layer first.
+function collectPrintFeatures() {
+  const items = [];
+  const addLayer = layer => {
+    const geometry = layer.feature?.geometry;
+    if (geometry) items.push({ geometry, style: resolvePrintStyle(layer.options || {}, geometry.type) });
+  };
+  getOrderedLayerNames().slice().reverse().forEach(name => {
+    const group = overlayData[name]?.layerGroup;
+    if (!group || !map.hasLayer(group)) return;
+    group.eachLayer(layer => {
+      const vectors = layer instanceof VectorTileLayer ? layer.toGeoJSONLayer() : layer;
+      if (typeof vectors.eachLayer === "function") vectors.eachLayer(addLayer);
+    });
+  });
+  drawnItems.eachLayer(layer => {
+    if (!(layer instanceof L.Polyline)) return;
+    const geometry = layer.toGeoJSON().geometry;
+    items.push({ geometry, style: resolvePrintStyle(layer.options, geometry.type) });
+  });
+  return items;
 }
 
-// Assumes MAX_FEATURES, MAX_VERTICES, MAX_TEXT_LENGTH, safeText, tryCanvasToDataURL, getPointRadius, getLineWidth, defaultStyle, sanitizeName, showLoading, hideLoading, showPopup, exportMap, overlayData, geojsonData, currentLayerName, map are defined elsewhere.
-function exportSVG() {
-  showLoading("Exporting map as SVG...");
+function tracePrintPath(ctx, coords, project, close) {
+  coords.forEach((coord, i) => {
+    const [x, y] = project(coord[0], coord[1]);
+    if (i) ctx.lineTo(x, y);
+    else ctx.moveTo(x, y);
+  });
+  if (close) ctx.closePath();
+}
 
-  const sourceData = geojsonData || (overlayData[currentLayerName] && overlayData[currentLayerName].geojson);
-  const data = getFilteredGeojson(sourceData);
-  if (!data || !Array.isArray(data.features) || !data.features.length) {
-    showPopup("No vector data available for SVG export. Falling back to PNG.", "error");
-    hideLoading();
-    return exportMap();
-  }
-  if (data.features.length > MAX_FEATURES) {
-    showPopup("Dataset too large for client export", "error");
-    hideLoading();
+// symbolScale turns screen pixels into image pixels for line widths and point radii.
+function drawPrintGeometry(ctx, geometry, style, project, symbolScale) {
+  const type = geometry?.type;
+  const c = geometry?.coordinates;
+  if (type === "GeometryCollection") {
+    (geometry.geometries || []).forEach(g => drawPrintGeometry(ctx, g, style, project, symbolScale));
     return;
   }
-
-  // Vertex guard
-  let totalVertices = 0;
-  (function countVertices(features) {
-    features.forEach(f => {
-      const g = f.geometry;
-      if (!g) return;
-      const walk = coords => {
-        if (!coords) return;
-        if (typeof coords[0] === "number") totalVertices++;
-        else coords.forEach(c => walk(c));
-      };
-      if (g.type === "Point") totalVertices++;
-      else walk(g.coordinates);
+  if (!c) return;
+  ctx.beginPath();
+  if (type === "Point" || type === "MultiPoint") {
+    const r = (Number(style.radius) || getPointRadius()) * symbolScale;
+    (type === "Point" ? [c] : c).forEach(coord => {
+      const [x, y] = project(coord[0], coord[1]);
+      ctx.moveTo(x + r, y);
+      ctx.arc(x, y, r, 0, Math.PI * 2);
     });
-  })(data.features);
-  if (totalVertices > MAX_VERTICES) {
-    showPopup("Dataset too complex for client export. Try simplifying the geometry.", "error");
-    hideLoading();
+  } else if (type === "LineString" || type === "MultiLineString") {
+    (type === "LineString" ? [c] : c).forEach(line => tracePrintPath(ctx, line, project, false));
+  } else if (type === "Polygon" || type === "MultiPolygon") {
+    (type === "Polygon" ? [c] : c).forEach(polygon => polygon.forEach(ring => tracePrintPath(ctx, ring, project, true)));
+  } else {
     return;
   }
+  if (style.fill && !/LineString/.test(type)) {
+    ctx.globalAlpha = style.fillOpacity;
+    ctx.fillStyle = style.fillColor;
+    ctx.fill("evenodd");
+  }
+  if (style.stroke && style.weight > 0) {
+    ctx.globalAlpha = style.opacity;
+    ctx.strokeStyle = style.color;
+    ctx.lineWidth = style.weight * symbolScale;
+    ctx.stroke();
+  }
+  ctx.globalAlpha = 1;
+}
 
-  const titleEl = document.getElementById('map-title');
-  const legendEl = document.getElementById('legend-items');
-  const disclaimerEl = document.getElementById('disclaimer');
-  const northArrowEl = document.querySelector('.leaflet-control-north-arrow');
-  const scaleBarEl = document.querySelector('.leaflet-control-exact-scale');
-  const mapEl = document.getElementById('map');
-  if (!mapEl) {
-    console.error("Map element not found");
-    hideLoading();
+function loadPrintTile(url) {
+  return new Promise(resolve => {
+    const img = new Image();
+    img.crossOrigin = "anonymous";
+    img.onload = () => resolve(img);
+    img.onerror = () => resolve(null);
+    img.src = url;
+  });
+}
+
+// Base map tiles from the nearest whole zoom, stretched to the print zoom.
+async function drawPrintBasemap(ctx, projection, width, height) {
+  if (!map.hasLayer(baseLayer)) return;
+  const { zoom, origin } = projection;
+  const tileZoom = Math.max(0, Math.min(baseLayer.options.maxZoom, Math.round(zoom)));
+  const size = baseLayer.getTileSize().x * Math.pow(2, zoom - tileZoom);
+  const n = Math.pow(2, tileZoom);
+  const tiles = [];
+  for (let y = Math.max(0, Math.floor(origin.y / size)); y <= Math.min(n - 1, Math.floor((origin.y + height) / size)); y++) {
+    for (let x = Math.floor(origin.x / size); x <= Math.floor((origin.x + width) / size); x++) tiles.push({ x, y });
+  }
+  let next = 0;
+  const worker = async () => {
+    while (next < tiles.length) {
+      const { x, y } = tiles[next++];
+      const img = await loadPrintTile(L.Util.template(BASE_LAYER_URL, { z: tileZoom, x: ((x % n) + n) % n, y }));
+      if (!img) continue;
+      const left = Math.floor(x * size - origin.x);
+      const top = Math.floor(y * size - origin.y);
+      ctx.drawImage(img, left, top, Math.ceil((x + 1) * size - origin.x) - left, Math.ceil((y + 1) * size - origin.y) - top);
+    }
+  };
+  await Promise.all(Array.from({ length: LAYOUT_TILE_CONCURRENCY }, worker));
+}
+
+// Map frame image for the page: base map plus the visible layers at the given scale and DPI.
+async function renderPrintMap({ center, scale, dpi, widthMm, heightMm, items }) {
+  const width = Math.max(1, Math.round(widthMm / MM_PER_INCH * dpi));
+  const height = Math.max(1, Math.round(heightMm / MM_PER_INCH * dpi));
+  const projection = getPrintProjection(center, scale, dpi, width, height);
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, width, height);
+  await drawPrintBasemap(ctx, projection, width, height);
+  ctx.lineJoin = "round";
+  ctx.lineCap = "round";
+  items.forEach(({ geometry, style }) => drawPrintGeometry(ctx, geometry, style, projection.project, dpi / SCREEN_DPI));
+  return canvas;
+}
+
+// PDF paths are written in millimetres; vertices closer than this to the previous one are dropped,
+// which keeps large layers to print detail.
+const PDF_VECTOR_TOLERANCE = 0.05;
+
+// Projection into PDF millimetres for a map frame drawn at 1:scale around center.
+function getPdfProjection(center, scale, frame) {
+  const mmPerPx = MM_PER_INCH / SCREEN_DPI;
+  const { project } = getPrintProjection(center, scale, SCREEN_DPI, frame.w / mmPerPx, frame.h / mmPerPx);
+  return (lng, lat) => {
+    const [x, y] = project(lng, lat);
+    return [frame.x + x * mmPerPx, frame.y + y * mmPerPx];
+  };
+}
+
+function tracePdfPath(pdf, coords, project, close) {
+  let last = null;
+  coords.forEach((coord, i) => {
+    const p = project(coord[0], coord[1]);
+    if (last && i < coords.length - 1 &&
+        Math.abs(p[0] - last[0]) < PDF_VECTOR_TOLERANCE && Math.abs(p[1] - last[1]) < PDF_VECTOR_TOLERANCE) return;
+    if (last) pdf.lineTo(p[0], p[1]);
+    else pdf.moveTo(p[0], p[1]);
+    last = p;
+  });
+  if (close && last) pdf.close();
+}
+
+// Mercator keeps a lon/lat box rectangular, so two projected corners tell whether a shape reaches the frame.
+function pdfGeometryInFrame(coords, project, frame, reach) {
+  const bbox = bboxFromCoordinates(coords);
+  if (!bbox) return false;
+  const [x0, y0] = project(bbox[0], bbox[3]);
+  const [x1, y1] = project(bbox[2], bbox[1]);
+  return x1 + reach >= frame.x && x0 - reach <= frame.x + frame.w && y1 + reach >= frame.y && y0 - reach <= frame.y + frame.h;
+}
+
+function drawPdfGeometry(pdf, geometry, style, project, symbolScale, frame, setOpacity) {
+  const type = geometry?.type;
+  const c = geometry?.coordinates;
+  if (type === "GeometryCollection") {
+    (geometry.geometries || []).forEach(g => drawPdfGeometry(pdf, g, style, project, symbolScale, frame, setOpacity));
     return;
   }
+  const isLine = /LineString/.test(type);
+  const isPoint = /Point/.test(type);
+  const fill = !!style.fill && !isLine;
+  const stroke = !!style.stroke && style.weight > 0;
+  const radius = (Number(style.radius) || getPointRadius()) * symbolScale;
+  const reach = (isPoint ? radius : 0) + (stroke ? style.weight * symbolScale : 0);
+  if (!c || (!fill && !stroke) || !pdfGeometryInFrame(c, project, frame, reach)) return;
+  if (fill) pdf.setFillColor(...cssColorToRgb(style.fillColor));
+  if (stroke) {
+    pdf.setDrawColor(...cssColorToRgb(style.color));
+    pdf.setLineWidth(style.weight * symbolScale);
+  }
+  setOpacity(fill ? style.fillOpacity : 1, stroke ? style.opacity : 1);
+  if (isPoint) {
+    (type === "Point" ? [c] : c).forEach(coord => {
+      const [x, y] = project(coord[0], coord[1]);
+      pdf.circle(x, y, radius, fill && stroke ? "FD" : fill ? "F" : "S");
+    });
+    return;
+  }
+  const paths = type === "MultiPolygon" ? c.flat() : type === "LineString" ? [c] : c;
+  paths.forEach(path => tracePdfPath(pdf, path, project, !isLine));
+  if (fill && stroke) pdf.fillStrokeEvenOdd();
+  else if (fill) pdf.fillEvenOdd();
+  else pdf.stroke();
+}
 
-  leafletImage(map, (err, mapCanvas) => {
-    if (err || !mapCanvas) {
-      showPopup("Raster capture failed (possible CORS). Exporting PNG instead.", "error");
-      hideLoading();
-      return exportMap();
+// Draws print items as PDF paths clipped to the map frame; symbolScale is millimetres per screen pixel.
+function drawPdfFeatures(pdf, items, project, symbolScale, frame) {
+  const states = new Map();
+  const setOpacity = (fillOpacity, strokeOpacity) => {
+    const key = `${fillOpacity}|${strokeOpacity}`;
+    if (!states.has(key)) states.set(key, new pdf.GState({ opacity: fillOpacity, "stroke-opacity": strokeOpacity }));
+    pdf.setGState(states.get(key));
+  };
+  pdf.saveGraphicsState();
+  pdf.rect(frame.x, frame.y, frame.w, frame.h, null);
+  pdf.clip();
+  pdf.discardPath();
+  pdf.setLineJoin("round");
+  pdf.setLineCap("round");
+  items.forEach(({ geometry, style }) => drawPdfGeometry(pdf, geometry, style, project, symbolScale, frame, setOpacity));
+  pdf.restoreGraphicsState();
+}
+
+let layoutColorCtx = null;
+const layoutColorCache = new Map();
+
+function cssColorToRgb(color) {
+  const key = String(color || "#000000");
+  if (layoutColorCache.has(key)) return layoutColorCache.get(key);
+  if (!layoutColorCtx) layoutColorCtx = document.createElement("canvas").getContext("2d");
+  layoutColorCtx.fillStyle = "#000000";
+  layoutColorCtx.fillStyle = key;
+  const value = layoutColorCtx.fillStyle;
+  const parts = value.match(/[\d.]+/g) || [];
+  const rgb = value.charAt(0) === "#" ? hexToRgb(value) : parts.length >= 3 ? parts.slice(0, 3).map(Number) : [0, 0, 0];
+  layoutColorCache.set(key, rgb);
+  return rgb;
+}
+
+// Frames draw through a painter so the preview canvas and the PDF share one layout.
+// Painter units are millimetres; font sizes are points.
+function createCanvasLayoutPainter(ctx, pxPerMm) {
+  const font = ({ size, bold, italic }) =>
+    `${italic ? "italic " : ""}${bold ? "bold " : ""}${size * PT_TO_MM * pxPerMm}px Helvetica, Arial, sans-serif`;
+  const paint = ({ fill, stroke, lineWidth = 0.2 }) => {
+    if (fill) {
+      ctx.fillStyle = fill;
+      ctx.fill();
     }
-
-    // detect tainted canvas
-    const canvasDataUrlCheck = tryCanvasToDataURL(mapCanvas);
-    if (!canvasDataUrlCheck) {
-      showPopup("Export blocked by cross-origin tiles. Enable CORS or use PNG fallback.", "error");
-      hideLoading();
-      return exportMap();
+    if (stroke) {
+      ctx.strokeStyle = stroke;
+      ctx.lineWidth = lineWidth * pxPerMm;
+      ctx.stroke();
     }
+  };
+  return {
+    textWidth: (text, opts) => {
+      ctx.font = font(opts);
+      return ctx.measureText(text).width / pxPerMm;
+    },
+    text: (text, x, y, opts) => {
+      ctx.font = font(opts);
+      ctx.fillStyle = opts.color || "#000000";
+      ctx.textAlign = opts.align || "left";
+      ctx.textBaseline = "alphabetic";
+      ctx.fillText(text, x * pxPerMm, y * pxPerMm);
+    },
+    rect: (x, y, w, h, style) => {
+      ctx.beginPath();
+      ctx.rect(x * pxPerMm, y * pxPerMm, w * pxPerMm, h * pxPerMm);
+      paint(style);
+    },
+    circle: (x, y, r, style) => {
+      ctx.beginPath();
+      ctx.arc(x * pxPerMm, y * pxPerMm, r * pxPerMm, 0, Math.PI * 2);
+      paint(style);
+    },
+    line: (x1, y1, x2, y2, { stroke, lineWidth }) => {
+      ctx.beginPath();
+      ctx.moveTo(x1 * pxPerMm, y1 * pxPerMm);
+      ctx.lineTo(x2 * pxPerMm, y2 * pxPerMm);
+      paint({ stroke, lineWidth });
+    },
+    polygon: (points, style) => {
+      ctx.beginPath();
+      points.forEach(([x, y], i) => {
+        if (i) ctx.lineTo(x * pxPerMm, y * pxPerMm);
+        else ctx.moveTo(x * pxPerMm, y * pxPerMm);
+      });
+      ctx.closePath();
+      paint(style);
+    },
+    image: (canvas, x, y, w, h) => ctx.drawImage(canvas, x * pxPerMm, y * pxPerMm, w * pxPerMm, h * pxPerMm)
+  };
+}
 
-    try {
-      const svgNS = "http://www.w3.org/2000/svg";
-      const XLINK = "http://www.w3.org/1999/xlink";
+// jsPDF's standard Helvetica only covers Latin text.
+function createPdfLayoutPainter(pdf) {
+  const setFont = ({ size, bold, italic }) => {
+    pdf.setFont("helvetica", bold && italic ? "bolditalic" : bold ? "bold" : italic ? "italic" : "normal");
+    pdf.setFontSize(size);
+  };
+  const paint = ({ fill, stroke, lineWidth = 0.2 }) => {
+    if (fill) pdf.setFillColor(...cssColorToRgb(fill));
+    if (stroke) {
+      pdf.setDrawColor(...cssColorToRgb(stroke));
+      pdf.setLineWidth(lineWidth);
+    }
+    return fill && stroke ? "FD" : fill ? "F" : "S";
+  };
+  return {
+    textWidth: (text, opts) => {
+      setFont(opts);
+      return pdf.getTextWidth(text);
+    },
+    text: (text, x, y, opts) => {
+      setFont(opts);
+      pdf.setTextColor(...cssColorToRgb(opts.color || "#000000"));
+      pdf.text(text, x, y, { align: opts.align || "left" });
+    },
+    rect: (x, y, w, h, style) => pdf.rect(x, y, w, h, paint(style)),
+    circle: (x, y, r, style) => pdf.circle(x, y, r, paint(style)),
+    line: (x1, y1, x2, y2, { stroke, lineWidth }) => {
+      paint({ stroke, lineWidth });
+      pdf.line(x1, y1, x2, y2);
+    },
+    polygon: (points, style) => {
+      const deltas = points.slice(1).map(([x, y], i) => [x - points[i][0], y - points[i][1]]);
+      pdf.lines(deltas, points[0][0], points[0][1], [1, 1], paint(style), true);
+    },
+    image: (canvas, x, y, w, h) => pdf.addImage(canvas.toDataURL("image/png"), "PNG", x, y, w, h)
+  };
+}
 
-      // authoritative canvas pixels from leafletImage
-      const debugInfo = getExportCorrectionDebug(mapCanvas, mapEl);
-      const isEdge = isEdgeBrowser();
-      const adjustedMapCanvas = isEdge
-        // Edge: combine tile transform with map-pane drift correction.
-        ? alignMapCanvasForEdgeDisplayedState(mapCanvas, mapEl)
-        : alignMapCanvasToDisplayedTileTransform(
-            alignMapCanvasForFractionalTileZoom(alignMapCanvasForEdge(mapCanvas, mapEl)),
-            mapEl,
-            { allowTranslation: true }
-          );
-      logEdgeExportDebug("pipeline.mode", {
-        mode: isEdge ? "edge-tile-plus-pane" : "full"
+function wrapLayoutText(painter, text, maxWidth, font) {
+  const words = String(text || "").split(/\s+/).filter(Boolean);
+  const lines = [];
+  let line = "";
+  words.forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (!line || painter.textWidth(candidate, font) <= maxWidth) {
+      line = candidate;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+}
+
+// A frame is { w, h, draw(x, y) }: sizes come first so frames can be placed and kept on the page.
+function buildTextFrame(painter, text, font, maxWidth, { align = "left", box = false } = {}) {
+  const lines = wrapLayoutText(painter, sanitizePlainText(text), maxWidth, font);
+  if (!lines.length) return null;
+  const fontMm = font.size * PT_TO_MM;
+  const lineHeight = fontMm * 1.25;
+  const pad = box ? 1.5 : 0;
+  const w = Math.max(...lines.map(line => painter.textWidth(line, font))) + pad * 2;
+  const h = lines.length * lineHeight + pad * 2;
+  return {
+    w,
+    h,
+    draw: (x, y) => {
+      if (box) painter.rect(x, y, w, h, { fill: "#ffffff" });
+      lines.forEach((line, i) => {
+        const baseline = y + pad + i * lineHeight + fontMm * 0.95;
+        painter.text(line, align === "center" ? x + w / 2 : x + pad, baseline, { ...font, align });
       });
-      showExportCorrectionDebugMessage(debugInfo);
-      const canvasPixelWidth  = adjustedMapCanvas.width;
-      const canvasPixelHeight = adjustedMapCanvas.height;
+    }
+  };
+}
 
-      // container CSS size and scale factor
-      const mapSize = (map && typeof map.getSize === 'function') ? map.getSize() : null;
-      const containerWidth  = (mapSize && mapSize.x > 0) ? mapSize.x : (mapEl.clientWidth || canvasPixelWidth);
-      const containerHeight = (mapSize && mapSize.y > 0) ? mapSize.y : (mapEl.clientHeight || canvasPixelHeight);
-      // clamp scale to avoid excessively large exported font sizes when
-      // device or canvas ratios are large. Keep within [1,2] for stability.
-      const rawScaleX = containerWidth > 0 ? (canvasPixelWidth / containerWidth) : 1;
-      const rawScaleY = containerHeight > 0 ? (canvasPixelHeight / containerHeight) : rawScaleX;
-      const uiScale = Math.min(Math.max(rawScaleX, 1), 2);
+function buildLegendFrame(painter, blocks) {
+  if (!blocks.length) return null;
+  const pad = 2.5;
+  const swatchW = 5;
+  const swatchH = 3.2;
+  const gap = 2;
+  const rowH = 4.6;
+  const headerH = 5;
+  const titleFont = { size: 9, bold: true };
+  const labelFont = { size: 8 };
+  let contentW = 0;
+  let contentH = 0;
+  blocks.forEach((block, i) => {
+    contentW = Math.max(contentW, painter.textWidth(block.title, titleFont));
+    block.rows.forEach(row => {
+      contentW = Math.max(contentW, swatchW + gap + painter.textWidth(row.label, labelFont));
+    });
+    contentH += (i ? 2 : 0) + headerH + block.rows.length * rowH;
+  });
+  const w = contentW + pad * 2;
+  const h = contentH + pad * 2;
+  return {
+    w,
+    h,
+    draw: (x, y) => {
+      painter.rect(x, y, w, h, { fill: "#ffffff", stroke: "#999999" });
+      let cy = y + pad;
+      blocks.forEach((block, i) => {
+        if (i) cy += 2;
+        painter.text(block.title, x + pad, cy + 3.3, titleFont);
+        cy += headerH;
+        block.rows.forEach(row => {
+          const sx = x + pad;
+          const sy = cy + (rowH - swatchH) / 2;
+          if (row.symbolType === "line") {
+            painter.line(sx, sy + swatchH / 2, sx + swatchW, sy + swatchH / 2, { stroke: row.color, lineWidth: 0.8 });
+          } else if (row.symbolType === "point") {
+            painter.circle(sx + swatchW / 2, sy + swatchH / 2, swatchH / 2, { fill: row.color, stroke: "#555555" });
+          } else {
+            painter.rect(sx, sy, swatchW, swatchH, { fill: row.color, stroke: "#555555" });
+          }
+          painter.text(row.label, sx + swatchW + gap, cy + rowH * 0.72, labelFont);
+          cy += rowH;
+        });
+      });
+    }
+  };
+}
 
-      // title/legend heights (CSS -> canvas px)
-      const marginCss = 10;
-      const titleHeightCss = titleEl ? (titleEl.getBoundingClientRect().height + marginCss) : 0;
-      const legendHeightCss = legendEl ? (legendEl.getBoundingClientRect().height + marginCss) : 0;
-      const titleHeightPx  = Math.round(titleHeightCss * uiScale);
-      const marginPx = Math.round(marginCss * uiScale);
+function buildNorthArrowFrame(painter) {
+  const w = 10;
+  const h = 16;
+  return {
+    w,
+    h,
+    draw: (x, y) => {
+      const top = [x + w / 2, y + 5.5];
+      const notch = [x + w / 2, y + h - 3];
+      painter.text("N", x + w / 2, y + 4, { size: 11, bold: true, align: "center" });
+      painter.polygon([top, [x + 1.5, y + h], notch], { fill: "#000000", stroke: "#000000" });
+      painter.polygon([top, [x + w - 1.5, y + h], notch], { fill: "#ffffff", stroke: "#000000" });
+    }
+  };
+}
 
-      const overlay = overlayData[currentLayerName] || {};
-      const legendRows = (overlay.vals && overlay.cols)
-        ? (overlay.isNumeric ? Math.max(0, overlay.vals.length - 1) : overlay.vals.length)
-        : 0;
-      const legendBoxSize = Math.max(8, Math.round(12 * uiScale));
-      const legendRowGap = Math.round(6 * uiScale);
-      const legendHeaderGap = Math.round(18 * uiScale);
-      const computedLegendHeightPx = legendRows
-        ? (marginPx + legendHeaderGap + (legendRows * (legendBoxSize + legendRowGap)))
-        : 0;
-      const legendHeightPx = Math.max(Math.round(legendHeightCss * uiScale), computedLegendHeightPx);
+// Bar of a round ground length near 25 mm of paper, split in four, with the 1:N below it.
+function buildScaleBarFrame(painter, scale) {
+  const meters = niceStep(25 * scale / 1000);
+  const barW = meters * 1000 / scale;
+  const barH = 1.6;
+  const pad = 1.5;
+  const font = { size: 7 };
+  const lineH = 7 * PT_TO_MM * 1.25;
+  const useKm = meters >= 1000;
+  const format = value => cleanBreakValue(useKm ? value / 1000 : value).toLocaleString();
+  const endLabel = `${format(meters)} ${useKm ? "km" : "m"}`;
+  const scaleLabel = `Scale 1:${Math.round(scale).toLocaleString()}`;
+  const left = pad + painter.textWidth("0", font) / 2;
+  const w = Math.max(left + barW + painter.textWidth(endLabel, font) / 2, painter.textWidth(scaleLabel, font)) + pad;
+  const h = pad * 2 + barH + 1 + lineH * 2;
+  return {
+    w,
+    h,
+    draw: (x, y) => {
+      painter.rect(x, y, w, h, { fill: "#ffffff" });
+      const barY = y + pad;
+      for (let i = 0; i < 4; i++) {
+        painter.rect(x + left + i * barW / 4, barY, barW / 4, barH, { fill: i % 2 ? "#ffffff" : "#000000", stroke: "#000000" });
+      }
+      const labelY = barY + barH + 1 + lineH * 0.8;
+      painter.text("0", x + left, labelY, { ...font, align: "center" });
+      painter.text(format(meters / 2), x + left + barW / 2, labelY, { ...font, align: "center" });
+      painter.text(endLabel, x + left + barW, labelY, { ...font, align: "center" });
+      painter.text(scaleLabel, x + pad, labelY + lineH, font);
+    }
+  };
+}
 
-      // expected canvas pixels for visible map area
-      const expectedCanvasW = Math.round(containerWidth * rawScaleX);
-      const expectedCanvasH = Math.round(containerHeight * rawScaleY);
+function buildLogoFrame(painter, logo) {
+  if (!logo) return null;
+  const aspect = logo.width / logo.height;
+  const h = Math.min(14, 60 / aspect);
+  const w = h * aspect;
+  return { w, h, draw: (x, y) => painter.image(logo, x, y, w, h) };
+}
 
-      // LEFT-ALIGNED CROP: use cropX = 0 to avoid centered empty right area
-      const baseCropW = Math.min(expectedCanvasW, canvasPixelWidth);
-      const cropH = Math.min(expectedCanvasH, canvasPixelHeight);
-      const sideCropPx = getExportSideCropPxForBrowser(adjustedMapCanvas, baseCropW, cropH);
-      const cropW = Math.max(1, baseCropW - (2 * sideCropPx));
-      const cropX = sideCropPx;
-      const cropY = 0; // top-align crop
-      if (isEdge) reportEdgeExportSpaceReduction("svg", sideCropPx, baseCropW, cropW);
+function buildLayoutFrames(painter, page) {
+  const { settings, texts } = layoutState;
+  const on = key => settings.frames[key] !== false;
+  const maxW = page.map.w - 6;
+  return {
+    title: on("title") ? buildTextFrame(painter, texts.title, { size: 20, bold: true }, maxW, { align: "center" }) : null,
+    subtitle: on("subtitle") ? buildTextFrame(painter, texts.subtitle, { size: 12 }, maxW, { align: "center" }) : null,
+    legend: on("legend") ? buildLegendFrame(painter, layoutState.legendBlocks) : null,
+    north: on("north") ? buildNorthArrowFrame(painter) : null,
+    scalebar: on("scalebar") ? buildScaleBarFrame(painter, layoutState.scale) : null,
+    disclaimer: on("disclaimer") ? buildTextFrame(painter, texts.disclaimer, { size: 6.5 }, Math.min(90, maxW), { box: true }) : null,
+    source: on("source") ? buildTextFrame(painter, texts.source, { size: 7, italic: true }, Math.min(120, maxW), { box: true }) : null,
+    logo: on("logo") ? buildLogoFrame(painter, layoutState.logo) : null
+  };
+}
 
-      // Debug logging to help tune if needed
-      console.info("SVG export debug:",
-        { canvasPixelWidth, canvasPixelHeight, containerWidth, containerHeight, uiScale,
-          expectedCanvasW, expectedCanvasH, cropW, cropH, cropX, cropY, titleHeightPx, legendHeightPx });
+function defaultLayoutFramePosition(key, frames, page) {
+  const inset = page.margin + 3;
+  const frame = frames[key];
+  const right = page.w - inset - frame.w;
+  const bottom = page.h - inset - frame.h;
+  const titleBottom = inset + (frames.title ? frames.title.h + 1 : 0);
+  const headerBottom = titleBottom + (frames.subtitle ? frames.subtitle.h : 0) + 3;
+  switch (key) {
+    case "title": return { x: (page.w - frame.w) / 2, y: inset };
+    case "subtitle": return { x: (page.w - frame.w) / 2, y: titleBottom };
+    case "legend": return { x: inset, y: headerBottom };
+    case "north": return { x: right, y: inset };
+    case "scalebar": return { x: right, y: bottom - (frames.logo ? frames.logo.h + 2 : 0) };
+    case "disclaimer": return { x: inset, y: bottom };
+    case "source": return { x: inset, y: bottom - (frames.disclaimer ? frames.disclaimer.h + 2 : 0) };
+    default: return { x: right, y: bottom };
+  }
+}
 
-      // draw cropped region to offscreen canvas
-      const cropped = document.createElement('canvas');
-      cropped.width = cropW;
-      cropped.height = cropH;
-      const cctx = cropped.getContext('2d');
-      cctx.drawImage(adjustedMapCanvas, cropX, cropY, cropW, cropH, 0, 0, cropW, cropH);
-      const trimInfo = isFirefoxBrowser()
-        ? trimHorizontalWhitespaceWithOffset(cropped, 0.4)
-        : { canvas: cropped, leftTrim: 0 };
-      const exportCanvas = trimInfo.canvas || cropped;
-      const extraTrimX = Math.max(0, trimInfo.leftTrim || 0);
+function clampLayoutFrame(pos, frame, page) {
+  return {
+    x: Math.max(0, Math.min(page.w - frame.w, pos.x)),
+    y: Math.max(0, Math.min(page.h - frame.h, pos.y))
+  };
+}
 
-      const usedCanvasWidth  = Math.max(1, exportCanvas.width);
-      const usedCanvasHeight = Math.max(1, exportCanvas.height);
+// Draws the map frame border and every enabled frame; returns their boxes, topmost last.
+function drawLayoutFrames(painter, page) {
+  const frames = buildLayoutFrames(painter, page);
+  painter.rect(page.map.x, page.map.y, page.map.w, page.map.h, { stroke: "#000000", lineWidth: 0.3 });
+  return LAYOUT_FRAMES.filter(key => frames[key]).map(key => {
+    const frame = frames[key];
+    const saved = layoutState.settings.positions[key];
+    const pos = clampLayoutFrame(
+      saved ? { x: saved.fx * page.w, y: saved.fy * page.h } : defaultLayoutFramePosition(key, frames, page),
+      frame,
+      page
+    );
+    frame.draw(pos.x, pos.y);
+    return { key, x: pos.x, y: pos.y, w: frame.w, h: frame.h };
+  });
+}
 
-      // Firefox can trim asymmetric side whitespace; center trimmed map content
-      // in the original crop frame to match Chrome/Edge visual alignment.
-      const totalWidthPx  = isFirefoxBrowser() ? Math.max(usedCanvasWidth, cropW) : usedCanvasWidth;
-      const totalHeightPx = titleHeightPx + usedCanvasHeight + legendHeightPx + (marginPx * 2);
-      const contentOffsetX = Math.max(0, Math.round((totalWidthPx - usedCanvasWidth) / 2));
-      const firefoxInkCenterShiftX = isFirefoxBrowser() ? getHorizontalInkCenterShift(exportCanvas) : 0;
-      const minContentOffsetX = 0;
-      const maxContentOffsetX = Math.max(0, totalWidthPx - usedCanvasWidth);
-      const alignedContentOffsetX = Math.max(
-        minContentOffsetX,
-        Math.min(maxContentOffsetX, contentOffsetX + firefoxInkCenterShiftX)
-      );
+// Scales the logo down once so the PDF does not embed a poster-sized image.
+function loadLayoutLogo(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const k = Math.min(1, 1600 / Math.max(img.naturalWidth, img.naturalHeight, 1));
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.max(1, Math.round(img.naturalWidth * k));
+      canvas.height = Math.max(1, Math.round(img.naturalHeight * k));
+      canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+      resolve(canvas);
+    };
+    img.onerror = () => reject(new Error("The logo image could not be read."));
+    img.src = src;
+  });
+}
 
-      const svg = document.createElementNS(svgNS, "svg");
-      svg.setAttribute("xmlns", svgNS);
-      svg.setAttribute("xmlns:xlink", XLINK);
-      const isFirefoxExport = isFirefoxBrowser();
-      svg.setAttribute("width", isFirefoxExport ? "100%" : String(totalWidthPx));
-      svg.setAttribute("height", isFirefoxExport ? "100%" : String(totalHeightPx));
-      if (isFirefoxExport) {
-        // Preserve authored dimensions for tools while letting Firefox center in viewport.
-        svg.setAttribute("data-export-width", String(totalWidthPx));
-        svg.setAttribute("data-export-height", String(totalHeightPx));
-      }
-      svg.setAttribute("style", "display:block;margin:0 auto;");
-      svg.setAttribute("viewBox", `0 0 ${totalWidthPx} ${totalHeightPx}`);
-      svg.setAttribute("preserveAspectRatio", "xMidYMid meet");
+function getLayoutPreviewScale(page) {
+  const wrap = document.getElementById("layout-preview");
+  const availW = Math.max(200, (wrap ? wrap.clientWidth : 600) - 24);
+  const availH = Math.max(200, window.innerHeight * 0.65);
+  return Math.min(availW / page.w, availH / page.h);
+}
+
+function updateLayoutPreviewInfo(page) {
+  const info = document.getElementById("layout-preview-info");
+  if (!info) return;
+  const { settings } = layoutState;
+  const dpi = getLayoutExportDpi(page, settings.dpi);
+  const mm = v => Math.round(v).toLocaleString();
+  const px = v => Math.round(v / MM_PER_INCH * dpi).toLocaleString();
+  const image = settings.vector ? "base map" : "map image";
+  info.textContent = `Map frame ${mm(page.map.w)} × ${mm(page.map.h)} mm at 1:${Math.round(layoutState.scale).toLocaleString()}, ` +
+    `${image} at ${dpi} dpi (${px(page.map.w)} × ${px(page.map.h)} px).` +
+    (dpi < settings.dpi ? ` Lowered from ${settings.dpi} dpi to keep the image within the browser's limits.` : "");
+}
+
+// The preview map image is re-rendered shortly after the page or scale stops changing.
+function refreshLayoutPreviewMap(page, dpi) {
+  const key = [page.w, page.h, page.margin, layoutState.scale, Math.round(dpi)].join("|");
+  if (key === layoutState.previewKey) return;
+  layoutState.previewKey = key;
+  const token = ++layoutState.previewToken;
+  clearTimeout(layoutState.previewTimer);
+  layoutState.previewTimer = setTimeout(() => {
+    renderPrintMap({
+      center: layoutState.center,
+      scale: layoutState.scale,
+      dpi,
+      widthMm: page.map.w,
+      heightMm: page.map.h,
+      items: layoutState.items
+    }).then(image => {
+      if (token !== layoutState.previewToken) return;
+      layoutState.previewImage = image;
+      drawLayoutPreview();
+    }).catch(err => console.warn("Layout preview failed:", err));
+  }, 250);
+}
+
+function drawLayoutPreview() {
+  const canvas = document.getElementById("layout-preview-canvas");
+  if (!canvas || !layoutState.settings) return;
+  const page = getLayoutPage(layoutState.settings);
+  const pxPerMm = getLayoutPreviewScale(page);
+  const dpr = window.devicePixelRatio || 1;
+  const cssW = Math.round(page.w * pxPerMm);
+  const cssH = Math.round(page.h * pxPerMm);
+  if (canvas.width !== Math.round(cssW * dpr) || canvas.height !== Math.round(cssH * dpr)) {
+    canvas.width = Math.round(cssW * dpr);
+    canvas.height = Math.round(cssH * dpr);
+    setDynamicStyle(canvas, { width: `${cssW}px`, height: `${cssH}px` });
+  }
+  layoutState.previewPxPerMm = pxPerMm;
+  const ctx = canvas.getContext("2d");
+  const k = pxPerMm * dpr;
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  if (layoutState.previewImage) {
+    ctx.drawImage(layoutState.previewImage, page.map.x * k, page.map.y * k, page.map.w * k, page.map.h * k);
+  }
+  layoutState.boxes = drawLayoutFrames(createCanvasLayoutPainter(ctx, k), page);
+  updateLayoutPreviewInfo(page);
+  refreshLayoutPreviewMap(page, k * MM_PER_INCH);
+}
+
+function requestLayoutPreview() {
+  if (layoutState.redrawFrame) return;
+  layoutState.redrawFrame = requestAnimationFrame(() => {
+    layoutState.redrawFrame = null;
+    drawLayoutPreview();
+  });
+}
 
-      // background
-      const bg = document.createElementNS(svgNS, "rect");
-      bg.setAttribute("x", "0");
-      bg.setAttribute("y", "0");
-      bg.setAttribute("width", String(totalWidthPx));
-      bg.setAttribute("height", String(totalHeightPx));
-      bg.setAttribute("fill", "#ffffff");
-      svg.appendChild(bg);
+function fillLayoutComposerForm() {
+  const { settings, texts } = layoutState;
+  const setValue = (id, value) => {
+    const el = document.getElementById(id);
+    if (el) el.value = value;
+  };
+  setValue("layout-paper", settings.paper);
+  setValue("layout-orientation", settings.orientation);
+  setValue("layout-margin", settings.margin);
+  setValue("layout-dpi", settings.dpi);
+  setValue("layout-scale", layoutState.scale);
+  const vectorBox = document.getElementById("layout-vector");
+  if (vectorBox) vectorBox.checked = settings.vector;
+  setValue("layout-title-text", texts.title);
+  setValue("layout-subtitle-text", texts.subtitle);
+  setValue("layout-source-text", texts.source);
+  setValue("layout-disclaimer-text", texts.disclaimer);
+  LAYOUT_FRAMES.forEach(key => {
+    const box = document.getElementById(`layout-frame-${key}`);
+    if (box) box.checked = settings.frames[key] !== false;
+  });
+}
 
-      // title (clamped font size for consistency)
-      const safeTitle = safeText(titleEl);
-      if (safeTitle) {
-        const title = document.createElementNS(svgNS, "text");
-        title.setAttribute("x", String(totalWidthPx / 2));
-        title.setAttribute("y", String(Math.max(Math.round(18 * uiScale), titleHeightPx - Math.round(marginPx / 2))));
-        title.setAttribute("text-anchor", "middle");
-        title.setAttribute("font-family", "Segoe UI, sans-serif");
-        // clamp font size between 12px and 24px to avoid oversized headings
-        const fs = Math.round(Math.max(12, Math.min(24, 18 * uiScale)));
-        title.setAttribute("font-size", String(fs));
-        title.setAttribute("font-weight", "600");
-        title.textContent = safeTitle;
-        svg.appendChild(title);
-      }
+function openLayoutComposer() {
+  const modalEl = document.getElementById("layoutComposerModal");
+  const ModalCtor = window.bootstrap?.Modal;
+  if (!modalEl || !ModalCtor) return;
+  const settings = loadLayoutSettings();
+  layoutState.settings = settings;
+  layoutState.center = map.getCenter();
+  layoutState.scale = fitLayoutScaleToView(getLayoutPage(settings));
+  layoutState.items = collectPrintFeatures();
+  layoutState.legendBlocks = getExportLegendBlocks();
+  layoutState.texts = {
+    title: sanitizePlainText(document.getElementById("map-title")?.textContent),
+    subtitle: settings.subtitle,
+    source: settings.source,
+    disclaimer: sanitizePlainText(document.getElementById("disclaimer")?.textContent)
+  };
+  layoutState.previewImage = null;
+  layoutState.previewKey = "";
+  fillLayoutComposerForm();
+  if (!layoutState.logo) {
+    loadLayoutLogo(LAYOUT_DEFAULT_LOGO)
+      .then(logo => {
+        layoutState.logo = logo;
+        requestLayoutPreview();
+      })
+      .catch(err => console.warn(err.message));
+  }
+  ModalCtor.getOrCreateInstance(modalEl).show();
+}
+
+async function exportLayoutPdf() {
+  const { settings } = layoutState;
+  if (!settings) return;
+  const page = getLayoutPage(settings);
+  const dpi = getLayoutExportDpi(page, settings.dpi);
+  showLoading("Exporting layout as PDF...");
+  await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+  try {
+    const mapImage = await renderPrintMap({
+      center: layoutState.center,
+      scale: layoutState.scale,
+      dpi,
+      widthMm: page.map.w,
+      heightMm: page.map.h,
+      items: settings.vector ? [] : layoutState.items
+    });
+    const pdf = new jspdf.jsPDF({ orientation: settings.orientation, unit: "mm", format: [page.w, page.h], floatPrecision: 3 });
+    pdf.addImage(mapImage.toDataURL("image/jpeg", 0.92), "JPEG", page.map.x, page.map.y, page.map.w, page.map.h);
+    if (settings.vector) {
+      const project = getPdfProjection(layoutState.center, layoutState.scale, page.map);
+      drawPdfFeatures(pdf, layoutState.items, project, MM_PER_INCH / SCREEN_DPI, page.map);
+    }
+    drawLayoutFrames(createPdfLayoutPainter(pdf), page);
+    pdf.save(`${sanitizeName(layoutState.texts.title || "map").replace(/\s+/g, "_")}_layout.pdf`);
+  } catch (err) {
+    console.error("Layout PDF export failed:", err);
+    showPopup(`Layout export failed: ${err?.message || err}`, "error");
+  } finally {
+    hideLoading();
+  }
+}
 
-      // embed cropped image
-      const imgDataUrl = exportCanvas.toDataURL("image/png");
-      const img = document.createElementNS(svgNS, "image");
-      img.setAttributeNS(XLINK, "xlink:href", imgDataUrl);
-      img.setAttribute("href", imgDataUrl);
-      img.setAttribute("x", String(alignedContentOffsetX));
-      img.setAttribute("y", String(titleHeightPx));
-      img.setAttribute("width", String(usedCanvasWidth));
-      img.setAttribute("height", String(usedCanvasHeight));
-      svg.appendChild(img);
+function layoutPointerToPage(canvas, e) {
+  const rect = canvas.getBoundingClientRect();
+  return {
+    x: (e.clientX - rect.left) / layoutState.previewPxPerMm,
+    y: (e.clientY - rect.top) / layoutState.previewPxPerMm
+  };
+}
 
-      // project coords into cropped canvas pixel space (subtract crop offsets)
-      function projectCoordToCanvas(coord) {
-        const latlng = L.latLng(coord[1], coord[0]);
-        const layerPoint = map.latLngToLayerPoint(latlng);
-        const containerPoint = map.layerPointToContainerPoint(layerPoint); // CSS px
-        const x = (containerPoint.x * rawScaleX) - cropX - extraTrimX + alignedContentOffsetX;
-        const y = (containerPoint.y * rawScaleY) - cropY + titleHeightPx;
-        return [x, y];
-      }
+function layoutFrameAt(pt) {
+  for (let i = layoutState.boxes.length - 1; i >= 0; i--) {
+    const b = layoutState.boxes[i];
+    if (pt.x >= b.x && pt.x <= b.x + b.w && pt.y >= b.y && pt.y <= b.y + b.h) return b;
+  }
+  return null;
+}
 
-      // style helper
-      function styleForFeature(f) {
-        const ds = defaultStyle(f);
-        const style = {
-          fill: ds.fillColor || "none",
-          stroke: ds.color || "#000",
-          strokeWidth: ds.weight != null ? ds.weight : getLineWidth(),
-          fillOpacity: ds.fillOpacity != null ? ds.fillOpacity : 0.6
-        };
-        if (overlay.vals && overlay.cols && currentAttribute) {
-          if (overlay.isNumeric && Array.isArray(overlay.vals) && overlay.vals.length > 1) {
-            const v = Number(f.properties?.[currentAttribute]);
-            for (let i = 0; i < overlay.vals.length - 1; i++) {
-              if (v >= overlay.vals[i] && v <= overlay.vals[i + 1]) {
-                style.fill = overlay.cols[i] || style.fill;
-                break;
-              }
-            }
-          } else if (!overlay.isNumeric) {
-            const idx = (overlay.vals || []).indexOf(f.properties?.[currentAttribute]);
-            if (idx >= 0) style.fill = overlay.cols[idx] || style.fill;
-          }
-        }
-        return style;
-      }
+(function wirePrintLayout() {
+  const modalEl = document.getElementById("layoutComposerModal");
+  const canvas = document.getElementById("layout-preview-canvas");
+  if (!modalEl || !canvas) return;
+  const byId = id => document.getElementById(id);
+  const changed = () => {
+    saveLayoutSettings(layoutState.settings);
+    requestLayoutPreview();
+  };
 
-      const visibleOrderedNames = getOrderedLayerNames().filter(name => {
-        const group = overlayData[name] && overlayData[name].layerGroup;
-        return !!(group && map && map.hasLayer(group));
+  byId("layout-paper")?.addEventListener("change", e => {
+    layoutState.settings.paper = LAYOUT_PAPER_SIZES[e.target.value] ? e.target.value : "a4";
+    changed();
+  });
+  byId("layout-orientation")?.addEventListener("change", e => {
+    layoutState.settings.orientation = e.target.value === "portrait" ? "portrait" : "landscape";
+    changed();
+  });
+  byId("layout-margin")?.addEventListener("change", e => {
+    const margin = Number(e.target.value);
+    layoutState.settings.margin = Number.isFinite(margin) ? Math.max(0, Math.min(50, margin)) : 10;
+    e.target.value = layoutState.settings.margin;
+    changed();
+  });
+  byId("layout-dpi")?.addEventListener("change", e => {
+    const dpi = Number(e.target.value);
+    layoutState.settings.dpi = LAYOUT_DPI_OPTIONS.includes(dpi) ? dpi : 150;
+    changed();
+  });
+  byId("layout-vector")?.addEventListener("change", e => {
+    layoutState.settings.vector = e.target.checked;
+    changed();
+  });
+  byId("layout-scale")?.addEventListener("change", e => {
+    const scale = Math.round(Number(e.target.value));
+    if (Number.isFinite(scale) && scale > 0) {
+      layoutState.scale = Math.max(LAYOUT_MIN_SCALE, Math.min(LAYOUT_MAX_SCALE, scale));
+    }
+    e.target.value = layoutState.scale;
+    requestLayoutPreview();
+  });
+  byId("btnLayoutFitView")?.addEventListener("click", () => {
+    layoutState.scale = fitLayoutScaleToView(getLayoutPage(layoutState.settings));
+    byId("layout-scale").value = layoutState.scale;
+    requestLayoutPreview();
+  });
+  [["layout-title-text", "title"], ["layout-subtitle-text", "subtitle"], ["layout-source-text", "source"], ["layout-disclaimer-text", "disclaimer"]]
+    .forEach(([id, key]) => {
+      byId(id)?.addEventListener("input", e => {
+        layoutState.texts[key] = e.target.value;
+        if (key === "subtitle" || key === "source") layoutState.settings[key] = sanitizePlainText(e.target.value);
+        changed();
       });
-      const topVisibleName = visibleOrderedNames.length ? visibleOrderedNames[0] : null;
-      // Keep SVG stacking aligned with layer list: only redraw current vectors when current is topmost.
-      const shouldDrawCurrentVectors = !topVisibleName || topVisibleName === currentLayerName;
+    });
+  LAYOUT_FRAMES.forEach(key => {
+    byId(`layout-frame-${key}`)?.addEventListener("change", e => {
+      layoutState.settings.frames[key] = e.target.checked;
+      changed();
+    });
+  });
+  byId("btnLayoutResetFrames")?.addEventListener("click", () => {
+    layoutState.settings.positions = {};
+    changed();
+  });
+  byId("layout-logo-file")?.addEventListener("change", e => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    if (!/^image\/(png|jpeg)$/.test(file.type) || file.size > LAYOUT_MAX_LOGO_BYTES) {
+      showPopup("Choose a PNG or JPEG logo of at most 5 MB.", "error");
+      e.target.value = "";
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+      loadLayoutLogo(reader.result)
+        .then(logo => {
+          layoutState.logo = logo;
+          requestLayoutPreview();
+        })
+        .catch(err => showPopup(err.message, "error"));
+    };
+    reader.readAsDataURL(file);
+  });
+  byId("btnLayoutExportPdf")?.addEventListener("click", () => exportLayoutPdf());
+
+  canvas.addEventListener("pointerdown", e => {
+    const pt = layoutPointerToPage(canvas, e);
+    const box = layoutFrameAt(pt);
+    if (!box) return;
+    layoutState.drag = { key: box.key, dx: pt.x - box.x, dy: pt.y - box.y, w: box.w, h: box.h };
+    canvas.setPointerCapture(e.pointerId);
+    e.preventDefault();
+  });
+  canvas.addEventListener("pointermove", e => {
+    const pt = layoutPointerToPage(canvas, e);
+    const drag = layoutState.drag;
+    if (!drag) {
+      canvas.classList.toggle("is-over-frame", !!layoutFrameAt(pt));
+      return;
+    }
+    const page = getLayoutPage(layoutState.settings);
+    const pos = clampLayoutFrame({ x: pt.x - drag.dx, y: pt.y - drag.dy }, drag, page);
+    layoutState.settings.positions[drag.key] = { fx: pos.x / page.w, fy: pos.y / page.h };
+    requestLayoutPreview();
+  });
+  const endDrag = () => {
+    if (!layoutState.drag) return;
+    layoutState.drag = null;
+    saveLayoutSettings(layoutState.settings);
+  };
+  canvas.addEventListener("pointerup", endDrag);
+  canvas.addEventListener("pointercancel", endDrag);
+
+  modalEl.addEventListener("shown.bs.modal", () => drawLayoutPreview());
+  modalEl.addEventListener("hidden.bs.modal", () => {
+    clearTimeout(layoutState.previewTimer);
+    layoutState.previewToken++;
+    layoutState.items = [];
+    layoutState.previewImage = null;
+  });
+  window.addEventListener("resize", () => {
+    if (modalEl.classList.contains("show")) requestLayoutPreview();
+  });
+})();
 
-      // draw features
-      if (shouldDrawCurrentVectors) {
-        data.features.forEach(feature => {
-          const geom = feature.geometry;
-          if (!geom) return;
-          const style = styleForFeature(feature);
+//Vector PDF Export
+// Screen scale of the current view as 1:N, with CSS pixels at 96 per inch.
+function getCurrentMapScale() {
+  const metersPerPx = metersPerPixelAtZoom0(map.getCenter()) / Math.pow(2, map.getZoom());
+  return metersPerPx * 1000 * SCREEN_DPI / MM_PER_INCH;
+}
 
-          if (geom.type === "Polygon" || geom.type === "MultiPolygon") {
-            const polys = geom.type === "Polygon" ? [geom.coordinates] : geom.coordinates;
-            polys.forEach(polygon => {
-              polygon.forEach((ring, rIdx) => {
-                const path = document.createElementNS(svgNS, "path");
-                const d = ring.map((coord, i) => {
-                  const [x, y] = projectCoordToCanvas(coord);
-                  return (i === 0 ? "M" : "L") + x + " " + y;
-                }).join(" ") + " Z";
-                path.setAttribute("d", d);
-                path.setAttribute("fill", rIdx === 0 ? (style.fill || "none") : "#ffffff");
-                path.setAttribute("stroke", style.stroke || "#000");
-                path.setAttribute("stroke-width", String(Math.max(0.5, style.strokeWidth * rawScaleX)));
-                path.setAttribute("fill-opacity", String(style.fillOpacity));
-                svg.appendChild(path);
-              });
-            });
-          } else if (geom.type === "LineString" || geom.type === "MultiLineString") {
-            const lines = geom.type === "LineString" ? [geom.coordinates] : geom.coordinates;
-            lines.forEach(line => {
-              const path = document.createElementNS(svgNS, "path");
-              const d = line.map((coord, i) => {
-                const [x, y] = projectCoordToCanvas(coord);
-                return (i === 0 ? "M" : "L") + x + " " + y;
-              }).join(" ");
-              path.setAttribute("d", d);
-              path.setAttribute("fill", "none");
-              path.setAttribute("stroke", style.stroke || "#000");
-              path.setAttribute("stroke-width", String(Math.max(0.5, style.strokeWidth * rawScaleX)));
-              svg.appendChild(path);
-            });
-          } else if (geom.type === "Point" || geom.type === "MultiPoint") {
-            const pts = geom.type === "Point" ? [geom.coordinates] : geom.coordinates;
-            pts.forEach(coord => {
-              const [x, y] = projectCoordToCanvas(coord);
-              const circle = document.createElementNS(svgNS, "circle");
-              const r = Math.max(1, Math.round(getPointRadius() * rawScaleX));
-              circle.setAttribute("cx", String(x));
-              circle.setAttribute("cy", String(y));
-              circle.setAttribute("r", String(r));
-              circle.setAttribute("fill", style.fill || "#ccc");
-              circle.setAttribute("stroke", style.stroke || "#000");
-              circle.setAttribute("stroke-width", String(Math.max(0.5, style.strokeWidth * rawScaleX)));
-              svg.appendChild(circle);
-            });
-          }
-        });
-      }
+// Top-left and width of a map overlay in millimetres from the map's corner, or null when it is hidden.
+function getMapOverlayOffsetMm(el) {
+  if (!el) return null;
+  const rect = el.getBoundingClientRect();
+  if (!rect.width || !rect.height) return null;
+  const mapRect = map.getContainer().getBoundingClientRect();
+  const mmPerPx = MM_PER_INCH / SCREEN_DPI;
+  return { x: (rect.left - mapRect.left) * mmPerPx, y: (rect.top - mapRect.top) * mmPerPx, w: rect.width * mmPerPx };
+}
 
-      // disclaimer rendered as pure SVG to avoid foreignObject inconsistencies
-      const safeDisclaimer = safeText(disclaimerEl);
-      if (safeDisclaimer) {
-        const discRect = disclaimerEl ? disclaimerEl.getBoundingClientRect() : null;
-        const mapRect = mapEl ? mapEl.getBoundingClientRect() : null;
-        const discX = alignedContentOffsetX + Math.max(6, Math.round(8 * rawScaleX));
-        const desiredWidth = discRect ? Math.round(discRect.width * rawScaleX * 1.18) : Math.round(230 * uiScale);
-        let discWidth = Math.max(
-          Math.round(120 * uiScale),
-          Math.min(desiredWidth, Math.max(120, usedCanvasWidth - discX - marginPx))
-        );
-        const fontSizeDisc = Math.max(8, Math.round(10 * uiScale));
-        const lineHeightDisc = Math.round(fontSizeDisc * 1.25);
-        const padding = Math.max(4, Math.round(5 * uiScale));
-        const maxLines = 5;
-        const avgCharWidth = Math.max(5, Math.round(fontSizeDisc * 0.5));
-        const maxCharsPerLine = Math.max(16, Math.floor((discWidth - (padding * 2)) / avgCharWidth));
+// The current view at screen size: title above the map, legend below it, and the north arrow,
+// scale bar and disclaimer where they sit on the map. Only the base map is an image.
+async function exportPDF(save = downloadBlob) {
+  showLoading("Exporting map as PDF...");
+  await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+  try {
+    const size = map.getSize();
+    const mmPerPx = MM_PER_INCH / SCREEN_DPI;
+    const pad = 6;
+    const frame = { x: pad, y: pad, w: size.x * mmPerPx, h: size.y * mmPerPx };
+    const title = document.getElementById("map-title")?.textContent;
+    const legendBlocks = getExportLegendBlocks();
+    const buildBands = painter => ({
+      title: buildTextFrame(painter, title, { size: 16, bold: true }, frame.w, { align: "center" }),
+      legend: buildLegendFrame(painter, legendBlocks)
+    });
+    // Text is measured on a scratch document because the page size depends on it.
+    const measured = buildBands(createPdfLayoutPainter(new jspdf.jsPDF({ unit: "mm" })));
+    if (measured.title) frame.y += measured.title.h + 3;
+    const pageW = frame.w + pad * 2;
+    const pageH = frame.y + frame.h + (measured.legend ? measured.legend.h + 4 : 0) + pad;
+
+    const center = map.getCenter();
+    const scale = getCurrentMapScale();
+    const baseImage = await renderPrintMap({ center, scale, dpi: SCREEN_DPI * 2, widthMm: frame.w, heightMm: frame.h, items: [] });
+    const pdf = new jspdf.jsPDF({
+      orientation: pageW >= pageH ? "landscape" : "portrait",
+      unit: "mm",
+      format: [pageW, pageH],
+      floatPrecision: 3
+    });
+    const painter = createPdfLayoutPainter(pdf);
+    pdf.addImage(baseImage.toDataURL("image/jpeg", 0.92), "JPEG", frame.x, frame.y, frame.w, frame.h);
+    drawPdfFeatures(pdf, collectPrintFeatures(), getPdfProjection(center, scale, frame), mmPerPx, frame);
+    painter.rect(frame.x, frame.y, frame.w, frame.h, { stroke: "#000000", lineWidth: 0.3 });
+
+    const bands = buildBands(painter);
+    if (bands.title) bands.title.draw(pad + (frame.w - bands.title.w) / 2, pad);
+    if (bands.legend) bands.legend.draw(pad, frame.y + frame.h + 4);
+    const placeOnMap = (built, offset) => {
+      if (!built || !offset) return;
+      const pos = clampLayoutFrame(offset, built, frame);
+      built.draw(frame.x + pos.x, frame.y + pos.y);
+    };
+    const disclaimerEl = document.getElementById("disclaimer");
+    const disclaimerOffset = getMapOverlayOffsetMm(disclaimerEl);
+    placeOnMap(buildNorthArrowFrame(painter), getMapOverlayOffsetMm(document.querySelector(".leaflet-control-north-arrow")));
+    placeOnMap(buildScaleBarFrame(painter, scale), getMapOverlayOffsetMm(document.querySelector(".leaflet-control-exact-scale")));
+    if (disclaimerOffset) {
+      placeOnMap(buildTextFrame(painter, disclaimerEl.textContent, { size: 6.5 }, disclaimerOffset.w, { box: true }), disclaimerOffset);
+    }
+    save(pdf.output("blob"), "map.pdf");
+    hideLoading();
+    return true;
+  } catch (err) {
+    console.error("Vector PDF export failed:", err);
+    hideLoading();
+    showPopup("Vector PDF export failed. Exporting the map as an image PDF instead.", "error");
+    return exportRasterPDF(save);
+  }
+}
+
+//Data Export (filtered active layer as GeoJSON, CSV, KML or zipped Shapefile)
+const DATA_EXPORT_FORMATS = ["geojson", "csv", "kml", "shapefile"];
+const DATA_EXPORT_CSV_GEOMETRY = ["latlon", "wkt"];
+const DATA_EXPORT_SETTINGS_KEY = "rma-data-export";
+const INTERNAL_FIELD_PATTERN = /^__rma_/i;
+const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+// dBASE limits: 10-character field names, 254-byte text, 20-character numbers and 255 fields.
+const DBF_MAX_NAME = 10;
+const DBF_MAX_TEXT = 254;
+const DBF_MAX_NUMBER = 20;
+const DBF_MAX_FIELDS = 255;
+const dataExportState = { fields: [], features: [] };
+
+function loadDataExportSettings() {
+  const settings = { format: "geojson", csvGeometry: "latlon", dropInternal: true };
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(DATA_EXPORT_SETTINGS_KEY) || "{}") || {};
+    if (DATA_EXPORT_FORMATS.includes(saved.format)) settings.format = saved.format;
+    if (DATA_EXPORT_CSV_GEOMETRY.includes(saved.csvGeometry)) settings.csvGeometry = saved.csvGeometry;
+    if (typeof saved.dropInternal === "boolean") settings.dropInternal = saved.dropInternal;
+  } catch (_) {}
+  return settings;
+}
 
-        const words = safeDisclaimer.split(/\s+/).filter(Boolean);
-        const lines = [];
-        let line = "";
-        for (let i = 0; i < words.length; i++) {
-          const candidate = line ? (line + " " + words[i]) : words[i];
-          if (candidate.length > maxCharsPerLine && line) {
-            lines.push(line);
-            line = words[i];
-            if (lines.length >= maxLines) break;
-          } else {
-            line = candidate;
-          }
-        }
-        if (lines.length < maxLines && line) lines.push(line);
-        const truncated = lines.length >= maxLines && words.join(" ").length > lines.join(" ").length;
-        if (truncated && lines.length) {
-          lines[lines.length - 1] = lines[lines.length - 1].replace(/[.,;:!? ]+$/, "") + "...";
-        }
+function saveDataExportSettings(settings) {
+  try {
+    window.localStorage.setItem(DATA_EXPORT_SETTINGS_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn("Could not remember data export settings:", e);
+  }
+}
 
-        // Tighten SVG disclaimer box width using measured rendered text width.
-        const mCanvas = document.createElement('canvas');
-        const mCtx = mCanvas.getContext('2d');
-        if (mCtx) mCtx.font = `${fontSizeDisc}px Segoe UI, sans-serif`;
-        const measuredTextWidth = lines.reduce((m, ln) => {
-          const w = mCtx ? Math.ceil(mCtx.measureText(ln).width) : Math.round(ln.length * avgCharWidth);
-          return Math.max(m, w);
-        }, 0);
-        const tightWidth = Math.max(Math.round(120 * uiScale), measuredTextWidth + (padding * 2));
-        discWidth = Math.min(discWidth, tightWidth);
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.rel = "noopener";
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
 
-        const discHeight = (padding * 2) + (lines.length * lineHeightDisc);
-        let discY = discRect && mapRect
-          ? (() => {
-              const bottomCss = Math.max(0, mapRect.bottom - discRect.bottom);
-              const bottomPx = Math.max(0, Math.round(bottomCss * rawScaleY));
-              return Math.max(
-                titleHeightPx,
-                titleHeightPx + usedCanvasHeight - discHeight - bottomPx
-              );
-            })()
-          : (titleHeightPx + usedCanvasHeight - discHeight - marginPx);
-        const discYMin = titleHeightPx + 2;
-        const discYMax = Math.max(discYMin, (titleHeightPx + usedCanvasHeight - discHeight - 2));
-        discY = Math.max(discYMin, Math.min(discYMax, discY));
+// Every property key of the features, in first-seen order.
+function collectExportFields(features) {
+  const seen = new Set();
+  features.forEach(f => {
+    if (f?.properties) Object.keys(f.properties).forEach(k => seen.add(k));
+  });
+  return Array.from(seen);
+}
 
-        const discBg = document.createElementNS(svgNS, "rect");
-        discBg.setAttribute("x", String(discX));
-        discBg.setAttribute("y", String(discY));
-        discBg.setAttribute("width", String(discWidth));
-        discBg.setAttribute("height", String(discHeight));
-        discBg.setAttribute("fill", "#ffffff");
-        discBg.setAttribute("fill-opacity", "0.95");
-        svg.appendChild(discBg);
+// Text form of an attribute value; nested values are written as JSON.
+function formatExportValue(value) {
+  if (value == null || (typeof value === "number" && !Number.isFinite(value))) return "";
+  if (typeof value === "object") {
+    try { return JSON.stringify(value); } catch (_) { return ""; }
+  }
+  return String(value);
+}
 
-        const discText = document.createElementNS(svgNS, "text");
-        discText.setAttribute("x", String(discX + padding));
-        discText.setAttribute("y", String(discY + padding + fontSizeDisc));
-        discText.setAttribute("font-size", String(fontSizeDisc));
-        discText.setAttribute("font-family", "Segoe UI, sans-serif");
-        discText.setAttribute("fill", "#000");
-        discText.setAttribute("text-anchor", "start");
+// Column name that does not clash with an attribute.
+function uniqueExportColumn(name, taken) {
+  let out = name;
+  for (let i = 1; taken.has(out); i++) out = `${name}_${i}`;
+  taken.add(out);
+  return out;
+}
 
-        lines.forEach((ln, idx) => {
-          const tspan = document.createElementNS(svgNS, "tspan");
-          tspan.setAttribute("x", String(discX + padding));
-          tspan.setAttribute("dy", idx === 0 ? "0" : String(lineHeightDisc));
-          const isLastLine = idx === lines.length - 1;
-          const shouldJustify = !isLastLine && !/\.\.\.$/.test(ln) && /\s/.test(ln);
-          if (shouldJustify) {
-            tspan.setAttribute("textLength", String(Math.max(1, discWidth - (padding * 2))));
-            tspan.setAttribute("lengthAdjust", "spacing");
-          }
-          tspan.textContent = ln;
-          discText.appendChild(tspan);
-        });
+function geometryToWkt(geometry) {
+  const type = geometry?.type;
+  if (type === "GeometryCollection") {
+    const parts = (geometry.geometries || []).map(geometryToWkt).filter(Boolean);
+    return parts.length ? `GEOMETRYCOLLECTION (${parts.join(", ")})` : "GEOMETRYCOLLECTION EMPTY";
+  }
+  const c = geometry?.coordinates;
+  if (!type || !Array.isArray(c)) return "";
+  if (!c.length) return `${type.toUpperCase()} EMPTY`;
+  const pt = p => `${p[0]} ${p[1]}`;
+  const line = l => `(${l.map(pt).join(", ")})`;
+  const poly = rings => `(${rings.map(line).join(", ")})`;
+  switch (type) {
+    case "Point": return `POINT (${pt(c)})`;
+    case "MultiPoint": return `MULTIPOINT (${c.map(p => `(${pt(p)})`).join(", ")})`;
+    case "LineString": return `LINESTRING ${line(c)}`;
+    case "MultiLineString": return `MULTILINESTRING (${c.map(line).join(", ")})`;
+    case "Polygon": return `POLYGON ${poly(c)}`;
+    case "MultiPolygon": return `MULTIPOLYGON (${c.map(poly).join(", ")})`;
+    default: return "";
+  }
+}
+
+function buildGeojsonExport(features, fields, name) {
+  return JSON.stringify({
+    type: "FeatureCollection",
+    name,
+    features: features.map(f => {
+      const properties = {};
+      fields.forEach(k => { properties[k] = f.properties?.[k] ?? null; });
+      return { type: "Feature", properties, geometry: f.geometry || null };
+    })
+  });
+}
 
-        svg.appendChild(discText);
+// Lines and polygons get a point on (or inside) the shape in lat/lon mode.
+function buildCsvExport(features, fields, csvGeometry) {
+  const taken = new Set(fields);
+  const geomColumns = csvGeometry === "wkt"
+    ? [uniqueExportColumn("WKT", taken)]
+    : [uniqueExportColumn("latitude", taken), uniqueExportColumn("longitude", taken)];
+  const rows = features.map(f => {
+    const row = fields.map(k => {
+      const value = f.properties?.[k];
+      return typeof value === "number" && Number.isFinite(value) ? value : formatExportValue(value);
+    });
+    if (csvGeometry === "wkt") {
+      row.push(geometryToWkt(f.geometry));
+    } else {
+      const p = f.geometry ? geometryRepresentativePoint(f.geometry) : null;
+      row.push(p ? p[1] : "", p ? p[0] : "");
+    }
+    return row;
+  });
+  // escapeFormulae stops spreadsheets from running text that starts with = + - or @; numbers stay numbers.
+  return window.Papa.unparse({ fields: fields.concat(geomColumns), data: rows }, { escapeFormulae: true });
+}
+
+function buildKmlExport(features, fields, name) {
+  const ns = "http://www.opengis.net/kml/2.2";
+  const doc = document.implementation.createDocument(ns, "kml", null);
+  // XML 1.0 has no escape for most control characters, so they are dropped.
+  const clean = text => String(text).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, "");
+  const el = (tag, parent, text) => {
+    const node = doc.createElementNS(ns, tag);
+    if (text != null) node.textContent = clean(text);
+    parent.appendChild(node);
+    return node;
+  };
+  const coords = list => list.map(p => `${p[0]},${p[1]}`).join(" ");
+  const addGeometry = (geometry, parent) => {
+    const c = geometry?.coordinates;
+    switch (geometry?.type) {
+      case "Point":
+        el("coordinates", el("Point", parent), coords([c]));
+        break;
+      case "LineString":
+        el("coordinates", el("LineString", parent), coords(c));
+        break;
+      case "Polygon": {
+        const polygon = el("Polygon", parent);
+        c.forEach((ring, i) => {
+          const boundary = el(i ? "innerBoundaryIs" : "outerBoundaryIs", polygon);
+          el("coordinates", el("LinearRing", boundary), coords(ring));
+        });
+        break;
       }
+      case "MultiPoint":
+      case "MultiLineString":
+      case "MultiPolygon": {
+        const multi = el("MultiGeometry", parent);
+        const single = geometry.type.slice(5);
+        c.forEach(part => addGeometry({ type: single, coordinates: part }, multi));
+        break;
+      }
+      case "GeometryCollection": {
+        const multi = el("MultiGeometry", parent);
+        (geometry.geometries || []).forEach(g => addGeometry(g, multi));
+        break;
+      }
+    }
+  };
+  const labelField = fields.find(k => /^name$/i.test(k)) || null;
+  const folder = el("Document", doc.documentElement);
+  el("name", folder, name);
+  features.forEach(f => {
+    const placemark = el("Placemark", folder);
+    if (labelField) el("name", placemark, formatExportValue(f.properties?.[labelField]));
+    if (fields.length) {
+      const data = el("ExtendedData", placemark);
+      fields.forEach(k => {
+        const item = el("Data", data);
+        item.setAttribute("name", clean(k));
+        el("value", item, formatExportValue(f.properties?.[k]));
+      });
+    }
+    if (f.geometry) addGeometry(f.geometry, placemark);
+  });
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(doc);
+}
 
-      // north arrow (render from live control position)
-      if (northArrowEl && mapEl) {
-        const naRect = northArrowEl.getBoundingClientRect();
-        const mapRect = mapEl.getBoundingClientRect();
-        const naW = Math.max(1, Math.round(naRect.width * rawScaleX));
-        const naH = Math.max(1, Math.round(naRect.height * rawScaleY));
-        const naX = Math.max(0, Math.round((naRect.left - mapRect.left) * rawScaleX) - cropX - extraTrimX + alignedContentOffsetX);
-        let naY = titleHeightPx + Math.max(0, Math.round((naRect.top - mapRect.top) * rawScaleY) - cropY);
-        const naYMin = titleHeightPx + 2;
-        const naYMax = Math.max(naYMin, (titleHeightPx + usedCanvasHeight - naH - 2));
-        naY = Math.max(naYMin, Math.min(naYMax, naY));
+// Shapefiles hold one kind of shape, so mixed layers are split into one file set per kind.
+const SHAPEFILE_KINDS = {
+  Point: { key: "points", shapeType: 1 },
+  MultiPoint: { key: "multipoints", shapeType: 8 },
+  LineString: { key: "lines", shapeType: 3 },
+  MultiLineString: { key: "lines", shapeType: 3 },
+  Polygon: { key: "polygons", shapeType: 5 },
+  MultiPolygon: { key: "polygons", shapeType: 5 }
+};
 
-        const naBg = document.createElementNS(svgNS, "rect");
-        naBg.setAttribute("x", String(naX));
-        naBg.setAttribute("y", String(naY));
-        naBg.setAttribute("width", String(naW));
-        naBg.setAttribute("height", String(naH));
-        naBg.setAttribute("rx", String(Math.max(2, Math.round(3 * uiScale))));
-        naBg.setAttribute("fill", "#ffffff");
-        naBg.setAttribute("stroke", "#cfd6e4");
-        svg.appendChild(naBg);
+// Parts of one shape record; polygon outer rings run clockwise and holes counter-clockwise.
+function shapefileParts(geometry) {
+  const c = geometry.coordinates;
+  if (!Array.isArray(c) || !c.length) return [];
+  const closed = ring => {
+    const a = ring[0], b = ring[ring.length - 1];
+    return a[0] === b[0] && a[1] === b[1] ? ring : ring.concat([a]);
+  };
+  const oriented = (ring, clockwise) => {
+    const r = closed(ring);
+    return (ringAreaAndCentroid(r).area < 0) === clockwise ? r : r.slice().reverse();
+  };
+  const polygonRings = rings => rings.filter(r => r.length >= 3).map((r, i) => oriented(r, i === 0));
+  switch (geometry.type) {
+    case "Point": return [[c]];
+    case "MultiPoint": return [c];
+    case "LineString": return [c];
+    case "MultiLineString": return c.filter(l => l.length >= 2);
+    case "Polygon": return polygonRings(c);
+    case "MultiPolygon": return c.flatMap(polygonRings);
+    default: return [];
+  }
+}
+
+// .shp and .shx bytes for shapes of one kind; shapes are arrays of parts.
+function buildShpFiles(shapes, shapeType) {
+  const contentLength = parts => {
+    const n = parts.reduce((sum, p) => sum + p.length, 0);
+    if (shapeType === 1) return 20;
+    if (shapeType === 8) return 40 + 16 * n;
+    return 44 + 4 * parts.length + 16 * n;
+  };
+  const shpLength = 100 + shapes.reduce((sum, parts) => sum + 8 + contentLength(parts), 0);
+  const shp = new DataView(new ArrayBuffer(shpLength));
+  const shx = new DataView(new ArrayBuffer(100 + 8 * shapes.length));
+  const all = [Infinity, Infinity, -Infinity, -Infinity];
+  const writeBox = (view, at, box) => box.forEach((v, i) => view.setFloat64(at + 8 * i, Number.isFinite(v) ? v : 0, true));
+  let offset = 100;
+  shapes.forEach((parts, i) => {
+    const length = contentLength(parts);
+    const points = parts.flat();
+    const box = bboxFromCoordinates(points) || [0, 0, 0, 0];
+    all[0] = Math.min(all[0], box[0]); all[1] = Math.min(all[1], box[1]);
+    all[2] = Math.max(all[2], box[2]); all[3] = Math.max(all[3], box[3]);
+    shx.setInt32(100 + 8 * i, offset / 2);
+    shx.setInt32(104 + 8 * i, length / 2);
+    shp.setInt32(offset, i + 1);
+    shp.setInt32(offset + 4, length / 2);
+    let at = offset + 8;
+    shp.setInt32(at, shapeType, true);
+    if (shapeType === 1) {
+      shp.setFloat64(at + 4, points[0][0], true);
+      shp.setFloat64(at + 12, points[0][1], true);
+    } else {
+      writeBox(shp, at + 4, box);
+      at += 36;
+      if (shapeType !== 8) {
+        shp.setInt32(at, parts.length, true);
+        at += 4;
+      }
+      shp.setInt32(at, points.length, true);
+      at += 4;
+      if (shapeType !== 8) {
+        let start = 0;
+        parts.forEach(part => {
+          shp.setInt32(at, start, true);
+          at += 4;
+          start += part.length;
+        });
+      }
+      points.forEach(p => {
+        shp.setFloat64(at, p[0], true);
+        shp.setFloat64(at + 8, p[1], true);
+        at += 16;
+      });
+    }
+    offset += 8 + length;
+  });
+  [[shp, shpLength], [shx, shx.byteLength]].forEach(([view, bytes]) => {
+    view.setInt32(0, 9994);
+    view.setInt32(24, bytes / 2);
+    view.setInt32(28, 1000, true);
+    view.setInt32(32, shapeType, true);
+    writeBox(view, 36, all);
+  });
+  return { shp: new Uint8Array(shp.buffer), shx: new Uint8Array(shx.buffer) };
+}
+
+// dBASE column names: ASCII, at most 10 characters and unique regardless of case.
+function dbfFieldNames(fields) {
+  const taken = new Set();
+  return fields.map(field => {
+    const base = (String(field).replace(/[^A-Za-z0-9_]/g, "_").replace(/^_+/, "") || "FIELD").slice(0, DBF_MAX_NAME);
+    let name = base;
+    for (let i = 1; taken.has(name.toUpperCase()); i++) {
+      const suffix = `_${i}`;
+      name = base.slice(0, DBF_MAX_NAME - suffix.length) + suffix;
+    }
+    taken.add(name.toUpperCase());
+    return name;
+  });
+}
+
+// UTF-8 bytes cut to at most max without splitting a character.
+function utf8Truncate(bytes, max) {
+  if (bytes.length <= max) return bytes;
+  let end = max;
+  while (end > 0 && (bytes[end] & 0xC0) === 0x80) end--;
+  return bytes.subarray(0, end);
+}
+
+// Numbers become N columns when they fit 20 characters without exponents, true/false become
+// L columns and everything else is UTF-8 text (the .cpg tells readers the encoding).
+function buildDbfFile(rows, fields) {
+  const encoder = new TextEncoder();
+  const names = dbfFieldNames(fields);
+  if (fields.length > DBF_MAX_FIELDS) throw new Error(`Shapefiles hold at most ${DBF_MAX_FIELDS} attributes; untick some fields.`);
+  const columns = fields.map((field, f) => {
+    const values = rows.map(r => r[f]);
+    const present = values.filter(v => v != null && v !== "");
+    if (present.length && present.every(v => typeof v === "boolean")) {
+      return { name: names[f], type: "L", length: 1, decimals: 0, cells: values.map(v => v == null ? "?" : v ? "T" : "F") };
+    }
+    if (present.length && present.every(v => typeof v === "number" && Number.isFinite(v) && !/e/i.test(String(v)))) {
+      const decimals = Math.min(15, present.reduce((max, v) => Math.max(max, (String(v).split(".")[1] || "").length), 0));
+      const cells = values.map(v => typeof v === "number" && Number.isFinite(v) ? v.toFixed(decimals) : "");
+      const length = cells.reduce((max, s) => Math.max(max, s.length), 1);
+      if (length <= DBF_MAX_NUMBER) return { name: names[f], type: "N", length, decimals, cells };
+    }
+    const cells = values.map(v => utf8Truncate(encoder.encode(formatExportValue(v)), DBF_MAX_TEXT));
+    return { name: names[f], type: "C", length: cells.reduce((max, b) => Math.max(max, b.length), 1), decimals: 0, cells };
+  });
+  const headerLength = 32 + 32 * columns.length + 1;
+  const recordLength = 1 + columns.reduce((sum, c) => sum + c.length, 0);
+  const bytes = new Uint8Array(headerLength + recordLength * rows.length + 1);
+  const view = new DataView(bytes.buffer);
+  const today = new Date();
+  bytes[0] = 0x03;
+  bytes[1] = today.getFullYear() - 1900;
+  bytes[2] = today.getMonth() + 1;
+  bytes[3] = today.getDate();
+  view.setUint32(4, rows.length, true);
+  view.setUint16(8, headerLength, true);
+  view.setUint16(10, recordLength, true);
+  columns.forEach((c, i) => {
+    const at = 32 + 32 * i;
+    bytes.set(encoder.encode(c.name), at);
+    bytes[at + 11] = c.type.charCodeAt(0);
+    bytes[at + 16] = c.length;
+    bytes[at + 17] = c.decimals;
+  });
+  bytes[headerLength - 1] = 0x0D;
+  bytes.fill(0x20, headerLength, bytes.length - 1);
+  rows.forEach((_, r) => {
+    let at = headerLength + r * recordLength + 1;
+    columns.forEach(c => {
+      const cell = c.cells[r];
+      if (c.type === "C") bytes.set(cell, at);
+      else bytes.set(encoder.encode(cell), at + c.length - cell.length);
+      at += c.length;
+    });
+  });
+  bytes[bytes.length - 1] = 0x1A;
+  return bytes;
+}
+
+// { name, data } entries for a zipped Shapefile; features without a usable shape are counted, not written.
+function buildShapefileEntries(features, fields, baseName) {
+  const groups = new Map();
+  let skipped = 0;
+  features.forEach(f => {
+    const kind = SHAPEFILE_KINDS[f.geometry?.type];
+    const parts = kind ? shapefileParts(f.geometry) : [];
+    if (!parts.length) {
+      skipped++;
+      return;
+    }
+    if (!groups.has(kind.key)) groups.set(kind.key, { shapeType: kind.shapeType, shapes: [], rows: [] });
+    const group = groups.get(kind.key);
+    group.shapes.push(parts);
+    group.rows.push(fields.map(k => f.properties?.[k] ?? null));
+  });
+  // Most readers need at least one attribute column.
+  const dbfFields = fields.length ? fields : ["id"];
+  const encoder = new TextEncoder();
+  const entries = [];
+  groups.forEach((group, key) => {
+    const name = groups.size > 1 ? `${baseName}_${key}` : baseName;
+    const rows = fields.length ? group.rows : group.rows.map((_, i) => [i + 1]);
+    const { shp, shx } = buildShpFiles(group.shapes, group.shapeType);
+    entries.push(
+      { name: `${name}.shp`, data: shp },
+      { name: `${name}.shx`, data: shx },
+      { name: `${name}.dbf`, data: buildDbfFile(rows, dbfFields) },
+      { name: `${name}.prj`, data: encoder.encode(WGS84_PRJ) },
+      { name: `${name}.cpg`, data: encoder.encode("UTF-8") }
+    );
+  });
+  return { entries, skipped };
+}
 
-        const naText = document.createElementNS(svgNS, "text");
-        naText.setAttribute("x", String(naX + Math.round(naW / 2)));
-        naText.setAttribute("y", String(naY + Math.max(10, Math.round(12 * uiScale))));
-        naText.setAttribute("text-anchor", "middle");
-        naText.setAttribute("font-size", String(Math.max(9, Math.round(12 * uiScale))));
-        naText.setAttribute("font-family", "Segoe UI, sans-serif");
-        naText.setAttribute("font-weight", "700");
-        naText.setAttribute("fill", "#1e3a8a");
-        naText.textContent = "N";
-        svg.appendChild(naText);
+let crc32Table = null;
 
-        const triW = Math.max(8, Math.round(12 * uiScale));
-        const triH = Math.max(8, Math.round(12 * uiScale));
-        const triCX = naX + Math.round(naW / 2);
-        const triTop = naY + Math.max(14, Math.round(18 * uiScale));
-        const tri = document.createElementNS(svgNS, "path");
-        tri.setAttribute(
-          "d",
-          `M ${triCX} ${triTop} L ${triCX - Math.round(triW / 2)} ${triTop + triH} L ${triCX + Math.round(triW / 2)} ${triTop + triH} Z`
-        );
-        tri.setAttribute("fill", "#1e3a8a");
-        svg.appendChild(tri);
-      }
+function crc32(bytes) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crc32Table[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
 
-      // scale bar label (render from live control position/text)
-      if (scaleBarEl && mapEl) {
-        const sbRect = scaleBarEl.getBoundingClientRect();
-        const mapRect = mapEl.getBoundingClientRect();
-        const sbW = Math.max(1, Math.round(sbRect.width * rawScaleX));
-        const sbH = Math.max(1, Math.round(sbRect.height * rawScaleY));
-        let sbX = Math.max(0, Math.round((sbRect.left - mapRect.left) * rawScaleX) - cropX - extraTrimX + alignedContentOffsetX);
-        let sbY = titleHeightPx + Math.max(0, Math.round((sbRect.top - mapRect.top) * rawScaleY) - cropY);
-        sbY -= Math.max(2, Math.round(4 * uiScale));
-        const sbTextRaw = scaleBarEl.querySelector('.exact-scale-label')?.textContent || "Scale: --";
-        const sbText = String(sbTextRaw).slice(0, MAX_TEXT_LENGTH);
-        const sbXMin = alignedContentOffsetX;
-        const sbXMax = Math.max(sbXMin, alignedContentOffsetX + usedCanvasWidth - sbW - 2);
-        sbX = Math.max(sbXMin, Math.min(sbXMax, sbX));
-        const sbYMin = titleHeightPx + 2;
-        const sbYMax = Math.max(sbYMin, (titleHeightPx + usedCanvasHeight - sbH - 2));
-        sbY = Math.max(sbYMin, Math.min(sbYMax, sbY));
+// Uncompressed zip of { name, data: Uint8Array } entries; names are stored as UTF-8.
+function buildZipArchive(entries) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  entries.forEach(entry => {
+    const name = encoder.encode(entry.name);
+    const data = entry.data;
+    const crc = crc32(data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    const record = new DataView(new ArrayBuffer(46));
+    record.setUint32(0, 0x02014B50, true);
+    record.setUint16(4, 20, true);
+    record.setUint16(6, 20, true);
+    record.setUint16(8, 0x0800, true);
+    record.setUint16(12, dosTime, true);
+    record.setUint16(14, dosDate, true);
+    record.setUint32(16, crc, true);
+    record.setUint32(20, data.length, true);
+    record.setUint32(24, data.length, true);
+    record.setUint16(28, name.length, true);
+    record.setUint32(42, offset, true);
+    parts.push(local, name, data);
+    central.push(record, name);
+    offset += 30 + name.length + data.length;
+    if (offset > 0xFFFFFFFF) throw new Error("Export is too large for a zip file (4 GB).");
+  });
+  const centralSize = central.reduce((sum, p) => sum + p.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  return new Blob(parts.concat(central, [end]), { type: "application/zip" });
+}
+
+function getDataExportFields() {
+  const dropInternal = document.getElementById("data-export-drop-internal")?.checked;
+  return dataExportState.fields.filter((field, i) => {
+    if (dropInternal && INTERNAL_FIELD_PATTERN.test(field)) return false;
+    return document.getElementById(`data-export-field-${i}`)?.checked;
+  });
+}
 
-        const sbBg = document.createElementNS(svgNS, "rect");
-        sbBg.setAttribute("x", String(sbX));
-        sbBg.setAttribute("y", String(sbY));
-        sbBg.setAttribute("width", String(sbW));
-        sbBg.setAttribute("height", String(sbH));
-        sbBg.setAttribute("rx", String(Math.max(2, Math.round(3 * uiScale))));
-        sbBg.setAttribute("fill", "#ffffff");
-        sbBg.setAttribute("stroke", "#cfd6e4");
-        svg.appendChild(sbBg);
+function updateDataExportControls() {
+  const format = document.getElementById("data-export-format")?.value;
+  const dropInternal = document.getElementById("data-export-drop-internal")?.checked;
+  format === "csv" ? showRow("data-export-csv-geometry-wrap") : hideRow("data-export-csv-geometry-wrap");
+  dataExportState.fields.forEach((field, i) => {
+    const box = document.getElementById(`data-export-field-${i}`);
+    if (box) box.disabled = !!dropInternal && INTERNAL_FIELD_PATTERN.test(field);
+  });
+  const info = document.getElementById("data-export-info");
+  if (info) {
+    const count = dataExportState.features.length;
+    const fields = getDataExportFields().length;
+    const note = format === "shapefile" ? " Field names are cut to 10 characters and text to 254 bytes." : "";
+    info.textContent = `${count.toLocaleString()} feature(s) after filters, ${fields} of ${dataExportState.fields.length} field(s).${note}`;
+  }
+}
 
-        const sbTextEl = document.createElementNS(svgNS, "text");
-        sbTextEl.setAttribute("x", String(sbX + Math.round(sbW / 2)));
-        sbTextEl.setAttribute("y", String(sbY + Math.round(sbH / 2) + Math.round(3 * uiScale)));
-        sbTextEl.setAttribute("text-anchor", "middle");
-        sbTextEl.setAttribute("font-size", String(Math.max(8, Math.round(8 * uiScale))));
-        sbTextEl.setAttribute("font-family", "Segoe UI, sans-serif");
-        sbTextEl.setAttribute("font-weight", "400");
-        sbTextEl.setAttribute("fill", "#102a43");
-        sbTextEl.textContent = sbText;
-        svg.appendChild(sbTextEl);
-      }
+function renderDataExportFields() {
+  const list = document.getElementById("data-export-fields");
+  if (!list) return;
+  list.textContent = "";
+  dataExportState.fields.forEach((field, i) => {
+    const wrap = document.createElement("div");
+    wrap.className = "form-check";
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.className = "form-check-input";
+    box.id = `data-export-field-${i}`;
+    box.checked = true;
+    const label = document.createElement("label");
+    label.className = "form-check-label";
+    label.htmlFor = box.id;
+    label.textContent = field;
+    wrap.append(box, label);
+    list.appendChild(wrap);
+  });
+}
 
-      // legend below map (follow visible layer-list order exactly; first item stays on top)
-      if (legendEl && legendEl.children && legendEl.children.length) {
-        reorderLegendBlocks();
-        const legendGroup = document.createElementNS(svgNS, "g");
-        const legendX = alignedContentOffsetX + marginPx;
-        let yOff = titleHeightPx + usedCanvasHeight + marginPx;
-        const symSize = Math.max(8, Math.round(12 * uiScale));
-        const fontSize = Math.max(10, Math.round(12 * uiScale));
-        const rowGap = Math.max(3, Math.round(5 * uiScale));
-        const blockGap = Math.max(6, Math.round(8 * uiScale));
+function openDataExport() {
+  const modalEl = document.getElementById("dataExportModal");
+  const ModalCtor = window.bootstrap?.Modal;
+  if (!modalEl || !ModalCtor) return;
+  if (!currentLayerName || !geojsonData || !Array.isArray(geojsonData.features) || !geojsonData.features.length) {
+    showPopup("Load a layer to export its data.", "error");
+    return;
+  }
+  dataExportState.features = getFilteredGeojson(geojsonData).features;
+  dataExportState.fields = collectExportFields(dataExportState.features);
+  const settings = loadDataExportSettings();
+  const byId = id => document.getElementById(id);
+  byId("data-export-format").value = settings.format;
+  byId("data-export-csv-geometry").value = settings.csvGeometry;
+  byId("data-export-drop-internal").checked = settings.dropInternal;
+  const layerEl = byId("data-export-layer");
+  if (layerEl) layerEl.textContent = sanitizePlainText(currentLayerName);
+  renderDataExportFields();
+  updateDataExportControls();
+  ModalCtor.getOrCreateInstance(modalEl).show();
+}
+
+async function exportLayerData() {
+  const features = dataExportState.features;
+  if (!features.length) throw new Error("No features pass the current filters.");
+  const format = document.getElementById("data-export-format")?.value;
+  const csvGeometry = document.getElementById("data-export-csv-geometry")?.value;
+  if (!DATA_EXPORT_FORMATS.includes(format) || !DATA_EXPORT_CSV_GEOMETRY.includes(csvGeometry)) {
+    throw new Error("Choose an export format.");
+  }
+  saveDataExportSettings({ format, csvGeometry, dropInternal: !!document.getElementById("data-export-drop-internal")?.checked });
+  const fields = getDataExportFields();
+  const title = sanitizePlainText(currentLayerName, "layer");
+  const baseName = sanitizeName(currentLayerName || "layer");
+
+  if (format === "geojson") {
+    downloadBlob(new Blob([buildGeojsonExport(features, fields, title)], { type: "application/geo+json" }), `${baseName}.geojson`);
+  } else if (format === "csv") {
+    // The byte order mark lets Excel open non-Latin text as UTF-8.
+    downloadBlob(new Blob(["\uFEFF" + buildCsvExport(features, fields, csvGeometry)], { type: "text/csv;charset=utf-8" }), `${baseName}.csv`);
+  } else if (format === "kml") {
+    downloadBlob(new Blob([buildKmlExport(features, fields, title)], { type: "application/vnd.google-earth.kml+xml" }), `${baseName}.kml`);
+  } else {
+    // Shapefile names stay plain ASCII for older GIS software.
+    const shpName = baseName.replace(/[^A-Za-z0-9_-]+/g, "_").replace(/^_+|_+$/g, "") || "layer";
+    const { entries, skipped } = buildShapefileEntries(features, fields, shpName);
+    if (!entries.length) throw new Error("No features have a geometry a Shapefile can hold.");
+    downloadBlob(buildZipArchive(entries), `${shpName}.zip`);
+    if (skipped) showPopup(`${skipped.toLocaleString()} feature(s) without a point, line or polygon shape were left out.`, "error");
+  }
+}
 
-        const orderedVisibleLegendNames = getOrderedLayerNames().filter(name => {
-          const block = document.getElementById('legend-' + sanitizeId(name));
-          if (!block) return false;
-          const group = overlayData[name] && overlayData[name].layerGroup;
-          return !!(group && map && map.hasLayer(group));
-        });
-        const orderedBlocks = orderedVisibleLegendNames
-          .map(name => document.getElementById('legend-' + sanitizeId(name)))
-          .filter(Boolean);
-        const seen = new Set(orderedBlocks.map(b => b.id));
-        const remainingBlocks = Array.from(legendEl.querySelectorAll('.legend-block')).filter(b => !seen.has(b.id));
-        const blocks = orderedBlocks.concat(remainingBlocks);
-        blocks.forEach(block => {
-          const blockHeader = block.querySelector('.legend-header');
-          if (blockHeader) {
-            const h = document.createElementNS(svgNS, "text");
-            h.setAttribute("x", String(legendX));
-            h.setAttribute("y", String(yOff + fontSize));
-            h.setAttribute("font-size", String(fontSize));
-            h.setAttribute("font-weight", "600");
-            h.textContent = safeText(blockHeader) || "Legend";
-            legendGroup.appendChild(h);
-            yOff += Math.round(fontSize + rowGap + 2);
-          }
+(function wireDataExport() {
+  const modalEl = document.getElementById("dataExportModal");
+  if (!modalEl) return;
+  const byId = id => document.getElementById(id);
+  ["data-export-format", "data-export-drop-internal"].forEach(id => {
+    byId(id)?.addEventListener("change", updateDataExportControls);
+  });
+  byId("data-export-fields")?.addEventListener("change", updateDataExportControls);
+  [["btnDataExportAll", true], ["btnDataExportNone", false]].forEach(([id, checked]) => {
+    byId(id)?.addEventListener("click", () => {
+      dataExportState.fields.forEach((_, i) => {
+        const box = byId(`data-export-field-${i}`);
+        if (box && !box.disabled) box.checked = checked;
+      });
+      updateDataExportControls();
+    });
+  });
+  byId("btnDataExportRun")?.addEventListener("click", async () => {
+    showLoading("Exporting data...");
+    await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+    try {
+      await exportLayerData();
+    } catch (err) {
+      console.error("Data export error:", err);
+      showPopup(String(err?.message || "Error exporting data"), "error");
+    } finally {
+      hideLoading();
+    }
+  });
+  modalEl.addEventListener("hidden.bs.modal", () => {
+    dataExportState.features = [];
+  });
+})();
 
-          const rows = Array.from(block.querySelectorAll('.legend-row'));
-          rows.forEach(row => {
-            const symEl = row.querySelector('.legend-sym');
-            const lblEl = row.querySelector('span');
-            const symCs = symEl ? window.getComputedStyle(symEl) : null;
-            const fillColor = (symCs && symCs.backgroundColor && symCs.backgroundColor !== 'rgba(0, 0, 0, 0)')
-              ? symCs.backgroundColor
-              : ((symEl && symEl.style && symEl.style.backgroundColor) || '#ccc');
-            const lineColor = (symCs && symCs.borderTopColor && symCs.borderTopColor !== 'rgba(0, 0, 0, 0)')
-              ? symCs.borderTopColor
-              : fillColor;
+//Atlas Export (one map per value of a field, bundled in a zip)
+// Each page filters the active layer to one value; the classes, colors and legend of the
+// full map are kept, so every page shares one styling.
+const ATLAS_FORMATS = { png: exportMap, pdf: exportPDF, svg: exportSVG };
+const ATLAS_SETTINGS_KEY = "rma-atlas";
+const ATLAS_VALUE_PLACEHOLDER = "{value}";
+// Keeps single points and tiny areas from zooming in to street level.
+const ATLAS_MAX_ZOOM = 12;
+const atlasState = { fields: [], values: [] };
+
+function loadAtlasSettings() {
+  const settings = { formats: ["png"], zoom: true };
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(ATLAS_SETTINGS_KEY) || "{}") || {};
+    if (Array.isArray(saved.formats)) {
+      const formats = saved.formats.filter(f => Object.prototype.hasOwnProperty.call(ATLAS_FORMATS, f));
+      if (formats.length) settings.formats = formats;
+    }
+    if (typeof saved.zoom === "boolean") settings.zoom = saved.zoom;
+  } catch (_) {}
+  return settings;
+}
 
-            if (symEl && symEl.classList.contains('legend-sym-line')) {
-              const line = document.createElementNS(svgNS, "line");
-              line.setAttribute("x1", String(legendX));
-              line.setAttribute("y1", String(yOff + Math.round(symSize / 2)));
-              line.setAttribute("x2", String(legendX + symSize));
-              line.setAttribute("y2", String(yOff + Math.round(symSize / 2)));
-              line.setAttribute("stroke", lineColor);
-              line.setAttribute("stroke-width", String(Math.max(2, Math.round(2 * uiScale))));
-              legendGroup.appendChild(line);
-            } else if (symEl && symEl.classList.contains('legend-sym-point')) {
-              const c = document.createElementNS(svgNS, "circle");
-              c.setAttribute("cx", String(legendX + Math.round(symSize / 2)));
-              c.setAttribute("cy", String(yOff + Math.round(symSize / 2)));
-              c.setAttribute("r", String(Math.max(3, Math.round(symSize / 3))));
-              c.setAttribute("fill", fillColor);
-              c.setAttribute("stroke", "#333");
-              c.setAttribute("stroke-width", "1");
-              legendGroup.appendChild(c);
-            } else {
-              const rect = document.createElementNS(svgNS, "rect");
-              rect.setAttribute("x", String(legendX));
-              rect.setAttribute("y", String(yOff));
-              rect.setAttribute("width", String(symSize));
-              rect.setAttribute("height", String(symSize));
-              rect.setAttribute("fill", fillColor);
-              rect.setAttribute("stroke", "#333");
-              legendGroup.appendChild(rect);
-            }
+function saveAtlasSettings(settings) {
+  try {
+    window.localStorage.setItem(ATLAS_SETTINGS_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn("Could not remember atlas settings:", e);
+  }
+}
 
-            const t = document.createElementNS(svgNS, "text");
-            t.setAttribute("x", String(legendX + symSize + Math.round(6 * uiScale)));
-            t.setAttribute("y", String(yOff + symSize - Math.round(2 * uiScale)));
-            t.setAttribute("font-size", String(fontSize));
-            t.textContent = safeText(lblEl);
-            legendGroup.appendChild(t);
+// Title of one page; a template without the placeholder gets the value appended.
+function atlasPageTitle(template, value) {
+  const text = String(template || "");
+  const title = text.includes(ATLAS_VALUE_PLACEHOLDER)
+    ? text.split(ATLAS_VALUE_PLACEHOLDER).join(value)
+    : `${text} – ${value}`;
+  return sanitizePlainText(title, value);
+}
 
-            yOff += symSize + rowGap;
-          });
+// Zip entry name for a value: no path or reserved characters, unique within the atlas.
+function atlasFileName(value, taken) {
+  const base = String(value).replace(/[\u0000-\u001F\\/:*?"<>|]+/g, "_").replace(/^[\s.]+|[\s.]+$/g, "").slice(0, 80) || "map";
+  let name = base;
+  for (let i = 2; taken.has(name.toLowerCase()); i++) name = `${base} (${i})`;
+  taken.add(name.toLowerCase());
+  return name;
+}
 
-          yOff += blockGap;
-        });
+function renderAtlasValues() {
+  const list = document.getElementById("atlas-values");
+  if (!list) return;
+  const field = atlasState.fields[Number(document.getElementById("atlas-field")?.value)];
+  atlasState.values = field ? uniqueValuesForKey(getFilteredFeatures(geojsonData), field) : [];
+  list.textContent = "";
+  atlasState.values.forEach((value, i) => {
+    const wrap = document.createElement("div");
+    wrap.className = "form-check";
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.className = "form-check-input";
+    box.id = `atlas-value-${i}`;
+    box.checked = true;
+    const label = document.createElement("label");
+    label.className = "form-check-label";
+    label.htmlFor = box.id;
+    label.textContent = value;
+    wrap.append(box, label);
+    list.appendChild(wrap);
+  });
+  updateAtlasInfo();
+}
 
-        svg.appendChild(legendGroup);
-      }
-// serialize and download
-      const serializer = new XMLSerializer();
-      const svgString = serializer.serializeToString(svg);
-      const blob = new Blob([svgString], { type: "image/svg+xml;charset=utf-8" });
-      const url = URL.createObjectURL(blob);
+function getAtlasSelection() {
+  return atlasState.values.filter((_, i) => document.getElementById(`atlas-value-${i}`)?.checked);
+}
+
+function getAtlasFormats() {
+  return Object.keys(ATLAS_FORMATS).filter(f => document.getElementById(`atlas-format-${f}`)?.checked);
+}
 
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = (currentLayerName ? sanitizeName(currentLayerName) : "map") + ".svg";
-      a.rel = "noopener";
-      document.body.appendChild(a);
-      a.click();
+function updateAtlasInfo() {
+  const info = document.getElementById("atlas-info");
+  if (!info) return;
+  const maps = getAtlasSelection().length;
+  const files = maps * getAtlasFormats().length;
+  info.textContent = `${maps.toLocaleString()} of ${atlasState.values.length.toLocaleString()} value(s) selected: ${files.toLocaleString()} file(s) in the zip.`;
+}
 
-      setTimeout(() => {
-        try { URL.revokeObjectURL(url); } catch (e) {}
-        a.remove();
-      }, 1000);
+function openAtlasExport() {
+  const modalEl = document.getElementById("atlasExportModal");
+  const ModalCtor = window.bootstrap?.Modal;
+  if (!modalEl || !ModalCtor) return;
+  if (!currentLayerName || !geojsonData || !Array.isArray(geojsonData.features) || !geojsonData.features.length) {
+    showPopup("Load a layer to export an atlas.", "error");
+    return;
+  }
+  atlasState.fields = collectExportFields(getFilteredFeatures(geojsonData));
+  const fieldSel = document.getElementById("atlas-field");
+  fieldSel.textContent = "";
+  atlasState.fields.forEach((field, i) => {
+    const o = document.createElement("option");
+    o.value = String(i);
+    o.textContent = field;
+    fieldSel.appendChild(o);
+  });
+  const preferred = atlasState.fields.indexOf(activeCountryField);
+  fieldSel.value = String(Math.max(0, preferred));
 
-      hideLoading();
-    } catch (ex) {
-      console.error("SVG export failed:", ex);
-      showPopup("SVG export failed. Falling back to PNG.", "error");
-      hideLoading();
-      exportMap();
+  const settings = loadAtlasSettings();
+  Object.keys(ATLAS_FORMATS).forEach(f => {
+    const box = document.getElementById(`atlas-format-${f}`);
+    if (box) box.checked = settings.formats.includes(f);
+  });
+  document.getElementById("atlas-zoom").checked = settings.zoom;
+  const title = sanitizePlainText(document.getElementById("map-title")?.textContent, "");
+  document.getElementById("atlas-title").value = title ? `${title} – ${ATLAS_VALUE_PLACEHOLDER}` : ATLAS_VALUE_PLACEHOLDER;
+  renderAtlasValues();
+  ModalCtor.getOrCreateInstance(modalEl).show();
+}
+
+// Redraws the active layer with the current filters (including the atlas value) and the
+// style functions of the full map, without classifying again.
+function drawAtlasPage(options) {
+  layerGroup.clearLayers();
+  geojsonLayer = L.geoJSON(getFilteredGeojson(geojsonData), options).addTo(layerGroup);
+  applyLayerStackOrder();
+}
+
+async function runAtlasExport() {
+  const field = atlasState.fields[Number(document.getElementById("atlas-field")?.value)];
+  const values = getAtlasSelection();
+  const formats = getAtlasFormats();
+  const zoom = !!document.getElementById("atlas-zoom")?.checked;
+  const template = document.getElementById("atlas-title")?.value || "";
+  if (!field || !values.length) throw new Error("Choose a field and at least one value.");
+  if (!formats.length) throw new Error("Choose at least one output format.");
+  if (!geojsonLayer || !layerGroup || !map.hasLayer(layerGroup)) throw new Error("Show the active layer on the map first.");
+  saveAtlasSettings({ formats, zoom });
+
+  const titleEl = document.getElementById("map-title");
+  const saved = { title: titleEl?.textContent, center: map.getCenter(), zoom: map.getZoom() };
+  const { style, pointToLayer, onEachFeature } = geojsonLayer.options || {};
+  const pageOptions = { interactive: true, bubblingMouseEvents: false, style, pointToLayer, onEachFeature };
+  const entries = [];
+  const failed = [];
+  const taken = new Set();
+  try {
+    for (let i = 0; i < values.length; i++) {
+      const value = values[i];
+      atlasPageFilter = { field, value };
+      drawAtlasPage(pageOptions);
+      if (zoom) fitToLayerExtent(geojsonLayer, { maxZoom: ATLAS_MAX_ZOOM, keepHomeWhenAfricaLike: false });
+      if (titleEl) titleEl.textContent = atlasPageTitle(template, value);
+      const name = atlasFileName(value, taken);
+      for (const format of formats) {
+        loadingContext = `Atlas ${i + 1} of ${values.length}: ${value}`;
+        showLoading(`Exporting map as ${format.toUpperCase()}...`);
+        await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+        let output = null;
+        const ok = await ATLAS_FORMATS[format]((blob, filename) => { output = { blob, filename }; });
+        if (!ok || !output) {
+          failed.push(`${value} (${format.toUpperCase()})`);
+          continue;
+        }
+        // Fallbacks (SVG to PNG, vector to image PDF) keep the extension they were saved with.
+        const ext = String(output.filename).split(".").pop();
+        const entryName = entries.some(e => e.name === `${name}.${ext}`) ? `${name}-${format}.${ext}` : `${name}.${ext}`;
+        entries.push({ name: entryName, data: new Uint8Array(await output.blob.arrayBuffer()) });
+      }
+    }
+  } finally {
+    atlasPageFilter = null;
+    loadingContext = "";
+    hideLoading();
+    if (titleEl) titleEl.textContent = saved.title;
+    if (currentAttribute) applyClassification();
+    else renderDefaultFilteredLayer();
+    applyLayerStackOrder();
+    map.setView(saved.center, saved.zoom, { animate: false });
+  }
+  if (!entries.length) throw new Error("No maps could be exported.");
+  downloadBlob(buildZipArchive(entries), `${sanitizeName(currentLayerName || "layer")}-atlas.zip`);
+  return { files: entries.length, failed };
+}
+
+(function wireAtlasExport() {
+  const modalEl = document.getElementById("atlasExportModal");
+  if (!modalEl) return;
+  const byId = id => document.getElementById(id);
+  byId("atlas-field")?.addEventListener("change", renderAtlasValues);
+  byId("atlas-values")?.addEventListener("change", updateAtlasInfo);
+  Object.keys(ATLAS_FORMATS).forEach(f => byId(`atlas-format-${f}`)?.addEventListener("change", updateAtlasInfo));
+  [["btnAtlasAll", true], ["btnAtlasNone", false]].forEach(([id, checked]) => {
+    byId(id)?.addEventListener("click", () => {
+      atlasState.values.forEach((_, i) => {
+        const box = byId(`atlas-value-${i}`);
+        if (box) box.checked = checked;
+      });
+      updateAtlasInfo();
+    });
+  });
+  byId("btnAtlasRun")?.addEventListener("click", async () => {
+    window.bootstrap?.Modal?.getInstance(modalEl)?.hide();
+    try {
+      const { files, failed } = await runAtlasExport();
+      if (failed.length) {
+        showPopup(`Atlas saved with ${files.toLocaleString()} file(s). Failed: ${failed.slice(0, 5).join(", ")}${failed.length > 5 ? "..." : ""}`, "error");
+      } else {
+        showPopup(`Atlas saved with ${files.toLocaleString()} file(s).`, "success");
+      }
+    } catch (err) {
+      console.error("Atlas export error:", err);
+      showPopup(String(err?.message || "Error exporting atlas"), "error");
     }
   });
+})();
+
+//Georeferenced Raster Export (map image with its extent, for GIS software)
+// ESRI form of EPSG:3857; QGIS and ArcGIS both recognise it.
+const WEB_MERCATOR_PRJ = 'PROJCS["WGS_1984_Web_Mercator_Auxiliary_Sphere",GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]],PROJECTION["Mercator_Auxiliary_Sphere"],PARAMETER["False_Easting",0.0],PARAMETER["False_Northing",0.0],PARAMETER["Central_Meridian",0.0],PARAMETER["Standard_Parallel_1",0.0],PARAMETER["Auxiliary_Sphere_Type",0.0],UNIT["Meter",1.0]]';
+const GEORASTER_FORMATS = new Set(["worldfile", "geotiff"]);
+
+// The map image (base map and visible layers, no title or legend) and the EPSG:3857 extent
+// of map.getBounds(), which covers the map container the image was taken from.
+function captureGeoreferencedMap() {
+  const bounds = map.getBounds();
+  const nw = L.CRS.EPSG3857.project(bounds.getNorthWest());
+  const se = L.CRS.EPSG3857.project(bounds.getSouthEast());
+  const extent = { minX: nw.x, minY: se.y, maxX: se.x, maxY: nw.y };
+  return new Promise((resolve, reject) => {
+    captureMapImage((err, mapCanvas) => {
+      if (err || !mapCanvas) {
+        reject(err || new Error("Map canvas unavailable"));
+        return;
+      }
+      resolve({ canvas: alignCapturedMapCanvas(mapCanvas, document.getElementById("map")), extent });
+    });
+  });
 }
 
+// Six-line world file: pixel size, two rotation terms and the centre of the top-left pixel.
+function buildWorldFile(extent, width, height) {
+  const sx = (extent.maxX - extent.minX) / width;
+  const sy = (extent.maxY - extent.minY) / height;
+  return [sx, 0, 0, -sy, extent.minX + sx / 2, extent.maxY - sy / 2].map(v => v.toFixed(10)).join("\n") + "\n";
+}
 
-//end of export SVG
+// Uncompressed RGBA GeoTIFF in one strip, tagged EPSG:3857 with the extent's corners.
+function buildGeoTiff(imageData, extent) {
+  const { width, height, data } = imageData;
+  const geoKeys = [
+    1, 1, 0, 4,
+    1024, 0, 1, 1, // GTModelTypeGeoKey: projected
+    1025, 0, 1, 1, // GTRasterTypeGeoKey: pixel is area
+    3072, 0, 1, 3857, // ProjectedCSTypeGeoKey
+    3076, 0, 1, 9001 // ProjLinearUnitsGeoKey: metre
+  ];
+  // Field types: 3 SHORT, 4 LONG, 12 DOUBLE. Tags must stay in ascending order.
+  const typeSize = { 3: 2, 4: 4, 12: 8 };
+  const tags = [
+    [256, 4, [width]],
+    [257, 4, [height]],
+    [258, 3, [8, 8, 8, 8]],
+    [259, 3, [1]],
+    [262, 3, [2]],
+    [273, 4, [0]],
+    [277, 3, [4]],
+    [278, 4, [height]],
+    [279, 4, [data.length]],
+    [284, 3, [1]],
+    [338, 3, [2]],
+    [33550, 12, [(extent.maxX - extent.minX) / width, (extent.maxY - extent.minY) / height, 0]],
+    [33922, 12, [0, 0, 0, extent.minX, extent.maxY, 0]],
+    [34735, 3, geoKeys]
+  ];
+  // Values longer than four bytes go after the directory; the pixels follow them.
+  let offset = 8 + 2 + tags.length * 12 + 4;
+  const fields = tags.map(([tag, type, values]) => {
+    const bytes = typeSize[type] * values.length;
+    const field = { tag, type, values, at: bytes > 4 ? offset : null };
+    if (bytes > 4) offset += bytes + (bytes % 2);
+    return field;
+  });
+  fields.find(f => f.tag === 273).values = [offset];
+  const buffer = new ArrayBuffer(offset + data.length);
+  const view = new DataView(buffer);
+  view.setUint16(0, 0x4949);
+  view.setUint16(2, 42, true);
+  view.setUint32(4, 8, true);
+  view.setUint16(8, fields.length, true);
+  fields.forEach((f, i) => {
+    const entry = 10 + i * 12;
+    view.setUint16(entry, f.tag, true);
+    view.setUint16(entry + 2, f.type, true);
+    view.setUint32(entry + 4, f.values.length, true);
+    if (f.at != null) view.setUint32(entry + 8, f.at, true);
+    const start = f.at != null ? f.at : entry + 8;
+    f.values.forEach((v, k) => {
+      const at = start + k * typeSize[f.type];
+      if (f.type === 3) view.setUint16(at, v, true);
+      else if (f.type === 4) view.setUint32(at, v, true);
+      else view.setFloat64(at, v, true);
+    });
+  });
+  new Uint8Array(buffer, offset).set(data);
+  return new Blob([buffer], { type: "image/tiff" });
+}
+
+async function exportGeoreferencedRaster(format) {
+  if (!GEORASTER_FORMATS.has(format)) return;
+  showLoading(format === "geotiff" ? "Exporting map as GeoTIFF..." : "Exporting georeferenced PNG...");
+  await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+  try {
+    const { canvas, extent } = await captureGeoreferencedMap();
+    const baseName = currentLayerName ? sanitizeName(currentLayerName) : "map";
+    let pixels = null;
+    let png = null;
+    try {
+      if (format === "geotiff") pixels = canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height);
+      else png = await canvasToBlob(canvas, "image/png");
+    } catch (e) {
+      console.warn("Map canvas could not be read (tainted?):", e);
+      throw new Error("Export blocked by cross-origin tiles. Enable CORS on the tile server.");
+    }
+    if (pixels) {
+      downloadBlob(buildGeoTiff(pixels, extent), `${baseName}.tif`);
+    } else {
+      // One zip, since browsers may block several downloads from one click.
+      const encoder = new TextEncoder();
+      downloadBlob(buildZipArchive([
+        { name: `${baseName}.png`, data: new Uint8Array(await png.arrayBuffer()) },
+        { name: `${baseName}.pgw`, data: encoder.encode(buildWorldFile(extent, canvas.width, canvas.height)) },
+        { name: `${baseName}.prj`, data: encoder.encode(WEB_MERCATOR_PRJ) }
+      ]), `${baseName}-georeferenced.zip`);
+    }
+  } catch (err) {
+    console.error("Georeferenced export failed:", err);
+    showPopup(String(err?.message || "Georeferenced export failed"), "error");
+  } finally {
+    hideLoading();
+  }
+}
 
 //Small Helpers (color palette) and DOMContentLoaded UI wiring
 // --- Simple color palette generator (used when categorical) ---
 function generateColorPalette(n) {
   const base = ["#1f77b4","#ff7f0e","#2ca02c","#d62728","#9467bd","#8c564b","#e377c2","#7f7f7f","#bcbd22","#17becf"];
   if (n <= base.length) return base.slice(0, n);
-  const out = [];
-  for (let i = 0; i < n; i++) out.push(base[i % base.length]);
-  return out;
+  // Past ten categories, add generated hues instead of repeating colors.
+  return extendDistinctColors(base, n);
 }
 
 // --- DOMContentLoaded: small UI wiring for file/url preview and errors ---
@@ -6156,6 +12261,7 @@ document.addEventListener("DOMContentLoaded", () => {
     });
     mapTitle.addEventListener("blur", () => {
       mapTitle.textContent = sanitizePlainText(mapTitle.textContent, "Custom Map Title");
+      scheduleSessionAutosave();
     });
   }
 
@@ -6169,12 +12275,29 @@ document.addEventListener("DOMContentLoaded", () => {
   const btnExportSVG = document.getElementById('btnExportSVG');
   if (btnExportSVG) btnExportSVG.addEventListener('click', () => { try { exportSVG(); } catch(e){console.error(e);} });
 
+  const btnExportLayout = document.getElementById('btnExportLayout');
+  if (btnExportLayout) btnExportLayout.addEventListener('click', () => { try { openLayoutComposer(); } catch(e){console.error(e);} });
+
+  const btnExportData = document.getElementById('btnExportData');
+  if (btnExportData) btnExportData.addEventListener('click', () => { try { openDataExport(); } catch(e){console.error(e);} });
+
+  const btnExportAtlas = document.getElementById('btnExportAtlas');
+  if (btnExportAtlas) btnExportAtlas.addEventListener('click', () => { try { openAtlasExport(); } catch(e){console.error(e);} });
+
+  const btnExportWorldPng = document.getElementById('btnExportWorldPng');
+  if (btnExportWorldPng) btnExportWorldPng.addEventListener('click', () => { try { exportGeoreferencedRaster("worldfile"); } catch(e){console.error(e);} });
+
+  const btnExportGeoTiff = document.getElementById('btnExportGeoTiff');
+  if (btnExportGeoTiff) btnExportGeoTiff.addEventListener('click', () => { try { exportGeoreferencedRaster("geotiff"); } catch(e){console.error(e);} });
+
   const btnToggle = document.getElementById('btnToggleClassTable');
   if (btnToggle) btnToggle.addEventListener('click', () => { try { toggleClassTable(); } catch(e){console.error(e);} });
 
   if (!fileInput || !fileNameDisplay || !addButton || !urlInput) {
     console.warn("Some expected import UI elements are missing.");
   }
+
+  offerSessionRestore();
 });
 
 
@@ -0,0 +1,2154 @@
+// --- Import core: readers, limits and checks shared by the page and import-worker.js ---
+// Loaded before app.js and by the import worker (importScripts), so nothing here may touch the DOM
+// when the file loads. The KML/GPX readers use DOMParser when called and therefore run in the page only.
+
+const MAX_SIZE = 1024 * 1024 * 1024; // 1 GB limit used in handlers
+const MAX_FEATURES = 1000000;// adjust to device expectations
+const MAX_VERTICES = 10000000; // total coordinate points across all features
+const MAX_ZIP_ENTRIES = 50;
+const MAX_ZIP_UNCOMPRESSED_BYTES = 1024 * 1024 * 1024; // 1 GB expanded cap
+const MAX_ZIP_EXPANSION_RATIO = 100; // expanded/compressed ratio
+const ALLOWED_SHAPEFILE_ZIP_EXTENSIONS = new Set([
+  ".shp",
+  ".shx",
+  ".dbf",
+  ".prj",
+  ".cpg",
+  ".sbn",
+  ".sbx",
+  ".qix",
+  ".aih",
+  ".ain",
+  ".atx",
+  ".xml"
+]);
+const SHAPEFILE_ZIP_RULES = {
+  allowedExtensions: ALLOWED_SHAPEFILE_ZIP_EXTENSIONS,
+  requiredExtension: ".shp",
+  archiveLabel: "ZIP",
+  contentLabel: "shapefile components"
+};
+// KMZ = zipped KML plus the icons/overlays it references.
+const KMZ_ZIP_RULES = {
+  allowedExtensions: new Set([".kml", ".png", ".jpg", ".jpeg", ".gif", ".bmp", ".svg", ".dae"]),
+  requiredExtension: ".kml",
+  archiveLabel: "KMZ",
+  contentLabel: "KML and image files"
+};
+const MAX_GEOPACKAGE_BYTES = 512 * 1024 * 1024; // read fully into WASM memory
+
+function sanitizePlainText(value, fallback = "") {
+  const clean = String(value || "")
+    .replace(/[\r\n\t]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  return clean || fallback;
+}
+
+function stripKnownDataExtension(name) {
+  return String(name || "").replace(/\.(geojson|zip|csv|kml|kmz|gpx|gpkg)$/i, "");
+}
+
+function getDataExtension(nameOrPath) {
+  const raw = String(nameOrPath || "").split(/[?#]/)[0];
+  const lastSlash = raw.lastIndexOf("/");
+  const segment = lastSlash >= 0 ? raw.slice(lastSlash + 1) : raw;
+  const dot = segment.lastIndexOf(".");
+  if (dot <= 0 || dot === segment.length - 1) return "";
+  return segment.slice(dot).toLowerCase();
+}
+
+function countVerticesInCoordinates(coords) {
+  let total = 0;
+  const walk = (node) => {
+    if (!Array.isArray(node)) return;
+    if (typeof node[0] === "number" && typeof node[1] === "number") {
+      total++;
+      return;
+    }
+    node.forEach(walk);
+  };
+  walk(coords);
+  return total;
+}
+
+function countVerticesInGeometry(geom) {
+  if (!geom || !geom.type) return 0;
+  if (geom.type === "Point") return 1;
+  if (geom.type === "GeometryCollection") {
+    return (Array.isArray(geom.geometries) ? geom.geometries : []).reduce((sum, g) => sum + countVerticesInGeometry(g), 0);
+  }
+  return countVerticesInCoordinates(geom.coordinates);
+}
+
+function countVerticesInFeature(feature) {
+  return countVerticesInGeometry(feature && feature.geometry);
+}
+
+function datasetBudgetStats(geojson) {
+  const features = Array.isArray(geojson?.features) ? geojson.features : [];
+  const featureCount = features.length;
+  let vertexCount = 0;
+  for (let i = 0; i < features.length; i++) {
+    vertexCount += countVerticesInFeature(features[i]);
+  }
+  return { featureCount, vertexCount };
+}
+
+function assertDatasetWithinLimits(geojson, sourceLabel = "dataset") {
+  const stats = datasetBudgetStats(geojson);
+  if (stats.featureCount > MAX_FEATURES) {
+    throw new Error(`${sourceLabel} has too many features (${stats.featureCount}).`);
+  }
+  if (stats.vertexCount > MAX_VERTICES) {
+    throw new Error(`${sourceLabel} is too complex (${stats.vertexCount} vertices).`);
+  }
+  return stats;
+}
+
+// --- ZIP inspection ---
+function getUint16LE(view, offset) {
+  if (offset + 2 > view.byteLength) return null;
+  return view.getUint16(offset, true);
+}
+
+function getUint32LE(view, offset) {
+  if (offset + 4 > view.byteLength) return null;
+  return view.getUint32(offset, true);
+}
+
+function decodeZipEntryName(view, startOffset, byteLen) {
+  if (!byteLen || startOffset + byteLen > view.byteLength) return "";
+  const bytes = new Uint8Array(view.buffer, view.byteOffset + startOffset, byteLen);
+  try {
+    return new TextDecoder("utf-8").decode(bytes);
+  } catch (e) {
+    let fallback = "";
+    for (let i = 0; i < bytes.length; i++) {
+      fallback += String.fromCharCode(bytes[i]);
+    }
+    return fallback;
+  }
+}
+
+function assertZipEntryAllowed(rawEntryName, rules = SHAPEFILE_ZIP_RULES) {
+  const entryName = String(rawEntryName || "").replace(/\\/g, "/").trim();
+  if (!entryName || entryName.endsWith("/")) return;
+  if (entryName.startsWith("/") || entryName.includes("../") || entryName.includes("..\\")) {
+    throw new Error(`${rules.archiveLabel} contains an unsafe file path.`);
+  }
+
+  const lowerName = entryName.toLowerCase();
+  const dotIndex = lowerName.lastIndexOf(".");
+  const ext = dotIndex >= 0 ? lowerName.slice(dotIndex) : "";
+  if (!rules.allowedExtensions.has(ext)) {
+    throw new Error(`${rules.archiveLabel} uploads must contain only ${rules.contentLabel}.`);
+  }
+}
+
+// Validates the central directory and returns its entries (name, method, sizes, local header offset).
+function inspectZipSafety(arrayBuffer, compressedSizeBytes, rules = SHAPEFILE_ZIP_RULES) {
+  const view = new DataView(arrayBuffer);
+  const EOCD_SIGNATURE = 0x06054b50;
+  const CD_SIGNATURE = 0x02014b50;
+  const maxCommentLen = 0xffff;
+  const minEocd = 22;
+  if (view.byteLength < minEocd) {
+    throw new Error("ZIP file is too small or invalid.");
+  }
+
+  let eocdOffset = -1;
+  const start = Math.max(0, view.byteLength - minEocd - maxCommentLen);
+  for (let i = view.byteLength - minEocd; i >= start; i--) {
+    if (getUint32LE(view, i) === EOCD_SIGNATURE) {
+      eocdOffset = i;
+      break;
+    }
+  }
+  if (eocdOffset < 0) {
+    throw new Error("ZIP central directory not found.");
+  }
+
+  const totalEntries = getUint16LE(view, eocdOffset + 10);
+  const cdSize = getUint32LE(view, eocdOffset + 12);
+  const cdOffset = getUint32LE(view, eocdOffset + 16);
+  if (totalEntries === null || cdSize === null || cdOffset === null) {
+    throw new Error("ZIP metadata is incomplete.");
+  }
+  if (totalEntries === 0xffff || cdSize === 0xffffffff || cdOffset === 0xffffffff) {
+    throw new Error("ZIP64 archives are not supported for security reasons.");
+  }
+  if (totalEntries > MAX_ZIP_ENTRIES) {
+    throw new Error(`ZIP has too many entries (${totalEntries}; max ${MAX_ZIP_ENTRIES}).`);
+  }
+  if (cdOffset + cdSize > view.byteLength) {
+    throw new Error("ZIP central directory exceeds file bounds.");
+  }
+
+  let cursor = cdOffset;
+  let parsedEntries = 0;
+  let totalUncompressed = 0;
+  let hasRequiredFile = false;
+  const entries = [];
+  while (parsedEntries < totalEntries) {
+    if (cursor + 46 > view.byteLength) {
+      throw new Error("ZIP central directory entry is truncated.");
+    }
+    const sig = getUint32LE(view, cursor);
+    if (sig !== CD_SIGNATURE) {
+      throw new Error("Invalid ZIP central directory entry signature.");
+    }
+    const flags = getUint16LE(view, cursor + 8);
+    const method = getUint16LE(view, cursor + 10);
+    const compressedSize = getUint32LE(view, cursor + 20);
+    const uncompressedSize = getUint32LE(view, cursor + 24);
+    const fileNameLen = getUint16LE(view, cursor + 28);
+    const extraLen = getUint16LE(view, cursor + 30);
+    const commentLen = getUint16LE(view, cursor + 32);
+    const localHeaderOffset = getUint32LE(view, cursor + 42);
+    const fileNameOffset = cursor + 46;
+    if (uncompressedSize === null || fileNameLen === null || extraLen === null || commentLen === null || localHeaderOffset === null) {
+      throw new Error("ZIP entry metadata is incomplete.");
+    }
+    if (flags & 0x1) {
+      throw new Error("Encrypted ZIP entries are not supported.");
+    }
+    if (uncompressedSize === 0xffffffff) {
+      throw new Error("ZIP64 entry sizes are not supported for security reasons.");
+    }
+    totalUncompressed += uncompressedSize;
+    if (totalUncompressed > MAX_ZIP_UNCOMPRESSED_BYTES) {
+      const maxMb = Math.round(MAX_ZIP_UNCOMPRESSED_BYTES / (1024 * 1024));
+      throw new Error(`ZIP expands too large (max ${maxMb} MB).`);
+    }
+    const nextCursor = cursor + 46 + fileNameLen + extraLen + commentLen;
+    if (nextCursor > view.byteLength) {
+      throw new Error("ZIP central directory entry exceeds file bounds.");
+    }
+    const entryName = decodeZipEntryName(view, fileNameOffset, fileNameLen);
+    assertZipEntryAllowed(entryName, rules);
+    if (entryName.toLowerCase().endsWith(rules.requiredExtension)) {
+      hasRequiredFile = true;
+    }
+    entries.push({ name: entryName, method, compressedSize, uncompressedSize, localHeaderOffset });
+    cursor = nextCursor;
+    parsedEntries++;
+  }
+
+  if (!hasRequiredFile) {
+    throw new Error(`${rules.archiveLabel} must include a ${rules.requiredExtension} file.`);
+  }
+
+  const compressed = Math.max(1, Number(compressedSizeBytes) || 1);
+  const expansionRatio = totalUncompressed / compressed;
+  if (expansionRatio > MAX_ZIP_EXPANSION_RATIO) {
+    throw new Error(`ZIP expansion ratio is too high (${expansionRatio.toFixed(1)}x).`);
+  }
+  return entries;
+}
+
+function assertCsvPayloadLooksSafe(csvText, sourceLabel = "CSV", { requireCoordinates = true, delimiter = "" } = {}) {
+  const raw = String(csvText || "").trim();
+  if (!raw) {
+    throw new Error(`${sourceLabel} payload is empty.`);
+  }
+
+  const lower = raw.toLowerCase();
+  if (lower.startsWith("{") || lower.startsWith("[") || lower.startsWith("<html") || lower.startsWith("<!doctype")) {
+    throw new Error(`${sourceLabel} payload does not look like CSV.`);
+  }
+
+  const firstLine = String(raw.split(/\r?\n/, 1)[0] || "");
+  if (delimiter ? !firstLine.includes(delimiter) : !/,|;|\t|\|/.test(firstLine)) {
+    throw new Error(`${sourceLabel} header must include a comma, semicolon, tab, or pipe delimiter.`);
+  }
+
+  // Use Papa preview for lightweight structural validation before full parse.
+  const preview = window.Papa.parse(raw, {
+    header: false,
+    skipEmptyLines: "greedy",
+    delimiter,
+    preview: 1
+  });
+  if (Array.isArray(preview.errors) && preview.errors.length) {
+    const firstErr = preview.errors[0];
+    throw new Error(`${sourceLabel} parse error near row ${firstErr.row ?? "?"}.`);
+  }
+
+  const headerRow = Array.isArray(preview.data) ? preview.data[0] : null;
+  const headerCells = Array.isArray(headerRow)
+    ? headerRow.map(v => String(v == null ? "" : v).trim())
+    : [];
+  if (headerCells.length < 2) {
+    throw new Error(`${sourceLabel} must contain at least 2 columns.`);
+  }
+  if (headerCells.length > 1000) {
+    throw new Error(`${sourceLabel} has too many columns (${headerCells.length}; max 1000).`);
+  }
+
+  if (!requireCoordinates) return;
+  const hasLatField = headerCells.some(v => /(latitude|lat)\b/i.test(v));
+  const hasLonField = headerCells.some(v => /(longitude|lon|lng|long)\b/i.test(v));
+  if (!hasLatField || !hasLonField) {
+    throw new Error(`${sourceLabel} must have latitude/longitude columns.`);
+  }
+}
+
+// --- Country tagging (point in boundary polygon) ---
+function getFeatureSampleCoord(feature) {
+  const g = feature?.geometry;
+  if (!g || !g.type || !g.coordinates) return null;
+  if (g.type === "Point") return g.coordinates;
+  if (g.type === "MultiPoint" && g.coordinates[0]) return g.coordinates[0];
+  if (g.type === "LineString" && g.coordinates[0]) return g.coordinates[0];
+  if (g.type === "MultiLineString" && g.coordinates[0] && g.coordinates[0][0]) return g.coordinates[0][0];
+  if (g.type === "Polygon" && g.coordinates[0] && g.coordinates[0][0]) return g.coordinates[0][0];
+  if (g.type === "MultiPolygon" && g.coordinates[0] && g.coordinates[0][0] && g.coordinates[0][0][0]) return g.coordinates[0][0][0];
+  return null;
+}
+
+function bboxFromCoordinates(coords) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  const walk = (c) => {
+    if (!Array.isArray(c)) return;
+    if (typeof c[0] === "number" && typeof c[1] === "number") {
+      const x = Number(c[0]);
+      const y = Number(c[1]);
+      if (x < minX) minX = x;
+      if (y < minY) minY = y;
+      if (x > maxX) maxX = x;
+      if (y > maxY) maxY = y;
+      return;
+    }
+    c.forEach(walk);
+  };
+  walk(coords);
+  if (!isFinite(minX) || !isFinite(minY) || !isFinite(maxX) || !isFinite(maxY)) return null;
+  return [minX, minY, maxX, maxY];
+}
+
+function pointInRing(point, ring) {
+  const x = point[0];
+  const y = point[1];
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const xi = ring[i][0], yi = ring[i][1];
+    const xj = ring[j][0], yj = ring[j][1];
+    const intersect = ((yi > y) !== (yj > y)) &&
+      (x < ((xj - xi) * (y - yi)) / ((yj - yi) || 1e-12) + xi);
+    if (intersect) inside = !inside;
+  }
+  return inside;
+}
+
+function pointInPolygonCoordinates(point, polygonCoords) {
+  if (!Array.isArray(polygonCoords) || !polygonCoords.length) return false;
+  if (!pointInRing(point, polygonCoords[0])) return false;
+  for (let i = 1; i < polygonCoords.length; i++) {
+    if (pointInRing(point, polygonCoords[i])) return false;
+  }
+  return true;
+}
+
+function pointInGeometry(point, geom) {
+  if (!geom || !geom.type || !geom.coordinates) return false;
+  if (geom.type === "Polygon") return pointInPolygonCoordinates(point, geom.coordinates);
+  if (geom.type === "MultiPolygon") {
+    return geom.coordinates.some(poly => pointInPolygonCoordinates(point, poly));
+  }
+  return false;
+}
+
+// --- Country lookup grid ---
+// Each grid cell lists the boundaries whose edges cross it and the boundary covering the rest of it, so most
+// points resolve without a point-in-polygon test and the others test only the few polygons nearby.
+const COUNTRY_GRID_CELL_DEGREES = 1;
+const COUNTRY_TAG_MODES = new Set(["vertex", "centroid", "overlap"]);
+const COUNTRY_OVERLAP_SAMPLES = 12; // sample points per side of a polygon's bbox (lines get 4x this along their length)
+const countryGridCache = new WeakMap();
+
+function countryGridKey(ix, iy) {
+  return (ix + 2048) * 4096 + (iy + 2048);
+}
+
+function buildCountryGrid(boundaryIndex, cellSize = COUNTRY_GRID_CELL_DEGREES) {
+  const cells = new Map();
+  const cellAt = key => {
+    let cell = cells.get(key);
+    if (!cell) {
+      cell = { inside: -1, edges: [] };
+      cells.set(key, cell);
+    }
+    return cell;
+  };
+  boundaryIndex.forEach((entry, idx) => {
+    // Cells around each edge's bbox; a few extra cells only cost a point-in-polygon test later.
+    const touched = new Set();
+    geometryPolygonRings(entry.geometry).forEach(ring => {
+      for (let i = 1; i < ring.length; i++) {
+        const x0 = Math.floor(Math.min(ring[i - 1][0], ring[i][0]) / cellSize);
+        const x1 = Math.floor(Math.max(ring[i - 1][0], ring[i][0]) / cellSize);
+        const y0 = Math.floor(Math.min(ring[i - 1][1], ring[i][1]) / cellSize);
+        const y1 = Math.floor(Math.max(ring[i - 1][1], ring[i][1]) / cellSize);
+        for (let ix = x0; ix <= x1; ix++) {
+          for (let iy = y0; iy <= y1; iy++) touched.add(countryGridKey(ix, iy));
+        }
+      }
+    });
+    touched.forEach(key => cellAt(key).edges.push(idx));
+
+    // Untouched cells are wholly inside or outside, and stay so along a row until the next edge cell.
+    const [minX, minY, maxX, maxY] = entry.bbox;
+    for (let iy = Math.floor(minY / cellSize); iy <= Math.floor(maxY / cellSize); iy++) {
+      let inside = null;
+      for (let ix = Math.floor(minX / cellSize); ix <= Math.floor(maxX / cellSize); ix++) {
+        const key = countryGridKey(ix, iy);
+        if (touched.has(key)) {
+          inside = null;
+          continue;
+        }
+        if (inside === null) inside = pointInGeometry([(ix + 0.5) * cellSize, (iy + 0.5) * cellSize], entry.geometry);
+        if (inside) cellAt(key).inside = idx;
+      }
+    }
+  });
+  return { cellSize, cells };
+}
+
+// Built once per boundary index and kept for the session.
+function getCountryGrid(boundaryIndex) {
+  let grid = countryGridCache.get(boundaryIndex);
+  if (!grid) {
+    grid = buildCountryGrid(boundaryIndex);
+    countryGridCache.set(boundaryIndex, grid);
+  }
+  return grid;
+}
+
+function findBoundaryAt(x, y, boundaryIndex, grid) {
+  const cell = grid.cells.get(countryGridKey(Math.floor(x / grid.cellSize), Math.floor(y / grid.cellSize)));
+  if (!cell) return null;
+  for (const idx of cell.edges) {
+    const b = boundaryIndex[idx];
+    if (x >= b.bbox[0] && x <= b.bbox[2] && y >= b.bbox[1] && y <= b.bbox[3] && pointInGeometry([x, y], b.geometry)) {
+      return b;
+    }
+  }
+  return cell.inside >= 0 ? boundaryIndex[cell.inside] : null;
+}
+
+function ringAreaAndCentroid(ring) {
+  let area = 0, cx = 0, cy = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const cross = ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+    area += cross;
+    cx += (ring[j][0] + ring[i][0]) * cross;
+    cy += (ring[j][1] + ring[i][1]) * cross;
+  }
+  area /= 2;
+  return { area, centroid: area ? [cx / (6 * area), cy / (6 * area)] : ring[0] };
+}
+
+// Centroid when it falls inside the polygon, otherwise the middle of the widest inside span at its latitude.
+function polygonRepresentativePoint(rings) {
+  const { centroid } = ringAreaAndCentroid(rings[0]);
+  if (pointInPolygonCoordinates(centroid, rings)) return centroid;
+  const y = centroid[1];
+  const xs = [];
+  rings.forEach(ring => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > y) !== (yj > y)) xs.push(xi + ((y - yi) * (xj - xi)) / (yj - yi));
+    }
+  });
+  xs.sort((a, b) => a - b);
+  let best = null;
+  for (let i = 0; i + 1 < xs.length; i += 2) {
+    if (!best || xs[i + 1] - xs[i] > best.width) best = { width: xs[i + 1] - xs[i], point: [(xs[i] + xs[i + 1]) / 2, y] };
+  }
+  return best ? best.point : rings[0][0];
+}
+
+function lineLength(coords) {
+  let length = 0;
+  for (let i = 1; i < coords.length; i++) length += Math.hypot(coords[i][0] - coords[i - 1][0], coords[i][1] - coords[i - 1][1]);
+  return length;
+}
+
+// Points at the given fractions (0..1, ascending) of the total length of one or more lines.
+function pointsAlongLines(lines, fractions) {
+  const total = lines.reduce((sum, line) => sum + lineLength(line), 0);
+  const out = [];
+  let walked = 0;
+  let f = 0;
+  for (const line of lines) {
+    for (let i = 1; i < line.length && f < fractions.length; i++) {
+      const [x0, y0] = line[i - 1];
+      const [x1, y1] = line[i];
+      const step = Math.hypot(x1 - x0, y1 - y0);
+      while (f < fractions.length && fractions[f] * total <= walked + step) {
+        const t = step ? (fractions[f] * total - walked) / step : 0;
+        out.push([x0 + (x1 - x0) * t, y0 + (y1 - y0) * t]);
+        f++;
+      }
+      walked += step;
+    }
+  }
+  return out.length ? out : [lines[0][0]];
+}
+
+// A point inside (or on) the geometry: mid-length for lines, the largest part's inside centroid for polygons.
+function geometryRepresentativePoint(geometry) {
+  const c = geometry?.coordinates;
+  if (!Array.isArray(c) || !c.length) return null;
+  if (geometry.type === "Point") return c;
+  if (geometry.type === "MultiPoint") return c[0];
+  if (geometry.type === "LineString") return pointsAlongLines([c], [0.5])[0];
+  if (geometry.type === "MultiLineString") return pointsAlongLines(c.filter(l => l.length), [0.5])[0];
+  if (geometry.type === "Polygon") return c[0]?.length ? polygonRepresentativePoint(c) : null;
+  if (geometry.type === "MultiPolygon") {
+    const parts = c.filter(p => p[0]?.length);
+    if (!parts.length) return null;
+    const largest = parts.reduce((a, b) =>
+      Math.abs(ringAreaAndCentroid(b[0]).area) > Math.abs(ringAreaAndCentroid(a[0]).area) ? b : a);
+    return polygonRepresentativePoint(largest);
+  }
+  return null;
+}
+
+// Points spread over the geometry; their country counts stand in for the overlapping area or length.
+function geometryOverlapSamples(geometry, bbox) {
+  const c = geometry.coordinates;
+  if (geometry.type === "Point") return [c];
+  if (geometry.type === "MultiPoint") return c;
+  const n = COUNTRY_OVERLAP_SAMPLES;
+  if (geometry.type === "LineString" || geometry.type === "MultiLineString") {
+    const fractions = Array.from({ length: 4 * n }, (_, i) => (i + 0.5) / (4 * n));
+    return pointsAlongLines(geometry.type === "LineString" ? [c] : c.filter(l => l.length), fractions);
+  }
+  const samples = [];
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      const p = [bbox[0] + ((i + 0.5) / n) * (bbox[2] - bbox[0]), bbox[1] + ((j + 0.5) / n) * (bbox[3] - bbox[1])];
+      if (pointInGeometry(p, geometry)) samples.push(p);
+    }
+  }
+  if (!samples.length) {
+    const p = geometryRepresentativePoint(geometry);
+    if (p) samples.push(p);
+  }
+  return samples;
+}
+
+function largestOverlapBoundary(geometry, boundaryIndex, grid) {
+  const bbox = bboxFromCoordinates(geometry?.coordinates);
+  if (!bbox) return null;
+  // A feature whose cells hold no boundary edge and share one country belongs wholly to it.
+  const x0 = Math.floor(bbox[0] / grid.cellSize), x1 = Math.floor(bbox[2] / grid.cellSize);
+  const y0 = Math.floor(bbox[1] / grid.cellSize), y1 = Math.floor(bbox[3] / grid.cellSize);
+  if ((x1 - x0 + 1) * (y1 - y0 + 1) <= COUNTRY_OVERLAP_SAMPLES) {
+    let inside;
+    let uniform = true;
+    for (let ix = x0; ix <= x1 && uniform; ix++) {
+      for (let iy = y0; iy <= y1 && uniform; iy++) {
+        const cell = grid.cells.get(countryGridKey(ix, iy));
+        const here = cell && !cell.edges.length ? cell.inside : cell ? null : -1;
+        if (here === null || (inside !== undefined && here !== inside)) uniform = false;
+        inside = here;
+      }
+    }
+    if (uniform) return boundaryIndex[inside] || null;
+  }
+  const counts = new Map();
+  geometryOverlapSamples(geometry, bbox).forEach(([x, y]) => {
+    const hit = findBoundaryAt(Number(x), Number(y), boundaryIndex, grid);
+    if (hit) counts.set(hit, (counts.get(hit) || 0) + 1);
+  });
+  let best = null;
+  counts.forEach((count, b) => {
+    if (!best || count > counts.get(best)) best = b;
+  });
+  return best;
+}
+
+// Adds __rma_country / __rma_continent_spatial to untagged features. Modes: "vertex" (first vertex, fastest),
+// "centroid" (a point inside the feature) and "overlap" (the country holding most of its area or length).
+function tagFeaturesWithCountries(features, boundaryIndex, { mode = "vertex", grid = null, onProgress = null } = {}) {
+  const lookupGrid = grid || getCountryGrid(boundaryIndex);
+  let tagged = 0;
+  features.forEach((f, i) => {
+    if (onProgress && i % IMPORT_PROGRESS_FEATURE_STEP === 0) {
+      onProgress({ phase: "tag", features: i, totalFeatures: features.length });
+    }
+    if (!f.properties) f.properties = {};
+    if (f.properties.__rma_country && f.properties.__rma_continent_spatial) return;
+    let hit;
+    if (mode === "overlap") {
+      hit = largestOverlapBoundary(f.geometry, boundaryIndex, lookupGrid);
+    } else {
+      const coord = mode === "centroid" ? geometryRepresentativePoint(f.geometry) : getFeatureSampleCoord(f);
+      if (!Array.isArray(coord) || coord.length < 2) return;
+      const x = Number(coord[0]);
+      const y = Number(coord[1]);
+      if (isNaN(x) || isNaN(y)) return;
+      hit = findBoundaryAt(x, y, boundaryIndex, lookupGrid);
+    }
+    if (!hit) return;
+
+    f.properties.__rma_country = hit.country;
+    if (hit.continent) f.properties.__rma_continent_spatial = hit.continent;
+    tagged++;
+  });
+  return tagged;
+}
+
+//Coordinate Reference Systems (offline African catalogue, proj4 reprojection)
+const WGS84_CRS_CODE = "EPSG:4326";
+const CRS_GROUP_LABELS = {
+  geographic: "Geographic (latitude/longitude)",
+  utm: "WGS 84 / UTM",
+  national: "National and regional grids",
+  continental: "Africa-wide projections"
+};
+const CLARKE_1880_ARC = "+a=6378249.145 +rf=293.466307656";
+const CLARKE_1880_IGN = "+a=6378249.2 +b=6356515";
+// Datum shifts are the EPSG default 3-parameter transformations to WGS 84.
+const AFRICAN_CRS_CATALOGUE = [
+  { code: "EPSG:4326", name: "WGS 84", group: "geographic", def: "+proj=longlat +datum=WGS84 +no_defs" },
+  { code: "EPSG:4148", name: "Hartebeesthoek94", group: "geographic", def: "+proj=longlat +ellps=WGS84 +towgs84=0,0,0,0,0,0,0 +no_defs" },
+  { code: "EPSG:4201", name: "Adindan", group: "geographic", def: "+proj=longlat +ellps=clrk80 +towgs84=-166,-15,204,0,0,0,0 +no_defs" },
+  { code: "EPSG:4209", name: "Arc 1950", group: "geographic", def: `+proj=longlat ${CLARKE_1880_ARC} +towgs84=-143,-90,-294,0,0,0,0 +no_defs` },
+  { code: "EPSG:4210", name: "Arc 1960", group: "geographic", def: "+proj=longlat +ellps=clrk80 +towgs84=-160,-6,-302,0,0,0,0 +no_defs" },
+  { code: "EPSG:4222", name: "Cape", group: "geographic", def: "+proj=longlat +a=6378249.145 +rf=293.4663077 +towgs84=-136,-108,-292,0,0,0,0 +no_defs" },
+  { code: "EPSG:4263", name: "Minna", group: "geographic", def: "+proj=longlat +ellps=clrk80 +towgs84=-92,-93,122,0,0,0,0 +no_defs" },
+  { code: "EPSG:3857", name: "WGS 84 / Pseudo-Mercator (web map)", group: "continental", def: "+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +no_defs" },
+  { code: "ESRI:102022", name: "Africa Albers Equal Area Conic", group: "continental", def: "+proj=aea +lat_0=0 +lon_0=25 +lat_1=20 +lat_2=-23 +x_0=0 +y_0=0 +datum=WGS84 +units=m +no_defs" },
+  { code: "ESRI:102023", name: "Africa Equidistant Conic", group: "continental", def: "+proj=eqdc +lat_0=0 +lon_0=25 +lat_1=20 +lat_2=-23 +x_0=0 +y_0=0 +datum=WGS84 +units=m +no_defs" },
+  { code: "ESRI:102024", name: "Africa Lambert Conformal Conic", group: "continental", def: "+proj=lcc +lat_0=0 +lon_0=25 +lat_1=20 +lat_2=-23 +x_0=0 +y_0=0 +datum=WGS84 +units=m +no_defs" },
+  { code: "ESRI:102011", name: "Africa Sinusoidal", group: "continental", def: "+proj=sinu +lon_0=15 +x_0=0 +y_0=0 +datum=WGS84 +units=m +no_defs" },
+  ...[35, 36, 37].map(z => ({ code: `EPSG:201${z}`, name: `Adindan / UTM zone ${z}N`, group: "national", def: `+proj=utm +zone=${z} +ellps=clrk80 +towgs84=-166,-15,204,0,0,0,0 +units=m +no_defs` })),
+  ...[34, 35, 36].map(z => ({ code: `EPSG:209${z}`, name: `Arc 1950 / UTM zone ${z}S`, group: "national", def: `+proj=utm +zone=${z} +south ${CLARKE_1880_ARC} +towgs84=-143,-90,-294,0,0,0,0 +units=m +no_defs` })),
+  ...[35, 36, 37].map(z => ({ code: `EPSG:210${z}`, name: `Arc 1960 / UTM zone ${z}S`, group: "national", def: `+proj=utm +zone=${z} +south +ellps=clrk80 +towgs84=-160,-6,-302,0,0,0,0 +units=m +no_defs` })),
+  ...[35, 36, 37].map(z => ({ code: `EPSG:210${z + 60}`, name: `Arc 1960 / UTM zone ${z}N`, group: "national", def: `+proj=utm +zone=${z} +ellps=clrk80 +towgs84=-160,-6,-302,0,0,0,0 +units=m +no_defs` })),
+  ...[34, 35, 36].map(z => ({ code: `EPSG:222${z}`, name: `Cape / UTM zone ${z}S`, group: "national", def: `+proj=utm +zone=${z} +south +a=6378249.145 +rf=293.4663077 +towgs84=-136,-108,-292,0,0,0,0 +units=m +no_defs` })),
+  ...[32, 33].map(z => ({ code: `EPSG:220${z}`, name: `Camacupa 1948 / UTM zone ${z}S`, group: "national", def: `+proj=utm +zone=${z} +south +ellps=clrk80 +towgs84=-50.9,-347.6,-231,0,0,0,0 +units=m +no_defs` })),
+  { code: "EPSG:22332", name: "Carthage / UTM zone 32N", group: "national", def: `+proj=utm +zone=32 +a=6378249.2 +rf=293.4660212936269 +towgs84=-263,6,431,0,0,0,0 +units=m +no_defs` },
+  { code: "EPSG:22391", name: "Carthage / Nord Tunisie", group: "national", def: `+proj=lcc +lat_1=36 +lat_0=36 +lon_0=9.9 +k_0=0.999625544 +x_0=500000 +y_0=300000 ${CLARKE_1880_IGN} +towgs84=-263,6,431,0,0,0,0 +units=m +no_defs` },
+  { code: "EPSG:22991", name: "Egypt 1907 / Blue Belt", group: "national", def: "+proj=tmerc +lat_0=30 +lon_0=35 +k=1 +x_0=300000 +y_0=1100000 +ellps=helmert +towgs84=-130,110,-13,0,0,0,0 +units=m +no_defs" },
+  { code: "EPSG:22992", name: "Egypt 1907 / Red Belt", group: "national", def: "+proj=tmerc +lat_0=30 +lon_0=31 +k=1 +x_0=615000 +y_0=810000 +ellps=helmert +towgs84=-130,110,-13,0,0,0,0 +units=m +no_defs" },
+  { code: "EPSG:22993", name: "Egypt 1907 / Purple Belt", group: "national", def: "+proj=tmerc +lat_0=30 +lon_0=27 +k=1 +x_0=700000 +y_0=200000 +ellps=helmert +towgs84=-130,110,-13,0,0,0,0 +units=m +no_defs" },
+  { code: "EPSG:22994", name: "Egypt 1907 / Extended Purple Belt", group: "national", def: "+proj=tmerc +lat_0=30 +lon_0=27 +k=1 +x_0=700000 +y_0=1200000 +ellps=helmert +towgs84=-130,110,-13,0,0,0,0 +units=m +no_defs" },
+  { code: "EPSG:2136", name: "Accra / Ghana National Grid (feet)", group: "national", def: "+proj=tmerc +lat_0=4.666666666666667 +lon_0=-1 +k=0.99975 +x_0=274319.7391633579 +y_0=0 +a=6378300 +b=6356751.689189189 +towgs84=-199,32,322,0,0,0,0 +to_meter=0.3047997101815088 +no_defs" },
+  { code: "EPSG:25000", name: "Leigon / Ghana Metre Grid", group: "national", def: "+proj=tmerc +lat_0=4.666666666666667 +lon_0=-1 +k=0.99975 +x_0=274319.51 +y_0=0 +ellps=clrk80 +towgs84=-130,29,364,0,0,0,0 +units=m +no_defs" },
+  { code: "EPSG:25231", name: "Lome / UTM zone 31N", group: "national", def: `+proj=utm +zone=31 ${CLARKE_1880_IGN} +towgs84=-90,40,88,0,0,0,0 +units=m +no_defs` },
+  { code: "EPSG:26191", name: "Merchich / Nord Maroc", group: "national", def: `+proj=lcc +lat_1=33.3 +lat_0=33.3 +lon_0=-5.4 +k_0=0.999625769 +x_0=500000 +y_0=300000 ${CLARKE_1880_IGN} +towgs84=31,146,47,0,0,0,0 +units=m +no_defs` },
+  { code: "EPSG:26192", name: "Merchich / Sud Maroc", group: "national", def: `+proj=lcc +lat_1=29.7 +lat_0=29.7 +lon_0=-5.4 +k_0=0.999615596 +x_0=500000 +y_0=300000 ${CLARKE_1880_IGN} +towgs84=31,146,47,0,0,0,0 +units=m +no_defs` },
+  ...[31, 32].map(z => ({ code: `EPSG:263${z}`, name: `Minna / UTM zone ${z}N`, group: "national", def: `+proj=utm +zone=${z} +ellps=clrk80 +towgs84=-92,-93,122,0,0,0,0 +units=m +no_defs` })),
+  { code: "EPSG:26391", name: "Minna / Nigeria West Belt", group: "national", def: "+proj=tmerc +lat_0=4 +lon_0=4.5 +k=0.99975 +x_0=230738.26 +y_0=0 +ellps=clrk80 +towgs84=-92,-93,122,0,0,0,0 +units=m +no_defs" },
+  { code: "EPSG:26392", name: "Minna / Nigeria Mid Belt", group: "national", def: "+proj=tmerc +lat_0=4 +lon_0=8.5 +k=0.99975 +x_0=670553.98 +y_0=0 +ellps=clrk80 +towgs84=-92,-93,122,0,0,0,0 +units=m +no_defs" },
+  { code: "EPSG:26393", name: "Minna / Nigeria East Belt", group: "national", def: "+proj=tmerc +lat_0=4 +lon_0=12.5 +k=0.99975 +x_0=1110369.7 +y_0=0 +ellps=clrk80 +towgs84=-92,-93,122,0,0,0,0 +units=m +no_defs" },
+  ...[29, 30, 31, 32].map(z => ({ code: `EPSG:307${z}`, name: `Nord Sahara 1959 / UTM zone ${z}N`, group: "national", def: `+proj=utm +zone=${z} +ellps=clrk80 +towgs84=-186,-93,310,0,0,0,0 +units=m +no_defs` })),
+  // WGS 84 UTM zones 26-41 cover Cabo Verde to Mauritius, north and south.
+  ...Array.from({ length: 16 }, (_, i) => i + 26).flatMap(z => [
+    { code: `EPSG:326${z}`, name: `WGS 84 / UTM zone ${z}N`, group: "utm", def: `+proj=utm +zone=${z} +datum=WGS84 +units=m +no_defs` },
+    { code: `EPSG:327${z}`, name: `WGS 84 / UTM zone ${z}S`, group: "utm", def: `+proj=utm +zone=${z} +south +datum=WGS84 +units=m +no_defs` }
+  ])
+];
+
+function findCatalogueCrs(code) {
+  return AFRICAN_CRS_CATALOGUE.find(c => c.code === code) || null;
+}
+
+function getCrsLabel(crs) {
+  if (!crs) return "WGS 84";
+  return crs.name ? `${crs.name} (${crs.code})` : (crs.code || "custom definition");
+}
+
+// "32637", "epsg:32637", "urn:ogc:def:crs:EPSG::32637", "EPSG:32637" -> "EPSG:32637"; CRS84 -> EPSG:4326.
+function normalizeCrsCode(value) {
+  const raw = String(value || "").trim();
+  if (/^(urn:ogc:def:crs:OGC:(1\.3:)?)?CRS:?84$/i.test(raw)) return WGS84_CRS_CODE;
+  const m = raw.match(/^(?:urn:ogc:def:crs:)?(EPSG|ESRI)(?::[\d.]*)?:+(\d{4,6})$/i) || raw.match(/^()(\d{4,6})$/);
+  if (!m) return "";
+  return `${(m[1] || "EPSG").toUpperCase()}:${m[2]}`;
+}
+
+// Normalised names so ESRI .prj names ("WGS_1984_UTM_Zone_37S") meet catalogue names.
+function normalizeCrsName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/wgs[\s_]*1984/g, "wgs84")
+    .replace(/^gcs[\s_]+/, "")
+    .replace(/[^a-z0-9]/g, "");
+}
+
+function findCatalogueCrsForWkt(wkt) {
+  const authorities = Array.from(String(wkt).matchAll(/(?:AUTHORITY|ID)\[\s*"(EPSG|ESRI)"\s*,\s*"?(\d+)"?\s*\]/gi));
+  // The outermost authority comes last in WKT1.
+  const last = authorities[authorities.length - 1];
+  if (last) {
+    const hit = findCatalogueCrs(`${last[1].toUpperCase()}:${last[2]}`);
+    if (hit) return hit;
+  }
+  const name = String(wkt).match(/^\s*(?:PROJCS|GEOGCS|PROJCRS|GEOGCRS|GEODCRS)\[\s*"([^"]+)"/i)?.[1];
+  if (!name) return null;
+  const key = normalizeCrsName(name);
+  return AFRICAN_CRS_CATALOGUE.find(c => normalizeCrsName(c.name) === key) || null;
+}
+
+function assertProj4Available() {
+  if (typeof window.proj4 !== "function") {
+    throw new Error("Reprojection library is unavailable.");
+  }
+}
+
+// Accepts a catalogue code, a proj4 string or WKT (.prj) and returns { code, name, def }.
+function resolveCrsDefinition(value) {
+  const raw = String(value || "").trim();
+  if (!raw) throw new Error("No coordinate system given.");
+  const code = normalizeCrsCode(raw);
+  if (code) {
+    const hit = findCatalogueCrs(code);
+    if (hit) return hit;
+    assertProj4Available();
+    if (window.proj4.defs(code)) return { code, name: "", def: code };
+    throw new Error(`${code} is not in the offline coordinate system catalogue.`);
+  }
+  if (/^[A-Z]+\[/i.test(raw)) {
+    const hit = findCatalogueCrsForWkt(raw);
+    if (hit) return hit;
+  }
+  if (!/^\+proj=/i.test(raw) && !/^[A-Z]+\[/i.test(raw)) {
+    throw new Error("Coordinate system must be an EPSG code, a proj4 string or WKT.");
+  }
+  assertProj4Available();
+  try {
+    window.proj4(raw, WGS84_CRS_CODE);
+  } catch (err) {
+    throw new Error("Coordinate system definition could not be read.");
+  }
+  const name = sanitizePlainText(raw.match(/^\s*[A-Z]+\[\s*"([^"]+)"/i)?.[1] || "");
+  return { code: "", name: name || "Custom definition", def: raw };
+}
+
+function isWgs84Crs(crs) {
+  if (!crs) return true;
+  if (crs.code === WGS84_CRS_CODE) return true;
+  // GEOGCS WGS 84 .prj files without an authority code.
+  return /^\s*GEOGCS\[\s*"(GCS_)?WGS[\s_]*(19)?84"/i.test(crs.def || "");
+}
+
+// Returns a [x, y] -> [lon, lat] function, or null when no conversion is needed.
+function createCrsTransform(crs) {
+  if (isWgs84Crs(crs)) return null;
+  assertProj4Available();
+  let converter;
+  try {
+    converter = window.proj4(crs.def, WGS84_CRS_CODE);
+  } catch (err) {
+    throw new Error(`Coordinate system ${getCrsLabel(crs)} could not be read.`);
+  }
+  return pt => converter.forward([pt[0], pt[1]]);
+}
+
+// Maps every position through the transform (if any) and checks the WGS 84 range.
+function transformGeometryToLonLat(geometry, transform = null) {
+  if (!geometry) return geometry;
+  if (geometry.type === "GeometryCollection") {
+    return { ...geometry, geometries: (geometry.geometries || []).map(g => transformGeometryToLonLat(g, transform)) };
+  }
+  const walk = node => {
+    if (!Array.isArray(node)) return node;
+    if (typeof node[0] === "number") {
+      const out = transform ? transform(node) : [node[0], node[1]];
+      if (!isValidLonLat(out[0], out[1])) throw new Error("coordinates are not longitude/latitude.");
+      return [out[0], out[1]];
+    }
+    return node.map(walk);
+  };
+  return { ...geometry, coordinates: walk(geometry.coordinates) };
+}
+
+function reprojectGeojson(geojson, crs, sourceLabel = "Dataset") {
+  const transform = createCrsTransform(crs);
+  if (!transform) return geojson;
+  try {
+    geojson.features.forEach(f => {
+      if (f?.geometry) f.geometry = transformGeometryToLonLat(f.geometry, transform);
+    });
+  } catch (err) {
+    throw new Error(`${sourceLabel} could not be converted from ${getCrsLabel(crs)}. Check the coordinate system.`);
+  }
+  delete geojson.crs;
+  return geojson;
+}
+
+// Projected metres or feet show up as positions outside the longitude/latitude range.
+function geojsonLooksProjected(geojson, sampleSize = 500) {
+  let seen = 0;
+  let projected = false;
+  const walk = node => {
+    if (projected || seen >= sampleSize || !Array.isArray(node)) return;
+    if (typeof node[0] === "number") {
+      seen++;
+      if (!isValidLonLat(node[0], node[1])) projected = true;
+      return;
+    }
+    node.forEach(walk);
+  };
+  const visit = g => {
+    if (!g) return;
+    if (g.type === "GeometryCollection") (g.geometries || []).forEach(visit);
+    else walk(g.coordinates);
+  };
+  for (const f of geojson?.features || []) {
+    visit(f?.geometry);
+    if (projected || seen >= sampleSize) break;
+  }
+  return projected;
+}
+
+// GeoJSON 2008 "crs" member (still written by QGIS/GDAL for non-WGS 84 data).
+function getDeclaredGeojsonCrs(geojson) {
+  const name = geojson?.crs?.type === "name" ? geojson.crs.properties?.name : "";
+  return name ? resolveCrsDefinition(name) : null;
+}
+
+//CSV Parsing (column guessing, WKT/GeoJSON geometry cells, decimal commas)
+const CSV_IMPORT_PREVIEW_ROWS = 5;
+const CSV_IMPORT_ENCODINGS = new Set(["auto", "utf-8", "windows-1252", "iso-8859-1", "utf-16le"]);
+const CSV_LAT_TOKENS = new Set(["lat", "latitude", "ycoord"]);
+const CSV_LON_TOKENS = new Set(["lon", "lng", "long", "longitude", "xcoord"]);
+const CSV_GEOMETRY_NAMES = new Set(["wkt", "geom", "geometry", "the_geom", "shape", "geojson", "wkt_geom"]);
+const WKT_GEOMETRY_TYPES = new Set([
+  "POINT", "LINESTRING", "POLYGON", "MULTIPOINT", "MULTILINESTRING", "MULTIPOLYGON", "GEOMETRYCOLLECTION"
+]);
+
+// Split a header into lowercase word tokens ("GPS_Lat" -> gps, lat; "decimalLatitude" -> decimal, latitude).
+function csvHeaderTokens(name) {
+  return String(name || "")
+    .replace(/([a-z])([A-Z])/g, "$1_$2")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+// Match whole words only so "platform" or "longname" are not taken for coordinates.
+function guessCsvCoordinateColumns(keys) {
+  const names = Array.isArray(keys) ? keys : [];
+  const pick = (tokens, exact) => names.find(k => {
+    const key = String(k || "").trim().toLowerCase();
+    return key === exact || csvHeaderTokens(k).some(t => tokens.has(t));
+  });
+  return {
+    latKey: pick(CSV_LAT_TOKENS, "y") || null,
+    lonKey: pick(CSV_LON_TOKENS, "x") || null
+  };
+}
+
+function looksLikeGeometryText(value) {
+  const raw = String(value ?? "").trim();
+  if (!raw) return false;
+  if (raw.startsWith("{")) return /"type"\s*:/.test(raw) && /"coordinates"|"geometries"|"geometry"/.test(raw);
+  const tag = raw.replace(/^SRID=\d+;/i, "").match(/^[A-Za-z]+/);
+  return !!tag && WKT_GEOMETRY_TYPES.has(tag[0].toUpperCase());
+}
+
+function guessCsvGeometryColumn(keys, sampleRows = []) {
+  const names = Array.isArray(keys) ? keys : [];
+  const byName = names.find(k => CSV_GEOMETRY_NAMES.has(String(k || "").trim().toLowerCase()));
+  if (byName) return byName;
+  return names.find(k => sampleRows.some(r => looksLikeGeometryText(r?.[k]))) || null;
+}
+
+// `partial` marks a leading slice: a character cut off at its end is held back instead of
+// failing the UTF-8 check.
+function decodeCsvBytes(bytes, encoding = "auto", partial = false) {
+  const view = new Uint8Array(bytes || new ArrayBuffer(0));
+  const options = { stream: partial };
+  if (CSV_IMPORT_ENCODINGS.has(encoding) && encoding !== "auto") return new TextDecoder(encoding).decode(view, options);
+  if (view[0] === 0xFF && view[1] === 0xFE) return new TextDecoder("utf-16le").decode(view, options);
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(view, options);
+  } catch (_) {
+    // Not valid UTF-8: Excel exports on Windows are usually Windows-1252.
+    return new TextDecoder("windows-1252").decode(view, options);
+  }
+}
+
+// Parse a coordinate honoring the chosen decimal separator; rejects trailing text.
+// Thousands groups written with the other mark ("1.234,56" or "1,234.56") are accepted.
+function parseCsvNumber(value, decimal = ".") {
+  let raw = String(value ?? "").trim().replace(/\s/g, "");
+  const group = decimal === "," ? "." : ",";
+  if (new RegExp(`^[+-]?\\d{1,3}(\\${group}\\d{3})+(\\${decimal}\\d*)?$`).test(raw)) raw = raw.split(group).join("");
+  if (decimal === ",") raw = raw.replace(",", ".");
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(raw)) return NaN;
+  return Number(raw);
+}
+
+function isValidLonLat(lon, lat) {
+  return Number.isFinite(lon) && Number.isFinite(lat) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+}
+
+// --- WKT reader (POINT, LINESTRING, POLYGON, MULTI*, GEOMETRYCOLLECTION; Z/M values dropped) ---
+function parseWktGeometry(text, transform = null) {
+  const src = String(text || "").trim().replace(/^SRID=\d+;/i, "");
+  const tokens = src.match(/[A-Za-z]+|[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?|[(),]/g) || [];
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const expect = tok => {
+    if (next() !== tok) throw new Error(`Invalid WKT: expected "${tok}".`);
+  };
+
+  // Nested parenthesised lists; a run of numbers becomes one [x, y] position.
+  const readGroup = (depth = 0) => {
+    if (depth > 4) throw new Error("Invalid WKT: nesting too deep.");
+    expect("(");
+    const items = [];
+    while (true) {
+      if (peek() === "(") {
+        items.push(readGroup(depth + 1));
+      } else {
+        const nums = [];
+        while (peek() !== undefined && /^[-+.\d]/.test(peek())) nums.push(Number(next()));
+        if (nums.length < 2 || nums.length > 4) throw new Error("Invalid WKT coordinate.");
+        const pt = transform ? transform(nums) : nums;
+        if (!isValidLonLat(pt[0], pt[1])) throw new Error("WKT coordinate out of longitude/latitude range.");
+        items.push([pt[0], pt[1]]);
+      }
+      const tok = next();
+      if (tok === ")") return items;
+      if (tok !== ",") throw new Error("Invalid WKT: expected \",\" or \")\".");
+    }
+  };
+
+  const closeRing = ring => {
+    if (!Array.isArray(ring) || ring.some(p => !Array.isArray(p) || typeof p[0] !== "number")) {
+      throw new Error("Invalid WKT polygon ring.");
+    }
+    const [fx, fy] = ring[0] || [];
+    const [lx, ly] = ring[ring.length - 1] || [];
+    const closed = (fx === lx && fy === ly) ? ring : [...ring, [fx, fy]];
+    if (closed.length < 4) throw new Error("WKT polygon ring needs at least 4 positions.");
+    return closed;
+  };
+  const assertPositions = (list, min) => {
+    if (!Array.isArray(list) || list.length < min || list.some(p => typeof p?.[0] !== "number")) {
+      throw new Error("Invalid WKT coordinate list.");
+    }
+    return list;
+  };
+
+  const readGeometry = () => {
+    const type = String(next() || "").toUpperCase();
+    if (!WKT_GEOMETRY_TYPES.has(type)) throw new Error("Unsupported WKT geometry type.");
+    if (/^(Z|M|ZM)$/i.test(peek() || "")) next();
+    if (String(peek() || "").toUpperCase() === "EMPTY") {
+      next();
+      return null;
+    }
+    if (type === "GEOMETRYCOLLECTION") {
+      expect("(");
+      const geometries = [];
+      while (true) {
+        const g = readGeometry();
+        if (g) geometries.push(g);
+        const tok = next();
+        if (tok === ")") break;
+        if (tok !== ",") throw new Error("Invalid WKT geometry collection.");
+      }
+      return geometries.length ? { type: "GeometryCollection", geometries } : null;
+    }
+    const group = readGroup();
+    switch (type) {
+      case "POINT":
+        return { type: "Point", coordinates: assertPositions(group, 1)[0] };
+      case "LINESTRING":
+        return { type: "LineString", coordinates: assertPositions(group, 2) };
+      case "POLYGON":
+        return { type: "Polygon", coordinates: group.map(closeRing) };
+      case "MULTIPOINT":
+        // Both "MULTIPOINT (1 2, 3 4)" and "MULTIPOINT ((1 2), (3 4))" are valid.
+        return { type: "MultiPoint", coordinates: assertPositions(group.map(p => Array.isArray(p[0]) ? p[0] : p), 1) };
+      case "MULTILINESTRING":
+        return { type: "MultiLineString", coordinates: group.map(line => assertPositions(line, 2)) };
+      case "MULTIPOLYGON":
+        return {
+          type: "MultiPolygon",
+          coordinates: group.map(poly => {
+            if (!Array.isArray(poly) || !Array.isArray(poly[0]?.[0])) throw new Error("Invalid WKT multipolygon.");
+            return poly.map(closeRing);
+          })
+        };
+      default:
+        throw new Error("Unsupported WKT geometry type.");
+    }
+  };
+
+  const geometry = readGeometry();
+  if (pos !== tokens.length) throw new Error("Invalid WKT: unexpected trailing text.");
+  return geometry;
+}
+
+function parseGeojsonGeometryText(text) {
+  let obj;
+  try {
+    obj = JSON.parse(String(text || ""));
+  } catch (_) {
+    throw new Error("Invalid GeoJSON geometry.");
+  }
+  const geometry = obj?.type === "Feature" ? obj.geometry : obj;
+  const types = new Set(["Point", "LineString", "Polygon", "MultiPoint", "MultiLineString", "MultiPolygon", "GeometryCollection"]);
+  if (!geometry || !types.has(geometry.type)) throw new Error("Invalid GeoJSON geometry.");
+  if (geometry.type !== "GeometryCollection" && !Array.isArray(geometry.coordinates)) {
+    throw new Error("Invalid GeoJSON geometry.");
+  }
+  return geometry;
+}
+
+function parseCsvGeometryCell(value, transform = null) {
+  const raw = String(value ?? "").trim();
+  if (!raw) return null;
+  return raw.startsWith("{")
+    ? transformGeometryToLonLat(parseGeojsonGeometryText(raw), transform)
+    : parseWktGeometry(raw, transform);
+}
+
+// Full CSV parse with explicit options; returns the collection, the number of skipped rows and the source CRS.
+function parseCsvImport(csvText, sourceLabel = "CSV", options = {}) {
+  if (!window.Papa || typeof window.Papa.parse !== "function") {
+    throw new Error("CSV parser is unavailable.");
+  }
+  const delimiter = options.delimiter || "";
+  const decimal = options.decimal === "," ? "," : ".";
+  const crs = options.crs ? resolveCrsDefinition(options.crs) : null;
+  const transform = createCrsTransform(crs);
+  assertCsvPayloadLooksSafe(csvText, sourceLabel, { requireCoordinates: false, delimiter });
+  const parsed = window.Papa.parse(csvText, {
+    header: true,
+    skipEmptyLines: "greedy",
+    delimiter
+  });
+  if (Array.isArray(parsed.errors) && parsed.errors.length) {
+    const firstErr = parsed.errors[0];
+    throw new Error(`${sourceLabel} parse error near row ${firstErr.row ?? "?"}.`);
+  }
+  const rows = Array.isArray(parsed.data) ? parsed.data : [];
+  if (!rows.length) {
+    throw new Error(`${sourceLabel} payload is empty.`);
+  }
+
+  const keys = parsed.meta?.fields || Object.keys(rows[0] || {});
+  let { mode, xKey, yKey, geomKey } = options;
+  if (!mode) {
+    const guess = guessCsvCoordinateColumns(keys);
+    geomKey = guessCsvGeometryColumn(keys, rows.slice(0, CSV_IMPORT_PREVIEW_ROWS));
+    mode = (guess.latKey && guess.lonKey) || !geomKey ? "xy" : "geometry";
+    xKey = guess.lonKey;
+    yKey = guess.latKey;
+  }
+  if (mode === "geometry") {
+    if (!geomKey || !keys.includes(geomKey)) throw new Error(`${sourceLabel} geometry column was not found.`);
+  } else if (!xKey || !yKey || !keys.includes(xKey) || !keys.includes(yKey)) {
+    throw new Error(`${sourceLabel} must have latitude/longitude columns or a WKT/GeoJSON geometry column.`);
+  }
+
+  // Comma-decimal numbers are rewritten with a dot so classification can read them.
+  const decimalPattern = /^[+-]?(\d+|\d{1,3}(\.\d{3})+),\d+$/;
+  let skipped = 0;
+  const features = rows.map((r, rowIdx) => {
+    if (options.onProgress && rowIdx % IMPORT_PROGRESS_FEATURE_STEP === 0) {
+      options.onProgress({ phase: "rows", features: rowIdx, totalFeatures: rows.length });
+    }
+    let geometry = null;
+    if (mode === "geometry") {
+      try {
+        geometry = parseCsvGeometryCell(r?.[geomKey], transform);
+      } catch (err) {
+        console.warn(`Skipping CSV row ${rowIdx + 2}: ${err?.message || err}`);
+      }
+    } else {
+      const x = parseCsvNumber(r?.[xKey], decimal);
+      const y = parseCsvNumber(r?.[yKey], decimal);
+      const [lon, lat] = transform && Number.isFinite(x) && Number.isFinite(y) ? transform([x, y]) : [x, y];
+      if (isValidLonLat(lon, lat)) {
+        geometry = { type: "Point", coordinates: [lon, lat] };
+      } else if (Number.isFinite(lon) && Number.isFinite(lat)) {
+        console.warn("Skipping out-of-range coordinates on CSV row:", rowIdx + 2);
+      }
+    }
+    if (!geometry) {
+      skipped++;
+      return null;
+    }
+    const properties = { ...(r || {}) };
+    if (mode === "geometry") delete properties[geomKey];
+    if (decimal === ",") {
+      Object.keys(properties).forEach(k => {
+        const v = properties[k];
+        if (typeof v === "string" && decimalPattern.test(v.trim())) properties[k] = v.trim().split(".").join("").replace(",", ".");
+      });
+    }
+    return { type: "Feature", geometry, properties };
+  }).filter(f => f !== null);
+
+  if (!features.length) {
+    throw new Error(`${sourceLabel} has no rows with valid geometry.`);
+  }
+  return { geojson: { type: "FeatureCollection", features }, skipped, crs: transform ? crs : null };
+}
+
+function parseCsvToGeojson(csvText, sourceLabel = "CSV", options = {}) {
+  return parseCsvImport(csvText, sourceLabel, options).geojson;
+}
+
+//GeoJSON Parsing
+function parseImportedData(ext, bodyText, contentType = "") {
+  if (ext === ".csv") {
+    return parseCsvToGeojson(bodyText, "CSV");
+  }
+  if (!contentType.includes("json")) {
+    console.warn("Non-standard content type for JSON-like import:", contentType);
+  }
+  const geojson = JSON.parse(bodyText);
+  if (!geojson || geojson.type !== "FeatureCollection") {
+    throw new Error("Invalid GeoJSON structure");
+  }
+  const declaredCrs = getDeclaredGeojsonCrs(geojson);
+  if (declaredCrs) reprojectGeojson(geojson, declaredCrs, "GeoJSON");
+  return geojson;
+}
+
+//KML/KMZ, GPX and GeoPackage Readers
+const GEOPACKAGE_SQLITE_HEADER = "SQLite format 3";
+
+// --- Shared XML helpers (namespace-agnostic: kml:, gx: and GPX 1.0/1.1 all match by local name) ---
+function parseXmlDocument(text, sourceLabel) {
+  const raw = String(text || "");
+  if (/<!DOCTYPE[^>]*\[/i.test(raw) || /<!ENTITY/i.test(raw)) {
+    throw new Error(`${sourceLabel} must not declare XML entities.`);
+  }
+  const doc = new DOMParser().parseFromString(raw, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) {
+    throw new Error(`${sourceLabel} is not valid XML.`);
+  }
+  return doc;
+}
+
+function xmlChildren(el, name) {
+  return Array.from(el?.children || []).filter(c => c.localName === name);
+}
+
+function xmlChild(el, name) {
+  return xmlChildren(el, name)[0] || null;
+}
+
+function xmlChildText(el, name) {
+  return sanitizePlainText(xmlChild(el, name)?.textContent || "");
+}
+
+function xmlDescendants(root, name) {
+  return Array.from(root.getElementsByTagNameNS("*", name));
+}
+
+// KML descriptions are often HTML; keep the readable text only (parsed inertly, nothing loads).
+function htmlToPlainText(value) {
+  const raw = String(value || "");
+  if (!/[<&]/.test(raw)) return sanitizePlainText(raw);
+  const doc = new DOMParser().parseFromString(raw, "text/html");
+  doc.querySelectorAll("script, style").forEach(el => el.remove());
+  return sanitizePlainText(doc.body?.textContent || "");
+}
+
+// Same-kind parts become Multi*, mixed parts a GeometryCollection.
+function combineGeometries(parts) {
+  const list = parts.filter(Boolean);
+  if (!list.length) return null;
+  if (list.length === 1) return list[0];
+  const base = list[0].type.replace(/^Multi/, "");
+  const simple = ["Point", "LineString", "Polygon"].includes(base);
+  if (simple && list.every(g => g.type.replace(/^Multi/, "") === base)) {
+    const coordinates = [];
+    list.forEach(g => {
+      if (g.type === base) coordinates.push(g.coordinates);
+      else coordinates.push(...g.coordinates);
+    });
+    return { type: "Multi" + base, coordinates };
+  }
+  return { type: "GeometryCollection", geometries: list };
+}
+
+// --- KML ---
+function parseKmlCoordinates(text) {
+  const coords = String(text || "").trim().split(/\s+/).filter(Boolean).map(tuple => {
+    const [lon, lat] = tuple.split(",").map(Number);
+    if (!isValidLonLat(lon, lat)) throw new Error("KML coordinate out of longitude/latitude range.");
+    return [lon, lat];
+  });
+  return coords;
+}
+
+function closeLinearRing(ring) {
+  if (ring.length < 3) throw new Error("KML polygon ring needs at least 3 positions.");
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return (first[0] === last[0] && first[1] === last[1]) ? ring : [...ring, first.slice()];
+}
+
+function readKmlGeometry(el) {
+  switch (el.localName) {
+    case "Point": {
+      const coords = parseKmlCoordinates(xmlChild(el, "coordinates")?.textContent);
+      return coords.length ? { type: "Point", coordinates: coords[0] } : null;
+    }
+    case "LineString": {
+      const coords = parseKmlCoordinates(xmlChild(el, "coordinates")?.textContent);
+      return coords.length >= 2 ? { type: "LineString", coordinates: coords } : null;
+    }
+    case "LinearRing": {
+      const coords = parseKmlCoordinates(xmlChild(el, "coordinates")?.textContent);
+      return coords.length ? { type: "Polygon", coordinates: [closeLinearRing(coords)] } : null;
+    }
+    case "Polygon": {
+      const ringOf = boundary => parseKmlCoordinates(xmlChild(xmlChild(boundary, "LinearRing"), "coordinates")?.textContent);
+      const outer = xmlChild(el, "outerBoundaryIs");
+      const outerRing = outer ? ringOf(outer) : [];
+      if (!outerRing.length) return null;
+      const holes = xmlChildren(el, "innerBoundaryIs").map(ringOf).filter(r => r.length).map(closeLinearRing);
+      return { type: "Polygon", coordinates: [closeLinearRing(outerRing), ...holes] };
+    }
+    case "Track": {
+      // gx:Track lists positions as "lon lat alt" in gx:coord elements.
+      const coords = xmlChildren(el, "coord").map(c => {
+        const [lon, lat] = String(c.textContent || "").trim().split(/\s+/).map(Number);
+        if (!isValidLonLat(lon, lat)) throw new Error("KML track coordinate out of longitude/latitude range.");
+        return [lon, lat];
+      });
+      return coords.length >= 2 ? { type: "LineString", coordinates: coords } : null;
+    }
+    case "MultiTrack":
+      return combineGeometries(xmlChildren(el, "Track").map(readKmlGeometry));
+    case "MultiGeometry":
+      return combineGeometries(Array.from(el.children).map(readKmlGeometry));
+    default:
+      return null;
+  }
+}
+
+// KML colors are aabbggrr hex.
+function kmlColorToHex(value) {
+  const raw = String(value || "").trim().replace(/^#/, "");
+  if (!/^[0-9a-fA-F]{8}$/.test(raw)) return null;
+  return {
+    color: `#${raw.slice(6, 8)}${raw.slice(4, 6)}${raw.slice(2, 4)}`.toLowerCase(),
+    opacity: Math.round((parseInt(raw.slice(0, 2), 16) / 255) * 100) / 100
+  };
+}
+
+// Style -> simplestyle properties (stroke, fill, marker-color ...) kept as attributes.
+function readKmlStyle(styleEl) {
+  const props = {};
+  if (!styleEl) return props;
+  const line = xmlChild(styleEl, "LineStyle");
+  const lineColor = kmlColorToHex(xmlChildText(line, "color"));
+  if (lineColor) {
+    props.stroke = lineColor.color;
+    props["stroke-opacity"] = lineColor.opacity;
+  }
+  const width = Number(xmlChildText(line, "width"));
+  if (line && Number.isFinite(width) && width >= 0) props["stroke-width"] = width;
+  const poly = xmlChild(styleEl, "PolyStyle");
+  const polyColor = kmlColorToHex(xmlChildText(poly, "color"));
+  if (polyColor) {
+    props.fill = polyColor.color;
+    props["fill-opacity"] = polyColor.opacity;
+  }
+  if (poly && xmlChildText(poly, "fill") === "0") props["fill-opacity"] = 0;
+  const iconColor = kmlColorToHex(xmlChildText(xmlChild(styleEl, "IconStyle"), "color"));
+  if (iconColor) props["marker-color"] = iconColor.color;
+  return props;
+}
+
+function buildKmlStyleIndex(doc) {
+  const styles = new Map();
+  xmlDescendants(doc, "Style").forEach(el => {
+    const id = el.getAttribute("id");
+    if (id) styles.set(id, readKmlStyle(el));
+  });
+  // StyleMaps point at the "normal" style used when the feature is not highlighted.
+  xmlDescendants(doc, "StyleMap").forEach(el => {
+    const id = el.getAttribute("id");
+    if (!id) return;
+    const normal = xmlChildren(el, "Pair").find(p => xmlChildText(p, "key") === "normal");
+    const target = xmlChildText(normal, "styleUrl").replace(/^#/, "");
+    const inline = xmlChild(normal, "Style");
+    styles.set(id, inline ? readKmlStyle(inline) : (styles.get(target) || {}));
+  });
+  return styles;
+}
+
+function readKmlProperties(placemark, folderPath, styles) {
+  const props = {};
+  const name = xmlChildText(placemark, "name");
+  if (name) props.name = name;
+  const description = htmlToPlainText(xmlChild(placemark, "description")?.textContent);
+  if (description) props.description = description;
+  if (folderPath.length) props.folder = folderPath.join(" / ");
+
+  const when = xmlChildText(xmlChild(placemark, "TimeStamp"), "when");
+  if (when) props.timestamp = when;
+  const span = xmlChild(placemark, "TimeSpan");
+  if (span) {
+    if (xmlChildText(span, "begin")) props.begin = xmlChildText(span, "begin");
+    if (xmlChildText(span, "end")) props.end = xmlChildText(span, "end");
+  }
+
+  const extended = xmlChild(placemark, "ExtendedData");
+  xmlChildren(extended, "Data").forEach(d => {
+    const key = sanitizePlainText(d.getAttribute("name"));
+    if (key) props[key] = sanitizePlainText(xmlChild(d, "value")?.textContent || "");
+  });
+  xmlChildren(extended, "SchemaData").forEach(sd => {
+    xmlChildren(sd, "SimpleData").forEach(d => {
+      const key = sanitizePlainText(d.getAttribute("name"));
+      if (key) props[key] = sanitizePlainText(d.textContent || "");
+    });
+  });
+
+  // Only local "#id" style references resolve; remote style files are never fetched.
+  const styleUrl = xmlChildText(placemark, "styleUrl");
+  if (styleUrl.startsWith("#")) {
+    props.styleUrl = styleUrl.slice(1);
+    Object.assign(props, styles.get(props.styleUrl) || {});
+  }
+  Object.assign(props, readKmlStyle(xmlChild(placemark, "Style")));
+  return props;
+}
+
+// Walks Document/Folder nesting; the folder path becomes a "folder" attribute.
+function readKmlDocument(text, sourceLabel = "KML") {
+  const doc = parseXmlDocument(text, sourceLabel);
+  const styles = buildKmlStyleIndex(doc);
+  const features = [];
+  let skipped = 0;
+
+  const walk = (container, folderPath) => {
+    Array.from(container.children).forEach(el => {
+      if (el.localName === "Document" || el.localName === "Folder") {
+        const folderName = xmlChildText(el, "name");
+        const nextPath = el.localName === "Folder" && folderName ? [...folderPath, folderName] : folderPath;
+        walk(el, nextPath);
+      } else if (el.localName === "Placemark") {
+        let geometry = null;
+        try {
+          geometry = combineGeometries(Array.from(el.children).map(readKmlGeometry));
+        } catch (err) {
+          console.warn(`Skipping ${sourceLabel} placemark: ${err?.message || err}`);
+        }
+        if (!geometry) {
+          skipped++;
+          return;
+        }
+        features.push({ type: "Feature", geometry, properties: readKmlProperties(el, folderPath, styles) });
+      }
+    });
+  };
+  walk(doc.documentElement, []);
+
+  if (!features.length) {
+    throw new Error(`${sourceLabel} has no placemarks with supported geometry.`);
+  }
+  return { geojson: { type: "FeatureCollection", features }, skipped };
+}
+
+// --- KMZ (zip) extraction ---
+async function inflateRawWithLimit(bytes, maxBytes) {
+  if (typeof DecompressionStream !== "function") {
+    throw new Error("This browser cannot decompress KMZ files. Extract the .kml and upload it instead.");
+  }
+  const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw")).getReader();
+  const chunks = [];
+  let total = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.length;
+    // The central directory size is the budget; a larger stream is a forged archive.
+    if (total > maxBytes) {
+      await reader.cancel();
+      throw new Error("KMZ entry expands beyond its declared size.");
+    }
+    chunks.push(value);
+  }
+  const out = new Uint8Array(total);
+  let offset = 0;
+  chunks.forEach(c => {
+    out.set(c, offset);
+    offset += c.length;
+  });
+  return out;
+}
+
+async function extractZipEntry(arrayBuffer, entry) {
+  const view = new DataView(arrayBuffer);
+  const offset = entry.localHeaderOffset;
+  if (getUint32LE(view, offset) !== 0x04034b50) {
+    throw new Error("Invalid ZIP local file header.");
+  }
+  const nameLen = getUint16LE(view, offset + 26);
+  const extraLen = getUint16LE(view, offset + 28);
+  const dataStart = offset + 30 + nameLen + extraLen;
+  if (dataStart + entry.compressedSize > view.byteLength) {
+    throw new Error("ZIP entry exceeds file bounds.");
+  }
+  const data = new Uint8Array(arrayBuffer, dataStart, entry.compressedSize);
+  if (entry.method === 0) return data.slice();
+  if (entry.method === 8) return inflateRawWithLimit(data, entry.uncompressedSize);
+  throw new Error("ZIP entry uses an unsupported compression method.");
+}
+
+// The main document is doc.kml at the root, else the first .kml entry (KMZ convention).
+async function readKmzText(arrayBuffer, entries) {
+  const kmlEntries = entries.filter(e => /\.kml$/i.test(e.name));
+  const main = kmlEntries.find(e => e.name.toLowerCase() === "doc.kml") || kmlEntries[0];
+  if (!main) throw new Error("KMZ must include a .kml file.");
+  const bytes = await extractZipEntry(arrayBuffer, main);
+  return new TextDecoder("utf-8").decode(bytes);
+}
+
+// --- Shapefile (.prj-aware; parts read with shpjs, reprojected with the CRS catalogue) ---
+function findZipSibling(entries, base, ext) {
+  const target = (base + ext).toLowerCase();
+  return entries.find(e => e.name.toLowerCase() === target) || null;
+}
+
+async function readZipEntryText(arrayBuffer, entry) {
+  return entry ? new TextDecoder("utf-8").decode(await extractZipEntry(arrayBuffer, entry)).trim() : "";
+}
+
+// Returns one { geojson, name, crs } per .shp in the archive.
+async function readShapefileZip(arrayBuffer, entries, fileName) {
+  if (typeof DecompressionStream !== "function" || typeof shp.parseShp !== "function") {
+    // Older browsers: shpjs unzips and applies the .prj itself (without datum shifts).
+    const parsed = await shp(arrayBuffer);
+    const list = Array.isArray(parsed) ? parsed : [parsed];
+    return list.map(geojson => ({ geojson, name: list.length > 1 ? (geojson.fileName || fileName) : fileName, crs: null }));
+  }
+
+  const shpEntries = entries.filter(e => /\.shp$/i.test(e.name) && !e.name.includes("__MACOSX"));
+  const layers = [];
+  for (const entry of shpEntries) {
+    const base = entry.name.slice(0, -4);
+    const label = base.split("/").pop();
+    const dbfEntry = findZipSibling(entries, base, ".dbf");
+    const geometries = shp.parseShp((await extractZipEntry(arrayBuffer, entry)).buffer);
+    const properties = dbfEntry
+      ? shp.parseDbf((await extractZipEntry(arrayBuffer, dbfEntry)).buffer, await readZipEntryText(arrayBuffer, findZipSibling(entries, base, ".cpg")) || undefined)
+      : geometries.map(() => ({}));
+    const geojson = shp.combine([geometries, properties]);
+
+    const prjText = await readZipEntryText(arrayBuffer, findZipSibling(entries, base, ".prj"));
+    let crs = null;
+    if (prjText) {
+      try {
+        crs = resolveCrsDefinition(prjText);
+      } catch (err) {
+        console.warn(`Unreadable .prj for "${label}":`, err);
+      }
+    }
+    // Without a usable .prj the page asks for the coordinate system when coordinates look projected.
+    if (crs) reprojectGeojson(geojson, crs, `Shapefile "${label}"`);
+    layers.push({ geojson, name: shpEntries.length > 1 ? label : fileName, crs: isWgs84Crs(crs) ? null : crs });
+  }
+  return layers;
+}
+
+// --- GPX ---
+function readGpxPoint(pt) {
+  const lat = Number(pt.getAttribute("lat"));
+  const lon = Number(pt.getAttribute("lon"));
+  if (!isValidLonLat(lon, lat)) throw new Error("GPX point out of longitude/latitude range.");
+  return [lon, lat];
+}
+
+function readGpxProperties(el, gpxType) {
+  const props = { gpx_type: gpxType };
+  ["name", "desc", "cmt", "type", "sym", "src"].forEach(key => {
+    const value = xmlChildText(el, key);
+    if (value) props[key] = value;
+  });
+  const ele = Number(xmlChildText(el, "ele"));
+  if (xmlChild(el, "ele") && Number.isFinite(ele)) props.ele = ele;
+  const time = xmlChildText(el, "time");
+  if (time) props.time = time;
+  return props;
+}
+
+// Waypoints become points, routes lines and tracks lines (one part per track segment).
+function readGpxDocument(text, sourceLabel = "GPX") {
+  const doc = parseXmlDocument(text, sourceLabel);
+  const root = doc.documentElement;
+  if (root?.localName !== "gpx") throw new Error(`${sourceLabel} is not a GPX document.`);
+  const features = [];
+  let skipped = 0;
+  const push = (build, el, gpxType) => {
+    let geometry = null;
+    try {
+      geometry = build();
+    } catch (err) {
+      console.warn(`Skipping ${sourceLabel} ${gpxType}: ${err?.message || err}`);
+    }
+    if (!geometry) {
+      skipped++;
+      return;
+    }
+    features.push({ type: "Feature", geometry, properties: readGpxProperties(el, gpxType) });
+  };
+
+  xmlChildren(root, "wpt").forEach(wpt => {
+    push(() => ({ type: "Point", coordinates: readGpxPoint(wpt) }), wpt, "waypoint");
+  });
+  xmlChildren(root, "rte").forEach(rte => {
+    push(() => {
+      const coords = xmlChildren(rte, "rtept").map(readGpxPoint);
+      return coords.length >= 2 ? { type: "LineString", coordinates: coords } : null;
+    }, rte, "route");
+  });
+  xmlChildren(root, "trk").forEach(trk => {
+    push(() => {
+      const segments = xmlChildren(trk, "trkseg")
+        .map(seg => xmlChildren(seg, "trkpt").map(readGpxPoint))
+        .filter(coords => coords.length >= 2);
+      if (!segments.length) return null;
+      return segments.length === 1
+        ? { type: "LineString", coordinates: segments[0] }
+        : { type: "MultiLineString", coordinates: segments };
+    }, trk, "track");
+  });
+
+  if (!features.length) {
+    throw new Error(`${sourceLabel} has no waypoints, routes or tracks.`);
+  }
+  return { geojson: { type: "FeatureCollection", features }, skipped };
+}
+
+// --- GeoPackage (SQLite read through sql.js WebAssembly) ---
+let sqlJsPromise = null;
+
+function loadSqlJs() {
+  if (typeof window.initSqlJs !== "function") {
+    return Promise.reject(new Error("GeoPackage reader is unavailable."));
+  }
+  if (!sqlJsPromise) {
+    sqlJsPromise = window.initSqlJs({ locateFile: file => `./vendor/${file}` }).catch(err => {
+      sqlJsPromise = null;
+      console.error("sql.js init failed:", err);
+      throw new Error("GeoPackage reader could not start (WebAssembly is blocked or unavailable).");
+    });
+  }
+  return sqlJsPromise;
+}
+
+// Reads ISO/OGC WKB (2D, Z, M, ZM; Z/M values are dropped) into a GeoJSON geometry.
+function readWkbGeometry(bytes, startOffset = 0) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let pos = startOffset;
+  const ensure = n => {
+    if (pos + n > view.byteLength) throw new Error("Truncated WKB geometry.");
+  };
+
+  const readGeom = (depth = 0) => {
+    if (depth > 8) throw new Error("WKB geometry nesting too deep.");
+    ensure(5);
+    const little = view.getUint8(pos) === 1;
+    pos += 1;
+    let type = view.getUint32(pos, little);
+    pos += 4;
+    // EWKB flag bits (PostGIS-style writers) as well as ISO 1000/2000/3000 offsets.
+    let hasZ = !!(type & 0x80000000);
+    let hasM = !!(type & 0x40000000);
+    if (type & 0x20000000) {
+      ensure(4);
+      pos += 4;
+    }
+    type &= 0x0fffffff;
+    const dims = Math.floor(type / 1000);
+    if (dims === 1 || dims === 3) hasZ = true;
+    if (dims === 2 || dims === 3) hasM = true;
+    const base = type % 1000;
+    const stride = 2 + (hasZ ? 1 : 0) + (hasM ? 1 : 0);
+
+    const readUint = () => {
+      ensure(4);
+      const v = view.getUint32(pos, little);
+      pos += 4;
+      return v;
+    };
+    const readPoint = () => {
+      ensure(stride * 8);
+      const x = view.getFloat64(pos, little);
+      const y = view.getFloat64(pos + 8, little);
+      pos += stride * 8;
+      return [x, y];
+    };
+    const readPoints = () => {
+      const n = readUint();
+      ensure(n * stride * 8);
+      const out = new Array(n);
+      for (let i = 0; i < n; i++) out[i] = readPoint();
+      return out;
+    };
+    const readRings = () => {
+      const n = readUint();
+      const rings = [];
+      for (let i = 0; i < n; i++) rings.push(readPoints());
+      return rings;
+    };
+    const readParts = () => {
+      const n = readUint();
+      const parts = [];
+      for (let i = 0; i < n; i++) parts.push(readGeom(depth + 1));
+      return parts;
+    };
+
+    switch (base) {
+      case 1: {
+        const p = readPoint();
+        return Number.isNaN(p[0]) && Number.isNaN(p[1]) ? null : { type: "Point", coordinates: p };
+      }
+      case 2:
+        return { type: "LineString", coordinates: readPoints() };
+      case 3:
+        return { type: "Polygon", coordinates: readRings() };
+      case 4:
+        return { type: "MultiPoint", coordinates: readParts().filter(Boolean).map(g => g.coordinates) };
+      case 5:
+        return { type: "MultiLineString", coordinates: readParts().filter(Boolean).map(g => g.coordinates) };
+      case 6:
+        return { type: "MultiPolygon", coordinates: readParts().filter(Boolean).map(g => g.coordinates) };
+      case 7:
+        return { type: "GeometryCollection", geometries: readParts().filter(Boolean) };
+      default:
+        throw new Error(`Unsupported WKB geometry type ${base} (curves and surfaces are not supported).`);
+    }
+  };
+  return readGeom();
+}
+
+// GeoPackage binary = "GP" header + optional envelope + WKB.
+function readGeoPackageGeometry(blob, transform = null) {
+  if (!(blob instanceof Uint8Array) || blob.length < 8) return null;
+  if (blob[0] !== 0x47 || blob[1] !== 0x50) throw new Error("Invalid GeoPackage geometry header.");
+  const flags = blob[3];
+  if (flags & 0x20) throw new Error("Extended GeoPackage geometry types are not supported.");
+  if (flags & 0x10) return null;
+  const envelopeBytes = [0, 32, 48, 48, 64][(flags >> 1) & 0x07];
+  if (envelopeBytes === undefined) throw new Error("Invalid GeoPackage envelope.");
+  const geometry = readWkbGeometry(blob, 8 + envelopeBytes);
+  return geometry ? transformGeometryToLonLat(geometry, transform) : null;
+}
+
+function quoteSqlIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function querySqlRows(db, sql, params = []) {
+  const stmt = db.prepare(sql);
+  try {
+    stmt.bind(params);
+    const rows = [];
+    while (stmt.step()) rows.push(stmt.getAsObject());
+    return rows;
+  } finally {
+    stmt.free();
+  }
+}
+
+// Table SRS -> CRS: catalogue by EPSG code first, then the stored WKT definition.
+function resolveGeoPackageCrs(db, srsId, table) {
+  // 4326 is WGS84; 0 is the spec's "undefined geographic" system.
+  if (srsId === 4326 || srsId === 0) return null;
+  const srs = querySqlRows(db, "SELECT organization, organization_coordsys_id, definition FROM gpkg_spatial_ref_sys WHERE srs_id = ?", [srsId])[0];
+  const org = String(srs?.organization || "").toUpperCase();
+  const code = Number(srs?.organization_coordsys_id);
+  const label = org && Number.isFinite(code) ? `${org}:${code}` : `SRS ${srsId}`;
+  const catalogued = (org === "EPSG" || org === "ESRI") ? findCatalogueCrs(`${org}:${code}`) : null;
+  if (catalogued) return catalogued;
+  try {
+    return resolveCrsDefinition(String(srs?.definition || ""));
+  } catch (err) {
+    throw new Error(`Table "${table}" uses ${label}, which could not be converted to WGS 84.`);
+  }
+}
+
+function readGeoPackageTable(db, table, geomColumn, sourceLabel, crs = null) {
+  const countRow = querySqlRows(db, `SELECT COUNT(*) AS n FROM ${quoteSqlIdentifier(table)}`)[0];
+  const count = Number(countRow?.n) || 0;
+  if (count > MAX_FEATURES) {
+    throw new Error(`${sourceLabel} table "${table}" has too many features (${count}).`);
+  }
+  const transform = createCrsTransform(crs);
+  const features = [];
+  let skipped = 0;
+  const stmt = db.prepare(`SELECT * FROM ${quoteSqlIdentifier(table)}`);
+  try {
+    while (stmt.step()) {
+      const row = stmt.getAsObject();
+      let geometry = null;
+      try {
+        geometry = readGeoPackageGeometry(row[geomColumn], transform);
+      } catch (err) {
+        // A CRS mismatch affects every row; stop instead of skipping them all.
+        if (/longitude\/latitude/.test(err?.message || "")) {
+          throw new Error(`Table "${table}" ${err.message} Check its coordinate system (${getCrsLabel(crs)}).`);
+        }
+        console.warn(`Skipping ${sourceLabel} row in "${table}": ${err?.message || err}`);
+      }
+      if (!geometry) {
+        skipped++;
+        continue;
+      }
+      const properties = {};
+      Object.keys(row).forEach(k => {
+        if (k === geomColumn || row[k] instanceof Uint8Array) return;
+        properties[k] = row[k];
+      });
+      features.push({ type: "Feature", geometry, properties });
+    }
+  } finally {
+    stmt.free();
+  }
+  return { geojson: { type: "FeatureCollection", features }, skipped };
+}
+
+// Returns { layers: [{ table, geojson, skipped, crs }], errors } with one layer per readable feature table.
+async function readGeoPackage(arrayBuffer, sourceLabel = "GeoPackage") {
+  const bytes = new Uint8Array(arrayBuffer);
+  const header = new TextDecoder("ascii").decode(bytes.subarray(0, GEOPACKAGE_SQLITE_HEADER.length));
+  if (header !== GEOPACKAGE_SQLITE_HEADER) {
+    throw new Error(`${sourceLabel} is not a SQLite/GeoPackage file.`);
+  }
+  const SQL = await loadSqlJs();
+  const db = new SQL.Database(bytes);
+  try {
+    let tables;
+    try {
+      tables = querySqlRows(db, `
+        SELECT c.table_name AS table_name, g.column_name AS column_name, g.srs_id AS srs_id
+        FROM gpkg_contents c
+        JOIN gpkg_geometry_columns g ON g.table_name = c.table_name
+        WHERE c.data_type = 'features'
+        ORDER BY c.table_name`);
+    } catch (err) {
+      throw new Error(`${sourceLabel} has no GeoPackage feature catalogue (gpkg_contents).`);
+    }
+    if (!tables.length) {
+      throw new Error(`${sourceLabel} contains no vector feature tables.`);
+    }
+
+    const layers = [];
+    const errors = [];
+    tables.forEach(t => {
+      try {
+        const crs = resolveGeoPackageCrs(db, Number(t.srs_id), t.table_name);
+        const result = readGeoPackageTable(db, t.table_name, t.column_name, sourceLabel, crs);
+        if (result.geojson.features.length) layers.push({ table: t.table_name, ...result, crs });
+      } catch (err) {
+        console.warn("GeoPackage table skipped:", err);
+        errors.push(String(err?.message || err));
+      }
+    });
+    if (!layers.length) {
+      throw new Error(errors[0] || `${sourceLabel} feature tables are empty.`);
+    }
+    return { layers, errors };
+  } finally {
+    db.close();
+  }
+}
+
+// Honor the encoding named in the XML declaration (GPX units often write ISO-8859-1).
+function decodeXmlBytes(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer);
+  const head = new TextDecoder("ascii").decode(bytes.subarray(0, 200));
+  const declared = head.match(/^\s*<\?xml[^>]*encoding=["']([\w.-]+)["']/i)?.[1] || "utf-8";
+  let decoder;
+  try {
+    decoder = new TextDecoder(declared);
+  } catch (_) {
+    // A label the browser does not know; UTF-8 still reads the ASCII markup and most names.
+    console.warn(`Unknown XML encoding "${declared}"; reading as UTF-8.`);
+    decoder = new TextDecoder("utf-8");
+  }
+  return decoder.decode(bytes);
+}
+
+//Geometry Validation (import-time report and repairs)
+const GEOMETRY_ISSUES = {
+  nullGeometry: { label: "Features without a usable geometry (null or unknown type)", fix: "Feature dropped" },
+  emptyGeometry: { label: "Empty geometries", fix: "Feature dropped" },
+  invalidCoordinates: { label: "Non-numeric or out-of-range coordinates", fix: "Feature dropped" },
+  unclosedRing: { label: "Unclosed polygon rings", fix: "Ring closed" },
+  degeneratePart: { label: "Rings or lines with too few vertices", fix: "Part removed (feature dropped if nothing is left)" },
+  duplicateVertices: { label: "Repeated consecutive vertices", fix: "Duplicates removed" },
+  selfIntersection: { label: "Self-intersecting polygon rings", fix: "" },
+  geometryCollection: { label: "Geometry collections", fix: "Members split by geometry type" },
+  mixedTypes: { label: "Mixed geometry types in one layer", fix: "Split into one layer per type" }
+};
+const GEOMETRY_POSITION_DEPTH = { Point: 0, MultiPoint: 1, LineString: 1, MultiLineString: 2, Polygon: 2, MultiPolygon: 3 };
+const GEOMETRY_FAMILY_LABELS = { polygon: "polygons", line: "lines", point: "points" };
+const GEOMETRY_REPORT_SAMPLES = 5;
+// Segment-pair tests for the self-intersection check across a whole import; larger data is reported as unchecked.
+const SELF_INTERSECTION_TEST_BUDGET = 20000000;
+
+function geometryFamily(type) {
+  if (type === "Point" || type === "MultiPoint") return "point";
+  if (type === "LineString" || type === "MultiLineString") return "line";
+  if (type === "Polygon" || type === "MultiPolygon") return "polygon";
+  return null;
+}
+
+function hasInvalidPosition(geometry) {
+  if (geometry.type === "GeometryCollection") {
+    return (geometry.geometries || []).some(g => !g || (g.type !== "GeometryCollection" && !geometryFamily(g.type)) || hasInvalidPosition(g));
+  }
+  // Walks by nesting depth, so an empty ring or line is left to cleanGeometry as a degenerate part.
+  const positionDepth = GEOMETRY_POSITION_DEPTH[geometry.type];
+  let invalid = false;
+  const walk = (node, depth) => {
+    if (invalid) return;
+    if (depth === positionDepth) {
+      if (!Array.isArray(node) || !isValidLonLat(node[0], node[1])) invalid = true;
+      return;
+    }
+    if (!Array.isArray(node)) {
+      invalid = true;
+      return;
+    }
+    node.forEach(child => walk(child, depth + 1));
+  };
+  if (!Array.isArray(geometry.coordinates)) return true;
+  walk(geometry.coordinates, 0);
+  return invalid;
+}
+
+function dropRepeatedPositions(positions, issues) {
+  const out = [];
+  positions.forEach(p => {
+    const prev = out[out.length - 1];
+    if (prev && prev[0] === p[0] && prev[1] === p[1]) {
+      issues.add("duplicateVertices");
+      return;
+    }
+    out.push(p);
+  });
+  return out;
+}
+
+function cleanLine(line, issues) {
+  const pts = dropRepeatedPositions(line || [], issues);
+  if (pts.length < 2) {
+    issues.add("degeneratePart");
+    return null;
+  }
+  return pts;
+}
+
+function cleanRing(ring, issues) {
+  const pts = dropRepeatedPositions(ring || [], issues);
+  const first = pts[0];
+  const last = pts[pts.length - 1];
+  if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+    issues.add("unclosedRing");
+    pts.push(first.slice());
+  }
+  if (pts.length < 4) {
+    issues.add("degeneratePart");
+    return null;
+  }
+  return pts;
+}
+
+function cleanPolygon(rings, issues) {
+  if (!rings || !rings.length) {
+    issues.add("degeneratePart");
+    return null;
+  }
+  const cleaned = (rings || []).map(r => cleanRing(r, issues));
+  if (!cleaned[0]) return null;
+  return cleaned.filter(Boolean);
+}
+
+// Returns a repaired copy of the geometry, or null when nothing drawable is left.
+function cleanGeometry(geometry, issues) {
+  const c = geometry.coordinates;
+  switch (geometry.type) {
+    case "Point":
+      return geometry;
+    case "MultiPoint":
+      return c.length ? geometry : null;
+    case "LineString": {
+      const line = cleanLine(c, issues);
+      return line ? { type: "LineString", coordinates: line } : null;
+    }
+    case "MultiLineString": {
+      const lines = c.map(l => cleanLine(l, issues)).filter(Boolean);
+      return lines.length ? { type: "MultiLineString", coordinates: lines } : null;
+    }
+    case "Polygon": {
+      const rings = cleanPolygon(c, issues);
+      return rings ? { type: "Polygon", coordinates: rings } : null;
+    }
+    case "MultiPolygon": {
+      const polys = c.map(p => cleanPolygon(p, issues)).filter(Boolean);
+      return polys.length ? { type: "MultiPolygon", coordinates: polys } : null;
+    }
+    case "GeometryCollection": {
+      const members = (geometry.geometries || []).map(g => cleanGeometry(g, issues)).filter(Boolean);
+      return members.length ? { type: "GeometryCollection", geometries: members } : null;
+    }
+    default:
+      return null;
+  }
+}
+
+function flattenGeometryCollection(geometry) {
+  if (geometry.type !== "GeometryCollection") return [geometry];
+  return (geometry.geometries || []).flatMap(flattenGeometryCollection);
+}
+
+function segmentOrientation(p, q, r) {
+  const v = (q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]);
+  return v > 0 ? 1 : (v < 0 ? -1 : 0);
+}
+
+function pointOnSegment(p, q, r) {
+  return Math.min(p[0], r[0]) <= q[0] && q[0] <= Math.max(p[0], r[0]) &&
+    Math.min(p[1], r[1]) <= q[1] && q[1] <= Math.max(p[1], r[1]);
+}
+
+function segmentsIntersect(p1, p2, p3, p4) {
+  const o1 = segmentOrientation(p1, p2, p3);
+  const o2 = segmentOrientation(p1, p2, p4);
+  const o3 = segmentOrientation(p3, p4, p1);
+  const o4 = segmentOrientation(p3, p4, p2);
+  if (o1 !== o2 && o3 !== o4) return true;
+  return (o1 === 0 && pointOnSegment(p1, p3, p2)) || (o2 === 0 && pointOnSegment(p1, p4, p2)) ||
+    (o3 === 0 && pointOnSegment(p3, p1, p4)) || (o4 === 0 && pointOnSegment(p3, p2, p4));
+}
+
+// Sweep along X over the ring's segments; neighbours share a vertex and are skipped.
+function ringSelfIntersects(ring, budget) {
+  const n = ring.length - 1;
+  if (n < 4) return false;
+  const segs = [];
+  for (let i = 0; i < n; i++) {
+    const a = ring[i];
+    const b = ring[i + 1];
+    segs.push({ i, a, b, minX: Math.min(a[0], b[0]), maxX: Math.max(a[0], b[0]) });
+  }
+  segs.sort((s, t) => s.minX - t.minX);
+  for (let x = 0; x < segs.length; x++) {
+    const s = segs[x];
+    for (let y = x + 1; y < segs.length && segs[y].minX <= s.maxX; y++) {
+      if (--budget.remaining < 0) {
+        budget.exhausted = true;
+        return false;
+      }
+      const t = segs[y];
+      const gap = Math.abs(s.i - t.i);
+      if (gap === 1 || gap === n - 1) continue;
+      if (segmentsIntersect(s.a, s.b, t.a, t.b)) return true;
+    }
+  }
+  return false;
+}
+
+function geometryPolygonRings(geometry) {
+  if (geometry.type === "Polygon") return geometry.coordinates;
+  if (geometry.type === "MultiPolygon") return geometry.coordinates.flat();
+  if (geometry.type === "GeometryCollection") return geometry.geometries.flatMap(geometryPolygonRings);
+  return [];
+}
+
+// Inspects one feature; `cleaned` is the repaired geometry (null when the feature would be dropped).
+function inspectFeatureGeometry(feature, budget) {
+  const issues = new Set();
+  const geometry = feature?.geometry;
+  if (!geometry || (geometry.type !== "GeometryCollection" && !geometryFamily(geometry.type))) {
+    issues.add("nullGeometry");
+    return { issues, cleaned: null };
+  }
+  if (geometry.type === "GeometryCollection" ? !(geometry.geometries || []).length : countVerticesInGeometry(geometry) === 0) {
+    issues.add("emptyGeometry");
+    return { issues, cleaned: null };
+  }
+  if (hasInvalidPosition(geometry)) {
+    issues.add("invalidCoordinates");
+    return { issues, cleaned: null };
+  }
+  if (geometry.type === "GeometryCollection") issues.add("geometryCollection");
+  const cleaned = cleanGeometry(geometry, issues);
+  if (cleaned && !budget.exhausted && geometryPolygonRings(cleaned).some(r => ringSelfIntersects(r, budget))) {
+    issues.add("selfIntersection");
+  }
+  return { issues, cleaned };
+}
+
+function validateGeojsonGeometry(geojson, onProgress = null) {
+  const features = Array.isArray(geojson?.features) ? geojson.features : [];
+  const budget = { remaining: SELF_INTERSECTION_TEST_BUDGET, exhausted: false };
+  const issues = {};
+  const families = {};
+  features.forEach((f, idx) => {
+    if (onProgress && idx % IMPORT_PROGRESS_FEATURE_STEP === 0) {
+      onProgress({ phase: "check", features: idx, totalFeatures: features.length });
+    }
+    const result = inspectFeatureGeometry(f, budget);
+    result.issues.forEach(key => {
+      const entry = issues[key] || (issues[key] = { count: 0, samples: [] });
+      entry.count++;
+      if (entry.samples.length < GEOMETRY_REPORT_SAMPLES) entry.samples.push(idx + 1);
+    });
+    if (result.cleaned) {
+      new Set(flattenGeometryCollection(result.cleaned).map(g => geometryFamily(g.type))).forEach(fam => {
+        families[fam] = (families[fam] || 0) + 1;
+      });
+    }
+  });
+  if (Object.keys(families).length > 1) {
+    const total = Object.values(families).reduce((a, b) => a + b, 0);
+    issues.mixedTypes = { count: total, samples: [] };
+  }
+  return { featureCount: features.length, issues, families, selfIntersectionUnchecked: budget.exhausted };
+}
+
+// Applies the repairs and splits the features into one collection per geometry family.
+function repairGeojsonGeometry(geojson) {
+  const buckets = { polygon: [], line: [], point: [] };
+  const budget = { remaining: 0, exhausted: true };
+  geojson.features.forEach(f => {
+    const { cleaned } = inspectFeatureGeometry(f, budget);
+    if (!cleaned) return;
+    const byFamily = {};
+    flattenGeometryCollection(cleaned).forEach(g => {
+      const fam = geometryFamily(g.type);
+      (byFamily[fam] || (byFamily[fam] = [])).push(g);
+    });
+    Object.keys(byFamily).forEach(fam => {
+      // Parts of a split feature get their own properties, so editing one leaves the others alone.
+      buckets[fam].push({ ...f, properties: f.properties ? { ...f.properties } : f.properties, geometry: combineGeometries(byFamily[fam]) });
+    });
+  });
+  const used = Object.keys(buckets).filter(fam => buckets[fam].length);
+  return used.map(fam => ({
+    geojson: { ...geojson, features: buckets[fam] },
+    family: used.length > 1 ? fam : ""
+  }));
+}
+
+//Import Jobs (steps run by import-worker.js, or in the page when a worker cannot be used)
+const IMPORT_READ_CHUNK_BYTES = 8 * 1024 * 1024;
+const IMPORT_PROGRESS_FEATURE_STEP = 5000;
+
+// Reads the file in slices so progress is reported (and a cancel can land) between them.
+async function readFileInChunks(file, onProgress) {
+  const out = new Uint8Array(file.size);
+  let offset = 0;
+  while (offset < file.size) {
+    const chunk = new Uint8Array(await file.slice(offset, offset + IMPORT_READ_CHUNK_BYTES).arrayBuffer());
+    out.set(chunk, offset);
+    offset += chunk.length || IMPORT_READ_CHUNK_BYTES;
+    onProgress({ phase: "read", bytesRead: Math.min(offset, file.size), totalBytes: file.size });
+  }
+  return out.buffer;
+}
+
+// Parses the file (or the text of a URL import) into layers kept on the job; only summaries go back to the page.
+async function runImportParse(job, { file, ext, csvOptions, text, contentType, name }, onProgress) {
+  let layers;
+  const notImported = [];
+  if (text != null) {
+    onProgress({ phase: "parse" });
+    layers = [ext === ".csv"
+      ? { ...parseCsvImport(text, "CSV", { onProgress }), name }
+      : { geojson: parseImportedData(ext, text, contentType || ""), name }];
+  } else {
+    const bytes = await readFileInChunks(file, onProgress);
+    onProgress({ phase: "parse" });
+    if (ext === ".csv") {
+      const { encoding, ...options } = csvOptions || {};
+      layers = [{ ...parseCsvImport(decodeCsvBytes(bytes, encoding), "CSV", { ...options, onProgress }), name: file.name }];
+    } else if (ext === ".zip") {
+      const entries = inspectZipSafety(bytes, file.size);
+      layers = await readShapefileZip(bytes, entries, file.name);
+    } else if (ext === ".kml" || ext === ".gpx") {
+      const text = decodeXmlBytes(bytes);
+      layers = [{ ...(ext === ".kml" ? readKmlDocument(text, "KML") : readGpxDocument(text, "GPX")), name: file.name }];
+    } else if (ext === ".kmz") {
+      const entries = inspectZipSafety(bytes, file.size, KMZ_ZIP_RULES);
+      layers = [{ ...readKmlDocument(await readKmzText(bytes, entries), "KMZ"), name: file.name }];
+    } else if (ext === ".gpkg") {
+      const { layers: tables, errors } = await readGeoPackage(bytes, "GeoPackage");
+      notImported.push(...errors);
+      const baseName = stripKnownDataExtension(file.name);
+      layers = tables.map(l => ({ ...l, name: tables.length > 1 ? `${baseName} ${l.table}` : file.name }));
+    } else {
+      const text = new TextDecoder("utf-8").decode(bytes);
+      layers = [{ geojson: parseImportedData(ext, text, "application/json"), name: file.name }];
+    }
+  }
+  job.layers = layers;
+  return {
+    layers: layers.map(l => ({
+      name: l.name,
+      skipped: l.skipped || 0,
+      crsLabel: l.crs ? getCrsLabel(l.crs) : "",
+      featureCount: l.geojson.features.length,
+      projected: !l.crs && geojsonLooksProjected(l.geojson)
+    })),
+    notImported
+  };
+}
+
+function runImportReproject(job, { index, crs }) {
+  const layer = job.layers[index];
+  const resolved = resolveCrsDefinition(crs);
+  reprojectGeojson(layer.geojson, resolved, layer.name);
+  layer.crs = resolved;
+  return { crsLabel: getCrsLabel(resolved) };
+}
+
+function runImportCheck(job, { index }, onProgress) {
+  const layer = job.layers[index];
+  const stats = assertDatasetWithinLimits(layer.geojson, "Imported file");
+  return { stats, report: validateGeojsonGeometry(layer.geojson, onProgress) };
+}
+
+// Repairs (optionally), tags countries, and hands the layer over; the job lets go of it.
+function runImportFinish(job, { index, fix, boundaryIndex, boundaryGrid, countryTagMode }, onProgress) {
+  const layer = job.layers[index];
+  job.layers[index] = null;
+  const parts = fix ? repairGeojsonGeometry(layer.geojson) : [{ geojson: layer.geojson, family: "" }];
+  if (!parts.length) {
+    throw new Error(`${layer.name} has no valid geometries left after repair.`);
+  }
+  if (Array.isArray(boundaryIndex) && boundaryIndex.length) {
+    parts.forEach(part => tagFeaturesWithCountries(part.geojson.features, boundaryIndex, {
+      mode: countryTagMode,
+      grid: boundaryGrid,
+      onProgress
+    }));
+  }
+  return { parts: parts.map(p => ({ ...p, stats: datasetBudgetStats(p.geojson) })), repaired: !!fix };
+}
+
+const IMPORT_JOB_STEPS = {
+  parse: runImportParse,
+  reproject: runImportReproject,
+  check: runImportCheck,
+  finish: runImportFinish
+};
@@ -0,0 +1,27 @@
+// --- Import worker: runs the import-core.js job steps off the main thread ---
+// The page posts { id, step, payload } and receives { id, progress } updates, then { id, result } or { id, error }.
+// One worker serves one import; the page terminates it to cancel.
+
+// import-core.js and the vendor builds look their globals up on window.
+self.window = self;
+importScripts(
+  "vendor/papaparse.min.js",
+  "vendor/shp.min.js",
+  "vendor/proj4.js",
+  "vendor/sql-wasm.js",
+  `import-core.js${self.location.search}`
+);
+
+const job = { layers: [] };
+
+self.onmessage = async event => {
+  const { id, step, payload } = event.data || {};
+  try {
+    const run = IMPORT_JOB_STEPS[step];
+    if (!run) throw new Error(`Unknown import step: ${step}`);
+    const result = await run(job, payload || {}, progress => self.postMessage({ id, progress }));
+    self.postMessage({ id, result });
+  } catch (err) {
+    self.postMessage({ id, error: String(err?.message || err) });
+  }
+};
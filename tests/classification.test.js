@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadDeclarations, loadVendor } = require("./load-script");
+
+const app = loadDeclarations("app.js", [
+  "MAX_INTERVAL_CLASSES",
+  "MAX_BREAK_DECIMALS",
+  "cleanBreakValue",
+  "niceStep",
+  "buildStepBreaks",
+  "computeStdDevBreaks",
+  "computeClassBreaks",
+  "getBreakRoundingDecimals",
+  "roundBreakValue",
+  "getBreakDecimals",
+  "getClassIndexForValue",
+  "getClassValue",
+  "bivariateColorForProps"
+], { geostats: loadVendor("geostats.min.js") });
+
+function assertIncreasing(breaks) {
+  for (let i = 1; i < breaks.length; i++) {
+    assert.ok(breaks[i] > breaks[i - 1], `breaks not increasing: ${breaks.join(", ")}`);
+  }
+}
+
+function assertCovers(breaks, values) {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  assert.ok(breaks[0] <= min && breaks[breaks.length - 1] >= max, `${breaks.join(", ")} do not cover ${min} – ${max}`);
+}
+
+test("geometric progression keeps fractional breaks distinct and above zero", () => {
+  const values = [0.01, 0.02, 0.05, 0.1, 0.3, 0.5];
+  const breaks = app.computeClassBreaks(values, "geometric", 5);
+  assert.strictEqual(breaks.length, 6);
+  assert.ok(breaks[0] > 0);
+  assertIncreasing(breaks);
+  assertCovers(breaks, values);
+});
+
+test("arithmetic progression keeps fractional breaks distinct", () => {
+  const values = [0.01, 0.02, 0.05, 0.1, 0.3, 0.5];
+  const breaks = app.computeClassBreaks(values, "arithmetic", 5);
+  assertIncreasing(breaks);
+  assertCovers(breaks, values);
+});
+
+test("small normalized rates get distinct breaks and every feature a class", () => {
+  // Cases per person with the default ×1 multiplier: 0.00012 – 0.0041.
+  const features = [[12, 100000], [150, 90000], [800, 400000], [41, 10000], [95, 250000], [300, 120000]]
+    .map(([cases, pop]) => ({ properties: { cases, pop } }));
+  const norm = { denominator: "pop", byArea: false, multiplier: 1 };
+  const values = features.map(f => app.getClassValue(f, "cases", norm));
+  ["equal", "jenks", "quantile"].forEach(method => {
+    const breaks = app.computeClassBreaks(values, method, 5);
+    assertIncreasing(breaks);
+    values.forEach(v => assert.ok(app.getClassIndexForValue(breaks, v) >= 0, `${method}: ${v} outside ${breaks.join(", ")}`));
+  });
+});
+
+test("integer data still gets whole-number breaks", () => {
+  const breaks = app.computeClassBreaks([1, 4, 9, 16, 25, 36, 49, 64, 81, 100], "equal", 4);
+  assert.deepStrictEqual(breaks, [1, 26, 51, 75, 100]);
+});
+
+test("large values keep the one-decimal rounding", () => {
+  const breaks = app.computeClassBreaks([1000.04, 2500.51, 4000.26, 7000.77, 9000.93], "equal", 4);
+  assert.deepStrictEqual(breaks, [1000, 3000.3, 5000.5, 7000.7, 9001]);
+});
+
+test("legend decimals follow the rounded breaks", () => {
+  assert.strictEqual(app.getBreakDecimals([0.00012, 0.0009, 0.0041]), 5);
+  assert.strictEqual(app.getBreakDecimals([1.2e-7, 3e-7]), 8);
+  assert.strictEqual(app.getBreakDecimals([1, 2.5]), 1);
+});
+
+test("bivariate classes on fractional data leave no feature in the no-data colour", () => {
+  const rows = [[0.081, 0.31], [0.148, 0.27], [0.072, 0.55], [0.127, 0.38], [0.191, 0.42], [0.106, 0.261], [0.163, 0.9]];
+  ["quantile", "equal", "jenks"].forEach(method => {
+    const state = {
+      attribute2: "share",
+      size: 3,
+      breaksX: app.computeClassBreaks(rows.map(r => r[0]), method, 3),
+      breaksY: app.computeClassBreaks(rows.map(r => r[1]), method, 3),
+      cols: Array.from({ length: 9 }, (_, i) => `#00000${i}`)
+    };
+    rows.forEach(([rate, share]) => {
+      assert.notStrictEqual(app.bivariateColorForProps(state, "rate", { rate, share }), "#ccc", `${method}: ${rate}, ${share}`);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadDeclarations, loadScript, loadVendor } = require("./load-script");
+
+const { parseCsvNumber } = loadDeclarations("import-core.js", ["parseCsvNumber"]);
+
+test("comma decimals accept dot thousands groups", () => {
+  assert.strictEqual(parseCsvNumber("1.234,56", ","), 1234.56);
+  assert.strictEqual(parseCsvNumber("-2.500.000,5", ","), -2500000.5);
+  assert.strictEqual(parseCsvNumber("12,5", ","), 12.5);
+  assert.strictEqual(parseCsvNumber("1.234", ","), 1234);
+  assert.strictEqual(parseCsvNumber("1.5", ","), 1.5);
+});
+
+test("dot decimals accept comma thousands groups", () => {
+  assert.strictEqual(parseCsvNumber("1,234.56", "."), 1234.56);
+  assert.strictEqual(parseCsvNumber("36.8219", "."), 36.8219);
+});
+
+test("malformed numbers are still rejected", () => {
+  assert.ok(Number.isNaN(parseCsvNumber("1.23,4,5", ",")));
+  assert.ok(Number.isNaN(parseCsvNumber("12.34.5", ",")));
+  assert.ok(Number.isNaN(parseCsvNumber("1,2345.6", ".")));
+  assert.ok(Number.isNaN(parseCsvNumber("12 km", ".")));
+});
+
+test("comma-decimal CSV rows keep grouped coordinates and attributes", () => {
+  const core = loadScript("import-core.js");
+  core.window = { Papa: loadVendor("papaparse.min.js") };
+  const csv = "name;x;y;pop\nA;36,82;-1,29;1.234,5\nB;3,38;6,52;12,5\n";
+  const { geojson, skipped } = core.parseCsvImport(csv, "CSV", { delimiter: ";", decimal: ",", mode: "xy", xKey: "x", yKey: "y" });
+  assert.strictEqual(skipped, 0);
+  assert.deepStrictEqual(geojson.features.map(f => f.properties.pop), ["1234.5", "12.5"]);
+  assert.deepStrictEqual(Array.from(geojson.features[0].geometry.coordinates), [36.82, -1.29]);
+});
+
+test("a preview slice cut inside a UTF-8 character is still read as UTF-8", () => {
+  const core = loadScript("import-core.js");
+  const bytes = new TextEncoder().encode("name\nNairobi\nBéjaïa\n");
+  const cut = bytes.indexOf(0xC3) + 1;
+  assert.strictEqual(core.decodeCsvBytes(bytes.slice(0, cut), "auto", true), "name\nNairobi\nB");
+  assert.strictEqual(core.decodeCsvBytes(Uint8Array.from([0x4E, 0xE9, 0x0A]), "auto"), "Né\n");
+});
+
+test("the import job decodes CSV files and parses URL text off the page", async () => {
+  const core = loadScript("import-core.js", { Blob, File });
+  core.window = { Papa: loadVendor("papaparse.min.js") };
+  const latin1 = Uint8Array.from([...new TextEncoder().encode("name,lat,lon\nS"), 0xE9, ...new TextEncoder().encode("gou,13.4,-6.2\n")]);
+  const file = new File([latin1], "towns.csv");
+  const job = { layers: [] };
+  const fromFile = await core.runImportParse(job, { file, ext: ".csv", csvOptions: { encoding: "windows-1252", mode: "xy", xKey: "lon", yKey: "lat" } }, () => {});
+  assert.strictEqual(fromFile.layers[0].featureCount, 1);
+  assert.strictEqual(job.layers[0].geojson.features[0].properties.name, "Ségou");
+
+  const text = JSON.stringify({ type: "FeatureCollection", features: [{ type: "Feature", properties: {}, geometry: { type: "Point", coordinates: [1, 2] } }] });
+  const fromUrl = await core.runImportParse(job, { ext: ".geojson", text, contentType: "application/geo+json", name: "points.geojson" }, () => {});
+  assert.strictEqual(fromUrl.layers[0].name, "points.geojson");
+  assert.strictEqual(fromUrl.layers[0].featureCount, 1);
+});
@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadDeclarations } = require("./load-script");
+
+const { sanitizePlainText } = loadDeclarations("import-core.js", ["sanitizePlainText"]);
+
+function loadCalculator(geojsonData) {
+  return loadDeclarations("app.js", [
+    "FIELD_CALC_MAX_EXPRESSION",
+    "FIELD_CALC_MAX_NAME",
+    "ATTRIBUTE_TABLE_COLUMN_SCAN",
+    "isEmptyFilterValue",
+    "toCalcNumber",
+    "toCalcText",
+    "calcNumeric",
+    "FIELD_CALC_FUNCTIONS",
+    "tokenizeCalcExpression",
+    "parseCalcExpression",
+    "collectCalcFields",
+    "isCalcTruthy",
+    "evaluateCalcNode",
+    "runFieldCalculator"
+  ], { sanitizePlainText, currentLayerName: "test", geojsonData, window: { confirm: () => true } });
+}
+
+test("Object members are not callable as functions", () => {
+  const calc = loadCalculator(null);
+  ["constructor(1)", "toString(x)", "__proto__(1)", "hasOwnProperty(x)"].forEach(expr => {
+    assert.throws(() => calc.parseCalcExpression(expr), /Unknown function/, expr);
+  });
+  assert.strictEqual(calc.evaluateCalcNode(calc.parseCalcExpression("round(2.6)"), {}), 3);
+});
+
+test("__proto__ is rejected as the output field name", () => {
+  const data = { features: [{ properties: { pop: 10 } }] };
+  const calc = loadCalculator(data);
+  assert.throws(() => calc.runFieldCalculator("__proto__", "pop * 2"), /cannot be used as a field name/);
+  assert.strictEqual(Object.getPrototypeOf(data.features[0].properties), Object.prototype);
+  assert.strictEqual(calc.runFieldCalculator("double", "pop * 2").filled, 1);
+  assert.strictEqual(data.features[0].properties.double, 20);
+});
@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScript } = require("./load-script");
+
+const core = loadScript("import-core.js");
+
+const square = [[0, 0], [0, 4], [4, 4], [4, 0], [0, 0]];
+const feature = (geometry, properties = {}) => ({ type: "Feature", properties, geometry });
+
+test("an empty ring is removed and the rest of the feature kept", () => {
+  const geojson = { type: "FeatureCollection", features: [feature({ type: "Polygon", coordinates: [square, []] })] };
+  const report = core.validateGeojsonGeometry(geojson);
+  assert.ok(report.issues.degeneratePart);
+  assert.strictEqual(report.issues.invalidCoordinates, undefined);
+  const [{ geojson: repaired }] = core.repairGeojsonGeometry(geojson);
+  assert.strictEqual(repaired.features.length, 1);
+  assert.strictEqual(JSON.stringify(repaired.features[0].geometry.coordinates), JSON.stringify([square]));
+});
+
+test("parts of a split geometry collection do not share properties", () => {
+  const geojson = {
+    type: "FeatureCollection",
+    features: [feature({
+      type: "GeometryCollection",
+      geometries: [{ type: "Polygon", coordinates: [square] }, { type: "Point", coordinates: [1, 2] }]
+    }, { name: "site", pop: 5 })]
+  };
+  const layers = core.repairGeojsonGeometry(geojson);
+  assert.strictEqual(layers.length, 2);
+  const [polygon, point] = layers.map(l => l.geojson.features[0]);
+  polygon.properties.pop = 50;
+  assert.strictEqual(point.properties.pop, 5);
+  assert.strictEqual(geojson.features[0].properties.pop, 5);
+  assert.strictEqual(point.properties.name, "site");
+});
@@ -0,0 +1,38 @@
+// Loads named top-level declarations from the browser scripts into a fresh context,
+// so pure helpers can be tested with `node --test tests/` without a DOM.
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+
+// Source of `function name(...) {...}` or `const name = ...;` at the top level; a
+// declaration ends at the first unindented closing line.
+function extractDeclaration(source, name) {
+  const lines = source.split("\n");
+  const start = lines.findIndex(l => new RegExp(`^((async )?function ${name}\\(|(const|let) ${name} = )`).test(l));
+  if (start < 0) throw new Error(`${name} not found`);
+  if (/;$/.test(lines[start])) return lines[start];
+  const end = lines.findIndex((l, i) => i > start && /^[}\]]\)?;?$/.test(l));
+  return lines.slice(start, end + 1).join("\n");
+}
+
+function loadDeclarations(file, names, globals = {}) {
+  const source = fs.readFileSync(path.join(ROOT, file), "utf8");
+  const code = names.map(name => extractDeclaration(source, name)).join("\n\n");
+  const context = vm.createContext({ console, ...globals });
+  return vm.runInContext(`${code}\n;({ ${names.join(", ")} })`, context);
+}
+
+// Runs a whole script (one without DOM work at load time) and returns its global scope.
+function loadScript(file, globals = {}) {
+  const context = vm.createContext({ console, TextDecoder, TextEncoder, ...globals });
+  vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), context);
+  return context;
+}
+
+function loadVendor(file) {
+  return require(path.join(ROOT, "vendor", file));
+}
+
+module.exports = { loadDeclarations, loadScript, loadVendor };